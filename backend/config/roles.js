@@ -0,0 +1,101 @@
+/**
+ * Portal Roles
+ *
+ * Mirrors convex/accessControl.ts so the Express routes enforce the same roles as
+ * the Convex functions. Keep the two in step when roles or permissions change;
+ * convex/accessControl.test.ts fails when they differ.
+ *
+ * A user's roles come from their ID token: app roles assigned on the portal's app
+ * registration (roles claim), the Global Administrator directory role (wids claim),
+ * and groups listed in RBAC_GROUP_ROLES (groups claim), e.g.
+ *   RBAC_GROUP_ROLES=<group object id>=HelpDesk,<group object id>=Auditor
+ */
+
+const PERMISSIONS = [
+  'userManagement',
+  'lifecycleRequest',
+  'lifecycleExecute',
+  'deviceManagement',
+  'deviceWipe',
+  'groupManagement',
+  'mailManagement',
+  'sharePointManagement',
+  'teamsManagement',
+  'complianceManagement',
+  'defenderManagement',
+  'auditView',
+  'roleManagement',
+  'webhookManagement',
+  'hrIntegration',
+  'credentialManagement',
+  'intuneBackup'
+];
+
+const ROLES = {
+  Admin: PERMISSIONS,
+  HelpDesk: ['userManagement', 'deviceManagement', 'mailManagement'],
+  HRRequester: ['lifecycleRequest'],
+  OffboardingOperator: [
+    'userManagement',
+    'lifecycleRequest',
+    'lifecycleExecute',
+    'deviceManagement',
+    'mailManagement',
+    'sharePointManagement',
+    'teamsManagement'
+  ],
+  IntuneAdmin: ['deviceManagement', 'deviceWipe', 'complianceManagement', 'defenderManagement', 'intuneBackup'],
+  Auditor: ['auditView']
+};
+
+// Role names stored on sessions before roles were introduced
+const LEGACY_ROLES = {
+  admin: 'Admin'
+};
+
+// Role template ID of the Global Administrator directory role, the same in every tenant
+const GLOBAL_ADMIN_ROLE_TEMPLATE_ID = '62e90394-69f5-4237-9190-012177145e10';
+
+function normalizeRoles(roles = []) {
+  return [...new Set(roles.map(role => LEGACY_ROLES[role] || role).filter(role => ROLES[role]))];
+}
+
+function permissionsForRoles(roles = []) {
+  const granted = new Set(normalizeRoles(roles).flatMap(role => ROLES[role]));
+  return PERMISSIONS.filter(permission => granted.has(permission));
+}
+
+function parseGroupRoles(value = '') {
+  return value
+    .split(',')
+    .map(entry => entry.trim().split('='))
+    .filter(([groupId, role]) => groupId && ROLES[role]);
+}
+
+/**
+ * Portal roles for a signed-in user, from their ID token claims
+ */
+function resolveRoles(claims = {}) {
+  const roles = [...(claims.roles || [])];
+
+  if ((claims.wids || []).includes(GLOBAL_ADMIN_ROLE_TEMPLATE_ID)) {
+    roles.push('Admin');
+  }
+
+  const groups = claims.groups || [];
+  for (const [groupId, role] of parseGroupRoles(process.env.RBAC_GROUP_ROLES)) {
+    if (groups.includes(groupId)) {
+      roles.push(role);
+    }
+  }
+
+  return normalizeRoles(roles);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  normalizeRoles,
+  permissionsForRoles,
+  resolveRoles
+};
@@ -0,0 +1,84 @@
+/**
+ * Neon/Postgres connection and schema
+ *
+ * Every store shares one pool. Tables are created and changed only by the versioned
+ * migrations in db/migrations, applied by db/migrate.js; call ready() before the first
+ * query so a fresh database is brought up to date once per process.
+ */
+
+const { Pool, types } = require('pg');
+const { migrate } = require('./migrate');
+
+// Keep DATE columns as 'YYYY-MM-DD'; pg would turn them into Dates at local midnight
+types.setTypeParser(types.builtins.DATE, value => value);
+
+let pool = null;
+let migrated = null;
+
+// Initialize database connection using environment variable
+function getPool() {
+  if (!pool) {
+    if (!process.env.DATABASE_URL) {
+      throw new Error('DATABASE_URL environment variable is required');
+    }
+
+    pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: {
+        rejectUnauthorized: false // Neon uses SSL
+      },
+      max: 20,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 10000,
+    });
+  }
+  return pool;
+}
+
+/**
+ * Apply pending migrations, once per process
+ * Set DATABASE_AUTO_MIGRATE=false when deployments run `npm run migrate` instead
+ * @returns {Promise<Pool>}
+ */
+async function ready() {
+  const db = getPool();
+  if (process.env.DATABASE_AUTO_MIGRATE === 'false') {
+    return db;
+  }
+
+  if (!migrated) {
+    migrated = migrate(db).catch(err => {
+      // Let the next call try again rather than caching the failure
+      migrated = null;
+      throw err;
+    });
+  }
+  await migrated;
+  return db;
+}
+
+/**
+ * Run work in a transaction on one connection
+ * @param {Function} work - Receives the client; its result is returned after COMMIT
+ */
+async function withTransaction(work) {
+  const db = await ready();
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getPool,
+  ready,
+  withTransaction
+};
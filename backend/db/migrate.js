@@ -0,0 +1,97 @@
+/**
+ * Versioned schema migrations
+ *
+ * Files in db/migrations are named NNN_description.sql and applied in order, each in its
+ * own transaction. schema_migrations records what has run, so a migration is never
+ * applied twice; never edit one that has shipped, add the next number instead.
+ *
+ * Run by hand with `npm run migrate`, or automatically by db.ready().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.sql$/;
+// Held while migrating so instances starting together do not race
+const MIGRATION_LOCK_ID = 7305100;
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = MIGRATION_FILE.exec(file);
+      return match && { version: Number(match[1]), name: match[2], file };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply every migration newer than the database
+ * @param {Pool} pool - pg pool
+ * @returns {Promise<string[]>} Files applied by this call
+ */
+async function migrate(pool) {
+  const client = await pool.connect();
+  const applied = [];
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    const result = await client.query('SELECT version FROM schema_migrations');
+    const done = new Set(result.rows.map(row => row.version));
+
+    for (const migration of loadMigrations()) {
+      if (done.has(migration.version)) {
+        continue;
+      }
+
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, migration.file), 'utf8');
+      try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.file} failed: ${err.message}`);
+      }
+
+      applied.push(migration.file);
+      console.log(`✅ Applied migration ${migration.file}`);
+    }
+
+    return applied;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+module.exports = { migrate };
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { getPool } = require('./index');
+  const pool = getPool();
+
+  migrate(pool)
+    .then(applied => {
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+      return pool.end();
+    })
+    .catch(err => {
+      console.error('❌', err.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,31 @@
+-- Scheduled offboardings as first created by offboardingService
+-- IF NOT EXISTS adopts databases where the service created the table itself
+
+CREATE TABLE IF NOT EXISTS scheduled_offboardings (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL,
+  session_id VARCHAR(255) NOT NULL,
+  created_by VARCHAR(255),
+  user_id VARCHAR(255) NOT NULL,
+  user_display_name VARCHAR(500),
+  user_email VARCHAR(500),
+  scheduled_date DATE NOT NULL,
+  scheduled_time TIME NOT NULL,
+  scheduled_date_time TIMESTAMPTZ,
+  template VARCHAR(100) NOT NULL,
+  status VARCHAR(50) DEFAULT 'scheduled',
+  manager_email VARCHAR(500),
+  notify_manager BOOLEAN DEFAULT true,
+  notify_user BOOLEAN DEFAULT true,
+  custom_message TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  executed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_offboardings_tenant ON scheduled_offboardings (tenant_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_offboardings_session ON scheduled_offboardings (session_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_offboardings_status ON scheduled_offboardings (status);
+CREATE INDEX IF NOT EXISTS idx_scheduled_offboardings_scheduled_date ON scheduled_offboardings (scheduled_date_time);
+CREATE INDEX IF NOT EXISTS idx_scheduled_offboardings_user_id ON scheduled_offboardings (user_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_offboardings_tenant_status ON scheduled_offboardings (tenant_id, status);
@@ -0,0 +1,69 @@
+-- Bring scheduled offboardings up to the Convex model (convex/schema.ts):
+-- user details, timezone, the actions to run, execution tracking, and execution logs
+
+ALTER TABLE scheduled_offboardings
+  ADD COLUMN user_principal_name VARCHAR(500),
+  ADD COLUMN department VARCHAR(255),
+  ADD COLUMN job_title VARCHAR(255),
+  ADD COLUMN timezone VARCHAR(100) NOT NULL DEFAULT 'UTC',
+  ADD COLUMN actions JSONB NOT NULL DEFAULT '{"disableAccount": true, "revokeAccess": true, "removeFromGroups": true, "backupData": true, "removeDevices": true}'::jsonb,
+  ADD COLUMN notes TEXT,
+  ADD COLUMN executed_by VARCHAR(255),
+  ADD COLUMN error TEXT;
+
+-- Rows from before timezones were stored were scheduled in UTC
+UPDATE scheduled_offboardings
+SET scheduled_date_time = (scheduled_date + scheduled_time) AT TIME ZONE 'UTC'
+WHERE scheduled_date_time IS NULL;
+
+UPDATE scheduled_offboardings SET status = 'scheduled' WHERE status IS NULL;
+
+ALTER TABLE scheduled_offboardings
+  ALTER COLUMN scheduled_date_time SET NOT NULL,
+  ALTER COLUMN status SET NOT NULL,
+  ADD CONSTRAINT scheduled_offboardings_status_check
+    CHECK (status IN ('scheduled', 'in-progress', 'completed', 'failed'));
+
+CREATE INDEX idx_scheduled_offboardings_status_date ON scheduled_offboardings (status, scheduled_date_time);
+
+-- One row per run of an offboarding, as offboarding_execution_logs in Convex
+CREATE TABLE offboarding_execution_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id VARCHAR(255) NOT NULL,
+  session_id VARCHAR(255) NOT NULL,
+  -- Kept when the schedule is deleted, as the record of what was done
+  offboarding_id VARCHAR(255) REFERENCES scheduled_offboardings (id) ON DELETE SET NULL,
+  target_user_id VARCHAR(255) NOT NULL,
+  target_user_name VARCHAR(500) NOT NULL,
+  target_user_email VARCHAR(500) NOT NULL,
+  executed_by VARCHAR(255) NOT NULL,
+  execution_type VARCHAR(20) NOT NULL CHECK (execution_type IN ('immediate', 'scheduled', 'reinstate')),
+  start_time TIMESTAMPTZ NOT NULL,
+  end_time TIMESTAMPTZ,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('in-progress', 'completed', 'partial', 'failed')),
+  total_actions INTEGER NOT NULL DEFAULT 0,
+  successful_actions INTEGER NOT NULL DEFAULT 0,
+  failed_actions INTEGER NOT NULL DEFAULT 0,
+  skipped_actions INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_offboarding_execution_logs_tenant_time ON offboarding_execution_logs (tenant_id, start_time);
+CREATE INDEX idx_offboarding_execution_logs_offboarding ON offboarding_execution_logs (offboarding_id);
+CREATE INDEX idx_offboarding_execution_logs_target_user ON offboarding_execution_logs (target_user_id);
+CREATE INDEX idx_offboarding_execution_logs_executed_by ON offboarding_execution_logs (executed_by);
+CREATE INDEX idx_offboarding_execution_logs_status ON offboarding_execution_logs (status);
+
+-- The per-action results of a run, in the order they happened
+CREATE TABLE offboarding_execution_actions (
+  id BIGSERIAL PRIMARY KEY,
+  log_id UUID NOT NULL REFERENCES offboarding_execution_logs (id) ON DELETE CASCADE,
+  action VARCHAR(100) NOT NULL,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('success', 'error', 'skipped', 'warning')),
+  message TEXT NOT NULL,
+  details TEXT,
+  timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_offboarding_execution_actions_log ON offboarding_execution_actions (log_id, id);
@@ -0,0 +1,27 @@
+-- Background runner for scheduled offboardings (services/offboardingRunner.js)
+
+-- App registration each tenant's scheduled runs use, captured from the session that
+-- scheduled the work, as tenant_credentials in Convex. The secret stays encrypted with
+-- ENCRYPTION_KEY (utils/encryption.js)
+CREATE TABLE tenant_credentials (
+  tenant_id VARCHAR(255) PRIMARY KEY,
+  azure_tenant_id VARCHAR(255) NOT NULL,
+  client_id VARCHAR(255) NOT NULL,
+  encrypted_client_secret TEXT NOT NULL,
+  configured_by VARCHAR(255),
+  configured_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  is_active BOOLEAN NOT NULL DEFAULT true
+);
+
+-- Who is running a schedule and since when, so a run lost with its process can be failed
+ALTER TABLE scheduled_offboardings
+  ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN locked_by VARCHAR(255),
+  ADD COLUMN locked_at TIMESTAMPTZ;
+
+-- Due work is claimed oldest first
+CREATE INDEX idx_scheduled_offboardings_due ON scheduled_offboardings (scheduled_date_time)
+  WHERE status = 'scheduled';
+CREATE INDEX idx_scheduled_offboardings_locked ON scheduled_offboardings (locked_at)
+  WHERE status = 'in-progress';
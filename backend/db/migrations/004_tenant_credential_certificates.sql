@@ -0,0 +1,15 @@
+-- Certificate credentials and expiry for tenant_credentials (see utils/encryption.js for
+-- how secrets and private keys are sealed)
+
+ALTER TABLE tenant_credentials
+  ALTER COLUMN encrypted_client_secret DROP NOT NULL,
+  ADD COLUMN credential_type VARCHAR(20) NOT NULL DEFAULT 'secret'
+    CHECK (credential_type IN ('secret', 'certificate')),
+  ADD COLUMN certificate_thumbprint VARCHAR(64),
+  ADD COLUMN encrypted_private_key TEXT,
+  -- When the secret or certificate lapses, if known
+  ADD COLUMN expires_at TIMESTAMPTZ,
+  ADD CONSTRAINT tenant_credentials_has_credential CHECK (
+    (credential_type = 'secret' AND encrypted_client_secret IS NOT NULL)
+    OR (credential_type = 'certificate' AND encrypted_private_key IS NOT NULL AND certificate_thumbprint IS NOT NULL)
+  );
@@ -0,0 +1,32 @@
+/**
+ * Credential key rotation
+ *
+ * Reseals stored app secrets and private keys under CREDENTIAL_ACTIVE_KEY_ID. To rotate,
+ * add the new key to CREDENTIAL_KEYS, make it active, deploy, then run
+ * `npm run rotate-keys` (add `-- --dry-run` to only count values per key). Remove the
+ * old key once a run reports nothing left under it.
+ *
+ * Session credentials are sealed the same way but expire with their sessions, so keep
+ * the old key until those have lapsed too.
+ */
+
+const tenantCredentialStore = require('../services/tenantCredentialStore');
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { getPool } = require('./index');
+  const dryRun = process.argv.includes('--dry-run');
+
+  tenantCredentialStore.reencryptAll({ dryRun })
+    .then(summary => {
+      console.log(JSON.stringify(summary, null, 2));
+      if (summary.failures.length > 0) {
+        process.exitCode = 1;
+      }
+      return getPool().end();
+    })
+    .catch(err => {
+      console.error('❌', err.message);
+      process.exit(1);
+    });
+}
@@ -8,6 +8,9 @@
  * separated at the database and API level.
  */
 
+const crypto = require('crypto');
+const { permissionsForRoles } = require('../config/roles');
+
 /**
  * Extract tenant context from authenticated session
  * @param {Object} req - Express request object
@@ -35,6 +38,7 @@ function extractTenantContext(req, res, next) {
       userEmail: user.email || user.mail || user.upn || user.preferred_username,
       displayName: user.displayName || user.name,
       roles: user.roles || [],
+      permissions: permissionsForRoles(user.roles),
       
       // Helper method to check if user has specific role
       hasRole: (role) => {
@@ -43,7 +47,12 @@ function extractTenantContext(req, res, next) {
       
       // Helper method to check if user is admin
       isAdmin: () => {
-        return req.tenantContext.hasRole('admin') || req.tenantContext.hasRole('Global Administrator');
+        return req.tenantContext.hasRole('admin') || req.tenantContext.hasRole('Admin') || req.tenantContext.hasRole('Global Administrator');
+      },
+
+      // Helper method to check if the user's roles grant a permission
+      hasPermission: (permission) => {
+        return req.tenantContext.permissions.includes(permission);
       }
     };
     
@@ -89,6 +98,55 @@ function requireAuth(req, res, next) {
   next();
 }
 
+/**
+ * Require authentication, or a valid automation key for server-to-server calls
+ * The Convex scheduled-offboarding runner has no browser session, so it presents
+ * the shared AUTOMATION_API_KEY in the X-Automation-Key header instead, and names the
+ * tenant it is acting for in X-Tenant-Id
+ */
+function requireAuthOrAutomationKey(req, res, next) {
+  const presentedKey = req.get('X-Automation-Key');
+  const expectedKey = process.env.AUTOMATION_API_KEY;
+
+  if (!presentedKey) {
+    return requireAuth(req, res, next);
+  }
+
+  const presented = Buffer.from(presentedKey);
+  const expected = Buffer.from(expectedKey || '');
+
+  if (!expectedKey || presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+    return res.status(401).json({
+      error: 'Invalid automation key',
+      message: 'The supplied automation key is not valid for this backend'
+    });
+  }
+
+  const tenantId = req.get('X-Tenant-Id');
+  if (!tenantId) {
+    return res.status(400).json({
+      error: 'Tenant required',
+      message: 'Automation requests must name their tenant in the X-Tenant-Id header'
+    });
+  }
+
+  req.tenantContext = {
+    tenantId,
+    sessionId: 'automation',
+    userId: 'system-automation',
+    userEmail: null,
+    displayName: 'Scheduled Automation',
+    roles: [],
+    permissions: [],
+    hasRole: () => false,
+    isAdmin: () => false,
+    // The automation key is only issued to the Convex runners, which check roles when work is scheduled
+    hasPermission: () => true
+  };
+
+  next();
+}
+
 /**
  * Require admin role
  * Use this middleware on routes that require admin access
@@ -111,6 +169,32 @@ function requireAdmin(req, res, next) {
   next();
 }
 
+/**
+ * Require a permission from the user's roles (see config/roles.js)
+ * Use after requireAuth or requireAuthOrAutomationKey
+ *
+ * @param {string} permission - Permission name, e.g. 'lifecycleExecute'
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.tenantContext) {
+      return res.status(401).json({ 
+        error: 'Authentication required',
+        message: 'Please authenticate to access this resource'
+      });
+    }
+
+    if (!req.tenantContext.hasPermission(permission)) {
+      return res.status(403).json({ 
+        error: 'Forbidden',
+        message: `Your role does not include the ${permission} permission`
+      });
+    }
+
+    next();
+  };
+}
+
 /**
  * Validate tenant ownership of a resource
  * Use this helper in route handlers to verify resource ownership
@@ -163,7 +247,9 @@ function getTenantParams(req) {
 module.exports = {
   extractTenantContext,
   requireAuth,
+  requireAuthOrAutomationKey,
   requireAdmin,
+  requirePermission,
   validateTenantOwnership,
   getTenantParams
 };
@@ -4,36 +4,39 @@
  * This module provides endpoints for managing users in on-premises Active Directory.
  * Users created here will automatically sync to Azure AD via Azure AD Connect.
  * 
+ * The directory work is done by a provider (see services/directoryProvider.js):
+ * - PowerShell remoting (default) - needs a Windows host with PowerShell remoting enabled on the AD server
+ * - LDAPS (AD_PROVIDER=ldap) - runs anywhere with network access to the domain controller on port 636
+ *
  * Requirements:
- * - PowerShell remoting enabled on AD server
  * - Service account with AD user creation permissions
  * - Network connectivity from backend to AD server
  */
 
 const express = require('express');
-const { exec } = require('child_process');
-const util = require('util');
-const execPromise = util.promisify(exec);
+const crypto = require('crypto');
 const router = express.Router();
-const { requireAuth } = require('../middleware/tenantContext');
+const { requireAuth, requireAuthOrAutomationKey, requirePermission } = require('../middleware/tenantContext');
+const { getDirectoryProvider } = require('../services/directoryProvider');
 
 // Environment variables for AD configuration
 const AD_SERVER = process.env.AD_SERVER;
-const AD_USERNAME = process.env.AD_USERNAME;
-const AD_PASSWORD = process.env.AD_PASSWORD;
 const AD_DOMAIN = process.env.AD_DOMAIN;
 const AD_DEFAULT_OU = process.env.AD_DEFAULT_OU || 'OU=Users,DC=domain,DC=com';
 const AD_DEFAULT_PASSWORD = process.env.AD_DEFAULT_PASSWORD || 'TempPass123!';
+// OU leavers are moved to; the move is skipped when this is not set
+const AD_DISABLED_USERS_OU = process.env.AD_DISABLED_USERS_OU;
+// Comma-separated group names kept when a leaver's memberships are stripped
+const AD_RETAINED_GROUPS = (process.env.AD_RETAINED_GROUPS || '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
 
 /**
- * Validate AD configuration
+ * Validate AD configuration for the selected provider
  */
 function validateADConfig() {
-  const missing = [];
-  if (!AD_SERVER) missing.push('AD_SERVER');
-  if (!AD_USERNAME) missing.push('AD_USERNAME');
-  if (!AD_PASSWORD) missing.push('AD_PASSWORD');
-  if (!AD_DOMAIN) missing.push('AD_DOMAIN');
+  const missing = getDirectoryProvider().validateConfig();
 
   if (missing.length > 0) {
     return {
@@ -47,169 +50,17 @@ function validateADConfig() {
 }
 
 /**
- * Escape PowerShell special characters
+ * Generate a random password that meets the default AD complexity policy
  */
-function escapePowerShellString(str) {
-  if (!str) return '';
-  return str.replace(/[\$`'"]/g, '`$&');
-}
-
-/**
- * Build PowerShell script for creating AD user
- */
-function buildCreateUserScript(userData) {
-  const {
-    firstName,
-    lastName,
-    displayName,
-    email,
-    userPrincipalName,
-    samAccountName,
-    password,
-    organizationalUnit,
-    department,
-    jobTitle,
-    officeLocation,
-    phoneNumber,
-    mobilePhone,
-    manager,
-    description,
-    enabled = true,
-    changePasswordAtLogon = true,
-    passwordNeverExpires = false
-  } = userData;
-
-  // Escape all string inputs
-  const safeFirstName = escapePowerShellString(firstName);
-  const safeLastName = escapePowerShellString(lastName);
-  const safeDisplayName = escapePowerShellString(displayName || `${firstName} ${lastName}`);
-  const safeEmail = escapePowerShellString(email);
-  const safeUPN = escapePowerShellString(userPrincipalName);
-  const safeSamAccountName = escapePowerShellString(samAccountName || email.split('@')[0]);
-  const safePassword = escapePowerShellString(password || AD_DEFAULT_PASSWORD);
-  const safeOU = escapePowerShellString(organizationalUnit || AD_DEFAULT_OU);
-  const safeDepartment = escapePowerShellString(department || '');
-  const safeJobTitle = escapePowerShellString(jobTitle || '');
-  const safeOffice = escapePowerShellString(officeLocation || '');
-  const safePhone = escapePowerShellString(phoneNumber || '');
-  const safeMobile = escapePowerShellString(mobilePhone || '');
-  const safeDescription = escapePowerShellString(description || '');
-
-  // Build PowerShell script
-  let script = `
-$ErrorActionPreference = "Stop"
-
-# Import Active Directory module
-Import-Module ActiveDirectory
-
-try {
-  # Create password object
-  $SecurePassword = ConvertTo-SecureString "${safePassword}" -AsPlainText -Force
-  
-  # Build parameters for New-ADUser
-  $userParams = @{
-    GivenName = "${safeFirstName}"
-    Surname = "${safeLastName}"
-    DisplayName = "${safeDisplayName}"
-    Name = "${safeDisplayName}"
-    SamAccountName = "${safeSamAccountName}"
-    UserPrincipalName = "${safeUPN}"
-    EmailAddress = "${safeEmail}"
-    AccountPassword = $SecurePassword
-    Enabled = $${enabled}
-    ChangePasswordAtLogon = $${changePasswordAtLogon}
-    PasswordNeverExpires = $${passwordNeverExpires}
-    Path = "${safeOU}"
-  }
-  
-  # Add optional parameters
-  ${safeDepartment ? `$userParams.Department = "${safeDepartment}"` : ''}
-  ${safeJobTitle ? `$userParams.Title = "${safeJobTitle}"` : ''}
-  ${safeOffice ? `$userParams.Office = "${safeOffice}"` : ''}
-  ${safePhone ? `$userParams.OfficePhone = "${safePhone}"` : ''}
-  ${safeMobile ? `$userParams.MobilePhone = "${safeMobile}"` : ''}
-  ${safeDescription ? `$userParams.Description = "${safeDescription}"` : ''}
-  
-  # Create the user
-  $newUser = New-ADUser @userParams -PassThru
-  
-  # Set manager if provided
-  ${manager ? `Set-ADUser -Identity $newUser.SamAccountName -Manager "${escapePowerShellString(manager)}"` : ''}
-  
-  # Return user information
-  $userInfo = Get-ADUser -Identity $newUser.SamAccountName -Properties *
-  
-  # Output result as JSON
-  @{
-    success = $true
-    message = "User created successfully in on-premises Active Directory"
-    user = @{
-      distinguishedName = $userInfo.DistinguishedName
-      samAccountName = $userInfo.SamAccountName
-      userPrincipalName = $userInfo.UserPrincipalName
-      displayName = $userInfo.DisplayName
-      email = $userInfo.EmailAddress
-      enabled = $userInfo.Enabled
-      created = $userInfo.whenCreated
-      department = $userInfo.Department
-      title = $userInfo.Title
-    }
-  } | ConvertTo-Json
-  
-} catch {
-  @{
-    success = $false
-    error = $_.Exception.Message
-  } | ConvertTo-Json
-  exit 1
-}
-`;
-
-  return script;
-}
-
-/**
- * Execute PowerShell script on remote AD server
- */
-async function executeRemotePowerShell(script) {
-  // Build PowerShell remoting command
-  const encodedScript = Buffer.from(script, 'utf16le').toString('base64');
-  
-  const command = `powershell.exe -NonInteractive -NoProfile -Command "` +
-    `$cred = New-Object System.Management.Automation.PSCredential('${AD_DOMAIN}\\${AD_USERNAME}', ` +
-    `(ConvertTo-SecureString '${AD_PASSWORD}' -AsPlainText -Force)); ` +
-    `Invoke-Command -ComputerName '${AD_SERVER}' -Credential $cred -ScriptBlock { ` +
-    `[System.Text.Encoding]::Unicode.GetString([System.Convert]::FromBase64String('${encodedScript}')) | ` +
-    `Invoke-Expression ` +
-    `}"`;
-
-  try {
-    const { stdout, stderr } = await execPromise(command, {
-      timeout: 30000, // 30 second timeout
-      maxBuffer: 1024 * 1024 // 1MB buffer
-    });
-
-    if (stderr) {
-      console.error('PowerShell stderr:', stderr);
-    }
-
-    return { success: true, output: stdout, error: stderr };
-  } catch (error) {
-    console.error('PowerShell execution error:', error);
-    return {
-      success: false,
-      error: error.message,
-      output: error.stdout,
-      stderr: error.stderr
-    };
-  }
+function generateLeaverPassword() {
+  return `${crypto.randomBytes(18).toString('base64')}aA1!`;
 }
 
 /**
  * POST /api/ad/create-user
  * Create a new user in on-premises Active Directory
  */
-router.post('/create-user', requireAuth, async (req, res) => {
+router.post('/create-user', requireAuth, requirePermission('lifecycleExecute'), async (req, res) => {
   console.log('🔷 Create on-premises AD user request');
 
   // Validate AD configuration
@@ -219,7 +70,7 @@ router.post('/create-user', requireAuth, async (req, res) => {
     return res.status(503).json({
       error: 'On-premises AD integration not configured',
       message: configValidation.message,
-      details: 'Please configure AD_SERVER, AD_USERNAME, AD_PASSWORD, and AD_DOMAIN environment variables'
+      details: `Please configure ${configValidation.missing.join(', ')}`
     });
   }
 
@@ -240,36 +91,20 @@ router.post('/create-user', requireAuth, async (req, res) => {
 
     console.log('📝 Creating user:', userData.userPrincipalName);
 
-    // Build PowerShell script
-    const script = buildCreateUserScript(userData);
-    
-    // Execute on remote AD server
-    console.log('⚡ Executing PowerShell on AD server:', AD_SERVER);
-    const result = await executeRemotePowerShell(script);
-
-    if (!result.success) {
-      throw new Error(result.error || 'PowerShell execution failed');
-    }
-
-    // Parse JSON output from PowerShell
-    let parsedResult;
-    try {
-      parsedResult = JSON.parse(result.output);
-    } catch (parseError) {
-      console.error('Failed to parse PowerShell output:', result.output);
-      throw new Error('Invalid response from AD server');
-    }
-
-    if (!parsedResult.success) {
-      throw new Error(parsedResult.error || 'User creation failed');
-    }
+    const provider = getDirectoryProvider();
+    console.log(`⚡ Creating user via ${provider.name} on AD server:`, AD_SERVER);
+    const user = await provider.createUser({
+      ...userData,
+      password: userData.password || AD_DEFAULT_PASSWORD,
+      organizationalUnit: userData.organizationalUnit || AD_DEFAULT_OU
+    });
 
-    console.log('✅ User created successfully:', parsedResult.user.samAccountName);
+    console.log('✅ User created successfully:', user.samAccountName);
 
     res.json({
       success: true,
       message: 'User created in on-premises Active Directory. Will sync to Azure AD within 30 minutes.',
-      user: parsedResult.user,
+      user,
       syncInfo: {
         method: 'Azure AD Connect',
         estimatedSyncTime: '30 minutes',
@@ -299,10 +134,13 @@ router.get('/config-status', (req, res) => {
     message: configValidation.message || 'On-premises AD integration is configured',
     server: AD_SERVER ? `${AD_SERVER} (configured)` : 'Not configured',
     domain: AD_DOMAIN || 'Not configured',
+    provider: getDirectoryProvider().name,
     defaultOU: AD_DEFAULT_OU,
+    disabledUsersOU: AD_DISABLED_USERS_OU || null,
     capabilities: {
       createUser: configValidation.valid,
-      remoteExecution: configValidation.valid
+      remoteExecution: configValidation.valid,
+      leaverActions: configValidation.valid
     }
   });
 });
@@ -323,25 +161,8 @@ router.post('/test-connection', requireAuth, async (req, res) => {
   }
 
   try {
-    // Simple test script to verify connectivity
-    const testScript = `
-      Import-Module ActiveDirectory
-      $domain = Get-ADDomain
-      @{
-        success = $true
-        domain = $domain.DNSRoot
-        domainController = $domain.PDCEmulator
-      } | ConvertTo-Json
-    `;
-
-    const result = await executeRemotePowerShell(testScript);
-    
-    if (!result.success) {
-      throw new Error(result.error);
-    }
+    const parsed = await getDirectoryProvider().testConnection();
 
-    const parsed = JSON.parse(result.output);
-    
     console.log('✅ AD connection successful');
     res.json({
       success: true,
@@ -374,28 +195,18 @@ router.get('/check-user/:samAccountName', requireAuth, async (req, res) => {
   }
 
   try {
-    const checkScript = `
-      Import-Module ActiveDirectory
-      try {
-        $user = Get-ADUser -Identity "${escapePowerShellString(samAccountName)}" -Properties *
-        @{
-          exists = $true
-          user = @{
-            samAccountName = $user.SamAccountName
-            userPrincipalName = $user.UserPrincipalName
-            displayName = $user.DisplayName
-            enabled = $user.Enabled
+    const user = await getDirectoryProvider().findUser({ samAccountName });
+    res.json(user
+      ? {
+          exists: true,
+          user: {
+            samAccountName: user.samAccountName,
+            userPrincipalName: user.userPrincipalName,
+            displayName: user.displayName,
+            enabled: user.enabled
           }
-        } | ConvertTo-Json
-      } catch {
-        @{ exists = $false } | ConvertTo-Json
-      }
-    `;
-
-    const result = await executeRemotePowerShell(checkScript);
-    const parsed = JSON.parse(result.output);
-    
-    res.json(parsed);
+        }
+      : { exists: false });
 
   } catch (error) {
     console.error('Error checking user:', error);
@@ -406,4 +217,102 @@ router.get('/check-user/:samAccountName', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Run a leaver action for the user named in the request body and send the result
+ * Leaver routes also accept the automation key, so the scheduled offboarding runner can call them
+ */
+async function runLeaverAction(req, res, label, action) {
+  const configValidation = validateADConfig();
+  if (!configValidation.valid) {
+    return res.status(503).json({
+      success: false,
+      error: 'On-premises AD integration not configured',
+      message: configValidation.message
+    });
+  }
+
+  const { userPrincipalName, samAccountName } = req.body;
+  if (!userPrincipalName && !samAccountName) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required fields',
+      message: 'Please provide userPrincipalName or samAccountName'
+    });
+  }
+
+  console.log(`🔷 ${label}:`, samAccountName || userPrincipalName);
+
+  try {
+    const result = await action(getDirectoryProvider(), { userPrincipalName, samAccountName });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error(`❌ ${label} failed:`, error);
+    res.status(500).json({
+      success: false,
+      error: `${label} failed`,
+      message: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/ad/disable-user
+ * Disable a leaver's on-premises account
+ */
+router.post('/disable-user', requireAuthOrAutomationKey, requirePermission('lifecycleExecute'), (req, res) =>
+  runLeaverAction(req, res, 'Disable AD account', (provider, identity) => provider.disableUser(identity))
+);
+
+/**
+ * POST /api/ad/move-to-disabled-ou
+ * Move a leaver to the Disabled Users OU (body targetOU, or AD_DISABLED_USERS_OU)
+ */
+router.post('/move-to-disabled-ou', requireAuthOrAutomationKey, requirePermission('lifecycleExecute'), (req, res) => {
+  const targetOU = req.body.targetOU || AD_DISABLED_USERS_OU;
+  if (!targetOU) {
+    return res.json({
+      success: true,
+      skipped: true,
+      message: 'No Disabled Users OU configured (set AD_DISABLED_USERS_OU)'
+    });
+  }
+  return runLeaverAction(req, res, 'Move to Disabled Users OU', (provider, identity) => provider.moveToOU(identity, targetOU));
+});
+
+/**
+ * POST /api/ad/remove-groups
+ * Remove a leaver from every group except the primary group and AD_RETAINED_GROUPS
+ */
+router.post('/remove-groups', requireAuthOrAutomationKey, requirePermission('lifecycleExecute'), (req, res) =>
+  runLeaverAction(req, res, 'Remove AD group memberships', (provider, identity) => provider.removeGroups(identity, AD_RETAINED_GROUPS))
+);
+
+/**
+ * POST /api/ad/set-leaver-info
+ * Set a leaver's description and/or account expiration date
+ */
+router.post('/set-leaver-info', requireAuthOrAutomationKey, requirePermission('lifecycleExecute'), (req, res) => {
+  const { description, accountExpirationDate } = req.body;
+  if (!description && !accountExpirationDate) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required fields',
+      message: 'Please provide description or accountExpirationDate'
+    });
+  }
+  return runLeaverAction(req, res, 'Set leaver description', (provider, identity) =>
+    provider.setLeaverInfo(identity, { description, accountExpirationDate })
+  );
+});
+
+/**
+ * POST /api/ad/reset-password
+ * Reset a leaver's on-premises password; a random one is generated when none is given
+ */
+router.post('/reset-password', requireAuthOrAutomationKey, requirePermission('lifecycleExecute'), (req, res) =>
+  runLeaverAction(req, res, 'Reset AD password', (provider, identity) =>
+    provider.resetPassword(identity, req.body.password || generateLeaverPassword())
+  )
+);
+
 module.exports = router;
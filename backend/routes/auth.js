@@ -2,15 +2,18 @@ const express = require('express');
 const router = express.Router();
 const axios = require('axios');
 const { encryptCredentials } = require('../utils/encryption');
-const { validateCredentials, createMsalInstance, getAuthorizationUrl, acquireTokenByCode } = require('../services/authService');
+const { resolveRoles } = require('../config/roles');
+const { validateCredentials, createMsalInstance, getAuthorizationUrl, acquireTokenByCode, parseCertificateCredential } = require('../services/authService');
 
 /**
  * POST /api/auth/configure
  * Save Azure AD credentials to user's session (encrypted)
+ * App-only access takes a client secret or a certificate (PEM with its private key);
+ * expiresAt (ISO date) records when a secret lapses, for expiry warnings
  */
 router.post('/configure', async (req, res) => {
     try {
-      const { clientId, tenantId, clientSecret } = req.body;
+      const { clientId, tenantId, clientSecret, certificate, expiresAt } = req.body;
       
       // Manual validation
       const errors = [];
@@ -21,6 +24,19 @@ router.post('/configure', async (req, res) => {
         errors.push({ field: 'tenantId', message: 'Tenant ID is required' });
       }
       
+      if (expiresAt && Number.isNaN(Date.parse(expiresAt))) {
+        errors.push({ field: 'expiresAt', message: 'Expiry must be a date' });
+      }
+
+      let parsedCertificate = null;
+      if (certificate) {
+        try {
+          parsedCertificate = parseCertificateCredential(certificate);
+        } catch (err) {
+          errors.push({ field: 'certificate', message: err.message });
+        }
+      }
+
       if (errors.length > 0) {
         return res.status(400).json({ errors });
       }
@@ -29,7 +45,9 @@ router.post('/configure', async (req, res) => {
       const encryptedCredentials = encryptCredentials({
         clientId,
         tenantId,
-        clientSecret: clientSecret || null
+        clientSecret: parsedCertificate ? null : clientSecret || null,
+        certificate: parsedCertificate?.certificate || null,
+        expiresAt: parsedCertificate?.expiresAt || (clientSecret && expiresAt ? new Date(expiresAt).toISOString() : null)
       });
       
       // Store in session (server-side only)
@@ -46,7 +64,9 @@ router.post('/configure', async (req, res) => {
         res.json({
           success: true,
           message: 'Credentials saved securely',
-          hasSecret: !!clientSecret
+          hasSecret: !!(clientSecret || parsedCertificate),
+          credentialType: parsedCertificate ? 'certificate' : clientSecret ? 'secret' : null,
+          expiresAt: encryptedCredentials.expiresAt
         });
       });
     } catch (error) {
@@ -309,7 +329,7 @@ router.get('/callback', async (req, res) => {
       upn: tokenResponse.account.username,
       preferred_username: tokenResponse.account.username,
       authMode: 'oauth2',
-      roles: tokenResponse.idTokenClaims?.roles || []
+      roles: resolveRoles(tokenResponse.idTokenClaims)
     };
     
     req.session.save((err) => {
@@ -3,7 +3,7 @@ const router = express.Router();
 const { exec } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
-const { requireAuth } = require('../middleware/tenantContext');
+const { requireAuth, requireAuthOrAutomationKey, requirePermission } = require('../middleware/tenantContext');
 
 /**
  * Hybrid Exchange Management Routes
@@ -197,7 +197,7 @@ router.get('/mailbox/:identity', requireAuth, async (req, res) => {
  * POST /api/exchange/create-remote-mailbox
  * Create a remote mailbox (Exchange Online mailbox for on-prem user)
  */
-router.post('/create-remote-mailbox', requireAuth, async (req, res) => {
+router.post('/create-remote-mailbox', requireAuth, requirePermission('lifecycleExecute'), async (req, res) => {
   try {
     const configStatus = validateExchangeConfig();
     if (!configStatus.configured) {
@@ -249,7 +249,7 @@ router.post('/create-remote-mailbox', requireAuth, async (req, res) => {
  * POST /api/exchange/convert-to-shared
  * Convert on-premises mailbox to shared mailbox
  */
-router.post('/convert-to-shared', requireAuth, async (req, res) => {
+router.post('/convert-to-shared', requireAuthOrAutomationKey, requirePermission('mailManagement'), async (req, res) => {
   try {
     const configStatus = validateExchangeConfig();
     if (!configStatus.configured) {
@@ -314,7 +314,7 @@ router.post('/convert-to-shared', requireAuth, async (req, res) => {
  * POST /api/exchange/set-forwarding
  * Set email forwarding for on-premises mailbox
  */
-router.post('/set-forwarding', requireAuth, async (req, res) => {
+router.post('/set-forwarding', requireAuthOrAutomationKey, requirePermission('mailManagement'), async (req, res) => {
   try {
     const configStatus = validateExchangeConfig();
     if (!configStatus.configured) {
@@ -361,7 +361,7 @@ router.post('/set-forwarding', requireAuth, async (req, res) => {
  * POST /api/exchange/set-auto-reply
  * Set automatic reply (out of office) for on-premises mailbox
  */
-router.post('/set-auto-reply', requireAuth, async (req, res) => {
+router.post('/set-auto-reply', requireAuthOrAutomationKey, requirePermission('mailManagement'), async (req, res) => {
   try {
     const configStatus = validateExchangeConfig();
     if (!configStatus.configured) {
@@ -413,7 +413,7 @@ router.post('/set-auto-reply', requireAuth, async (req, res) => {
  * POST /api/exchange/move-to-cloud
  * Initiate mailbox move from on-premises to Exchange Online
  */
-router.post('/move-to-cloud', requireAuth, async (req, res) => {
+router.post('/move-to-cloud', requireAuth, requirePermission('mailManagement'), async (req, res) => {
   try {
     const configStatus = validateExchangeConfig();
     if (!configStatus.configured) {
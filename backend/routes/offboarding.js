@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const offboardingService = require('../services/offboardingService');
-const { requireAuth, getTenantParams } = require('../middleware/tenantContext');
+const tenantCredentialStore = require('../services/tenantCredentialStore');
+const { makeGraphRequest } = require('../services/graphService');
+const { requireAuth, requirePermission, getTenantParams } = require('../middleware/tenantContext');
 
 // Note: requireAuth middleware now comes from tenantContext
 // It provides both authentication check and tenant context extraction
@@ -19,19 +21,21 @@ router.get('/scheduled', requireAuth, async (req, res) => {
 });
 
 // POST /api/offboarding/scheduled
-router.post('/scheduled', requireAuth, async (req, res) => {
+router.post('/scheduled', requireAuth, requirePermission('lifecycleRequest'), async (req, res) => {
   try {
-    const { tenantId, sessionId } = getTenantParams(req);
+    const { tenantId, sessionId, userId } = getTenantParams(req);
     const created = await offboardingService.create(req.body, tenantId, sessionId);
+    // The runner has no session when the schedule comes due, so keep the app credentials for it
+    await tenantCredentialStore.saveFromSession(tenantId, req.session.credentials, userId || sessionId);
     res.status(201).json(created);
   } catch (err) {
     console.error('Error creating scheduled offboarding:', err);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // PUT /api/offboarding/scheduled/:id
-router.put('/scheduled/:id', requireAuth, async (req, res) => {
+router.put('/scheduled/:id', requireAuth, requirePermission('lifecycleRequest'), async (req, res) => {
   try {
     const { tenantId, sessionId } = getTenantParams(req);
     const updated = await offboardingService.update(req.params.id, req.body, tenantId, sessionId);
@@ -39,12 +43,12 @@ router.put('/scheduled/:id', requireAuth, async (req, res) => {
     res.json(updated);
   } catch (err) {
     console.error('Error updating scheduled offboarding:', err);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // DELETE /api/offboarding/scheduled/:id
-router.delete('/scheduled/:id', requireAuth, async (req, res) => {
+router.delete('/scheduled/:id', requireAuth, requirePermission('lifecycleRequest'), async (req, res) => {
   try {
     const { tenantId, sessionId } = getTenantParams(req);
     const ok = await offboardingService.remove(req.params.id, tenantId, sessionId);
@@ -52,20 +56,37 @@ router.delete('/scheduled/:id', requireAuth, async (req, res) => {
     res.json({ success: true });
   } catch (err) {
     console.error('Error deleting scheduled offboarding:', err);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // POST /api/offboarding/scheduled/:id/execute
-router.post('/scheduled/:id/execute', requireAuth, async (req, res) => {
+router.post('/scheduled/:id/execute', requireAuth, requirePermission('lifecycleExecute'), async (req, res) => {
   try {
-    const { tenantId, sessionId } = getTenantParams(req);
-    const executed = await offboardingService.execute(req.params.id, tenantId, sessionId);
+    const { tenantId, sessionId, userId } = getTenantParams(req);
+    // Actions run with the signed-in session's Graph credentials
+    const graph = (endpoint, method, data, useBeta) => makeGraphRequest(req.session, endpoint, method, data, useBeta);
+    const executed = await offboardingService.execute(req.params.id, tenantId, sessionId, {
+      graph,
+      executedBy: userId || sessionId
+    });
     if (!executed) return res.status(404).json({ error: 'Not found or access denied' });
-    // In a real implementation this would enqueue a workflow
     res.json(executed);
   } catch (err) {
     console.error('Error executing scheduled offboarding:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// GET /api/offboarding/scheduled/:id/executions
+router.get('/scheduled/:id/executions', requireAuth, async (req, res) => {
+  try {
+    const { tenantId, sessionId } = getTenantParams(req);
+    const executions = await offboardingService.listExecutionLogs(req.params.id, tenantId, sessionId);
+    if (!executions) return res.status(404).json({ error: 'Not found or access denied' });
+    res.json(executions);
+  } catch (err) {
+    console.error('Error fetching offboarding executions:', err);
     res.status(500).json({ error: err.message });
   }
 });
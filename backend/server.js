@@ -16,6 +16,7 @@ const adRoutes = require('./routes/ad');
 const exchangeRoutes = require('./routes/exchange');
 const offboardingRoutes = require('./routes/offboarding');
 const clerkProxyRoutes = require('./routes/clerk-proxy');
+const offboardingRunner = require('./services/offboardingRunner');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -270,11 +271,19 @@ Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3000'}
   if (!process.env.ENCRYPTION_KEY) {
     console.warn('⚠️  WARNING: ENCRYPTION_KEY not set. Using generated key (not suitable for production)');
   }
+
+  // Serverless deployments set OFFBOARDING_RUNNER=false and run `npm run worker` instead
+  if (process.env.OFFBOARDING_RUNNER !== 'false') {
+    offboardingRunner.start();
+  }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  offboardingRunner.stop().then(() => {
+    console.log('Offboarding runner stopped');
+  });
   app.close(() => {
     console.log('HTTP server closed');
   });
@@ -1,12 +1,44 @@
+const crypto = require('crypto');
 const { ConfidentialClientApplication } = require('@azure/msal-node');
 const { decryptCredentials } = require('../utils/encryption');
 
+/**
+ * Read a PEM bundle holding an app registration's certificate and its private key
+ * @param {string} pem - Certificate and unencrypted private key, both PEM
+ * @returns {Object} - { certificate: { privateKey, thumbprint }, expiresAt }
+ */
+function parseCertificateCredential(pem) {
+  const certificateBlock = pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/);
+  const keyBlock = pem.match(/-----BEGIN (?:RSA |ENCRYPTED )?PRIVATE KEY-----[\s\S]+?-----END (?:RSA |ENCRYPTED )?PRIVATE KEY-----/);
+  if (!certificateBlock || !keyBlock) {
+    throw new Error('Paste the certificate and its private key, both in PEM format');
+  }
+  if (keyBlock[0].includes('ENCRYPTED')) {
+    throw new Error('Remove the passphrase from the private key before uploading it');
+  }
+
+  const certificate = new crypto.X509Certificate(certificateBlock[0]);
+  const privateKey = crypto.createPrivateKey(keyBlock[0]);
+  if (!certificate.checkPrivateKey(privateKey)) {
+    throw new Error('The private key does not belong to this certificate');
+  }
+
+  return {
+    certificate: {
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }).toString(),
+      thumbprint: certificate.fingerprint.replace(/:/g, '')
+    },
+    expiresAt: new Date(certificate.validTo).toISOString()
+  };
+}
+
 /**
  * Create MSAL instance for a specific user session
  * @param {Object} credentials - User's Azure AD credentials
  * @param {string} credentials.clientId - Azure AD Client ID
  * @param {string} credentials.tenantId - Azure AD Tenant ID
  * @param {string} credentials.clientSecret - Azure AD Client Secret (encrypted)
+ * @param {Object} credentials.certificate - Certificate used instead of a secret (private key encrypted)
  * @returns {ConfidentialClientApplication} - MSAL instance
  */
 function createMsalInstance(credentials) {
@@ -17,7 +49,8 @@ function createMsalInstance(credentials) {
     auth: {
       clientId: decrypted.clientId,
       authority: `https://login.microsoftonline.com/${decrypted.tenantId}`,
-      clientSecret: decrypted.clientSecret || undefined,
+      clientSecret: decrypted.certificate ? undefined : decrypted.clientSecret || undefined,
+      clientCertificate: decrypted.certificate || undefined,
     },
     system: {
       loggerOptions: {
@@ -136,6 +169,7 @@ async function acquireTokenByCode(msalInstance, code, redirectUri, scopes) {
 }
 
 module.exports = {
+  parseCertificateCredential,
   createMsalInstance,
   getAccessToken,
   validateCredentials,
@@ -0,0 +1,68 @@
+/**
+ * Directory Provider Selection
+ *
+ * The /api/ad routes work against a directory provider rather than a transport.
+ * Every provider implements the same operations:
+ *
+ *   validateConfig()                       -> names of missing settings
+ *   testConnection()                       -> { domain, domainController }
+ *   findUser(identity)                     -> user or null
+ *   createUser(userData)                   -> user
+ *   disableUser(identity)                  -> { message, skipped? }
+ *   moveToOU(identity, targetOU)           -> { message, skipped?, previousOU? }
+ *   removeGroups(identity, retainedGroups) -> { message, removed, kept }
+ *   setLeaverInfo(identity, info)          -> { message }
+ *   resetPassword(identity, password)      -> { message }
+ *
+ * An identity is { samAccountName } or { userPrincipalName }; samAccountName wins when both are given.
+ * AD_PROVIDER picks the implementation: "powershell" (default) or "ldap".
+ */
+
+const { createLdapProvider } = require('./ldapDirectoryProvider');
+const { createPowerShellProvider } = require('./powershellDirectoryProvider');
+
+let provider = null;
+
+function buildConfig() {
+  const {
+    AD_SERVER,
+    AD_USERNAME,
+    AD_PASSWORD,
+    AD_DOMAIN,
+    AD_LDAP_URL,
+    AD_BIND_DN,
+    AD_BASE_DN,
+    AD_LDAP_CA_CERT,
+    AD_LDAP_REJECT_UNAUTHORIZED
+  } = process.env;
+
+  return {
+    server: AD_SERVER,
+    username: AD_USERNAME,
+    password: AD_PASSWORD,
+    domain: AD_DOMAIN,
+    url: AD_LDAP_URL || (AD_SERVER ? `ldaps://${AD_SERVER}:636` : undefined),
+    // AD accepts the down-level DOMAIN\user name in a simple bind
+    bindDN: AD_BIND_DN || (AD_DOMAIN && AD_USERNAME ? `${AD_DOMAIN}\\${AD_USERNAME}` : undefined),
+    baseDN: AD_BASE_DN,
+    caCertPath: AD_LDAP_CA_CERT,
+    rejectUnauthorized: AD_LDAP_REJECT_UNAUTHORIZED !== 'false'
+  };
+}
+
+/**
+ * Get the configured directory provider
+ */
+function getDirectoryProvider() {
+  if (!provider) {
+    const config = buildConfig();
+    provider = (process.env.AD_PROVIDER || 'powershell').toLowerCase() === 'ldap'
+      ? createLdapProvider(config)
+      : createPowerShellProvider(config);
+  }
+  return provider;
+}
+
+module.exports = {
+  getDirectoryProvider
+};
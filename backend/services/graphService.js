@@ -14,6 +14,7 @@ const GRAPH_API_BETA = 'https://graph.microsoft.com/beta';
  * @returns {Promise<Object>} - API response
  */
 async function makeGraphRequest(session, endpoint, method = 'GET', data = null, useBeta = false) {
+  let accessToken;
   try {
     // Get credentials from session
     if (!session.credentials) {
@@ -24,12 +25,35 @@ async function makeGraphRequest(session, endpoint, method = 'GET', data = null,
     const msalInstance = createMsalInstance(session.credentials);
     
     // Get access token
-    const accessToken = await getAccessToken(
+    accessToken = await getAccessToken(
       msalInstance,
       ['https://graph.microsoft.com/.default'],
       session.account || null
     );
-    
+  } catch (error) {
+    console.error('Graph API request error:', error.message);
+    throw {
+      status: 500,
+      message: error.message,
+      code: 'UnknownError'
+    };
+  }
+
+  return makeGraphRequestWithToken(accessToken, endpoint, method, data, useBeta);
+}
+
+/**
+ * Make a request to Microsoft Graph API with a token the caller already holds,
+ * e.g. an app-only token for background work that has no session
+ * @param {string} accessToken - Graph access token
+ * @param {string} endpoint - Graph API endpoint (e.g., '/users')
+ * @param {string} method - HTTP method (GET, POST, PUT, PATCH, DELETE)
+ * @param {Object} data - Request body (optional)
+ * @param {boolean} useBeta - Use beta endpoint (default: false)
+ * @returns {Promise<Object>} - API response
+ */
+async function makeGraphRequestWithToken(accessToken, endpoint, method = 'GET', data = null, useBeta = false) {
+  try {
     // Make request to Graph API
     const baseUrl = useBeta ? GRAPH_API_BETA : GRAPH_API_BASE;
     const url = `${baseUrl}${endpoint}`;
@@ -162,6 +186,7 @@ async function listManagedDevices(session, options = {}) {
 
 module.exports = {
   makeGraphRequest,
+  makeGraphRequestWithToken,
   getUser,
   listUsers,
   createUser,
@@ -0,0 +1,315 @@
+/**
+ * LDAPS Directory Provider
+ *
+ * Talks to Active Directory over LDAP on TLS, so the backend can run from a Linux
+ * container without powershell.exe. Every operation opens a connection, binds as the
+ * service account, and unbinds when done.
+ *
+ * AD only accepts password changes (unicodePwd) over an encrypted connection,
+ * so use an ldaps:// URL.
+ */
+
+const fs = require('fs');
+const { AndFilter, Attribute, Change, Client, EqualityFilter } = require('ldapts');
+
+// userAccountControl flags
+const UAC_ACCOUNTDISABLE = 0x0002;
+const UAC_NORMAL_ACCOUNT = 0x0200;
+const UAC_DONT_EXPIRE_PASSWORD = 0x10000;
+
+// Milliseconds between 1601-01-01 (the Windows FILETIME epoch) and the Unix epoch
+const FILETIME_EPOCH_OFFSET = 11644473600000;
+
+const USER_ATTRIBUTES = [
+  'sAMAccountName',
+  'userPrincipalName',
+  'displayName',
+  'mail',
+  'department',
+  'title',
+  'userAccountControl',
+  'memberOf',
+  'whenCreated'
+];
+
+function first(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function asArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Escape a value for use in a DN component (RFC 4514)
+ */
+function escapeDNValue(value) {
+  return value
+    .replace(/[\\,+"<>;=]/g, '\\$&')
+    .replace(/^[ #]/, '\\$&')
+    .replace(/ $/, '\\ ');
+}
+
+/**
+ * Split a DN into its first RDN and its parent, honouring escaped commas
+ */
+function splitDN(dn) {
+  const match = dn.match(/^((?:[^,\\]|\\.)+),(.*)$/);
+  return match ? { rdn: match[1], parent: match[2] } : { rdn: dn, parent: '' };
+}
+
+// The value of a DN's first RDN, e.g. the group name in CN=Finance,OU=Groups,...
+function rdnValue(dn) {
+  return splitDN(dn).rdn.replace(/^[^=]+=/, '').replace(/\\(.)/g, '$1');
+}
+
+// AD takes a new password as the UTF-16LE encoding of the quoted string
+function encodePassword(password) {
+  return Buffer.from(`"${password}"`, 'utf16le');
+}
+
+function toFileTime(date) {
+  return String((new Date(date).getTime() + FILETIME_EPOCH_OFFSET) * 10000);
+}
+
+function replace(type, values) {
+  return new Change({
+    operation: 'replace',
+    modification: new Attribute({ type, values: Array.isArray(values) ? values : [values] })
+  });
+}
+
+function describeUser(entry) {
+  const uac = parseInt(first(entry.userAccountControl), 10) || 0;
+  return {
+    distinguishedName: entry.dn,
+    samAccountName: first(entry.sAMAccountName),
+    userPrincipalName: first(entry.userPrincipalName),
+    displayName: first(entry.displayName),
+    email: first(entry.mail),
+    enabled: (uac & UAC_ACCOUNTDISABLE) === 0,
+    created: first(entry.whenCreated),
+    department: first(entry.department),
+    title: first(entry.title)
+  };
+}
+
+function createLdapProvider(config) {
+  async function withClient(operation) {
+    const client = new Client({
+      url: config.url,
+      timeout: 30000,
+      connectTimeout: 10000,
+      tlsOptions: {
+        ca: config.caCertPath ? [fs.readFileSync(config.caCertPath)] : undefined,
+        rejectUnauthorized: config.rejectUnauthorized
+      }
+    });
+
+    try {
+      await client.bind(config.bindDN, config.password);
+      return await operation(client);
+    } finally {
+      await client.unbind().catch(() => {});
+    }
+  }
+
+  async function findEntry(client, identity) {
+    const filters = [new EqualityFilter({ attribute: 'objectClass', value: 'user' })];
+    if (identity.samAccountName) {
+      filters.push(new EqualityFilter({ attribute: 'sAMAccountName', value: identity.samAccountName }));
+    } else {
+      filters.push(new EqualityFilter({ attribute: 'userPrincipalName', value: identity.userPrincipalName }));
+    }
+
+    const { searchEntries } = await client.search(config.baseDN, {
+      scope: 'sub',
+      filter: new AndFilter({ filters }),
+      attributes: USER_ATTRIBUTES,
+      sizeLimit: 2
+    });
+    return searchEntries[0] || null;
+  }
+
+  async function requireEntry(client, identity) {
+    const entry = await findEntry(client, identity);
+    if (!entry) {
+      throw new Error('User not found in on-premises Active Directory');
+    }
+    return entry;
+  }
+
+  return {
+    name: 'LDAPS',
+
+    validateConfig() {
+      const missing = [];
+      if (!config.url) missing.push('AD_LDAP_URL (or AD_SERVER)');
+      if (!config.bindDN) missing.push('AD_BIND_DN (or AD_USERNAME and AD_DOMAIN)');
+      if (!config.password) missing.push('AD_PASSWORD');
+      if (!config.baseDN) missing.push('AD_BASE_DN');
+      return missing;
+    },
+
+    testConnection: () => withClient(async (client) => {
+      const { searchEntries } = await client.search('', {
+        scope: 'base',
+        filter: '(objectClass=*)',
+        attributes: ['defaultNamingContext', 'dnsHostName']
+      });
+      const rootDSE = searchEntries[0] || {};
+      const namingContext = first(rootDSE.defaultNamingContext) || config.baseDN;
+      return {
+        domain: namingContext.split(',').map(part => part.replace(/^DC=/i, '')).join('.'),
+        domainController: first(rootDSE.dnsHostName) || config.url
+      };
+    }),
+
+    findUser: (identity) => withClient(async (client) => {
+      const entry = await findEntry(client, identity);
+      return entry ? describeUser(entry) : null;
+    }),
+
+    createUser: (userData) => withClient(async (client) => {
+      const {
+        firstName,
+        lastName,
+        displayName,
+        email,
+        userPrincipalName,
+        samAccountName,
+        password,
+        organizationalUnit,
+        department,
+        jobTitle,
+        officeLocation,
+        phoneNumber,
+        mobilePhone,
+        manager,
+        description,
+        enabled = true,
+        changePasswordAtLogon = true,
+        passwordNeverExpires = false
+      } = userData;
+
+      const name = displayName || `${firstName} ${lastName}`;
+      const dn = `CN=${escapeDNValue(name)},${organizationalUnit}`;
+
+      const attributes = {
+        objectClass: ['top', 'person', 'organizationalPerson', 'user'],
+        cn: name,
+        givenName: firstName,
+        sn: lastName,
+        displayName: name,
+        sAMAccountName: samAccountName || email.split('@')[0],
+        userPrincipalName,
+        mail: email,
+        // Created disabled; AD will not enable an account until it has a password
+        userAccountControl: String(UAC_NORMAL_ACCOUNT | UAC_ACCOUNTDISABLE)
+      };
+      if (department) attributes.department = department;
+      if (jobTitle) attributes.title = jobTitle;
+      if (officeLocation) attributes.physicalDeliveryOfficeName = officeLocation;
+      if (phoneNumber) attributes.telephoneNumber = phoneNumber;
+      if (mobilePhone) attributes.mobile = mobilePhone;
+      if (description) attributes.description = description;
+      if (manager) {
+        const managerEntry = await requireEntry(client, manager.includes('@')
+          ? { userPrincipalName: manager }
+          : { samAccountName: manager });
+        attributes.manager = managerEntry.dn;
+      }
+
+      await client.add(dn, attributes);
+
+      let uac = UAC_NORMAL_ACCOUNT;
+      if (!enabled) uac |= UAC_ACCOUNTDISABLE;
+      if (passwordNeverExpires) uac |= UAC_DONT_EXPIRE_PASSWORD;
+
+      await client.modify(dn, [
+        replace('unicodePwd', encodePassword(password)),
+        replace('userAccountControl', String(uac)),
+        // 0 forces a change at next logon, -1 marks the password as just set
+        replace('pwdLastSet', changePasswordAtLogon ? '0' : '-1')
+      ]);
+
+      return describeUser(await requireEntry(client, { samAccountName: attributes.sAMAccountName }));
+    }),
+
+    disableUser: (identity) => withClient(async (client) => {
+      const entry = await requireEntry(client, identity);
+      const uac = parseInt(first(entry.userAccountControl), 10) || UAC_NORMAL_ACCOUNT;
+      if (uac & UAC_ACCOUNTDISABLE) {
+        return { skipped: true, message: 'Account is already disabled' };
+      }
+
+      await client.modify(entry.dn, replace('userAccountControl', String(uac | UAC_ACCOUNTDISABLE)));
+      return { message: 'Account disabled in on-premises Active Directory' };
+    }),
+
+    moveToOU: (identity, targetOU) => withClient(async (client) => {
+      const entry = await requireEntry(client, identity);
+      const { rdn, parent } = splitDN(entry.dn);
+      if (parent.toLowerCase() === targetOU.toLowerCase()) {
+        return { skipped: true, message: `Already in ${targetOU}` };
+      }
+
+      await client.modifyDN(entry.dn, `${rdn},${targetOU}`);
+      return { message: `Moved to ${targetOU}`, previousOU: parent };
+    }),
+
+    removeGroups: (identity, retainedGroups) => withClient(async (client) => {
+      // The primary group (normally Domain Users) is not in memberOf and cannot be removed
+      const entry = await requireEntry(client, identity);
+      const removed = [];
+      const kept = [];
+
+      for (const groupDN of asArray(entry.memberOf)) {
+        const groupName = rdnValue(groupDN);
+        if (retainedGroups.includes(groupName)) {
+          kept.push(groupName);
+          continue;
+        }
+
+        await client.modify(groupDN, new Change({
+          operation: 'delete',
+          modification: new Attribute({ type: 'member', values: [entry.dn] })
+        }));
+        removed.push(groupName);
+      }
+
+      return { message: `Removed from ${removed.length} group(s)`, removed, kept };
+    }),
+
+    setLeaverInfo: (identity, { description, accountExpirationDate }) => withClient(async (client) => {
+      const entry = await requireEntry(client, identity);
+      const changes = [];
+      const updated = [];
+      if (description) {
+        changes.push(replace('description', description));
+        updated.push('description');
+      }
+      if (accountExpirationDate) {
+        changes.push(replace('accountExpires', toFileTime(accountExpirationDate)));
+        updated.push('account expiry');
+      }
+
+      await client.modify(entry.dn, changes);
+      return { message: `Updated ${updated.join(', ')}` };
+    }),
+
+    resetPassword: (identity, password) => withClient(async (client) => {
+      const entry = await requireEntry(client, identity);
+      await client.modify(entry.dn, [
+        replace('unicodePwd', encodePassword(password)),
+        replace('pwdLastSet', '-1')
+      ]);
+      return { message: 'Password reset to a random value' };
+    })
+  };
+}
+
+module.exports = {
+  createLdapProvider
+};
@@ -0,0 +1,151 @@
+/**
+ * LDAPS provider integration tests
+ *
+ * These run against a real Samba AD DC (see "Test Against a Local Directory" in
+ * ON_PREM_AD_SETUP.md) and are skipped when AD_LDAP_URL is not set. Each run
+ * works inside its own OUs and deletes them afterwards.
+ */
+
+const fs = require('fs');
+const { Client } = require('ldapts');
+const { createLdapProvider } = require('./ldapDirectoryProvider');
+
+const {
+  AD_LDAP_URL,
+  AD_BIND_DN,
+  AD_PASSWORD,
+  AD_BASE_DN,
+  AD_LDAP_CA_CERT,
+  AD_LDAP_REJECT_UNAUTHORIZED
+} = process.env;
+
+const describeWithDirectory = AD_LDAP_URL ? describe : describe.skip;
+
+describeWithDirectory('LDAPS directory provider', () => {
+  const config = {
+    url: AD_LDAP_URL,
+    bindDN: AD_BIND_DN,
+    password: AD_PASSWORD,
+    baseDN: AD_BASE_DN,
+    caCertPath: AD_LDAP_CA_CERT,
+    rejectUnauthorized: AD_LDAP_REJECT_UNAUTHORIZED !== 'false'
+  };
+  const provider = createLdapProvider(config);
+
+  const runId = Date.now().toString(36);
+  const joinersOU = `OU=Joiners ${runId},${AD_BASE_DN}`;
+  const leaversOU = `OU=Leavers ${runId},${AD_BASE_DN}`;
+  const samAccountName = `it${runId}`;
+  const identity = { samAccountName };
+
+  // Setup and cleanup need operations the provider does not offer, so they use their own connection
+  async function withAdminClient(operation) {
+    const client = new Client({
+      url: config.url,
+      tlsOptions: {
+        ca: config.caCertPath ? [fs.readFileSync(config.caCertPath)] : undefined,
+        rejectUnauthorized: config.rejectUnauthorized
+      }
+    });
+    try {
+      await client.bind(config.bindDN, config.password);
+      return await operation(client);
+    } finally {
+      await client.unbind().catch(() => {});
+    }
+  }
+
+  async function readAttribute(attribute) {
+    return withAdminClient(async (client) => {
+      const { searchEntries } = await client.search(config.baseDN, {
+        scope: 'sub',
+        filter: `(sAMAccountName=${samAccountName})`,
+        attributes: [attribute]
+      });
+      return searchEntries[0][attribute];
+    });
+  }
+
+  beforeAll(() => withAdminClient(async (client) => {
+    for (const ou of [joinersOU, leaversOU]) {
+      await client.add(ou, { objectClass: ['top', 'organizationalUnit'] });
+    }
+  }));
+
+  afterAll(() => withAdminClient(async (client) => {
+    for (const ou of [joinersOU, leaversOU]) {
+      const { searchEntries } = await client.search(ou, { scope: 'one', attributes: ['dn'] }).catch(() => ({ searchEntries: [] }));
+      for (const entry of searchEntries) {
+        await client.del(entry.dn);
+      }
+      await client.del(ou).catch(() => {});
+    }
+  }));
+
+  it('binds and reports the domain', async () => {
+    expect(provider.validateConfig()).toEqual([]);
+    const { domain } = await provider.testConnection();
+    expect(domain.toLowerCase()).toBe(
+      AD_BASE_DN.split(',').map(part => part.replace(/^DC=/i, '')).join('.').toLowerCase()
+    );
+  });
+
+  it('creates an enabled user', async () => {
+    const user = await provider.createUser({
+      firstName: 'Integration',
+      lastName: runId,
+      email: `${samAccountName}@example.test`,
+      userPrincipalName: `${samAccountName}@example.test`,
+      samAccountName,
+      password: `Tmp-${runId}-Pa55word!`,
+      organizationalUnit: joinersOU,
+      department: 'IT',
+      jobTitle: 'Test Engineer'
+    });
+
+    expect(user).toMatchObject({
+      distinguishedName: `CN=Integration ${runId},${joinersOU}`,
+      samAccountName,
+      department: 'IT',
+      title: 'Test Engineer',
+      enabled: true
+    });
+  });
+
+  it('finds the user by sAMAccountName or UPN and returns null for unknown users', async () => {
+    expect(await provider.findUser(identity)).toMatchObject({ samAccountName });
+    expect(await provider.findUser({ userPrincipalName: `${samAccountName}@example.test` }))
+      .toMatchObject({ samAccountName });
+    expect(await provider.findUser({ samAccountName: `missing${runId}` })).toBeNull();
+  });
+
+  it('updates the description and account expiry', async () => {
+    await provider.setLeaverInfo(identity, {
+      description: `Leaver ${runId}`,
+      accountExpirationDate: '2030-01-01'
+    });
+
+    expect(await readAttribute('description')).toBe(`Leaver ${runId}`);
+    expect(await readAttribute('accountExpires')).not.toBe('0');
+  });
+
+  it('moves the user and skips a move to the OU it is already in', async () => {
+    const result = await provider.moveToOU(identity, leaversOU);
+    expect(result.previousOU.toLowerCase()).toBe(joinersOU.toLowerCase());
+    expect((await provider.findUser(identity)).distinguishedName).toBe(`CN=Integration ${runId},${leaversOU}`);
+
+    expect(await provider.moveToOU(identity, leaversOU)).toMatchObject({ skipped: true });
+  });
+
+  it('disables the user once', async () => {
+    expect(await provider.disableUser(identity)).not.toHaveProperty('skipped');
+    expect((await provider.findUser(identity)).enabled).toBe(false);
+
+    expect(await provider.disableUser(identity)).toMatchObject({ skipped: true });
+  });
+
+  it('reports operations on a missing user as errors', async () => {
+    await expect(provider.disableUser({ samAccountName: `missing${runId}` }))
+      .rejects.toThrow('User not found in on-premises Active Directory');
+  });
+});
@@ -0,0 +1,320 @@
+/**
+ * Offboarding Executor
+ *
+ * Carries out the actions of a scheduled offboarding against Microsoft Graph, in the
+ * same order and with the same result shape as the Convex runner
+ * (convex/offboardingAutomation.ts), so both backends produce comparable execution logs.
+ *
+ * Graph access is passed in as a request function with the signature of
+ * graphService.makeGraphRequest minus the session:
+ *
+ *   graph(endpoint, method = 'GET', data = null, useBeta = false) -> response body
+ *
+ * so the caller decides whose token is used.
+ */
+
+const crypto = require('crypto');
+
+// Device actions already queued in Intune; sending another would fail
+const PENDING_DEVICE_STATES = ['retirePending', 'retireIssued', 'wipePending', 'wipeIssued', 'deletePending'];
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function buildActionResult(action, status, message, details) {
+  return {
+    action,
+    status,
+    message,
+    timestamp: new Date().toISOString(),
+    details
+  };
+}
+
+function generateSecurePassword() {
+  // 24 random bytes with a fixed suffix that covers every complexity class
+  return `${crypto.randomBytes(24).toString('base64')}aA1!`;
+}
+
+/**
+ * Split the user's groups into those an offboarding may leave and those it must not touch
+ */
+async function classifyUserGroups(graph, userId) {
+  const memberOf = await graph(
+    `/users/${userId}/memberOf?$select=id,displayName,mailEnabled,securityEnabled,groupTypes,onPremisesSyncEnabled`
+  );
+  const groups = (memberOf.value || []).filter(entry => entry['@odata.type']?.toLowerCase().includes('group'));
+
+  const removable = [];
+  const skipped = [];
+  for (const group of groups) {
+    const name = group.displayName || group.id;
+    if (group.onPremisesSyncEnabled === true) {
+      skipped.push({ name, reason: 'On-premises synced group' });
+    } else if ((group.groupTypes || []).includes('DynamicMembership')) {
+      skipped.push({ name, reason: 'Dynamic membership group' });
+    } else if (group.mailEnabled === true && group.securityEnabled === true) {
+      skipped.push({ name, reason: 'Mail-enabled security group' });
+    } else if (group.mailEnabled === true && group.securityEnabled === false) {
+      skipped.push({ name, reason: 'Distribution list' });
+    } else {
+      removable.push({ id: group.id, name });
+    }
+  }
+
+  return { removable, skipped };
+}
+
+/**
+ * Steps in execution order; each returns one or more action results
+ * Mailbox conversion and forwarding, OneDrive backup and transfer, and device wipes need
+ * the Convex runner (mailbox providers, drive manifests, second-admin wipe approval) and
+ * are reported as skipped here rather than silently dropped
+ */
+const STEPS = [
+  {
+    id: 'disableAccount',
+    enabled: actions => !!actions.disableAccount,
+    run: async ({ graph, userId }) => {
+      await graph(`/users/${userId}`, 'PATCH', { accountEnabled: false });
+      return [buildActionResult('disableAccount', 'success', 'Account disabled')];
+    }
+  },
+  {
+    id: 'revokeAccess',
+    enabled: actions => !!actions.revokeAccess,
+    run: async ({ graph, userId }) => {
+      await graph(`/users/${userId}/revokeSignInSessions`, 'POST', {});
+      return [buildActionResult('revokeAccess', 'success', 'User sessions revoked')];
+    }
+  },
+  {
+    id: 'resetPassword',
+    enabled: actions => !!actions.resetPassword,
+    run: async ({ graph, userId }) => {
+      await graph(`/users/${userId}`, 'PATCH', {
+        passwordProfile: {
+          password: generateSecurePassword(),
+          forceChangePasswordNextSignIn: false
+        }
+      });
+      return [buildActionResult('resetPassword', 'success', 'Password reset successfully')];
+    }
+  },
+  {
+    id: 'removeAuthMethods',
+    enabled: actions => !!actions.removeAuthMethods,
+    run: async ({ graph, userId }) => {
+      const methods = (await graph(`/users/${userId}/authentication/methods`)).value || [];
+
+      let removedCount = 0;
+      for (const method of methods) {
+        // The password method cannot be deleted
+        if (method['@odata.type'] === '#microsoft.graph.passwordAuthenticationMethod') continue;
+
+        const methodType = method['@odata.type']?.replace('#microsoft.graph.', '').replace('AuthenticationMethod', '');
+        try {
+          await graph(`/users/${userId}/authentication/${methodType}Methods/${method.id}`, 'DELETE');
+          removedCount++;
+        } catch {
+          // Continue on individual failures
+        }
+      }
+
+      return removedCount > 0
+        ? [buildActionResult('removeAuthMethods', 'success', `Removed ${removedCount} authentication method(s)`)]
+        : [buildActionResult('removeAuthMethods', 'skipped', 'No removable authentication methods')];
+    }
+  },
+  {
+    id: 'setAutoReply',
+    enabled: actions => !!(actions.setAutoReply && actions.autoReplyMessage),
+    run: async ({ graph, userId, actions }) => {
+      await graph(`/users/${userId}/mailboxSettings`, 'PATCH', {
+        automaticRepliesSetting: {
+          status: 'alwaysEnabled',
+          internalReplyMessage: actions.autoReplyMessage,
+          externalReplyMessage: actions.autoReplyMessage
+        }
+      });
+      return [buildActionResult('setAutoReply', 'success', 'Automatic reply set')];
+    }
+  },
+  {
+    id: 'setEmailForwarding',
+    enabled: actions => !!(actions.setEmailForwarding && actions.forwardingAddress),
+    run: async () => [buildActionResult('setEmailForwarding', 'skipped', 'Mail forwarding needs a mailbox provider, which this backend does not have')]
+  },
+  {
+    id: 'convertToSharedMailbox',
+    enabled: actions => !!actions.convertToSharedMailbox,
+    run: async () => [buildActionResult('convertToSharedMailbox', 'skipped', 'Shared mailbox conversion needs a mailbox provider, which this backend does not have')]
+  },
+  {
+    id: 'backupData',
+    enabled: actions => !!actions.backupData,
+    run: async () => [buildActionResult('backupData', 'skipped', 'OneDrive backup runs only in the Convex runner')]
+  },
+  {
+    id: 'transferFiles',
+    enabled: actions => !!(actions.transferFiles && actions.newFileOwner),
+    run: async () => [buildActionResult('transferFiles', 'skipped', 'OneDrive transfer runs only in the Convex runner')]
+  },
+  {
+    id: 'revokeLicenses',
+    enabled: actions => !!actions.revokeLicenses,
+    run: async ({ graph, userId }) => {
+      const licenses = (await graph(`/users/${userId}/licenseDetails`)).value || [];
+      if (licenses.length === 0) {
+        return [buildActionResult('revokeLicenses', 'skipped', 'No licenses to revoke')];
+      }
+
+      await graph(`/users/${userId}/assignLicense`, 'POST', {
+        addLicenses: [],
+        removeLicenses: licenses.map(license => license.skuId)
+      });
+      return [buildActionResult('revokeLicenses', 'success', `Revoked ${licenses.length} license(s)`)];
+    }
+  },
+  {
+    id: 'removeFromGroups',
+    enabled: actions => !!actions.removeFromGroups,
+    run: async ({ graph, userId }) => {
+      const { removable, skipped } = await classifyUserGroups(graph, userId);
+
+      const removed = [];
+      for (const group of removable) {
+        try {
+          await graph(`/groups/${group.id}/members/${userId}/$ref`, 'DELETE');
+          removed.push(group.name);
+        } catch (err) {
+          skipped.push({ name: group.name, reason: `Failed: ${err.message}` });
+        }
+      }
+
+      let message = `Removed from ${removed.length} group(s)`;
+      if (skipped.length > 0) {
+        message += `, skipped ${skipped.length}`;
+      }
+      const detailParts = [];
+      if (removed.length > 0) {
+        detailParts.push(`Removed: ${removed.join(', ')}`);
+      }
+      if (skipped.length > 0) {
+        detailParts.push(`Skipped: ${skipped.map(group => `${group.name} (${group.reason})`).join(', ')}`);
+      }
+
+      const status = skipped.length > 0 && removed.length > 0 ? 'warning' : 'success';
+      return [buildActionResult('removeFromGroups', status, message, detailParts.join(' | ') || undefined)];
+    }
+  },
+  {
+    id: 'removeFromTeams',
+    enabled: actions => !!actions.removeFromTeams,
+    run: async () => [buildActionResult('removeFromTeams', 'skipped', 'Teams removal handled via group removal')]
+  },
+  {
+    id: 'removeFromApps',
+    enabled: actions => !!actions.removeFromApps,
+    run: async ({ graph, userId }) => {
+      const assignments = (await graph(`/users/${userId}/appRoleAssignments`)).value || [];
+      if (assignments.length === 0) {
+        return [buildActionResult('removeFromApps', 'skipped', 'No app assignments to remove')];
+      }
+
+      let removedCount = 0;
+      for (const assignment of assignments) {
+        try {
+          await graph(`/users/${userId}/appRoleAssignments/${assignment.id}`, 'DELETE');
+          removedCount++;
+        } catch {
+          // Continue on individual failures
+        }
+      }
+      return [buildActionResult('removeFromApps', 'success', `Removed ${removedCount} app assignment(s)`)];
+    }
+  },
+  {
+    // removeDevices and removeApps are carried out by retiring the device, as in Convex
+    id: 'manageDevices',
+    enabled: actions => !!(actions.retireDevices || actions.removeApps || actions.removeDevices || actions.wipeDevices),
+    run: async ({ graph, userId, actions }) => {
+      const results = [];
+      const retireRequested = !!(actions.retireDevices || actions.removeApps || actions.removeDevices);
+
+      if (actions.wipeDevices) {
+        results.push(buildActionResult(
+          'wipeDevices',
+          'warning',
+          'Wipe not sent: wipes need a second administrator\'s approval, which only the Convex runner records',
+          retireRequested ? 'Devices were retired instead' : undefined
+        ));
+      }
+      if (!retireRequested) {
+        return results;
+      }
+
+      const devices = (await graph(`/users/${userId}/managedDevices?$select=id,deviceName,operatingSystem,managementState`)).value || [];
+      if (devices.length === 0) {
+        results.push(buildActionResult('retireDevices', 'skipped', 'No managed devices enrolled'));
+        return results;
+      }
+
+      for (const device of devices) {
+        const describe = `${device.operatingSystem || 'Unknown OS'} (${device.id})`;
+        if (PENDING_DEVICE_STATES.includes(device.managementState)) {
+          results.push(buildActionResult('retireDevices', 'skipped', `${device.deviceName} already has a ${device.managementState} action`, describe));
+          continue;
+        }
+
+        try {
+          await graph(`/deviceManagement/managedDevices/${device.id}/retire`, 'POST', {});
+          results.push(buildActionResult('retireDevices', 'success', `Retired ${device.deviceName}`, describe));
+        } catch (err) {
+          results.push(buildActionResult('retireDevices', 'error', `${device.deviceName}: ${err.message}`, describe));
+        }
+      }
+      return results;
+    }
+  }
+];
+
+/**
+ * Run every enabled action of a scheduled offboarding
+ * A failing step is recorded and the run continues with the next one
+ *
+ * @param {Object} schedule - Schedule as returned by offboardingService
+ * @param {Function} graph - Graph request function (see above)
+ * @param {Function} [onResult] - Called with each result as it is produced, e.g. to persist it
+ * @returns {Promise<Object[]>} Action results
+ */
+async function runOffboardingActions(schedule, graph, onResult = async () => {}) {
+  // Group membership removal needs the object ID, so a UPN is resolved first
+  const userId = GUID_PATTERN.test(schedule.user.id)
+    ? schedule.user.id
+    : (await graph(`/users/${encodeURIComponent(schedule.user.id)}?$select=id`)).id;
+  const context = { graph, userId, actions: schedule.actions || {} };
+  const results = [];
+
+  for (const step of STEPS) {
+    if (!step.enabled(context.actions)) {
+      continue;
+    }
+
+    let stepResults;
+    try {
+      stepResults = await step.run(context);
+    } catch (err) {
+      stepResults = [buildActionResult(step.id, 'error', err.message || 'Unknown error')];
+    }
+
+    for (const result of stepResults) {
+      results.push(result);
+      await onResult(result);
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  runOffboardingActions
+};
@@ -0,0 +1,220 @@
+/**
+ * Scheduled Offboarding Runner
+ *
+ * Background job runner for deployments without Convex. Every poll it fails runs
+ * abandoned by a stopped process, claims due schedules (see offboardingService.claimDue,
+ * safe with several instances polling), and runs each one with an app-only Graph token
+ * for its tenant, acquired through authService from the stored tenant credentials.
+ *
+ * Concurrency is capped per process (OFFBOARDING_RUNNER_CONCURRENCY) and per tenant
+ * (OFFBOARDING_RUNNER_TENANT_CONCURRENCY), so one large batch cannot exhaust a tenant's
+ * Graph throttling budget or hold every slot.
+ *
+ * Started by server.js unless OFFBOARDING_RUNNER=false; it needs a long-running process,
+ * so serverless deployments run it on its own with `npm run worker`.
+ */
+
+const { createMsalInstance, getAccessToken } = require('./authService');
+const { makeGraphRequestWithToken } = require('./graphService');
+const offboardingService = require('./offboardingService');
+const tenantCredentialStore = require('./tenantCredentialStore');
+
+const POLL_INTERVAL_MS = parseInt(process.env.OFFBOARDING_RUNNER_INTERVAL_MS) || 60 * 1000;
+const CONCURRENCY = parseInt(process.env.OFFBOARDING_RUNNER_CONCURRENCY) || 4;
+const TENANT_CONCURRENCY = parseInt(process.env.OFFBOARDING_RUNNER_TENANT_CONCURRENCY) || 2;
+// A run holding its claim longer than this is taken to have died with its process
+const RUN_TIMEOUT_MS = parseInt(process.env.OFFBOARDING_RUNNER_TIMEOUT_MS) || 30 * 60 * 1000;
+
+const WORKER_ID = `runner:${offboardingService.WORKER_ID}`;
+
+let active = false;
+let timer = null;
+let polling = null;
+let running = 0;
+const inFlight = new Set();
+const tenantQueues = new Map();
+// One MSAL client per tenant, so its token cache is reused across runs
+const msalClients = new Map();
+
+/**
+ * Run tasks for one tenant at most TENANT_CONCURRENCY at a time
+ */
+function runForTenant(tenantId, task) {
+  if (!tenantQueues.has(tenantId)) {
+    tenantQueues.set(tenantId, { active: 0, waiting: [] });
+  }
+  const queue = tenantQueues.get(tenantId);
+
+  const next = () => {
+    if (queue.active >= TENANT_CONCURRENCY || queue.waiting.length === 0) {
+      if (queue.active === 0 && queue.waiting.length === 0) {
+        tenantQueues.delete(tenantId);
+      }
+      return;
+    }
+    queue.active++;
+    const { start, resolve } = queue.waiting.shift();
+    start().finally(() => {
+      queue.active--;
+      next();
+    }).then(resolve);
+  };
+
+  return new Promise(resolve => {
+    queue.waiting.push({ start: task, resolve });
+    next();
+  });
+}
+
+/**
+ * Graph request function for a tenant, authenticated app-only
+ */
+async function createTenantGraph(tenantId) {
+  const credentials = await tenantCredentialStore.load(tenantId);
+  const cacheKey = `${tenantId}:${credentials.clientId}:${credentials.certificate?.thumbprint || credentials.clientSecret}`;
+  if (!msalClients.has(tenantId) || msalClients.get(tenantId).cacheKey !== cacheKey) {
+    msalClients.set(tenantId, { cacheKey, client: createMsalInstance(credentials) });
+  }
+  const { client } = msalClients.get(tenantId);
+
+  // Asked for on every request; MSAL answers from its cache until the token nears expiry
+  return async (endpoint, method, data, useBeta) =>
+    makeGraphRequestWithToken(await getAccessToken(client), endpoint, method, data, useBeta);
+}
+
+/**
+ * Run one claimed schedule and log its outcome
+ * A failure to authenticate is recorded as a failed run rather than thrown
+ */
+async function runClaimed(schedule) {
+  const label = `${schedule.user.displayName || schedule.user.id} (${schedule.id})`;
+  const started = Date.now();
+
+  let graph;
+  try {
+    graph = await createTenantGraph(schedule.tenantId);
+  } catch (err) {
+    console.error(`❌ [Offboarding runner] Cannot authenticate for ${label}:`, err.message);
+    // The failure is recorded through the executor like any other failed run
+    graph = async () => {
+      throw new Error(`App-only authentication failed: ${err.message}`);
+    };
+  }
+
+  const { schedule: finished, execution } = await offboardingService.runExecution(schedule, graph, {
+    executedBy: offboardingService.SYSTEM_EXECUTOR,
+    executionType: 'scheduled'
+  });
+
+  console.log(JSON.stringify({
+    event: 'offboarding.run',
+    worker: WORKER_ID,
+    offboardingId: schedule.id,
+    tenantId: schedule.tenantId,
+    executionId: execution.id,
+    status: finished.status,
+    attempt: schedule.attempts,
+    durationMs: Date.now() - started,
+    successfulActions: execution.successfulActions,
+    failedActions: execution.failedActions,
+    skippedActions: execution.skippedActions,
+    error: execution.error || undefined
+  }));
+}
+
+function track(schedule) {
+  running++;
+  const job = runForTenant(schedule.tenantId, () => runClaimed(schedule))
+    .catch(err => {
+      // Recording the run itself failed; failAbandoned picks the schedule up after RUN_TIMEOUT_MS
+      console.error(`❌ [Offboarding runner] Run of ${schedule.id} could not be recorded:`, err.message);
+    })
+    .finally(() => {
+      running--;
+      inFlight.delete(job);
+    });
+  inFlight.add(job);
+}
+
+/**
+ * One poll: fail abandoned runs, then claim as many due schedules as there are free slots
+ * @returns {Promise<number>} Schedules claimed
+ */
+async function poll() {
+  const abandoned = await offboardingService.failAbandoned(RUN_TIMEOUT_MS);
+  if (abandoned > 0) {
+    console.warn(`⚠️  [Offboarding runner] Failed ${abandoned} run(s) abandoned by a stopped process`);
+  }
+
+  const free = CONCURRENCY - running;
+  if (free <= 0) {
+    return 0;
+  }
+
+  const claimed = await offboardingService.claimDue(free, WORKER_ID);
+  claimed.forEach(track);
+  return claimed.length;
+}
+
+function schedulePoll() {
+  timer = setTimeout(async () => {
+    polling = poll()
+      .catch(err => console.error('❌ [Offboarding runner] Poll failed:', err.message))
+      .finally(() => {
+        polling = null;
+      });
+    await polling;
+    if (active) {
+      schedulePoll();
+    }
+  }, POLL_INTERVAL_MS);
+}
+
+/**
+ * Start polling for due offboardings
+ */
+function start() {
+  if (active) {
+    return;
+  }
+  if (!process.env.DATABASE_URL) {
+    console.log('⚠️  Offboarding runner not started: DATABASE_URL is not set');
+    return;
+  }
+
+  console.log(`✅ Offboarding runner ${WORKER_ID} polling every ${POLL_INTERVAL_MS / 1000}s (${CONCURRENCY} at a time, ${TENANT_CONCURRENCY} per tenant)`);
+  active = true;
+  schedulePoll();
+}
+
+/**
+ * Stop polling and wait for runs in progress to finish
+ */
+async function stop() {
+  if (!active) {
+    return;
+  }
+  active = false;
+  clearTimeout(timer);
+  timer = null;
+  await polling;
+  await Promise.all([...inFlight]);
+}
+
+module.exports = {
+  start,
+  stop,
+  poll
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  start();
+
+  const shutdown = signal => {
+    console.log(`${signal} received: finishing offboarding runs in progress`);
+    stop().then(() => process.exit(0));
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
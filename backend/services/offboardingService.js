@@ -1,100 +1,120 @@
-const { Pool } = require('pg');
+/**
+ * Scheduled offboarding store for the Neon/Postgres backend
+ *
+ * Mirrors scheduled_offboarding and offboarding_execution_logs in convex/schema.ts.
+ * The tables come from the migrations in db/migrations; actions are the same flags the
+ * Convex runner reads, and each run is written to the execution log action by action.
+ */
 
-let pool = null;
+const os = require('os');
+const { ready, withTransaction } = require('../db');
+const { runOffboardingActions } = require('./offboardingExecutor');
 
-// Initialize database connection using environment variable
-function getPool() {
-  if (!pool) {
-    if (!process.env.DATABASE_URL) {
-      throw new Error('DATABASE_URL environment variable is required');
-    }
-    
-    pool = new Pool({
-      connectionString: process.env.DATABASE_URL,
-      ssl: {
-        rejectUnauthorized: false // Neon uses SSL
-      },
-      max: 20,
-      idleTimeoutMillis: 30000,
-      connectionTimeoutMillis: 10000,
-    });
-  }
-  return pool;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Same as DEFAULT_ACTIONS in convex/offboarding.ts
+const DEFAULT_ACTIONS = {
+  disableAccount: true,
+  revokeAccess: true,
+  removeFromGroups: true,
+  convertToSharedMailbox: false,
+  backupData: true,
+  removeDevices: true
+};
+
+// Action flags and their values, as offboardingActions in convex/offboarding.ts
+const ACTION_FIELDS = {
+  disableAccount: 'boolean',
+  resetPassword: 'boolean',
+  revokeAccess: 'boolean',
+  revokeLicenses: 'boolean',
+  removeFromGroups: 'boolean',
+  removeFromTeams: 'boolean',
+  removeFromApps: 'boolean',
+  removeAuthMethods: 'boolean',
+  forwardEmail: 'string',
+  convertToSharedMailbox: 'boolean',
+  setEmailForwarding: 'boolean',
+  forwardingAddress: 'string',
+  setAutoReply: 'boolean',
+  autoReplyMessage: 'string',
+  backupData: 'boolean',
+  transferFiles: 'boolean',
+  newFileOwner: 'string',
+  fileTransferMode: 'string',
+  removeDevices: 'boolean',
+  removeApps: 'boolean',
+  wipeDevices: 'boolean',
+  retireDevices: 'boolean'
+};
+
+// Statuses a run may start from; a failed run can be executed again
+const EXECUTABLE_STATUSES = ['scheduled', 'failed'];
+
+// Recorded as executed_by for runs started by the background runner, as in Convex
+const SYSTEM_EXECUTOR = 'system-cron';
+// Identifies this process in locked_by
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+function requestError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
 }
 
-// Initialize the scheduled_offboardings table
-async function initializeTable() {
-  const pool = getPool();
-  const createTableQuery = `
-    CREATE TABLE IF NOT EXISTS scheduled_offboardings (
-      id VARCHAR(255) PRIMARY KEY,
-      tenant_id VARCHAR(255) NOT NULL,
-      session_id VARCHAR(255) NOT NULL,
-      created_by VARCHAR(255),
-      user_id VARCHAR(255) NOT NULL,
-      user_display_name VARCHAR(500),
-      user_email VARCHAR(500),
-      scheduled_date DATE NOT NULL,
-      scheduled_time TIME NOT NULL,
-      scheduled_date_time TIMESTAMPTZ,
-      template VARCHAR(100) NOT NULL,
-      status VARCHAR(50) DEFAULT 'scheduled',
-      manager_email VARCHAR(500),
-      notify_manager BOOLEAN DEFAULT true,
-      notify_user BOOLEAN DEFAULT true,
-      custom_message TEXT,
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      executed_at TIMESTAMPTZ,
-      updated_at TIMESTAMPTZ DEFAULT NOW()
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_scheduled_offboardings_tenant ON scheduled_offboardings (tenant_id);
-    CREATE INDEX IF NOT EXISTS idx_scheduled_offboardings_session ON scheduled_offboardings (session_id);
-    CREATE INDEX IF NOT EXISTS idx_scheduled_offboardings_status ON scheduled_offboardings (status);
-    CREATE INDEX IF NOT EXISTS idx_scheduled_offboardings_scheduled_date ON scheduled_offboardings (scheduled_date_time);
-    CREATE INDEX IF NOT EXISTS idx_scheduled_offboardings_user_id ON scheduled_offboardings (user_id);
-    CREATE INDEX IF NOT EXISTS idx_scheduled_offboardings_tenant_status ON scheduled_offboardings (tenant_id, status);
-  `;
+function requireTenant(tenantId, sessionId) {
+  if (!tenantId || !sessionId) {
+    throw new Error('Tenant ID and Session ID are required for multi-tenant operations');
+  }
+}
 
+function isTimezone(timezone) {
   try {
-    await pool.query(createTableQuery);
-    console.log('✅ Scheduled offboardings table initialized with multi-tenant support');
-  } catch (err) {
-    console.error('❌ Failed to initialize scheduled offboardings table:', err.message);
-    throw err;
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
   }
 }
 
-async function list(tenantId, sessionId) {
-  if (!tenantId || !sessionId) {
-    throw new Error('Tenant ID and Session ID are required for multi-tenant operations');
+function validateSchedule({ scheduledDate, scheduledTime, timezone }) {
+  if (scheduledDate !== undefined && !DATE_PATTERN.test(scheduledDate)) {
+    throw requestError(400, 'scheduledDate must be YYYY-MM-DD');
+  }
+  if (scheduledTime !== undefined && !TIME_PATTERN.test(scheduledTime)) {
+    throw requestError(400, 'scheduledTime must be HH:mm');
+  }
+  if (timezone !== undefined && !isTimezone(timezone)) {
+    throw requestError(400, `Unknown timezone: ${timezone}`);
+  }
+}
+
+function validateActions(actions) {
+  if (typeof actions !== 'object' || actions === null || Array.isArray(actions)) {
+    throw requestError(400, 'actions must be an object');
+  }
+
+  for (const [name, value] of Object.entries(actions)) {
+    if (!ACTION_FIELDS[name]) {
+      throw requestError(400, `Unknown action: ${name}`);
+    }
+    if (value !== undefined && value !== null && typeof value !== ACTION_FIELDS[name]) {
+      throw requestError(400, `${name} must be a ${ACTION_FIELDS[name]}`);
+    }
+  }
+  if (actions.fileTransferMode && !['grant', 'copy'].includes(actions.fileTransferMode)) {
+    throw requestError(400, 'fileTransferMode must be grant or copy');
   }
+  return actions;
+}
+
+async function list(tenantId, sessionId) {
+  requireTenant(tenantId, sessionId);
+  const pool = await ready();
 
-  const pool = getPool();
-  await initializeTable();
-  
   const query = `
-    SELECT 
-      id,
-      tenant_id,
-      session_id,
-      created_by,
-      user_id,
-      user_display_name,
-      user_email,
-      scheduled_date,
-      scheduled_time,
-      scheduled_date_time,
-      template,
-      status,
-      manager_email,
-      notify_manager,
-      notify_user,
-      custom_message,
-      created_at,
-      executed_at,
-      updated_at
-    FROM scheduled_offboardings
+    SELECT * FROM scheduled_offboardings
     WHERE tenant_id = $1 AND (session_id = $2 OR created_by = $3)
     ORDER BY scheduled_date_time ASC
   `;
@@ -104,50 +124,47 @@ async function list(tenantId, sessionId) {
 }
 
 async function get(id, tenantId, sessionId) {
-  if (!tenantId || !sessionId) {
-    throw new Error('Tenant ID and Session ID are required for multi-tenant operations');
-  }
+  requireTenant(tenantId, sessionId);
+  const pool = await ready();
 
-  const pool = getPool();
-  await initializeTable();
-  
   const query = `
-    SELECT * FROM scheduled_offboardings 
+    SELECT * FROM scheduled_offboardings
     WHERE id = $1 AND tenant_id = $2 AND (session_id = $3 OR created_by = $4)
   `;
-  
+
   const result = await pool.query(query, [id, tenantId, sessionId, sessionId]);
   return result.rows.length > 0 ? formatScheduleFromDb(result.rows[0]) : null;
 }
 
 async function create(schedule, tenantId, sessionId) {
-  if (!tenantId || !sessionId) {
-    throw new Error('Tenant ID and Session ID are required for multi-tenant operations');
-  }
+  requireTenant(tenantId, sessionId);
 
-  const pool = getPool();
-  await initializeTable();
-  
-  const id = Date.now().toString() + Math.floor(Math.random() * 1000);
-  const now = new Date().toISOString();
-  
   // Extract user info from the user object if provided
   const user = schedule.user || {};
   const userId = schedule.userId || user.id;
-  const userDisplayName = user.displayName || schedule.userDisplayName;
-  const userEmail = user.mail || user.email || schedule.userEmail;
-  
-  // Parse scheduled date/time
-  const scheduledDateTime = schedule.scheduledDateTime || 
-    (schedule.scheduledDate && schedule.scheduledTime ? 
-      `${schedule.scheduledDate}T${schedule.scheduledTime}:00Z` : null);
+  const timezone = schedule.timezone || 'UTC';
+  if (!userId) {
+    throw requestError(400, 'userId is required');
+  }
+  if (!schedule.scheduledDate || !schedule.scheduledTime) {
+    throw requestError(400, 'scheduledDate and scheduledTime are required');
+  }
+  validateSchedule({ scheduledDate: schedule.scheduledDate, scheduledTime: schedule.scheduledTime, timezone });
+  const actions = schedule.actions ? validateActions(schedule.actions) : DEFAULT_ACTIONS;
+
+  const pool = await ready();
+  const id = Date.now().toString() + Math.floor(Math.random() * 1000);
 
+  // The wall-clock date and time are converted to an instant in the user's timezone
   const query = `
     INSERT INTO scheduled_offboardings (
-      id, tenant_id, session_id, created_by, user_id, user_display_name, user_email, 
-      scheduled_date, scheduled_time, scheduled_date_time, template, status, 
-      manager_email, notify_manager, notify_user, custom_message, created_at
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      id, tenant_id, session_id, created_by, user_id, user_principal_name, user_display_name, user_email,
+      department, job_title, scheduled_date, scheduled_time, timezone, scheduled_date_time, template, status,
+      manager_email, notify_manager, notify_user, custom_message, notes, actions
+    ) VALUES (
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11::date, $12::time, $13::text,
+      ($11::date + $12::time) AT TIME ZONE $13::text, $14, 'scheduled', $15, $16, $17, $18, $19, $20
+    )
     RETURNING *
   `;
 
@@ -157,18 +174,21 @@ async function create(schedule, tenantId, sessionId) {
     sessionId,
     sessionId, // created_by is the session ID
     userId,
-    userDisplayName,
-    userEmail,
+    user.userPrincipalName || schedule.userPrincipalName,
+    user.displayName || schedule.userDisplayName,
+    user.mail || user.email || schedule.userEmail,
+    user.department || schedule.department,
+    user.jobTitle || schedule.jobTitle,
     schedule.scheduledDate,
     schedule.scheduledTime,
-    scheduledDateTime,
+    timezone,
     schedule.template || 'standard',
-    'scheduled',
     schedule.managerEmail,
     schedule.notifyManager !== false,
     schedule.notifyUser !== false,
     schedule.customMessage,
-    now
+    schedule.notes,
+    JSON.stringify(actions)
   ];
 
   const result = await pool.query(query, values);
@@ -176,19 +196,21 @@ async function create(schedule, tenantId, sessionId) {
 }
 
 async function update(id, updates, tenantId, sessionId) {
-  if (!tenantId || !sessionId) {
-    throw new Error('Tenant ID and Session ID are required for multi-tenant operations');
-  }
+  requireTenant(tenantId, sessionId);
 
-  const pool = getPool();
-  await initializeTable();
-  
   // First verify the record exists and belongs to this tenant/session
   const existing = await get(id, tenantId, sessionId);
   if (!existing) {
     return null;
   }
-  
+  if (existing.status !== 'scheduled') {
+    throw requestError(409, `Cannot change an offboarding that is ${existing.status}`);
+  }
+  validateSchedule(updates);
+  if (updates.actions !== undefined) {
+    validateActions(updates.actions);
+  }
+
   // Build dynamic update query
   const updateFields = [];
   const values = [id, tenantId]; // $1 will be the id, $2 will be tenant_id
@@ -196,21 +218,21 @@ async function update(id, updates, tenantId, sessionId) {
 
   // Add fields that can be updated
   const allowedFields = [
-    'scheduled_date', 'scheduled_time', 'scheduled_date_time', 'template',
-    'manager_email', 'notify_manager', 'notify_user', 'custom_message'
+    'scheduled_date', 'scheduled_time', 'timezone', 'template', 'manager_email',
+    'notify_manager', 'notify_user', 'custom_message', 'notes', 'actions'
   ];
 
   for (const field of allowedFields) {
     const camelField = field.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
     if (updates[camelField] !== undefined) {
       updateFields.push(`${field} = $${paramIndex}`);
-      values.push(updates[camelField]);
+      values.push(field === 'actions' ? JSON.stringify(updates.actions) : updates[camelField]);
       paramIndex++;
     }
   }
 
   if (updateFields.length === 0) {
-    throw new Error('No valid fields to update');
+    throw requestError(400, 'No valid fields to update');
   }
 
   // Add updated_at timestamp
@@ -220,63 +242,240 @@ async function update(id, updates, tenantId, sessionId) {
   values.push(sessionId); // for session_id check
   values.push(sessionId); // for created_by check
 
-  const query = `
-    UPDATE scheduled_offboardings 
-    SET ${updateFields.join(', ')}
-    WHERE id = $1 AND tenant_id = $2 AND (session_id = $${paramIndex} OR created_by = $${paramIndex + 1})
-    RETURNING *
-  `;
+  return withTransaction(async client => {
+    const result = await client.query(`
+      UPDATE scheduled_offboardings
+      SET ${updateFields.join(', ')}
+      WHERE id = $1 AND tenant_id = $2 AND status = 'scheduled'
+        AND (session_id = $${paramIndex} OR created_by = $${paramIndex + 1})
+      RETURNING id
+    `, values);
+    if (result.rows.length === 0) {
+      return null;
+    }
 
-  const result = await pool.query(query, values);
-  return result.rows.length > 0 ? formatScheduleFromDb(result.rows[0]) : null;
+    // Recompute the instant from whichever of date, time and timezone changed
+    const rescheduled = await client.query(`
+      UPDATE scheduled_offboardings
+      SET scheduled_date_time = (scheduled_date + scheduled_time) AT TIME ZONE timezone
+      WHERE id = $1
+      RETURNING *
+    `, [id]);
+    return formatScheduleFromDb(rescheduled.rows[0]);
+  });
 }
 
 async function remove(id, tenantId, sessionId) {
-  if (!tenantId || !sessionId) {
-    throw new Error('Tenant ID and Session ID are required for multi-tenant operations');
-  }
+  requireTenant(tenantId, sessionId);
+  const pool = await ready();
 
-  const pool = getPool();
-  await initializeTable();
-  
   // First verify the record exists and belongs to this tenant/session
   const existing = await get(id, tenantId, sessionId);
   if (!existing) {
     return false;
   }
-  
+  if (existing.status === 'in-progress') {
+    throw requestError(409, 'Cannot delete an offboarding while it is running');
+  }
+
+  // Execution logs are kept; their offboarding_id is cleared by the foreign key
   const query = `
-    DELETE FROM scheduled_offboardings 
+    DELETE FROM scheduled_offboardings
     WHERE id = $1 AND tenant_id = $2 AND (session_id = $3 OR created_by = $4)
   `;
   const result = await pool.query(query, [id, tenantId, sessionId, sessionId]);
   return result.rowCount > 0;
 }
 
-async function execute(id, tenantId, sessionId) {
-  if (!tenantId || !sessionId) {
-    throw new Error('Tenant ID and Session ID are required for multi-tenant operations');
-  }
+/**
+ * Run a scheduled offboarding now
+ * @param {Object} options
+ * @param {Function} options.graph - Graph request function used for the actions (see offboardingExecutor)
+ * @param {string} options.executedBy - Who started the run
+ * @returns {Promise<Object|null>} { schedule, execution }, or null when not found
+ */
+async function execute(id, tenantId, sessionId, { graph, executedBy }) {
+  requireTenant(tenantId, sessionId);
+  const pool = await ready();
 
-  const pool = getPool();
-  await initializeTable();
-  
   // First verify the record exists and belongs to this tenant/session
   const existing = await get(id, tenantId, sessionId);
   if (!existing) {
     return null;
   }
-  
-  const executedAt = new Date().toISOString();
-  const query = `
-    UPDATE scheduled_offboardings 
-    SET status = 'completed', executed_at = $2, updated_at = NOW()
-    WHERE id = $1 AND tenant_id = $3 AND (session_id = $4 OR created_by = $5)
+
+  // Claim the record so a second request, or the runner, cannot start the same run
+  const claimed = await pool.query(`
+    UPDATE scheduled_offboardings
+    SET status = 'in-progress', executed_by = $3, locked_by = $5, locked_at = NOW(),
+      attempts = attempts + 1, error = NULL, updated_at = NOW()
+    WHERE id = $1 AND tenant_id = $2 AND status = ANY($4)
     RETURNING *
-  `;
+  `, [id, tenantId, executedBy, EXECUTABLE_STATUSES, `api:${WORKER_ID}`]);
+  if (claimed.rows.length === 0) {
+    throw requestError(409, `Cannot execute an offboarding that is ${existing.status}`);
+  }
 
-  const result = await pool.query(query, [id, executedAt, tenantId, sessionId, sessionId]);
-  return result.rows.length > 0 ? formatScheduleFromDb(result.rows[0]) : null;
+  return runExecution(formatScheduleFromDb(claimed.rows[0]), graph, { executedBy, executionType: 'immediate' });
+}
+
+/**
+ * Run the actions of a claimed (in-progress) schedule and record the outcome
+ * Each action result is written as soon as it is known, so an interrupted run still
+ * shows what it changed
+ */
+async function runExecution(schedule, graph, { executedBy, executionType }) {
+  const pool = await ready();
+
+  const logResult = await pool.query(`
+    INSERT INTO offboarding_execution_logs (
+      tenant_id, session_id, offboarding_id, target_user_id, target_user_name, target_user_email,
+      executed_by, execution_type, start_time, status
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), 'in-progress')
+    RETURNING *
+  `, [
+    schedule.tenantId,
+    schedule.sessionId,
+    schedule.id,
+    schedule.user.id,
+    schedule.user.displayName || schedule.user.userPrincipalName || schedule.user.id,
+    schedule.user.mail || schedule.user.userPrincipalName || '',
+    executedBy,
+    executionType
+  ]);
+  const logId = logResult.rows[0].id;
+
+  let results = [];
+  let error = null;
+  try {
+    results = await runOffboardingActions(schedule, graph, result => pool.query(`
+      INSERT INTO offboarding_execution_actions (log_id, action, status, message, details, timestamp)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [logId, result.action, result.status, result.message, result.details, result.timestamp]));
+  } catch (err) {
+    error = err.message || 'Unknown error';
+  }
+
+  const count = status => results.filter(result => result.status === status).length;
+  const failedActions = count('error');
+  const status = error || failedActions > 0 ? 'failed' : 'completed';
+  error = error || (failedActions > 0 ? 'One or more actions failed' : null);
+
+  const [finishedLog, finishedSchedule] = await withTransaction(async client => {
+    const log = await client.query(`
+      UPDATE offboarding_execution_logs
+      SET end_time = NOW(), status = $2, total_actions = $3, successful_actions = $4,
+        failed_actions = $5, skipped_actions = $6, error = $7
+      WHERE id = $1
+      RETURNING *
+    `, [logId, status, results.length, count('success'), failedActions, count('skipped'), error]);
+
+    const updated = await client.query(`
+      UPDATE scheduled_offboardings
+      SET status = $2, executed_at = NOW(), error = $3, locked_by = NULL, locked_at = NULL, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [schedule.id, status, error]);
+
+    return [log.rows[0], updated.rows[0]];
+  });
+
+  return {
+    // The schedule may have been deleted while it ran
+    schedule: finishedSchedule ? formatScheduleFromDb(finishedSchedule) : { ...schedule, status, error },
+    execution: formatLogFromDb(finishedLog, results)
+  };
+}
+
+/**
+ * Claim schedules whose time has come, oldest first, for one runner
+ * SKIP LOCKED lets several backend instances poll at once: rows another instance is
+ * claiming are passed over instead of waited on, so every schedule runs exactly once
+ * @param {number} limit - How many to claim
+ * @param {string} workerId - Runner instance taking them
+ * @returns {Promise<Object[]>} Claimed schedules, now in-progress
+ */
+async function claimDue(limit, workerId) {
+  const pool = await ready();
+  const result = await pool.query(`
+    WITH due AS (
+      SELECT id FROM scheduled_offboardings
+      WHERE status = 'scheduled' AND scheduled_date_time <= NOW()
+      ORDER BY scheduled_date_time ASC
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    UPDATE scheduled_offboardings s
+    SET status = 'in-progress', executed_by = $2, locked_by = $3, locked_at = NOW(),
+      attempts = s.attempts + 1, error = NULL, updated_at = NOW()
+    FROM due
+    WHERE s.id = due.id
+    RETURNING s.*
+  `, [limit, SYSTEM_EXECUTOR, workerId]);
+
+  return result.rows.map(formatScheduleFromDb);
+}
+
+/**
+ * Fail runs whose process stopped mid-run, so they do not stay in-progress forever
+ * Their execution logs keep the actions that were recorded before the stop
+ * @param {number} timeoutMs - How long a run may hold its claim
+ * @returns {Promise<number>} Runs failed
+ */
+async function failAbandoned(timeoutMs) {
+  const error = 'The run stopped before it finished; execute it again to retry';
+
+  return withTransaction(async client => {
+    const abandoned = await client.query(`
+      UPDATE scheduled_offboardings
+      SET status = 'failed', error = $2, locked_by = NULL, locked_at = NULL, updated_at = NOW()
+      WHERE status = 'in-progress' AND locked_at < NOW() - make_interval(secs => $1)
+      RETURNING id
+    `, [timeoutMs / 1000, error]);
+    if (abandoned.rows.length === 0) {
+      return 0;
+    }
+
+    await client.query(`
+      UPDATE offboarding_execution_logs
+      SET status = 'failed', end_time = NOW(), error = $2
+      WHERE status = 'in-progress' AND offboarding_id = ANY($1)
+    `, [abandoned.rows.map(row => row.id), error]);
+    return abandoned.rows.length;
+  });
+}
+
+/**
+ * Execution logs of one offboarding, newest first, with their action results
+ */
+async function listExecutionLogs(id, tenantId, sessionId) {
+  requireTenant(tenantId, sessionId);
+  const pool = await ready();
+
+  const existing = await get(id, tenantId, sessionId);
+  if (!existing) {
+    return null;
+  }
+
+  const logs = await pool.query(`
+    SELECT * FROM offboarding_execution_logs
+    WHERE offboarding_id = $1 AND tenant_id = $2
+    ORDER BY start_time DESC
+  `, [id, tenantId]);
+  if (logs.rows.length === 0) {
+    return [];
+  }
+
+  const actions = await pool.query(`
+    SELECT * FROM offboarding_execution_actions
+    WHERE log_id = ANY($1)
+    ORDER BY id ASC
+  `, [logs.rows.map(log => log.id)]);
+
+  return logs.rows.map(log => formatLogFromDb(
+    log,
+    actions.rows.filter(action => action.log_id === log.id).map(formatActionFromDb)
+  ));
 }
 
 // Helper function to format database row to match frontend expectations
@@ -288,29 +487,76 @@ function formatScheduleFromDb(row) {
     createdBy: row.created_by,
     user: {
       id: row.user_id,
+      userPrincipalName: row.user_principal_name,
       displayName: row.user_display_name,
-      mail: row.user_email
+      mail: row.user_email,
+      department: row.department,
+      jobTitle: row.job_title
     },
     scheduledDate: row.scheduled_date,
-    scheduledTime: row.scheduled_time,
+    scheduledTime: row.scheduled_time?.slice(0, 5),
+    timezone: row.timezone,
     scheduledDateTime: row.scheduled_date_time,
     template: row.template,
     status: row.status,
+    actions: row.actions,
     managerEmail: row.manager_email,
     notifyManager: row.notify_manager,
     notifyUser: row.notify_user,
     customMessage: row.custom_message,
+    notes: row.notes,
     createdAt: row.created_at,
     executedAt: row.executed_at,
+    executedBy: row.executed_by,
+    error: row.error,
+    attempts: row.attempts,
     updatedAt: row.updated_at
   };
 }
 
+function formatActionFromDb(row) {
+  return {
+    action: row.action,
+    status: row.status,
+    message: row.message,
+    timestamp: row.timestamp,
+    details: row.details || undefined
+  };
+}
+
+function formatLogFromDb(row, actions) {
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    offboardingId: row.offboarding_id,
+    targetUserId: row.target_user_id,
+    targetUserName: row.target_user_name,
+    targetUserEmail: row.target_user_email,
+    executedBy: row.executed_by,
+    executionType: row.execution_type,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    status: row.status,
+    totalActions: row.total_actions,
+    successfulActions: row.successful_actions,
+    failedActions: row.failed_actions,
+    skippedActions: row.skipped_actions,
+    actions,
+    error: row.error
+  };
+}
+
 module.exports = {
+  SYSTEM_EXECUTOR,
+  WORKER_ID,
   list,
   get,
   create,
   update,
   remove,
-  execute
+  execute,
+  runExecution,
+  claimDue,
+  failAbandoned,
+  listExecutionLogs
 };
@@ -0,0 +1,383 @@
+/**
+ * PowerShell Remoting Directory Provider
+ *
+ * Runs ActiveDirectory module cmdlets on a domain controller over PowerShell remoting.
+ * Needs a Windows host with powershell.exe. The service password and the remote
+ * script are handed to PowerShell through the child's environment, so neither
+ * appears on the command line or in the process table.
+ */
+
+const { execFile } = require('child_process');
+const util = require('util');
+const execFilePromise = util.promisify(execFile);
+
+/**
+ * Escape PowerShell special characters
+ */
+function escapePowerShellString(str) {
+  if (!str) return '';
+  return str.replace(/[\$`'"]/g, '`$&');
+}
+
+/**
+ * Build PowerShell script for creating AD user
+ */
+function buildCreateUserScript(userData) {
+  const {
+    firstName,
+    lastName,
+    displayName,
+    email,
+    userPrincipalName,
+    samAccountName,
+    password,
+    organizationalUnit,
+    department,
+    jobTitle,
+    officeLocation,
+    phoneNumber,
+    mobilePhone,
+    manager,
+    description,
+    enabled = true,
+    changePasswordAtLogon = true,
+    passwordNeverExpires = false
+  } = userData;
+
+  // Escape all string inputs
+  const safeFirstName = escapePowerShellString(firstName);
+  const safeLastName = escapePowerShellString(lastName);
+  const safeDisplayName = escapePowerShellString(displayName || `${firstName} ${lastName}`);
+  const safeEmail = escapePowerShellString(email);
+  const safeUPN = escapePowerShellString(userPrincipalName);
+  const safeSamAccountName = escapePowerShellString(samAccountName || email.split('@')[0]);
+  const safePassword = escapePowerShellString(password);
+  const safeOU = escapePowerShellString(organizationalUnit);
+  const safeDepartment = escapePowerShellString(department || '');
+  const safeJobTitle = escapePowerShellString(jobTitle || '');
+  const safeOffice = escapePowerShellString(officeLocation || '');
+  const safePhone = escapePowerShellString(phoneNumber || '');
+  const safeMobile = escapePowerShellString(mobilePhone || '');
+  const safeDescription = escapePowerShellString(description || '');
+
+  // Build PowerShell script
+  let script = `
+$ErrorActionPreference = "Stop"
+
+# Import Active Directory module
+Import-Module ActiveDirectory
+
+try {
+  # Create password object
+  $SecurePassword = ConvertTo-SecureString "${safePassword}" -AsPlainText -Force
+
+  # Build parameters for New-ADUser
+  $userParams = @{
+    GivenName = "${safeFirstName}"
+    Surname = "${safeLastName}"
+    DisplayName = "${safeDisplayName}"
+    Name = "${safeDisplayName}"
+    SamAccountName = "${safeSamAccountName}"
+    UserPrincipalName = "${safeUPN}"
+    EmailAddress = "${safeEmail}"
+    AccountPassword = $SecurePassword
+    Enabled = $${enabled}
+    ChangePasswordAtLogon = $${changePasswordAtLogon}
+    PasswordNeverExpires = $${passwordNeverExpires}
+    Path = "${safeOU}"
+  }
+
+  # Add optional parameters
+  ${safeDepartment ? `$userParams.Department = "${safeDepartment}"` : ''}
+  ${safeJobTitle ? `$userParams.Title = "${safeJobTitle}"` : ''}
+  ${safeOffice ? `$userParams.Office = "${safeOffice}"` : ''}
+  ${safePhone ? `$userParams.OfficePhone = "${safePhone}"` : ''}
+  ${safeMobile ? `$userParams.MobilePhone = "${safeMobile}"` : ''}
+  ${safeDescription ? `$userParams.Description = "${safeDescription}"` : ''}
+
+  # Create the user
+  $newUser = New-ADUser @userParams -PassThru
+
+  # Set manager if provided
+  ${manager ? `Set-ADUser -Identity $newUser.SamAccountName -Manager "${escapePowerShellString(manager)}"` : ''}
+
+  # Return user information
+  $userInfo = Get-ADUser -Identity $newUser.SamAccountName -Properties *
+
+  # Output result as JSON
+  @{
+    success = $true
+    message = "User created successfully in on-premises Active Directory"
+    user = @{
+      distinguishedName = $userInfo.DistinguishedName
+      samAccountName = $userInfo.SamAccountName
+      userPrincipalName = $userInfo.UserPrincipalName
+      displayName = $userInfo.DisplayName
+      email = $userInfo.EmailAddress
+      enabled = $userInfo.Enabled
+      created = $userInfo.whenCreated
+      department = $userInfo.Department
+      title = $userInfo.Title
+    }
+  } | ConvertTo-Json
+
+} catch {
+  @{
+    success = $false
+    error = $_.Exception.Message
+  } | ConvertTo-Json
+  exit 1
+}
+`;
+
+  return script;
+}
+
+/**
+ * Build PowerShell script for an action on an existing user
+ * Finds the user by samAccountName when given, otherwise by userPrincipalName,
+ * then runs the action body with the user in $user
+ */
+function buildUserScript(identity, actionBody) {
+  const lookup = identity.samAccountName
+    ? `$sam = "${escapePowerShellString(identity.samAccountName)}"
+  $user = Get-ADUser -Filter { SamAccountName -eq $sam } -Properties MemberOf, PrimaryGroup, Description, AccountExpirationDate`
+    : `$upn = "${escapePowerShellString(identity.userPrincipalName)}"
+  $user = Get-ADUser -Filter { UserPrincipalName -eq $upn } -Properties MemberOf, PrimaryGroup, Description, AccountExpirationDate`;
+
+  return `
+$ErrorActionPreference = "Stop"
+
+Import-Module ActiveDirectory
+
+try {
+  ${lookup}
+  if (-not $user) {
+    throw "User not found in on-premises Active Directory"
+  }
+
+${actionBody}
+} catch {
+  @{
+    success = $false
+    error = $_.Exception.Message
+  } | ConvertTo-Json
+  exit 1
+}
+`;
+}
+
+function buildDisableUserScript() {
+  return `
+  if (-not $user.Enabled) {
+    @{ success = $true; skipped = $true; message = "Account is already disabled" } | ConvertTo-Json
+    return
+  }
+  Disable-ADAccount -Identity $user
+  @{ success = $true; message = "Account disabled in on-premises Active Directory" } | ConvertTo-Json
+`;
+}
+
+function buildMoveToOUScript(targetOU) {
+  return `
+  $targetOU = "${escapePowerShellString(targetOU)}"
+  $currentOU = $user.DistinguishedName -replace '^CN=.+?(?<!\\\\),', ''
+  if ($currentOU -eq $targetOU) {
+    @{ success = $true; skipped = $true; message = "Already in $targetOU" } | ConvertTo-Json
+    return
+  }
+  Move-ADObject -Identity $user.DistinguishedName -TargetPath $targetOU
+  @{ success = $true; message = "Moved to $targetOU"; previousOU = $currentOU } | ConvertTo-Json
+`;
+}
+
+function buildRemoveGroupsScript(retainedGroups) {
+  const retained = retainedGroups.map(name => `"${escapePowerShellString(name)}"`).join(', ');
+  return `
+  # The primary group (normally Domain Users) is not in MemberOf and cannot be removed
+  $retained = @(${retained})
+  $removed = @()
+  $kept = @()
+  foreach ($groupDN in $user.MemberOf) {
+    $group = Get-ADGroup -Identity $groupDN
+    if ($retained -contains $group.Name) {
+      $kept += $group.Name
+      continue
+    }
+    Remove-ADGroupMember -Identity $group -Members $user -Confirm:$false
+    $removed += $group.Name
+  }
+  @{
+    success = $true
+    message = "Removed from $($removed.Count) group(s)"
+    removed = $removed
+    kept = $kept
+  } | ConvertTo-Json
+`;
+}
+
+function buildSetLeaverInfoScript(description, accountExpirationDate) {
+  return `
+  $changes = @()
+  ${description ? `Set-ADUser -Identity $user -Description "${escapePowerShellString(description)}"
+  $changes += "description"` : ''}
+  ${accountExpirationDate ? `Set-ADAccountExpiration -Identity $user -DateTime ([DateTime]::Parse("${escapePowerShellString(accountExpirationDate)}"))
+  $changes += "account expiry"` : ''}
+  @{ success = $true; message = "Updated $($changes -join ', ')" } | ConvertTo-Json
+`;
+}
+
+function buildResetPasswordScript(password) {
+  return `
+  $SecurePassword = ConvertTo-SecureString "${escapePowerShellString(password)}" -AsPlainText -Force
+  Set-ADAccountPassword -Identity $user -Reset -NewPassword $SecurePassword
+  Set-ADUser -Identity $user -ChangePasswordAtLogon $false
+  @{ success = $true; message = "Password reset to a random value" } | ConvertTo-Json
+`;
+}
+
+function buildFindUserScript() {
+  return `
+  @{
+    success = $true
+    user = @{
+      distinguishedName = $user.DistinguishedName
+      samAccountName = $user.SamAccountName
+      userPrincipalName = $user.UserPrincipalName
+      displayName = $user.Name
+      enabled = $user.Enabled
+    }
+  } | ConvertTo-Json
+`;
+}
+
+function buildTestConnectionScript() {
+  return `
+Import-Module ActiveDirectory
+$domain = Get-ADDomain
+@{
+  success = $true
+  domain = $domain.DNSRoot
+  domainController = $domain.PDCEmulator
+} | ConvertTo-Json
+`;
+}
+
+function createPowerShellProvider(config) {
+  /**
+   * Execute PowerShell script on remote AD server
+   * The wrapper reads the password and the encoded script from its own environment
+   */
+  async function executeRemotePowerShell(script) {
+    const wrapper =
+      `$cred = New-Object System.Management.Automation.PSCredential('${config.domain}\\${config.username}', ` +
+      `(ConvertTo-SecureString $env:AD_SERVICE_PASSWORD -AsPlainText -Force)); ` +
+      `$script = [System.Text.Encoding]::Unicode.GetString([System.Convert]::FromBase64String($env:AD_REMOTE_SCRIPT)); ` +
+      `Invoke-Command -ComputerName '${config.server}' -Credential $cred -ArgumentList $script -ScriptBlock { ` +
+      `param($remoteScript) Invoke-Expression $remoteScript ` +
+      `}`;
+
+    try {
+      const { stdout, stderr } = await execFilePromise(
+        'powershell.exe',
+        ['-NonInteractive', '-NoProfile', '-EncodedCommand', Buffer.from(wrapper, 'utf16le').toString('base64')],
+        {
+          env: {
+            ...process.env,
+            AD_SERVICE_PASSWORD: config.password,
+            AD_REMOTE_SCRIPT: Buffer.from(script, 'utf16le').toString('base64')
+          },
+          timeout: 30000, // 30 second timeout
+          maxBuffer: 1024 * 1024 // 1MB buffer
+        }
+      );
+
+      if (stderr) {
+        console.error('PowerShell stderr:', stderr);
+      }
+
+      return { success: true, output: stdout, error: stderr };
+    } catch (error) {
+      console.error('PowerShell execution error:', error);
+      return {
+        success: false,
+        error: error.message,
+        output: error.stdout,
+        stderr: error.stderr
+      };
+    }
+  }
+
+  /**
+   * Run a script that reports its result as JSON, and throw when it did not succeed
+   */
+  async function run(script, label) {
+    const result = await executeRemotePowerShell(script);
+
+    let parsed;
+    try {
+      parsed = JSON.parse(result.output);
+    } catch (parseError) {
+      console.error('Failed to parse PowerShell output:', result.output);
+      throw new Error(result.error || 'Invalid response from AD server');
+    }
+
+    if (!parsed.success) {
+      throw new Error(parsed.error || `${label} failed`);
+    }
+
+    const { success, ...rest } = parsed;
+    return rest;
+  }
+
+  return {
+    name: 'PowerShell Remoting',
+
+    validateConfig() {
+      const missing = [];
+      if (!config.server) missing.push('AD_SERVER');
+      if (!config.username) missing.push('AD_USERNAME');
+      if (!config.password) missing.push('AD_PASSWORD');
+      if (!config.domain) missing.push('AD_DOMAIN');
+      return missing;
+    },
+
+    testConnection: () => run(buildTestConnectionScript(), 'Connection test'),
+
+    async findUser(identity) {
+      try {
+        const { user } = await run(buildUserScript(identity, buildFindUserScript()), 'User lookup');
+        return user;
+      } catch (error) {
+        if (/not found/i.test(error.message)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async createUser(userData) {
+      const { user } = await run(buildCreateUserScript(userData), 'User creation');
+      return user;
+    },
+
+    disableUser: (identity) =>
+      run(buildUserScript(identity, buildDisableUserScript()), 'Disable account'),
+
+    moveToOU: (identity, targetOU) =>
+      run(buildUserScript(identity, buildMoveToOUScript(targetOU)), 'Move account'),
+
+    removeGroups: (identity, retainedGroups) =>
+      run(buildUserScript(identity, buildRemoveGroupsScript(retainedGroups)), 'Remove group memberships'),
+
+    setLeaverInfo: (identity, { description, accountExpirationDate }) =>
+      run(buildUserScript(identity, buildSetLeaverInfoScript(description, accountExpirationDate)), 'Set leaver description'),
+
+    resetPassword: (identity, password) =>
+      run(buildUserScript(identity, buildResetPasswordScript(password)), 'Reset password')
+  };
+}
+
+module.exports = {
+  createPowerShellProvider
+};
@@ -0,0 +1,159 @@
+/**
+ * Tenant credential store
+ *
+ * Background runs have no browser session, so each tenant's app registration is kept
+ * here when someone schedules work with app-only credentials: a client secret or a
+ * certificate's private key, stored exactly as the session holds it, sealed with the
+ * credential keyring (utils/encryption.js). Every key that sealed a stored value must
+ * stay in the keyring until `npm run rotate-keys` has resealed it under the active key.
+ */
+
+const { ready } = require('../db');
+const { decryptCredentials, loadKeyring, reencrypt, sealedKeyId } = require('../utils/encryption');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Loading credentials this close to expiry logs a warning
+const EXPIRY_WARNING_DAYS = parseInt(process.env.CREDENTIAL_EXPIRY_WARNING_DAYS) || 30;
+
+// Columns holding sealed values
+const SEALED_COLUMNS = ['encrypted_client_secret', 'encrypted_private_key'];
+
+/**
+ * Remember the session's app registration for the tenant's scheduled runs
+ * Sessions configured without a secret or certificate (delegated sign-in only) are ignored
+ * @param {string} tenantId - Portal tenant the schedules belong to
+ * @param {Object} credentials - Encrypted credentials from the session
+ * @param {string} configuredBy - Who scheduled the work
+ * @returns {Promise<boolean>} Whether credentials were saved
+ */
+async function saveFromSession(tenantId, credentials, configuredBy) {
+  if (!credentials?.encrypted || !(credentials.clientSecret || credentials.certificate)) {
+    return false;
+  }
+
+  const certificate = credentials.certificate || null;
+  const pool = await ready();
+  await pool.query(`
+    INSERT INTO tenant_credentials (
+      tenant_id, azure_tenant_id, client_id, credential_type, encrypted_client_secret,
+      certificate_thumbprint, encrypted_private_key, expires_at, configured_by
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (tenant_id) DO UPDATE
+    SET azure_tenant_id = EXCLUDED.azure_tenant_id,
+      client_id = EXCLUDED.client_id,
+      credential_type = EXCLUDED.credential_type,
+      encrypted_client_secret = EXCLUDED.encrypted_client_secret,
+      certificate_thumbprint = EXCLUDED.certificate_thumbprint,
+      encrypted_private_key = EXCLUDED.encrypted_private_key,
+      expires_at = EXCLUDED.expires_at,
+      configured_by = EXCLUDED.configured_by,
+      configured_at = NOW(),
+      is_active = true
+  `, [
+    tenantId,
+    credentials.tenantId,
+    credentials.clientId,
+    certificate ? 'certificate' : 'secret',
+    certificate ? null : credentials.clientSecret,
+    certificate?.thumbprint || null,
+    certificate?.privateKey || null,
+    credentials.expiresAt || null,
+    configuredBy
+  ]);
+  return true;
+}
+
+/**
+ * Decrypted credentials for a tenant's scheduled runs
+ * @param {string} tenantId - Portal tenant
+ * @returns {Promise<Object>} { clientId, tenantId, clientSecret, certificate, expiresAt }
+ */
+async function load(tenantId) {
+  const pool = await ready();
+  const result = await pool.query(`
+    UPDATE tenant_credentials
+    SET last_used_at = NOW()
+    WHERE tenant_id = $1 AND is_active = true
+    RETURNING *
+  `, [tenantId]);
+
+  if (result.rows.length === 0) {
+    throw new Error('No app credentials stored for this tenant; schedule the offboarding from a session signed in with a client secret or certificate');
+  }
+
+  const row = result.rows[0];
+  if (row.expires_at) {
+    const daysLeft = Math.ceil((new Date(row.expires_at).getTime() - Date.now()) / DAY_MS);
+    const kind = row.credential_type === 'certificate' ? 'certificate' : 'client secret';
+    if (daysLeft <= 0) {
+      console.warn(`⚠️  The ${kind} of app ${row.client_id} for tenant ${tenantId} expired on ${row.expires_at.toISOString().slice(0, 10)}`);
+    } else if (daysLeft <= EXPIRY_WARNING_DAYS) {
+      console.warn(`⚠️  The ${kind} of app ${row.client_id} for tenant ${tenantId} expires in ${daysLeft} day(s)`);
+    }
+  }
+
+  return decryptCredentials({
+    clientId: row.client_id,
+    tenantId: row.azure_tenant_id,
+    clientSecret: row.encrypted_client_secret,
+    certificate: row.encrypted_private_key
+      ? { thumbprint: row.certificate_thumbprint, privateKey: row.encrypted_private_key }
+      : null,
+    expiresAt: row.expires_at ? row.expires_at.toISOString() : null,
+    encrypted: true
+  });
+}
+
+/**
+ * Reseal every stored secret and private key under the active credential key
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only count values per key
+ * @returns {Promise<Object>} { activeKeyId, valuesByKey, resealed, failures }
+ */
+async function reencryptAll({ dryRun = false } = {}) {
+  const pool = await ready();
+  const rows = (await pool.query(`SELECT tenant_id, ${SEALED_COLUMNS.join(', ')} FROM tenant_credentials`)).rows;
+
+  const { activeKeyId } = loadKeyring();
+  const valuesByKey = {};
+  const failures = [];
+  let resealed = 0;
+
+  for (const row of rows) {
+    for (const column of SEALED_COLUMNS) {
+      const value = row[column];
+      if (!value) {
+        continue;
+      }
+      const keyId = sealedKeyId(value);
+      valuesByKey[keyId] = (valuesByKey[keyId] || 0) + 1;
+      if (dryRun) {
+        continue;
+      }
+
+      try {
+        const next = reencrypt(value);
+        if (!next) {
+          continue;
+        }
+        // Skipped if the row was reconfigured meanwhile; its new value is already current
+        const updated = await pool.query(
+          `UPDATE tenant_credentials SET ${column} = $3 WHERE tenant_id = $1 AND ${column} = $2`,
+          [row.tenant_id, value, next]
+        );
+        resealed += updated.rowCount;
+      } catch (err) {
+        failures.push(`${row.tenant_id} ${column}: ${err.message}`);
+      }
+    }
+  }
+
+  return { activeKeyId, valuesByKey, resealed, failures };
+}
+
+module.exports = {
+  saveFromSession,
+  load,
+  reencryptAll
+};
@@ -1,12 +1,33 @@
 const crypto = require('crypto');
 
-// Encryption configuration
-const ALGORITHM = 'aes-256-gcm';
-const IV_LENGTH = 16;
-const SALT_LENGTH = 64;
-const TAG_LENGTH = 16;
-const TAG_POSITION = SALT_LENGTH + IV_LENGTH;
-const ENCRYPTED_POSITION = TAG_POSITION + TAG_LENGTH;
+/**
+ * Envelope encryption with a versioned keyring
+ *
+ * Each value is encrypted with its own random data key (AES-256-GCM), and the data key
+ * is wrapped with a key-encryption key from the keyring. The sealed value names the key:
+ *
+ *   v1.<keyId>.<wrapped data key>.<iv>.<auth tag>.<ciphertext>   (base64url parts)
+ *
+ * the same format as convex/credentialUtils.ts. Keys come from CREDENTIAL_KEYS
+ * (`keyId:key,...`, 32-byte keys in hex or base64) and new values use
+ * CREDENTIAL_ACTIVE_KEY_ID, or the last key listed. Without CREDENTIAL_KEYS the keyring
+ * is one key, "default", derived from ENCRYPTION_KEY. Values from before the keyring
+ * (salt + iv + tag + ciphertext under ENCRYPTION_KEY) still decrypt.
+ *
+ * To rotate: add a key, make it active, run `npm run rotate-keys`, then drop the old key
+ * once sessions sealed with it have expired.
+ */
+
+const SEALED_VERSION = 'v1';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const LEGACY_KEY_ID = 'legacy';
+
+// Layout of values sealed before the keyring
+const LEGACY_IV_LENGTH = 16;
+const LEGACY_SALT_LENGTH = 64;
+const LEGACY_TAG_LENGTH = 16;
+const LEGACY_TAG_POSITION = LEGACY_SALT_LENGTH + LEGACY_IV_LENGTH;
+const LEGACY_ENCRYPTED_POSITION = LEGACY_TAG_POSITION + LEGACY_TAG_LENGTH;
 
 /**
  * Get encryption key from environment
@@ -20,35 +41,119 @@ function getEncryptionKey() {
   return Buffer.from(key, 'hex');
 }
 
+function parseKey(keyId, encoded) {
+  const key = /^[0-9a-f]{64}$/i.test(encoded) ? Buffer.from(encoded, 'hex') : Buffer.from(encoded, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Credential key ${keyId} must be 32 bytes`);
+  }
+  return key;
+}
+
+/**
+ * Key-encryption keys by ID, and the one new values are sealed with
+ * @returns {{ activeKeyId: string, keys: Map<string, Buffer> }}
+ */
+function loadKeyring() {
+  const keys = new Map();
+  const configured = (process.env.CREDENTIAL_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+  for (const entry of configured) {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    if (separator <= 0 || !KEY_ID_PATTERN.test(keyId) || keyId === LEGACY_KEY_ID) {
+      throw new Error(`Invalid CREDENTIAL_KEYS entry for key "${keyId}"; use keyId:key with letters, digits, - or _`);
+    }
+    keys.set(keyId, parseKey(keyId, entry.slice(separator + 1)));
+  }
+
+  if (keys.size === 0) {
+    keys.set('default', crypto.createHash('sha256').update(getEncryptionKey()).digest());
+  }
+
+  const activeKeyId = process.env.CREDENTIAL_ACTIVE_KEY_ID || Array.from(keys.keys()).pop();
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`CREDENTIAL_ACTIVE_KEY_ID "${activeKeyId}" is not in CREDENTIAL_KEYS`);
+  }
+  return { activeKeyId, keys };
+}
+
+function gcmEncrypt(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function gcmDecrypt(key, iv, tag, ciphertext) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function wrapDataKey(kek, dataKey) {
+  const { iv, tag, ciphertext } = gcmEncrypt(kek, dataKey);
+  return Buffer.concat([iv, tag, ciphertext]).toString('base64url');
+}
+
+function unwrapDataKey(kek, wrapped) {
+  const data = Buffer.from(wrapped, 'base64url');
+  return gcmDecrypt(kek, data.subarray(0, 12), data.subarray(12, 28), data.subarray(28));
+}
+
+function parseSealed(sealed) {
+  const [version, keyId, wrappedKey, iv, tag, ciphertext] = sealed.split('.');
+  if (version !== SEALED_VERSION || !ciphertext) {
+    throw new Error('Unrecognized sealed value format');
+  }
+  return { keyId, wrappedKey, iv, tag, ciphertext };
+}
+
+function kekFor(keyId) {
+  const kek = loadKeyring().keys.get(keyId);
+  if (!kek) {
+    throw new Error(`Credential key "${keyId}" is not in CREDENTIAL_KEYS; add it back to read this value`);
+  }
+  return kek;
+}
+
+function decryptLegacy(encryptedText) {
+  const data = Buffer.from(encryptedText, 'base64');
+
+  const salt = data.subarray(0, LEGACY_SALT_LENGTH);
+  const iv = data.subarray(LEGACY_SALT_LENGTH, LEGACY_TAG_POSITION);
+  const tag = data.subarray(LEGACY_TAG_POSITION, LEGACY_ENCRYPTED_POSITION);
+  const encrypted = data.subarray(LEGACY_ENCRYPTED_POSITION);
+
+  const key = crypto.pbkdf2Sync(getEncryptionKey(), salt, 100000, 32, 'sha512');
+  return gcmDecrypt(key, iv, tag, encrypted).toString('utf8');
+}
+
 /**
- * Derive a key from the encryption key and salt
+ * Key a sealed value was wrapped with; "legacy" for values from before the keyring
  */
-function getKey(salt) {
-  return crypto.pbkdf2Sync(getEncryptionKey(), salt, 100000, 32, 'sha512');
+function sealedKeyId(sealed) {
+  return sealed.startsWith(`${SEALED_VERSION}.`) ? parseSealed(sealed).keyId : LEGACY_KEY_ID;
 }
 
 /**
  * Encrypt sensitive data
  * @param {string} text - Plain text to encrypt
- * @returns {string} - Encrypted text in base64
+ * @returns {string} - Sealed value (see above)
  */
 function encrypt(text) {
   try {
-    const iv = crypto.randomBytes(IV_LENGTH);
-    const salt = crypto.randomBytes(SALT_LENGTH);
-    const key = getKey(salt);
-    
-    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
-    const encrypted = Buffer.concat([
-      cipher.update(String(text), 'utf8'),
-      cipher.final()
-    ]);
-    
-    const tag = cipher.getAuthTag();
-    
-    // Combine salt + iv + tag + encrypted data
-    const combined = Buffer.concat([salt, iv, tag, encrypted]);
-    return combined.toString('base64');
+    const { activeKeyId, keys } = loadKeyring();
+    const dataKey = crypto.randomBytes(32);
+    const { iv, tag, ciphertext } = gcmEncrypt(dataKey, Buffer.from(String(text), 'utf8'));
+
+    return [
+      SEALED_VERSION,
+      activeKeyId,
+      wrapDataKey(keys.get(activeKeyId), dataKey),
+      iv.toString('base64url'),
+      tag.toString('base64url'),
+      ciphertext.toString('base64url')
+    ].join('.');
   } catch (error) {
     console.error('Encryption error:', error);
     throw new Error('Failed to encrypt data');
@@ -57,31 +162,57 @@ function encrypt(text) {
 
 /**
  * Decrypt sensitive data
- * @param {string} encryptedText - Encrypted text in base64
+ * @param {string} encryptedText - Sealed value, or a value encrypted before the keyring
  * @returns {string} - Decrypted plain text
  */
 function decrypt(encryptedText) {
   try {
-    const data = Buffer.from(encryptedText, 'base64');
-    
-    const salt = data.subarray(0, SALT_LENGTH);
-    const iv = data.subarray(SALT_LENGTH, TAG_POSITION);
-    const tag = data.subarray(TAG_POSITION, ENCRYPTED_POSITION);
-    const encrypted = data.subarray(ENCRYPTED_POSITION);
-    
-    const key = getKey(salt);
-    
-    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
-    decipher.setAuthTag(tag);
-    
-    const decrypted = decipher.update(encrypted) + decipher.final('utf8');
-    return decrypted;
+    if (sealedKeyId(encryptedText) === LEGACY_KEY_ID) {
+      return decryptLegacy(encryptedText);
+    }
+
+    const sealed = parseSealed(encryptedText);
+    const dataKey = unwrapDataKey(kekFor(sealed.keyId), sealed.wrappedKey);
+    return gcmDecrypt(
+      dataKey,
+      Buffer.from(sealed.iv, 'base64url'),
+      Buffer.from(sealed.tag, 'base64url'),
+      Buffer.from(sealed.ciphertext, 'base64url')
+    ).toString('utf8');
   } catch (error) {
     console.error('Decryption error:', error);
     throw new Error('Failed to decrypt data');
   }
 }
 
+/**
+ * Seal a value under the active key
+ * Keyring values only have their data key rewrapped; legacy values are encrypted anew
+ * @param {string} encryptedText - Sealed value
+ * @returns {string|null} - The resealed value, or null when it already uses the active key
+ */
+function reencrypt(encryptedText) {
+  const { activeKeyId, keys } = loadKeyring();
+  const keyId = sealedKeyId(encryptedText);
+  if (keyId === activeKeyId) {
+    return null;
+  }
+  if (keyId === LEGACY_KEY_ID) {
+    return encrypt(decrypt(encryptedText));
+  }
+
+  const sealed = parseSealed(encryptedText);
+  const dataKey = unwrapDataKey(kekFor(keyId), sealed.wrappedKey);
+  return [
+    SEALED_VERSION,
+    activeKeyId,
+    wrapDataKey(keys.get(activeKeyId), dataKey),
+    sealed.iv,
+    sealed.tag,
+    sealed.ciphertext
+  ].join('.');
+}
+
 /**
  * Hash sensitive data (one-way, for comparison only)
  * @param {string} text - Text to hash
@@ -102,7 +233,8 @@ function generateRandomString(length = 32) {
 
 /**
  * Encrypt Azure AD credentials for session storage
- * @param {Object} credentials - Azure AD credentials
+ * @param {Object} credentials - Azure AD credentials, with a client secret or a certificate
+ *   ({ privateKey, thumbprint } from authService.parseCertificateCredential)
  * @returns {Object} - Encrypted credentials
  */
 function encryptCredentials(credentials) {
@@ -110,6 +242,10 @@ function encryptCredentials(credentials) {
     clientId: credentials.clientId, // Client ID is not secret, no need to encrypt
     tenantId: credentials.tenantId, // Tenant ID is not secret
     clientSecret: credentials.clientSecret ? encrypt(credentials.clientSecret) : null,
+    certificate: credentials.certificate
+      ? { thumbprint: credentials.certificate.thumbprint, privateKey: encrypt(credentials.certificate.privateKey) }
+      : null,
+    expiresAt: credentials.expiresAt || null, // When the secret or certificate lapses, if known
     encrypted: true
   };
 }
@@ -127,13 +263,23 @@ function decryptCredentials(encryptedCredentials) {
   return {
     clientId: encryptedCredentials.clientId,
     tenantId: encryptedCredentials.tenantId,
-    clientSecret: encryptedCredentials.clientSecret ? decrypt(encryptedCredentials.clientSecret) : null
+    clientSecret: encryptedCredentials.clientSecret ? decrypt(encryptedCredentials.clientSecret) : null,
+    certificate: encryptedCredentials.certificate
+      ? {
+        thumbprint: encryptedCredentials.certificate.thumbprint,
+        privateKey: decrypt(encryptedCredentials.certificate.privateKey)
+      }
+      : null,
+    expiresAt: encryptedCredentials.expiresAt || null
   };
 }
 
 module.exports = {
   encrypt,
   decrypt,
+  reencrypt,
+  sealedKeyId,
+  loadKeyring,
   hash,
   generateRandomString,
   encryptCredentials,
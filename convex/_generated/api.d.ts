@@ -8,17 +8,50 @@
  * @module
  */
 
+import type * as accessControl from "../accessControl.js";
+import type * as actionPipeline from "../actionPipeline.js";
 import type * as adminConsent from "../adminConsent.js";
+import type * as approvalMutations from "../approvalMutations.js";
+import type * as approvalNotifications from "../approvalNotifications.js";
+import type * as approvalPolicy from "../approvalPolicy.js";
+import type * as approvalQueries from "../approvalQueries.js";
+import type * as approvals from "../approvals.js";
+import type * as auditLog from "../auditLog.js";
+import type * as auditLogMutations from "../auditLogMutations.js";
+import type * as auditLogQueries from "../auditLogQueries.js";
+import type * as auditTrail from "../auditTrail.js";
 import type * as auth from "../auth.js";
 import type * as authActions from "../authActions.js";
 import type * as authInit from "../authInit.js";
 import type * as authMutations from "../authMutations.js";
 import type * as clerkProxy from "../clerkProxy.js";
+import type * as credentialActions from "../credentialActions.js";
+import type * as credentialMutations from "../credentialMutations.js";
+import type * as credentialQueries from "../credentialQueries.js";
 import type * as credentialUtils from "../credentialUtils.js";
+import type * as credentials from "../credentials.js";
 import type * as crons from "../crons.js";
 import type * as graph from "../graph.js";
 import type * as graphUtils from "../graphUtils.js";
+import type * as hrEventActions from "../hrEventActions.js";
+import type * as hrEventMapping from "../hrEventMapping.js";
+import type * as hrEventMutations from "../hrEventMutations.js";
+import type * as hrEventQueries from "../hrEventQueries.js";
+import type * as hrEvents from "../hrEvents.js";
+import type * as hrIntegration from "../hrIntegration.js";
 import type * as http from "../http.js";
+import type * as intuneBackupActions from "../intuneBackupActions.js";
+import type * as intuneBackupMutations from "../intuneBackupMutations.js";
+import type * as intuneBackupQueries from "../intuneBackupQueries.js";
+import type * as intuneBackups from "../intuneBackups.js";
+import type * as intuneComparison from "../intuneComparison.js";
+import type * as intuneDevices from "../intuneDevices.js";
+import type * as intuneDrift from "../intuneDrift.js";
+import type * as intuneDriftActions from "../intuneDriftActions.js";
+import type * as intuneDriftMutations from "../intuneDriftMutations.js";
+import type * as intuneDriftQueries from "../intuneDriftQueries.js";
+import type * as intuneExport from "../intuneExport.js";
+import type * as mailboxProviders from "../mailboxProviders.js";
 import type * as microsoftOAuth from "../microsoftOAuth.js";
 import type * as msalProxy from "../msalProxy.js";
 import type * as offboarding from "../offboarding.js";
@@ -26,7 +59,26 @@ import type * as offboardingAutomation from "../offboardingAutomation.js";
 import type * as offboardingMutations from "../offboardingMutations.js";
 import type * as offboardingQueries from "../offboardingQueries.js";
 import type * as onboarding from "../onboarding.js";
+import type * as onboardingAutomation from "../onboardingAutomation.js";
+import type * as onboardingMutations from "../onboardingMutations.js";
+import type * as onboardingQueries from "../onboardingQueries.js";
+import type * as oneDriveTransfer from "../oneDriveTransfer.js";
+import type * as onPremDirectory from "../onPremDirectory.js";
+import type * as rbac from "../rbac.js";
+import type * as rbacActions from "../rbacActions.js";
+import type * as rbacMutations from "../rbacMutations.js";
+import type * as rbacQueries from "../rbacQueries.js";
 import type * as ssoAuth from "../ssoAuth.js";
+import type * as timeUtils from "../timeUtils.js";
+import type * as transferAutomation from "../transferAutomation.js";
+import type * as transferMutations from "../transferMutations.js";
+import type * as transferQueries from "../transferQueries.js";
+import type * as transfers from "../transfers.js";
+import type * as webhookActions from "../webhookActions.js";
+import type * as webhookEvents from "../webhookEvents.js";
+import type * as webhookMutations from "../webhookMutations.js";
+import type * as webhookQueries from "../webhookQueries.js";
+import type * as webhooks from "../webhooks.js";
 
 import type {
   ApiFromModules,
@@ -35,17 +87,50 @@ import type {
 } from "convex/server";
 
 declare const fullApi: ApiFromModules<{
+  accessControl: typeof accessControl;
+  actionPipeline: typeof actionPipeline;
   adminConsent: typeof adminConsent;
+  approvalMutations: typeof approvalMutations;
+  approvalNotifications: typeof approvalNotifications;
+  approvalPolicy: typeof approvalPolicy;
+  approvalQueries: typeof approvalQueries;
+  approvals: typeof approvals;
+  auditLog: typeof auditLog;
+  auditLogMutations: typeof auditLogMutations;
+  auditLogQueries: typeof auditLogQueries;
+  auditTrail: typeof auditTrail;
   auth: typeof auth;
   authActions: typeof authActions;
   authInit: typeof authInit;
   authMutations: typeof authMutations;
   clerkProxy: typeof clerkProxy;
+  credentialActions: typeof credentialActions;
+  credentialMutations: typeof credentialMutations;
+  credentialQueries: typeof credentialQueries;
   credentialUtils: typeof credentialUtils;
+  credentials: typeof credentials;
   crons: typeof crons;
   graph: typeof graph;
   graphUtils: typeof graphUtils;
+  hrEventActions: typeof hrEventActions;
+  hrEventMapping: typeof hrEventMapping;
+  hrEventMutations: typeof hrEventMutations;
+  hrEventQueries: typeof hrEventQueries;
+  hrEvents: typeof hrEvents;
+  hrIntegration: typeof hrIntegration;
   http: typeof http;
+  intuneBackupActions: typeof intuneBackupActions;
+  intuneBackupMutations: typeof intuneBackupMutations;
+  intuneBackupQueries: typeof intuneBackupQueries;
+  intuneBackups: typeof intuneBackups;
+  intuneComparison: typeof intuneComparison;
+  intuneDevices: typeof intuneDevices;
+  intuneDrift: typeof intuneDrift;
+  intuneDriftActions: typeof intuneDriftActions;
+  intuneDriftMutations: typeof intuneDriftMutations;
+  intuneDriftQueries: typeof intuneDriftQueries;
+  intuneExport: typeof intuneExport;
+  mailboxProviders: typeof mailboxProviders;
   microsoftOAuth: typeof microsoftOAuth;
   msalProxy: typeof msalProxy;
   offboarding: typeof offboarding;
@@ -53,7 +138,26 @@ declare const fullApi: ApiFromModules<{
   offboardingMutations: typeof offboardingMutations;
   offboardingQueries: typeof offboardingQueries;
   onboarding: typeof onboarding;
+  onboardingAutomation: typeof onboardingAutomation;
+  onboardingMutations: typeof onboardingMutations;
+  onboardingQueries: typeof onboardingQueries;
+  oneDriveTransfer: typeof oneDriveTransfer;
+  onPremDirectory: typeof onPremDirectory;
+  rbac: typeof rbac;
+  rbacActions: typeof rbacActions;
+  rbacMutations: typeof rbacMutations;
+  rbacQueries: typeof rbacQueries;
   ssoAuth: typeof ssoAuth;
+  timeUtils: typeof timeUtils;
+  transferAutomation: typeof transferAutomation;
+  transferMutations: typeof transferMutations;
+  transferQueries: typeof transferQueries;
+  transfers: typeof transfers;
+  webhookActions: typeof webhookActions;
+  webhookEvents: typeof webhookEvents;
+  webhookMutations: typeof webhookMutations;
+  webhookQueries: typeof webhookQueries;
+  webhooks: typeof webhooks;
 }>;
 
 /**
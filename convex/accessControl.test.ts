@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { normalizeRoles, permissionsForRoles, PERMISSIONS, requirePermission, ROLES } from "./accessControl";
+// The Express backend keeps its own copy of the roles
+import backendRoles from "../backend/config/roles.js";
+
+describe("roles", () => {
+  it("match the backend's roles and permissions", () => {
+    expect(backendRoles.PERMISSIONS).toEqual(Object.keys(PERMISSIONS));
+    expect(Object.keys(backendRoles.ROLES)).toEqual(Object.keys(ROLES));
+    expect(backendRoles.ROLES).toEqual(
+      Object.fromEntries(Object.entries(ROLES).map(([role, { permissions }]) => [role, permissions]))
+    );
+  });
+
+  it("map legacy role names and drop unknown ones", () => {
+    expect(normalizeRoles(["admin", "Auditor", "Auditor", "NotARole"])).toEqual(["Admin", "Auditor"]);
+    expect(backendRoles.normalizeRoles(["admin", "Auditor", "Auditor", "NotARole"])).toEqual(["Admin", "Auditor"]);
+  });
+
+  it("grant the union of the roles' permissions in declaration order", () => {
+    expect(permissionsForRoles(["Auditor", "HRRequester"])).toEqual(["lifecycleRequest", "auditView"]);
+    expect(permissionsForRoles(["HelpDesk", "IntuneAdmin"]))
+      .toEqual(backendRoles.permissionsForRoles(["HelpDesk", "IntuneAdmin"]));
+  });
+
+  it("reject sessions without the permission", () => {
+    expect(() => requirePermission({ roles: ["HelpDesk"] }, "deviceWipe")).toThrow(/Forbidden/);
+    expect(() => requirePermission({ roles: ["IntuneAdmin"] }, "deviceWipe")).not.toThrow();
+  });
+});
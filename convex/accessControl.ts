@@ -0,0 +1,101 @@
+/**
+ * Portal roles and the permissions they grant
+ *
+ * A session's roles come from Entra app roles assigned to the operator, from
+ * directory groups mapped to roles in Settings, and from the Global Administrator
+ * directory role (see rbacActions.refreshSessionRoles). App-only sessions are "admin".
+ * Role IDs match the app role values to define on the portal's app registration.
+ */
+
+export const PERMISSIONS = {
+  userManagement: "View and edit user accounts",
+  lifecycleRequest: "Schedule onboarding, offboarding and transfers",
+  lifecycleExecute: "Run onboarding, offboarding and transfers, and retry or reinstate them",
+  deviceManagement: "View, sync and retire managed devices",
+  deviceWipe: "Wipe devices and approve scheduled wipes",
+  groupManagement: "Create, edit and delete groups",
+  mailManagement: "Manage mailboxes",
+  sharePointManagement: "Manage SharePoint and OneDrive",
+  teamsManagement: "Manage Teams",
+  complianceManagement: "Manage compliance policies",
+  defenderManagement: "Manage Defender",
+  auditView: "View audit and execution logs",
+  roleManagement: "Map directory groups to portal roles",
+  webhookManagement: "Manage outbound webhooks for lifecycle events",
+  hrIntegration: "Manage HR event API keys and templates",
+  credentialManagement: "Manage app credentials and rotate encryption keys",
+  intuneBackup: "Schedule and run Intune configuration backups and drift checks",
+} as const;
+
+export type Permission = keyof typeof PERMISSIONS;
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS) as Permission[];
+
+export const ROLES: Record<string, { label: string; description: string; permissions: Permission[] }> = {
+  Admin: {
+    label: "Administrator",
+    description: "Full access, including role mappings, webhooks, the HR integration and app credentials",
+    permissions: ALL_PERMISSIONS,
+  },
+  HelpDesk: {
+    label: "Help Desk",
+    description: "Look up and edit users and their devices; no lifecycle runs or wipes",
+    permissions: ["userManagement", "deviceManagement", "mailManagement"],
+  },
+  HRRequester: {
+    label: "HR Requester",
+    description: "Schedule onboarding, offboarding and transfers for an operator to carry out",
+    permissions: ["lifecycleRequest"],
+  },
+  OffboardingOperator: {
+    label: "Offboarding Operator",
+    description: "Run and schedule onboarding, offboarding and transfers",
+    permissions: [
+      "userManagement",
+      "lifecycleRequest",
+      "lifecycleExecute",
+      "deviceManagement",
+      "mailManagement",
+      "sharePointManagement",
+      "teamsManagement",
+    ],
+  },
+  IntuneAdmin: {
+    label: "Intune Admin",
+    description: "Manage devices, including wipes and wipe approvals, Intune configuration backups and drift detection",
+    permissions: ["deviceManagement", "deviceWipe", "complianceManagement", "defenderManagement", "intuneBackup"],
+  },
+  Auditor: {
+    label: "Auditor",
+    description: "Read-only access to audit and execution logs",
+    permissions: ["auditView"],
+  },
+};
+
+// Role names stored on sessions before roles were introduced
+const LEGACY_ROLES: Record<string, string> = {
+  admin: "Admin",
+};
+
+export function normalizeRoles(roles: string[]): string[] {
+  return Array.from(new Set(
+    roles.map((role) => LEGACY_ROLES[role] || role).filter((role) => !!ROLES[role])
+  ));
+}
+
+export function permissionsForRoles(roles: string[]): Permission[] {
+  const granted = new Set<Permission>();
+  for (const role of normalizeRoles(roles)) {
+    ROLES[role].permissions.forEach((permission) => granted.add(permission));
+  }
+  return ALL_PERMISSIONS.filter((permission) => granted.has(permission));
+}
+
+/**
+ * Throw unless the session's roles grant the permission
+ */
+export function requirePermission(session: { roles: string[] }, permission: Permission) {
+  if (!permissionsForRoles(session.roles).includes(permission)) {
+    throw new Error(`Forbidden: your role does not allow this (${PERMISSIONS[permission]})`);
+  }
+}
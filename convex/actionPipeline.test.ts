@@ -0,0 +1,223 @@
+import { describe, expect, it } from "vitest";
+import {
+  ActionResult,
+  buildActionResult,
+  CheckpointStatus,
+  completedStepsOf,
+  diffPlans,
+  orderSteps,
+  PipelineStep,
+  planPipeline,
+  runPipeline,
+} from "./actionPipeline";
+
+interface TestContext {
+  ran: string[];
+  wipeApproved?: boolean;
+}
+
+function step(id: string, options: Partial<PipelineStep<TestContext>> & { status?: ActionResult["status"] } = {}): PipelineStep<TestContext> {
+  return {
+    id,
+    enabled: () => true,
+    run: async (context) => {
+      context.ran.push(id);
+      return [buildActionResult(id, options.status || "success", id)];
+    },
+    ...options,
+  };
+}
+
+function recordCheckpoints() {
+  const checkpoints = new Map<string, CheckpointStatus>();
+  return {
+    checkpoints,
+    onCheckpoint: async (id: string, status: CheckpointStatus) => {
+      checkpoints.set(id, status);
+    },
+    completedSteps: () => completedStepsOf([...checkpoints].map(([id, status]) => ({ step: id, status }))),
+  };
+}
+
+describe("orderSteps", () => {
+  it("puts dependencies first and otherwise keeps declaration order", () => {
+    const ordered = orderSteps([step("c", { dependsOn: ["b"] }), step("a"), step("b")]);
+    expect(ordered.map((s) => s.id)).toEqual(["b", "c", "a"]);
+  });
+
+  it("rejects cycles and unknown dependencies", () => {
+    expect(() => orderSteps([step("a", { dependsOn: ["b"] }), step("b", { dependsOn: ["a"] })])).toThrow(/cycle/);
+    expect(() => orderSteps([step("a", { dependsOn: ["missing"] })])).toThrow(/unknown step "missing"/);
+  });
+});
+
+describe("runPipeline", () => {
+  it("does not run steps whose dependency failed", async () => {
+    const context: TestContext = { ran: [] };
+    const { failedSteps, outcomes } = await runPipeline(
+      [step("a", { status: "error" }), step("b", { dependsOn: ["a"] }), step("c", { dependsOn: ["b"] }), step("d")],
+      context
+    );
+
+    expect(context.ran).toEqual(["a", "d"]);
+    expect(failedSteps).toEqual(["a", "b", "c"]);
+    expect(outcomes.get("b")).toBe("blocked");
+    expect(outcomes.get("c")).toBe("blocked");
+  });
+
+  it("treats a thrown step as failed", async () => {
+    const { results, failedSteps } = await runPipeline(
+      [step("a", { run: async () => { throw new Error("boom"); } })],
+      { ran: [] }
+    );
+    expect(failedSteps).toEqual(["a"]);
+    expect(results[0]).toMatchObject({ action: "a", status: "error", message: "boom" });
+  });
+
+  it("ignores disabled steps when checking dependencies", async () => {
+    const context: TestContext = { ran: [] };
+    await runPipeline([step("a", { enabled: () => false }), step("b", { dependsOn: ["a"] })], context);
+    expect(context.ran).toEqual(["b"]);
+  });
+
+  it("resumes at the step that failed, skipping completed ones", async () => {
+    const store = recordCheckpoints();
+    let attempt = 0;
+    const flaky = step("b", {
+      dependsOn: ["a"],
+      run: async (context) => {
+        context.ran.push("b");
+        attempt++;
+        return [buildActionResult("b", attempt === 1 ? "error" : "success", "b")];
+      },
+    });
+    const steps = [step("a"), flaky, step("c", { dependsOn: ["b"] })];
+
+    const first: TestContext = { ran: [] };
+    await runPipeline(steps, first, { onCheckpoint: store.onCheckpoint });
+    expect(first.ran).toEqual(["a", "b"]);
+    expect(store.checkpoints.get("b")).toBe("failed");
+
+    const second: TestContext = { ran: [] };
+    const { results, outcomes } = await runPipeline(steps, second, {
+      completedSteps: store.completedSteps(),
+      onCheckpoint: store.onCheckpoint,
+    });
+    expect(second.ran).toEqual(["b", "c"]);
+    expect(outcomes.get("a")).toBe("resumed");
+    expect(results[0]).toMatchObject({ action: "a", status: "skipped" });
+  });
+
+  it("runs a pending step again instead of treating it as completed", async () => {
+    const store = recordCheckpoints();
+    const devices = step("manageDevices", {
+      status: "warning",
+      pending: (context) => !context.wipeApproved,
+    });
+    const steps = [devices, step("removeLicenses", { dependsOn: ["manageDevices"] })];
+
+    const beforeApproval: TestContext = { ran: [] };
+    await runPipeline(steps, beforeApproval, { onCheckpoint: store.onCheckpoint });
+    // A pending step does not hold up its dependents
+    expect(beforeApproval.ran).toEqual(["manageDevices", "removeLicenses"]);
+    expect(store.checkpoints.get("manageDevices")).toBe("pending");
+
+    const afterApproval: TestContext = { ran: [], wipeApproved: true };
+    await runPipeline(steps, afterApproval, {
+      completedSteps: store.completedSteps(),
+      onCheckpoint: store.onCheckpoint,
+    });
+    expect(afterApproval.ran).toEqual(["manageDevices"]);
+    expect(store.checkpoints.get("manageDevices")).toBe("completed");
+  });
+
+  it("reports a step's results under its label, as the offboarding wizard's steps return them", async () => {
+    const wizardStep = (id: string, label: string, result: any, dependsOn?: string[]): PipelineStep<TestContext> => ({
+      id,
+      label,
+      dependsOn,
+      enabled: () => true,
+      run: async () => result,
+    });
+
+    const { results } = await runPipeline([
+      wizardStep("disableAccount", "Disable Account", { status: "error", message: "Forbidden" }),
+      wizardStep("convertMailbox", "Convert Mailbox", { status: "success", message: "Converted" }, ["disableAccount"]),
+    ], { ran: [] });
+
+    expect(results).toMatchObject([
+      { action: "Disable Account", status: "error", message: "Forbidden" },
+      { action: "Convert Mailbox", status: "skipped", message: "Not run: waiting on Disable Account" },
+    ]);
+  });
+});
+
+describe("planPipeline and diffPlans", () => {
+  it("marks completed steps and reports steps whose plan could not be resolved", async () => {
+    const plan = await planPipeline(
+      [
+        step("a"),
+        step("b", { plan: async () => [{ description: "Remove license", target: "E5" }] }),
+        step("c", { plan: async () => { throw new Error("Graph unavailable"); } }),
+      ],
+      { ran: [] },
+      { completedSteps: new Set(["a"]) }
+    );
+
+    expect(plan.map((entry) => entry.status)).toEqual(["alreadyCompleted", "planned", "unresolved"]);
+    expect(plan[1].changes).toEqual([{ description: "Remove license", target: "E5" }]);
+    expect(plan[2].error).toBe("Graph unavailable");
+  });
+
+  it("reports a planned step that failed and the planned changes its dependent never made", async () => {
+    const steps = [
+      step("groups", {
+        plan: async () => [{ description: "Remove from group", target: "Sales" }],
+        run: async () => [
+          buildActionResult("removeFromGroups", "success", "Removed from Sales"),
+          buildActionResult("removeFromGroups", "error", "Finance: Insufficient privileges"),
+        ],
+      }),
+      step("licenses", { dependsOn: ["groups"], plan: async () => [{ description: "Remove license", target: "E5" }] }),
+      step("mailbox", {
+        plan: async () => [
+          { description: "Convert to shared mailbox" },
+          { description: "Set automatic reply", skipReason: "Not requested" },
+        ],
+      }),
+    ];
+    const context: TestContext = { ran: [] };
+    const planned = await planPipeline(steps, context);
+
+    expect(diffPlans(planned, await runPipeline(steps, context))).toEqual([
+      {
+        step: "groups",
+        outcome: "failed",
+        added: [],
+        removed: [],
+        issues: [{ status: "error", message: "Finance: Insufficient privileges" }],
+      },
+      {
+        step: "licenses",
+        outcome: "blocked",
+        added: [],
+        removed: ["Remove license: E5"],
+        issues: [{ status: "skipped", message: "Not run: waiting on groups" }],
+      },
+      { step: "mailbox", outcome: "completed", added: [], removed: [], issues: [] },
+    ]);
+  });
+
+  it("lists what a step the plan could not resolve did, and skips steps resumed from a checkpoint", async () => {
+    const planned = [
+      { step: "a", dependsOn: [], status: "planned" as const, changes: [{ description: "a" }] },
+      { step: "b", dependsOn: [], status: "unresolved" as const, changes: [], error: "Graph unavailable" },
+    ];
+    const run = await runPipeline([step("a"), step("b")], { ran: [] }, { completedSteps: new Set(["a"]) });
+
+    expect(diffPlans(planned, run)).toEqual([
+      { step: "a", outcome: "resumed", added: [], removed: [], issues: [] },
+      { step: "b", outcome: "completed", added: ["b"], removed: [], issues: [] },
+    ]);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Types for the action pipeline shared with the offboarding wizard
+ *
+ * The pipeline itself lives in src/utils/actionPipeline.js, so scheduled and wizard
+ * offboardings order, block, checkpoint and compare steps the same way. This module
+ * gives it the types the Convex functions use.
+ */
+
+import * as pipeline from "../src/utils/actionPipeline";
+
+export type ActionStatus = "success" | "error" | "skipped" | "warning";
+
+export interface ActionResult {
+  action: string;
+  status: ActionStatus;
+  message: string;
+  timestamp: number;
+  details?: string;
+}
+
+export interface PlannedChange {
+  description: string;
+  target?: string;
+  skipReason?: string; // Set when the target will be left alone, e.g. a dynamic group
+}
+
+export interface PipelineStep<C> {
+  id: string;
+  label?: string;
+  dependsOn?: string[];
+  enabled: (context: C) => boolean;
+  // Steps must be safe to run again after a partial failure
+  run: (context: C) => Promise<ActionResult[]>;
+  // Read-only: resolve what run() would change
+  plan?: (context: C) => Promise<PlannedChange[]>;
+  // True while part of the step cannot be done yet, e.g. a wipe awaiting approval
+  pending?: (context: C) => boolean;
+}
+
+export interface PlanStep {
+  step: string;
+  label?: string;
+  dependsOn: string[];
+  status: "planned" | "alreadyCompleted" | "unresolved";
+  changes: PlannedChange[];
+  error?: string;
+}
+
+export type StepOutcome = "completed" | "failed" | "blocked" | "resumed" | "pending";
+
+export interface PlanDiffEntry {
+  step: string;
+  label?: string;
+  outcome: StepOutcome | "notRun";
+  added: string[]; // Changes made by a step the plan did not resolve
+  removed: string[]; // Planned changes of a step that was blocked or never ran
+  issues: Pick<ActionResult, "status" | "message">[]; // Errors, warnings and skips the step reported
+}
+
+export type CheckpointStatus = "completed" | "failed" | "pending";
+
+export interface PipelineOptions {
+  completedSteps?: Set<string>;
+  onStepStart?: (step: PipelineStep<any>) => void;
+  onCheckpoint?: (step: string, status: CheckpointStatus, results: ActionResult[]) => Promise<void>;
+}
+
+export interface PipelineRun {
+  results: ActionResult[];
+  failedSteps: string[];
+  pendingSteps: string[];
+  outcomes: Map<string, StepOutcome>;
+  resultsByStep: Map<string, ActionResult[]>;
+}
+
+export const buildActionResult: (action: string, status: ActionStatus, message: string, details?: string) => ActionResult =
+  pipeline.buildActionResult;
+
+/**
+ * Order steps so every step comes after its dependencies, keeping declaration order otherwise
+ */
+export const orderSteps: <C>(steps: PipelineStep<C>[]) => PipelineStep<C>[] = pipeline.orderSteps;
+
+/**
+ * Steps an earlier run finished, from its checkpoints; failed and pending steps run again
+ */
+export const completedStepsOf: (checkpoints: { step: string; status: CheckpointStatus }[]) => Set<string> =
+  pipeline.completedStepsOf;
+
+export const runPipeline: <C>(steps: PipelineStep<C>[], context: C, options?: PipelineOptions) => Promise<PipelineRun> =
+  pipeline.runPipeline;
+
+/**
+ * Resolve what every enabled step would change, without changing anything
+ */
+export const planPipeline: <C>(
+  steps: PipelineStep<C>[],
+  context: C,
+  options?: Pick<PipelineOptions, "completedSteps">
+) => Promise<PlanStep[]> = pipeline.planPipeline;
+
+/**
+ * Compare the plan attached before execution with what the run did
+ * A step that finished as planned has no added, removed or issues entries
+ */
+export const diffPlans: (planned: PlanStep[], run: Pick<PipelineRun, "outcomes" | "resultsByStep">) => PlanDiffEntry[] =
+  pipeline.diffPlans;
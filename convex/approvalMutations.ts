@@ -0,0 +1,43 @@
+import { internalMutation } from "./_generated/server";
+import { v } from "convex/values";
+import { recordAudit } from "./auditTrail";
+
+const SYSTEM_EXECUTOR = "system-cron";
+
+// Pure database mutation - expires requests nobody answered or carried out in time
+export const expireApprovals = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const now = Date.now();
+    let expired = 0;
+
+    for (const status of ["pending", "approved"] as const) {
+      const open = await ctx.db
+        .query("approval_requests")
+        .withIndex("by_status", (q: any) => q.eq("status", status))
+        .collect();
+
+      for (const request of open.filter((r: any) => r.expiresAt < now)) {
+        await ctx.db.patch(request._id, {
+          status: "expired",
+          updatedAt: now,
+        });
+
+        // Log audit trail
+        await recordAudit(ctx, {
+          tenantId: request.tenantId,
+          sessionId: request.sessionId,
+          userId: SYSTEM_EXECUTOR,
+          action: "expire_approval_request",
+          resourceType: "approval_requests",
+          resourceId: request._id,
+          details: `Expired ${status === "pending" ? "without a decision" : "before it was carried out"}: ${request.summary}`,
+          timestamp: now,
+        });
+        expired++;
+      }
+    }
+
+    return { expired };
+  },
+});
@@ -0,0 +1,80 @@
+"use node";
+
+import { internalAction } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { loadCredentials } from "./credentialUtils";
+import { fetchWithGraphToken, getAccessTokenFromCredentials } from "./graphUtils";
+import { APPROVAL_OPERATIONS, ApprovalOperation } from "./approvalPolicy";
+
+// Mailbox approval requests are sent from; no mail is sent when unset
+const NOTIFICATION_SENDER = process.env.APPROVAL_NOTIFICATION_SENDER;
+// Fixed approver addresses (comma-separated); otherwise every eligible operator who has signed in
+const NOTIFICATION_RECIPIENTS = process.env.APPROVAL_NOTIFICATION_RECIPIENTS;
+// Portal address used for the link to the inbox
+const PORTAL_URL = process.env.PORTAL_URL;
+
+function escapeHtml(value: string) {
+  return value.replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c] as string));
+}
+
+/**
+ * Email the operators who can approve a new request
+ * Uses the tenant's saved service credentials; the request stays in the inbox either way
+ */
+export const notifyApprovers = internalAction({
+  args: {
+    approvalId: v.id("approval_requests"),
+  },
+  handler: async (ctx, args) => {
+    if (!NOTIFICATION_SENDER) {
+      return { sent: 0, skipped: "APPROVAL_NOTIFICATION_SENDER is not set" };
+    }
+
+    const request = await ctx.runQuery(internal.approvalQueries.getApprovalById, { approvalId: args.approvalId });
+    if (!request || request.status !== "pending") {
+      return { sent: 0 };
+    }
+
+    const recipients: string[] = NOTIFICATION_RECIPIENTS
+      ? NOTIFICATION_RECIPIENTS.split(",").map((address) => address.trim()).filter(Boolean)
+      : await ctx.runQuery(internal.approvalQueries.getApproverEmails, { approvalId: args.approvalId });
+
+    if (recipients.length === 0) {
+      return { sent: 0, skipped: "No approvers found" };
+    }
+
+    const operation = APPROVAL_OPERATIONS[request.operation as ApprovalOperation].label;
+    const inboxLink = PORTAL_URL ? `<p><a href="${PORTAL_URL.replace(/\/$/, "")}/approvals">Open Pending Approvals</a></p>` : "";
+
+    try {
+      const credentials = await loadCredentials(ctx, request);
+      const accessToken = await getAccessTokenFromCredentials(credentials);
+
+      await fetchWithGraphToken(accessToken, `/users/${NOTIFICATION_SENDER}/sendMail`, {
+        method: "POST",
+        body: JSON.stringify({
+          message: {
+            subject: `Approval needed: ${operation} - ${request.targetName}`,
+            body: {
+              contentType: "HTML",
+              content: `
+                <p>${escapeHtml(request.requestedByName || request.requestedBy)} has asked for approval:</p>
+                <p><strong>${escapeHtml(request.summary)}</strong></p>
+                ${request.reason ? `<p>Reason: ${escapeHtml(request.reason)}</p>` : ""}
+                <p>The request expires on ${new Date(request.expiresAt).toUTCString()}.</p>
+                ${inboxLink}
+              `,
+            },
+            toRecipients: recipients.map((address) => ({ emailAddress: { address } })),
+          },
+        }),
+      });
+
+      return { sent: recipients.length };
+    } catch (error) {
+      console.warn(`[Approvals] Could not notify approvers for ${args.approvalId}:`, (error as Error).message);
+      return { sent: 0, skipped: (error as Error).message };
+    }
+  },
+});
@@ -0,0 +1,138 @@
+import { describe, expect, it } from "vitest";
+import { approvalBlocker, claimApproval } from "./approvalPolicy";
+import { approve, beginExecution, reject, request } from "./approvals";
+import { createFakeDatabase } from "./fakeDatabase.testing";
+
+const HOUR = 60 * 60 * 1000;
+
+function session(userId: string, roles: string[], extra: Record<string, any> = {}) {
+  return {
+    sessionId: `session-${userId}`,
+    tenantId: "tenant-a",
+    userId,
+    email: `${userId}@contoso.com`,
+    roles,
+    authMode: "delegated",
+    expiresAt: Date.now() + HOUR,
+    ...extra,
+  };
+}
+
+const requester = session("alice", ["IntuneAdmin"]);
+const approver = session("bob", ["IntuneAdmin"]);
+const helpDesk = session("carol", ["HelpDesk"]);
+
+function approvalRequest(fields: Record<string, any> = {}) {
+  return {
+    tenantId: "tenant-a",
+    operation: "wipeDevice",
+    targetId: "device-1",
+    targetName: "LAPTOP-01",
+    summary: "Wipe LAPTOP-01",
+    status: "approved",
+    requestedBy: requester.userId,
+    decidedBy: approver.userId,
+    expiresAt: Date.now() + HOUR,
+    ...fields,
+  };
+}
+
+// Runs registered Convex functions against the fake database
+function createContext() {
+  const db = createFakeDatabase({ sessions: [requester, approver, helpDesk] });
+  const ctx = { db, scheduler: { runAfter: async () => null } };
+  const call = (fn: any, args: Record<string, any>) => fn._handler(ctx, args);
+  return { db, ctx, call };
+}
+
+describe("approvalBlocker", () => {
+  it("lets a different operator with the operation's permission decide", () => {
+    expect(approvalBlocker(approver, approvalRequest())).toBeNull();
+  });
+
+  it("refuses the requester", () => {
+    expect(approvalBlocker(requester, approvalRequest())).toMatch(/someone other than the requester/);
+  });
+
+  it("refuses operators without the operation's permission", () => {
+    expect(approvalBlocker(helpDesk, approvalRequest())).toMatch(/Forbidden/);
+  });
+
+  it("refuses app-only sessions, which share one identity per tenant", () => {
+    expect(approvalBlocker({ ...approver, authMode: "app-only" }, approvalRequest())).toMatch(/signed-in operator/);
+  });
+});
+
+describe("claimApproval", () => {
+  it("claims an approved request exactly once", async () => {
+    const { ctx, db } = createContext();
+    const approvalId = await db.insert("approval_requests", approvalRequest());
+
+    await claimApproval(ctx, requester, approvalId, "wipeDevice", "device-1");
+    expect(await db.get(approvalId)).toMatchObject({ status: "executing", executedBy: requester.userId });
+
+    await expect(claimApproval(ctx, requester, approvalId, "wipeDevice", "device-1"))
+      .rejects.toThrow("This request is executing, not approved");
+  });
+
+  it("refuses requests that are expired, undecided, for another target or from another tenant", async () => {
+    const { ctx, db } = createContext();
+    const expired = await db.insert("approval_requests", approvalRequest({ expiresAt: Date.now() - 1 }));
+    const pending = await db.insert("approval_requests", approvalRequest({ status: "pending" }));
+    const otherTenant = await db.insert("approval_requests", approvalRequest({ tenantId: "tenant-b" }));
+    const approved = await db.insert("approval_requests", approvalRequest());
+
+    await expect(claimApproval(ctx, requester, expired, "wipeDevice", "device-1")).rejects.toThrow(/expired/);
+    await expect(claimApproval(ctx, requester, pending, "wipeDevice", "device-1")).rejects.toThrow(/pending, not approved/);
+    await expect(claimApproval(ctx, requester, otherTenant, "wipeDevice", "device-1")).rejects.toThrow(/another tenant/);
+    await expect(claimApproval(ctx, requester, approved, "wipeDevice", "device-2")).rejects.toThrow(/different operation/);
+    await expect(claimApproval(ctx, { ...requester, roles: ["Admin"] }, approved, "deleteUser", "device-1"))
+      .rejects.toThrow(/different operation/);
+  });
+
+  it("requires the operation's permission to carry it out", async () => {
+    const { ctx, db } = createContext();
+    const approvalId = await db.insert("approval_requests", approvalRequest());
+    await expect(claimApproval(ctx, helpDesk, approvalId, "wipeDevice", "device-1")).rejects.toThrow(/Forbidden/);
+  });
+});
+
+describe("approval requests", () => {
+  const wipe = {
+    operation: "wipeDevice",
+    targetId: "device-1",
+    targetName: "LAPTOP-01",
+    summary: "Wipe LAPTOP-01",
+  };
+
+  it("go from request to approval to a single execution", async () => {
+    const { call, db } = createContext();
+    const approvalId = await call(request, { sessionId: requester.sessionId, ...wipe });
+
+    await expect(call(approve, { sessionId: requester.sessionId, approvalId })).rejects.toThrow(/someone other than the requester/);
+    await call(approve, { sessionId: approver.sessionId, approvalId });
+    await call(beginExecution, { sessionId: requester.sessionId, approvalId, operation: "wipeDevice", targetId: "device-1" });
+
+    expect(await db.get(approvalId)).toMatchObject({ status: "executing", decidedBy: approver.userId });
+    expect((await db.query("audit_log").collect()).map((entry) => entry.action))
+      .toEqual(["request_approval", "approve_request", "execute_approved_operation"]);
+  });
+
+  it("cannot be opened twice for the same target while one is open", async () => {
+    const { call } = createContext();
+    await call(request, { sessionId: requester.sessionId, ...wipe });
+    await expect(call(request, { sessionId: approver.sessionId, ...wipe })).rejects.toThrow(/already pending/);
+  });
+
+  it("cannot be decided once expired or already decided", async () => {
+    const { call, db } = createContext();
+    const approvalId = await call(request, { sessionId: requester.sessionId, ...wipe });
+
+    await expect(call(reject, { sessionId: approver.sessionId, approvalId, comment: " " })).rejects.toThrow(/Give a reason/);
+    await call(reject, { sessionId: approver.sessionId, approvalId, comment: "Device is being reassigned" });
+    await expect(call(approve, { sessionId: approver.sessionId, approvalId })).rejects.toThrow(/rejected and can no longer be decided/);
+
+    const expired = await db.insert("approval_requests", approvalRequest({ status: "pending", expiresAt: Date.now() - 1 }));
+    await expect(call(approve, { sessionId: approver.sessionId, approvalId: expired })).rejects.toThrow(/expired and can no longer be decided/);
+  });
+});
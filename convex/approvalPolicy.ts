@@ -0,0 +1,100 @@
+/**
+ * Four-eyes approval for destructive operations
+ *
+ * Deleting a user, wiping a device, removing all licenses and running an offboarding
+ * start as an approval request. A second operator whose role grants the operation's
+ * permission approves or rejects it, and only then can it be carried out, once,
+ * before the request expires.
+ */
+
+import { Permission, requirePermission } from "./accessControl";
+import { recordAudit } from "./auditTrail";
+
+export type ApprovalOperation = "deleteUser" | "wipeDevice" | "removeAllLicenses" | "executeOffboarding";
+
+export const APPROVAL_OPERATIONS: Record<ApprovalOperation, { label: string; permission: Permission }> = {
+  deleteUser: { label: "Delete user", permission: "userManagement" },
+  wipeDevice: { label: "Wipe device", permission: "deviceWipe" },
+  removeAllLicenses: { label: "Remove all licenses", permission: "userManagement" },
+  executeOffboarding: { label: "Run offboarding", permission: "lifecycleExecute" },
+};
+
+export const DEFAULT_EXPIRY_HOURS = 24;
+export const MAX_EXPIRY_HOURS = 7 * 24;
+
+/**
+ * Whether a session may approve or reject a request
+ * The approver needs the operation's permission and must be a different person than
+ * the requester; app-only sessions share one identity per tenant, so they never qualify
+ */
+export function approvalBlocker(session: any, request: any): string | null {
+  if (session.authMode === "app-only") {
+    return "Approvals require a signed-in operator";
+  }
+  if (session.userId === request.requestedBy) {
+    return "A request must be approved by someone other than the requester";
+  }
+  try {
+    requirePermission(session, APPROVAL_OPERATIONS[request.operation as ApprovalOperation].permission);
+  } catch (error) {
+    return (error as Error).message;
+  }
+  return null;
+}
+
+/**
+ * Move an approved request to "executing" so it can be carried out exactly once
+ * Throws unless the request is approved, unexpired and for this operation and target
+ */
+export async function claimApproval(
+  ctx: any,
+  session: any,
+  approvalId: any,
+  operation: ApprovalOperation,
+  targetId: string
+) {
+  requirePermission(session, APPROVAL_OPERATIONS[operation].permission);
+
+  const request = await ctx.db.get(approvalId);
+  if (!request) {
+    throw new Error("Approval request not found");
+  }
+
+  if (request.tenantId !== session.tenantId) {
+    throw new Error("Unauthorized: Access denied to records from another tenant");
+  }
+
+  if (request.operation !== operation || request.targetId !== targetId) {
+    throw new Error("This approval is for a different operation");
+  }
+
+  const now = Date.now();
+  if (request.status === "approved" && request.expiresAt < now) {
+    throw new Error("This approval has expired; request a new one");
+  }
+
+  if (request.status !== "approved") {
+    throw new Error(`This request is ${request.status}, not approved`);
+  }
+
+  await ctx.db.patch(approvalId, {
+    status: "executing",
+    executedBy: session.userId,
+    executedAt: now,
+    updatedAt: now,
+  });
+
+  // Log audit trail
+  await recordAudit(ctx, {
+    tenantId: session.tenantId,
+    sessionId: session.sessionId,
+    userId: session.userId,
+    action: "execute_approved_operation",
+    resourceType: "approval_requests",
+    resourceId: approvalId,
+    details: `Started ${APPROVAL_OPERATIONS[operation].label.toLowerCase()} for ${request.targetName}, approved by ${request.decidedByName || request.decidedBy}`,
+    timestamp: now,
+  });
+
+  return request;
+}
@@ -0,0 +1,46 @@
+import { internalQuery } from "./_generated/server";
+import { v } from "convex/values";
+import { permissionsForRoles } from "./accessControl";
+import { APPROVAL_OPERATIONS, ApprovalOperation } from "./approvalPolicy";
+
+export const getApprovalById = internalQuery({
+  args: {
+    approvalId: v.id("approval_requests"),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db.get(args.approvalId);
+  },
+});
+
+/**
+ * Email addresses of operators who could approve a request: signed in to the tenant
+ * with a role that grants the operation's permission, other than the requester
+ */
+export const getApproverEmails = internalQuery({
+  args: {
+    approvalId: v.id("approval_requests"),
+  },
+  handler: async (ctx, args) => {
+    const request = await ctx.db.get(args.approvalId);
+    if (!request) {
+      return [];
+    }
+
+    const permission = APPROVAL_OPERATIONS[request.operation as ApprovalOperation].permission;
+    const sessions = await ctx.db
+      .query("sessions")
+      .withIndex("by_tenant", (q: any) => q.eq("tenantId", request.tenantId))
+      .collect();
+
+    const emails = sessions
+      .filter((session: any) =>
+        session.authMode !== "app-only" &&
+        session.userId !== request.requestedBy &&
+        session.email &&
+        permissionsForRoles(session.roles).includes(permission)
+      )
+      .map((session: any) => session.email.toLowerCase());
+
+    return Array.from(new Set(emails));
+  },
+});
@@ -0,0 +1,364 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { requirePermission } from "./accessControl";
+import {
+  APPROVAL_OPERATIONS,
+  ApprovalOperation,
+  approvalBlocker,
+  claimApproval,
+  DEFAULT_EXPIRY_HOURS,
+  MAX_EXPIRY_HOURS,
+} from "./approvalPolicy";
+import { recordAudit } from "./auditTrail";
+
+const operationValidator = v.union(
+  v.literal("deleteUser"),
+  v.literal("wipeDevice"),
+  v.literal("removeAllLicenses"),
+  v.literal("executeOffboarding")
+);
+
+/**
+ * Validate session and extract tenant context
+ */
+async function validateSession(ctx: any, sessionId: string) {
+  const session = await ctx.db
+    .query("sessions")
+    .withIndex("by_session_id", (q: any) => q.eq("sessionId", sessionId))
+    .first();
+
+  if (!session) {
+    throw new Error("Unauthorized: No session found");
+  }
+
+  if (session.expiresAt < Date.now()) {
+    throw new Error("Unauthorized: Session expired");
+  }
+
+  return session;
+}
+
+async function getTenantRequest(ctx: any, session: any, approvalId: any) {
+  const request = await ctx.db.get(approvalId);
+
+  if (!request) {
+    throw new Error("Approval request not found");
+  }
+
+  if (request.tenantId !== session.tenantId) {
+    throw new Error("Unauthorized: Access denied to records from another tenant");
+  }
+
+  return request;
+}
+
+// Requests past their expiry still read "pending"/"approved" until the cron sweeps them
+function effectiveStatus(request: any, now: number) {
+  if ((request.status === "pending" || request.status === "approved") && request.expiresAt < now) {
+    return "expired";
+  }
+  return request.status;
+}
+
+function withViewerFlags(request: any, session: any, now: number) {
+  const status = effectiveStatus(request, now);
+  return {
+    ...request,
+    status,
+    operationLabel: APPROVAL_OPERATIONS[request.operation as ApprovalOperation].label,
+    isRequester: request.requestedBy === session.userId,
+    canDecide: status === "pending" && approvalBlocker(session, request) === null,
+  };
+}
+
+/**
+ * List the tenant's approval requests, newest first
+ */
+export const list = query({
+  args: {
+    sessionId: v.string(),
+    status: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    const now = Date.now();
+
+    const requests = await ctx.db
+      .query("approval_requests")
+      .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId))
+      .collect();
+
+    return requests
+      .map((request: any) => withViewerFlags(request, session, now))
+      .filter((request: any) => !args.status || request.status === args.status)
+      .sort((a: any, b: any) => b.createdAt - a.createdAt);
+  },
+});
+
+/**
+ * Number of pending requests the caller could decide, for the navigation badge
+ */
+export const pendingCount = query({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    const now = Date.now();
+
+    const pending = await ctx.db
+      .query("approval_requests")
+      .withIndex("by_tenant_and_status", (q: any) => q.eq("tenantId", session.tenantId).eq("status", "pending"))
+      .collect();
+
+    return pending.filter((request: any) => withViewerFlags(request, session, now).canDecide).length;
+  },
+});
+
+/**
+ * Get one approval request
+ */
+export const get = query({
+  args: {
+    sessionId: v.string(),
+    approvalId: v.id("approval_requests"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    const request = await getTenantRequest(ctx, session, args.approvalId);
+    return withViewerFlags(request, session, Date.now());
+  },
+});
+
+/**
+ * Ask for a second operator's approval before a destructive operation
+ */
+export const request = mutation({
+  args: {
+    sessionId: v.string(),
+    operation: operationValidator,
+    targetId: v.string(),
+    targetName: v.string(),
+    summary: v.string(),
+    payload: v.optional(v.any()),
+    reason: v.optional(v.string()),
+    expiresInHours: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, APPROVAL_OPERATIONS[args.operation].permission);
+
+    const now = Date.now();
+    const open = await ctx.db
+      .query("approval_requests")
+      .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId))
+      .collect();
+    const duplicate = open.find((existing: any) =>
+      existing.operation === args.operation &&
+      existing.targetId === args.targetId &&
+      ["pending", "approved"].includes(effectiveStatus(existing, now))
+    );
+    if (duplicate) {
+      throw new Error(`${APPROVAL_OPERATIONS[args.operation].label} for ${args.targetName} is already ${duplicate.status}`);
+    }
+
+    const expiresInHours = Math.min(Math.max(args.expiresInHours ?? DEFAULT_EXPIRY_HOURS, 1), MAX_EXPIRY_HOURS);
+    const approvalId = await ctx.db.insert("approval_requests", {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      operation: args.operation,
+      targetId: args.targetId,
+      targetName: args.targetName,
+      summary: args.summary,
+      payload: args.payload,
+      reason: args.reason,
+      status: "pending",
+      requestedBy: session.userId,
+      requestedByName: session.displayName || session.email,
+      expiresAt: now + expiresInHours * 60 * 60 * 1000,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "request_approval",
+      resourceType: "approval_requests",
+      resourceId: approvalId,
+      details: `Requested approval: ${args.summary}${args.reason ? ` (reason: ${args.reason})` : ""}`,
+      timestamp: now,
+    });
+
+    await ctx.scheduler.runAfter(0, internal.approvalNotifications.notifyApprovers, { approvalId });
+
+    return approvalId;
+  },
+});
+
+/**
+ * Approve or reject a pending request
+ */
+async function decide(ctx: any, args: any, decision: "approved" | "rejected") {
+  const session = await validateSession(ctx, args.sessionId);
+  const request = await getTenantRequest(ctx, session, args.approvalId);
+
+  const now = Date.now();
+  const status = effectiveStatus(request, now);
+  if (status !== "pending") {
+    throw new Error(`This request is ${status} and can no longer be decided`);
+  }
+
+  const blocker = approvalBlocker(session, request);
+  if (blocker) {
+    throw new Error(blocker);
+  }
+
+  await ctx.db.patch(args.approvalId, {
+    status: decision,
+    decidedBy: session.userId,
+    decidedByName: session.displayName || session.email,
+    decisionComment: args.comment,
+    decidedAt: now,
+    updatedAt: now,
+  });
+
+  // Log audit trail
+  await recordAudit(ctx, {
+    tenantId: session.tenantId,
+    sessionId: session.sessionId,
+    userId: session.userId,
+    action: decision === "approved" ? "approve_request" : "reject_request",
+    resourceType: "approval_requests",
+    resourceId: args.approvalId,
+    details: `${decision === "approved" ? "Approved" : "Rejected"}: ${request.summary}${args.comment ? ` (comment: ${args.comment})` : ""}`,
+    timestamp: now,
+  });
+
+  return { success: true, status: decision };
+}
+
+export const approve = mutation({
+  args: {
+    sessionId: v.string(),
+    approvalId: v.id("approval_requests"),
+    comment: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => decide(ctx, args, "approved"),
+});
+
+export const reject = mutation({
+  args: {
+    sessionId: v.string(),
+    approvalId: v.id("approval_requests"),
+    comment: v.string(),
+  },
+  handler: async (ctx, args) => {
+    if (!args.comment.trim()) {
+      throw new Error("Give a reason for rejecting the request");
+    }
+    return await decide(ctx, args, "rejected");
+  },
+});
+
+/**
+ * Withdraw a request that has not been carried out yet (requester only)
+ */
+export const cancel = mutation({
+  args: {
+    sessionId: v.string(),
+    approvalId: v.id("approval_requests"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    const request = await getTenantRequest(ctx, session, args.approvalId);
+
+    if (request.requestedBy !== session.userId) {
+      throw new Error("Only the requester can cancel a request");
+    }
+
+    if (request.status !== "pending" && request.status !== "approved") {
+      throw new Error(`This request is ${request.status} and can no longer be cancelled`);
+    }
+
+    const now = Date.now();
+    await ctx.db.patch(args.approvalId, {
+      status: "cancelled",
+      updatedAt: now,
+    });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "cancel_approval_request",
+      resourceType: "approval_requests",
+      resourceId: args.approvalId,
+      details: `Cancelled request: ${request.summary}`,
+      timestamp: now,
+    });
+
+    return { success: true };
+  },
+});
+
+/**
+ * Claim an approved request before carrying it out; a request can only be claimed once
+ */
+export const beginExecution = mutation({
+  args: {
+    sessionId: v.string(),
+    approvalId: v.id("approval_requests"),
+    operation: operationValidator,
+    targetId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    return await claimApproval(ctx, session, args.approvalId, args.operation, args.targetId);
+  },
+});
+
+/**
+ * Record the outcome of a claimed request
+ */
+export const completeExecution = mutation({
+  args: {
+    sessionId: v.string(),
+    approvalId: v.id("approval_requests"),
+    success: v.boolean(),
+    message: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    const request = await getTenantRequest(ctx, session, args.approvalId);
+
+    if (request.status !== "executing" || request.executedBy !== session.userId) {
+      throw new Error("This request is not being carried out by you");
+    }
+
+    const now = Date.now();
+    await ctx.db.patch(args.approvalId, {
+      status: args.success ? "executed" : "failed",
+      executionMessage: args.message,
+      updatedAt: now,
+    });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: args.success ? "complete_approved_operation" : "fail_approved_operation",
+      resourceType: "approval_requests",
+      resourceId: args.approvalId,
+      details: `${args.success ? "Completed" : "Failed"}: ${request.summary}${args.message ? ` (${args.message})` : ""}`,
+      timestamp: now,
+    });
+
+    return { success: true };
+  },
+});
@@ -0,0 +1,35 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { clientIpAddress, corsHeaders } from "./auditLog";
+
+const request = (headers: Record<string, string>) => new Request("https://example.convex.site/audit/events", { headers });
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+describe("clientIpAddress", () => {
+  it("takes the hop the proxy added, not one the caller sent", () => {
+    expect(clientIpAddress(request({ "x-forwarded-for": "10.0.0.1, 203.0.113.7" }))).toBe("203.0.113.7");
+    expect(clientIpAddress(request({ "x-forwarded-for": "203.0.113.7" }))).toBe("203.0.113.7");
+  });
+
+  it("ignores headers the proxy does not set", () => {
+    expect(clientIpAddress(request({ "x-real-ip": "10.0.0.1", "cf-connecting-ip": "10.0.0.1" }))).toBeUndefined();
+  });
+});
+
+describe("corsHeaders", () => {
+  it("allows only the portal's origin", () => {
+    vi.stubEnv("PORTAL_URL", "https://portal.contoso.com/dashboard");
+    expect(corsHeaders()["Access-Control-Allow-Origin"]).toBe("https://portal.contoso.com");
+  });
+
+  it("allows no origin without a valid PORTAL_URL", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.stubEnv("PORTAL_URL", "");
+    expect(corsHeaders()).not.toHaveProperty("Access-Control-Allow-Origin");
+    vi.stubEnv("PORTAL_URL", "portal");
+    expect(corsHeaders()).not.toHaveProperty("Access-Control-Allow-Origin");
+  });
+});
@@ -0,0 +1,268 @@
+import { action, httpAction, query } from "./_generated/server";
+import { paginationOptsValidator } from "convex/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { requirePermission } from "./accessControl";
+import { computeAuditHash, GENESIS_HASH, serializeSnapshot } from "./auditTrail";
+
+const VERIFY_PAGE_SIZE = 500;
+
+/**
+ * CORS headers for the audit endpoint
+ * Only the portal, at PORTAL_URL, may call it from a browser; with PORTAL_URL unset no
+ * origin is allowed
+ */
+export function corsHeaders(): Record<string, string> {
+  const headers: Record<string, string> = {
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Max-Age': '86400',
+  };
+  try {
+    if (process.env.PORTAL_URL) {
+      headers['Access-Control-Allow-Origin'] = new URL(process.env.PORTAL_URL).origin;
+    }
+  } catch {
+    console.warn('⚠️ PORTAL_URL is not a valid URL; browser audit events are refused');
+  }
+  return headers;
+}
+
+/**
+ * Validate session and extract tenant context
+ */
+async function validateSession(ctx: any, sessionId: string) {
+  const session = await ctx.db
+    .query("sessions")
+    .withIndex("by_session_id", (q: any) => q.eq("sessionId", sessionId))
+    .first();
+
+  if (!session) {
+    throw new Error("Unauthorized: No session found");
+  }
+
+  if (session.expiresAt < Date.now()) {
+    throw new Error("Unauthorized: Session expired");
+  }
+
+  return session;
+}
+
+function matchesSearch(entry: any, search: string) {
+  const needle = search.toLowerCase();
+  return [entry.details, entry.targetName, entry.actorName, entry.userId, entry.resourceId, entry.action]
+    .some((field) => typeof field === "string" && field.toLowerCase().includes(needle));
+}
+
+/**
+ * Page through the tenant's audit log, newest first
+ * Exact-match filters run in the database; the free-text search applies to each page
+ */
+export const list = query({
+  args: {
+    sessionId: v.string(),
+    paginationOpts: paginationOptsValidator,
+    from: v.optional(v.number()),
+    to: v.optional(v.number()),
+    action: v.optional(v.string()),
+    userId: v.optional(v.string()),
+    resourceType: v.optional(v.string()),
+    outcome: v.optional(v.string()),
+    search: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "auditView");
+
+    const result = await ctx.db
+      .query("audit_log")
+      .withIndex("by_tenant_and_timestamp", (q: any) => {
+        const tenant = q.eq("tenantId", session.tenantId);
+        const after = args.from !== undefined ? tenant.gte("timestamp", args.from) : tenant;
+        return args.to !== undefined ? after.lte("timestamp", args.to) : after;
+      })
+      .order("desc")
+      .filter((q: any) => {
+        const conditions = [];
+        if (args.action) conditions.push(q.eq(q.field("action"), args.action));
+        if (args.userId) conditions.push(q.eq(q.field("userId"), args.userId));
+        if (args.resourceType) conditions.push(q.eq(q.field("resourceType"), args.resourceType));
+        if (args.outcome) conditions.push(q.eq(q.field("outcome"), args.outcome));
+        return conditions.length > 0 ? q.and(...conditions) : true;
+      })
+      .paginate(args.paginationOpts);
+
+    return {
+      ...result,
+      page: args.search ? result.page.filter((entry: any) => matchesSearch(entry, args.search as string)) : result.page,
+    };
+  },
+});
+
+/**
+ * Actions, actors and resource types seen in recent entries, for the explorer's filters
+ */
+export const filterOptions = query({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "auditView");
+
+    const recent = await ctx.db
+      .query("audit_log")
+      .withIndex("by_tenant_and_timestamp", (q: any) => q.eq("tenantId", session.tenantId))
+      .order("desc")
+      .take(2000);
+
+    const actors = new Map<string, string>();
+    for (const entry of recent) {
+      if (!actors.has(entry.userId) || entry.actorName) {
+        actors.set(entry.userId, entry.actorName || actors.get(entry.userId) || entry.userId);
+      }
+    }
+
+    return {
+      actions: [...new Set(recent.map((entry: any) => entry.action))].sort(),
+      resourceTypes: [...new Set(recent.map((entry: any) => entry.resourceType))].sort(),
+      actors: [...actors.entries()]
+        .map(([userId, name]) => ({ userId, name }))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+    };
+  },
+});
+
+/**
+ * Recompute the tenant's hash chain from the first chained entry
+ * Reports the first entry that was changed, removed or reordered. Removing entries
+ * from the end cannot be detected from the chain alone; compare the returned head
+ * hash and count with an earlier verification or export for that.
+ */
+export const verifyChain = action({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args): Promise<any> => {
+    const session: any = await ctx.runQuery(internal.auditLogQueries.getSession, { sessionId: args.sessionId });
+    if (!session || session.expiresAt < Date.now()) {
+      throw new Error("Unauthorized: No valid session found");
+    }
+    requirePermission(session, "auditView");
+
+    let previousHash = GENESIS_HASH;
+    let expected = 1;
+
+    for (;;) {
+      const page: any[] = await ctx.runQuery(internal.auditLogQueries.getChainPage, {
+        tenantId: session.tenantId,
+        afterSequence: expected - 1,
+        limit: VERIFY_PAGE_SIZE,
+      });
+
+      for (const entry of page) {
+        const failure = (reason: string) => ({
+          valid: false,
+          checked: expected - 1,
+          brokenAt: expected,
+          entryId: entry._id,
+          reason,
+          verifiedAt: Date.now(),
+        });
+
+        if (entry.sequence !== expected) {
+          return failure(`Entry #${expected} is missing`);
+        }
+        if (entry.previousHash !== previousHash) {
+          return failure(`Entry #${expected} does not follow entry #${expected - 1}`);
+        }
+        if ((await computeAuditHash(entry)) !== entry.hash) {
+          return failure(`Entry #${expected} was changed after it was written`);
+        }
+
+        previousHash = entry.hash;
+        expected++;
+      }
+
+      if (page.length < VERIFY_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    return {
+      valid: true,
+      checked: expected - 1,
+      headHash: previousHash,
+      verifiedAt: Date.now(),
+    };
+  },
+});
+
+function jsonResponse(status: number, body: unknown) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      ...corsHeaders(),
+      'Content-Type': 'application/json',
+    },
+  });
+}
+
+/**
+ * The caller's IP address, as seen by the Convex proxy
+ * The proxy appends the address it was connected from to X-Forwarded-For, so only the
+ * last hop can be trusted; earlier hops are whatever the caller sent
+ */
+export function clientIpAddress(request: Request) {
+  const hops = (request.headers.get('x-forwarded-for') || '').split(',').map((hop) => hop.trim()).filter(Boolean);
+  return hops[hops.length - 1];
+}
+
+/**
+ * Record a change the browser made directly against Graph or the on-prem AD routes
+ * Served over HTTP rather than as a mutation so the caller's IP address and user agent
+ * can be captured
+ */
+export const recordEvent = httpAction(async (ctx, request) => {
+  let body: any;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse(400, { error: 'Invalid JSON body' });
+  }
+
+  if (typeof body.sessionId !== 'string' || typeof body.action !== 'string' || typeof body.resourceType !== 'string') {
+    return jsonResponse(400, { error: 'sessionId, action and resourceType are required' });
+  }
+
+  try {
+    await ctx.runMutation(internal.auditLogMutations.recordClientEvent, {
+      sessionId: body.sessionId,
+      action: body.action.slice(0, 200),
+      resourceType: body.resourceType.slice(0, 200),
+      resourceId: typeof body.resourceId === 'string' ? body.resourceId : undefined,
+      targetName: typeof body.targetName === 'string' ? body.targetName : undefined,
+      details: typeof body.details === 'string' ? body.details.slice(0, 2000) : undefined,
+      // Serialized here: Graph payloads can have field names a Convex value cannot
+      before: serializeSnapshot(body.before),
+      after: serializeSnapshot(body.after),
+      outcome: body.outcome === 'failure' ? 'failure' : 'success',
+      ipAddress: clientIpAddress(request),
+      userAgent: request.headers.get('user-agent') || undefined,
+    });
+    return jsonResponse(201, { success: true });
+  } catch (error: any) {
+    console.error('❌ Failed to record audit event:', error.message);
+    return jsonResponse(401, { error: error.message });
+  }
+});
+
+/**
+ * OPTIONS handler for CORS preflight
+ */
+export const recordEventOptions = httpAction(async () => {
+  return new Response(null, {
+    status: 204,
+    headers: corsHeaders(),
+  });
+});
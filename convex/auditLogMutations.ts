@@ -0,0 +1,48 @@
+import { internalMutation } from "./_generated/server";
+import { v } from "convex/values";
+import { recordAudit } from "./auditTrail";
+
+// Pure database mutation - records a change the browser made directly (Graph, on-prem AD)
+export const recordClientEvent = internalMutation({
+  args: {
+    sessionId: v.string(),
+    action: v.string(),
+    resourceType: v.string(),
+    resourceId: v.optional(v.string()),
+    targetName: v.optional(v.string()),
+    details: v.optional(v.string()),
+    before: v.optional(v.string()),
+    after: v.optional(v.string()),
+    outcome: v.union(v.literal("success"), v.literal("failure")),
+    ipAddress: v.optional(v.string()),
+    userAgent: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const session = await ctx.db
+      .query("sessions")
+      .withIndex("by_session_id", (q: any) => q.eq("sessionId", args.sessionId))
+      .first();
+
+    if (!session || session.expiresAt < Date.now()) {
+      throw new Error("Unauthorized: No valid session found");
+    }
+
+    // The actor is always the session's user; the browser only describes the change
+    return await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: args.action,
+      resourceType: args.resourceType,
+      resourceId: args.resourceId,
+      targetName: args.targetName,
+      details: args.details,
+      before: args.before,
+      after: args.after,
+      outcome: args.outcome,
+      ipAddress: args.ipAddress,
+      userAgent: args.userAgent,
+      timestamp: Date.now(),
+    });
+  },
+});
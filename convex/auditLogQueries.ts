@@ -0,0 +1,33 @@
+import { internalQuery } from "./_generated/server";
+import { v } from "convex/values";
+
+export const getSession = internalQuery({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db
+      .query("sessions")
+      .withIndex("by_session_id", (q: any) => q.eq("sessionId", args.sessionId))
+      .first();
+  },
+});
+
+/**
+ * Chained entries of a tenant in sequence order, starting after a sequence number
+ */
+export const getChainPage = internalQuery({
+  args: {
+    tenantId: v.string(),
+    afterSequence: v.number(),
+    limit: v.number(),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db
+      .query("audit_log")
+      .withIndex("by_tenant_and_sequence", (q: any) =>
+        q.eq("tenantId", args.tenantId).gt("sequence", args.afterSequence)
+      )
+      .take(args.limit);
+  },
+});
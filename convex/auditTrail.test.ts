@@ -0,0 +1,153 @@
+import { getFunctionName } from "convex/server";
+import { describe, expect, it } from "vitest";
+import { internal } from "./_generated/api";
+import { verifyChain } from "./auditLog";
+import * as auditLogQueries from "./auditLogQueries";
+import { computeAuditHash, GENESIS_HASH, recordAudit, serializeSnapshot } from "./auditTrail";
+import { createFakeDatabase } from "./fakeDatabase.testing";
+
+const auditor = {
+  sessionId: "session-auditor",
+  tenantId: "tenant-a",
+  userId: "auditor",
+  displayName: "Audrey Auditor",
+  roles: ["Auditor"],
+  expiresAt: Date.now() + 60 * 60 * 1000,
+};
+
+function createContext() {
+  const db = createFakeDatabase({ sessions: [auditor] });
+  const queries: Record<string, any> = {
+    [getFunctionName(internal.auditLogQueries.getSession)]: auditLogQueries.getSession,
+    [getFunctionName(internal.auditLogQueries.getChainPage)]: auditLogQueries.getChainPage,
+  };
+  // The fake database answers both the mutation side (recordAudit) and the action's queries
+  const ctx = {
+    db,
+    runQuery: (ref: any, args: any) => queries[getFunctionName(ref)]._handler({ db }, args),
+  };
+
+  const record = (action: string, tenantId = "tenant-a") =>
+    recordAudit(ctx, {
+      tenantId,
+      sessionId: auditor.sessionId,
+      userId: auditor.userId,
+      action,
+      resourceType: "users",
+      resourceId: `user-${action}`,
+      timestamp: Date.now(),
+    });
+  const verify = (sessionId = auditor.sessionId) => (verifyChain as any)._handler(ctx, { sessionId });
+  const entries = (tenantId = "tenant-a") =>
+    db.tables.get("audit_log")!.filter((entry) => entry.tenantId === tenantId);
+
+  return { db, record, verify, entries };
+}
+
+describe("recordAudit", () => {
+  it("numbers each tenant's entries and links them by hash", async () => {
+    const { record, entries } = createContext();
+    await record("disable_user");
+    await record("disable_user", "tenant-b");
+    await record("remove_licenses");
+
+    const [first, second] = entries();
+    expect(first).toMatchObject({ sequence: 1, previousHash: GENESIS_HASH, actorName: "Audrey Auditor" });
+    expect(second).toMatchObject({ sequence: 2, previousHash: first.hash });
+    expect(entries("tenant-b")[0]).toMatchObject({ sequence: 1, previousHash: GENESIS_HASH });
+    expect(await computeAuditHash(second)).toBe(second.hash);
+  });
+});
+
+describe("serializeSnapshot", () => {
+  it("redacts secrets but keeps changePasswordAtLogon", () => {
+    expect(JSON.parse(serializeSnapshot({
+      displayName: "Ada",
+      passwordProfile: { password: "hunter2" },
+      clientSecret: "abc",
+      changePasswordAtLogon: true,
+    })!)).toEqual({
+      displayName: "Ada",
+      passwordProfile: "[redacted]",
+      clientSecret: "[redacted]",
+      changePasswordAtLogon: true,
+    });
+    expect(serializeSnapshot(null)).toBeUndefined();
+  });
+
+  it("truncates large snapshots", () => {
+    expect(serializeSnapshot("x".repeat(20000))).toMatch(/^x{16384}…\[truncated\]$/);
+  });
+});
+
+describe("verifyChain", () => {
+  it("accepts an untouched chain and reports its head", async () => {
+    const { record, verify, entries } = createContext();
+    for (const action of ["create_user", "disable_user", "remove_licenses"]) {
+      await record(action);
+    }
+
+    expect(await verify()).toMatchObject({ valid: true, checked: 3, headHash: entries()[2].hash });
+  });
+
+  it("accepts an empty chain", async () => {
+    const { verify } = createContext();
+    expect(await verify()).toMatchObject({ valid: true, checked: 0, headHash: GENESIS_HASH });
+  });
+
+  it("reports an entry edited after it was written", async () => {
+    const { record, verify, entries } = createContext();
+    await record("create_user");
+    await record("disable_user");
+    entries()[1].action = "view_user";
+
+    expect(await verify()).toMatchObject({
+      valid: false,
+      checked: 1,
+      brokenAt: 2,
+      entryId: entries()[1]._id,
+      reason: "Entry #2 was changed after it was written",
+    });
+  });
+
+  it("reports an edit at the next entry when the edited entry's hash was recomputed", async () => {
+    const { record, verify, entries } = createContext();
+    for (const action of ["create_user", "disable_user", "remove_licenses"]) {
+      await record(action);
+    }
+    const edited = entries()[1];
+    edited.action = "view_user";
+    edited.hash = await computeAuditHash(edited);
+
+    expect(await verify()).toMatchObject({ valid: false, brokenAt: 3, reason: "Entry #3 does not follow entry #2" });
+  });
+
+  it("reports a removed entry", async () => {
+    const { db, record, verify } = createContext();
+    for (const action of ["create_user", "disable_user", "remove_licenses"]) {
+      await record(action);
+    }
+    db.tables.get("audit_log")!.splice(1, 1);
+
+    expect(await verify()).toMatchObject({ valid: false, checked: 1, brokenAt: 2, reason: "Entry #2 is missing" });
+  });
+
+  it("walks chains longer than one page", async () => {
+    const { record, verify } = createContext();
+    for (let i = 0; i < 501; i++) {
+      await record(`action_${i}`);
+    }
+
+    expect(await verify()).toMatchObject({ valid: true, checked: 501 });
+  });
+
+  it("only checks the caller's tenant and requires auditView", async () => {
+    const { db, record, verify, entries } = createContext();
+    await record("create_user", "tenant-b");
+    entries("tenant-b")[0].action = "view_user";
+    expect(await verify()).toMatchObject({ valid: true, checked: 0 });
+
+    await db.insert("sessions", { ...auditor, sessionId: "session-helpdesk", roles: ["HelpDesk"] });
+    await expect(verify("session-helpdesk")).rejects.toThrow(/Forbidden/);
+  });
+});
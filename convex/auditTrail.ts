@@ -0,0 +1,123 @@
+/**
+ * Tamper-evident audit trail
+ *
+ * Every audit_log entry is numbered per tenant and carries the SHA-256 of its own
+ * fields plus the previous entry's hash. Editing, deleting or reordering an entry
+ * breaks the chain from that point on, which verifyChain reports.
+ *
+ * Write entries through recordAudit rather than inserting into audit_log directly.
+ */
+
+// Hash of the entry before a tenant's first chained entry
+export const GENESIS_HASH = "0".repeat(64);
+
+// Before/after snapshots longer than this are cut off
+const MAX_SNAPSHOT_LENGTH = 16 * 1024;
+
+// Keys such as password, passwordProfile, clientSecret or accessToken; changePasswordAtLogon is kept
+const REDACTED_KEY = /(password|passwordprofile|secret|token|privatekey|credentials?)$/i;
+
+export type AuditEntry = {
+  tenantId: string;
+  sessionId: string;
+  userId: string;
+  actorName?: string;
+  action: string;
+  resourceType: string;
+  resourceId?: string;
+  targetName?: string;
+  details?: string;
+  before?: unknown;
+  after?: unknown;
+  outcome?: "success" | "failure";
+  ipAddress?: string;
+  userAgent?: string;
+  timestamp: number;
+};
+
+/**
+ * Serialize a before/after snapshot, dropping secrets and capping the size
+ */
+export function serializeSnapshot(value: unknown): string | undefined {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+
+  const json = typeof value === "string"
+    ? value
+    : JSON.stringify(value, (key, field) => (key && REDACTED_KEY.test(key) ? "[redacted]" : field));
+
+  return json.length > MAX_SNAPSHOT_LENGTH ? `${json.slice(0, MAX_SNAPSHOT_LENGTH)}…[truncated]` : json;
+}
+
+// Field order is part of the hash; never reorder, only append
+function canonicalize(entry: any) {
+  return JSON.stringify([
+    entry.tenantId,
+    entry.sequence,
+    entry.previousHash,
+    entry.timestamp,
+    entry.sessionId,
+    entry.userId,
+    entry.actorName ?? null,
+    entry.action,
+    entry.resourceType,
+    entry.resourceId ?? null,
+    entry.targetName ?? null,
+    entry.details ?? null,
+    entry.before ?? null,
+    entry.after ?? null,
+    entry.outcome ?? null,
+    entry.ipAddress ?? null,
+    entry.userAgent ?? null,
+  ]);
+}
+
+/**
+ * SHA-256 of a stored audit entry, as a hex string
+ */
+export async function computeAuditHash(entry: any): Promise<string> {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(canonicalize(entry)));
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Append an entry to the tenant's audit chain
+ * Mutations run serializably, so two writers can never claim the same sequence number
+ */
+export async function recordAudit(ctx: any, entry: AuditEntry) {
+  // Record who the actor was at the time, since sessions are deleted when they expire.
+  // Scheduled runs log the requester's session but act as the system, so they keep no name
+  let actorName = entry.actorName;
+  if (!actorName) {
+    const session = await ctx.db
+      .query("sessions")
+      .withIndex("by_session_id", (q: any) => q.eq("sessionId", entry.sessionId))
+      .first();
+    if (session?.userId === entry.userId) {
+      actorName = session.displayName || session.email;
+    }
+  }
+
+  const head = await ctx.db
+    .query("audit_log")
+    .withIndex("by_tenant_and_sequence", (q: any) => q.eq("tenantId", entry.tenantId))
+    .order("desc")
+    .first();
+
+  const chained = {
+    ...entry,
+    actorName,
+    before: serializeSnapshot(entry.before),
+    after: serializeSnapshot(entry.after),
+    sequence: (head?.sequence ?? 0) + 1,
+    previousHash: head?.hash ?? GENESIS_HASH,
+  };
+
+  return await ctx.db.insert("audit_log", {
+    ...chained,
+    hash: await computeAuditHash(chained),
+  });
+}
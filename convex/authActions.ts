@@ -1,35 +1,71 @@
 "use node";
 
-import { action } from "./_generated/server";
+import { action, internalAction } from "./_generated/server";
 import { v } from "convex/values";
-import { api } from "./_generated/api";
-import { encryptCredentials, decryptCredentials } from "./credentialUtils";
+import { internal } from "./_generated/api";
+import { encryptCredentials, decryptCredentials, lookupCredentialExpiry, parseCertificateCredential } from "./credentialUtils";
+import { requestAppOnlyToken } from "./graphUtils";
 
 // Re-export Convex Auth SSO functions to make them available as public functions
 export { signIn, signOut, auth } from "./authInit.js";
 
 /**
  * Configure credentials (encrypts on server-side)
+ * App-only credentials are a client secret or a certificate (PEM with its private key).
+ * The secret's expiry is read from the app registration when the app may read it,
+ * otherwise taken from expiresAt if given; a certificate's comes from the certificate.
  */
 export const configure = action({
   args: {
     clientId: v.string(),
     tenantId: v.string(),
     clientSecret: v.optional(v.string()),
+    certificate: v.optional(v.string()),
+    expiresAt: v.optional(v.number()),
   },
   handler: async (ctx, args) => {
-    // Encrypt credentials server-side
-    const encryptedCredentials = encryptCredentials({
+    const parsedCertificate = args.certificate ? parseCertificateCredential(args.certificate) : null;
+    const credentials = {
       clientId: args.clientId,
       tenantId: args.tenantId,
-      clientSecret: args.clientSecret || null,
-    });
+      clientSecret: parsedCertificate ? null : args.clientSecret || null,
+      certificate: parsedCertificate?.certificate || null,
+    };
+
+    let expiresAt = parsedCertificate?.expiresAt;
+    let expirySource: "certificate" | "entra" | "manual" | undefined = parsedCertificate ? "certificate" : undefined;
+    if (!parsedCertificate && credentials.clientSecret) {
+      try {
+        expiresAt = (await lookupCredentialExpiry(credentials)) ?? undefined;
+        expirySource = expiresAt ? "entra" : undefined;
+      } catch (error) {
+        console.warn("[Credentials] Could not read the secret's expiry from Entra:", (error as Error).message);
+      }
+      if (!expiresAt && args.expiresAt) {
+        expiresAt = args.expiresAt;
+        expirySource = "manual";
+      }
+    }
+
+    // Only credentials that can sign in to the tenant may replace its saved ones
+    if (credentials.clientSecret || credentials.certificate) {
+      try {
+        await requestAppOnlyToken(credentials);
+      } catch (error) {
+        throw new Error(`Authentication failed: ${(error as Error).message}`);
+      }
+    }
+
+    // Encrypt credentials server-side
+    const encryptedCredentials = encryptCredentials(credentials);
 
     // Call mutation to store
-    const result = await ctx.runMutation(api.authMutations.configure, {
+    const result = await ctx.runMutation(internal.authMutations.configure, {
       clientId: args.clientId,
       tenantId: args.tenantId,
-      clientSecret: args.clientSecret,
+      credentialType: parsedCertificate ? "certificate" : credentials.clientSecret ? "secret" : undefined,
+      expiresAt,
+      expirySource,
       encryptedCredentials,
     });
 
@@ -46,41 +82,22 @@ export const loginAppOnly = action({
   },
   handler: async (ctx, args) => {
     // Get encrypted credentials using internal query
-    const credsData = await ctx.runQuery(api.authMutations.getCredentialsInternal, {
+    const credsData = await ctx.runQuery(internal.authMutations.getCredentialsInternal, {
       sessionId: args.sessionId,
     });
 
     // Decrypt
     const creds = decryptCredentials(credsData.encryptedCredentials);
 
-    if (!creds.clientSecret) {
-      throw new Error("Client secret required for app-only authentication");
-    }
-
     // Validate by getting a token (this proves credentials work)
-    const tokenEndpoint = `https://login.microsoftonline.com/${creds.tenantId}/oauth2/v2.0/token`;
-    
-    const params = new URLSearchParams();
-    params.append('client_id', creds.clientId);
-    params.append('client_secret', creds.clientSecret);
-    params.append('scope', 'https://graph.microsoft.com/.default');
-    params.append('grant_type', 'client_credentials');
-    
-    const response = await fetch(tokenEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: params.toString(),
-    });
-    
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`Authentication failed: ${error.error_description || error.error}`);
+    try {
+      await requestAppOnlyToken(creds);
+    } catch (error) {
+      throw new Error(`Authentication failed: ${(error as Error).message}`);
     }
 
     // Token validated, update session
-    return await ctx.runMutation(api.authMutations.loginAppOnly, {
+    return await ctx.runMutation(internal.authMutations.loginAppOnly, {
       sessionId: args.sessionId,
       tenantId: creds.tenantId,
     });
@@ -89,13 +106,14 @@ export const loginAppOnly = action({
 
 /**
  * Get decrypted credentials (for Graph API calls)
+ * Internal so a secret or private key never leaves the server
  */
-export const getDecryptedCredentials = action({
+export const getDecryptedCredentials = internalAction({
   args: {
     sessionId: v.string(),
   },
   handler: async (ctx, args) => {
-    const credsData = await ctx.runQuery(api.authMutations.getCredentialsInternal, {
+    const credsData = await ctx.runQuery(internal.authMutations.getCredentialsInternal, {
       sessionId: args.sessionId,
     });
 
@@ -112,41 +130,21 @@ export const getAppOnlyToken = action({
   },
   handler: async (ctx, args) => {
     // Get encrypted credentials using internal query
-    const credsData = await ctx.runQuery(api.authMutations.getCredentialsInternal, {
+    const credsData = await ctx.runQuery(internal.authMutations.getCredentialsInternal, {
       sessionId: args.sessionId,
     });
 
     // Decrypt
     const creds = decryptCredentials(credsData.encryptedCredentials);
 
-    if (!creds.clientSecret) {
-      throw new Error("Client secret required for app-only authentication");
-    }
-
     // Get token from Microsoft Identity Platform
-    const tokenEndpoint = `https://login.microsoftonline.com/${creds.tenantId}/oauth2/v2.0/token`;
-    
-    const params = new URLSearchParams();
-    params.append('client_id', creds.clientId);
-    params.append('client_secret', creds.clientSecret);
-    params.append('scope', 'https://graph.microsoft.com/.default');
-    params.append('grant_type', 'client_credentials');
-    
-    const response = await fetch(tokenEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: params.toString(),
-    });
-    
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`Token acquisition failed: ${error.error_description || error.error}`);
+    let tokenData;
+    try {
+      tokenData = await requestAppOnlyToken(creds);
+    } catch (error) {
+      throw new Error(`Token acquisition failed: ${(error as Error).message}`);
     }
 
-    const tokenData = await response.json();
-    
     return {
       accessToken: tokenData.access_token,
       expiresIn: tokenData.expires_in,
@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { configure, loginAppOnly, loginOAuth2 } from "./authMutations";
+import { createFakeDatabase } from "./fakeDatabase.testing";
+
+const call = (fn: any, ctx: any, args: Record<string, any>) => fn._handler(ctx, args);
+
+describe("session setup", () => {
+  it("only lets authActions create sessions and grant app-only roles", () => {
+    expect((configure as any).isInternal).toBe(true);
+    expect((loginAppOnly as any).isInternal).toBe(true);
+    expect((loginOAuth2 as any).isPublic).toBe(true);
+  });
+
+  it("grants app-only roles only for the tenant the session's credentials were saved for", async () => {
+    const ctx = { db: createFakeDatabase() };
+    const { sessionId } = await call(configure, ctx, {
+      clientId: "app-1",
+      tenantId: "tenant-a",
+      credentialType: "secret",
+      encryptedCredentials: "v1.default.sealed",
+    });
+
+    await expect(call(loginAppOnly, ctx, { sessionId, tenantId: "tenant-b" })).rejects.toThrow(/not for this tenant/);
+
+    const result = await call(loginAppOnly, ctx, { sessionId, tenantId: "tenant-a" });
+    expect(result.user.roles).toEqual(["Admin"]);
+    expect(await ctx.db.query("sessions").first()).toMatchObject({ tenantId: "tenant-a", authMode: "app-only" });
+  });
+});
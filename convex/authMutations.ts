@@ -1,5 +1,6 @@
-import { mutation, query, internalQuery } from "./_generated/server";
+import { mutation, query, internalMutation, internalQuery } from "./_generated/server";
 import { v } from "convex/values";
+import { normalizeRoles, permissionsForRoles } from "./accessControl";
 
 const SESSION_DURATION = 24 * 60 * 60 * 1000; // 24 hours
 
@@ -12,13 +13,16 @@ function generateSessionId(): string {
 
 /**
  * Configure Azure credentials and create a session
+ * Internal: authActions.configure calls it once app-only credentials have obtained a token
  */
-export const configure = mutation({
+export const configure = internalMutation({
   args: {
     clientId: v.string(),
     tenantId: v.string(),
-    clientSecret: v.optional(v.string()),
-    encryptedCredentials: v.string(), // Pre-encrypted from client
+    credentialType: v.optional(v.union(v.literal("secret"), v.literal("certificate"))), // App-only credential, if any
+    expiresAt: v.optional(v.number()),
+    expirySource: v.optional(v.union(v.literal("certificate"), v.literal("entra"), v.literal("manual"))),
+    encryptedCredentials: v.string(), // Sealed by authActions.configure
   },
   handler: async (ctx, args) => {
     // Validate required fields
@@ -37,7 +41,7 @@ export const configure = mutation({
       tenantId: args.tenantId,
       sessionId,
       userId: `temp-${sessionId}`, // Will be updated after authentication
-      authMode: args.clientSecret ? "app-only" : "oauth2",
+      authMode: args.credentialType ? "app-only" : "oauth2",
       roles: [],
       credentials: args.encryptedCredentials,
       expiresAt,
@@ -46,7 +50,19 @@ export const configure = mutation({
     });
 
     // Also save credentials to persistent tenant_credentials table (for scheduled automation)
-    if (args.clientSecret) {
+    if (args.credentialType) {
+      // A new secret or certificate starts its expiry warnings over
+      const credentialFields = {
+        clientId: args.clientId,
+        encryptedCredentials: args.encryptedCredentials,
+        credentialType: args.credentialType,
+        expiresAt: args.expiresAt,
+        expirySource: args.expiresAt ? args.expirySource : undefined,
+        expiryWarningDays: undefined,
+        configuredAt: now,
+        isActive: true,
+      };
+
       // Check if tenant credentials already exist
       const existingCreds = await ctx.db
         .query("tenant_credentials")
@@ -55,20 +71,12 @@ export const configure = mutation({
 
       if (existingCreds) {
         // Update existing credentials
-        await ctx.db.patch(existingCreds._id, {
-          clientId: args.clientId,
-          encryptedCredentials: args.encryptedCredentials,
-          configuredAt: now,
-          isActive: true,
-        });
+        await ctx.db.patch(existingCreds._id, credentialFields);
       } else {
         // Create new tenant credentials record
         await ctx.db.insert("tenant_credentials", {
           tenantId: args.tenantId,
-          clientId: args.clientId,
-          encryptedCredentials: args.encryptedCredentials,
-          configuredAt: now,
-          isActive: true,
+          ...credentialFields,
         });
       }
     }
@@ -77,15 +85,18 @@ export const configure = mutation({
       success: true,
       sessionId,
       message: "Credentials saved securely",
-      hasSecret: !!args.clientSecret,
+      hasSecret: !!args.credentialType,
+      credentialType: args.credentialType,
+      expiresAt: args.expiresAt,
     };
   },
 });
 
 /**
  * Login with app-only (client credentials) authentication
+ * Internal: authActions.loginAppOnly calls it once the session's credentials have obtained a token
  */
-export const loginAppOnly = mutation({
+export const loginAppOnly = internalMutation({
   args: {
     sessionId: v.string(),
     tenantId: v.string(),
@@ -106,6 +117,10 @@ export const loginAppOnly = mutation({
       throw new Error("Session expired. Please re-authenticate.");
     }
 
+    if (!session.credentials || session.tenantId !== args.tenantId) {
+      throw new Error("Unauthorized: Session credentials are not for this tenant");
+    }
+
     // Update session with authenticated user info
     const now = Date.now();
     await ctx.db.patch(session._id, {
@@ -125,7 +140,8 @@ export const loginAppOnly = mutation({
         tenantId: args.tenantId,
         displayName: "Application Admin",
         email: "app@system",
-        roles: ["admin"],
+        roles: normalizeRoles(["admin"]),
+        permissions: permissionsForRoles(["admin"]),
       },
     };
   },
@@ -141,7 +157,6 @@ export const loginOAuth2 = mutation({
     email: v.string(),
     displayName: v.string(),
     tenantId: v.string(),
-    roles: v.optional(v.array(v.string())),
   },
   handler: async (ctx, args) => {
     // Find session by sessionId
@@ -167,7 +182,8 @@ export const loginOAuth2 = mutation({
       email: args.email,
       displayName: args.displayName,
       authMode: "oauth2",
-      roles: args.roles || ["user"],
+      // Resolved from the directory by rbacActions.refreshSessionRoles, never taken from the client
+      roles: [],
       updatedAt: now,
     });
 
@@ -179,7 +195,8 @@ export const loginOAuth2 = mutation({
         tenantId: args.tenantId,
         displayName: args.displayName,
         email: args.email,
-        roles: args.roles || ["user"],
+        roles: [],
+        permissions: [],
       },
     };
   },
@@ -227,7 +244,8 @@ export const getStatus = query({
         tenantId: session.tenantId,
         displayName: session.displayName,
         email: session.email,
-        roles: session.roles,
+        roles: normalizeRoles(session.roles),
+        permissions: permissionsForRoles(session.roles),
       },
     };
   },
@@ -341,6 +359,10 @@ export const createMSALSession = mutation({
       const expiresAt = now + SESSION_DURATION;
 
     if (existingSession) {
+      if (existingSession.userId !== args.userId) {
+        throw new Error("Unauthorized: Session belongs to another user");
+      }
+
       // Update existing session
       await ctx.db.patch(existingSession._id, {
         email: args.email,
@@ -364,7 +386,7 @@ export const createMSALSession = mutation({
         email: args.email,
         displayName: args.displayName,
         authMode: "oauth2" as const, // MSAL uses OAuth2 delegated permissions
-        roles: ["admin"], // Microsoft SSO users get admin role
+        roles: [] as string[], // Resolved from the directory by rbacActions.refreshSessionRoles
         expiresAt: expiresAt,
         createdAt: now,
         updatedAt: now,
@@ -0,0 +1,119 @@
+"use node";
+
+import { action, internalAction } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { requirePermission } from "./accessControl";
+import { SEALED_FIELDS } from "./credentialMutations";
+import {
+  decryptCredentials,
+  loadKeyring,
+  lookupCredentialExpiry,
+  reencryptCredentials,
+  sealedKeyId,
+} from "./credentialUtils";
+
+/**
+ * Reseal every stored secret under the active vault key (see credentialUtils)
+ * Keys live in the deployment's environment, so this is run by whoever manages it:
+ *
+ *   npx convex run credentialActions:rotateEncryptionKeys '{"dryRun": true}'
+ *   npx convex run credentialActions:rotateEncryptionKeys
+ *
+ * A dry run only counts values per key. Remove an old key from CREDENTIAL_KEYS once a
+ * run reports nothing left under it.
+ */
+export const rotateEncryptionKeys = internalAction({
+  args: {
+    dryRun: v.optional(v.boolean()),
+  },
+  handler: async (ctx, args) => {
+    const { activeKeyId, keys } = loadKeyring();
+    const byKey: Record<string, number> = {};
+    const failures: string[] = [];
+    let resealed = 0;
+    let changedMeanwhile = 0;
+
+    for (const { table, field } of SEALED_FIELDS) {
+      let cursor: string | null = null;
+      let isDone = false;
+
+      while (!isDone) {
+        const page: any = await ctx.runQuery(internal.credentialQueries.listSealedValues, { table, field, cursor });
+        const updates: { id: string; previous: string; value: string }[] = [];
+
+        for (const { id, value } of page.values) {
+          const keyId = sealedKeyId(value);
+          byKey[keyId] = (byKey[keyId] || 0) + 1;
+          if (args.dryRun || keyId === activeKeyId) {
+            continue;
+          }
+          try {
+            updates.push({ id, previous: value, value: reencryptCredentials(value)! });
+          } catch (error) {
+            failures.push(`${table} ${id}: ${(error as Error).message}`);
+          }
+        }
+
+        if (updates.length > 0) {
+          const replaced = await ctx.runMutation(internal.credentialMutations.replaceSealedValues, { table, field, updates });
+          resealed += replaced;
+          changedMeanwhile += updates.length - replaced;
+        }
+
+        cursor = page.continueCursor;
+        isDone = page.isDone;
+      }
+    }
+
+    const summary = {
+      activeKeyId,
+      keyIds: Array.from(keys.keys()),
+      valuesByKey: byKey,
+      resealed,
+      changedMeanwhile,
+      failures,
+    };
+    console.log(`[Credential vault] ${args.dryRun ? "Dry run" : "Rotation"}: ${JSON.stringify(summary)}`);
+    return summary;
+  },
+});
+
+/**
+ * Read the tenant's credential expiry from its app registration in Entra
+ */
+export const refreshExpiry = action({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args): Promise<{ expiresAt: number | null }> => {
+    const session = await ctx.runQuery(internal.credentialQueries.getSession, { sessionId: args.sessionId });
+    if (!session || session.expiresAt < Date.now()) {
+      throw new Error("Unauthorized: No valid session found");
+    }
+    requirePermission(session, "credentialManagement");
+
+    const record = await ctx.runQuery(internal.credentialQueries.getTenantCredential, { tenantId: session.tenantId });
+    if (!record) {
+      throw new Error("No app credentials are saved for this tenant");
+    }
+
+    let expiresAt: number | null;
+    try {
+      expiresAt = await lookupCredentialExpiry(decryptCredentials(record.encryptedCredentials));
+    } catch (error) {
+      throw new Error(`Could not read the app registration (needs Application.Read.All): ${(error as Error).message}`);
+    }
+    if (expiresAt === null) {
+      throw new Error("The app registration has no secret or certificate matching the saved one; enter the expiry date instead");
+    }
+
+    return await ctx.runMutation(internal.credentialMutations.updateExpiry, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      expiresAt,
+      expirySource: "entra",
+    });
+  },
+});
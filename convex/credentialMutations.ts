@@ -0,0 +1,170 @@
+import { internalMutation } from "./_generated/server";
+import { v } from "convex/values";
+import { recordAudit } from "./auditTrail";
+import { emitLifecycleEvent } from "./webhookEvents";
+
+const SYSTEM_EXECUTOR = "system-cron";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every field holding a value sealed with credentialUtils; a key rotation rewraps them all
+export const SEALED_FIELDS = [
+  { table: "tenant_credentials", field: "encryptedCredentials" },
+  { table: "sessions", field: "credentials" },
+  { table: "webhook_subscriptions", field: "encryptedSecret" },
+  { table: "scheduled_onboarding", field: "encryptedPassword" },
+  { table: "intune_drift_settings", field: "encryptedTeamsWebhookUrl" },
+] as const;
+
+export const sealedTable = v.union(
+  v.literal("tenant_credentials"),
+  v.literal("sessions"),
+  v.literal("webhook_subscriptions"),
+  v.literal("scheduled_onboarding"),
+  v.literal("intune_drift_settings"),
+);
+
+// Days before expiry a warning goes out; 0 is the notice that it has expired
+export const EXPIRY_WARNING_DAYS = [30, 7, 1, 0];
+
+// Pure database mutation - writes resealed values unless the record changed meanwhile
+export const replaceSealedValues = internalMutation({
+  args: {
+    table: sealedTable,
+    field: v.string(),
+    updates: v.array(v.object({
+      id: v.string(),
+      previous: v.string(),
+      value: v.string(),
+    })),
+  },
+  handler: async (ctx, args) => {
+    let replaced = 0;
+    for (const update of args.updates) {
+      const id = ctx.db.normalizeId(args.table, update.id);
+      const doc: any = id ? await ctx.db.get(id) : null;
+      if (!doc || doc[args.field] !== update.previous) {
+        continue;
+      }
+      await ctx.db.patch(id!, { [args.field]: update.value });
+      replaced++;
+    }
+    return replaced;
+  },
+});
+
+/**
+ * Record when the tenant's secret or certificate lapses, restarting its warnings
+ */
+export async function setCredentialExpiry(ctx: any, args: {
+  tenantId: string;
+  sessionId: string;
+  userId: string;
+  expiresAt: number | null;
+  expirySource: "certificate" | "entra" | "manual";
+}) {
+  const record = await ctx.db
+    .query("tenant_credentials")
+    .withIndex("by_tenant_active", (q: any) => q.eq("tenantId", args.tenantId).eq("isActive", true))
+    .first();
+  if (!record) {
+    throw new Error("No app credentials are saved for this tenant");
+  }
+
+  const now = Date.now();
+  await ctx.db.patch(record._id, {
+    expiresAt: args.expiresAt ?? undefined,
+    expirySource: args.expiresAt ? args.expirySource : undefined,
+    expiryWarningDays: undefined,
+  });
+
+  // Log audit trail
+  await recordAudit(ctx, {
+    tenantId: args.tenantId,
+    sessionId: args.sessionId,
+    userId: args.userId,
+    action: "update_credential_expiry",
+    resourceType: "tenant_credentials",
+    resourceId: record._id,
+    targetName: record.clientId,
+    details: args.expiresAt
+      ? `Credential expiry set to ${new Date(args.expiresAt).toISOString().slice(0, 10)} (${args.expirySource})`
+      : "Credential expiry cleared",
+    before: { expiresAt: record.expiresAt, expirySource: record.expirySource },
+    after: { expiresAt: args.expiresAt, expirySource: args.expirySource },
+    timestamp: now,
+  });
+
+  return { expiresAt: args.expiresAt };
+}
+
+// Pure database mutation - expiry found by credentialActions
+export const updateExpiry = internalMutation({
+  args: {
+    tenantId: v.string(),
+    sessionId: v.string(),
+    userId: v.string(),
+    expiresAt: v.union(v.number(), v.null()),
+    expirySource: v.union(v.literal("certificate"), v.literal("entra"), v.literal("manual")),
+  },
+  handler: async (ctx, args) => {
+    return await setCredentialExpiry(ctx, args);
+  },
+});
+
+// Pure database mutation - warns each tenant once per threshold as its credential nears expiry
+export const warnExpiringCredentials = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const now = Date.now();
+    const credentials = await ctx.db.query("tenant_credentials").collect();
+    let warned = 0;
+
+    for (const record of credentials) {
+      if (!record.isActive || !record.expiresAt) {
+        continue;
+      }
+
+      const daysLeft = Math.ceil((record.expiresAt - now) / DAY_MS);
+      const reached = EXPIRY_WARNING_DAYS.filter((days) => daysLeft <= days);
+      if (reached.length === 0) {
+        continue;
+      }
+      const threshold = Math.min(...reached);
+      if (record.expiryWarningDays !== undefined && record.expiryWarningDays <= threshold) {
+        continue;
+      }
+
+      const kind = record.credentialType === "certificate" ? "certificate" : "client secret";
+      const expiresOn = new Date(record.expiresAt).toISOString().slice(0, 10);
+      const details = daysLeft <= 0
+        ? `The app registration's ${kind} expired on ${expiresOn}; scheduled runs cannot authenticate until it is replaced`
+        : `The app registration's ${kind} expires on ${expiresOn} (${daysLeft} day${daysLeft === 1 ? "" : "s"} left)`;
+
+      await ctx.db.patch(record._id, { expiryWarningDays: threshold });
+      await emitLifecycleEvent(ctx, record.tenantId, "credentials.expiring", {
+        clientId: record.clientId,
+        credentialType: record.credentialType || "secret",
+        expiresAt: new Date(record.expiresAt).toISOString(),
+        daysLeft: Math.max(daysLeft, 0),
+        expired: daysLeft <= 0,
+      });
+
+      // Log audit trail
+      await recordAudit(ctx, {
+        tenantId: record.tenantId,
+        sessionId: SYSTEM_EXECUTOR,
+        userId: SYSTEM_EXECUTOR,
+        action: "credential_expiry_warning",
+        resourceType: "tenant_credentials",
+        resourceId: record._id,
+        targetName: record.clientId,
+        details,
+        outcome: daysLeft <= 0 ? "failure" : "success",
+        timestamp: now,
+      });
+      warned++;
+    }
+
+    return { warned };
+  },
+});
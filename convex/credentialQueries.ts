@@ -0,0 +1,48 @@
+import { internalQuery } from "./_generated/server";
+import { v } from "convex/values";
+import { sealedTable } from "./credentialMutations";
+
+export const getSession = internalQuery({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db
+      .query("sessions")
+      .withIndex("by_session_id", (q: any) => q.eq("sessionId", args.sessionId))
+      .first();
+  },
+});
+
+export const getTenantCredential = internalQuery({
+  args: {
+    tenantId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db
+      .query("tenant_credentials")
+      .withIndex("by_tenant_active", (q: any) => q.eq("tenantId", args.tenantId).eq("isActive", true))
+      .first();
+  },
+});
+
+/**
+ * One page of a table's sealed values, for re-encryption
+ */
+export const listSealedValues = internalQuery({
+  args: {
+    table: sealedTable,
+    field: v.string(),
+    cursor: v.union(v.string(), v.null()),
+  },
+  handler: async (ctx, args) => {
+    const page = await ctx.db.query(args.table).paginate({ cursor: args.cursor, numItems: 100 });
+    return {
+      values: page.page
+        .filter((doc: any) => typeof doc[args.field] === "string")
+        .map((doc: any) => ({ id: doc._id, value: doc[args.field] as string })),
+      continueCursor: page.continueCursor,
+      isDone: page.isDone,
+    };
+  },
+});
@@ -0,0 +1,124 @@
+import crypto from "crypto";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { decryptCredentials, encryptCredentials, loadKeyring, reencryptCredentials, sealedKeyId } from "./credentialUtils";
+
+const OLD_KEY = crypto.randomBytes(32).toString("hex");
+const NEW_KEY = crypto.randomBytes(32).toString("base64");
+const credentials = { tenantId: "tenant-a", clientId: "app-1", clientSecret: "s3cret" };
+
+// What the app stored before the vault: AES-256-CBC under ENCRYPTION_KEY, as <iv hex>:<ciphertext hex>
+function legacyEncrypt(value: unknown, encryptionKey: string) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv("aes-256-cbc", Buffer.from(encryptionKey.slice(0, 32).padEnd(32, "0")), iv);
+  return `${iv.toString("hex")}:${cipher.update(JSON.stringify(value), "utf8", "hex")}${cipher.final("hex")}`;
+}
+
+beforeEach(() => {
+  vi.stubEnv("ENCRYPTION_KEY", "legacy-encryption-key");
+  vi.stubEnv("CREDENTIAL_KEYS", "");
+  vi.stubEnv("CREDENTIAL_ACTIVE_KEY_ID", "");
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe("loadKeyring", () => {
+  it("activates the last listed key unless one is named", () => {
+    vi.stubEnv("CREDENTIAL_KEYS", `k1:${OLD_KEY}, k2:${NEW_KEY}`);
+    expect(loadKeyring().activeKeyId).toBe("k2");
+
+    vi.stubEnv("CREDENTIAL_ACTIVE_KEY_ID", "k1");
+    expect(loadKeyring().activeKeyId).toBe("k1");
+  });
+
+  it("falls back to a default key derived from ENCRYPTION_KEY", () => {
+    const { activeKeyId, keys } = loadKeyring();
+    expect(activeKeyId).toBe("default");
+    expect(keys.get("default")).toHaveLength(32);
+  });
+
+  it("rejects malformed keys and unknown active keys", () => {
+    vi.stubEnv("CREDENTIAL_KEYS", "k1:tooshort");
+    expect(() => loadKeyring()).toThrow("Credential key k1 must be 32 bytes");
+
+    vi.stubEnv("CREDENTIAL_KEYS", `legacy:${OLD_KEY}`);
+    expect(() => loadKeyring()).toThrow(/Invalid CREDENTIAL_KEYS entry/);
+
+    vi.stubEnv("CREDENTIAL_KEYS", `k1:${OLD_KEY}`);
+    vi.stubEnv("CREDENTIAL_ACTIVE_KEY_ID", "k9");
+    expect(() => loadKeyring()).toThrow(/"k9" is not in CREDENTIAL_KEYS/);
+  });
+});
+
+describe("encryptCredentials", () => {
+  it("seals each value with its own data key under the active key", () => {
+    vi.stubEnv("CREDENTIAL_KEYS", `k1:${OLD_KEY}`);
+    const first = encryptCredentials(credentials);
+    const second = encryptCredentials(credentials);
+
+    expect(first.split(".")).toHaveLength(6);
+    expect(sealedKeyId(first)).toBe("k1");
+    expect(first.split(".")[2]).not.toBe(second.split(".")[2]);
+    expect(decryptCredentials(first)).toEqual(credentials);
+  });
+
+  it("refuses values that were tampered with", () => {
+    vi.stubEnv("CREDENTIAL_KEYS", `k1:${OLD_KEY}`);
+    const parts = encryptCredentials(credentials).split(".");
+    const ciphertext = Buffer.from(parts[5], "base64url");
+    ciphertext[0] ^= 1;
+    parts[5] = ciphertext.toString("base64url");
+
+    expect(() => decryptCredentials(parts.join("."))).toThrow();
+  });
+
+  it("explains which key is missing when a value cannot be opened", () => {
+    vi.stubEnv("CREDENTIAL_KEYS", `k1:${OLD_KEY}`);
+    const sealed = encryptCredentials(credentials);
+
+    vi.stubEnv("CREDENTIAL_KEYS", `k2:${NEW_KEY}`);
+    expect(() => decryptCredentials(sealed)).toThrow(/Credential key "k1" is not in CREDENTIAL_KEYS/);
+  });
+});
+
+describe("reencryptCredentials", () => {
+  it("rewraps the data key under the active key without touching the ciphertext", () => {
+    vi.stubEnv("CREDENTIAL_KEYS", `k1:${OLD_KEY}`);
+    const sealed = encryptCredentials(credentials);
+
+    vi.stubEnv("CREDENTIAL_KEYS", `k1:${OLD_KEY},k2:${NEW_KEY}`);
+    const resealed = reencryptCredentials(sealed)!;
+    expect(sealedKeyId(resealed)).toBe("k2");
+    expect(resealed.split(".").slice(3)).toEqual(sealed.split(".").slice(3));
+
+    // Once rotated, the old key can be removed
+    vi.stubEnv("CREDENTIAL_KEYS", `k2:${NEW_KEY}`);
+    expect(decryptCredentials(resealed)).toEqual(credentials);
+  });
+
+  it("leaves values that already use the active key alone", () => {
+    vi.stubEnv("CREDENTIAL_KEYS", `k1:${OLD_KEY}`);
+    expect(reencryptCredentials(encryptCredentials(credentials))).toBeNull();
+  });
+});
+
+describe("legacy CBC values", () => {
+  it("still open and are sealed anew by a rotation", () => {
+    vi.stubEnv("CREDENTIAL_KEYS", `k1:${OLD_KEY}`);
+    const legacy = legacyEncrypt(credentials, "legacy-encryption-key");
+
+    expect(sealedKeyId(legacy)).toBe("legacy");
+    expect(decryptCredentials(legacy)).toEqual(credentials);
+
+    const resealed = reencryptCredentials(legacy)!;
+    expect(sealedKeyId(resealed)).toBe("k1");
+    expect(decryptCredentials(resealed)).toEqual(credentials);
+  });
+
+  it("open with the default keyring when CREDENTIAL_KEYS is not set", () => {
+    const legacy = legacyEncrypt(credentials, "legacy-encryption-key");
+    expect(decryptCredentials(legacy)).toEqual(credentials);
+    expect(sealedKeyId(reencryptCredentials(legacy)!)).toBe("default");
+  });
+});
@@ -1,51 +1,258 @@
 "use node";
 
 /**
- * Credential Encryption Utilities
- * 
- * Following Microsoft Best Practices for Secrets Management:
- * - https://learn.microsoft.com/en-us/azure/key-vault/secrets/secrets-best-practices
- * - https://learn.microsoft.com/en-us/entra/identity-platform/security-best-practices-for-app-registration
- * 
- * Production Recommendations:
- * 1. Use Azure Key Vault for storing ENCRYPTION_KEY
- * 2. Rotate encryption key every 60 days
- * 3. Use managed identities where possible
- * 4. Enable audit logging for credential access
- * 
- * Current implementation uses AES-256-CBC encryption which meets
- * Microsoft's recommendation for "strong encryption algorithms"
+ * Credential vault
+ *
+ * Secrets at rest (app credentials, webhook signing secrets, temporary passwords) are
+ * sealed with envelope encryption: each value gets its own random data key, AES-256-GCM,
+ * and only that data key is encrypted ("wrapped") with a key-encryption key from the
+ * keyring. A sealed value names the key that wrapped it:
+ *
+ *   v1.<keyId>.<wrapped data key>.<iv>.<auth tag>.<ciphertext>   (base64url parts)
+ *
+ * The keyring comes from CREDENTIAL_KEYS, a comma-separated list of `keyId:key` with
+ * 32-byte keys in hex or base64; new values are sealed with CREDENTIAL_ACTIVE_KEY_ID, or
+ * the last key listed. To rotate, add a key, make it active, run "Re-encrypt" in
+ * Settings → Credentials (credentialActions.rotateEncryptionKeys), then remove the old key.
+ *
+ * Without CREDENTIAL_KEYS the keyring is a single key "default" derived from
+ * ENCRYPTION_KEY. Values written before the vault (`<iv hex>:<ciphertext hex>`,
+ * AES-256-CBC under ENCRYPTION_KEY) still open and are resealed by a rotation run.
  */
 
 import crypto from "crypto";
+import { internal } from "./_generated/api";
+import { fetchWithGraphToken, getAccessTokenFromCredentials } from "./graphUtils";
 
-// Production: Store this in Azure Key Vault, not environment variables
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || "default-dev-key-change-in-production";
-const ALGORITHM = "aes-256-cbc";
+const SEALED_VERSION = "v1";
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const LEGACY_KEY_ID = "legacy";
 
-function buildKey() {
-  return Buffer.from(ENCRYPTION_KEY.slice(0, 32).padEnd(32, "0"));
+function legacyKey() {
+  const key = process.env.ENCRYPTION_KEY || "default-dev-key-change-in-production";
+  return Buffer.from(key.slice(0, 32).padEnd(32, "0"));
 }
 
-export function encryptCredentials(credentials: any): string {
-  const key = buildKey();
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+function parseKey(keyId: string, encoded: string) {
+  const key = /^[0-9a-f]{64}$/i.test(encoded) ? Buffer.from(encoded, "hex") : Buffer.from(encoded, "base64");
+  if (key.length !== 32) {
+    throw new Error(`Credential key ${keyId} must be 32 bytes`);
+  }
+  return key;
+}
+
+/**
+ * Key-encryption keys by ID, and the one new values are sealed with
+ */
+export function loadKeyring(): { activeKeyId: string; keys: Map<string, Buffer> } {
+  const keys = new Map<string, Buffer>();
+  const configured = (process.env.CREDENTIAL_KEYS || "").split(",").map((entry) => entry.trim()).filter(Boolean);
+
+  for (const entry of configured) {
+    const separator = entry.indexOf(":");
+    const keyId = entry.slice(0, separator);
+    if (separator <= 0 || !KEY_ID_PATTERN.test(keyId) || keyId === LEGACY_KEY_ID) {
+      throw new Error(`Invalid CREDENTIAL_KEYS entry for key "${keyId}"; use keyId:key with letters, digits, - or _`);
+    }
+    keys.set(keyId, parseKey(keyId, entry.slice(separator + 1)));
+  }
+
+  if (keys.size === 0) {
+    keys.set("default", crypto.createHash("sha256").update(legacyKey()).digest());
+  }
+
+  const activeKeyId = process.env.CREDENTIAL_ACTIVE_KEY_ID || Array.from(keys.keys()).pop()!;
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`CREDENTIAL_ACTIVE_KEY_ID "${activeKeyId}" is not in CREDENTIAL_KEYS`);
+  }
+  return { activeKeyId, keys };
+}
+
+const toBase64Url = (buffer: Buffer) => buffer.toString("base64url");
+const fromBase64Url = (value: string) => Buffer.from(value, "base64url");
+
+function gcmEncrypt(key: Buffer, plaintext: Buffer) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function gcmDecrypt(key: Buffer, iv: Buffer, tag: Buffer, ciphertext: Buffer) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function wrapDataKey(kek: Buffer, dataKey: Buffer) {
+  const { iv, tag, ciphertext } = gcmEncrypt(kek, dataKey);
+  return toBase64Url(Buffer.concat([iv, tag, ciphertext]));
+}
 
-  let encrypted = cipher.update(JSON.stringify(credentials), "utf8", "hex");
-  encrypted += cipher.final("hex");
+function unwrapDataKey(kek: Buffer, wrapped: string) {
+  const data = fromBase64Url(wrapped);
+  return gcmDecrypt(kek, data.subarray(0, 12), data.subarray(12, 28), data.subarray(28));
+}
 
-  return `${iv.toString("hex")}:${encrypted}`;
+function parseSealed(sealed: string) {
+  const [version, keyId, wrappedKey, iv, tag, ciphertext] = sealed.split(".");
+  if (version !== SEALED_VERSION || !ciphertext) {
+    throw new Error("Unrecognized sealed credential format");
+  }
+  return { keyId, wrappedKey, iv, tag, ciphertext };
+}
+
+function kekFor(keyId: string) {
+  const kek = loadKeyring().keys.get(keyId);
+  if (!kek) {
+    throw new Error(`Credential key "${keyId}" is not in CREDENTIAL_KEYS; add it back to read this value`);
+  }
+  return kek;
+}
+
+/**
+ * Key a sealed value was wrapped with; "legacy" for values from before the vault
+ */
+export function sealedKeyId(sealed: string): string {
+  return sealed.startsWith(`${SEALED_VERSION}.`) ? parseSealed(sealed).keyId : LEGACY_KEY_ID;
+}
+
+export function encryptCredentials(credentials: any): string {
+  const { activeKeyId, keys } = loadKeyring();
+  const dataKey = crypto.randomBytes(32);
+  const { iv, tag, ciphertext } = gcmEncrypt(dataKey, Buffer.from(JSON.stringify(credentials), "utf8"));
+
+  return [
+    SEALED_VERSION,
+    activeKeyId,
+    wrapDataKey(keys.get(activeKeyId)!, dataKey),
+    toBase64Url(iv),
+    toBase64Url(tag),
+    toBase64Url(ciphertext),
+  ].join(".");
 }
 
 export function decryptCredentials(encryptedData: string): any {
-  const key = buildKey();
-  const [ivHex, encryptedHex] = encryptedData.split(":");
-  const iv = Buffer.from(ivHex, "hex");
-  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  if (sealedKeyId(encryptedData) === LEGACY_KEY_ID) {
+    const [ivHex, encryptedHex] = encryptedData.split(":");
+    const decipher = crypto.createDecipheriv("aes-256-cbc", legacyKey(), Buffer.from(ivHex, "hex"));
+    let decrypted = decipher.update(encryptedHex, "hex", "utf8");
+    decrypted += decipher.final("utf8");
+    return JSON.parse(decrypted);
+  }
+
+  const sealed = parseSealed(encryptedData);
+  const dataKey = unwrapDataKey(kekFor(sealed.keyId), sealed.wrappedKey);
+  const plaintext = gcmDecrypt(dataKey, fromBase64Url(sealed.iv), fromBase64Url(sealed.tag), fromBase64Url(sealed.ciphertext));
+  return JSON.parse(plaintext.toString("utf8"));
+}
+
+/**
+ * Seal a value under the active key
+ * Vault values only have their data key rewrapped; legacy values are decrypted and sealed anew
+ * @returns The resealed value, or null when it already uses the active key
+ */
+export function reencryptCredentials(encryptedData: string): string | null {
+  const { activeKeyId, keys } = loadKeyring();
+  const keyId = sealedKeyId(encryptedData);
+  if (keyId === activeKeyId) {
+    return null;
+  }
+  if (keyId === LEGACY_KEY_ID) {
+    return encryptCredentials(decryptCredentials(encryptedData));
+  }
+
+  const sealed = parseSealed(encryptedData);
+  const dataKey = unwrapDataKey(kekFor(keyId), sealed.wrappedKey);
+  return [
+    SEALED_VERSION,
+    activeKeyId,
+    wrapDataKey(keys.get(activeKeyId)!, dataKey),
+    sealed.iv,
+    sealed.tag,
+    sealed.ciphertext,
+  ].join(".");
+}
+
+/**
+ * Read a PEM bundle holding an app registration's certificate and its private key
+ * Only the private key and thumbprint are needed to sign client assertions; the
+ * certificate itself supplies the expiry date
+ */
+export function parseCertificateCredential(pem: string) {
+  const certificateBlock = pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/);
+  const keyBlock = pem.match(/-----BEGIN (?:RSA |ENCRYPTED )?PRIVATE KEY-----[\s\S]+?-----END (?:RSA |ENCRYPTED )?PRIVATE KEY-----/);
+  if (!certificateBlock || !keyBlock) {
+    throw new Error("Paste the certificate and its private key, both in PEM format");
+  }
+  if (keyBlock[0].includes("ENCRYPTED")) {
+    throw new Error("Remove the passphrase from the private key before uploading it");
+  }
+
+  const certificate = new crypto.X509Certificate(certificateBlock[0]);
+  const privateKey = crypto.createPrivateKey(keyBlock[0]);
+  if (!certificate.checkPrivateKey(privateKey)) {
+    throw new Error("The private key does not belong to this certificate");
+  }
+
+  return {
+    certificate: {
+      privateKey: privateKey.export({ type: "pkcs8", format: "pem" }).toString(),
+      thumbprint: certificate.fingerprint.replace(/:/g, ""),
+    },
+    subject: certificate.subject,
+    expiresAt: new Date(certificate.validTo).getTime(),
+  };
+}
+
+/**
+ * When the credential in use lapses, according to the app registration in Entra
+ * A client secret is matched by its hint (its first three characters), a certificate by
+ * its thumbprint. Reading the app registration needs Application.Read.All.
+ * @returns End of the matching credential's validity, or null when none matches
+ */
+export async function lookupCredentialExpiry(credentials: any): Promise<number | null> {
+  const accessToken = await getAccessTokenFromCredentials(credentials);
+  const application = await fetchWithGraphToken(
+    accessToken,
+    `/applications(appId='${encodeURIComponent(credentials.clientId)}')?$select=passwordCredentials,keyCredentials`
+  );
+
+  const matches = credentials.certificate
+    ? (application?.keyCredentials || []).filter((key: any) =>
+      // customKeyIdentifier is the thumbprint's bytes, base64 encoded
+      Buffer.from(key.customKeyIdentifier || "", "base64").toString("hex").toUpperCase() === credentials.certificate.thumbprint.toUpperCase())
+    : (application?.passwordCredentials || []).filter((password: any) =>
+      credentials.clientSecret && password.hint === credentials.clientSecret.slice(0, 3));
+
+  const endDates = matches
+    .map((match: any) => Date.parse(match.endDateTime))
+    .filter((time: number) => !Number.isNaN(time));
+  return endDates.length > 0 ? Math.min(...endDates) : null;
+}
+
+/**
+ * Load the Graph credentials a scheduled job runs with: the scheduling session's own
+ * credentials if it saved any, otherwise the tenant's
+ */
+export async function loadCredentials(ctx: any, schedule: any) {
+  // Try session-specific credentials first
+  const sessionCreds = await ctx.runQuery(internal.offboardingQueries.getSessionCredentials, {
+    sessionId: schedule.sessionId,
+  });
+
+  if (sessionCreds) {
+    return decryptCredentials(sessionCreds);
+  }
+
+  // Fall back to tenant credentials
+  const tenantCreds = await ctx.runQuery(internal.offboardingQueries.getTenantCredentials, {
+    tenantId: schedule.tenantId,
+  });
 
-  let decrypted = decipher.update(encryptedHex, "hex", "utf8");
-  decrypted += decipher.final("utf8");
+  if (!tenantCreds) {
+    throw new Error("No saved credentials for tenant");
+  }
 
-  return JSON.parse(decrypted);
+  return decryptCredentials(tenantCreds);
 }
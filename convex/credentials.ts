@@ -0,0 +1,83 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { requirePermission } from "./accessControl";
+import { EXPIRY_WARNING_DAYS, setCredentialExpiry } from "./credentialMutations";
+
+/**
+ * Validate session and extract tenant context
+ */
+async function validateSession(ctx: any, sessionId: string) {
+  const session = await ctx.db
+    .query("sessions")
+    .withIndex("by_session_id", (q: any) => q.eq("sessionId", sessionId))
+    .first();
+
+  if (!session) {
+    throw new Error("Unauthorized: No session found");
+  }
+
+  if (session.expiresAt < Date.now()) {
+    throw new Error("Unauthorized: Session expired");
+  }
+
+  return session;
+}
+
+/**
+ * The tenant's saved app credential, without the secret: how it authenticates,
+ * when it lapses and which vault key it is sealed with
+ */
+export const getStatus = query({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "credentialManagement");
+
+    const record = await ctx.db
+      .query("tenant_credentials")
+      .withIndex("by_tenant_active", (q: any) => q.eq("tenantId", session.tenantId).eq("isActive", true))
+      .first();
+    if (!record) {
+      return { configured: false, warningDays: EXPIRY_WARNING_DAYS };
+    }
+
+    // See credentialUtils for the sealed format; older values predate key IDs
+    const sealed = record.encryptedCredentials;
+    return {
+      configured: true,
+      clientId: record.clientId,
+      credentialType: record.credentialType || "secret",
+      configuredAt: record.configuredAt,
+      configuredBy: record.configuredBy,
+      lastUsed: record.lastUsed,
+      expiresAt: record.expiresAt,
+      expirySource: record.expirySource,
+      keyId: sealed.startsWith("v1.") ? sealed.split(".")[1] : "legacy",
+      warningDays: EXPIRY_WARNING_DAYS,
+    };
+  },
+});
+
+/**
+ * Enter a client secret's expiry date by hand, when Entra could not be asked for it
+ */
+export const setExpiry = mutation({
+  args: {
+    sessionId: v.string(),
+    expiresAt: v.union(v.number(), v.null()),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "credentialManagement");
+
+    return await setCredentialExpiry(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      expiresAt: args.expiresAt,
+      expirySource: "manual",
+    });
+  },
+});
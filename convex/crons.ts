@@ -9,4 +9,40 @@ crons.interval(
   internal.offboardingAutomation.scanAndProcessDueOffboardings
 );
 
+crons.interval(
+  "process-due-onboardings",
+  { minutes: 1 },
+  internal.onboardingAutomation.scanAndActivateDueOnboardings
+);
+
+crons.interval(
+  "process-due-transfers",
+  { minutes: 1 },
+  internal.transferAutomation.scanAndProcessDueTransfers
+);
+
+crons.interval(
+  "expire-approval-requests",
+  { minutes: 15 },
+  internal.approvalMutations.expireApprovals
+);
+
+crons.interval(
+  "warn-expiring-credentials",
+  { hours: 6 },
+  internal.credentialMutations.warnExpiringCredentials
+);
+
+crons.interval(
+  "run-due-intune-backups",
+  { minutes: 5 },
+  internal.intuneBackupMutations.startDueBackups
+);
+
+crons.interval(
+  "check-intune-drift",
+  { minutes: 15 },
+  internal.intuneDriftMutations.startDueDriftChecks
+);
+
 export default crons;
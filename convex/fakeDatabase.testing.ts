@@ -0,0 +1,101 @@
+/**
+ * In-memory stand-in for ctx.db in unit tests
+ *
+ * Supports insert, get, patch, delete and queries narrowed with withIndex (eq/gt/lt) and
+ * read with first, take or collect. Index ranges filter rows without sorting them,
+ * so rows come back in insertion order, reversed by order("desc"). The file name
+ * has two dots, which keeps it out of the Convex bundle.
+ */
+
+type Row = Record<string, any> & { _id: string };
+
+export function createFakeDatabase(seed: Record<string, Record<string, any>[]> = {}) {
+  const tables = new Map<string, Row[]>();
+  let nextId = 0;
+
+  const rows = (table: string) => {
+    if (!tables.has(table)) {
+      tables.set(table, []);
+    }
+    return tables.get(table)!;
+  };
+
+  const findRow = (id: string) => {
+    for (const table of tables.values()) {
+      const row = table.find((candidate) => candidate._id === id);
+      if (row) {
+        return row;
+      }
+    }
+    return null;
+  };
+
+  const insertRow = (table: string, doc: Record<string, any>) => {
+    const _id = `${table}:${++nextId}`;
+    rows(table).push({ _id, _creationTime: nextId, ...doc });
+    return _id;
+  };
+
+  for (const [table, docs] of Object.entries(seed)) {
+    docs.forEach((doc) => insertRow(table, doc));
+  }
+
+  return {
+    tables,
+
+    async insert(table: string, doc: Record<string, any>) {
+      return insertRow(table, doc);
+    },
+
+    async get(id: string) {
+      return findRow(id);
+    },
+
+    async patch(id: string, fields: Record<string, any>) {
+      const row = findRow(id);
+      if (!row) {
+        throw new Error(`No document ${id}`);
+      }
+      Object.assign(row, fields);
+    },
+
+    async delete(id: string) {
+      for (const table of tables.values()) {
+        const index = table.findIndex((row) => row._id === id);
+        if (index >= 0) {
+          table.splice(index, 1);
+        }
+      }
+    },
+
+    query(table: string) {
+      let results = [...rows(table)];
+      const chain = {
+        withIndex(_index: string, range?: (q: any) => any) {
+          const filters: ((row: Row) => boolean)[] = [];
+          const builder: any = {};
+          const addFilter = (matches: (row: Row) => boolean) => {
+            filters.push(matches);
+            return builder;
+          };
+          builder.eq = (field: string, value: unknown) => addFilter((row) => row[field] === value);
+          builder.gt = (field: string, value: any) => addFilter((row) => row[field] > value);
+          builder.lt = (field: string, value: any) => addFilter((row) => row[field] < value);
+          range?.(builder);
+          results = results.filter((row) => filters.every((matches) => matches(row)));
+          return chain;
+        },
+        order(direction: "asc" | "desc") {
+          if (direction === "desc") {
+            results.reverse();
+          }
+          return chain;
+        },
+        first: async () => results[0] ?? null,
+        take: async (limit: number) => results.slice(0, limit),
+        collect: async () => results,
+      };
+      return chain;
+    },
+  };
+}
@@ -2,7 +2,7 @@
 
 import { action } from "./_generated/server";
 import { v } from "convex/values";
-import { api } from "./_generated/api";
+import { internal } from "./_generated/api";
 import { getAccessTokenFromCredentials } from "./graphUtils";
 
 /**
@@ -15,7 +15,7 @@ export const searchUsers = action({
   },
   handler: async (ctx, args) => {
     // Get credentials from session
-    const credentials = await ctx.runAction(api.authActions.getDecryptedCredentials, {
+    const credentials = await ctx.runAction(internal.authActions.getDecryptedCredentials, {
       sessionId: args.sessionId,
     });
 
@@ -52,7 +52,7 @@ export const getUser = action({
     userId: v.string(),
   },
   handler: async (ctx, args) => {
-    const credentials = await ctx.runAction(api.authActions.getDecryptedCredentials, {
+    const credentials = await ctx.runAction(internal.authActions.getDecryptedCredentials, {
       sessionId: args.sessionId,
     });
 
@@ -85,7 +85,7 @@ export const disableUser = action({
     userId: v.string(),
   },
   handler: async (ctx, args) => {
-    const credentials = await ctx.runAction(api.authActions.getDecryptedCredentials, {
+    const credentials = await ctx.runAction(internal.authActions.getDecryptedCredentials, {
       sessionId: args.sessionId,
     });
 
@@ -123,7 +123,7 @@ export const revokeUserSessions = action({
     userId: v.string(),
   },
   handler: async (ctx, args) => {
-    const credentials = await ctx.runAction(api.authActions.getDecryptedCredentials, {
+    const credentials = await ctx.runAction(internal.authActions.getDecryptedCredentials, {
       sessionId: args.sessionId,
     });
 
@@ -157,7 +157,7 @@ export const getUserGroups = action({
     userId: v.string(),
   },
   handler: async (ctx, args) => {
-    const credentials = await ctx.runAction(api.authActions.getDecryptedCredentials, {
+    const credentials = await ctx.runAction(internal.authActions.getDecryptedCredentials, {
       sessionId: args.sessionId,
     });
 
@@ -192,7 +192,7 @@ export const removeUserFromGroup = action({
     userId: v.string(),
   },
   handler: async (ctx, args) => {
-    const credentials = await ctx.runAction(api.authActions.getDecryptedCredentials, {
+    const credentials = await ctx.runAction(internal.authActions.getDecryptedCredentials, {
       sessionId: args.sessionId,
     });
 
@@ -226,7 +226,7 @@ export const getMailboxSettings = action({
     userId: v.string(),
   },
   handler: async (ctx, args) => {
-    const credentials = await ctx.runAction(api.authActions.getDecryptedCredentials, {
+    const credentials = await ctx.runAction(internal.authActions.getDecryptedCredentials, {
       sessionId: args.sessionId,
     });
 
@@ -260,7 +260,7 @@ export const setAutomaticReply = action({
     message: v.string(),
   },
   handler: async (ctx, args) => {
-    const credentials = await ctx.runAction(api.authActions.getDecryptedCredentials, {
+    const credentials = await ctx.runAction(internal.authActions.getDecryptedCredentials, {
       sessionId: args.sessionId,
     });
 
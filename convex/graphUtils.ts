@@ -1,20 +1,63 @@
 "use node";
 
+import crypto from "crypto";
+
+const GRAPH_BASE_URL = "https://graph.microsoft.com/v1.0";
+// Most Intune configuration is only on beta; pass `${GRAPH_BETA_URL}/...` as the path
+export const GRAPH_BETA_URL = "https://graph.microsoft.com/beta";
+
 export interface GraphCredentials {
   clientId: string;
   tenantId: string;
   clientSecret: string | null;
+  // Certificate credential from credentialUtils.parseCertificateCredential
+  certificate?: { privateKey: string; thumbprint: string } | null;
 }
 
-export async function getAccessTokenFromCredentials(credentials: GraphCredentials): Promise<string> {
-  if (!credentials.clientSecret) {
-    throw new Error("Client secret required for app-only Graph access");
+/**
+ * Signed JWT proving possession of the app registration's certificate
+ * https://learn.microsoft.com/entra/identity-platform/certificate-credentials
+ */
+function buildClientAssertion(credentials: GraphCredentials, tokenEndpoint: string) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = {
+    alg: "RS256",
+    typ: "JWT",
+    x5t: Buffer.from(credentials.certificate!.thumbprint, "hex").toString("base64url"),
+  };
+  const claims = {
+    aud: tokenEndpoint,
+    iss: credentials.clientId,
+    sub: credentials.clientId,
+    jti: crypto.randomUUID(),
+    nbf: now,
+    exp: now + 10 * 60,
+  };
+
+  const unsigned = [header, claims]
+    .map((part) => Buffer.from(JSON.stringify(part)).toString("base64url"))
+    .join(".");
+  const signature = crypto.sign("sha256", Buffer.from(unsigned), credentials.certificate!.privateKey);
+  return `${unsigned}.${signature.toString("base64url")}`;
+}
+
+/**
+ * Client credentials token response, authenticated with the secret or certificate
+ */
+export async function requestAppOnlyToken(credentials: GraphCredentials): Promise<{ access_token: string; expires_in: number }> {
+  if (!credentials.clientSecret && !credentials.certificate) {
+    throw new Error("Client secret or certificate required for app-only Graph access");
   }
 
   const tokenEndpoint = `https://login.microsoftonline.com/${credentials.tenantId}/oauth2/v2.0/token`;
   const params = new URLSearchParams();
   params.append("client_id", credentials.clientId);
-  params.append("client_secret", credentials.clientSecret);
+  if (credentials.certificate) {
+    params.append("client_assertion_type", "urn:ietf:params:oauth:client-assertion-type:jwt-bearer");
+    params.append("client_assertion", buildClientAssertion(credentials, tokenEndpoint));
+  } else {
+    params.append("client_secret", credentials.clientSecret!);
+  }
   params.append("scope", "https://graph.microsoft.com/.default");
   params.append("grant_type", "client_credentials");
 
@@ -37,6 +80,73 @@ export async function getAccessTokenFromCredentials(credentials: GraphCredential
     throw new Error(errorMessage);
   }
 
-  const data = await response.json();
-  return data.access_token;
+  return await response.json();
+}
+
+export async function getAccessTokenFromCredentials(credentials: GraphCredentials): Promise<string> {
+  return (await requestAppOnlyToken(credentials)).access_token;
+}
+
+export async function fetchWithGraphToken(accessToken: string, path: string, init: RequestInit = {}) {
+  const headers: Record<string, string> = {
+    ...(init.headers as Record<string, string> | undefined),
+    Authorization: `Bearer ${accessToken}`,
+  };
+
+  // Always add Content-Type for POST/PATCH/PUT methods
+  const method = (init.method || 'GET').toUpperCase();
+  if ((method === 'POST' || method === 'PATCH' || method === 'PUT') && !headers["Content-Type"]) {
+    headers["Content-Type"] = "application/json";
+  }
+
+  const fullUrl = path.startsWith("https://") ? path : `${GRAPH_BASE_URL}${path}`;
+  console.log(`[Graph API] ${method} ${fullUrl}`);
+
+  const response = await fetch(fullUrl, {
+    ...init,
+    headers,
+  });
+
+  if (!response.ok) {
+    let errorMessage = `${response.status} ${response.statusText}`;
+    try {
+      const error = await response.json();
+      errorMessage = error.error?.message || errorMessage;
+      console.error(`[Graph API Error] ${method} ${fullUrl}: ${errorMessage}`);
+    } catch (err) {
+      // ignore parse errors
+    }
+    throw new Error(errorMessage);
+  }
+
+  if (response.status === 204) {
+    return null;
+  }
+
+  // Long-running operations (e.g. driveItem copy) answer 202 with a monitor URL
+  if (response.status === 202) {
+    return { monitorUrl: response.headers.get("location") };
+  }
+
+  const contentType = response.headers.get("content-type");
+  if (contentType && contentType.includes("application/json")) {
+    return await response.json();
+  }
+
+  return await response.text();
+}
+
+// Follow @odata.nextLink paging and return every item in the collection
+export async function fetchAllGraphPages(accessToken: string, path: string): Promise<any[]> {
+  const items: any[] = [];
+  let nextPath: string | null = path;
+
+  while (nextPath) {
+    const page = (await fetchWithGraphToken(accessToken, nextPath)) as any;
+    items.push(...(page?.value || []));
+    const nextLink: string | undefined = page?.["@odata.nextLink"];
+    nextPath = nextLink ? nextLink.replace(GRAPH_BASE_URL, "") : null;
+  }
+
+  return items;
 }
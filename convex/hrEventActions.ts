@@ -0,0 +1,112 @@
+"use node";
+
+import { action, internalAction } from "./_generated/server";
+import { v } from "convex/values";
+import crypto from "crypto";
+import { internal } from "./_generated/api";
+import { requirePermission } from "./accessControl";
+import { loadCredentials } from "./credentialUtils";
+import { fetchWithGraphToken, getAccessTokenFromCredentials } from "./graphUtils";
+import { hrApiSessionId } from "./hrEventMapping";
+
+const USER_FIELDS = "id,displayName,userPrincipalName,mail,department,employeeId";
+
+// OData string literals escape a quote by doubling it; encoded so & or # cannot end the filter
+const odataString = (value: string) => encodeURIComponent(`'${value.replace(/'/g, "''")}'`);
+
+/**
+ * Find the directory account an HR event is about: by employee ID first, then by
+ * user principal name or email
+ */
+async function findDirectoryUser(accessToken: string, event: any) {
+  const byEmployeeId = await fetchWithGraphToken(
+    accessToken,
+    `/users?$filter=employeeId eq ${odataString(event.employeeId)}&$select=${USER_FIELDS}`
+  );
+  if (byEmployeeId?.value?.length === 1) {
+    return byEmployeeId.value[0];
+  }
+  if (byEmployeeId?.value?.length > 1) {
+    throw new Error(`${byEmployeeId.value.length} accounts have employee ID ${event.employeeId}`);
+  }
+
+  const address = event.employee.userPrincipalName || event.employee.email;
+  if (!address) {
+    return null;
+  }
+  const byAddress = await fetchWithGraphToken(
+    accessToken,
+    `/users?$filter=userPrincipalName eq ${odataString(address)} or mail eq ${odataString(address)}&$select=${USER_FIELDS}`
+  );
+  return byAddress?.value?.[0] || null;
+}
+
+/**
+ * Match a received event to its directory account, then apply it or queue it for review
+ */
+export const processEvent = internalAction({
+  args: {
+    eventId: v.id("hr_events"),
+  },
+  handler: async (ctx, args) => {
+    const event = await ctx.runQuery(internal.hrEventQueries.getEventById, { eventId: args.eventId });
+    if (!event || event.status !== "received") {
+      return;
+    }
+
+    try {
+      const credentials = await loadCredentials(ctx, { tenantId: event.tenantId, sessionId: hrApiSessionId(event.apiKeyId) });
+      const accessToken = await getAccessTokenFromCredentials(credentials);
+      const user = await findDirectoryUser(accessToken, event);
+
+      await ctx.runMutation(internal.hrEventMutations.completeProcessing, {
+        eventId: args.eventId,
+        userId: user?.id,
+        userPrincipalName: user?.userPrincipalName,
+        displayName: user?.displayName,
+        previousDepartment: user?.department || undefined,
+      });
+    } catch (error) {
+      console.warn(`[HR events] Could not look up employee ${event.employeeId}:`, (error as Error).message);
+      await ctx.runMutation(internal.hrEventMutations.completeProcessing, {
+        eventId: args.eventId,
+        lookupError: (error as Error).message,
+      });
+    }
+  },
+});
+
+/**
+ * Issue an API key for the HR system
+ * Only its hash is stored, so the key is returned only this once
+ */
+export const createApiKey = action({
+  args: {
+    sessionId: v.string(),
+    name: v.string(),
+  },
+  handler: async (ctx, args): Promise<{ keyId: string; key: string }> => {
+    const session = await ctx.runQuery(internal.hrEventQueries.getSession, { sessionId: args.sessionId });
+    if (!session || session.expiresAt < Date.now()) {
+      throw new Error("Unauthorized: No valid session found");
+    }
+    requirePermission(session, "hrIntegration");
+
+    const name = args.name.trim();
+    if (!name) {
+      throw new Error("Give the key a name");
+    }
+
+    const key = `hrk_${crypto.randomBytes(24).toString("hex")}`;
+    const keyId = await ctx.runMutation(internal.hrEventMutations.insertApiKey, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      name,
+      keyPrefix: key.slice(0, 12),
+      keyHash: crypto.createHash("sha256").update(key).digest("hex"),
+    });
+
+    return { keyId, key };
+  },
+});
@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { findMissingFields, MISSING_FIELD_LABELS, selectTemplate } from "./hrEventMapping";
+
+const event = (eventType: string, fields: Record<string, any> = {}) => ({
+  eventType,
+  employeeId: "E100",
+  effectiveDate: "2026-11-02",
+  employee: { department: "Sales" },
+  ...fields,
+});
+
+describe("selectTemplate", () => {
+  it("picks the matching template that sets the most conditions", () => {
+    const templates = [
+      { _id: "any", eventType: "hire" },
+      { _id: "sales", eventType: "hire", department: "sales" },
+      { _id: "contractors", eventType: "hire", department: "Sales", employeeType: "Contractor" },
+      { _id: "leavers", eventType: "termination", department: "Sales" },
+    ];
+
+    expect(selectTemplate(templates, event("hire"))._id).toBe("sales");
+    expect(selectTemplate(templates, event("hire", { employee: { department: "Sales", employeeType: "contractor" } }))._id)
+      .toBe("contractors");
+  });
+});
+
+describe("findMissingFields", () => {
+  it("asks for a staged account when a hire has no directory match", () => {
+    expect(findMissingFields(event("hire"), { _id: "t" })).toEqual(["stagedAccount"]);
+    expect(MISSING_FIELD_LABELS.stagedAccount).toMatch(/Onboarding wizard/);
+    expect(findMissingFields(event("hire", { userId: "user-1" }), { _id: "t" })).toEqual([]);
+  });
+
+  it("needs a directory account for leavers and something to change for transfers", () => {
+    expect(findMissingFields(event("termination"), undefined)).toEqual(["template", "directoryUser"]);
+    expect(findMissingFields(event("transfer", { userId: "user-1", employee: {} }), { _id: "t" })).toEqual(["changes"]);
+  });
+});
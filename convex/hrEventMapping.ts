@@ -0,0 +1,262 @@
+/**
+ * HR event mapping
+ *
+ * The HR system posts hire, transfer and termination events to /hr/events. Each event
+ * is matched to the tenant's most specific template for its type, then turned into a
+ * scheduled activation, transfer or offboarding. Events the portal cannot complete on
+ * its own (no directory account, no template, nothing to change, or a template that
+ * asks for review) wait in the review queue for an operator.
+ *
+ * A hire does not create the account. With no one signed in there is nobody to hand
+ * the temporary password to, so the account is staged in the Onboarding wizard, before
+ * or after the event arrives, and the event schedules its activation on the start date.
+ */
+
+import { parseInTimezone } from "./timeUtils";
+import { recordAudit } from "./auditTrail";
+import { emitLifecycleEvent } from "./webhookEvents";
+import { DEFAULT_ACTIONS } from "./offboarding";
+
+export const HR_EVENT_TYPES = ["hire", "transfer", "termination"] as const;
+export type HrEventType = typeof HR_EVENT_TYPES[number];
+
+// Recorded as the actor of changes the HR system makes on its own
+export const HR_API_ACTOR = "hr-api";
+
+// Scheduled records keep a session ID for their Graph credentials; this one has none,
+// so the scheduled runs fall back to the tenant's saved credentials
+export function hrApiSessionId(apiKeyId: string) {
+  return `${HR_API_ACTOR}:${apiKeyId}`;
+}
+
+export const MISSING_FIELD_LABELS: Record<string, string> = {
+  template: "No template matches this event",
+  directoryUser: "No directory account matches the employee",
+  stagedAccount: "No account is staged for the hire yet: stage it in the Onboarding wizard, then retry the match",
+  changes: "The event changes no department, job title, office or manager",
+};
+
+/**
+ * Pick the template for an event: same type, every condition it sets matches, and
+ * the most conditions set wins
+ */
+export function selectTemplate(templates: any[], event: any) {
+  const same = (condition: string | undefined, value: string | undefined) =>
+    !condition || (!!value && condition.toLowerCase() === value.toLowerCase());
+
+  return templates
+    .filter((template) => template.eventType === event.eventType)
+    .filter((template) =>
+      same(template.department, event.employee.department) && same(template.employeeType, event.employee.employeeType))
+    .sort((a, b) => (Number(!!b.department) + Number(!!b.employeeType)) - (Number(!!a.department) + Number(!!a.employeeType)))[0];
+}
+
+/**
+ * Department, job title, office and manager changes a transfer event carries
+ */
+export function transferChanges(event: any) {
+  const changes: Record<string, string> = {};
+  if (event.employee.department) changes.department = event.employee.department;
+  if (event.employee.jobTitle) changes.jobTitle = event.employee.jobTitle;
+  if (event.employee.officeLocation) changes.officeLocation = event.employee.officeLocation;
+  if (event.employee.managerEmail) changes.manager = event.employee.managerEmail;
+  return changes;
+}
+
+/**
+ * What still stops an event from being applied
+ */
+export function findMissingFields(event: any, template: any) {
+  const missing: string[] = [];
+  if (!template) missing.push("template");
+  if (!event.userId) missing.push(event.eventType === "hire" ? "stagedAccount" : "directoryUser");
+  if (event.eventType === "transfer" && Object.keys(transferChanges(event)).length === 0) missing.push("changes");
+  return missing;
+}
+
+// Open record of the same kind for the user, which a new one would collide with
+async function findOpenRecord(ctx: any, event: any) {
+  if (event.eventType === "termination") {
+    const records = await ctx.db
+      .query("scheduled_offboarding")
+      .withIndex("by_user", (q: any) => q.eq("userId", event.userId))
+      .collect();
+    const open = records.find((record: any) =>
+      record.tenantId === event.tenantId && ["scheduled", "in-progress", "awaiting-approval"].includes(record.status));
+    return open && { recordType: "scheduled_offboarding" as const, record: open, date: open.offboardingDate };
+  }
+
+  if (event.eventType === "transfer") {
+    const records = await ctx.db
+      .query("scheduled_transfers")
+      .withIndex("by_user", (q: any) => q.eq("userId", event.userId))
+      .collect();
+    const open = records.find((record: any) => record.tenantId === event.tenantId && record.status === "scheduled");
+    return open && { recordType: "scheduled_transfers" as const, record: open, date: open.executionDate };
+  }
+
+  const records = await ctx.db
+    .query("scheduled_onboarding")
+    .withIndex("by_tenant", (q: any) => q.eq("tenantId", event.tenantId))
+    .collect();
+  const open = records.find((record: any) => record.userId === event.userId && record.status === "scheduled");
+  return open && { recordType: "scheduled_onboarding" as const, record: open, date: open.activationDate };
+}
+
+/**
+ * Create the scheduled record for a complete event and mark the event applied
+ * An open record for the same user makes the event a duplicate when it is for the same
+ * time, and sends it to review when the dates differ
+ * @param actor - Who applies it: the HR API itself, or the operator resolving it
+ */
+export async function applyHrEvent(
+  ctx: any,
+  event: any,
+  template: any,
+  actor: { sessionId: string; userId: string; actorName?: string }
+) {
+  const now = Date.now();
+  const timezone = event.timezone || template.timezone;
+  const effectiveTime = event.effectiveTime || template.effectiveTime;
+  const effectiveAt = parseInTimezone(event.effectiveDate, effectiveTime, timezone);
+  const displayName = event.displayName || event.employee.displayName || event.userPrincipalName;
+
+  const open = await findOpenRecord(ctx, event);
+  if (open) {
+    const sameTime = open.date === effectiveAt;
+    await ctx.db.patch(event._id, {
+      status: sameTime ? "duplicate" : "needs_review",
+      templateId: template._id,
+      missingFields: [],
+      recordType: open.recordType,
+      recordId: open.record._id,
+      reviewNote: sameTime
+        ? `${displayName} already has this ${event.eventType} scheduled`
+        : `${displayName} already has a ${event.eventType} scheduled for ${new Date(open.date).toISOString()}. Cancel or reschedule it, then apply this event`,
+      updatedAt: now,
+    });
+    return { status: sameTime ? "duplicate" : "needs_review" };
+  }
+
+  let recordType: "scheduled_onboarding" | "scheduled_transfers" | "scheduled_offboarding";
+  let recordId: string;
+  let details: string;
+
+  if (event.eventType === "termination") {
+    recordType = "scheduled_offboarding";
+    recordId = await ctx.db.insert("scheduled_offboarding", {
+      tenantId: event.tenantId,
+      sessionId: actor.sessionId,
+      userId: event.userId,
+      userPrincipalName: event.userPrincipalName,
+      displayName,
+      email: event.employee.email || event.userPrincipalName,
+      department: event.employee.department,
+      jobTitle: event.employee.jobTitle,
+      offboardingDate: effectiveAt,
+      status: "scheduled",
+      notes: `From HR event for employee ${event.employeeId}`,
+      timezone,
+      template: template.offboardingTemplate || "standard",
+      notifyManager: template.notifyManager,
+      notifyUser: template.notifyUser,
+      managerEmail: event.employee.managerEmail,
+      actions: template.offboardingActions || DEFAULT_ACTIONS,
+      createdBy: actor.userId,
+      createdAt: now,
+      updatedAt: now,
+    });
+    details = `Scheduled offboarding for ${displayName} on ${new Date(effectiveAt).toISOString()} from HR event`;
+
+    await emitLifecycleEvent(ctx, event.tenantId, "offboarding.scheduled", {
+      offboardingId: recordId,
+      userId: event.userId,
+      displayName,
+      userPrincipalName: event.userPrincipalName,
+      offboardingDate: new Date(effectiveAt).toISOString(),
+      timezone,
+      template: template.offboardingTemplate || "standard",
+      employeeId: event.employeeId,
+      scheduledBy: actor.userId,
+    });
+  } else if (event.eventType === "transfer") {
+    recordType = "scheduled_transfers";
+    recordId = await ctx.db.insert("scheduled_transfers", {
+      tenantId: event.tenantId,
+      sessionId: actor.sessionId,
+      userId: event.userId,
+      userPrincipalName: event.userPrincipalName,
+      displayName,
+      transferType: template.transferType || "department",
+      effectiveDate: event.effectiveDate,
+      effectiveTime,
+      timezone,
+      executionDate: effectiveAt,
+      status: "scheduled",
+      changes: transferChanges(event),
+      previousDepartment: event.previousDepartment,
+      addGroups: template.addGroups || [],
+      removeGroups: template.removeGroups || [],
+      notifyUser: template.notifyUser,
+      notifyManager: template.notifyManager,
+      notes: `From HR event for employee ${event.employeeId}`,
+      createdBy: actor.userId,
+      createdAt: now,
+      updatedAt: now,
+    });
+    details = `Scheduled ${template.transferType || "department"} transfer for ${displayName} on ${event.effectiveDate} ${effectiveTime} (${timezone}) from HR event`;
+  } else {
+    recordType = "scheduled_onboarding";
+    recordId = await ctx.db.insert("scheduled_onboarding", {
+      tenantId: event.tenantId,
+      sessionId: actor.sessionId,
+      userId: event.userId,
+      userPrincipalName: event.userPrincipalName,
+      displayName,
+      startDate: event.effectiveDate,
+      startTime: effectiveTime,
+      timezone,
+      activationDate: effectiveAt,
+      status: "scheduled",
+      requirePasswordChange: template.requirePasswordChange ?? true,
+      sendWelcomeEmail: template.sendWelcomeEmail ?? false,
+      notifyManager: template.notifyManager,
+      managerEmail: event.employee.managerEmail,
+      // The account was staged outside the portal, which applied nothing itself
+      stagedLicenses: [],
+      stagedGroups: [],
+      createdBy: actor.userId,
+      createdAt: now,
+      updatedAt: now,
+    });
+    details = `Scheduled activation of ${displayName} for ${event.effectiveDate} ${effectiveTime} (${timezone}) from HR event`;
+  }
+
+  await ctx.db.patch(event._id, {
+    status: "applied",
+    templateId: template._id,
+    missingFields: [],
+    reviewNote: undefined,
+    recordType,
+    recordId,
+    appliedBy: actor.userId,
+    appliedAt: now,
+    updatedAt: now,
+  });
+
+  // Log audit trail
+  await recordAudit(ctx, {
+    tenantId: event.tenantId,
+    sessionId: actor.sessionId,
+    userId: actor.userId,
+    actorName: actor.actorName,
+    action: "apply_hr_event",
+    resourceType: recordType,
+    resourceId: recordId,
+    targetName: displayName,
+    details: `${details} (employee ${event.employeeId}, template ${template.name})`,
+    timestamp: now,
+  });
+
+  return { status: "applied", recordType, recordId };
+}
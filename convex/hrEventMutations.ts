@@ -0,0 +1,198 @@
+import { internalMutation } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { recordAudit } from "./auditTrail";
+import { applyHrEvent, findMissingFields, HR_API_ACTOR, hrApiSessionId, selectTemplate } from "./hrEventMapping";
+
+const hrEventType = v.union(v.literal("hire"), v.literal("transfer"), v.literal("termination"));
+
+// Pure database mutation - no Node.js, no external calls
+export const insertApiKey = internalMutation({
+  args: {
+    tenantId: v.string(),
+    sessionId: v.string(),
+    userId: v.string(),
+    name: v.string(),
+    keyPrefix: v.string(),
+    keyHash: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const now = Date.now();
+    const keyId = await ctx.db.insert("hr_api_keys", {
+      tenantId: args.tenantId,
+      name: args.name,
+      keyPrefix: args.keyPrefix,
+      keyHash: args.keyHash,
+      createdBy: args.userId,
+      createdAt: now,
+    });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: args.tenantId,
+      sessionId: args.sessionId,
+      userId: args.userId,
+      action: "create_hr_api_key",
+      resourceType: "hr_api_keys",
+      resourceId: keyId,
+      targetName: args.name,
+      details: `Created HR API key ${args.name} (${args.keyPrefix}…)`,
+      timestamp: now,
+    });
+
+    return keyId;
+  },
+});
+
+// Pure database mutation - authenticates the caller and files the event
+// Returns an HTTP status for the endpoint rather than throwing, so bad keys are not logged as errors
+export const ingestEvent = internalMutation({
+  args: {
+    keyHash: v.string(),
+    sourceEventId: v.optional(v.string()),
+    eventType: hrEventType,
+    employeeId: v.string(),
+    effectiveDate: v.string(),
+    effectiveTime: v.optional(v.string()),
+    timezone: v.optional(v.string()),
+    employee: v.object({
+      userPrincipalName: v.optional(v.string()),
+      email: v.optional(v.string()),
+      displayName: v.optional(v.string()),
+      department: v.optional(v.string()),
+      jobTitle: v.optional(v.string()),
+      officeLocation: v.optional(v.string()),
+      managerEmail: v.optional(v.string()),
+      employeeType: v.optional(v.string()),
+    }),
+  },
+  handler: async (ctx, args) => {
+    const apiKey = await ctx.db
+      .query("hr_api_keys")
+      .withIndex("by_key_hash", (q: any) => q.eq("keyHash", args.keyHash))
+      .first();
+    if (!apiKey || apiKey.revokedAt) {
+      return { httpStatus: 401, error: "Invalid or revoked API key" };
+    }
+
+    const now = Date.now();
+    await ctx.db.patch(apiKey._id, { lastUsedAt: now });
+    const { keyHash, ...fields } = args;
+
+    // The HR system retried a delivery we already have
+    if (args.sourceEventId) {
+      const seen = await ctx.db
+        .query("hr_events")
+        .withIndex("by_tenant_and_source_event", (q: any) =>
+          q.eq("tenantId", apiKey.tenantId).eq("sourceEventId", args.sourceEventId))
+        .first();
+      if (seen) {
+        return { httpStatus: 200, id: seen._id, status: seen.status, duplicate: true };
+      }
+    }
+
+    // A newer version of an event that has not been applied yet replaces it
+    const earlier = await ctx.db
+      .query("hr_events")
+      .withIndex("by_tenant_and_employee", (q: any) =>
+        q.eq("tenantId", apiKey.tenantId).eq("employeeId", args.employeeId))
+      .collect();
+    const pending = earlier.find((event: any) =>
+      event.eventType === args.eventType && (event.status === "received" || event.status === "needs_review"));
+
+    let eventId;
+    if (pending) {
+      eventId = pending._id;
+      await ctx.db.patch(eventId, {
+        ...fields,
+        apiKeyId: apiKey._id,
+        status: "received",
+        missingFields: [],
+        reviewNote: undefined,
+        receivedCount: pending.receivedCount + 1,
+        updatedAt: now,
+      });
+    } else {
+      eventId = await ctx.db.insert("hr_events", {
+        ...fields,
+        tenantId: apiKey.tenantId,
+        apiKeyId: apiKey._id,
+        status: "received",
+        missingFields: [],
+        receivedCount: 1,
+        receivedAt: now,
+        updatedAt: now,
+      });
+    }
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: apiKey.tenantId,
+      sessionId: hrApiSessionId(apiKey._id),
+      userId: HR_API_ACTOR,
+      actorName: `HR API (${apiKey.name})`,
+      action: "receive_hr_event",
+      resourceType: "hr_events",
+      resourceId: eventId,
+      targetName: args.employee.displayName || args.employeeId,
+      details: `Received ${args.eventType} for employee ${args.employeeId} effective ${args.effectiveDate}${pending ? " (replaces an unapplied event)" : ""}`,
+      after: fields,
+      timestamp: now,
+    });
+
+    await ctx.scheduler.runAfter(0, internal.hrEventActions.processEvent, { eventId });
+
+    return { httpStatus: 202, id: eventId, status: "received", duplicate: false };
+  },
+});
+
+// Pure database mutation - applies the event once its directory lookup is done, or queues it for review
+export const completeProcessing = internalMutation({
+  args: {
+    eventId: v.id("hr_events"),
+    userId: v.optional(v.string()),
+    userPrincipalName: v.optional(v.string()),
+    displayName: v.optional(v.string()),
+    previousDepartment: v.optional(v.string()),
+    lookupError: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const event = await ctx.db.get(args.eventId);
+    if (!event || event.status !== "received") {
+      return;
+    }
+
+    const { eventId, lookupError, ...resolved } = args;
+    const merged = { ...event, ...resolved };
+    const templates = await ctx.db
+      .query("hr_event_templates")
+      .withIndex("by_tenant", (q: any) => q.eq("tenantId", event.tenantId))
+      .collect();
+    const template = selectTemplate(templates, merged);
+    const missingFields = findMissingFields(merged, template);
+
+    await ctx.db.patch(eventId, {
+      ...resolved,
+      templateId: template?._id,
+      updatedAt: Date.now(),
+    });
+
+    if (missingFields.length > 0 || !template.autoApply || lookupError) {
+      await ctx.db.patch(eventId, {
+        status: "needs_review",
+        missingFields,
+        reviewNote: lookupError
+          ? `Directory lookup failed: ${lookupError}`
+          : missingFields.length === 0 ? `Template ${template.name} asks for every event to be reviewed` : undefined,
+      });
+      return;
+    }
+
+    const apiKey = await ctx.db.get(event.apiKeyId);
+    await applyHrEvent(ctx, { ...merged, _id: eventId }, template, {
+      sessionId: hrApiSessionId(event.apiKeyId),
+      userId: HR_API_ACTOR,
+      actorName: `HR API (${apiKey?.name || "deleted key"})`,
+    });
+  },
+});
@@ -0,0 +1,23 @@
+import { internalQuery } from "./_generated/server";
+import { v } from "convex/values";
+
+export const getSession = internalQuery({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db
+      .query("sessions")
+      .withIndex("by_session_id", (q: any) => q.eq("sessionId", args.sessionId))
+      .first();
+  },
+});
+
+export const getEventById = internalQuery({
+  args: {
+    eventId: v.id("hr_events"),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db.get(args.eventId);
+  },
+});
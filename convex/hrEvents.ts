@@ -0,0 +1,352 @@
+import { httpAction, mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { requirePermission } from "./accessControl";
+import { recordAudit } from "./auditTrail";
+import {
+  applyHrEvent,
+  findMissingFields,
+  HR_EVENT_TYPES,
+  MISSING_FIELD_LABELS,
+  selectTemplate,
+} from "./hrEventMapping";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const EMPLOYEE_FIELDS = [
+  "userPrincipalName",
+  "email",
+  "displayName",
+  "department",
+  "jobTitle",
+  "officeLocation",
+  "managerEmail",
+  "employeeType",
+] as const;
+
+// Events shown in the review queue
+const QUEUE_LIMIT = 200;
+
+/**
+ * Validate session and extract tenant context
+ */
+async function validateSession(ctx: any, sessionId: string) {
+  const session = await ctx.db
+    .query("sessions")
+    .withIndex("by_session_id", (q: any) => q.eq("sessionId", sessionId))
+    .first();
+
+  if (!session) {
+    throw new Error("Unauthorized: No session found");
+  }
+
+  if (session.expiresAt < Date.now()) {
+    throw new Error("Unauthorized: Session expired");
+  }
+
+  return session;
+}
+
+async function getTenantEvent(ctx: any, session: any, eventId: any) {
+  const event = await ctx.db.get(eventId);
+
+  if (!event) {
+    throw new Error("HR event not found");
+  }
+
+  if (event.tenantId !== session.tenantId) {
+    throw new Error("Unauthorized: Access denied to records from another tenant");
+  }
+
+  return event;
+}
+
+function isTimezone(timezone: string) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check an effective date, time and timezone, whether from the HR system or an operator
+ * @returns The first problem, or null
+ */
+function scheduleProblem(fields: { effectiveDate?: string; effectiveTime?: string; timezone?: string }) {
+  if (fields.effectiveDate !== undefined && !DATE_PATTERN.test(fields.effectiveDate)) {
+    return "effectiveDate must be YYYY-MM-DD";
+  }
+  if (fields.effectiveTime !== undefined && !TIME_PATTERN.test(fields.effectiveTime)) {
+    return "effectiveTime must be HH:mm";
+  }
+  if (fields.timezone !== undefined && !isTimezone(fields.timezone)) {
+    return `Unknown timezone: ${fields.timezone}`;
+  }
+  return null;
+}
+
+function jsonResponse(status: number, body: unknown) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+async function sha256Hex(value: string) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Receive a hire, transfer or termination from the HR system
+ * Authenticated with a tenant API key from Settings → HR Integration, sent as
+ * "Authorization: Bearer <key>" or "X-Api-Key: <key>". Answers 202 once the event is
+ * filed; matching it to an account and scheduling it happen in the background
+ */
+export const receive = httpAction(async (ctx, request) => {
+  const authorization = request.headers.get("authorization") || "";
+  const apiKey = authorization.toLowerCase().startsWith("bearer ")
+    ? authorization.slice(7).trim()
+    : request.headers.get("x-api-key")?.trim();
+  if (!apiKey) {
+    return jsonResponse(401, { error: "API key required" });
+  }
+
+  let body: any;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse(400, { error: "Invalid JSON body" });
+  }
+
+  if (!HR_EVENT_TYPES.includes(body.eventType)) {
+    return jsonResponse(400, { error: `eventType must be one of ${HR_EVENT_TYPES.join(", ")}` });
+  }
+  if (typeof body.employeeId !== "string" || !body.employeeId.trim()) {
+    return jsonResponse(400, { error: "employeeId is required" });
+  }
+  if (typeof body.effectiveDate !== "string") {
+    return jsonResponse(400, { error: "effectiveDate is required" });
+  }
+  const problem = scheduleProblem({
+    effectiveDate: body.effectiveDate,
+    effectiveTime: typeof body.effectiveTime === "string" ? body.effectiveTime : undefined,
+    timezone: typeof body.timezone === "string" ? body.timezone : undefined,
+  });
+  if (problem) {
+    return jsonResponse(400, { error: problem });
+  }
+
+  const employee: Record<string, string> = {};
+  for (const field of EMPLOYEE_FIELDS) {
+    const value = body.employee?.[field];
+    if (typeof value === "string" && value.trim()) {
+      employee[field] = value.trim().slice(0, 256);
+    }
+  }
+
+  try {
+    const result = await ctx.runMutation(internal.hrEventMutations.ingestEvent, {
+      keyHash: await sha256Hex(apiKey),
+      sourceEventId: typeof body.eventId === "string" ? body.eventId.slice(0, 200) : undefined,
+      eventType: body.eventType,
+      employeeId: body.employeeId.trim(),
+      effectiveDate: body.effectiveDate,
+      effectiveTime: typeof body.effectiveTime === "string" ? body.effectiveTime : undefined,
+      timezone: typeof body.timezone === "string" ? body.timezone : undefined,
+      employee,
+    });
+
+    const { httpStatus, ...response } = result;
+    return jsonResponse(httpStatus, response);
+  } catch (error: any) {
+    console.error("❌ Failed to file HR event:", error.message);
+    return jsonResponse(500, { error: "Could not file the event" });
+  }
+});
+
+/**
+ * Events from the HR system, newest first, with what each still needs
+ * Also returns the tenant's templates, for picking one while resolving an event
+ */
+export const listEvents = query({
+  args: {
+    sessionId: v.string(),
+    status: v.optional(v.union(
+      v.literal("received"),
+      v.literal("needs_review"),
+      v.literal("applied"),
+      v.literal("duplicate"),
+      v.literal("dismissed")
+    )),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleRequest");
+
+    const events = await ctx.db
+      .query("hr_events")
+      .withIndex("by_tenant_and_status", (q: any) => {
+        const tenant = q.eq("tenantId", session.tenantId);
+        return args.status ? tenant.eq("status", args.status) : tenant;
+      })
+      .collect();
+
+    const templates = await ctx.db
+      .query("hr_event_templates")
+      .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId))
+      .collect();
+    const templateName = (templateId: any) => templates.find((template: any) => template._id === templateId)?.name;
+
+    return {
+      events: events
+        .sort((a: any, b: any) => b.updatedAt - a.updatedAt)
+        .slice(0, QUEUE_LIMIT)
+        .map((event: any) => ({
+          ...event,
+          templateName: templateName(event.templateId),
+          missing: event.missingFields.map((field: string) => MISSING_FIELD_LABELS[field] || field),
+        })),
+      templates: templates
+        .map((template: any) => ({ _id: template._id, name: template.name, eventType: template.eventType }))
+        .sort((a: any, b: any) => a.name.localeCompare(b.name)),
+    };
+  },
+});
+
+/**
+ * Fill in what an event in the review queue is missing and schedule it
+ */
+export const resolveEvent = mutation({
+  args: {
+    sessionId: v.string(),
+    eventId: v.id("hr_events"),
+    userId: v.optional(v.string()),
+    userPrincipalName: v.optional(v.string()),
+    displayName: v.optional(v.string()),
+    effectiveDate: v.optional(v.string()),
+    effectiveTime: v.optional(v.string()),
+    timezone: v.optional(v.string()),
+    templateId: v.optional(v.id("hr_event_templates")),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleRequest");
+    const event = await getTenantEvent(ctx, session, args.eventId);
+
+    if (event.status !== "needs_review") {
+      throw new Error(`Cannot resolve an event that is ${event.status.replace("_", " ")}`);
+    }
+
+    const { sessionId, eventId, templateId, ...overrides } = args;
+    const problem = scheduleProblem(overrides);
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    const changes = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+    const merged = { ...event, ...changes };
+
+    let template;
+    if (templateId) {
+      template = await ctx.db.get(templateId);
+      if (!template || template.tenantId !== session.tenantId || template.eventType !== event.eventType) {
+        throw new Error("Choose a template for this kind of event");
+      }
+    } else {
+      const templates = await ctx.db
+        .query("hr_event_templates")
+        .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId))
+        .collect();
+      template = selectTemplate(templates, merged);
+    }
+
+    const missing = findMissingFields(merged, template);
+    if (missing.length > 0) {
+      throw new Error(missing.map((field) => MISSING_FIELD_LABELS[field]).join("; "));
+    }
+
+    await ctx.db.patch(eventId, { ...changes, updatedAt: Date.now() });
+    return await applyHrEvent(ctx, { ...merged, _id: eventId }, template, {
+      sessionId: session.sessionId,
+      userId: session.userId,
+    });
+  },
+});
+
+/**
+ * Take an event out of the review queue without scheduling anything
+ */
+export const dismissEvent = mutation({
+  args: {
+    sessionId: v.string(),
+    eventId: v.id("hr_events"),
+    reason: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleRequest");
+    const event = await getTenantEvent(ctx, session, args.eventId);
+
+    if (event.status !== "needs_review") {
+      throw new Error(`Cannot dismiss an event that is ${event.status.replace("_", " ")}`);
+    }
+
+    const now = Date.now();
+    await ctx.db.patch(args.eventId, {
+      status: "dismissed",
+      reviewNote: args.reason || event.reviewNote,
+      appliedBy: session.userId,
+      appliedAt: now,
+      updatedAt: now,
+    });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "dismiss_hr_event",
+      resourceType: "hr_events",
+      resourceId: args.eventId,
+      targetName: event.displayName || event.employee.displayName || event.employeeId,
+      details: `Dismissed ${event.eventType} for employee ${event.employeeId}${args.reason ? `: ${args.reason}` : ""}`,
+      timestamp: now,
+    });
+
+    return { success: true };
+  },
+});
+
+/**
+ * Look an event up in the directory again, e.g. after creating the hire's account
+ */
+export const reprocessEvent = mutation({
+  args: {
+    sessionId: v.string(),
+    eventId: v.id("hr_events"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleRequest");
+    const event = await getTenantEvent(ctx, session, args.eventId);
+
+    if (event.status !== "needs_review") {
+      throw new Error(`Cannot retry an event that is ${event.status.replace("_", " ")}`);
+    }
+
+    await ctx.db.patch(args.eventId, {
+      status: "received",
+      missingFields: [],
+      reviewNote: undefined,
+      updatedAt: Date.now(),
+    });
+    await ctx.scheduler.runAfter(0, internal.hrEventActions.processEvent, { eventId: args.eventId });
+
+    return { success: true };
+  },
+});
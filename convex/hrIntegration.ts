@@ -0,0 +1,257 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { requirePermission } from "./accessControl";
+import { recordAudit } from "./auditTrail";
+import { offboardingActions } from "./offboarding";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const groupRef = v.object({ id: v.string(), displayName: v.string() });
+
+/**
+ * Validate session and extract tenant context
+ */
+async function validateSession(ctx: any, sessionId: string) {
+  const session = await ctx.db
+    .query("sessions")
+    .withIndex("by_session_id", (q: any) => q.eq("sessionId", sessionId))
+    .first();
+
+  if (!session) {
+    throw new Error("Unauthorized: No session found");
+  }
+
+  if (session.expiresAt < Date.now()) {
+    throw new Error("Unauthorized: Session expired");
+  }
+
+  return session;
+}
+
+/**
+ * List the tenant's HR API keys, without their hashes
+ */
+export const listApiKeys = query({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "hrIntegration");
+
+    const keys = await ctx.db
+      .query("hr_api_keys")
+      .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId))
+      .collect();
+
+    return keys
+      .map(({ keyHash, ...key }: any) => key)
+      .sort((a: any, b: any) => b.createdAt - a.createdAt);
+  },
+});
+
+/**
+ * Stop a key from authenticating; events it already delivered are kept
+ */
+export const revokeApiKey = mutation({
+  args: {
+    sessionId: v.string(),
+    keyId: v.id("hr_api_keys"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "hrIntegration");
+
+    const key = await ctx.db.get(args.keyId);
+    if (!key) {
+      throw new Error("API key not found");
+    }
+    if (key.tenantId !== session.tenantId) {
+      throw new Error("Unauthorized: Access denied to records from another tenant");
+    }
+    if (key.revokedAt) {
+      throw new Error(`${key.name} is already revoked`);
+    }
+
+    const now = Date.now();
+    await ctx.db.patch(args.keyId, { revokedAt: now });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "revoke_hr_api_key",
+      resourceType: "hr_api_keys",
+      resourceId: args.keyId,
+      targetName: key.name,
+      details: `Revoked HR API key ${key.name} (${key.keyPrefix}…)`,
+      timestamp: now,
+    });
+
+    return { success: true };
+  },
+});
+
+/**
+ * List the tenant's HR event templates
+ */
+export const listTemplates = query({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "hrIntegration");
+
+    const templates = await ctx.db
+      .query("hr_event_templates")
+      .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId))
+      .collect();
+
+    return templates.sort((a: any, b: any) =>
+      a.eventType.localeCompare(b.eventType) || a.name.localeCompare(b.name));
+  },
+});
+
+/**
+ * Add a template, or replace one when templateId is given
+ */
+export const saveTemplate = mutation({
+  args: {
+    sessionId: v.string(),
+    templateId: v.optional(v.id("hr_event_templates")),
+    name: v.string(),
+    eventType: v.union(v.literal("hire"), v.literal("transfer"), v.literal("termination")),
+    department: v.optional(v.string()),
+    employeeType: v.optional(v.string()),
+    effectiveTime: v.string(),
+    timezone: v.string(),
+    autoApply: v.boolean(),
+    notifyManager: v.boolean(),
+    notifyUser: v.boolean(),
+    offboardingTemplate: v.optional(v.string()),
+    offboardingActions: v.optional(offboardingActions),
+    transferType: v.optional(v.string()),
+    addGroups: v.optional(v.array(groupRef)),
+    removeGroups: v.optional(v.array(groupRef)),
+    sendWelcomeEmail: v.optional(v.boolean()),
+    requirePasswordChange: v.optional(v.boolean()),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "hrIntegration");
+    const { sessionId, templateId, ...fields } = args;
+
+    fields.name = fields.name.trim();
+    if (!fields.name) {
+      throw new Error("Give the template a name");
+    }
+    if (!TIME_PATTERN.test(fields.effectiveTime)) {
+      throw new Error("Default time must be HH:mm");
+    }
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: fields.timezone });
+    } catch {
+      throw new Error(`Unknown timezone: ${fields.timezone}`);
+    }
+    // Blank conditions match every event
+    fields.department = fields.department?.trim() || undefined;
+    fields.employeeType = fields.employeeType?.trim() || undefined;
+
+    const existing = await ctx.db
+      .query("hr_event_templates")
+      .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId))
+      .collect();
+    const sameConditions = existing.find((template: any) =>
+      template._id !== templateId &&
+      template.eventType === fields.eventType &&
+      (template.department || "").toLowerCase() === (fields.department || "").toLowerCase() &&
+      (template.employeeType || "").toLowerCase() === (fields.employeeType || "").toLowerCase());
+    if (sameConditions) {
+      throw new Error(`${sameConditions.name} already covers these ${fields.eventType} events`);
+    }
+
+    const now = Date.now();
+    let id = templateId;
+    let before;
+    if (templateId) {
+      const template = existing.find((candidate: any) => candidate._id === templateId);
+      if (!template) {
+        throw new Error("Template not found");
+      }
+      before = template;
+      await ctx.db.replace(templateId, {
+        ...fields,
+        tenantId: session.tenantId,
+        createdBy: template.createdBy,
+        createdAt: template.createdAt,
+        updatedAt: now,
+      });
+    } else {
+      id = await ctx.db.insert("hr_event_templates", {
+        ...fields,
+        tenantId: session.tenantId,
+        createdBy: session.userId,
+        createdAt: now,
+        updatedAt: now,
+      });
+    }
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: templateId ? "update_hr_event_template" : "create_hr_event_template",
+      resourceType: "hr_event_templates",
+      resourceId: id,
+      targetName: fields.name,
+      details: `${templateId ? "Updated" : "Created"} ${fields.eventType} template ${fields.name}`,
+      before,
+      after: fields,
+      timestamp: now,
+    });
+
+    return id;
+  },
+});
+
+/**
+ * Delete a template; events it was applied to keep their records
+ */
+export const deleteTemplate = mutation({
+  args: {
+    sessionId: v.string(),
+    templateId: v.id("hr_event_templates"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "hrIntegration");
+
+    const template = await ctx.db.get(args.templateId);
+    if (!template) {
+      throw new Error("Template not found");
+    }
+    if (template.tenantId !== session.tenantId) {
+      throw new Error("Unauthorized: Access denied to records from another tenant");
+    }
+
+    await ctx.db.delete(args.templateId);
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "delete_hr_event_template",
+      resourceType: "hr_event_templates",
+      resourceId: args.templateId,
+      targetName: template.name,
+      details: `Deleted ${template.eventType} template ${template.name}`,
+      before: template,
+      timestamp: Date.now(),
+    });
+
+    return { success: true };
+  },
+});
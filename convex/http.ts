@@ -2,7 +2,9 @@ import { httpRouter } from "convex/server";
 import { httpAction } from "./_generated/server";
 import { auth } from "./authInit";
 import { initiateAdminConsent, handleAdminConsentCallback } from "./adminConsent";
-import { health, graphGet, graphPost, graphPatch, graphDelete, graphOptions, graphBetaGet, graphBetaPost } from "./msalProxy";
+import { recordEvent, recordEventOptions } from "./auditLog";
+import { receive as receiveHrEvent } from "./hrEvents";
+import { health, graphGet, graphPost, graphPatch, graphPut, graphDelete, graphOptions, graphBetaGet, graphBetaPost } from "./msalProxy";
 
 const http = httpRouter();
 
@@ -54,6 +56,12 @@ http.route({
   handler: graphPatch,
 });
 
+http.route({
+  pathPrefix: "/msal-proxy/graph/",
+  method: "PUT",
+  handler: graphPut,
+});
+
 http.route({
   pathPrefix: "/msal-proxy/graph/",
   method: "DELETE",
@@ -79,4 +87,24 @@ http.route({
   handler: graphBetaPost,
 });
 
+// Audit events for changes the browser makes directly
+http.route({
+  path: "/audit/events",
+  method: "OPTIONS",
+  handler: recordEventOptions,
+});
+
+http.route({
+  path: "/audit/events",
+  method: "POST",
+  handler: recordEvent,
+});
+
+// Hire, transfer and termination events from the HR system, authenticated with a tenant API key
+http.route({
+  path: "/hr/events",
+  method: "POST",
+  handler: receiveHrEvent,
+});
+
 export default http;
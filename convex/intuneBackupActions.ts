@@ -0,0 +1,47 @@
+"use node";
+
+import { internalAction } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { loadCredentials } from "./credentialUtils";
+import { getAccessTokenFromCredentials } from "./graphUtils";
+import { exportPolicies, generateManifest, POLICY_TYPES } from "./intuneExport";
+
+/**
+ * Export every policy type with the tenant's app credentials and store the document
+ */
+export const runBackup = internalAction({
+  args: {
+    backupId: v.id("intune_backups"),
+  },
+  handler: async (ctx, args) => {
+    const backup = await ctx.runQuery(internal.intuneBackupQueries.getBackupById, { backupId: args.backupId });
+    if (!backup || backup.status !== "running") {
+      return;
+    }
+
+    try {
+      const credentials = await loadCredentials(ctx, backup);
+      const accessToken = await getAccessTokenFromCredentials(credentials);
+      const { exportData, errors } = await exportPolicies(accessToken, Object.keys(POLICY_TYPES), {
+        includeAssignments: backup.includeAssignments,
+      });
+
+      const json = JSON.stringify(exportData, null, 2);
+      const storageId = await ctx.storage.store(new Blob([json], { type: "application/json" }));
+      await ctx.runMutation(internal.intuneBackupMutations.completeBackup, {
+        backupId: args.backupId,
+        storageId,
+        manifest: generateManifest(exportData),
+        sizeBytes: Buffer.byteLength(json),
+        typeErrors: Object.keys(errors).length > 0 ? errors : undefined,
+      });
+    } catch (error) {
+      console.error(`[Intune backup] Backup ${args.backupId} failed:`, (error as Error).message);
+      await ctx.runMutation(internal.intuneBackupMutations.failBackup, {
+        backupId: args.backupId,
+        error: (error as Error).message,
+      });
+    }
+  },
+});
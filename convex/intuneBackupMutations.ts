@@ -0,0 +1,200 @@
+import { internalMutation } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { recordAudit } from "./auditTrail";
+import { getDriftSettings } from "./intuneDriftMutations";
+import { nextRecurringRun } from "./timeUtils";
+
+const SYSTEM_EXECUTOR = "system-cron";
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Actions stop after 10 minutes; a backup still running well past that died with its action
+const STALE_BACKUP_MS = 30 * 60 * 1000;
+
+// Retention for tenants that back up by hand and have never saved a schedule
+export const DEFAULT_RETENTION = { keepCount: 30, keepDays: 90 };
+
+/**
+ * Start a backup of the tenant's Intune configuration in the background
+ */
+export async function queueBackup(ctx: any, args: {
+  tenantId: string;
+  sessionId: string;
+  userId: string;
+  trigger: "scheduled" | "manual";
+  includeAssignments: boolean;
+}) {
+  const backupId = await ctx.db.insert("intune_backups", {
+    tenantId: args.tenantId,
+    trigger: args.trigger,
+    status: "running",
+    includeAssignments: args.includeAssignments,
+    sessionId: args.sessionId,
+    createdBy: args.userId,
+    startedAt: Date.now(),
+  });
+  await ctx.scheduler.runAfter(0, internal.intuneBackupActions.runBackup, { backupId });
+  return backupId;
+}
+
+/**
+ * Delete backups outside the tenant's retention, and their stored files
+ * The drift baseline is kept whatever its age
+ */
+async function applyRetention(ctx: any, tenantId: string) {
+  const schedule = await ctx.db
+    .query("intune_backup_schedules")
+    .withIndex("by_tenant", (q: any) => q.eq("tenantId", tenantId))
+    .first();
+  const { keepCount, keepDays } = schedule || DEFAULT_RETENTION;
+  const cutoff = Date.now() - keepDays * DAY_MS;
+  const driftSettings = await getDriftSettings(ctx, tenantId);
+
+  const backups = await ctx.db
+    .query("intune_backups")
+    .withIndex("by_tenant", (q: any) => q.eq("tenantId", tenantId))
+    .collect();
+  const finished = backups
+    .filter((backup: any) => backup.status !== "running")
+    .sort((a: any, b: any) => b.startedAt - a.startedAt);
+
+  let kept = 0;
+  let deleted = 0;
+  for (const backup of finished) {
+    if (backup.status === "completed" && kept < keepCount) {
+      kept++;
+      continue;
+    }
+    if (backup.startedAt >= cutoff || backup._id === driftSettings?.baselineBackupId) {
+      continue;
+    }
+    if (backup.storageId) {
+      await ctx.storage.delete(backup.storageId);
+    }
+    await ctx.db.delete(backup._id);
+    deleted++;
+  }
+  return deleted;
+}
+
+// Pure database mutation - queues each due schedule's backup and gives up on backups that died
+export const startDueBackups = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const now = Date.now();
+
+    const running = await ctx.db
+      .query("intune_backups")
+      .withIndex("by_status", (q: any) => q.eq("status", "running"))
+      .collect();
+    for (const backup of running) {
+      if (backup.startedAt < now - STALE_BACKUP_MS) {
+        await ctx.db.patch(backup._id, {
+          status: "failed",
+          error: "The backup stopped before it finished",
+          completedAt: now,
+        });
+      }
+    }
+
+    const due = await ctx.db
+      .query("intune_backup_schedules")
+      .withIndex("by_enabled_and_next_run", (q: any) => q.eq("enabled", true).lte("nextRunAt", now))
+      .collect();
+    for (const schedule of due) {
+      await queueBackup(ctx, {
+        tenantId: schedule.tenantId,
+        sessionId: schedule.sessionId,
+        userId: SYSTEM_EXECUTOR,
+        trigger: "scheduled",
+        includeAssignments: schedule.includeAssignments,
+      });
+      await ctx.db.patch(schedule._id, {
+        lastRunAt: now,
+        nextRunAt: nextRecurringRun(schedule, now),
+      });
+    }
+
+    return { started: due.length };
+  },
+});
+
+// Pure database mutation - records the stored export and prunes backups past retention
+export const completeBackup = internalMutation({
+  args: {
+    backupId: v.id("intune_backups"),
+    storageId: v.id("_storage"),
+    manifest: v.any(),
+    sizeBytes: v.number(),
+    typeErrors: v.optional(v.any()),
+  },
+  handler: async (ctx, args) => {
+    const backup = await ctx.db.get(args.backupId);
+    if (!backup) {
+      // Deleted while it ran
+      await ctx.storage.delete(args.storageId);
+      return;
+    }
+
+    const now = Date.now();
+    await ctx.db.patch(args.backupId, {
+      status: "completed",
+      storageId: args.storageId,
+      manifest: args.manifest,
+      sizeBytes: args.sizeBytes,
+      typeErrors: args.typeErrors,
+      error: undefined,
+      completedAt: now,
+    });
+    const pruned = await applyRetention(ctx, backup.tenantId);
+
+    const failedTypes = Object.keys(args.typeErrors || {});
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: backup.tenantId,
+      sessionId: backup.trigger === "scheduled" ? SYSTEM_EXECUTOR : backup.sessionId,
+      userId: backup.createdBy,
+      action: "intune_backup",
+      resourceType: "intune_backups",
+      resourceId: args.backupId,
+      details: `Backed up ${args.manifest.statistics.totalPolicies} Intune policies (${backup.trigger})` +
+        (failedTypes.length > 0 ? `; could not read ${failedTypes.join(", ")}` : "") +
+        (pruned > 0 ? `; removed ${pruned} backup(s) past retention` : ""),
+      outcome: failedTypes.length > 0 ? "failure" : "success",
+      timestamp: now,
+    });
+  },
+});
+
+// Pure database mutation - records why a backup could not be taken
+export const failBackup = internalMutation({
+  args: {
+    backupId: v.id("intune_backups"),
+    error: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const backup = await ctx.db.get(args.backupId);
+    if (!backup) {
+      return;
+    }
+
+    const now = Date.now();
+    await ctx.db.patch(args.backupId, {
+      status: "failed",
+      error: args.error,
+      completedAt: now,
+    });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: backup.tenantId,
+      sessionId: backup.trigger === "scheduled" ? SYSTEM_EXECUTOR : backup.sessionId,
+      userId: backup.createdBy,
+      action: "intune_backup",
+      resourceType: "intune_backups",
+      resourceId: args.backupId,
+      details: `Intune backup failed (${backup.trigger}): ${args.error}`,
+      outcome: "failure",
+      timestamp: now,
+    });
+  },
+});
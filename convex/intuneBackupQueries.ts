@@ -0,0 +1,11 @@
+import { internalQuery } from "./_generated/server";
+import { v } from "convex/values";
+
+export const getBackupById = internalQuery({
+  args: {
+    backupId: v.id("intune_backups"),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db.get(args.backupId);
+  },
+});
@@ -0,0 +1,280 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { requirePermission } from "./accessControl";
+import { recordAudit } from "./auditTrail";
+import { DEFAULT_RETENTION, queueBackup } from "./intuneBackupMutations";
+import { getDriftSettings } from "./intuneDriftMutations";
+import { nextRecurringRun } from "./timeUtils";
+
+// Backups listed in the history
+const BACKUP_HISTORY_LIMIT = 100;
+
+/**
+ * Validate session and extract tenant context
+ */
+async function validateSession(ctx: any, sessionId: string) {
+  const session = await ctx.db
+    .query("sessions")
+    .withIndex("by_session_id", (q: any) => q.eq("sessionId", sessionId))
+    .first();
+
+  if (!session) {
+    throw new Error("Unauthorized: No session found");
+  }
+
+  if (session.expiresAt < Date.now()) {
+    throw new Error("Unauthorized: Session expired");
+  }
+
+  return session;
+}
+
+async function getTenantBackup(ctx: any, session: any, backupId: any) {
+  const backup = await ctx.db.get(backupId);
+
+  if (!backup) {
+    throw new Error("Backup not found");
+  }
+
+  if (backup.tenantId !== session.tenantId) {
+    throw new Error("Unauthorized: Access denied to records from another tenant");
+  }
+
+  return backup;
+}
+
+function isTimezone(timezone: string) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The tenant's backup schedule, if one was saved, and the retention in force
+ */
+export const getSchedule = query({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "intuneBackup");
+
+    const schedule = await ctx.db
+      .query("intune_backup_schedules")
+      .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId))
+      .first();
+
+    return {
+      schedule,
+      retention: schedule ? { keepCount: schedule.keepCount, keepDays: schedule.keepDays } : DEFAULT_RETENTION,
+    };
+  },
+});
+
+/**
+ * Create or change the tenant's backup schedule
+ * Runs use the saving operator's credentials, falling back to the tenant's saved ones
+ */
+export const saveSchedule = mutation({
+  args: {
+    sessionId: v.string(),
+    enabled: v.boolean(),
+    frequency: v.union(v.literal("daily"), v.literal("weekly")),
+    dayOfWeek: v.optional(v.number()),
+    time: v.string(),
+    timezone: v.string(),
+    includeAssignments: v.boolean(),
+    keepCount: v.number(),
+    keepDays: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "intuneBackup");
+
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(args.time)) {
+      throw new Error("Time must be HH:mm");
+    }
+    if (!isTimezone(args.timezone)) {
+      throw new Error(`Unknown timezone: ${args.timezone}`);
+    }
+    if (args.frequency === "weekly" && !(Number.isInteger(args.dayOfWeek) && args.dayOfWeek! >= 0 && args.dayOfWeek! <= 6)) {
+      throw new Error("Choose the day of the week weekly backups run on");
+    }
+    if (!Number.isInteger(args.keepCount) || args.keepCount < 1) {
+      throw new Error("Keep at least one backup");
+    }
+    if (!Number.isInteger(args.keepDays) || args.keepDays < 0) {
+      throw new Error("Days to keep backups must be zero or more");
+    }
+
+    const { sessionId, ...settings } = args;
+    const fields = {
+      ...settings,
+      dayOfWeek: args.frequency === "weekly" ? args.dayOfWeek : undefined,
+    };
+    const now = Date.now();
+    const nextRunAt = args.enabled ? nextRecurringRun(fields, now) : undefined;
+
+    const existing = await ctx.db
+      .query("intune_backup_schedules")
+      .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId))
+      .first();
+
+    let scheduleId;
+    if (existing) {
+      scheduleId = existing._id;
+      await ctx.db.patch(scheduleId, {
+        ...fields,
+        nextRunAt,
+        sessionId: session.sessionId,
+        updatedAt: now,
+      });
+    } else {
+      scheduleId = await ctx.db.insert("intune_backup_schedules", {
+        ...fields,
+        tenantId: session.tenantId,
+        nextRunAt,
+        sessionId: session.sessionId,
+        createdBy: session.userId,
+        createdAt: now,
+        updatedAt: now,
+      });
+    }
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "update_intune_backup_schedule",
+      resourceType: "intune_backup_schedules",
+      resourceId: scheduleId,
+      details: args.enabled
+        ? `Intune backups run ${args.frequency} at ${args.time} ${args.timezone}, keeping the newest ${args.keepCount} and any from the last ${args.keepDays} days`
+        : "Scheduled Intune backups switched off",
+      before: existing
+        ? { enabled: existing.enabled, frequency: existing.frequency, dayOfWeek: existing.dayOfWeek, time: existing.time, timezone: existing.timezone, keepCount: existing.keepCount, keepDays: existing.keepDays }
+        : undefined,
+      after: fields,
+      timestamp: now,
+    });
+
+    return { scheduleId, nextRunAt };
+  },
+});
+
+/**
+ * The tenant's backups, newest first
+ */
+export const listBackups = query({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "intuneBackup");
+
+    return await ctx.db
+      .query("intune_backups")
+      .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId))
+      .order("desc")
+      .take(BACKUP_HISTORY_LIMIT);
+  },
+});
+
+/**
+ * Short-lived URL to download a completed backup's export document
+ */
+export const getBackupUrl = query({
+  args: {
+    sessionId: v.string(),
+    backupId: v.id("intune_backups"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "intuneBackup");
+    const backup = await getTenantBackup(ctx, session, args.backupId);
+
+    if (!backup.storageId) {
+      throw new Error("This backup has no stored export");
+    }
+    return await ctx.storage.getUrl(backup.storageId);
+  },
+});
+
+/**
+ * Back up the tenant's Intune configuration now, outside the schedule
+ */
+export const runBackupNow = mutation({
+  args: {
+    sessionId: v.string(),
+    includeAssignments: v.optional(v.boolean()),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "intuneBackup");
+
+    const running = await ctx.db
+      .query("intune_backups")
+      .withIndex("by_status", (q: any) => q.eq("status", "running"))
+      .filter((q: any) => q.eq(q.field("tenantId"), session.tenantId))
+      .first();
+    if (running) {
+      throw new Error("A backup is already running");
+    }
+
+    const backupId = await queueBackup(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      trigger: "manual",
+      includeAssignments: args.includeAssignments ?? true,
+    });
+    return { backupId };
+  },
+});
+
+/**
+ * Delete a backup and its stored export
+ */
+export const deleteBackup = mutation({
+  args: {
+    sessionId: v.string(),
+    backupId: v.id("intune_backups"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "intuneBackup");
+    const backup = await getTenantBackup(ctx, session, args.backupId);
+
+    if (backup.status === "running") {
+      throw new Error("Wait for the backup to finish before deleting it");
+    }
+    const driftSettings = await getDriftSettings(ctx, session.tenantId);
+    if (driftSettings?.baselineBackupId === args.backupId) {
+      throw new Error("This backup is the drift baseline; choose another baseline before deleting it");
+    }
+    if (backup.storageId) {
+      await ctx.storage.delete(backup.storageId);
+    }
+    await ctx.db.delete(args.backupId);
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "delete_intune_backup",
+      resourceType: "intune_backups",
+      resourceId: args.backupId,
+      details: `Deleted the Intune backup from ${new Date(backup.startedAt).toISOString()}`,
+      timestamp: Date.now(),
+    });
+
+    return { success: true };
+  },
+});
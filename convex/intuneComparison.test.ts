@@ -0,0 +1,140 @@
+import { describe, expect, it } from "vitest";
+import { compareProperties, comparePolicyLists, matchPolicies } from "./intuneComparison";
+
+const COMPLIANCE = "#microsoft.graph.windows10CompliancePolicy";
+const CONFIGURATION = "#microsoft.graph.windows10GeneralConfiguration";
+
+function policy(id: string, displayName: string, fields: Record<string, any> = {}) {
+  return { id, "@odata.type": COMPLIANCE, displayName, ...fields };
+}
+
+function choice(settingDefinitionId: string, value: string) {
+  return { settingInstance: { settingDefinitionId, choiceSettingValue: { value, children: [] } } };
+}
+
+const matchedBy = (result: ReturnType<typeof matchPolicies>) =>
+  result.pairs.map(({ current, backup, matchedBy: how }) => [current.id, backup.id, how]);
+
+describe("matchPolicies", () => {
+  it("pairs policies by object ID before name", () => {
+    const current = [policy("p1", "Renamed"), policy("p2", "Baseline")];
+    const backup = [policy("p1", "Baseline")];
+
+    expect(matchedBy(matchPolicies(current, backup))).toEqual([["p1", "p1", "id"]]);
+  });
+
+  it("pairs a policy restored into another tenant by the ID recorded at export", () => {
+    const current = [policy("new-id", "Renamed after restore", { _metadata: { originalId: "old-id" } })];
+    const backup = [policy("old-id", "Baseline")];
+
+    expect(matchedBy(matchPolicies(current, backup))).toEqual([["new-id", "old-id", "id"]]);
+  });
+
+  it("does not pair policies of different @odata.type", () => {
+    const current = [policy("p1", "Baseline", { "@odata.type": CONFIGURATION })];
+    const backup = [policy("p1", "Baseline")];
+
+    const result = matchPolicies(current, backup);
+    expect(result.pairs).toEqual([]);
+    expect(result.unmatchedCurrent).toEqual(current);
+    expect(result.unmatchedBackup).toEqual(backup);
+  });
+
+  it("pairs policies sharing a name with the closest match", () => {
+    const current = [
+      policy("c1", "Baseline", { passwordMinimumLength: 8 }),
+      policy("c2", "Baseline", { passwordMinimumLength: 14 }),
+    ];
+    const backup = [
+      policy("b1", "Baseline", { passwordMinimumLength: 14 }),
+      policy("b2", "Baseline", { passwordMinimumLength: 8 }),
+    ];
+
+    expect(matchedBy(matchPolicies(current, backup))).toEqual([
+      ["c2", "b1", "name"],
+      ["c1", "b2", "name"],
+    ]);
+  });
+
+  it("recognises a rename by content, unless identical policies make it ambiguous", () => {
+    const backup = [policy("b1", "Old name", { passwordMinimumLength: 14 })];
+
+    expect(matchedBy(matchPolicies([policy("c1", "New name", { passwordMinimumLength: 14 })], backup)))
+      .toEqual([["c1", "b1", "content"]]);
+    expect(matchPolicies([
+      policy("c1", "New name", { passwordMinimumLength: 14 }),
+      policy("c2", "Other name", { passwordMinimumLength: 14 }),
+    ], backup).pairs).toEqual([]);
+  });
+
+  it("does not treat name-only policies as renames of each other", () => {
+    expect(matchPolicies([policy("c1", "New name")], [policy("b1", "Old name")]).pairs).toEqual([]);
+  });
+});
+
+describe("compareProperties", () => {
+  it("ignores properties Graph or the export manages", () => {
+    const current = policy("p1", "Baseline", { lastModifiedDateTime: "2026-10-01", version: 4, roleScopeTagIds: ["0"] });
+    const backup = policy("p2", "Baseline", { lastModifiedDateTime: "2026-01-01", version: 1, _metadata: { originalId: "x" } });
+
+    expect(compareProperties(current, backup)).toEqual([]);
+  });
+
+  it("compares Settings Catalog settings one by one", () => {
+    const current = { settings: [choice("device_vendor_msft_bitlocker_requiredeviceencryption", "1")] };
+    const backup = {
+      settings: [
+        choice("device_vendor_msft_bitlocker_requiredeviceencryption", "0"),
+        choice("device_vendor_msft_defender_allowrealtimemonitoring", "1"),
+      ],
+    };
+
+    expect(compareProperties(current, backup)).toEqual([
+      {
+        property: "settings: device_vendor_msft_bitlocker_requiredeviceencryption",
+        currentValue: "1",
+        backupValue: "0",
+        type: "modified",
+      },
+      {
+        property: "settings: device_vendor_msft_defender_allowrealtimemonitoring",
+        currentValue: "null",
+        backupValue: "1",
+        type: "added",
+      },
+    ]);
+  });
+
+  it("skips settings when one side was exported without them", () => {
+    expect(compareProperties({ settings: [choice("a", "1")] }, {})).toEqual([]);
+  });
+});
+
+describe("comparePolicyLists", () => {
+  it("lists added, modified and removed policies, keeping a renamed policy's previous name", () => {
+    const current = [
+      policy("p1", "Windows compliance v2", { passwordMinimumLength: 14 }),
+      policy("p3", "New policy"),
+    ];
+    const backup = [
+      policy("p1", "Windows compliance", { passwordMinimumLength: 14 }),
+      policy("p2", "Retired policy"),
+    ];
+
+    expect(comparePolicyLists(current, backup).map(({ diffType, name, previousName, changes }) => ({
+      diffType,
+      name,
+      previousName,
+      changed: changes.map((change) => change.property),
+    }))).toEqual([
+      { diffType: "added", name: "New policy", previousName: undefined, changed: [] },
+      { diffType: "modified", name: "Windows compliance v2", previousName: "Windows compliance", changed: ["displayName"] },
+      { diffType: "removed", name: "Retired policy", previousName: undefined, changed: [] },
+    ]);
+  });
+
+  it("reports nothing for an unchanged tenant", () => {
+    const policies = [policy("p1", "Windows compliance", { passwordMinimumLength: 14 })];
+    expect(comparePolicyLists(policies, policies.map((entry) => ({ ...entry })))).toEqual([]);
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Policy comparison for drift detection
+ *
+ * Same rules as intuneComparisonService in the browser (src/services/intune), so a drift
+ * event lists the changes the Comparison tab would show for the same baseline.
+ */
+
+export type DiffType = "added" | "removed" | "modified";
+
+export interface PropertyChange {
+  property: string;
+  currentValue: string;
+  backupValue: string;
+  type: "added" | "removed" | "modified";
+}
+
+// Properties Graph sets itself, or that the export adds alongside the policy
+const IGNORED_PROPERTIES = [
+  "id", "createdDateTime", "lastModifiedDateTime", "version",
+  "_metadata", "_assignments", "_scriptContent", "@odata.context",
+  "@odata.type", "roleScopeTagIds",
+];
+
+// A policy whose only changes are to these was renamed
+const NAME_PROPERTIES = ["displayName", "name"];
+
+function isEqual(value1: any, value2: any): boolean {
+  if (value1 === value2) return true;
+  if (value1 == null || value2 == null) return false;
+  if (typeof value1 !== typeof value2) return false;
+
+  if (Array.isArray(value1) && Array.isArray(value2)) {
+    if (value1.length !== value2.length) return false;
+    return value1.every((item, i) => isEqual(item, value2[i]));
+  }
+
+  if (typeof value1 === "object") {
+    const keys1 = Object.keys(value1);
+    const keys2 = Object.keys(value2);
+    if (keys1.length !== keys2.length) return false;
+    return keys1.every((key) => isEqual(value1[key], value2[key]));
+  }
+
+  return false;
+}
+
+function formatValue(value: any): string {
+  if (value == null) return "null";
+  if (typeof value === "boolean") return value ? "true" : "false";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function changeType(current: any, backup: any): PropertyChange["type"] {
+  if (current == null && backup != null) return "added";
+  if (current != null && backup == null) return "removed";
+  return "modified";
+}
+
+/**
+ * Map of setting definition path to configured value for a Settings Catalog settings array
+ */
+function flattenSettings(settings: any[]) {
+  const values = new Map<string, any>();
+
+  const flatten = (instance: any, parentPath: string) => {
+    const path = parentPath ? `${parentPath} > ${instance.settingDefinitionId}` : instance.settingDefinitionId;
+    const flattenChildren = (children: any[] | undefined, childPath: string) => {
+      (children || []).forEach((child) => flatten(child, childPath));
+    };
+
+    if (instance.choiceSettingValue) {
+      values.set(path, instance.choiceSettingValue.value);
+      flattenChildren(instance.choiceSettingValue.children, path);
+    } else if (instance.simpleSettingValue) {
+      values.set(path, instance.simpleSettingValue.value);
+    } else if (instance.choiceSettingCollectionValue) {
+      values.set(path, instance.choiceSettingCollectionValue.map((item: any) => item.value));
+      instance.choiceSettingCollectionValue.forEach((item: any, i: number) => flattenChildren(item.children, `${path}[${i}]`));
+    } else if (instance.simpleSettingCollectionValue) {
+      values.set(path, instance.simpleSettingCollectionValue.map((item: any) => item.value));
+    } else if (instance.groupSettingValue) {
+      flattenChildren(instance.groupSettingValue.children, path);
+    } else if (instance.groupSettingCollectionValue) {
+      instance.groupSettingCollectionValue.forEach((item: any, i: number) => flattenChildren(item.children, `${path}[${i}]`));
+    } else {
+      values.set(path, null);
+    }
+  };
+
+  settings.forEach((setting) => setting?.settingInstance && flatten(setting.settingInstance, ""));
+  return values;
+}
+
+/**
+ * Setting-level differences between two Settings Catalog settings arrays
+ */
+function compareSettings(currentSettings: any[], backupSettings: any[]): PropertyChange[] {
+  const current = flattenSettings(currentSettings);
+  const backup = flattenSettings(backupSettings);
+  const changes: PropertyChange[] = [];
+
+  for (const path of new Set([...current.keys(), ...backup.keys()])) {
+    if (!isEqual(current.get(path), backup.get(path))) {
+      changes.push({
+        property: `settings: ${path}`,
+        currentValue: formatValue(current.get(path)),
+        backupValue: formatValue(backup.get(path)),
+        type: changeType(current.get(path), backup.get(path)),
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Property-level differences between a live policy and its baseline copy
+ * Settings Catalog settings are compared one by one, and skipped when one side was exported without them
+ */
+export function compareProperties(current: any, backup: any): PropertyChange[] {
+  const changes: PropertyChange[] = [];
+  const keys = new Set([...Object.keys(current), ...Object.keys(backup)]);
+
+  for (const key of keys) {
+    if (IGNORED_PROPERTIES.includes(key)) continue;
+    if (key === "settings" && (Array.isArray(current[key]) || Array.isArray(backup[key]))) {
+      if (Array.isArray(current[key]) && Array.isArray(backup[key])) {
+        changes.push(...compareSettings(current[key], backup[key]));
+      }
+      continue;
+    }
+    if (!isEqual(current[key], backup[key])) {
+      changes.push({
+        property: key,
+        currentValue: formatValue(current[key]),
+        backupValue: formatValue(backup[key]),
+        type: changeType(current[key], backup[key]),
+      });
+    }
+  }
+
+  return changes;
+}
+
+const policyName = (policy: any): string | undefined => policy.displayName || policy.name;
+
+// The policy's object ID, and the ID it had when it was exported
+const policyIds = (policy: any): string[] => [...new Set([policy.id, policy._metadata?.originalId].filter(Boolean))];
+
+// Whether a policy has anything besides its name to recognise it by
+const hasContent = (policy: any) =>
+  Object.keys(policy).some((key) => !IGNORED_PROPERTIES.includes(key) && !NAME_PROPERTIES.includes(key));
+
+const sameType = (a: any, b: any) => (a["@odata.type"] || "") === (b["@odata.type"] || "");
+
+function groupByTypeAndName(policies: any[]) {
+  const groups = new Map<string, any[]>();
+  for (const policy of policies) {
+    const name = policyName(policy);
+    if (!name) continue;
+    const key = `${policy["@odata.type"] || ""}|${name}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key)!.push(policy);
+  }
+  return groups;
+}
+
+/**
+ * Pair each baseline policy with the live policy it corresponds to
+ * 1. Object ID, or the ID recorded in _metadata.originalId when the policy was exported
+ * 2. Same @odata.type and name; among policies sharing a name, the closest ones pair up
+ * 3. Same @odata.type and settings under another name, so renames show without matching IDs
+ */
+export function matchPolicies(currentPolicies: any[], backupPolicies: any[]) {
+  const pairs: { current: any; backup: any; matchedBy: "id" | "name" | "content" }[] = [];
+  const unmatchedCurrent = new Set(currentPolicies);
+  const unmatchedBackup = new Set(backupPolicies);
+  const pair = (current: any, backup: any, matchedBy: "id" | "name" | "content") => {
+    pairs.push({ current, backup, matchedBy });
+    unmatchedCurrent.delete(current);
+    unmatchedBackup.delete(backup);
+  };
+
+  const currentById = new Map<string, any>();
+  for (const policy of currentPolicies) {
+    for (const id of policyIds(policy)) {
+      if (!currentById.has(id)) currentById.set(id, policy);
+    }
+  }
+  for (const backup of backupPolicies) {
+    const match = policyIds(backup)
+      .map((id) => currentById.get(id))
+      .find((policy) => policy && unmatchedCurrent.has(policy) && sameType(policy, backup));
+    if (match) pair(match, backup, "id");
+  }
+
+  const currentByKey = groupByTypeAndName([...unmatchedCurrent]);
+  for (const [key, backups] of groupByTypeAndName([...unmatchedBackup])) {
+    const candidates = currentByKey.get(key) || [];
+    while (backups.length > 0 && candidates.length > 0) {
+      let best: { backup: any; current: any; changeCount: number } | null = null;
+      for (const backup of backups) {
+        for (const current of candidates) {
+          const changeCount = compareProperties(current, backup).length;
+          if (!best || changeCount < best.changeCount) best = { backup, current, changeCount };
+        }
+      }
+      backups.splice(backups.indexOf(best!.backup), 1);
+      candidates.splice(candidates.indexOf(best!.current), 1);
+      pair(best!.current, best!.backup, "name");
+    }
+  }
+
+  const isRenameOf = (current: any, backup: any) => {
+    if (!sameType(current, backup) || !hasContent(backup)) return false;
+    const changes = compareProperties(current, backup);
+    return changes.length > 0 && changes.every((change) => NAME_PROPERTIES.includes(change.property));
+  };
+  const renames = [...unmatchedBackup]
+    .map((backup) => ({ backup, matches: [...unmatchedCurrent].filter((current) => isRenameOf(current, backup)) }))
+    .filter(({ matches }) => matches.length === 1);
+  for (const { backup, matches: [current] } of renames) {
+    // Identical policies could be any of each other's renames; leave those unpaired
+    if (unmatchedCurrent.has(current) && renames.filter(({ matches }) => matches[0] === current).length === 1) {
+      pair(current, backup, "content");
+    }
+  }
+
+  return { pairs, unmatchedCurrent: [...unmatchedCurrent], unmatchedBackup: [...unmatchedBackup] };
+}
+
+/**
+ * Policies added, removed or modified since the baseline, paired by matchPolicies
+ * A renamed policy is one modified difference carrying the name it had in the baseline
+ */
+export function comparePolicyLists(currentPolicies: any[], backupPolicies: any[]) {
+  const { pairs, unmatchedCurrent, unmatchedBackup } = matchPolicies(currentPolicies, backupPolicies);
+  const differences: {
+    diffType: DiffType;
+    name: string;
+    previousName?: string;
+    current?: any;
+    backup?: any;
+    changes: PropertyChange[];
+  }[] = [];
+
+  for (const current of unmatchedCurrent) {
+    differences.push({ diffType: "added", name: policyName(current) || current.id, current, changes: [] });
+  }
+  for (const { current, backup } of pairs) {
+    const changes = compareProperties(current, backup);
+    if (changes.length > 0) {
+      const name = policyName(current) || current.id;
+      const previousName = policyName(backup) || backup.id;
+      differences.push({
+        diffType: "modified",
+        name,
+        ...(name !== previousName && { previousName }),
+        current,
+        backup,
+        changes,
+      });
+    }
+  }
+  for (const backup of unmatchedBackup) {
+    differences.push({ diffType: "removed", name: policyName(backup) || backup.id, backup, changes: [] });
+  }
+
+  return differences;
+}
@@ -0,0 +1,60 @@
+"use node";
+
+/**
+ * Intune managed device actions for automated offboarding
+ *
+ * Retire removes company data and managed apps and is safe on personal devices.
+ * Wipe factory-resets the device, so it is only ever sent to company-owned devices.
+ */
+
+import { fetchAllGraphPages, fetchWithGraphToken } from "./graphUtils";
+import { isCorporateDevice as isCompanyOwned } from "../src/utils/deviceOwnership";
+
+const DEVICE_SELECT = "id,deviceName,operatingSystem,osVersion,managedDeviceOwnerType,managementState,serialNumber";
+
+export interface ManagedDevice {
+  id: string;
+  deviceName: string;
+  operatingSystem?: string;
+  osVersion?: string;
+  managedDeviceOwnerType?: "company" | "personal" | "unknown";
+  managementState?: string;
+  serialNumber?: string;
+}
+
+export async function listUserManagedDevices(accessToken: string, userId: string): Promise<ManagedDevice[]> {
+  return (await fetchAllGraphPages(accessToken, `/users/${userId}/managedDevices?$select=${DEVICE_SELECT}`)) as ManagedDevice[];
+}
+
+// The offboarding wizard applies the same rule
+export function isCorporateDevice(device: ManagedDevice): boolean {
+  return isCompanyOwned(device);
+}
+
+export async function retireManagedDevice(accessToken: string, deviceId: string) {
+  await fetchWithGraphToken(accessToken, `/deviceManagement/managedDevices/${deviceId}/retire`, {
+    method: "POST",
+  });
+}
+
+export async function wipeManagedDevice(accessToken: string, deviceId: string) {
+  await fetchWithGraphToken(accessToken, `/deviceManagement/managedDevices/${deviceId}/wipe`, {
+    method: "POST",
+    body: JSON.stringify({
+      keepEnrollmentData: false,
+      keepUserData: false,
+    }),
+  });
+}
+
+export function describeDevice(device: ManagedDevice): string {
+  const parts = [`Device ID: ${device.id}`];
+  if (device.operatingSystem) {
+    parts.push(`${device.operatingSystem}${device.osVersion ? ` ${device.osVersion}` : ""}`);
+  }
+  if (device.serialNumber) {
+    parts.push(`Serial: ${device.serialNumber}`);
+  }
+  parts.push(`Owner: ${device.managedDeviceOwnerType || "unknown"}`);
+  return parts.join(" | ");
+}
@@ -0,0 +1,227 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { requirePermission } from "./accessControl";
+import { recordAudit } from "./auditTrail";
+import { DEFAULT_DRIFT_SETTINGS, getDriftSettings, getTrackedDriftEvents } from "./intuneDriftMutations";
+
+// Drift events listed per status
+const DRIFT_EVENT_LIMIT = 200;
+
+/**
+ * Validate session and extract tenant context
+ */
+async function validateSession(ctx: any, sessionId: string) {
+  const session = await ctx.db
+    .query("sessions")
+    .withIndex("by_session_id", (q: any) => q.eq("sessionId", sessionId))
+    .first();
+
+  if (!session) {
+    throw new Error("Unauthorized: No session found");
+  }
+
+  if (session.expiresAt < Date.now()) {
+    throw new Error("Unauthorized: Session expired");
+  }
+
+  return session;
+}
+
+/**
+ * The tenant's drift settings and baseline
+ * The Teams webhook URL is never returned, only whether one is set
+ */
+export const getSettings = query({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "intuneBackup");
+
+    const settings = await getDriftSettings(ctx, session.tenantId);
+    if (!settings) {
+      return { ...DEFAULT_DRIFT_SETTINGS, hasTeamsWebhook: false, baseline: null };
+    }
+
+    const { encryptedTeamsWebhookUrl, ...rest } = settings;
+    const baseline: any = settings.baselineBackupId ? await ctx.db.get(settings.baselineBackupId) : null;
+    return {
+      ...rest,
+      hasTeamsWebhook: !!encryptedTeamsWebhookUrl,
+      baseline: baseline ? { _id: baseline._id, startedAt: baseline.startedAt, manifest: baseline.manifest } : null,
+    };
+  },
+});
+
+/**
+ * Make a completed backup the baseline live configuration is checked against
+ * Drift tracked against the previous baseline is closed
+ */
+export const setBaseline = mutation({
+  args: {
+    sessionId: v.string(),
+    backupId: v.id("intune_backups"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "intuneBackup");
+
+    const backup = await ctx.db.get(args.backupId);
+    if (!backup) {
+      throw new Error("Backup not found");
+    }
+    if (backup.tenantId !== session.tenantId) {
+      throw new Error("Unauthorized: Access denied to records from another tenant");
+    }
+    if (backup.status !== "completed" || !backup.storageId) {
+      throw new Error("Only a completed backup can be the drift baseline");
+    }
+
+    const now = Date.now();
+    const existing = await getDriftSettings(ctx, session.tenantId);
+    let settingsId;
+    if (existing) {
+      settingsId = existing._id;
+      await ctx.db.patch(settingsId, {
+        baselineBackupId: args.backupId,
+        nextCheckAt: existing.enabled ? now : undefined,
+        lastCheckError: undefined,
+        sessionId: session.sessionId,
+        updatedAt: now,
+      });
+    } else {
+      settingsId = await ctx.db.insert("intune_drift_settings", {
+        ...DEFAULT_DRIFT_SETTINGS,
+        tenantId: session.tenantId,
+        baselineBackupId: args.backupId,
+        sessionId: session.sessionId,
+        createdBy: session.userId,
+        createdAt: now,
+        updatedAt: now,
+      });
+    }
+
+    const tracked = await getTrackedDriftEvents(ctx, session.tenantId);
+    for (const event of tracked) {
+      await ctx.db.patch(event._id, { status: "resolved", resolvedAt: now, resolvedBy: session.userId });
+    }
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "set_intune_drift_baseline",
+      resourceType: "intune_drift_settings",
+      resourceId: settingsId,
+      details: `Drift baseline set to the Intune backup from ${new Date(backup.startedAt).toISOString()}` +
+        (tracked.length > 0 ? `; closed ${tracked.length} drift event(s) against the previous baseline` : ""),
+      before: existing?.baselineBackupId ? { baselineBackupId: existing.baselineBackupId } : undefined,
+      after: { baselineBackupId: args.backupId },
+      timestamp: now,
+    });
+
+    return { settingsId };
+  },
+});
+
+/**
+ * The tenant's drift events, newest first
+ */
+export const listEvents = query({
+  args: {
+    sessionId: v.string(),
+    status: v.optional(v.union(
+      v.literal("open"),
+      v.literal("accepted"),
+      v.literal("reverted"),
+      v.literal("resolved")
+    )),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "intuneBackup");
+
+    const statuses = args.status ? [args.status] : ["open", "accepted", "reverted", "resolved"];
+    const events = [];
+    for (const status of statuses) {
+      events.push(...await ctx.db
+        .query("intune_drift_events")
+        .withIndex("by_tenant_and_status", (q: any) => q.eq("tenantId", session.tenantId).eq("status", status))
+        .order("desc")
+        .take(DRIFT_EVENT_LIMIT));
+    }
+    return events.sort((a: any, b: any) => b.lastSeenAt - a.lastSeenAt);
+  },
+});
+
+/**
+ * Accept drift as intended, or mark it reverted once the baseline policy was restored
+ * A revert is confirmed by the next check: drift that is still there reopens
+ */
+export const resolveEvent = mutation({
+  args: {
+    sessionId: v.string(),
+    eventId: v.id("intune_drift_events"),
+    resolution: v.union(v.literal("accepted"), v.literal("reverted")),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "intuneBackup");
+
+    const event = await ctx.db.get(args.eventId);
+    if (!event) {
+      throw new Error("Drift event not found");
+    }
+    if (event.tenantId !== session.tenantId) {
+      throw new Error("Unauthorized: Access denied to records from another tenant");
+    }
+    if (event.status === "resolved") {
+      throw new Error("This drift is already gone");
+    }
+
+    const now = Date.now();
+    await ctx.db.patch(args.eventId, { status: args.resolution, resolvedAt: now, resolvedBy: session.userId });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: args.resolution === "accepted" ? "accept_intune_drift" : "revert_intune_drift",
+      resourceType: "intune_drift_events",
+      resourceId: args.eventId,
+      details: args.resolution === "accepted"
+        ? `Accepted drift in ${event.policyName} (${event.diffType})`
+        : `Reverted ${event.policyName} to the baseline (${event.diffType})`,
+      before: { status: event.status },
+      after: { status: args.resolution },
+      timestamp: now,
+    });
+
+    return { success: true };
+  },
+});
+
+/**
+ * Check for drift now, outside the interval
+ */
+export const checkNow = mutation({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "intuneBackup");
+
+    const settings = await getDriftSettings(ctx, session.tenantId);
+    if (!settings?.baselineBackupId) {
+      throw new Error("Choose a baseline backup first");
+    }
+
+    await ctx.scheduler.runAfter(0, internal.intuneDriftActions.checkDrift, { settingsId: settings._id });
+    return { success: true };
+  },
+});
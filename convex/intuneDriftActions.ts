@@ -0,0 +1,222 @@
+"use node";
+
+import { action, internalAction } from "./_generated/server";
+import { v } from "convex/values";
+import crypto from "crypto";
+import { internal } from "./_generated/api";
+import { requirePermission } from "./accessControl";
+import { decryptCredentials, encryptCredentials, loadCredentials } from "./credentialUtils";
+import { fetchWithGraphToken, getAccessTokenFromCredentials } from "./graphUtils";
+import { comparePolicyLists } from "./intuneComparison";
+import { exportPolicies, POLICY_TYPES } from "./intuneExport";
+import { validateWebhookUrl } from "./webhookEvents";
+import { assertPublicHost } from "./webhookActions";
+
+// Mailbox drift alerts are sent from; falls back to the approvals sender, and no mail is sent when neither is set
+const NOTIFICATION_SENDER = process.env.DRIFT_NOTIFICATION_SENDER || process.env.APPROVAL_NOTIFICATION_SENDER;
+// Portal address used for the link to the Drift tab
+const PORTAL_URL = process.env.PORTAL_URL;
+// Property values longer than this are cut off in drift events
+const MAX_VALUE_LENGTH = 1000;
+const MAX_INTERVAL_HOURS = 7 * 24;
+
+const EMAIL_ADDRESS = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function escapeHtml(value: string) {
+  return value.replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c] as string));
+}
+
+const truncate = (value: string) => (value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH)}…` : value);
+
+/**
+ * Compare the tenant's live Intune configuration with its baseline backup
+ * Policy types that cannot be read are left out, so they never show up as removed
+ */
+export const checkDrift = internalAction({
+  args: {
+    settingsId: v.id("intune_drift_settings"),
+  },
+  handler: async (ctx, args) => {
+    const settings = await ctx.runQuery(internal.intuneDriftQueries.getSettingsById, { settingsId: args.settingsId });
+    if (!settings?.baselineBackupId) {
+      return;
+    }
+
+    try {
+      const backup = await ctx.runQuery(internal.intuneBackupQueries.getBackupById, { backupId: settings.baselineBackupId });
+      const file = backup?.storageId ? await ctx.storage.get(backup.storageId) : null;
+      if (!file) {
+        throw new Error("The baseline backup is no longer stored; choose another baseline");
+      }
+      const baseline = JSON.parse(await file.text());
+
+      const credentials = await loadCredentials(ctx, settings);
+      const accessToken = await getAccessTokenFromCredentials(credentials);
+      const policyTypes = Object.keys(baseline.policies || {}).filter((type) => POLICY_TYPES[type]);
+      const { exportData, errors } = await exportPolicies(accessToken, policyTypes, { includeAssignments: false });
+      const checkedTypes = policyTypes.filter((type) => !errors[type]);
+
+      const findings = [];
+      for (const policyType of checkedTypes) {
+        for (const difference of comparePolicyLists(exportData.policies[policyType], baseline.policies[policyType])) {
+          const changes = difference.changes.map((change) => ({
+            ...change,
+            currentValue: truncate(change.currentValue),
+            backupValue: truncate(change.backupValue),
+          }));
+          findings.push({
+            // Keyed by policy ID so a rename updates the event instead of raising a new one
+            key: `${policyType}|${difference.diffType}|${difference.backup?.id || difference.current.id}`,
+            policyType,
+            policyName: difference.name,
+            diffType: difference.diffType,
+            policyId: difference.current?.id,
+            baselinePolicyId: difference.backup?.id,
+            odataType: (difference.current || difference.backup)?.["@odata.type"],
+            changes,
+            fingerprint: crypto.createHash("sha256").update(JSON.stringify(changes)).digest("hex"),
+          });
+        }
+      }
+
+      const result = await ctx.runMutation(internal.intuneDriftMutations.recordDriftFindings, {
+        settingsId: args.settingsId,
+        baselineBackupId: settings.baselineBackupId,
+        checkedTypes,
+        findings,
+      });
+      if (result.alerts.length > 0) {
+        await notify(settings, accessToken, result.alerts, result.openCount);
+      }
+    } catch (error) {
+      console.error(`[Intune drift] Check for tenant ${settings.tenantId} failed:`, (error as Error).message);
+      await ctx.runMutation(internal.intuneDriftMutations.recordDriftCheckFailure, {
+        settingsId: args.settingsId,
+        error: (error as Error).message,
+      });
+    }
+  },
+});
+
+/**
+ * Email and post to Teams about new drift
+ * A failed notification is logged; the drift events and webhook stand either way
+ */
+async function notify(settings: any, accessToken: string, alerts: any[], openCount: number) {
+  const lines = alerts.map((alert) =>
+    `${alert.policyName} (${POLICY_TYPES[alert.policyType]?.name || alert.policyType}): ${alert.diffType}` +
+    (alert.changes.length > 0 ? ` - ${alert.changes.join(", ")}` : ""));
+  const subject = `Intune drift: ${alerts.length} polic${alerts.length === 1 ? "y differs" : "ies differ"} from the baseline`;
+  const driftLink = PORTAL_URL ? `${PORTAL_URL.replace(/\/$/, "")}/intune` : null;
+
+  if (NOTIFICATION_SENDER && settings.notifyEmails.length > 0) {
+    try {
+      await fetchWithGraphToken(accessToken, `/users/${NOTIFICATION_SENDER}/sendMail`, {
+        method: "POST",
+        body: JSON.stringify({
+          message: {
+            subject,
+            body: {
+              contentType: "HTML",
+              content: `
+                <p>These Intune policies no longer match the drift baseline:</p>
+                <ul>${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join("")}</ul>
+                <p>${openCount} drift event(s) are open.</p>
+                ${driftLink ? `<p><a href="${driftLink}">Review drift in Intune Management</a></p>` : ""}
+              `,
+            },
+            toRecipients: settings.notifyEmails.map((address: string) => ({ emailAddress: { address } })),
+          },
+        }),
+      });
+    } catch (error) {
+      console.warn(`[Intune drift] Could not email drift alert for tenant ${settings.tenantId}:`, (error as Error).message);
+    }
+  }
+
+  if (settings.encryptedTeamsWebhookUrl) {
+    try {
+      const teamsWebhookUrl = decryptCredentials(settings.encryptedTeamsWebhookUrl);
+      await assertPublicHost(teamsWebhookUrl);
+      const response = await fetch(teamsWebhookUrl, {
+        method: "POST",
+        redirect: "manual",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          type: "message",
+          attachments: [{
+            contentType: "application/vnd.microsoft.card.adaptive",
+            content: {
+              $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+              type: "AdaptiveCard",
+              version: "1.4",
+              body: [
+                { type: "TextBlock", text: subject, weight: "Bolder", size: "Medium", wrap: true },
+                ...lines.map((line) => ({ type: "TextBlock", text: `- ${line}`, wrap: true })),
+                { type: "TextBlock", text: `${openCount} drift event(s) are open.`, isSubtle: true, wrap: true },
+              ],
+              actions: driftLink ? [{ type: "Action.OpenUrl", title: "Review drift", url: driftLink }] : [],
+            },
+          }],
+        }),
+      });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+    } catch (error) {
+      console.warn(`[Intune drift] Could not post drift alert to Teams for tenant ${settings.tenantId}:`, (error as Error).message);
+    }
+  }
+}
+
+/**
+ * Change how often drift is checked and who is told about it
+ * The Teams webhook URL grants posting to the channel, so it is stored encrypted
+ */
+export const saveSettings = action({
+  args: {
+    sessionId: v.string(),
+    enabled: v.boolean(),
+    intervalHours: v.number(),
+    notifyEmails: v.array(v.string()),
+    // Left as is when undefined; null or "" removes it
+    teamsWebhookUrl: v.optional(v.union(v.string(), v.null())),
+  },
+  handler: async (ctx, args): Promise<{ settingsId: string }> => {
+    const session = await ctx.runQuery(internal.intuneDriftQueries.getSession, { sessionId: args.sessionId });
+    if (!session || session.expiresAt < Date.now()) {
+      throw new Error("Unauthorized: No valid session found");
+    }
+    requirePermission(session, "intuneBackup");
+
+    if (!Number.isInteger(args.intervalHours) || args.intervalHours < 1 || args.intervalHours > MAX_INTERVAL_HOURS) {
+      throw new Error(`Check every 1 to ${MAX_INTERVAL_HOURS} hours`);
+    }
+    const notifyEmails = args.notifyEmails.map((address) => address.trim()).filter(Boolean);
+    const invalid = notifyEmails.filter((address) => !EMAIL_ADDRESS.test(address));
+    if (invalid.length > 0) {
+      throw new Error(`Not an email address: ${invalid.join(", ")}`);
+    }
+
+    let encryptedTeamsWebhookUrl: string | null | undefined;
+    if (args.teamsWebhookUrl !== undefined) {
+      const url = args.teamsWebhookUrl?.trim();
+      if (url) {
+        validateWebhookUrl(url);
+        encryptedTeamsWebhookUrl = encryptCredentials(url);
+      } else {
+        encryptedTeamsWebhookUrl = null;
+      }
+    }
+
+    return await ctx.runMutation(internal.intuneDriftMutations.upsertSettings, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      enabled: args.enabled,
+      intervalHours: args.intervalHours,
+      notifyEmails,
+      encryptedTeamsWebhookUrl,
+    });
+  },
+});
@@ -0,0 +1,252 @@
+import { internalMutation } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { recordAudit } from "./auditTrail";
+import { emitLifecycleEvent } from "./webhookEvents";
+
+const SYSTEM_EXECUTOR = "system-cron";
+const HOUR_MS = 60 * 60 * 1000;
+
+// Drift that is still being tracked; anything else is closed
+const TRACKED_STATUSES = ["open", "accepted", "reverted"] as const;
+
+export const DEFAULT_DRIFT_SETTINGS = { enabled: false, intervalHours: 24, notifyEmails: [] as string[] };
+
+const changeValidator = v.object({
+  property: v.string(),
+  currentValue: v.string(),
+  backupValue: v.string(),
+  type: v.union(v.literal("added"), v.literal("removed"), v.literal("modified")),
+});
+
+export async function getDriftSettings(ctx: any, tenantId: string) {
+  return await ctx.db
+    .query("intune_drift_settings")
+    .withIndex("by_tenant", (q: any) => q.eq("tenantId", tenantId))
+    .first();
+}
+
+/**
+ * Drift events of the tenant that are open, accepted or awaiting confirmation of a revert
+ */
+export async function getTrackedDriftEvents(ctx: any, tenantId: string) {
+  const events = [];
+  for (const status of TRACKED_STATUSES) {
+    events.push(...await ctx.db
+      .query("intune_drift_events")
+      .withIndex("by_tenant_and_status", (q: any) => q.eq("tenantId", tenantId).eq("status", status))
+      .collect());
+  }
+  return events;
+}
+
+// Pure database mutation - creates or changes the tenant's drift settings from intuneDriftActions.saveSettings
+export const upsertSettings = internalMutation({
+  args: {
+    tenantId: v.string(),
+    sessionId: v.string(),
+    userId: v.string(),
+    enabled: v.boolean(),
+    intervalHours: v.number(),
+    notifyEmails: v.array(v.string()),
+    // Left as is when undefined; null removes it
+    encryptedTeamsWebhookUrl: v.optional(v.union(v.string(), v.null())),
+  },
+  handler: async (ctx, args) => {
+    const existing = await getDriftSettings(ctx, args.tenantId);
+    const now = Date.now();
+    const fields: any = {
+      enabled: args.enabled,
+      intervalHours: args.intervalHours,
+      notifyEmails: args.notifyEmails,
+      nextCheckAt: args.enabled ? now : undefined,
+      sessionId: args.sessionId,
+      updatedAt: now,
+    };
+    if (args.encryptedTeamsWebhookUrl !== undefined) {
+      fields.encryptedTeamsWebhookUrl = args.encryptedTeamsWebhookUrl ?? undefined;
+    }
+
+    let settingsId;
+    if (existing) {
+      settingsId = existing._id;
+      await ctx.db.patch(settingsId, fields);
+    } else {
+      settingsId = await ctx.db.insert("intune_drift_settings", {
+        ...fields,
+        tenantId: args.tenantId,
+        createdBy: args.userId,
+        createdAt: now,
+      });
+    }
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: args.tenantId,
+      sessionId: args.sessionId,
+      userId: args.userId,
+      action: "update_intune_drift_settings",
+      resourceType: "intune_drift_settings",
+      resourceId: settingsId,
+      details: args.enabled
+        ? `Drift checks every ${args.intervalHours} hour(s), notifying ${args.notifyEmails.length} address(es)${(fields.encryptedTeamsWebhookUrl ?? existing?.encryptedTeamsWebhookUrl) ? " and Teams" : ""}`
+        : "Drift checks switched off",
+      before: existing ? { enabled: existing.enabled, intervalHours: existing.intervalHours, notifyEmails: existing.notifyEmails } : undefined,
+      after: { enabled: args.enabled, intervalHours: args.intervalHours, notifyEmails: args.notifyEmails },
+      timestamp: now,
+    });
+
+    return { settingsId };
+  },
+});
+
+// Pure database mutation - queues a drift check for each tenant whose interval has passed
+export const startDueDriftChecks = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const now = Date.now();
+    const due = await ctx.db
+      .query("intune_drift_settings")
+      .withIndex("by_enabled_and_next_check", (q: any) => q.eq("enabled", true).lte("nextCheckAt", now))
+      .collect();
+
+    let started = 0;
+    for (const settings of due) {
+      await ctx.db.patch(settings._id, { nextCheckAt: now + settings.intervalHours * HOUR_MS });
+      if (!settings.baselineBackupId) {
+        continue;
+      }
+      await ctx.scheduler.runAfter(0, internal.intuneDriftActions.checkDrift, { settingsId: settings._id });
+      started++;
+    }
+    return { started };
+  },
+});
+
+// Pure database mutation - records what a drift check found and closes drift that is gone
+export const recordDriftFindings = internalMutation({
+  args: {
+    settingsId: v.id("intune_drift_settings"),
+    baselineBackupId: v.id("intune_backups"),
+    checkedTypes: v.array(v.string()), // Types read successfully; drift in the others is left as it was
+    findings: v.array(v.object({
+      key: v.string(),
+      policyType: v.string(),
+      policyName: v.string(),
+      diffType: v.union(v.literal("added"), v.literal("removed"), v.literal("modified")),
+      policyId: v.optional(v.string()),
+      baselinePolicyId: v.optional(v.string()),
+      odataType: v.optional(v.string()),
+      changes: v.array(changeValidator),
+      fingerprint: v.string(),
+    })),
+  },
+  handler: async (ctx, args) => {
+    const settings = await ctx.db.get(args.settingsId);
+    // The baseline changed while the check ran; its findings no longer apply
+    if (!settings || settings.baselineBackupId !== args.baselineBackupId) {
+      return { alerts: [], openCount: 0 };
+    }
+
+    const now = Date.now();
+    const tracked = await getTrackedDriftEvents(ctx, settings.tenantId);
+    const trackedByKey = new Map(tracked.map((event: any) => [event.key, event]));
+    const alerts: any[] = [];
+
+    for (const finding of args.findings) {
+      const existing: any = trackedByKey.get(finding.key);
+      trackedByKey.delete(finding.key);
+
+      if (!existing) {
+        const eventId = await ctx.db.insert("intune_drift_events", {
+          ...finding,
+          tenantId: settings.tenantId,
+          baselineBackupId: args.baselineBackupId,
+          status: "open",
+          detectedAt: now,
+          lastSeenAt: now,
+        });
+        alerts.push({ eventId, ...finding });
+      } else if (existing.fingerprint !== finding.fingerprint) {
+        await ctx.db.patch(existing._id, {
+          ...finding,
+          status: "open",
+          resolvedAt: undefined,
+          resolvedBy: undefined,
+          lastSeenAt: now,
+        });
+        alerts.push({ eventId: existing._id, ...finding });
+      } else {
+        // A revert that did not take leaves the same drift in place
+        await ctx.db.patch(existing._id, {
+          policyId: finding.policyId,
+          status: existing.status === "reverted" ? "open" : existing.status,
+          lastSeenAt: now,
+        });
+      }
+    }
+
+    const checked = new Set(args.checkedTypes);
+    let resolved = 0;
+    for (const event of trackedByKey.values()) {
+      if (checked.has(event.policyType)) {
+        await ctx.db.patch(event._id, { status: "resolved", resolvedAt: now });
+        resolved++;
+      }
+    }
+
+    await ctx.db.patch(args.settingsId, { lastCheckAt: now, lastCheckError: undefined });
+    const openCount = (await getTrackedDriftEvents(ctx, settings.tenantId))
+      .filter((event: any) => event.status === "open").length;
+
+    if (alerts.length > 0) {
+      await emitLifecycleEvent(ctx, settings.tenantId, "intune.drift_detected", {
+        baselineBackupId: args.baselineBackupId,
+        openCount,
+        drift: alerts.map((alert) => ({
+          eventId: alert.eventId,
+          policyType: alert.policyType,
+          policyName: alert.policyName,
+          difference: alert.diffType,
+          policyId: alert.policyId,
+          changedProperties: alert.changes.map((change: any) => change.property),
+        })),
+      });
+
+      // Log audit trail
+      await recordAudit(ctx, {
+        tenantId: settings.tenantId,
+        sessionId: SYSTEM_EXECUTOR,
+        userId: SYSTEM_EXECUTOR,
+        action: "intune_drift_detected",
+        resourceType: "intune_drift_settings",
+        resourceId: args.settingsId,
+        details: `Intune drift from the baseline: ${alerts.map((alert) => `${alert.policyName} ${alert.diffType}`).join(", ")}` +
+          (resolved > 0 ? `; ${resolved} earlier drift(s) gone` : ""),
+        outcome: "failure",
+        timestamp: now,
+      });
+    }
+
+    return {
+      alerts: alerts.map((alert) => ({
+        policyType: alert.policyType,
+        policyName: alert.policyName,
+        diffType: alert.diffType,
+        changes: alert.changes.map((change: any) => change.property),
+      })),
+      openCount,
+    };
+  },
+});
+
+// Pure database mutation - records why a drift check could not run
+export const recordDriftCheckFailure = internalMutation({
+  args: {
+    settingsId: v.id("intune_drift_settings"),
+    error: v.string(),
+  },
+  handler: async (ctx, args) => {
+    await ctx.db.patch(args.settingsId, { lastCheckAt: Date.now(), lastCheckError: args.error });
+  },
+});
@@ -0,0 +1,236 @@
+"use node";
+
+import { fetchAllGraphPages, fetchWithGraphToken, GRAPH_BETA_URL } from "./graphUtils";
+
+/**
+ * Server-side Intune export, used by scheduled backups
+ *
+ * Produces the same document as intuneExportService.exportPolicies in the browser, so a
+ * stored backup can be downloaded, imported or compared like an exported file. The policy
+ * types mirror POLICY_TYPES in src/services/intune/intuneExportService.js; keep the two
+ * in step.
+ */
+
+export const POLICY_TYPES: Record<string, {
+  endpoint: string;
+  name: string;
+  supportsAssignments: boolean;
+  filter?: string;
+  expand?: string;
+  includeContent?: boolean;
+}> = {
+  deviceConfigurations: {
+    endpoint: "/deviceManagement/deviceConfigurations",
+    name: "Device Configurations",
+    supportsAssignments: true,
+  },
+  compliancePolicies: {
+    endpoint: "/deviceManagement/deviceCompliancePolicies",
+    name: "Compliance Policies",
+    supportsAssignments: true,
+  },
+  configurationPolicies: {
+    endpoint: "/deviceManagement/configurationPolicies",
+    name: "Settings Catalog",
+    supportsAssignments: true,
+    expand: "settings",
+  },
+  mobileApps: {
+    endpoint: "/deviceAppManagement/mobileApps",
+    name: "Applications",
+    supportsAssignments: true,
+    filter: "isAssigned eq true or (microsoft.graph.managedApp/appAvailability eq null or microsoft.graph.managedApp/appAvailability eq 'lineOfBusiness' or isAssigned eq true)",
+  },
+  appProtectionPolicies: {
+    endpoint: "/deviceAppManagement/managedAppPolicies",
+    name: "App Protection Policies",
+    supportsAssignments: true,
+  },
+  appConfigurationPolicies: {
+    endpoint: "/deviceAppManagement/mobileAppConfigurations",
+    name: "App Configuration Policies",
+    supportsAssignments: true,
+  },
+  conditionalAccessPolicies: {
+    endpoint: "/identity/conditionalAccess/policies",
+    name: "Conditional Access",
+    supportsAssignments: false,
+  },
+  endpointSecurityPolicies: {
+    endpoint: "/deviceManagement/intents",
+    name: "Endpoint Security",
+    supportsAssignments: true,
+  },
+  enrollmentRestrictions: {
+    endpoint: "/deviceManagement/deviceEnrollmentConfigurations",
+    name: "Enrollment Restrictions",
+    supportsAssignments: true,
+  },
+  autopilotProfiles: {
+    endpoint: "/deviceManagement/windowsAutopilotDeploymentProfiles",
+    name: "Autopilot Profiles",
+    supportsAssignments: true,
+  },
+  scripts: {
+    endpoint: "/deviceManagement/deviceManagementScripts",
+    name: "PowerShell Scripts",
+    supportsAssignments: true,
+    includeContent: true,
+  },
+  policySets: {
+    endpoint: "/deviceAppManagement/policySets",
+    name: "Policy Sets",
+    supportsAssignments: true,
+  },
+  scopeTags: {
+    endpoint: "/deviceManagement/roleScopeTags",
+    name: "Scope Tags",
+    supportsAssignments: false,
+  },
+  roleDefinitions: {
+    endpoint: "/deviceManagement/roleDefinitions",
+    name: "Role Definitions",
+    supportsAssignments: false,
+  },
+};
+
+async function getAssignments(accessToken: string, endpoint: string, policyId: string) {
+  try {
+    return await fetchAllGraphPages(accessToken, `${GRAPH_BETA_URL}${endpoint}/${policyId}/assignments`);
+  } catch (error) {
+    // Some policy kinds have no assignments collection, or the app may not read it
+    console.warn(`[Intune export] No assignments for ${endpoint}/${policyId}: ${(error as Error).message}`);
+    return [];
+  }
+}
+
+async function getScriptContent(accessToken: string, scriptId: string) {
+  try {
+    const script: any = await fetchWithGraphToken(accessToken, `${GRAPH_BETA_URL}/deviceManagement/deviceManagementScripts/${scriptId}`);
+    return script?.scriptContent ? Buffer.from(script.scriptContent, "base64").toString("utf8") : null;
+  } catch (error) {
+    console.warn(`[Intune export] Could not fetch script content for ${scriptId}: ${(error as Error).message}`);
+    return null;
+  }
+}
+
+async function exportPolicyType(accessToken: string, policyType: string, options: { includeAssignments: boolean }) {
+  const typeConfig = POLICY_TYPES[policyType];
+  const params = [
+    typeConfig.filter && `$filter=${encodeURIComponent(typeConfig.filter)}`,
+    typeConfig.expand && `$expand=${typeConfig.expand}`,
+  ].filter(Boolean);
+  const query = params.length > 0 ? `?${params.join("&")}` : "";
+  const policies = await fetchAllGraphPages(accessToken, `${GRAPH_BETA_URL}${typeConfig.endpoint}${query}`);
+
+  const exported = [];
+  for (const policy of policies) {
+    const exportedPolicy: any = {
+      ...policy,
+      "@odata.type": policy["@odata.type"],
+      _metadata: {
+        exportDate: new Date().toISOString(),
+        policyType,
+        originalId: policy.id,
+      },
+    };
+
+    if (typeConfig.supportsAssignments && options.includeAssignments) {
+      exportedPolicy._assignments = await getAssignments(accessToken, typeConfig.endpoint, policy.id);
+    }
+    if (typeConfig.includeContent && policy.id) {
+      exportedPolicy._scriptContent = await getScriptContent(accessToken, policy.id);
+    }
+
+    exported.push(exportedPolicy);
+  }
+  return exported;
+}
+
+async function getOrganizationInfo(accessToken: string) {
+  try {
+    const response: any = await fetchWithGraphToken(accessToken, "/organization");
+    const org = response?.value?.[0];
+    return {
+      name: org?.displayName || "Unknown Organization",
+      tenantId: org?.id,
+      verifiedDomains: org?.verifiedDomains?.map((domain: any) => domain.name) || [],
+    };
+  } catch (error) {
+    console.warn(`[Intune export] Could not fetch organization info: ${(error as Error).message}`);
+    return { name: "Unknown Organization", tenantId: null, verifiedDomains: [] };
+  }
+}
+
+/**
+ * Export the given policy types with an app-only token
+ * A type that cannot be read is exported empty and counted in exportStats.failedPolicies,
+ * as in the browser export; its error is kept in `errors`
+ */
+export async function exportPolicies(
+  accessToken: string,
+  policyTypes: string[],
+  options: { includeAssignments: boolean } = { includeAssignments: true }
+) {
+  const exportStats = {
+    totalPolicies: 0,
+    exportedPolicies: 0,
+    failedPolicies: 0,
+    startTime: new Date().toISOString(),
+    endTime: null as string | null,
+  };
+  const exportData: any = {
+    exportDate: new Date().toISOString(),
+    organization: await getOrganizationInfo(accessToken),
+    policies: {},
+    migrationTable: { groups: {}, users: {} },
+    statistics: {},
+  };
+  const errors: Record<string, string> = {};
+
+  for (const policyType of policyTypes) {
+    if (!POLICY_TYPES[policyType]) {
+      continue;
+    }
+    try {
+      const policies = await exportPolicyType(accessToken, policyType, options);
+      exportData.policies[policyType] = policies;
+      exportData.statistics[policyType] = policies.length;
+      exportStats.totalPolicies += policies.length;
+      exportStats.exportedPolicies += policies.length;
+    } catch (error) {
+      console.error(`[Intune export] Error exporting ${POLICY_TYPES[policyType].name}: ${(error as Error).message}`);
+      exportData.policies[policyType] = [];
+      exportData.statistics[policyType] = 0;
+      exportStats.failedPolicies++;
+      errors[policyType] = (error as Error).message;
+    }
+  }
+
+  exportStats.endTime = new Date().toISOString();
+  exportData.exportStats = exportStats;
+  return { exportData, errors };
+}
+
+/**
+ * Summary of an export, as intuneExportService.generateManifest builds it
+ */
+export function generateManifest(exportData: any) {
+  const totalPolicies = Object.values(exportData.statistics || {})
+    .reduce((sum: number, count: any) => sum + count, 0);
+
+  return {
+    exportDate: exportData.exportDate,
+    organization: exportData.organization,
+    statistics: {
+      ...exportData.statistics,
+      totalPolicies,
+    },
+    exportStats: exportData.exportStats,
+    policyTypes: Object.keys(exportData.policies).map((key) => ({
+      key,
+      name: POLICY_TYPES[key]?.name,
+      count: exportData.statistics[key] || 0,
+    })),
+  };
+}
@@ -0,0 +1,183 @@
+"use node";
+
+/**
+ * Mailbox Providers for automated offboarding
+ *
+ * Exchange mailbox operations are not uniformly available through Microsoft Graph:
+ * - Auto-reply works for any Exchange Online mailbox via mailboxSettings
+ * - Forwarding works for Exchange Online mailboxes via an inbox message rule
+ * - Shared mailbox conversion is not exposed by Graph at all
+ *
+ * Each provider implements the subset it can perform. The hybrid Exchange provider
+ * dispatches to the Express backend's /api/exchange routes (PowerShell remoting) and
+ * is only enabled when EXCHANGE_BACKEND_URL and AUTOMATION_API_KEY are configured.
+ */
+
+import { fetchWithGraphToken } from "./graphUtils";
+
+const FORWARDING_RULE_NAME = "Offboarding - Forward all mail";
+
+export interface MailboxTarget {
+  userId: string;
+  userPrincipalName: string;
+}
+
+export interface MailboxProvider {
+  name: string;
+  setAutoReply(target: MailboxTarget, message: string): Promise<string>;
+  setForwarding(target: MailboxTarget, forwardingAddress: string): Promise<string>;
+  convertToShared(target: MailboxTarget): Promise<string>;
+}
+
+/**
+ * Microsoft Graph provider - Exchange Online mailboxes only
+ */
+export function createGraphMailboxProvider(accessToken: string): MailboxProvider {
+  return {
+    name: "Microsoft Graph",
+
+    async setAutoReply(target, message) {
+      await fetchWithGraphToken(accessToken, `/users/${target.userId}/mailboxSettings`, {
+        method: "PATCH",
+        body: JSON.stringify({
+          automaticRepliesSetting: {
+            status: "alwaysEnabled",
+            externalAudience: "all",
+            internalReplyMessage: message,
+            externalReplyMessage: message,
+          },
+        }),
+      });
+      return "Automatic replies enabled";
+    },
+
+    async setForwarding(target, forwardingAddress) {
+      const rule = {
+        displayName: FORWARDING_RULE_NAME,
+        sequence: 1,
+        isEnabled: true,
+        actions: {
+          forwardTo: [{ emailAddress: { address: forwardingAddress } }],
+          stopProcessingRules: false,
+        },
+      };
+
+      // Reuse our own rule if a previous run already created it
+      const existing = (await fetchWithGraphToken(
+        accessToken,
+        `/users/${target.userId}/mailFolders/inbox/messageRules`
+      )) as any;
+      const current = (existing?.value || []).find((r: any) => r.displayName === FORWARDING_RULE_NAME);
+
+      if (current) {
+        await fetchWithGraphToken(accessToken, `/users/${target.userId}/mailFolders/inbox/messageRules/${current.id}`, {
+          method: "PATCH",
+          body: JSON.stringify(rule),
+        });
+      } else {
+        await fetchWithGraphToken(accessToken, `/users/${target.userId}/mailFolders/inbox/messageRules`, {
+          method: "POST",
+          body: JSON.stringify(rule),
+        });
+      }
+      return `Mail forwarded to ${forwardingAddress}`;
+    },
+
+    async convertToShared() {
+      throw new Error("Shared mailbox conversion is not supported by Microsoft Graph");
+    },
+  };
+}
+
+/**
+ * Hybrid Exchange provider - on-premises mailboxes via the Express backend
+ * Calls are made on behalf of the given tenant, which the backend requires
+ * Returns null when the backend is not configured for this deployment
+ */
+export function createExchangeBackendProvider(tenantId: string): MailboxProvider | null {
+  const backendUrl = process.env.EXCHANGE_BACKEND_URL;
+  const automationKey = process.env.AUTOMATION_API_KEY;
+
+  if (!backendUrl || !automationKey) {
+    return null;
+  }
+
+  async function callBackend(route: string, body: Record<string, unknown>) {
+    const response = await fetch(`${backendUrl.replace(/\/$/, "")}/api/exchange/${route}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Automation-Key": automationKey,
+        "X-Tenant-Id": tenantId,
+      },
+      body: JSON.stringify(body),
+    });
+
+    let result: any = {};
+    try {
+      result = await response.json();
+    } catch (err) {
+      // ignore parse errors
+    }
+
+    // The Exchange routes report PowerShell failures as Success: false with a 200
+    if (!response.ok || result.Success === false) {
+      throw new Error(result.Error || result.Message || result.error || `${response.status} ${response.statusText}`);
+    }
+
+    return result;
+  }
+
+  return {
+    name: "Hybrid Exchange",
+
+    async setAutoReply(target, message) {
+      const result = await callBackend("set-auto-reply", {
+        identity: target.userPrincipalName,
+        enabled: true,
+        internalMessage: message,
+        externalMessage: message,
+      });
+      return result.Message || "Automatic replies enabled";
+    },
+
+    async setForwarding(target, forwardingAddress) {
+      const result = await callBackend("set-forwarding", {
+        identity: target.userPrincipalName,
+        forwardingAddress,
+        deliverToMailboxAndForward: true,
+      });
+      return result.Message || `Mail forwarded to ${forwardingAddress}`;
+    },
+
+    async convertToShared(target) {
+      const result = await callBackend("convert-to-shared", {
+        identity: target.userPrincipalName,
+      });
+      return result.Message || "Mailbox converted to shared";
+    },
+  };
+}
+
+/**
+ * Run a mailbox operation against each provider in turn until one succeeds.
+ * Throws with every provider's error when none of them can perform it.
+ */
+export async function runMailboxOperation(
+  providers: MailboxProvider[],
+  operation: (provider: MailboxProvider) => Promise<string>
+): Promise<{ provider: string; message: string }> {
+  const errors: string[] = [];
+
+  for (const provider of providers) {
+    try {
+      const message = await operation(provider);
+      return { provider: provider.name, message };
+    } catch (error) {
+      console.warn(`[Mailbox] ${provider.name} failed: ${(error as Error).message}`);
+      errors.push(`${provider.name}: ${(error as Error).message}`);
+    }
+  }
+
+  throw new Error(errors.join(" | ") || "No mailbox provider available");
+}
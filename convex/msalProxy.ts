@@ -320,6 +320,89 @@ export const graphPatch = httpAction(async (ctx, request) => {
   }
 });
 
+/**
+ * Proxy PUT requests to Microsoft Graph API
+ */
+export const graphPut = httpAction(async (ctx, request) => {
+  try {
+    const authHeader = request.headers.get('Authorization');
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      console.error('❌ No authorization token provided');
+      return new Response(JSON.stringify({
+        error: 'Unauthorized',
+        message: 'Please sign in with your Microsoft account'
+      }), {
+        status: 401,
+        headers: {
+          ...getCorsHeaders(),
+          'Content-Type': 'application/json',
+        },
+      });
+    }
+
+    const accessToken = authHeader.substring(7);
+    const url = new URL(request.url);
+    const graphPath = url.pathname.replace('/msal-proxy/graph', '') || '/me';
+    const graphUrl = `https://graph.microsoft.com/v1.0${graphPath}${url.search}`;
+    const bodyText = await request.text();
+    
+    console.log(`📡 Proxying PUT request to: ${graphUrl}`);
+
+    const graphResponse = await fetch(graphUrl, {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      body: bodyText,
+    });
+
+    const responseText = await graphResponse.text();
+    let responseData;
+    try {
+      responseData = responseText ? JSON.parse(responseText) : {};
+    } catch {
+      responseData = { value: responseText };
+    }
+
+    if (!graphResponse.ok) {
+      console.error(`❌ Graph API error (${graphResponse.status}):`, responseData);
+      return new Response(JSON.stringify({
+        error: 'Graph API Error',
+        message: responseData.error?.message || 'Failed to update Microsoft Graph',
+        details: responseData
+      }), {
+        status: graphResponse.status,
+        headers: {
+          ...getCorsHeaders(),
+          'Content-Type': 'application/json',
+        },
+      });
+    }
+
+    console.log(`✅ Graph API PUT successful`);
+    return new Response(JSON.stringify(responseData), {
+      status: 200,
+      headers: {
+        ...getCorsHeaders(),
+        'Content-Type': 'application/json',
+      },
+    });
+  } catch (error: any) {
+    console.error('❌ Proxy error:', error);
+    return new Response(JSON.stringify({
+      error: 'Proxy Error',
+      message: error.message || 'Internal server error'
+    }), {
+      status: 500,
+      headers: {
+        ...getCorsHeaders(),
+        'Content-Type': 'application/json',
+      },
+    });
+  }
+});
+
 /**
  * Proxy DELETE requests to Microsoft Graph API
  */
@@ -1,59 +1,11 @@
 import { mutation, query } from "./_generated/server";
 import { v } from "convex/values";
-
-/**
- * Convert a date/time in a specific timezone to UTC timestamp
- * This properly handles timezone conversion by using the IANA timezone
- * 
- * Example: User enters 9:00 AM in America/New_York (UTC-5)
- * Goal: Return UTC timestamp for 14:00 UTC (9:00 + 5 hours)
- */
-function parseInTimezone(dateStr: string, timeStr: string, timezone: string): number {
-  // Parse the user's input
-  const [year, month, day] = dateStr.split('-').map(Number);
-  const [hour, minute] = timeStr.split(':').map(Number);
-  
-  // Strategy: Use a reference point to calculate the timezone offset
-  // Create a reference date in UTC
-  const referenceUTC = new Date(Date.UTC(year, month - 1, day, 12, 0, 0)); // noon UTC
-  
-  // Format this UTC time in the target timezone to see what local time it represents
-  const formatter = new Intl.DateTimeFormat('en-US', {
-    timeZone: timezone,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: false,
-  });
-  
-  const parts = formatter.formatToParts(referenceUTC);
-  const localHour = Number(parts.find(p => p.type === 'hour')?.value);
-  const localMinute = Number(parts.find(p => p.type === 'minute')?.value);
-  const localDay = Number(parts.find(p => p.type === 'day')?.value);
-  
-  // Calculate the offset in minutes (positive = ahead of UTC, negative = behind UTC)
-  // If UTC 12:00 shows as 07:00 in the target timezone, offset is -5 hours
-  let offsetMinutes = (localHour * 60 + localMinute) - (12 * 60 + 0);
-  
-  // Handle day boundary crossings
-  if (localDay > day) {
-    offsetMinutes += 24 * 60; // Timezone is ahead (e.g., UTC+13)
-  } else if (localDay < day) {
-    offsetMinutes -= 24 * 60; // Timezone is behind (e.g., UTC-11)
-  }
-  
-  // Create the user's intended time as if it were UTC
-  const naiveUTC = Date.UTC(year, month - 1, day, hour, minute, 0);
-  
-  // To convert local time to UTC: subtract the offset
-  // If timezone is UTC-5 (offsetMinutes = -300), and user wants 9:00 local:
-  // 9:00 local - (-300 min) = 9:00 + 5 hours = 14:00 UTC ✓
-  const utcTimestamp = naiveUTC - (offsetMinutes * 60 * 1000);
-  
-  return utcTimestamp;
-}
+import { internal } from "./_generated/api";
+import { parseInTimezone } from "./timeUtils";
+import { requirePermission } from "./accessControl";
+import { claimApproval } from "./approvalPolicy";
+import { recordAudit } from "./auditTrail";
+import { emitLifecycleEvent, outcomeEvent } from "./webhookEvents";
 
 /**
  * Validate session and extract tenant context
@@ -75,6 +27,84 @@ async function validateSession(ctx: any, sessionId: string) {
   return session;
 }
 
+/**
+ * Offboarding actions accepted from the schedule form and the CSV import
+ */
+export const offboardingActions = v.object({
+  // Account Actions
+  disableAccount: v.optional(v.boolean()),
+  resetPassword: v.optional(v.boolean()),
+  revokeAccess: v.optional(v.boolean()),
+  // Licensing
+  revokeLicenses: v.optional(v.boolean()),
+  // Groups & Access
+  removeFromGroups: v.optional(v.boolean()),
+  removeFromTeams: v.optional(v.boolean()),
+  removeFromApps: v.optional(v.boolean()),
+  removeAuthMethods: v.optional(v.boolean()),
+  // Mailbox
+  forwardEmail: v.optional(v.string()),
+  convertToSharedMailbox: v.optional(v.boolean()),
+  setEmailForwarding: v.optional(v.boolean()),
+  forwardingAddress: v.optional(v.string()),
+  setAutoReply: v.optional(v.boolean()),
+  autoReplyMessage: v.optional(v.string()),
+  // Data
+  backupData: v.optional(v.boolean()),
+  transferFiles: v.optional(v.boolean()),
+  newFileOwner: v.optional(v.string()),
+  fileTransferMode: v.optional(v.union(v.literal("grant"), v.literal("copy"))),
+  // Devices
+  removeDevices: v.optional(v.boolean()),
+  removeApps: v.optional(v.boolean()),
+  wipeDevices: v.optional(v.boolean()),
+  retireDevices: v.optional(v.boolean()),
+});
+
+/**
+ * Actions used when a schedule does not pick its own
+ */
+export const DEFAULT_ACTIONS = {
+  disableAccount: true,
+  revokeAccess: true,
+  removeFromGroups: true,
+  forwardEmail: undefined,
+  convertToSharedMailbox: false,
+  backupData: true,
+  removeDevices: true,
+};
+
+/**
+ * Delete an offboarding record together with its checkpoints, plans and snapshots
+ */
+async function deleteOffboardingRecord(ctx: any, offboardingId: any) {
+  const checkpoints = await ctx.db
+    .query("offboarding_checkpoints")
+    .withIndex("by_offboarding_id", (q: any) => q.eq("offboardingId", offboardingId))
+    .collect();
+  for (const checkpoint of checkpoints) {
+    await ctx.db.delete(checkpoint._id);
+  }
+
+  const plans = await ctx.db
+    .query("offboarding_plans")
+    .withIndex("by_offboarding_id", (q: any) => q.eq("offboardingId", offboardingId))
+    .collect();
+  for (const plan of plans) {
+    await ctx.db.delete(plan._id);
+  }
+
+  const snapshots = await ctx.db
+    .query("offboarding_snapshots")
+    .withIndex("by_offboarding_id", (q: any) => q.eq("offboardingId", offboardingId))
+    .collect();
+  for (const snapshot of snapshots) {
+    await ctx.db.delete(snapshot._id);
+  }
+
+  await ctx.db.delete(offboardingId);
+}
+
 /**
  * List scheduled offboarding records for a tenant
  */
@@ -84,19 +114,26 @@ export const list = query({
     status: v.optional(v.union(
       v.literal("scheduled"),
       v.literal("in-progress"),
+      v.literal("awaiting-approval"),
       v.literal("completed"),
       v.literal("failed")
     )),
+    batchId: v.optional(v.string()),
   },
   handler: async (ctx, args) => {
     const session = await validateSession(ctx, args.sessionId);
 
     // Query ALL offboarding records for this tenant (tenant-scoped visibility)
-    let query = ctx.db
-      .query("scheduled_offboarding")
-      .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId));
-
-    const records = await query.collect();
+    const records = args.batchId
+      ? await ctx.db
+          .query("scheduled_offboarding")
+          .withIndex("by_tenant_and_batch", (q: any) =>
+            q.eq("tenantId", session.tenantId).eq("batchId", args.batchId))
+          .collect()
+      : await ctx.db
+          .query("scheduled_offboarding")
+          .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId))
+          .collect();
 
     // No longer filter by session/creator - all tenant members can see all tenant records
     // This provides transparency within the organization
@@ -153,35 +190,7 @@ export const create = mutation({
     timezone: v.optional(v.string()),
     template: v.string(),
     useCustomActions: v.optional(v.boolean()),
-    actions: v.optional(v.object({
-      // Account Actions
-      disableAccount: v.optional(v.boolean()),
-      resetPassword: v.optional(v.boolean()),
-      revokeAccess: v.optional(v.boolean()),
-      // Licensing
-      revokeLicenses: v.optional(v.boolean()),
-      // Groups & Access
-      removeFromGroups: v.optional(v.boolean()),
-      removeFromTeams: v.optional(v.boolean()),
-      removeFromApps: v.optional(v.boolean()),
-      removeAuthMethods: v.optional(v.boolean()),
-      // Mailbox
-      forwardEmail: v.optional(v.string()),
-      convertToSharedMailbox: v.optional(v.boolean()),
-      setEmailForwarding: v.optional(v.boolean()),
-      forwardingAddress: v.optional(v.string()),
-      setAutoReply: v.optional(v.boolean()),
-      autoReplyMessage: v.optional(v.string()),
-      // Data
-      backupData: v.optional(v.boolean()),
-      transferFiles: v.optional(v.boolean()),
-      newFileOwner: v.optional(v.string()),
-      // Devices
-      removeDevices: v.optional(v.boolean()),
-      removeApps: v.optional(v.boolean()),
-      wipeDevices: v.optional(v.boolean()),
-      retireDevices: v.optional(v.boolean()),
-    })),
+    actions: v.optional(offboardingActions),
     notifyManager: v.boolean(),
     notifyUser: v.boolean(),
     managerEmail: v.optional(v.string()),
@@ -189,6 +198,7 @@ export const create = mutation({
   },
   handler: async (ctx, args) => {
     const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleRequest");
 
     const now = Date.now();
     
@@ -213,22 +223,14 @@ export const create = mutation({
       notifyManager: args.notifyManager,
       notifyUser: args.notifyUser,
       managerEmail: args.managerEmail,
-      actions: args.useCustomActions && args.actions ? args.actions : {
-        disableAccount: true,
-        revokeAccess: true,
-        removeFromGroups: true,
-        forwardEmail: undefined,
-        convertToSharedMailbox: false,
-        backupData: true,
-        removeDevices: true,
-      },
+      actions: args.useCustomActions && args.actions ? args.actions : DEFAULT_ACTIONS,
       createdBy: session.userId,
       createdAt: now,
       updatedAt: now,
     });
 
     // Log audit trail
-    await ctx.db.insert("audit_log", {
+    await recordAudit(ctx, {
       tenantId: session.tenantId,
       sessionId: session.sessionId,
       userId: session.userId,
@@ -239,10 +241,181 @@ export const create = mutation({
       timestamp: now,
     });
 
+    await emitLifecycleEvent(ctx, session.tenantId, "offboarding.scheduled", {
+      offboardingId,
+      userId: args.userId,
+      displayName: args.userName,
+      userPrincipalName: args.userEmail,
+      offboardingDate: offboardingDateTime.toISOString(),
+      timezone,
+      template: args.template,
+      scheduledBy: session.userId,
+    });
+
     return { id: offboardingId };
   },
 });
 
+/**
+ * Create every row of a CSV import in one transaction, tagged with a shared batch ID
+ * Rows are validated against Graph in the browser first; here we only re-check that
+ * none of the users already has an open offboarding, so the batch lands whole or not at all
+ */
+export const createBatch = mutation({
+  args: {
+    sessionId: v.string(),
+    fileName: v.optional(v.string()),
+    rows: v.array(v.object({
+      userId: v.string(),
+      userName: v.string(),
+      userEmail: v.string(),
+      scheduledDate: v.string(),
+      scheduledTime: v.string(),
+      timezone: v.optional(v.string()),
+      template: v.string(),
+      forwardingAddress: v.optional(v.string()),
+      newFileOwner: v.optional(v.string()),
+    })),
+    notifyManager: v.boolean(),
+    notifyUser: v.boolean(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleRequest");
+
+    if (args.rows.length === 0) {
+      throw new Error("The import contains no rows");
+    }
+
+    const openUserIds = new Set<string>();
+    for (const status of ["scheduled", "in-progress", "awaiting-approval"] as const) {
+      const open = await ctx.db
+        .query("scheduled_offboarding")
+        .withIndex("by_tenant_and_status", (q: any) =>
+          q.eq("tenantId", session.tenantId).eq("status", status))
+        .collect();
+      open.forEach((record: any) => openUserIds.add(record.userId));
+    }
+
+    const conflicts: string[] = [];
+    const batchUserIds = new Set<string>();
+    for (const row of args.rows) {
+      if (openUserIds.has(row.userId) || batchUserIds.has(row.userId)) {
+        conflicts.push(row.userEmail);
+      }
+      batchUserIds.add(row.userId);
+    }
+    if (conflicts.length > 0) {
+      throw new Error(`Already scheduled for offboarding: ${conflicts.join(", ")}`);
+    }
+
+    const now = Date.now();
+    const batchId = `batch_${now}_${Math.random().toString(36).substring(2, 8)}`;
+    const ids = [];
+
+    for (const row of args.rows) {
+      const timezone = row.timezone || 'UTC';
+      const offboardingDate = parseInTimezone(row.scheduledDate, row.scheduledTime, timezone);
+      const offboardingId = await ctx.db.insert("scheduled_offboarding", {
+        tenantId: session.tenantId,
+        sessionId: session.sessionId,
+        userId: row.userId,
+        userPrincipalName: row.userEmail,
+        displayName: row.userName,
+        email: row.userEmail,
+        offboardingDate,
+        status: "scheduled",
+        notes: "",
+        timezone: timezone,
+        template: row.template,
+        notifyManager: args.notifyManager,
+        notifyUser: args.notifyUser,
+        actions: {
+          ...DEFAULT_ACTIONS,
+          ...(row.forwardingAddress && { setEmailForwarding: true, forwardingAddress: row.forwardingAddress }),
+          ...(row.newFileOwner && { transferFiles: true, newFileOwner: row.newFileOwner, fileTransferMode: "grant" as const }),
+        },
+        batchId,
+        createdBy: session.userId,
+        createdAt: now,
+        updatedAt: now,
+      });
+      ids.push(offboardingId);
+
+      await emitLifecycleEvent(ctx, session.tenantId, "offboarding.scheduled", {
+        offboardingId,
+        userId: row.userId,
+        displayName: row.userName,
+        userPrincipalName: row.userEmail,
+        offboardingDate: new Date(offboardingDate).toISOString(),
+        timezone,
+        template: row.template,
+        batchId,
+        scheduledBy: session.userId,
+      });
+    }
+
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "bulk_schedule_offboarding",
+      resourceType: "scheduled_offboarding",
+      resourceId: batchId,
+      details: `Scheduled ${ids.length} offboarding(s) from ${args.fileName || "CSV import"}`,
+      timestamp: now,
+    });
+
+    return { batchId, ids };
+  },
+});
+
+/**
+ * Cancel a CSV import: delete the batch's records that have not started yet
+ * Records already running or finished are left alone and counted in the result
+ */
+export const cancelBatch = mutation({
+  args: {
+    sessionId: v.string(),
+    batchId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleRequest");
+
+    const records = await ctx.db
+      .query("scheduled_offboarding")
+      .withIndex("by_tenant_and_batch", (q: any) =>
+        q.eq("tenantId", session.tenantId).eq("batchId", args.batchId))
+      .collect();
+
+    if (records.length === 0) {
+      throw new Error("Batch not found");
+    }
+
+    let cancelled = 0;
+    for (const record of records) {
+      if (record.status === "scheduled") {
+        await deleteOffboardingRecord(ctx, record._id);
+        cancelled++;
+      }
+    }
+
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "cancel_offboarding_batch",
+      resourceType: "scheduled_offboarding",
+      resourceId: args.batchId,
+      details: `Cancelled ${cancelled} of ${records.length} offboarding(s) in batch`,
+      timestamp: Date.now(),
+    });
+
+    return { cancelled, skipped: records.length - cancelled };
+  },
+});
+
 /**
  * Update an existing scheduled offboarding record
  */
@@ -258,35 +431,7 @@ export const update = mutation({
     timezone: v.optional(v.string()),
     template: v.optional(v.string()),
     useCustomActions: v.optional(v.boolean()),
-    actions: v.optional(v.object({
-      // Account Actions
-      disableAccount: v.optional(v.boolean()),
-      resetPassword: v.optional(v.boolean()),
-      revokeAccess: v.optional(v.boolean()),
-      // Licensing
-      revokeLicenses: v.optional(v.boolean()),
-      // Groups & Access
-      removeFromGroups: v.optional(v.boolean()),
-      removeFromTeams: v.optional(v.boolean()),
-      removeFromApps: v.optional(v.boolean()),
-      removeAuthMethods: v.optional(v.boolean()),
-      // Mailbox
-      forwardEmail: v.optional(v.string()),
-      convertToSharedMailbox: v.optional(v.boolean()),
-      setEmailForwarding: v.optional(v.boolean()),
-      forwardingAddress: v.optional(v.string()),
-      setAutoReply: v.optional(v.boolean()),
-      autoReplyMessage: v.optional(v.string()),
-      // Data
-      backupData: v.optional(v.boolean()),
-      transferFiles: v.optional(v.boolean()),
-      newFileOwner: v.optional(v.string()),
-      // Devices
-      removeDevices: v.optional(v.boolean()),
-      removeApps: v.optional(v.boolean()),
-      wipeDevices: v.optional(v.boolean()),
-      retireDevices: v.optional(v.boolean()),
-    })),
+    actions: v.optional(offboardingActions),
     notifyManager: v.optional(v.boolean()),
     notifyUser: v.optional(v.boolean()),
     managerEmail: v.optional(v.string()),
@@ -294,6 +439,7 @@ export const update = mutation({
   },
   handler: async (ctx, args) => {
     const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleRequest");
 
     const record = await ctx.db.get(args.offboardingId);
 
@@ -334,6 +480,10 @@ export const update = mutation({
     if (args.actions !== undefined) {
       updates.actions = args.actions;
     }
+    // Any change to the schedule invalidates an earlier wipe approval
+    if (record.wipeApproval) {
+      updates.wipeApproval = undefined;
+    }
     if (args.notifyManager !== undefined) {
       updates.notifyManager = args.notifyManager;
     }
@@ -348,16 +498,20 @@ export const update = mutation({
     }
 
     await ctx.db.patch(args.offboardingId, updates);
+    const { updatedAt, ...changes } = updates;
 
     // Log audit trail
-    await ctx.db.insert("audit_log", {
+    await recordAudit(ctx, {
       tenantId: session.tenantId,
       sessionId: session.sessionId,
       userId: session.userId,
       action: "update_offboarding",
       resourceType: "scheduled_offboarding",
       resourceId: args.offboardingId,
+      targetName: record.displayName,
       details: `Updated offboarding for ${record.displayName}`,
+      before: Object.fromEntries(Object.keys(changes).map((key) => [key, (record as any)[key]])),
+      after: changes,
       timestamp: Date.now(),
     });
 
@@ -375,6 +529,7 @@ export const remove = mutation({
   },
   handler: async (ctx, args) => {
     const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleRequest");
 
     const record = await ctx.db.get(args.offboardingId);
 
@@ -387,17 +542,19 @@ export const remove = mutation({
       throw new Error("Unauthorized: Access denied to records from another tenant");
     }
 
-    await ctx.db.delete(args.offboardingId);
+    await deleteOffboardingRecord(ctx, args.offboardingId);
 
     // Log audit trail
-    await ctx.db.insert("audit_log", {
+    await recordAudit(ctx, {
       tenantId: session.tenantId,
       sessionId: session.sessionId,
       userId: session.userId,
       action: "delete_offboarding",
       resourceType: "scheduled_offboarding",
       resourceId: args.offboardingId,
+      targetName: record.displayName,
       details: `Deleted offboarding for ${record.displayName}`,
+      before: record,
       timestamp: Date.now(),
     });
 
@@ -406,15 +563,18 @@ export const remove = mutation({
 });
 
 /**
- * Execute a scheduled offboarding
+ * Execute a scheduled offboarding ahead of the scheduler
+ * Running one by hand needs an approved executeOffboarding request for it
  */
 export const execute = mutation({
   args: {
     sessionId: v.string(),
     offboardingId: v.id("scheduled_offboarding"),
+    approvalId: v.id("approval_requests"),
   },
   handler: async (ctx, args) => {
     const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleExecute");
 
     const record = await ctx.db.get(args.offboardingId);
 
@@ -427,6 +587,12 @@ export const execute = mutation({
       throw new Error("Unauthorized: Access denied to records from another tenant");
     }
 
+    const approval = await ctx.db.get(args.approvalId);
+    if (approval?.payload?.offboardingId !== args.offboardingId) {
+      throw new Error("This approval is for a different offboarding");
+    }
+    await claimApproval(ctx, session, args.approvalId, "executeOffboarding", record.userId);
+
     // Update status to in-progress
     const now = Date.now();
     await ctx.db.patch(args.offboardingId, {
@@ -437,7 +603,7 @@ export const execute = mutation({
     });
 
     // Log audit trail
-    await ctx.db.insert("audit_log", {
+    await recordAudit(ctx, {
       tenantId: session.tenantId,
       sessionId: session.sessionId,
       userId: session.userId,
@@ -448,6 +614,15 @@ export const execute = mutation({
       timestamp: now,
     });
 
+    await emitLifecycleEvent(ctx, session.tenantId, "offboarding.started", {
+      offboardingId: args.offboardingId,
+      userId: record.userId,
+      displayName: record.displayName,
+      userPrincipalName: record.userPrincipalName,
+      executionType: "manual",
+      startedBy: session.userId,
+    });
+
     // Note: Actual offboarding actions (disable account, etc.) will be handled
     // by Microsoft Graph API calls from the frontend or a separate action
     
@@ -457,14 +632,17 @@ export const execute = mutation({
 
 /**
  * Retry a failed offboarding - resets status to scheduled for re-execution
+ * Steps that already completed are skipped unless restart is set
  */
 export const retry = mutation({
   args: {
     sessionId: v.string(),
     offboardingId: v.id("scheduled_offboarding"),
+    restart: v.optional(v.boolean()),
   },
   handler: async (ctx, args) => {
     const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleExecute");
 
     const record = await ctx.db.get(args.offboardingId);
 
@@ -482,6 +660,16 @@ export const retry = mutation({
       throw new Error("Only failed offboardings can be retried");
     }
 
+    if (args.restart) {
+      const checkpoints = await ctx.db
+        .query("offboarding_checkpoints")
+        .withIndex("by_offboarding_id", (q: any) => q.eq("offboardingId", args.offboardingId))
+        .collect();
+      for (const checkpoint of checkpoints) {
+        await ctx.db.delete(checkpoint._id);
+      }
+    }
+
     // Reset status to scheduled for retry - set offboardingDate to now for immediate pickup
     const now = Date.now();
     await ctx.db.patch(args.offboardingId, {
@@ -490,18 +678,19 @@ export const retry = mutation({
       error: undefined,
       executedAt: undefined,
       executedBy: undefined,
+      wipeApproval: undefined, // A retry needs a fresh approval before any wipe is re-sent
       updatedAt: now,
     });
 
     // Log audit trail
-    await ctx.db.insert("audit_log", {
+    await recordAudit(ctx, {
       tenantId: session.tenantId,
       sessionId: session.sessionId,
       userId: session.userId,
       action: "retry_offboarding",
       resourceType: "scheduled_offboarding",
       resourceId: args.offboardingId,
-      details: `Scheduled retry for failed offboarding: ${record.displayName}`,
+      details: `Scheduled ${args.restart ? "full restart" : "retry"} for failed offboarding: ${record.displayName}`,
       timestamp: now,
     });
 
@@ -509,6 +698,251 @@ export const retry = mutation({
   },
 });
 
+/**
+ * Approve the device wipe on a scheduled offboarding
+ * Must be a signed-in admin other than the one who scheduled it. A run that already
+ * went ahead without the wipe is queued again and resumes at the device step.
+ */
+export const approveWipe = mutation({
+  args: {
+    sessionId: v.string(),
+    offboardingId: v.id("scheduled_offboarding"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "deviceWipe");
+
+    const record = await ctx.db.get(args.offboardingId);
+
+    if (!record) {
+      throw new Error("Offboarding record not found");
+    }
+
+    if (record.tenantId !== session.tenantId) {
+      throw new Error("Unauthorized: Access denied to records from another tenant");
+    }
+
+    if (!record.actions.wipeDevices) {
+      throw new Error("This offboarding does not include a device wipe");
+    }
+
+    if (record.status !== "scheduled" && record.status !== "awaiting-approval") {
+      throw new Error("Only scheduled offboardings or ones awaiting approval can be approved");
+    }
+
+    // App-only sessions share one identity per tenant, so they cannot act as a second admin
+    if (session.authMode === "app-only") {
+      throw new Error("Wipe approval requires a signed-in administrator");
+    }
+
+    if (session.userId === record.createdBy) {
+      throw new Error("A device wipe must be approved by a different administrator than the one who scheduled it");
+    }
+
+    const now = Date.now();
+    const resume = record.status === "awaiting-approval";
+    await ctx.db.patch(args.offboardingId, {
+      wipeApproval: {
+        approvedBy: session.userId,
+        approvedByName: session.displayName || session.email,
+        approvedAt: now,
+      },
+      ...(resume && { status: "scheduled" as const }),
+      updatedAt: now,
+    });
+
+    if (resume) {
+      await ctx.scheduler.runAfter(0, internal.offboardingAutomation.executeScheduledOffboarding, {
+        offboardingId: args.offboardingId,
+      });
+    }
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "approve_device_wipe",
+      resourceType: "scheduled_offboarding",
+      resourceId: args.offboardingId,
+      details: `Approved device wipe for ${record.displayName}${resume ? "; resuming the offboarding" : ""}`,
+      timestamp: now,
+    });
+
+    return { success: true, resumed: resume };
+  },
+});
+
+/**
+ * Attach a dry-run plan to a scheduled offboarding
+ * The plan is produced by offboardingAutomation.previewScheduledOffboarding; the
+ * scheduled run compares it with what it finds at execution time
+ */
+export const attachPlan = mutation({
+  args: {
+    sessionId: v.string(),
+    offboardingId: v.id("scheduled_offboarding"),
+    steps: v.array(v.object({
+      step: v.string(),
+      dependsOn: v.array(v.string()),
+      status: v.union(v.literal("planned"), v.literal("alreadyCompleted"), v.literal("unresolved")),
+      changes: v.array(v.object({
+        description: v.string(),
+        target: v.optional(v.string()),
+        skipReason: v.optional(v.string()),
+      })),
+      error: v.optional(v.string()),
+    })),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleRequest");
+
+    const record = await ctx.db.get(args.offboardingId);
+
+    if (!record) {
+      throw new Error("Offboarding record not found");
+    }
+
+    if (record.tenantId !== session.tenantId) {
+      throw new Error("Unauthorized: Access denied to records from another tenant");
+    }
+
+    const now = Date.now();
+    const planId = await ctx.db.insert("offboarding_plans", {
+      tenantId: session.tenantId,
+      offboardingId: args.offboardingId,
+      generatedBy: session.userId,
+      generatedAt: now,
+      steps: args.steps,
+    });
+
+    await ctx.db.patch(args.offboardingId, { planId, updatedAt: now });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "attach_offboarding_plan",
+      resourceType: "scheduled_offboarding",
+      resourceId: args.offboardingId,
+      details: `Attached dry-run plan for ${record.displayName}`,
+      timestamp: now,
+    });
+
+    return planId;
+  },
+});
+
+/**
+ * Get the dry-run plan attached to a scheduled offboarding
+ */
+export const getPlan = query({
+  args: {
+    sessionId: v.string(),
+    offboardingId: v.id("scheduled_offboarding"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+
+    const record = await ctx.db.get(args.offboardingId);
+
+    if (!record || record.tenantId !== session.tenantId) {
+      throw new Error("Unauthorized: Access denied to records from another tenant");
+    }
+
+    return record.planId ? await ctx.db.get(record.planId) : null;
+  },
+});
+
+/**
+ * Get the pre-offboarding state captured for a record
+ */
+export const getSnapshot = query({
+  args: {
+    sessionId: v.string(),
+    offboardingId: v.id("scheduled_offboarding"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+
+    const snapshot = await ctx.db
+      .query("offboarding_snapshots")
+      .withIndex("by_offboarding_id", (q: any) => q.eq("offboardingId", args.offboardingId))
+      .first();
+
+    if (snapshot && snapshot.tenantId !== session.tenantId) {
+      throw new Error("Unauthorized: Access denied to records from another tenant");
+    }
+
+    return snapshot;
+  },
+});
+
+/**
+ * Claim the snapshot of a finished offboarding for reinstatement
+ * Called by offboardingAutomation.reinstateOffboarding before it restores anything,
+ * so the same snapshot cannot be restored twice
+ */
+export const beginReinstatement = mutation({
+  args: {
+    sessionId: v.string(),
+    offboardingId: v.id("scheduled_offboarding"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleExecute");
+
+    const record = await ctx.db.get(args.offboardingId);
+
+    if (!record) {
+      throw new Error("Offboarding record not found");
+    }
+
+    if (record.tenantId !== session.tenantId) {
+      throw new Error("Unauthorized: Access denied to records from another tenant");
+    }
+
+    if (record.status !== "completed" && record.status !== "failed") {
+      throw new Error("Only completed or failed offboardings can be reinstated");
+    }
+
+    const snapshot = await ctx.db
+      .query("offboarding_snapshots")
+      .withIndex("by_offboarding_id", (q: any) => q.eq("offboardingId", args.offboardingId))
+      .first();
+
+    if (!snapshot) {
+      throw new Error("No pre-offboarding snapshot was captured for this record");
+    }
+
+    if (snapshot.reinstatedAt) {
+      throw new Error("This offboarding has already been reinstated");
+    }
+
+    const now = Date.now();
+    await ctx.db.patch(snapshot._id, {
+      reinstatedAt: now,
+      reinstatedBy: session.userId,
+    });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "begin_reinstatement",
+      resourceType: "scheduled_offboarding",
+      resourceId: args.offboardingId,
+      details: `Started reinstating ${record.displayName}`,
+      timestamp: now,
+    });
+
+    return { record, snapshot, executedBy: session.userId };
+  },
+});
+
 /**
  * Log offboarding execution results
  */
@@ -543,6 +977,7 @@ export const logExecution = mutation({
   },
   handler: async (ctx, args) => {
     const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleExecute");
 
     // Calculate statistics
     const totalActions = args.actions.length;
@@ -582,7 +1017,7 @@ export const logExecution = mutation({
     }
 
     // Log audit trail
-    await ctx.db.insert("audit_log", {
+    await recordAudit(ctx, {
       tenantId: session.tenantId,
       sessionId: session.sessionId,
       userId: session.userId,
@@ -593,10 +1028,103 @@ export const logExecution = mutation({
       timestamp: Date.now(),
     });
 
+    await emitLifecycleEvent(ctx, session.tenantId, outcomeEvent("offboarding", args.status), {
+      offboardingId: args.offboardingId,
+      executionLogId: logId,
+      userId: args.targetUserId,
+      displayName: args.targetUserName,
+      userPrincipalName: args.targetUserEmail,
+      executionType: args.executionType,
+      status: args.status,
+      totalActions,
+      successfulActions,
+      failedActions,
+      skippedActions,
+      error: args.error,
+      executedBy: session.userId,
+    });
+
     return { logId, success: true };
   },
 });
 
+/**
+ * Record a OneDrive manifest produced by an offboarding run in the browser
+ * Items are uploaded separately with appendDriveManifestItems
+ */
+export const saveDriveManifest = mutation({
+  args: {
+    sessionId: v.string(),
+    offboardingId: v.optional(v.id("scheduled_offboarding")),
+    action: v.union(v.literal("transferFiles"), v.literal("backupData")),
+    sourceUserId: v.string(),
+    sourceUserName: v.string(),
+    mode: v.union(v.literal("grant"), v.literal("copy"), v.literal("inventory")),
+    status: v.union(v.literal("completed"), v.literal("partial"), v.literal("failed")),
+    destination: v.optional(v.string()),
+    totalItems: v.number(),
+    totalFiles: v.number(),
+    totalBytes: v.number(),
+    transferredItems: v.number(),
+    failedItems: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleExecute");
+    const { sessionId, ...manifest } = args;
+
+    if (args.offboardingId) {
+      const offboarding = await ctx.db.get(args.offboardingId);
+      if (!offboarding || offboarding.tenantId !== session.tenantId) {
+        throw new Error("Unauthorized: Access denied to records from another tenant");
+      }
+    }
+
+    return await ctx.db.insert("drive_manifests", {
+      ...manifest,
+      tenantId: session.tenantId,
+      createdAt: Date.now(),
+    });
+  },
+});
+
+/**
+ * Append one chunk of items to a OneDrive manifest
+ */
+export const appendDriveManifestItems = mutation({
+  args: {
+    sessionId: v.string(),
+    manifestId: v.id("drive_manifests"),
+    chunkIndex: v.number(),
+    items: v.array(v.object({
+      itemId: v.string(),
+      name: v.string(),
+      path: v.string(),
+      isFolder: v.boolean(),
+      size: v.number(),
+      lastModifiedDateTime: v.optional(v.string()),
+      quickXorHash: v.optional(v.string()),
+      status: v.union(v.literal("transferred"), v.literal("failed"), v.literal("inventoried")),
+      error: v.optional(v.string()),
+    })),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleExecute");
+
+    const manifest = await ctx.db.get(args.manifestId);
+    if (!manifest || manifest.tenantId !== session.tenantId) {
+      throw new Error("Unauthorized: Access denied to records from another tenant");
+    }
+
+    await ctx.db.insert("drive_manifest_items", {
+      manifestId: args.manifestId,
+      chunkIndex: args.chunkIndex,
+      items: args.items,
+    });
+  },
+});
+
 /**
  * Get execution logs for a user or offboarding record
  */
@@ -635,3 +1163,55 @@ export const getExecutionLogs = query({
     return filtered;
   },
 });
+
+/**
+ * Get OneDrive transfer/backup manifests for an offboarding record
+ */
+export const getDriveManifests = query({
+  args: {
+    sessionId: v.string(),
+    offboardingId: v.id("scheduled_offboarding"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+
+    const manifests = await ctx.db
+      .query("drive_manifests")
+      .withIndex("by_offboarding_id", (q: any) => q.eq("offboardingId", args.offboardingId))
+      .collect();
+
+    return manifests
+      .filter((manifest: any) => manifest.tenantId === session.tenantId)
+      .sort((a: any, b: any) => b.createdAt - a.createdAt);
+  },
+});
+
+/**
+ * Get every item recorded in a OneDrive manifest
+ */
+export const getDriveManifestItems = query({
+  args: {
+    sessionId: v.string(),
+    manifestId: v.id("drive_manifests"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+
+    const manifest = await ctx.db.get(args.manifestId);
+
+    if (!manifest) {
+      throw new Error("Manifest not found");
+    }
+
+    if (manifest.tenantId !== session.tenantId) {
+      throw new Error("Unauthorized: Access denied to records from another tenant");
+    }
+
+    const chunks = await ctx.db
+      .query("drive_manifest_items")
+      .withIndex("by_manifest", (q: any) => q.eq("manifestId", args.manifestId))
+      .collect();
+
+    return chunks.flatMap((chunk: any) => chunk.items);
+  },
+});
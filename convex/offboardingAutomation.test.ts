@@ -0,0 +1,169 @@
+import { getFunctionName } from "convex/server";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { encryptCredentials } from "./credentialUtils";
+import { createFakeDatabase } from "./fakeDatabase.testing";
+import { approveWipe } from "./offboarding";
+import { executeScheduledOffboarding } from "./offboardingAutomation";
+import * as offboardingMutations from "./offboardingMutations";
+import * as offboardingQueries from "./offboardingQueries";
+
+const HOUR = 60 * 60 * 1000;
+
+const approver = {
+  sessionId: "session-bob",
+  tenantId: "tenant-a",
+  userId: "bob",
+  email: "bob@contoso.com",
+  roles: ["IntuneAdmin"],
+  authMode: "oauth2",
+  expiresAt: Date.now() + HOUR,
+};
+
+const LAPTOP = { id: "device-1", deviceName: "LAPTOP-01", managedDeviceOwnerType: "company", managementState: "managed" };
+const PHONE = { id: "device-2", deviceName: "PHONE-01", managedDeviceOwnerType: "personal", managementState: "managed" };
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(status === 204 ? null : JSON.stringify(body), {
+    status,
+    headers: { "content-type": "application/json" },
+  });
+}
+
+// Answers the Graph calls a device-only offboarding makes and records the device actions sent
+function stubGraph(enrolled: any[]) {
+  const devices = enrolled.map((device) => ({ ...device }));
+  const deviceActions: string[] = [];
+  vi.stubGlobal("fetch", vi.fn(async (url: string, init: RequestInit = {}) => {
+    if (url.startsWith("https://login.microsoftonline.com/")) {
+      return jsonResponse({ access_token: "token", expires_in: 3600 });
+    }
+    const action = url.match(/managedDevices\/([^/]+)\/(wipe|retire)$/);
+    if (action && init.method === "POST") {
+      deviceActions.push(`${action[2]} ${action[1]}`);
+      devices.find((device) => device.id === action[1])!.managementState = `${action[2]}Pending`;
+      return jsonResponse(null, 204);
+    }
+    if (url.includes("/managedDevices?")) {
+      return jsonResponse({ value: devices });
+    }
+    return jsonResponse({ value: [] });
+  }));
+  return deviceActions;
+}
+
+// Runs the scheduled offboarding action against the fake database, with its queries and mutations
+function createContext(actions: Record<string, any>) {
+  const db = createFakeDatabase({
+    sessions: [approver],
+    tenant_credentials: [{
+      tenantId: "tenant-a",
+      isActive: true,
+      encryptedCredentials: encryptCredentials({ tenantId: "tenant-a", clientId: "app-1", clientSecret: "secret" }),
+    }],
+  });
+  const scheduled: string[] = [];
+  const functions: Record<string, any> = {};
+  for (const module of [{ name: "offboardingQueries", exports: offboardingQueries }, { name: "offboardingMutations", exports: offboardingMutations }]) {
+    for (const [name, fn] of Object.entries(module.exports)) {
+      functions[`${module.name}:${name}`] = fn;
+    }
+  }
+
+  const ctx: any = {
+    db,
+    scheduler: {
+      runAfter: async (_delay: number, ref: any) => {
+        scheduled.push(getFunctionName(ref));
+      },
+    },
+  };
+  ctx.runQuery = (ref: any, args: any) => functions[getFunctionName(ref)]._handler(ctx, args);
+  // Convex runs mutations one at a time
+  let mutations = Promise.resolve();
+  ctx.runMutation = (ref: any, args: any) => {
+    const result = mutations.then(() => ctx.runQuery(ref, args));
+    mutations = result.catch(() => {});
+    return result;
+  };
+
+  return {
+    db,
+    ctx,
+    scheduled,
+    create: () => db.insert("scheduled_offboarding", {
+      tenantId: "tenant-a",
+      sessionId: "session-alice",
+      userId: "user-1",
+      userPrincipalName: "leaver@contoso.com",
+      displayName: "Leaver",
+      offboardingDate: Date.now() - 1000,
+      status: "scheduled",
+      createdBy: "alice",
+      actions,
+    }),
+    run: (id: string) => (executeScheduledOffboarding as any)._handler(ctx, { offboardingId: id }),
+    approve: (id: string) => (approveWipe as any)._handler(ctx, { sessionId: approver.sessionId, offboardingId: id }),
+  };
+}
+
+beforeEach(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("scheduled offboarding with a device wipe", () => {
+  it("waits for approval, then resumes at the device step and sends the wipe", async () => {
+    const deviceActions = stubGraph([LAPTOP]);
+    const { db, scheduled, create, run, approve } = createContext({ wipeDevices: true });
+    const id = await create();
+
+    expect(await run(id)).toEqual({ status: "awaiting-approval" });
+    expect(deviceActions).toEqual([]);
+    expect(await db.get(id)).toMatchObject({ status: "awaiting-approval" });
+    expect(await db.query("offboarding_checkpoints").first()).toMatchObject({ step: "manageDevices", status: "pending" });
+
+    expect(await approve(id)).toEqual({ success: true, resumed: true });
+    expect(await db.get(id)).toMatchObject({ status: "scheduled", wipeApproval: { approvedBy: "bob" } });
+    expect(scheduled).toEqual(["offboardingAutomation:executeScheduledOffboarding"]);
+
+    expect(await run(id)).toEqual({ status: "completed" });
+    expect(deviceActions).toEqual(["wipe device-1"]);
+    expect(await db.query("offboarding_checkpoints").first()).toMatchObject({ status: "completed", attempts: 2 });
+  });
+
+  it("runs once when the cron and the approval both queue it", async () => {
+    const deviceActions = stubGraph([LAPTOP]);
+    const { create, run, approve } = createContext({ wipeDevices: true });
+    const id = await create();
+    await run(id);
+    await approve(id);
+
+    const [first, second] = await Promise.all([run(id), run(id)]);
+    expect([first.status, second.status].sort()).toEqual(["completed", "in-progress"]);
+    expect(deviceActions).toEqual(["wipe device-1"]);
+  });
+
+  it("retires personal devices but holds company-owned ones for the wipe until it is approved", async () => {
+    const deviceActions = stubGraph([LAPTOP, PHONE]);
+    const { db, create, run, approve } = createContext({ retireDevices: true, wipeDevices: true });
+    const id = await create();
+
+    expect(await run(id)).toEqual({ status: "awaiting-approval" });
+    expect(deviceActions).toEqual(["retire device-2"]);
+    const log = await db.query("offboarding_execution_logs").first();
+    expect(log!.actions).toContainEqual(expect.objectContaining({
+      action: "wipeDevices",
+      status: "warning",
+      details: "Held for the wipe: LAPTOP-01",
+    }));
+
+    await approve(id);
+    expect(await run(id)).toEqual({ status: "completed" });
+    expect(deviceActions).toEqual(["retire device-2", "wipe device-1"]);
+  });
+});
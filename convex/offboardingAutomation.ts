@@ -1,89 +1,71 @@
 "use node";
 
-import { internalAction, internalQuery } from "./_generated/server";
+import { action, internalAction, internalQuery } from "./_generated/server";
 import { v } from "convex/values";
-import { internal } from "./_generated/api";
-import { decryptCredentials } from "./credentialUtils";
-import { getAccessTokenFromCredentials } from "./graphUtils";
+import { api, internal } from "./_generated/api";
+import { loadCredentials } from "./credentialUtils";
+import { fetchAllGraphPages, fetchWithGraphToken, getAccessTokenFromCredentials } from "./graphUtils";
+import {
+  createExchangeBackendProvider,
+  createGraphMailboxProvider,
+  MailboxProvider,
+  MailboxTarget,
+  runMailboxOperation,
+} from "./mailboxProviders";
+import { ActiveDirectoryBackend, createActiveDirectoryBackend, getOnPremIdentity, LeaverResult, OnPremIdentity } from "./onPremDirectory";
+import { backupDrive, copyDriveToFolder, DriveManifest, formatBytes, grantDriveAccess } from "./oneDriveTransfer";
+import {
+  describeDevice,
+  isCorporateDevice,
+  listUserManagedDevices,
+  ManagedDevice,
+  retireManagedDevice,
+  wipeManagedDevice,
+} from "./intuneDevices";
+import {
+  ActionResult,
+  ActionStatus,
+  buildActionResult,
+  completedStepsOf,
+  diffPlans,
+  PipelineOptions,
+  PipelineStep,
+  PlanStep,
+  planPipeline,
+  runPipeline,
+} from "./actionPipeline";
+
+const MANIFEST_CHUNK_SIZE = 500;
 
-const GRAPH_BASE_URL = "https://graph.microsoft.com/v1.0";
 const SYSTEM_EXECUTOR = "system-cron";
 const DEFAULT_LIMIT = 5;
 
-async function fetchWithGraphToken(accessToken: string, path: string, init: RequestInit = {}) {
-  const headers: Record<string, string> = {
-    ...(init.headers as Record<string, string> | undefined),
-    Authorization: `Bearer ${accessToken}`,
-  };
-
-  // Always add Content-Type for POST/PATCH/PUT methods
-  const method = (init.method || 'GET').toUpperCase();
-  if ((method === 'POST' || method === 'PATCH' || method === 'PUT') && !headers["Content-Type"]) {
-    headers["Content-Type"] = "application/json";
-  }
-
-  const fullUrl = `${GRAPH_BASE_URL}${path}`;
-  console.log(`[Graph API] ${method} ${fullUrl}`);
-
-  const response = await fetch(fullUrl, {
-    ...init,
-    headers,
-  });
+// Store each OneDrive manifest with its items split into chunks
+async function saveDriveManifests(
+  ctx: any,
+  schedule: any,
+  offboardingId: any,
+  driveManifests: Array<{ action: "transferFiles" | "backupData"; manifest: DriveManifest }>
+) {
+  for (const { action, manifest } of driveManifests) {
+    const { items, ...summary } = manifest;
+    const manifestId = await ctx.runMutation(internal.offboardingMutations.recordDriveManifest, {
+      ...summary,
+      tenantId: schedule.tenantId,
+      offboardingId,
+      action,
+      sourceUserId: schedule.userId || schedule.userPrincipalName,
+      sourceUserName: schedule.displayName,
+    });
 
-  if (!response.ok) {
-    let errorMessage = `${response.status} ${response.statusText}`;
-    try {
-      const error = await response.json();
-      errorMessage = error.error?.message || errorMessage;
-      console.error(`[Graph API Error] ${method} ${fullUrl}: ${errorMessage}`);
-    } catch (err) {
-      // ignore parse errors
+    for (let i = 0; i < items.length; i += MANIFEST_CHUNK_SIZE) {
+      await ctx.runMutation(internal.offboardingMutations.appendDriveManifestItems, {
+        manifestId,
+        chunkIndex: i / MANIFEST_CHUNK_SIZE,
+        items: items.slice(i, i + MANIFEST_CHUNK_SIZE),
+      });
     }
-    throw new Error(errorMessage);
   }
-
-  if (response.status === 204) {
-    return null;
-  }
-
-  const contentType = response.headers.get("content-type");
-  if (contentType && contentType.includes("application/json")) {
-    return await response.json();
-  }
-
-  return await response.text();
-}
-
-async function loadCredentials(ctx: any, schedule: any) {
-  // Try session-specific credentials first
-  const sessionCreds = await ctx.runQuery(internal.offboardingQueries.getSessionCredentials, {
-    sessionId: schedule.sessionId,
-  });
-
-  if (sessionCreds) {
-    return decryptCredentials(sessionCreds);
-  }
-
-  // Fall back to tenant credentials
-  const tenantCreds = await ctx.runQuery(internal.offboardingQueries.getTenantCredentials, {
-    tenantId: schedule.tenantId,
-  });
-
-  if (!tenantCreds) {
-    throw new Error("No saved credentials for tenant");
-  }
-
-  return decryptCredentials(tenantCreds);
-}
-
-function buildActionResult(action: string, status: "success" | "error" | "skipped" | "warning", message: string, details?: string) {
-  return {
-    action,
-    status,
-    message,
-    timestamp: Date.now(),
-    details,
-  };
 }
 
 // Resolve user identifier to object ID (GUID) - required for some Graph API operations
@@ -109,7 +91,14 @@ interface GroupRemovalResult {
   skippedGroups: Array<{ name: string; reason: string }>;
 }
 
-async function removeUserFromAllGroups(accessToken: string, userIdentifier: string): Promise<GroupRemovalResult> {
+interface GroupClassification {
+  userId: string;
+  removable: Array<{ id: string; name: string }>;
+  skippedGroups: Array<{ name: string; reason: string }>;
+}
+
+// Work out which of the user's groups can be left from the cloud; shared by the plan and the run
+async function classifyUserGroups(accessToken: string, userIdentifier: string): Promise<GroupClassification> {
   // First resolve to object ID - required for DELETE operations on group members
   const userId = await resolveUserObjectId(accessToken, userIdentifier);
   
@@ -123,7 +112,7 @@ async function removeUserFromAllGroups(accessToken: string, userIdentifier: stri
     (entry: any) => entry["@odata.type"]?.toLowerCase().includes("group")
   );
 
-  const removedGroups: string[] = [];
+  const removable: Array<{ id: string; name: string }> = [];
   const skippedGroups: Array<{ name: string; reason: string }> = [];
 
   for (const group of allGroups) {
@@ -133,14 +122,12 @@ async function removeUserFromAllGroups(accessToken: string, userIdentifier: stri
     // Skip on-premises synced groups (can only be managed in on-prem AD)
     if (group.onPremisesSyncEnabled === true) {
       skippedGroups.push({ name: groupName, reason: "On-premises synced group" });
-      console.log(`[Offboarding] Skipping on-prem synced group: ${groupName}`);
       continue;
     }
     
     // Skip dynamic membership groups (membership is automatic based on rules)
     if (groupTypes.includes("DynamicMembership")) {
       skippedGroups.push({ name: groupName, reason: "Dynamic membership group" });
-      console.log(`[Offboarding] Skipping dynamic group: ${groupName}`);
       continue;
     }
     
@@ -148,28 +135,39 @@ async function removeUserFromAllGroups(accessToken: string, userIdentifier: stri
     // These require Exchange admin permissions and have special handling
     if (group.mailEnabled === true && group.securityEnabled === true) {
       skippedGroups.push({ name: groupName, reason: "Mail-enabled security group" });
-      console.log(`[Offboarding] Skipping mail-enabled security group: ${groupName}`);
       continue;
     }
     
     // Skip pure distribution lists (mail-enabled, not security-enabled)
     if (group.mailEnabled === true && group.securityEnabled === false) {
       skippedGroups.push({ name: groupName, reason: "Distribution list" });
-      console.log(`[Offboarding] Skipping distribution list: ${groupName}`);
       continue;
     }
     
     // This is a cloud-only, assigned membership security group - safe to remove
+    removable.push({ id: group.id, name: groupName });
+  }
+
+  return { userId, removable, skippedGroups };
+}
+
+async function removeUserFromAllGroups(accessToken: string, userIdentifier: string): Promise<GroupRemovalResult> {
+  const { userId, removable, skippedGroups } = await classifyUserGroups(accessToken, userIdentifier);
+  skippedGroups.forEach((group) => console.log(`[Offboarding] Skipping ${group.reason}: ${group.name}`));
+
+  const removedGroups: string[] = [];
+
+  for (const group of removable) {
     try {
       await fetchWithGraphToken(accessToken, `/groups/${group.id}/members/${userId}/$ref`, {
         method: "DELETE",
       });
-      removedGroups.push(groupName);
-      console.log(`[Offboarding] Removed from group: ${groupName}`);
+      removedGroups.push(group.name);
+      console.log(`[Offboarding] Removed from group: ${group.name}`);
     } catch (error) {
       // If removal fails, log it as skipped
-      skippedGroups.push({ name: groupName, reason: `Failed: ${(error as Error).message}` });
-      console.error(`[Offboarding] Failed to remove from group ${groupName}:`, error);
+      skippedGroups.push({ name: group.name, reason: `Failed: ${(error as Error).message}` });
+      console.error(`[Offboarding] Failed to remove from group ${group.name}:`, error);
     }
   }
 
@@ -181,56 +179,521 @@ async function removeUserFromAllGroups(accessToken: string, userIdentifier: stri
   };
 }
 
-async function performGraphActions(accessToken: string, record: any) {
-  const actions = [] as Array<ReturnType<typeof buildActionResult>>;
-  let hasFailures = false;
+interface UserSnapshot {
+  targetUserId: string;
+  accountEnabled: boolean;
+  manager?: { id: string; displayName?: string };
+  groups: Array<{ id: string; name: string }>;
+  licenses: Array<{ skuId: string; skuPartNumber?: string; disabledPlans: string[] }>;
+  appRoleAssignments: Array<{ appRoleId: string; resourceId: string; resourceDisplayName?: string }>;
+}
 
-  // Graph API accepts both object ID (GUID) and userPrincipalName (email)
-  // Fall back to userPrincipalName if userId is empty
-  const userIdentifier = record.userId || record.userPrincipalName || record.email;
-  
-  if (!userIdentifier) {
-    throw new Error("No user identifier available (userId, userPrincipalName, or email)");
+// Record what the offboarding is about to take away, so a reversed termination can be reinstated
+async function captureUserSnapshot(accessToken: string, userIdentifier: string): Promise<UserSnapshot> {
+  const { userId, removable } = await classifyUserGroups(accessToken, userIdentifier);
+  const user = await fetchWithGraphToken(
+    accessToken,
+    `/users/${userId}?$select=id,accountEnabled,assignedLicenses,licenseAssignmentStates`
+  );
+
+  let manager: UserSnapshot["manager"];
+  try {
+    const managerResponse = await fetchWithGraphToken(accessToken, `/users/${userId}/manager?$select=id,displayName`);
+    manager = { id: managerResponse.id, displayName: managerResponse.displayName || undefined };
+  } catch {
+    // Graph answers 404 when no manager is set
   }
 
-  console.log(`[Offboarding] Processing user: ${userIdentifier} (${record.displayName || record.userPrincipalName})`);
+  // Group-based licenses come back with the groups, so only direct assignments are kept
+  const licenseDetails = await fetchWithGraphToken(accessToken, `/users/${userId}/licenseDetails`);
+  const states: any[] | undefined = user.licenseAssignmentStates;
+  const isDirect = (skuId: string) => !states || states.some((state) => state.skuId === skuId && !state.assignedByGroup);
+  const licenses = (user.assignedLicenses || [])
+    .filter((license: any) => isDirect(license.skuId))
+    .map((license: any) => ({
+      skuId: license.skuId,
+      skuPartNumber: (licenseDetails.value || []).find((detail: any) => detail.skuId === license.skuId)?.skuPartNumber,
+      disabledPlans: license.disabledPlans || [],
+    }));
 
-  if (record.actions.disableAccount) {
-    try {
-      await fetchWithGraphToken(accessToken, `/users/${userIdentifier}`, {
+  const appRoleAssignments = (await fetchAllGraphPages(accessToken, `/users/${userId}/appRoleAssignments`)).map(
+    (assignment: any) => ({
+      appRoleId: assignment.appRoleId,
+      resourceId: assignment.resourceId,
+      resourceDisplayName: assignment.resourceDisplayName || undefined,
+    })
+  );
+
+  return {
+    targetUserId: userId,
+    accountEnabled: user.accountEnabled !== false,
+    manager,
+    groups: removable,
+    licenses,
+    appRoleAssignments,
+  };
+}
+
+// Graph rejects re-adding a membership or assignment that already exists
+function isAlreadyPresent(error: Error): boolean {
+  return /already exist/i.test(error.message);
+}
+
+interface ReinstateContext {
+  accessToken: string;
+  snapshot: UserSnapshot;
+}
+
+/**
+ * Reinstatement pipeline
+ * Restores what captureUserSnapshot recorded. Licenses go back before groups so
+ * direct assignments are in place before group-based licensing recalculates
+ */
+const REINSTATE_STEPS: PipelineStep<ReinstateContext>[] = [
+  {
+    id: "enableAccount",
+    enabled: ({ snapshot }) => snapshot.accountEnabled,
+    run: async ({ accessToken, snapshot }) => {
+      await fetchWithGraphToken(accessToken, `/users/${snapshot.targetUserId}`, {
         method: "PATCH",
-        body: JSON.stringify({ accountEnabled: false }),
+        body: JSON.stringify({ accountEnabled: true }),
       });
-      actions.push(buildActionResult("disableAccount", "success", "Account disabled"));
-    } catch (error) {
-      hasFailures = true;
-      actions.push(buildActionResult("disableAccount", "error", (error as Error).message));
-    }
+      return [buildActionResult("enableAccount", "success", "Account enabled")];
+    },
+  },
+  {
+    id: "restoreManager",
+    enabled: ({ snapshot }) => !!snapshot.manager,
+    run: async ({ accessToken, snapshot }) => {
+      await fetchWithGraphToken(accessToken, `/users/${snapshot.targetUserId}/manager/$ref`, {
+        method: "PUT",
+        body: JSON.stringify({ "@odata.id": `https://graph.microsoft.com/v1.0/users/${snapshot.manager!.id}` }),
+      });
+      return [buildActionResult("restoreManager", "success", `Manager set to ${snapshot.manager!.displayName || snapshot.manager!.id}`)];
+    },
+  },
+  {
+    id: "restoreLicenses",
+    enabled: ({ snapshot }) => snapshot.licenses.length > 0,
+    run: async ({ accessToken, snapshot }) => {
+      await fetchWithGraphToken(accessToken, `/users/${snapshot.targetUserId}/assignLicense`, {
+        method: "POST",
+        body: JSON.stringify({
+          addLicenses: snapshot.licenses.map(({ skuId, disabledPlans }) => ({ skuId, disabledPlans })),
+          removeLicenses: [],
+        }),
+      });
+      return [buildActionResult(
+        "restoreLicenses",
+        "success",
+        `Reassigned ${snapshot.licenses.length} license(s)`,
+        snapshot.licenses.map((license) => license.skuPartNumber || license.skuId).join(", ")
+      )];
+    },
+  },
+  {
+    id: "restoreGroups",
+    dependsOn: ["restoreLicenses"],
+    enabled: ({ snapshot }) => snapshot.groups.length > 0,
+    run: async ({ accessToken, snapshot }) => {
+      const failed: string[] = [];
+      for (const group of snapshot.groups) {
+        try {
+          await fetchWithGraphToken(accessToken, `/groups/${group.id}/members/$ref`, {
+            method: "POST",
+            body: JSON.stringify({ "@odata.id": `https://graph.microsoft.com/v1.0/directoryObjects/${snapshot.targetUserId}` }),
+          });
+        } catch (error) {
+          if (!isAlreadyPresent(error as Error)) {
+            failed.push(`${group.name} (${(error as Error).message})`);
+          }
+        }
+      }
+
+      const restored = snapshot.groups.length - failed.length;
+      return [buildActionResult(
+        "restoreGroups",
+        failed.length === 0 ? "success" : restored > 0 ? "warning" : "error",
+        `Restored ${restored}/${snapshot.groups.length} group membership(s)`,
+        failed.length > 0 ? `Failed: ${failed.join(", ")}` : undefined
+      )];
+    },
+  },
+  {
+    id: "restoreAppRoles",
+    enabled: ({ snapshot }) => snapshot.appRoleAssignments.length > 0,
+    run: async ({ accessToken, snapshot }) => {
+      const failed: string[] = [];
+      for (const assignment of snapshot.appRoleAssignments) {
+        try {
+          await fetchWithGraphToken(accessToken, `/users/${snapshot.targetUserId}/appRoleAssignments`, {
+            method: "POST",
+            body: JSON.stringify({
+              principalId: snapshot.targetUserId,
+              resourceId: assignment.resourceId,
+              appRoleId: assignment.appRoleId,
+            }),
+          });
+        } catch (error) {
+          if (!isAlreadyPresent(error as Error)) {
+            failed.push(`${assignment.resourceDisplayName || assignment.resourceId} (${(error as Error).message})`);
+          }
+        }
+      }
+
+      const restored = snapshot.appRoleAssignments.length - failed.length;
+      return [buildActionResult(
+        "restoreAppRoles",
+        failed.length === 0 ? "success" : restored > 0 ? "warning" : "error",
+        `Restored ${restored}/${snapshot.appRoleAssignments.length} app role assignment(s)`,
+        failed.length > 0 ? `Failed: ${failed.join(", ")}` : undefined
+      )];
+    },
+  },
+];
+
+interface OffboardingContext {
+  accessToken: string;
+  record: any;
+  userIdentifier: string;
+  mailboxTarget: MailboxTarget;
+  cloudFirst: MailboxProvider[];
+  exchangeFirst: MailboxProvider[];
+  driveManifests: Array<{ action: "transferFiles" | "backupData"; manifest: DriveManifest }>;
+  // Set when the account is synced from on-premises AD, where disable, password and group changes must be made
+  onPremises: OnPremIdentity | null;
+  activeDirectory: ActiveDirectoryBackend | null;
+}
+
+function requireActiveDirectory(activeDirectory: ActiveDirectoryBackend | null): ActiveDirectoryBackend {
+  if (!activeDirectory) {
+    throw new Error("Account is synced from on-premises AD; set AUTOMATION_API_KEY and AD_BACKEND_URL so the change can be made in AD");
   }
+  return activeDirectory;
+}
 
-  if (record.actions.revokeAccess) {
-    try {
+function leaverResult(action: string, result: LeaverResult, details?: string): ActionResult {
+  return buildActionResult(action, result.skipped ? "skipped" : "success", result.message, details);
+}
+
+// Devices with one of these states already have a retire or wipe in flight
+const PENDING_DEVICE_STATES = ["retirePending", "retireIssued", "wipePending", "wipeIssued", "deletePending"];
+
+function manifestStatus(manifest: DriveManifest): ActionStatus {
+  return manifest.status === "completed" ? "success" : manifest.status === "partial" ? "warning" : "error";
+}
+
+// Decide what happens to each device; shared by the plan and the run
+function splitDevices(record: any, devices: ManagedDevice[]) {
+  const retireRequested = !!(record.actions.retireDevices || record.actions.removeApps || record.actions.removeDevices);
+  const wipeRequested = !!record.actions.wipeDevices;
+  // The approver must be someone other than the admin who scheduled the wipe
+  const wipeApproved = wipeRequested && !!record.wipeApproval && record.wipeApproval.approvedBy !== record.createdBy;
+
+  const pending = devices.filter((device) => PENDING_DEVICE_STATES.includes(device.managementState || ""));
+  const remaining = devices.filter((device) => !pending.includes(device));
+  const corporate = remaining.filter(isCorporateDevice);
+  const wipeTargets = wipeApproved ? corporate : [];
+  // Until the wipe is approved, company-owned devices are not retired either, so the wipe can still reach them
+  const held = wipeRequested && !wipeApproved ? corporate : [];
+  const others = remaining.filter((device) => !wipeTargets.includes(device) && !held.includes(device));
+
+  return {
+    retireRequested,
+    wipeRequested,
+    wipeApproved,
+    pending,
+    wipeTargets,
+    held,
+    retireTargets: retireRequested ? others : [],
+    // Personal devices an approved wipe leaves alone when retire was not requested
+    notWiped: !retireRequested && wipeApproved ? others : [],
+  };
+}
+
+/**
+ * The offboarding pipeline
+ * Data and mailbox steps run before license removal, because removing the license
+ * starts deprovisioning the mailbox and OneDrive
+ */
+const OFFBOARDING_STEPS: PipelineStep<OffboardingContext>[] = [
+  {
+    id: "disableAccount",
+    enabled: ({ record }) => !!record.actions.disableAccount,
+    plan: async ({ accessToken, userIdentifier, onPremises }) => {
+      const user = await fetchWithGraphToken(accessToken, `/users/${userIdentifier}?$select=accountEnabled`);
+      return [{
+        description: onPremises ? "Disable account in on-premises AD" : "Disable account",
+        skipReason: user.accountEnabled === false ? "Account is already disabled" : undefined,
+      }];
+    },
+    run: async ({ accessToken, userIdentifier, onPremises, activeDirectory }) => {
+      if (onPremises) {
+        const result = await requireActiveDirectory(activeDirectory).disableUser(onPremises);
+        return [leaverResult("disableAccount", result, "Disabled in on-premises AD; the change reaches Entra ID on the next sync")];
+      }
+
+      await fetchWithGraphToken(accessToken, `/users/${userIdentifier}`, {
+        method: "PATCH",
+        body: JSON.stringify({ accountEnabled: false }),
+      });
+      return [buildActionResult("disableAccount", "success", "Account disabled")];
+    },
+  },
+  {
+    id: "moveToDisabledOU",
+    dependsOn: ["disableAccount"],
+    enabled: ({ record, onPremises }) => !!record.actions.disableAccount && !!onPremises,
+    plan: async () => [{ description: "Move to the Disabled Users OU in on-premises AD" }],
+    run: async ({ onPremises, activeDirectory }) => {
+      const result = await requireActiveDirectory(activeDirectory).moveToDisabledOU(onPremises!);
+      return [leaverResult("moveToDisabledOU", result)];
+    },
+  },
+  {
+    id: "setLeaverInfo",
+    dependsOn: ["disableAccount"],
+    enabled: ({ record, onPremises }) => !!record.actions.disableAccount && !!onPremises,
+    plan: async () => [{ description: "Set leaver description and account expiry in on-premises AD" }],
+    run: async ({ onPremises, activeDirectory }) => {
+      const today = new Date().toISOString().split("T")[0];
+      const result = await requireActiveDirectory(activeDirectory).setLeaverInfo(
+        onPremises!,
+        `Leaver - offboarded ${today}`,
+        today
+      );
+      return [leaverResult("setLeaverInfo", result)];
+    },
+  },
+  {
+    id: "revokeAccess",
+    // Revoke after disabling so the user cannot sign straight back in
+    dependsOn: ["disableAccount"],
+    enabled: ({ record }) => !!record.actions.revokeAccess,
+    plan: async () => [{ description: "Revoke sign-in sessions" }],
+    run: async ({ accessToken, userIdentifier }) => {
       // revokeSignInSessions is a POST action that doesn't require a body
       await fetchWithGraphToken(accessToken, `/users/${userIdentifier}/revokeSignInSessions`, {
         method: "POST",
       });
-      actions.push(buildActionResult("revokeAccess", "success", "User sessions revoked"));
-    } catch (error) {
-      hasFailures = true;
-      actions.push(buildActionResult("revokeAccess", "error", (error as Error).message));
-    }
-  }
+      return [buildActionResult("revokeAccess", "success", "User sessions revoked")];
+    },
+  },
+  {
+    id: "resetPassword",
+    enabled: ({ record }) => !!record.actions.resetPassword,
+    plan: async ({ onPremises }) => [{
+      description: onPremises ? "Reset on-premises AD password to a random value" : "Reset password to a random value",
+    }],
+    run: async ({ accessToken, userIdentifier, onPremises, activeDirectory }) => {
+      if (onPremises) {
+        const result = await requireActiveDirectory(activeDirectory).resetPassword(onPremises);
+        return [leaverResult("resetPassword", result)];
+      }
 
-  if (record.actions.removeFromGroups) {
-    try {
+      // Generate a random secure password
+      const newPassword = generateSecurePassword();
+      await fetchWithGraphToken(accessToken, `/users/${userIdentifier}`, {
+        method: "PATCH",
+        body: JSON.stringify({
+          passwordProfile: {
+            password: newPassword,
+            forceChangePasswordNextSignIn: false,
+          },
+        }),
+      });
+      return [buildActionResult("resetPassword", "success", "Password reset successfully")];
+    },
+  },
+  {
+    id: "removeAuthMethods",
+    enabled: ({ record }) => !!record.actions.removeAuthMethods,
+    plan: async ({ accessToken, userIdentifier }) => {
+      const authMethods = await fetchWithGraphToken(accessToken, `/users/${userIdentifier}/authentication/methods`);
+      return (authMethods.value || []).map((method: any) => {
+        const methodType = method["@odata.type"]?.replace("#microsoft.graph.", "").replace("AuthenticationMethod", "");
+        return {
+          description: "Remove authentication method",
+          target: methodType,
+          skipReason: methodType === "password" ? "Password method cannot be removed" : undefined,
+        };
+      });
+    },
+    run: async ({ accessToken, userIdentifier }) => {
+      // List authentication methods
+      const authMethods = await fetchWithGraphToken(accessToken, `/users/${userIdentifier}/authentication/methods`);
+      const methods = authMethods.value || [];
+
+      let removedCount = 0;
+      for (const method of methods) {
+        // Skip password method - can't delete that
+        if (method["@odata.type"] === "#microsoft.graph.passwordAuthenticationMethod") continue;
+
+        try {
+          const methodType = method["@odata.type"]?.replace("#microsoft.graph.", "").replace("AuthenticationMethod", "");
+          const endpoint = `/users/${userIdentifier}/authentication/${methodType}Methods/${method.id}`;
+          await fetchWithGraphToken(accessToken, endpoint, { method: "DELETE" });
+          removedCount++;
+        } catch {
+          // Continue on individual failures
+        }
+      }
+
+      if (removedCount > 0) {
+        return [buildActionResult("removeAuthMethods", "success", `Removed ${removedCount} authentication method(s)`)];
+      }
+      return [buildActionResult("removeAuthMethods", "skipped", "No removable authentication methods")];
+    },
+  },
+  // Mailbox options
+  // Graph handles Exchange Online mailboxes; the hybrid Exchange backend (when configured)
+  // picks up on-premises mailboxes and shared mailbox conversion, which Graph cannot do
+  {
+    id: "setAutoReply",
+    enabled: ({ record }) => !!(record.actions.setAutoReply && record.actions.autoReplyMessage),
+    plan: async () => [{ description: "Set automatic reply" }],
+    run: async ({ record, mailboxTarget, cloudFirst }) => {
+      const result = await runMailboxOperation(cloudFirst, (provider) =>
+        provider.setAutoReply(mailboxTarget, record.actions.autoReplyMessage)
+      );
+      return [buildActionResult("setAutoReply", "success", result.message, `Provider: ${result.provider}`)];
+    },
+  },
+  {
+    id: "setEmailForwarding",
+    enabled: ({ record }) => !!(record.actions.setEmailForwarding && record.actions.forwardingAddress),
+    plan: async ({ record }) => [{ description: "Forward mail", target: record.actions.forwardingAddress }],
+    run: async ({ record, mailboxTarget, cloudFirst }) => {
+      const result = await runMailboxOperation(cloudFirst, (provider) =>
+        provider.setForwarding(mailboxTarget, record.actions.forwardingAddress)
+      );
+      return [buildActionResult("setEmailForwarding", "success", result.message, `Provider: ${result.provider}`)];
+    },
+  },
+  {
+    id: "convertToSharedMailbox",
+    // Convert last so auto-reply and forwarding are applied while it is still a user mailbox
+    dependsOn: ["setAutoReply", "setEmailForwarding"],
+    enabled: ({ record }) => !!record.actions.convertToSharedMailbox,
+    plan: async () => [{ description: "Convert to shared mailbox" }],
+    run: async ({ mailboxTarget, exchangeFirst }) => {
+      const result = await runMailboxOperation(exchangeFirst, (provider) =>
+        provider.convertToShared(mailboxTarget)
+      );
+      return [buildActionResult("convertToSharedMailbox", "success", result.message, `Provider: ${result.provider}`)];
+    },
+  },
+  {
+    id: "backupData",
+    enabled: ({ record }) => !!record.actions.backupData,
+    plan: async () => {
+      const archiveUser = process.env.OFFBOARDING_ARCHIVE_USER;
+      return archiveUser
+        ? [{ description: "Back up OneDrive", target: archiveUser }]
+        : [{ description: "Record OneDrive inventory", skipReason: "No archive account configured" }];
+    },
+    run: async ({ accessToken, userIdentifier, mailboxTarget, driveManifests }) => {
+      const archiveUser = process.env.OFFBOARDING_ARCHIVE_USER;
+      const manifest = await backupDrive(accessToken, userIdentifier, mailboxTarget.userPrincipalName, archiveUser);
+      driveManifests.push({ action: "backupData", manifest });
+
+      const summary = `${manifest.totalFiles} file(s), ${formatBytes(manifest.totalBytes)}`;
+      if (manifest.mode === "inventory") {
+        return [buildActionResult("backupData", "warning", `Recorded inventory of ${summary}; no archive account configured`, "Set OFFBOARDING_ARCHIVE_USER to copy the drive")];
+      }
+      return [buildActionResult(
+        "backupData",
+        manifestStatus(manifest),
+        `Backed up ${summary} to ${archiveUser}`,
+        `${manifest.destinationPath} | Verified ${manifest.verifiedFiles}/${manifest.totalFiles} file(s), ${manifest.failedItems} item(s) failed`
+      )];
+    },
+  },
+  {
+    id: "transferFiles",
+    // Backup runs before the transfer so the archive copy reflects the untouched drive
+    dependsOn: ["backupData"],
+    enabled: ({ record }) => !!(record.actions.transferFiles && record.actions.newFileOwner),
+    plan: async ({ record }) => [{
+      description: record.actions.fileTransferMode === "copy" ? "Copy OneDrive to a handover folder" : "Share OneDrive",
+      target: record.actions.newFileOwner,
+    }],
+    run: async ({ accessToken, record, userIdentifier, mailboxTarget, driveManifests }) => {
+      const newOwner = record.actions.newFileOwner;
+      const manifest = record.actions.fileTransferMode === "copy"
+        ? await copyDriveToFolder(accessToken, userIdentifier, newOwner, `Handover - ${record.displayName || mailboxTarget.userPrincipalName}`)
+        : await grantDriveAccess(accessToken, userIdentifier, newOwner);
+      driveManifests.push({ action: "transferFiles", manifest });
+
+      const verb = manifest.mode === "copy" ? "Copied" : "Shared";
+      const detailParts = [`${manifest.transferredItems}/${manifest.totalItems} item(s) transferred`];
+      if (manifest.mode === "copy") {
+        detailParts.push(`${manifest.destinationPath}`, `Verified ${manifest.verifiedFiles}/${manifest.totalFiles} file(s)`);
+      }
+      if (manifest.failedItems > 0) {
+        detailParts.push(`${manifest.failedItems} item(s) failed`);
+      }
+
+      return [buildActionResult(
+        "transferFiles",
+        manifestStatus(manifest),
+        `${verb} ${manifest.totalFiles} file(s) (${formatBytes(manifest.totalBytes)}) with ${newOwner}`,
+        detailParts.join(" | ")
+      )];
+    },
+  },
+  {
+    id: "revokeLicenses",
+    dependsOn: ["setAutoReply", "setEmailForwarding", "convertToSharedMailbox", "backupData", "transferFiles"],
+    enabled: ({ record }) => !!record.actions.revokeLicenses,
+    plan: async ({ accessToken, userIdentifier }) => {
+      const licenseResponse = await fetchWithGraphToken(accessToken, `/users/${userIdentifier}/licenseDetails`);
+      return (licenseResponse.value || []).map((license: any) => ({
+        description: "Remove license",
+        target: license.skuPartNumber || license.skuId,
+      }));
+    },
+    run: async ({ accessToken, userIdentifier }) => {
+      // Get user's current licenses
+      const licenseResponse = await fetchWithGraphToken(accessToken, `/users/${userIdentifier}/licenseDetails`);
+      const licenses = licenseResponse.value || [];
+
+      if (licenses.length === 0) {
+        return [buildActionResult("revokeLicenses", "skipped", "No licenses to revoke")];
+      }
+
+      const licenseSkuIds = licenses.map((lic: { skuId: string }) => lic.skuId);
+      await fetchWithGraphToken(accessToken, `/users/${userIdentifier}/assignLicense`, {
+        method: "POST",
+        body: JSON.stringify({
+          addLicenses: [],
+          removeLicenses: licenseSkuIds,
+        }),
+      });
+      return [buildActionResult("revokeLicenses", "success", `Revoked ${licenses.length} license(s)`)];
+    },
+  },
+  {
+    id: "removeFromGroups",
+    // Group-based licensing means leaving groups can remove licenses too
+    dependsOn: ["setAutoReply", "setEmailForwarding", "convertToSharedMailbox", "backupData", "transferFiles"],
+    enabled: ({ record }) => !!record.actions.removeFromGroups,
+    plan: async ({ accessToken, userIdentifier }) => {
+      const { removable, skippedGroups } = await classifyUserGroups(accessToken, userIdentifier);
+      return [
+        ...removable.map((group) => ({ description: "Leave group", target: group.name })),
+        ...skippedGroups.map((group) => ({ description: "Leave group", target: group.name, skipReason: group.reason })),
+      ];
+    },
+    run: async ({ accessToken, userIdentifier }) => {
       const result = await removeUserFromAllGroups(accessToken, userIdentifier);
-      
+
       // Build detailed message
       let message = `Removed from ${result.removedCount} group(s)`;
       if (result.skippedCount > 0) {
         message += `, skipped ${result.skippedCount}`;
       }
-      
+
       // Build details string with group names
       const detailParts: string[] = [];
       if (result.removedGroups.length > 0) {
@@ -242,173 +705,261 @@ async function performGraphActions(accessToken: string, record: any) {
           .join(", ");
         detailParts.push(`Skipped: ${skippedDetails}`);
       }
-      
+
       const details = detailParts.join(" | ");
-      
+
       // Mark as warning if some groups were skipped, success if all removed
       const status = result.skippedCount > 0 && result.removedCount > 0 ? "warning" : "success";
-      actions.push(buildActionResult("removeFromGroups", status, message, details || undefined));
-    } catch (error) {
-      hasFailures = true;
-      actions.push(buildActionResult("removeFromGroups", "error", (error as Error).message));
-    }
-  }
-
-  // Reset password
-  if (record.actions.resetPassword) {
-    try {
-      // Generate a random secure password
-      const newPassword = generateSecurePassword();
-      await fetchWithGraphToken(accessToken, `/users/${userIdentifier}`, {
-        method: "PATCH",
-        body: JSON.stringify({
-          passwordProfile: {
-            password: newPassword,
-            forceChangePasswordNextSignIn: false,
-          },
-        }),
-      });
-      actions.push(buildActionResult("resetPassword", "success", "Password reset successfully"));
-    } catch (error) {
-      hasFailures = true;
-      actions.push(buildActionResult("resetPassword", "error", (error as Error).message));
-    }
-  }
-
-  // Revoke licenses
-  if (record.actions.revokeLicenses) {
-    try {
-      // Get user's current licenses
-      const licenseResponse = await fetchWithGraphToken(accessToken, `/users/${userIdentifier}/licenseDetails`);
-      const licenses = licenseResponse.value || [];
-      
-      if (licenses.length > 0) {
-        const licenseSkuIds = licenses.map((lic: { skuId: string }) => lic.skuId);
-        await fetchWithGraphToken(accessToken, `/users/${userIdentifier}/assignLicense`, {
-          method: "POST",
-          body: JSON.stringify({
-            addLicenses: [],
-            removeLicenses: licenseSkuIds,
-          }),
-        });
-        actions.push(buildActionResult("revokeLicenses", "success", `Revoked ${licenses.length} license(s)`));
-      } else {
-        actions.push(buildActionResult("revokeLicenses", "skipped", "No licenses to revoke"));
+      return [buildActionResult("removeFromGroups", status, message, details || undefined)];
+    },
+  },
+  {
+    // Synced groups are skipped by removeFromGroups; their memberships are stripped in AD instead
+    id: "removeOnPremGroups",
+    dependsOn: ["setAutoReply", "setEmailForwarding", "convertToSharedMailbox", "backupData", "transferFiles"],
+    enabled: ({ record, onPremises }) => !!record.actions.removeFromGroups && !!onPremises,
+    plan: async () => [{ description: "Remove from on-premises AD groups (primary group is kept)" }],
+    run: async ({ onPremises, activeDirectory }) => {
+      const result = await requireActiveDirectory(activeDirectory).removeGroups(onPremises!);
+      const detailParts: string[] = [];
+      if (result.removed?.length) {
+        detailParts.push(`Removed: ${result.removed.join(", ")}`);
       }
-    } catch (error) {
-      hasFailures = true;
-      actions.push(buildActionResult("revokeLicenses", "error", (error as Error).message));
-    }
-  }
-
-  // Remove from Teams (handled via groups for now)
-  if (record.actions.removeFromTeams) {
-    actions.push(buildActionResult("removeFromTeams", "skipped", "Teams removal handled via group removal"));
-  }
-
-  // Remove from Apps
-  if (record.actions.removeFromApps) {
-    try {
+      if (result.kept?.length) {
+        detailParts.push(`Kept: ${result.kept.join(", ")}`);
+      }
+      return [leaverResult("removeOnPremGroups", result, detailParts.join(" | ") || undefined)];
+    },
+  },
+  {
+    // Remove from Teams (handled via groups for now)
+    id: "removeFromTeams",
+    enabled: ({ record }) => !!record.actions.removeFromTeams,
+    plan: async () => [{ description: "Leave Teams", skipReason: "Handled via group removal" }],
+    run: async () => [buildActionResult("removeFromTeams", "skipped", "Teams removal handled via group removal")],
+  },
+  {
+    id: "removeFromApps",
+    enabled: ({ record }) => !!record.actions.removeFromApps,
+    plan: async ({ accessToken, userIdentifier }) => {
+      const appResponse = await fetchWithGraphToken(accessToken, `/users/${userIdentifier}/appRoleAssignments`);
+      return (appResponse.value || []).map((assignment: any) => ({
+        description: "Remove app role assignment",
+        target: assignment.resourceDisplayName || assignment.resourceId,
+      }));
+    },
+    run: async ({ accessToken, userIdentifier }) => {
       // Get user's app role assignments
       const appResponse = await fetchWithGraphToken(accessToken, `/users/${userIdentifier}/appRoleAssignments`);
       const assignments = appResponse.value || [];
-      
-      if (assignments.length > 0) {
-        let removedCount = 0;
-        for (const assignment of assignments) {
-          try {
-            await fetchWithGraphToken(accessToken, `/users/${userIdentifier}/appRoleAssignments/${assignment.id}`, {
-              method: "DELETE",
-            });
-            removedCount++;
-          } catch {
-            // Continue on individual failures
-          }
-        }
-        actions.push(buildActionResult("removeFromApps", "success", `Removed ${removedCount} app assignment(s)`));
-      } else {
-        actions.push(buildActionResult("removeFromApps", "skipped", "No app assignments to remove"));
+
+      if (assignments.length === 0) {
+        return [buildActionResult("removeFromApps", "skipped", "No app assignments to remove")];
       }
-    } catch (error) {
-      hasFailures = true;
-      actions.push(buildActionResult("removeFromApps", "error", (error as Error).message));
-    }
-  }
 
-  // Remove authentication methods
-  if (record.actions.removeAuthMethods) {
-    try {
-      // List authentication methods
-      const authMethods = await fetchWithGraphToken(accessToken, `/users/${userIdentifier}/authentication/methods`);
-      const methods = authMethods.value || [];
-      
       let removedCount = 0;
-      for (const method of methods) {
-        // Skip password method - can't delete that
-        if (method["@odata.type"] === "#microsoft.graph.passwordAuthenticationMethod") continue;
-        
+      for (const assignment of assignments) {
         try {
-          const methodType = method["@odata.type"]?.replace("#microsoft.graph.", "").replace("AuthenticationMethod", "");
-          const endpoint = `/users/${userIdentifier}/authentication/${methodType}Methods/${method.id}`;
-          await fetchWithGraphToken(accessToken, endpoint, { method: "DELETE" });
+          await fetchWithGraphToken(accessToken, `/users/${userIdentifier}/appRoleAssignments/${assignment.id}`, {
+            method: "DELETE",
+          });
           removedCount++;
         } catch {
           // Continue on individual failures
         }
       }
-      
-      if (removedCount > 0) {
-        actions.push(buildActionResult("removeAuthMethods", "success", `Removed ${removedCount} authentication method(s)`));
-      } else {
-        actions.push(buildActionResult("removeAuthMethods", "skipped", "No removable authentication methods"));
+      return [buildActionResult("removeFromApps", "success", `Removed ${removedCount} app assignment(s)`)];
+    },
+  },
+  {
+    // Device management
+    // removeDevices is the legacy template flag; like removeApps it is carried out by retiring the device
+    id: "manageDevices",
+    enabled: ({ record }) => !!(record.actions.retireDevices || record.actions.removeApps || record.actions.removeDevices || record.actions.wipeDevices),
+    // An unapproved wipe keeps the step open, so the run after approval sends it
+    pending: ({ record }) => {
+      const { wipeRequested, wipeApproved } = splitDevices(record, []);
+      return wipeRequested && !wipeApproved;
+    },
+    plan: async ({ accessToken, record, userIdentifier }) => {
+      const devices = await listUserManagedDevices(accessToken, userIdentifier);
+      if (devices.length === 0) {
+        return [{ description: "Retire or wipe devices", skipReason: "No managed devices enrolled" }];
       }
-    } catch (error) {
-      hasFailures = true;
-      actions.push(buildActionResult("removeAuthMethods", "error", (error as Error).message));
-    }
-  }
 
-  // Mailbox options
-  if (record.actions.convertToSharedMailbox) {
-    actions.push(buildActionResult("convertToSharedMailbox", "warning", "Shared mailbox conversion requires Exchange PowerShell"));
-  }
+      const split = splitDevices(record, devices);
+      return [
+        ...split.pending.map((device) => ({
+          description: "Leave device",
+          target: device.deviceName,
+          skipReason: `Already has a ${device.managementState} action`,
+        })),
+        ...split.wipeTargets.map((device) => ({ description: "Wipe device", target: device.deviceName })),
+        ...split.held.map((device) => ({
+          description: "Wipe device",
+          target: device.deviceName,
+          skipReason: "Waiting for a second administrator to approve",
+        })),
+        ...split.retireTargets.map((device) => ({ description: "Retire device", target: device.deviceName })),
+        ...split.notWiped.map((device) => ({
+          description: "Wipe device",
+          target: device.deviceName,
+          skipReason: "Not company-owned",
+        })),
+        ...(split.wipeRequested && !split.wipeApproved && split.held.length === 0
+          ? [{ description: "Wipe devices", skipReason: "Waiting for a second administrator to approve" }]
+          : []),
+      ];
+    },
+    run: async ({ accessToken, record, userIdentifier }) => {
+      const results: ActionResult[] = [];
 
-  if (record.actions.setEmailForwarding && record.actions.forwardingAddress) {
-    actions.push(buildActionResult("setEmailForwarding", "warning", `Email forwarding to ${record.actions.forwardingAddress} requires Exchange PowerShell`));
-  }
+      let devices: ManagedDevice[];
+      try {
+        devices = await listUserManagedDevices(accessToken, userIdentifier);
+      } catch (error) {
+        return [buildActionResult(record.actions.wipeDevices ? "wipeDevices" : "retireDevices", "error", `Could not list managed devices: ${(error as Error).message}`)];
+      }
 
-  if (record.actions.setAutoReply && record.actions.autoReplyMessage) {
-    actions.push(buildActionResult("setAutoReply", "warning", "Auto-reply setup requires Exchange PowerShell"));
-  }
+      const { retireRequested, wipeRequested, wipeApproved, pending, wipeTargets, held, retireTargets, notWiped } = splitDevices(record, devices);
 
-  // Data management
-  if (record.actions.backupData) {
-    actions.push(buildActionResult("backupData", "skipped", "Data export requires manual review"));
-  }
+      if (devices.length === 0) {
+        if (wipeRequested) {
+          results.push(buildActionResult("wipeDevices", "skipped", "No managed devices enrolled"));
+        }
+        if (retireRequested) {
+          results.push(buildActionResult("retireDevices", "skipped", "No managed devices enrolled"));
+        }
+        return results;
+      }
 
-  if (record.actions.transferFiles && record.actions.newFileOwner) {
-    actions.push(buildActionResult("transferFiles", "warning", `File transfer to ${record.actions.newFileOwner} requires manual OneDrive admin action`));
-  }
+      if (wipeRequested && !wipeApproved) {
+        results.push(buildActionResult(
+          "wipeDevices",
+          "warning",
+          "Wipe not sent: waiting for a second administrator to approve",
+          held.length > 0 ? `Held for the wipe: ${held.map((device) => device.deviceName).join(", ")}` : undefined
+        ));
+      }
 
-  // Device management
-  if (record.actions.retireDevices) {
-    actions.push(buildActionResult("retireDevices", "skipped", "Device retirement handled by Intune automation"));
-  }
+      for (const device of pending) {
+        results.push(buildActionResult(
+          wipeRequested ? "wipeDevices" : "retireDevices",
+          "skipped",
+          `${device.deviceName} already has a ${device.managementState} action`,
+          describeDevice(device)
+        ));
+      }
 
-  if (record.actions.wipeDevices) {
-    actions.push(buildActionResult("wipeDevices", "skipped", "Device wipe requires explicit Intune admin action"));
-  }
+      for (const device of wipeTargets) {
+        try {
+          await wipeManagedDevice(accessToken, device.id);
+          results.push(buildActionResult("wipeDevices", "success", `Wipe sent to ${device.deviceName}`, describeDevice(device)));
+        } catch (error) {
+          results.push(buildActionResult("wipeDevices", "error", `${device.deviceName}: ${(error as Error).message}`, describeDevice(device)));
+        }
+      }
+
+      for (const device of notWiped) {
+        results.push(buildActionResult("wipeDevices", "skipped", `${device.deviceName} is not company-owned and was not wiped`, describeDevice(device)));
+      }
 
-  if (record.actions.removeApps) {
-    actions.push(buildActionResult("removeApps", "skipped", "App removal handled by Intune automation"));
+      for (const device of retireTargets) {
+        try {
+          await retireManagedDevice(accessToken, device.id);
+          results.push(buildActionResult("retireDevices", "success", `Retired ${device.deviceName}`, describeDevice(device)));
+        } catch (error) {
+          results.push(buildActionResult("retireDevices", "error", `${device.deviceName}: ${(error as Error).message}`, describeDevice(device)));
+        }
+      }
+
+      return results;
+    },
+  },
+];
+
+async function buildOffboardingContext(accessToken: string, record: any): Promise<OffboardingContext> {
+  // Graph API accepts both object ID (GUID) and userPrincipalName (email)
+  // Fall back to userPrincipalName if userId is empty
+  const userIdentifier = record.userId || record.userPrincipalName || record.email;
+  
+  if (!userIdentifier) {
+    throw new Error("No user identifier available (userId, userPrincipalName, or email)");
   }
 
+  const graphMailbox = createGraphMailboxProvider(accessToken);
+  const exchangeMailbox = createExchangeBackendProvider(record.tenantId);
+  return {
+    accessToken,
+    record,
+    userIdentifier,
+    mailboxTarget: {
+      userId: userIdentifier,
+      userPrincipalName: record.userPrincipalName || record.email || userIdentifier,
+    },
+    cloudFirst: exchangeMailbox ? [graphMailbox, exchangeMailbox] : [graphMailbox],
+    exchangeFirst: exchangeMailbox ? [exchangeMailbox, graphMailbox] : [graphMailbox],
+    driveManifests: [],
+    onPremises: await getOnPremIdentity(accessToken, userIdentifier),
+    activeDirectory: createActiveDirectoryBackend(record.tenantId),
+  };
+}
+
+async function performGraphActions(accessToken: string, record: any, options: PipelineOptions & { plannedSteps?: PlanStep[] }) {
+  const context = await buildOffboardingContext(accessToken, record);
+  console.log(`[Offboarding] Processing user: ${context.userIdentifier} (${record.displayName || record.userPrincipalName})`);
+
+  const pipeline = await runPipeline(OFFBOARDING_STEPS, context, options);
+  const { results, failedSteps, pendingSteps } = pipeline;
+
   return {
-    actions,
-    hasFailures,
+    actions: results,
+    hasFailures: failedSteps.length > 0,
+    awaitingApproval: pendingSteps.length > 0,
+    driveManifests: context.driveManifests,
+    planDiff: options.plannedSteps ? diffPlans(options.plannedSteps, pipeline) : undefined,
   };
 }
 
+/**
+ * Capture the user's pre-offboarding state on the first run of a record
+ * A failed capture does not stop the offboarding; it only means reinstatement is unavailable
+ */
+async function ensureSnapshot(ctx: any, schedule: any, accessToken: string): Promise<ActionResult | null> {
+  const existing = await ctx.runQuery(internal.offboardingQueries.getOffboardingSnapshot, {
+    offboardingId: schedule._id,
+  });
+  if (existing) {
+    return null;
+  }
+
+  try {
+    const userIdentifier = schedule.userId || schedule.userPrincipalName || schedule.email;
+    const snapshot = await captureUserSnapshot(accessToken, userIdentifier);
+    await ctx.runMutation(internal.offboardingMutations.recordOffboardingSnapshot, {
+      ...snapshot,
+      tenantId: schedule.tenantId,
+      offboardingId: schedule._id,
+    });
+    return null;
+  } catch (error) {
+    console.error("[Offboarding] Failed to capture pre-offboarding snapshot:", error);
+    return buildActionResult(
+      "snapshotState",
+      "warning",
+      `Could not record pre-offboarding state: ${(error as Error).message}`,
+      "Reinstatement will not be available for this offboarding"
+    );
+  }
+}
+
+/**
+ * Load the completed steps recorded by earlier runs of a scheduled offboarding
+ */
+async function loadCompletedSteps(ctx: any, offboardingId: any): Promise<Set<string>> {
+  return completedStepsOf(await ctx.runQuery(internal.offboardingQueries.getOffboardingCheckpoints, { offboardingId }));
+}
+
 // Generate a secure random password
 function generateSecurePassword(): string {
   const length = 16;
@@ -443,28 +994,56 @@ export const executeScheduledOffboarding = internalAction({
     const startTime = Date.now();
     
     // Update status to in-progress via mutation
-    await ctx.runMutation(internal.offboardingMutations.updateOffboardingStatus, {
+    const claimed = await ctx.runMutation(internal.offboardingMutations.claimScheduledOffboarding, {
       offboardingId: args.offboardingId,
-      status: "in-progress",
       executedAt: startTime,
       executedBy: SYSTEM_EXECUTOR,
     });
+    if (!claimed) {
+      return { status: "in-progress" };
+    }
 
-    const actionsAttempted: Array<ReturnType<typeof buildActionResult>> = [];
+    const actionsAttempted: ActionResult[] = [];
 
     try {
       const credentials = await loadCredentials(ctx, schedule);
       const accessToken = await getAccessTokenFromCredentials(credentials);
-      const { actions, hasFailures } = await performGraphActions(accessToken, schedule);
+
+      // Resume after the steps an earlier run already completed
+      const completedSteps = await loadCompletedSteps(ctx, args.offboardingId);
+      const plan = schedule.planId
+        ? await ctx.runQuery(internal.offboardingQueries.getOffboardingPlan, { planId: schedule.planId })
+        : null;
+
+      const snapshotResult = await ensureSnapshot(ctx, schedule, accessToken);
+      if (snapshotResult) {
+        actionsAttempted.push(snapshotResult);
+      }
+
+      const { actions, hasFailures, awaitingApproval, driveManifests, planDiff } = await performGraphActions(accessToken, schedule, {
+        completedSteps,
+        plannedSteps: plan?.steps,
+        onCheckpoint: async (step, status, results) => {
+          await ctx.runMutation(internal.offboardingMutations.recordOffboardingCheckpoint, {
+            tenantId: schedule.tenantId,
+            offboardingId: args.offboardingId,
+            step,
+            status,
+            message: results.map((result) => result.message).join("; "),
+          });
+        },
+      });
       actionsAttempted.push(...actions);
+      await saveDriveManifests(ctx, schedule, args.offboardingId, driveManifests);
 
       const endTime = Date.now();
-      const finalStatus = hasFailures ? "failed" : "completed";
+      // A wipe still waiting for approval leaves the record open; approveWipe queues the run that sends it
+      const finalStatus = hasFailures ? "failed" : awaitingApproval ? "awaiting-approval" : "completed";
 
       // Update final status via mutation
       await ctx.runMutation(internal.offboardingMutations.updateOffboardingStatus, {
         offboardingId: args.offboardingId,
-        status: finalStatus as "completed" | "failed",
+        status: finalStatus,
         error: hasFailures ? "One or more actions failed" : undefined,
       });
 
@@ -480,13 +1059,15 @@ export const executeScheduledOffboarding = internalAction({
         executionType: "scheduled" as const,
         startTime,
         endTime,
-        status: (hasFailures ? "failed" : "completed") as "completed" | "failed",
+        status: finalStatus,
         totalActions: actionsAttempted.length,
         successfulActions: actionsAttempted.filter((a) => a.status === "success").length,
         failedActions: actionsAttempted.filter((a) => a.status === "error").length,
         skippedActions: actionsAttempted.filter((a) => a.status === "skipped").length,
         actions: actionsAttempted,
         error: hasFailures ? "One or more Graph operations failed" : undefined,
+        planId: plan?._id,
+        planDiff,
       });
 
       return { status: finalStatus };
@@ -525,6 +1106,124 @@ export const executeScheduledOffboarding = internalAction({
   },
 });
 
+/**
+ * Dry-run a scheduled offboarding and attach the plan to the record
+ * Reads from Graph with the same credentials the scheduled run will use; nothing is changed
+ */
+export const previewScheduledOffboarding = action({
+  args: {
+    sessionId: v.string(),
+    offboardingId: v.id("scheduled_offboarding"),
+  },
+  handler: async (ctx, args): Promise<PlanStep[]> => {
+    // Checks the session and that the record belongs to the caller's tenant
+    const schedule = await ctx.runQuery(api.offboarding.get, {
+      sessionId: args.sessionId,
+      offboardingId: args.offboardingId,
+    });
+
+    const credentials = await loadCredentials(ctx, schedule);
+    const accessToken = await getAccessTokenFromCredentials(credentials);
+    const completedSteps = await loadCompletedSteps(ctx, args.offboardingId);
+
+    const steps = await planPipeline(OFFBOARDING_STEPS, await buildOffboardingContext(accessToken, schedule), { completedSteps });
+
+    await ctx.runMutation(api.offboarding.attachPlan, {
+      sessionId: args.sessionId,
+      offboardingId: args.offboardingId,
+      steps,
+    });
+
+    return steps;
+  },
+});
+
+/**
+ * Capture the pre-offboarding state for a scheduled record run from the browser
+ * Does nothing if a snapshot already exists
+ */
+export const snapshotScheduledOffboarding = action({
+  args: {
+    sessionId: v.string(),
+    offboardingId: v.id("scheduled_offboarding"),
+  },
+  handler: async (ctx, args): Promise<ActionResult | null> => {
+    // Checks the session and that the record belongs to the caller's tenant
+    const schedule = await ctx.runQuery(api.offboarding.get, {
+      sessionId: args.sessionId,
+      offboardingId: args.offboardingId,
+    });
+
+    const credentials = await loadCredentials(ctx, schedule);
+    const accessToken = await getAccessTokenFromCredentials(credentials);
+    return await ensureSnapshot(ctx, schedule, accessToken);
+  },
+});
+
+/**
+ * Undo a finished offboarding: restore the account state, manager, direct licenses,
+ * group memberships and app role assignments captured before it ran
+ * Password, authentication methods, mailbox changes and devices cannot be restored
+ */
+export const reinstateOffboarding = action({
+  args: {
+    sessionId: v.string(),
+    offboardingId: v.id("scheduled_offboarding"),
+  },
+  handler: async (ctx, args): Promise<{ status: "completed" | "failed" }> => {
+    const { record, snapshot, executedBy } = await ctx.runMutation(api.offboarding.beginReinstatement, {
+      sessionId: args.sessionId,
+      offboardingId: args.offboardingId,
+    });
+
+    const startTime = Date.now();
+    let actions: ActionResult[] = [];
+    let error: string | undefined;
+
+    try {
+      const credentials = await loadCredentials(ctx, record);
+      const accessToken = await getAccessTokenFromCredentials(credentials);
+      const { results, failedSteps } = await runPipeline(REINSTATE_STEPS, { accessToken, snapshot });
+      actions = [
+        ...results,
+        buildActionResult(
+          "notRestored",
+          "skipped",
+          "Password, authentication methods, mailbox settings, OneDrive sharing and devices are not restored"
+        ),
+      ];
+      if (failedSteps.length > 0) {
+        error = "One or more restore steps failed";
+      }
+    } catch (err) {
+      error = (err as Error).message || "Unknown error";
+    }
+
+    const status = error ? "failed" : "completed";
+    await ctx.runMutation(internal.offboardingMutations.logOffboardingExecution, {
+      tenantId: record.tenantId,
+      sessionId: args.sessionId,
+      offboardingId: args.offboardingId,
+      targetUserId: record.userId,
+      targetUserName: record.displayName,
+      targetUserEmail: record.email || record.userPrincipalName,
+      executedBy,
+      executionType: "reinstate" as const,
+      startTime,
+      endTime: Date.now(),
+      status,
+      totalActions: actions.length,
+      successfulActions: actions.filter((a) => a.status === "success").length,
+      failedActions: actions.filter((a) => a.status === "error").length,
+      skippedActions: actions.filter((a) => a.status === "skipped").length,
+      actions,
+      error,
+    });
+
+    return { status };
+  },
+});
+
 export const scanAndProcessDueOffboardings = internalAction({
   args: {
     limit: v.optional(v.number()),
@@ -1,5 +1,7 @@
 import { internalMutation } from "./_generated/server";
 import { v } from "convex/values";
+import { recordAudit } from "./auditTrail";
+import { emitLifecycleEvent, outcomeEvent } from "./webhookEvents";
 
 const SYSTEM_EXECUTOR = "system-cron";
 
@@ -7,7 +9,13 @@ const SYSTEM_EXECUTOR = "system-cron";
 export const updateOffboardingStatus = internalMutation({
   args: {
     offboardingId: v.id("scheduled_offboarding"),
-    status: v.union(v.literal("scheduled"), v.literal("in-progress"), v.literal("completed"), v.literal("failed")),
+    status: v.union(
+      v.literal("scheduled"),
+      v.literal("in-progress"),
+      v.literal("awaiting-approval"),
+      v.literal("completed"),
+      v.literal("failed")
+    ),
     executedAt: v.optional(v.number()),
     executedBy: v.optional(v.string()),
     error: v.optional(v.string()),
@@ -21,6 +29,73 @@ export const updateOffboardingStatus = internalMutation({
   },
 });
 
+/**
+ * Move a scheduled offboarding to in-progress, unless another run got to it first
+ * Both the cron and approveWipe queue runs, so the check and the claim happen in one mutation
+ */
+export const claimScheduledOffboarding = internalMutation({
+  args: {
+    offboardingId: v.id("scheduled_offboarding"),
+    executedAt: v.number(),
+    executedBy: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const record = await ctx.db.get(args.offboardingId);
+    if (!record || record.status !== "scheduled") {
+      return false;
+    }
+
+    await ctx.db.patch(args.offboardingId, {
+      status: "in-progress",
+      executedAt: args.executedAt,
+      executedBy: args.executedBy,
+      updatedAt: Date.now(),
+    });
+
+    await emitLifecycleEvent(ctx, record.tenantId, "offboarding.started", {
+      offboardingId: args.offboardingId,
+      userId: record.userId,
+      displayName: record.displayName,
+      userPrincipalName: record.userPrincipalName,
+      executionType: "scheduled",
+      startedBy: args.executedBy,
+    });
+    return true;
+  },
+});
+
+// Pure database mutation for pipeline checkpoints - one row per step, updated on every attempt
+export const recordOffboardingCheckpoint = internalMutation({
+  args: {
+    tenantId: v.string(),
+    offboardingId: v.id("scheduled_offboarding"),
+    step: v.string(),
+    status: v.union(v.literal("completed"), v.literal("failed"), v.literal("pending")),
+    message: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const existing = await ctx.db
+      .query("offboarding_checkpoints")
+      .withIndex("by_offboarding_and_step", (q: any) => q.eq("offboardingId", args.offboardingId).eq("step", args.step))
+      .first();
+
+    if (existing) {
+      await ctx.db.patch(existing._id, {
+        status: args.status,
+        message: args.message,
+        attempts: existing.attempts + 1,
+        updatedAt: Date.now(),
+      });
+    } else {
+      await ctx.db.insert("offboarding_checkpoints", {
+        ...args,
+        attempts: 1,
+        updatedAt: Date.now(),
+      });
+    }
+  },
+});
+
 // Pure database mutation for logging
 export const logOffboardingExecution = internalMutation({
   args: {
@@ -31,16 +106,24 @@ export const logOffboardingExecution = internalMutation({
     targetUserName: v.string(),
     targetUserEmail: v.string(),
     executedBy: v.string(),
-    executionType: v.union(v.literal("scheduled"), v.literal("immediate")),
+    executionType: v.union(v.literal("scheduled"), v.literal("immediate"), v.literal("reinstate")),
     startTime: v.number(),
     endTime: v.number(),
-    status: v.union(v.literal("in-progress"), v.literal("completed"), v.literal("failed"), v.literal("partial")),
+    status: v.union(
+      v.literal("in-progress"),
+      v.literal("completed"),
+      v.literal("failed"),
+      v.literal("partial"),
+      v.literal("awaiting-approval")
+    ),
     totalActions: v.number(),
     successfulActions: v.number(),
     failedActions: v.number(),
     skippedActions: v.number(),
     actions: v.any(),
     error: v.optional(v.string()),
+    planId: v.optional(v.id("offboarding_plans")),
+    planDiff: v.optional(v.any()),
   },
   handler: async (ctx, args) => {
     await ctx.db.insert("offboarding_execution_logs", {
@@ -48,15 +131,118 @@ export const logOffboardingExecution = internalMutation({
       createdAt: Date.now(),
     });
 
-    await ctx.db.insert("audit_log", {
+    await recordAudit(ctx, {
       tenantId: args.tenantId,
       sessionId: args.sessionId,
       userId: args.executedBy,
-      action: "execute_offboarding",
+      action: args.executionType === "reinstate" ? "reinstate_offboarding" : "execute_offboarding",
       resourceType: "scheduled_offboarding",
       resourceId: args.offboardingId,
-      details: `Automated offboarding ${args.status} for ${args.targetUserName}`,
+      details: args.executionType === "reinstate"
+        ? `Reinstatement ${args.status} for ${args.targetUserName}`
+        : `Automated offboarding ${args.status} for ${args.targetUserName}`,
       timestamp: args.endTime,
     });
+
+    // A run held for wipe approval has no outcome yet; the run after approval reports one
+    if (args.executionType !== "reinstate" && args.status !== "awaiting-approval") {
+      await emitLifecycleEvent(ctx, args.tenantId, outcomeEvent("offboarding", args.status), {
+        offboardingId: args.offboardingId,
+        userId: args.targetUserId,
+        displayName: args.targetUserName,
+        userPrincipalName: args.targetUserEmail,
+        executionType: args.executionType,
+        status: args.status,
+        totalActions: args.totalActions,
+        successfulActions: args.successfulActions,
+        failedActions: args.failedActions,
+        skippedActions: args.skippedActions,
+        error: args.error,
+        executedBy: args.executedBy,
+      });
+    }
+  },
+});
+
+// Pure database mutation for OneDrive manifest headers
+export const recordDriveManifest = internalMutation({
+  args: {
+    tenantId: v.string(),
+    offboardingId: v.optional(v.id("scheduled_offboarding")),
+    action: v.union(v.literal("transferFiles"), v.literal("backupData")),
+    sourceUserId: v.string(),
+    sourceUserName: v.string(),
+    mode: v.union(v.literal("grant"), v.literal("copy"), v.literal("inventory")),
+    status: v.union(v.literal("completed"), v.literal("partial"), v.literal("failed")),
+    destination: v.optional(v.string()),
+    destinationPath: v.optional(v.string()),
+    totalItems: v.number(),
+    totalFiles: v.number(),
+    totalBytes: v.number(),
+    transferredItems: v.number(),
+    failedItems: v.number(),
+    verifiedFiles: v.optional(v.number()),
+    verifiedBytes: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db.insert("drive_manifests", {
+      ...args,
+      createdAt: Date.now(),
+    });
+  },
+});
+
+// Pure database mutation for one chunk of OneDrive manifest items
+export const appendDriveManifestItems = internalMutation({
+  args: {
+    manifestId: v.id("drive_manifests"),
+    chunkIndex: v.number(),
+    items: v.any(),
+  },
+  handler: async (ctx, args) => {
+    await ctx.db.insert("drive_manifest_items", args);
+  },
+});
+
+// Pre-change state captured once per offboarding; resumed runs keep the original
+export const recordOffboardingSnapshot = internalMutation({
+  args: {
+    tenantId: v.string(),
+    offboardingId: v.id("scheduled_offboarding"),
+    targetUserId: v.string(),
+    accountEnabled: v.boolean(),
+    manager: v.optional(v.object({
+      id: v.string(),
+      displayName: v.optional(v.string()),
+    })),
+    groups: v.array(v.object({
+      id: v.string(),
+      name: v.string(),
+    })),
+    licenses: v.array(v.object({
+      skuId: v.string(),
+      skuPartNumber: v.optional(v.string()),
+      disabledPlans: v.array(v.string()),
+    })),
+    appRoleAssignments: v.array(v.object({
+      appRoleId: v.string(),
+      resourceId: v.string(),
+      resourceDisplayName: v.optional(v.string()),
+    })),
+  },
+  handler: async (ctx, args) => {
+    const existing = await ctx.db
+      .query("offboarding_snapshots")
+      .withIndex("by_offboarding_id", (q: any) => q.eq("offboardingId", args.offboardingId))
+      .first();
+
+    if (existing) {
+      return existing._id;
+    }
+
+    return await ctx.db.insert("offboarding_snapshots", {
+      ...args,
+      capturedAt: Date.now(),
+    });
   },
 });
@@ -10,6 +10,39 @@ export const getOffboardingById = internalQuery({
   },
 });
 
+export const getOffboardingCheckpoints = internalQuery({
+  args: {
+    offboardingId: v.id("scheduled_offboarding"),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db
+      .query("offboarding_checkpoints")
+      .withIndex("by_offboarding_id", (q: any) => q.eq("offboardingId", args.offboardingId))
+      .collect();
+  },
+});
+
+export const getOffboardingPlan = internalQuery({
+  args: {
+    planId: v.id("offboarding_plans"),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db.get(args.planId);
+  },
+});
+
+export const getOffboardingSnapshot = internalQuery({
+  args: {
+    offboardingId: v.id("scheduled_offboarding"),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db
+      .query("offboarding_snapshots")
+      .withIndex("by_offboarding_id", (q: any) => q.eq("offboardingId", args.offboardingId))
+      .first();
+  },
+});
+
 export const getDueOffboardings = internalQuery({
   args: {
     now: v.number(),
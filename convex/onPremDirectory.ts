@@ -0,0 +1,94 @@
+"use node";
+
+/**
+ * On-premises Active Directory leaver actions for automated offboarding
+ *
+ * Graph cannot disable, reset or regroup an account that is synced from on-premises AD;
+ * the change has to be made in AD and synced up. The Express backend's /api/ad leaver
+ * routes run it over PowerShell remoting. The client is only available when
+ * AUTOMATION_API_KEY and AD_BACKEND_URL (or EXCHANGE_BACKEND_URL) are configured.
+ */
+
+import { fetchWithGraphToken } from "./graphUtils";
+
+export interface OnPremIdentity {
+  userPrincipalName: string;
+  samAccountName?: string;
+}
+
+export interface ActiveDirectoryBackend {
+  disableUser(identity: OnPremIdentity): Promise<LeaverResult>;
+  moveToDisabledOU(identity: OnPremIdentity): Promise<LeaverResult>;
+  removeGroups(identity: OnPremIdentity): Promise<LeaverResult>;
+  setLeaverInfo(identity: OnPremIdentity, description: string, accountExpirationDate: string): Promise<LeaverResult>;
+  resetPassword(identity: OnPremIdentity): Promise<LeaverResult>;
+}
+
+export interface LeaverResult {
+  message: string;
+  skipped?: boolean;
+  removed?: string[];
+  kept?: string[];
+}
+
+/**
+ * Look up whether a user is synced from on-premises AD, and their AD names if so
+ */
+export async function getOnPremIdentity(accessToken: string, userIdentifier: string): Promise<OnPremIdentity | null> {
+  const user = await fetchWithGraphToken(
+    accessToken,
+    `/users/${userIdentifier}?$select=userPrincipalName,onPremisesSyncEnabled,onPremisesSamAccountName,onPremisesUserPrincipalName`
+  );
+
+  if (!user?.onPremisesSyncEnabled) {
+    return null;
+  }
+
+  return {
+    userPrincipalName: user.onPremisesUserPrincipalName || user.userPrincipalName,
+    samAccountName: user.onPremisesSamAccountName || undefined,
+  };
+}
+
+export function createActiveDirectoryBackend(tenantId: string): ActiveDirectoryBackend | null {
+  const backendUrl = process.env.AD_BACKEND_URL || process.env.EXCHANGE_BACKEND_URL;
+  const automationKey = process.env.AUTOMATION_API_KEY;
+
+  if (!backendUrl || !automationKey) {
+    return null;
+  }
+
+  async function callBackend(route: string, body: Record<string, unknown>): Promise<LeaverResult> {
+    const response = await fetch(`${backendUrl.replace(/\/$/, "")}/api/ad/${route}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Automation-Key": automationKey,
+        "X-Tenant-Id": tenantId,
+      },
+      body: JSON.stringify(body),
+    });
+
+    let result: any = {};
+    try {
+      result = await response.json();
+    } catch (err) {
+      // ignore parse errors
+    }
+
+    if (!response.ok || result.success === false) {
+      throw new Error(result.message || result.error || `${response.status} ${response.statusText}`);
+    }
+
+    return result;
+  }
+
+  return {
+    disableUser: (identity) => callBackend("disable-user", { ...identity }),
+    moveToDisabledOU: (identity) => callBackend("move-to-disabled-ou", { ...identity }),
+    removeGroups: (identity) => callBackend("remove-groups", { ...identity }),
+    setLeaverInfo: (identity, description, accountExpirationDate) =>
+      callBackend("set-leaver-info", { ...identity, description, accountExpirationDate }),
+    resetPassword: (identity) => callBackend("reset-password", { ...identity }),
+  };
+}
@@ -1,5 +1,9 @@
 import { mutation, query } from "./_generated/server";
 import { v } from "convex/values";
+import { parseInTimezone } from "./timeUtils";
+import { requirePermission } from "./accessControl";
+import { recordAudit } from "./auditTrail";
+import { emitLifecycleEvent, outcomeEvent } from "./webhookEvents";
 
 /**
  * Validate session and extract tenant context
@@ -53,6 +57,7 @@ export const logExecution = mutation({
   },
   handler: async (ctx, args) => {
     const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleExecute");
 
     // Calculate statistics
     const totalActions = args.actions.length;
@@ -81,7 +86,7 @@ export const logExecution = mutation({
     });
 
     // Log audit trail
-    await ctx.db.insert("audit_log", {
+    await recordAudit(ctx, {
       tenantId: session.tenantId,
       sessionId: session.sessionId,
       userId: session.userId,
@@ -92,6 +97,21 @@ export const logExecution = mutation({
       timestamp: Date.now(),
     });
 
+    await emitLifecycleEvent(ctx, session.tenantId, outcomeEvent("onboarding", args.status), {
+      executionLogId: logId,
+      userId: args.targetUserId,
+      displayName: args.targetUserName,
+      userPrincipalName: args.targetUserEmail,
+      executionType: "immediate",
+      status: args.status,
+      totalActions,
+      successfulActions,
+      failedActions,
+      skippedActions,
+      error: args.error,
+      executedBy: session.userId,
+    });
+
     return { logId, success: true };
   },
 });
@@ -134,3 +154,183 @@ export const getExecutionLogs = query({
     return filtered;
   },
 });
+
+/**
+ * Schedule start-date activation for a hire whose account has been staged disabled
+ * Called by onboardingAutomation.scheduleActivation once the temporary password is encrypted
+ */
+export const createScheduled = mutation({
+  args: {
+    sessionId: v.string(),
+    userId: v.string(),
+    userPrincipalName: v.string(),
+    displayName: v.string(),
+    startDate: v.string(), // YYYY-MM-DD
+    startTime: v.string(), // HH:mm
+    timezone: v.string(),
+    encryptedPassword: v.optional(v.string()),
+    requirePasswordChange: v.boolean(),
+    sendWelcomeEmail: v.boolean(),
+    welcomeMessage: v.optional(v.string()),
+    notifyManager: v.boolean(),
+    managerEmail: v.optional(v.string()),
+    stagedLicenses: v.array(v.string()),
+    stagedGroups: v.array(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleExecute");
+    const { sessionId, ...fields } = args;
+
+    const existing = await ctx.db
+      .query("scheduled_onboarding")
+      .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId))
+      .collect();
+    if (existing.some((record: any) => record.userId === args.userId && record.status === "scheduled")) {
+      throw new Error(`${args.displayName} already has a scheduled activation`);
+    }
+
+    const activationDate = parseInTimezone(args.startDate, args.startTime, args.timezone);
+    const now = Date.now();
+
+    const scheduledOnboardingId = await ctx.db.insert("scheduled_onboarding", {
+      ...fields,
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      activationDate,
+      status: "scheduled",
+      createdBy: session.userId,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "schedule_onboarding_activation",
+      resourceType: "scheduled_onboarding",
+      resourceId: scheduledOnboardingId,
+      details: `Scheduled activation of ${args.displayName} for ${args.startDate} ${args.startTime} (${args.timezone})`,
+      timestamp: now,
+    });
+
+    return { scheduledOnboardingId, activationDate };
+  },
+});
+
+/**
+ * List scheduled activations for a tenant, soonest first
+ */
+export const listScheduled = query({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+
+    const records = await ctx.db
+      .query("scheduled_onboarding")
+      .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId))
+      .collect();
+
+    // The encrypted password never leaves the backend
+    return records
+      .map(({ encryptedPassword, ...record }: any) => record)
+      .sort((a: any, b: any) => a.activationDate - b.activationDate);
+  },
+});
+
+/**
+ * Cancel a scheduled activation
+ * The staged account is left disabled in the directory
+ */
+export const cancelScheduled = mutation({
+  args: {
+    sessionId: v.string(),
+    scheduledOnboardingId: v.id("scheduled_onboarding"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleRequest");
+
+    const record = await ctx.db.get(args.scheduledOnboardingId);
+
+    if (!record) {
+      throw new Error("Scheduled activation not found");
+    }
+
+    if (record.tenantId !== session.tenantId) {
+      throw new Error("Unauthorized: Access denied to records from another tenant");
+    }
+
+    if (record.status !== "scheduled") {
+      throw new Error(`Cannot cancel an activation that is ${record.status}`);
+    }
+
+    await ctx.db.delete(args.scheduledOnboardingId);
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "cancel_onboarding_activation",
+      resourceType: "scheduled_onboarding",
+      resourceId: args.scheduledOnboardingId,
+      details: `Cancelled activation of ${record.displayName}; account ${record.userPrincipalName} remains disabled`,
+      timestamp: Date.now(),
+    });
+
+    return { success: true };
+  },
+});
+
+/**
+ * Queue a failed activation to run again on the next scan
+ */
+export const retryScheduled = mutation({
+  args: {
+    sessionId: v.string(),
+    scheduledOnboardingId: v.id("scheduled_onboarding"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleExecute");
+
+    const record = await ctx.db.get(args.scheduledOnboardingId);
+
+    if (!record) {
+      throw new Error("Scheduled activation not found");
+    }
+
+    if (record.tenantId !== session.tenantId) {
+      throw new Error("Unauthorized: Access denied to records from another tenant");
+    }
+
+    if (record.status !== "failed") {
+      throw new Error("Only failed activations can be retried");
+    }
+
+    await ctx.db.patch(args.scheduledOnboardingId, {
+      status: "scheduled",
+      error: undefined,
+      updatedAt: Date.now(),
+    });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "retry_onboarding_activation",
+      resourceType: "scheduled_onboarding",
+      resourceId: args.scheduledOnboardingId,
+      details: `Retrying activation of ${record.displayName}`,
+      timestamp: Date.now(),
+    });
+
+    return { success: true };
+  },
+});
@@ -0,0 +1,261 @@
+"use node";
+
+import { action, internalAction } from "./_generated/server";
+import { v } from "convex/values";
+import { api, internal } from "./_generated/api";
+import { decryptCredentials, encryptCredentials, loadCredentials } from "./credentialUtils";
+import { fetchWithGraphToken, getAccessTokenFromCredentials } from "./graphUtils";
+import { ActionResult, buildActionResult, PipelineStep, runPipeline } from "./actionPipeline";
+
+const SYSTEM_EXECUTOR = "system-cron";
+const DEFAULT_LIMIT = 5;
+
+// Mailbox the manager notification is sent from; the hire's own mailbox when unset
+const NOTIFICATION_SENDER = process.env.ONBOARDING_NOTIFICATION_SENDER;
+
+interface ActivationContext {
+  accessToken: string;
+  record: any;
+}
+
+async function getUserMailInfo(accessToken: string, userId: string) {
+  return await fetchWithGraphToken(accessToken, `/users/${userId}?$select=id,displayName,mail,userPrincipalName`);
+}
+
+async function sendMail(accessToken: string, fromUserId: string, toAddress: string, subject: string, html: string) {
+  await fetchWithGraphToken(accessToken, `/users/${fromUserId}/sendMail`, {
+    method: "POST",
+    body: JSON.stringify({
+      message: {
+        subject,
+        body: { contentType: "HTML", content: html },
+        toRecipients: [{ emailAddress: { address: toAddress } }],
+      },
+    }),
+  });
+}
+
+/**
+ * Start-date activation pipeline
+ * Licenses and groups were applied while staging, so activation only turns the
+ * account on and tells the hire and their manager. Mail waits for the account to be enabled
+ */
+const ACTIVATION_STEPS: PipelineStep<ActivationContext>[] = [
+  {
+    id: "enableAccount",
+    enabled: () => true,
+    run: async ({ accessToken, record }) => {
+      await fetchWithGraphToken(accessToken, `/users/${record.userId}`, {
+        method: "PATCH",
+        body: JSON.stringify({ accountEnabled: true }),
+      });
+      return [buildActionResult("Enable Account", "success", `Account ${record.userPrincipalName} enabled`)];
+    },
+  },
+  {
+    id: "setPassword",
+    enabled: ({ record }) => !!record.encryptedPassword,
+    run: async ({ accessToken, record }) => {
+      const { password } = decryptCredentials(record.encryptedPassword);
+      await fetchWithGraphToken(accessToken, `/users/${record.userId}`, {
+        method: "PATCH",
+        body: JSON.stringify({
+          passwordProfile: {
+            forceChangePasswordNextSignIn: record.requirePasswordChange,
+            password,
+          },
+        }),
+      });
+      return [buildActionResult(
+        "Set Temporary Password",
+        "success",
+        record.requirePasswordChange
+          ? "Temporary password set; change required at first sign-in"
+          : "Temporary password set"
+      )];
+    },
+  },
+  {
+    id: "sendWelcomeEmail",
+    dependsOn: ["enableAccount"],
+    enabled: ({ record }) => record.sendWelcomeEmail,
+    run: async ({ accessToken, record }) => {
+      // Same message graphService.sendWelcomeEmail sends for an immediate onboarding
+      const user = await getUserMailInfo(accessToken, record.userId);
+      const address = user.mail || user.userPrincipalName;
+      await sendMail(accessToken, record.userId, address, "Welcome to the Team!", `
+            <html>
+              <body>
+                <h2>Welcome ${user.displayName}!</h2>
+                <p>${record.welcomeMessage || ""}</p>
+                <p>Your account has been set up and is ready to use.</p>
+                <p>If you have any questions, please don't hesitate to reach out${record.managerEmail ? ` to your manager at ${record.managerEmail}` : ""}.</p>
+                <br/>
+                <p>Best regards,<br/>The Team</p>
+              </body>
+            </html>
+          `);
+      return [buildActionResult("Send Welcome Email", "success", `Welcome email sent to ${address}`)];
+    },
+  },
+  {
+    id: "notifyManager",
+    dependsOn: ["enableAccount"],
+    enabled: ({ record }) => record.notifyManager,
+    run: async ({ accessToken, record }) => {
+      // Prefer the manager in the directory now; it may have changed since staging
+      let managerAddress = record.managerEmail;
+      try {
+        const manager = await fetchWithGraphToken(
+          accessToken,
+          `/users/${record.userId}/manager?$select=displayName,mail,userPrincipalName`
+        );
+        managerAddress = manager?.mail || manager?.userPrincipalName || managerAddress;
+      } catch (error) {
+        // No manager assigned in the directory; fall back to the address given when scheduling
+      }
+
+      if (!managerAddress) {
+        return [buildActionResult("Notify Manager", "skipped", "No manager found for this user")];
+      }
+
+      await sendMail(
+        accessToken,
+        NOTIFICATION_SENDER || record.userId,
+        managerAddress,
+        `${record.displayName} starts today`,
+        `
+            <html>
+              <body>
+                <p>${record.displayName}'s account (${record.userPrincipalName}) is now active.</p>
+                <p>Their licenses and group memberships were set up in advance, and they have been sent their welcome email.</p>
+              </body>
+            </html>
+          `
+      );
+      return [buildActionResult("Notify Manager", "success", `Manager notified at ${managerAddress}`)];
+    },
+  },
+];
+
+/**
+ * Schedule start-date activation for a hire staged as a disabled account
+ * The temporary password is stored encrypted and set again when the account is enabled
+ */
+export const scheduleActivation = action({
+  args: {
+    sessionId: v.string(),
+    userId: v.string(),
+    userPrincipalName: v.string(),
+    displayName: v.string(),
+    startDate: v.string(),
+    startTime: v.string(),
+    timezone: v.string(),
+    temporaryPassword: v.optional(v.string()),
+    requirePasswordChange: v.boolean(),
+    sendWelcomeEmail: v.boolean(),
+    welcomeMessage: v.optional(v.string()),
+    notifyManager: v.boolean(),
+    managerEmail: v.optional(v.string()),
+    stagedLicenses: v.array(v.string()),
+    stagedGroups: v.array(v.string()),
+  },
+  handler: async (ctx, args): Promise<{ scheduledOnboardingId: string; activationDate: number }> => {
+    const { temporaryPassword, ...fields } = args;
+    return await ctx.runMutation(api.onboarding.createScheduled, {
+      ...fields,
+      encryptedPassword: temporaryPassword ? encryptCredentials({ password: temporaryPassword }) : undefined,
+    });
+  },
+});
+
+export const executeScheduledActivation = internalAction({
+  args: {
+    scheduledOnboardingId: v.id("scheduled_onboarding"),
+  },
+  handler: async (ctx, args) => {
+    const record = await ctx.runQuery(internal.onboardingQueries.getScheduledOnboardingById, {
+      scheduledOnboardingId: args.scheduledOnboardingId,
+    });
+
+    if (!record) {
+      return { status: "missing" };
+    }
+
+    if (record.status !== "scheduled") {
+      return { status: record.status };
+    }
+
+    const startTime = Date.now();
+
+    await ctx.runMutation(internal.onboardingMutations.updateScheduledOnboardingStatus, {
+      scheduledOnboardingId: args.scheduledOnboardingId,
+      status: "in-progress",
+      executedAt: startTime,
+      executedBy: SYSTEM_EXECUTOR,
+    });
+
+    let actions: ActionResult[] = [];
+    let failedSteps: string[] = [];
+    let error: string | undefined;
+
+    try {
+      const credentials = await loadCredentials(ctx, record);
+      const accessToken = await getAccessTokenFromCredentials(credentials);
+      ({ results: actions, failedSteps } = await runPipeline(ACTIVATION_STEPS, { accessToken, record }));
+      if (failedSteps.length > 0) {
+        error = "One or more activation steps failed";
+      }
+    } catch (err) {
+      error = (err as Error).message || "Unknown error";
+    }
+
+    // The hire can sign in once the account is enabled, even if a notification failed
+    const enabled = !error || (actions.length > 0 && !failedSteps.includes("enableAccount"));
+    const logStatus = !error ? "completed" : enabled ? "partial" : "failed";
+
+    await ctx.runMutation(internal.onboardingMutations.updateScheduledOnboardingStatus, {
+      scheduledOnboardingId: args.scheduledOnboardingId,
+      status: enabled ? "completed" : "failed",
+      error,
+    });
+
+    await ctx.runMutation(internal.onboardingMutations.logActivationExecution, {
+      tenantId: record.tenantId,
+      sessionId: record.sessionId,
+      scheduledOnboardingId: args.scheduledOnboardingId,
+      targetUserId: record.userId,
+      targetUserName: record.displayName,
+      targetUserEmail: record.userPrincipalName,
+      executedBy: SYSTEM_EXECUTOR,
+      startTime,
+      endTime: Date.now(),
+      status: logStatus,
+      actions,
+      error,
+    });
+
+    return { status: logStatus };
+  },
+});
+
+export const scanAndActivateDueOnboardings = internalAction({
+  args: {
+    limit: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    const limit = args.limit ?? DEFAULT_LIMIT;
+    const due = await ctx.runQuery(internal.onboardingQueries.getDueOnboardings, {
+      now: Date.now(),
+      limit,
+    });
+
+    for (const record of due) {
+      await ctx.runAction(internal.onboardingAutomation.executeScheduledActivation, {
+        scheduledOnboardingId: record._id,
+      });
+    }
+
+    return { processed: due.length };
+  },
+});
@@ -0,0 +1,88 @@
+import { internalMutation } from "./_generated/server";
+import { v } from "convex/values";
+import { recordAudit } from "./auditTrail";
+import { emitLifecycleEvent, outcomeEvent } from "./webhookEvents";
+
+// Pure database mutation - no Node.js, no external calls
+export const updateScheduledOnboardingStatus = internalMutation({
+  args: {
+    scheduledOnboardingId: v.id("scheduled_onboarding"),
+    status: v.union(v.literal("scheduled"), v.literal("in-progress"), v.literal("completed"), v.literal("failed")),
+    executedAt: v.optional(v.number()),
+    executedBy: v.optional(v.string()),
+    error: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const { scheduledOnboardingId, ...updates } = args;
+    await ctx.db.patch(scheduledOnboardingId, {
+      ...updates,
+      updatedAt: Date.now(),
+    });
+  },
+});
+
+// Pure database mutation for logging a start-date activation
+export const logActivationExecution = internalMutation({
+  args: {
+    tenantId: v.string(),
+    sessionId: v.string(),
+    scheduledOnboardingId: v.id("scheduled_onboarding"),
+    targetUserId: v.string(),
+    targetUserName: v.string(),
+    targetUserEmail: v.string(),
+    executedBy: v.string(),
+    startTime: v.number(),
+    endTime: v.number(),
+    status: v.union(v.literal("completed"), v.literal("partial"), v.literal("failed")),
+    actions: v.array(v.object({
+      action: v.string(),
+      status: v.union(
+        v.literal("success"),
+        v.literal("error"),
+        v.literal("skipped"),
+        v.literal("warning")
+      ),
+      message: v.string(),
+      timestamp: v.number(),
+      details: v.optional(v.string()),
+    })),
+    error: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const counts = {
+      totalActions: args.actions.length,
+      successfulActions: args.actions.filter((a) => a.status === "success").length,
+      failedActions: args.actions.filter((a) => a.status === "error").length,
+      skippedActions: args.actions.filter((a) => a.status === "skipped").length,
+    };
+    const logId = await ctx.db.insert("onboarding_execution_logs", {
+      ...args,
+      ...counts,
+      createdAt: Date.now(),
+    });
+
+    await recordAudit(ctx, {
+      tenantId: args.tenantId,
+      sessionId: args.sessionId,
+      userId: args.executedBy,
+      action: "activate_onboarding",
+      resourceType: "scheduled_onboarding",
+      resourceId: args.scheduledOnboardingId,
+      details: `Start-date activation ${args.status} for ${args.targetUserName}`,
+      timestamp: args.endTime,
+    });
+
+    await emitLifecycleEvent(ctx, args.tenantId, outcomeEvent("onboarding", args.status), {
+      scheduledOnboardingId: args.scheduledOnboardingId,
+      executionLogId: logId,
+      userId: args.targetUserId,
+      displayName: args.targetUserName,
+      userPrincipalName: args.targetUserEmail,
+      executionType: "activation",
+      status: args.status,
+      ...counts,
+      error: args.error,
+      executedBy: args.executedBy,
+    });
+  },
+});
@@ -0,0 +1,29 @@
+import { internalQuery } from "./_generated/server";
+import { v } from "convex/values";
+
+export const getScheduledOnboardingById = internalQuery({
+  args: {
+    scheduledOnboardingId: v.id("scheduled_onboarding"),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db.get(args.scheduledOnboardingId);
+  },
+});
+
+export const getDueOnboardings = internalQuery({
+  args: {
+    now: v.number(),
+    limit: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const scheduled = await ctx.db
+      .query("scheduled_onboarding")
+      .withIndex("by_status", (q: any) => q.eq("status", "scheduled"))
+      .collect();
+
+    return scheduled
+      .filter((record: any) => record.activationDate <= args.now)
+      .sort((a: any, b: any) => a.activationDate - b.activationDate)
+      .slice(0, args.limit);
+  },
+});
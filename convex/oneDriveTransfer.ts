@@ -0,0 +1,296 @@
+"use node";
+
+/**
+ * OneDrive transfer and backup for automated offboarding
+ *
+ * Every run enumerates the leaver's whole drive (paging through large folders) and
+ * produces a manifest with the outcome for each item, so we can prove nothing was lost.
+ *
+ * Transfer modes:
+ * - grant: invite the new owner with edit rights on every top-level item; permissions
+ *   inherit down the tree. OneDrive sharing cannot add a second owner, so "write" is
+ *   the strongest role Graph will grant.
+ * - copy: copy the drive into a handover folder in the new owner's OneDrive, then
+ *   enumerate the copy and compare file counts and bytes with the source.
+ */
+
+import { fetchAllGraphPages, fetchWithGraphToken } from "./graphUtils";
+
+const ITEM_SELECT = "id,name,size,file,folder,lastModifiedDateTime";
+const COPY_POLL_INTERVAL_MS = 3000;
+const COPY_TIMEOUT_MS = 5 * 60 * 1000;
+
+export type DriveTransferMode = "grant" | "copy" | "inventory";
+
+export interface DriveManifestItem {
+  itemId: string;
+  name: string;
+  path: string;
+  isFolder: boolean;
+  size: number;
+  lastModifiedDateTime?: string;
+  quickXorHash?: string;
+  status: "transferred" | "failed" | "inventoried";
+  error?: string;
+}
+
+export interface DriveManifest {
+  mode: DriveTransferMode;
+  status: "completed" | "partial" | "failed";
+  destination?: string;
+  destinationPath?: string;
+  totalItems: number;
+  totalFiles: number;
+  totalBytes: number;
+  transferredItems: number;
+  failedItems: number;
+  verifiedFiles?: number;
+  verifiedBytes?: number;
+  items: DriveManifestItem[];
+}
+
+interface EnumeratedItem extends DriveManifestItem {
+  topLevelId: string;
+}
+
+/**
+ * Walk a drive (or one folder of it) breadth-first, following paging on every folder
+ */
+async function enumerateDrive(accessToken: string, drivePath: string, rootItemId?: string): Promise<EnumeratedItem[]> {
+  const items: EnumeratedItem[] = [];
+  const queue: Array<{ childrenPath: string; parentPath: string; topLevelId?: string }> = [
+    {
+      childrenPath: rootItemId ? `${drivePath}/items/${rootItemId}/children` : `${drivePath}/root/children`,
+      parentPath: "",
+    },
+  ];
+
+  while (queue.length > 0) {
+    const { childrenPath, parentPath, topLevelId } = queue.shift()!;
+    const children = await fetchAllGraphPages(accessToken, `${childrenPath}?$select=${ITEM_SELECT}&$top=200`);
+
+    for (const child of children) {
+      const item: EnumeratedItem = {
+        itemId: child.id,
+        name: child.name,
+        path: `${parentPath}/${child.name}`,
+        isFolder: !!child.folder,
+        size: child.size || 0,
+        lastModifiedDateTime: child.lastModifiedDateTime,
+        quickXorHash: child.file?.hashes?.quickXorHash,
+        status: "inventoried",
+        topLevelId: topLevelId || child.id,
+      };
+      items.push(item);
+
+      if (child.folder?.childCount > 0) {
+        queue.push({
+          childrenPath: `${drivePath}/items/${child.id}/children`,
+          parentPath: item.path,
+          topLevelId: item.topLevelId,
+        });
+      }
+    }
+  }
+
+  return items;
+}
+
+function countFiles(items: DriveManifestItem[]) {
+  const files = items.filter((item) => !item.isFolder);
+  return {
+    files: files.length,
+    bytes: files.reduce((sum, item) => sum + item.size, 0),
+  };
+}
+
+// Every item inherits the outcome of the top-level item it was transferred under
+function applyOutcome(items: EnumeratedItem[], failures: Map<string, string>) {
+  for (const item of items) {
+    const error = failures.get(item.topLevelId);
+    item.status = error ? "failed" : "transferred";
+    item.error = error;
+  }
+}
+
+function buildManifest(
+  mode: DriveTransferMode,
+  items: EnumeratedItem[],
+  extras: Partial<DriveManifest> = {}
+): DriveManifest {
+  const { files, bytes } = countFiles(items);
+  const transferredItems = items.filter((item) => item.status === "transferred").length;
+  const failedItems = items.filter((item) => item.status === "failed").length;
+  const unverified = extras.verifiedFiles !== undefined && extras.verifiedFiles !== files;
+
+  let status: DriveManifest["status"] = "completed";
+  if (failedItems > 0 && transferredItems === 0) {
+    status = "failed";
+  } else if (failedItems > 0 || unverified) {
+    status = "partial";
+  }
+
+  return {
+    mode,
+    status,
+    totalItems: items.length,
+    totalFiles: files,
+    totalBytes: bytes,
+    transferredItems,
+    failedItems,
+    ...extras,
+    items: items.map(({ topLevelId, ...item }) => item),
+  };
+}
+
+async function waitForCopies(monitors: Array<{ itemId: string; monitorUrl?: string | null }>, failures: Map<string, string>) {
+  const deadline = Date.now() + COPY_TIMEOUT_MS;
+  let pending = monitors.filter((m) => m.monitorUrl);
+
+  while (pending.length > 0) {
+    const stillRunning: typeof pending = [];
+
+    for (const monitor of pending) {
+      try {
+        // Monitor URLs are pre-authenticated and must be called without a bearer token
+        const response = await fetch(monitor.monitorUrl as string);
+        const progress = (await response.json()) as any;
+
+        if (progress.status === "failed") {
+          failures.set(monitor.itemId, progress.error?.message || "Copy failed");
+        } else if (progress.status !== "completed") {
+          stillRunning.push(monitor);
+        }
+      } catch (error) {
+        failures.set(monitor.itemId, `Could not read copy status: ${(error as Error).message}`);
+      }
+    }
+
+    pending = stillRunning;
+    if (pending.length === 0) {
+      break;
+    }
+
+    if (Date.now() > deadline) {
+      for (const monitor of pending) {
+        failures.set(monitor.itemId, "Copy did not finish within the execution window");
+      }
+      break;
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, COPY_POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * Grant the new owner edit access to everything in the leaver's drive
+ */
+export async function grantDriveAccess(accessToken: string, userId: string, newOwner: string): Promise<DriveManifest> {
+  const items = await enumerateDrive(accessToken, `/users/${userId}/drive`);
+  const failures = new Map<string, string>();
+
+  for (const item of items.filter((i) => i.topLevelId === i.itemId)) {
+    try {
+      await fetchWithGraphToken(accessToken, `/users/${userId}/drive/items/${item.itemId}/invite`, {
+        method: "POST",
+        body: JSON.stringify({
+          recipients: [{ email: newOwner }],
+          requireSignIn: true,
+          sendInvitation: false,
+          roles: ["write"],
+        }),
+      });
+    } catch (error) {
+      failures.set(item.itemId, (error as Error).message);
+      console.error(`[OneDrive] Failed to share ${item.path} with ${newOwner}:`, error);
+    }
+  }
+
+  applyOutcome(items, failures);
+  return buildManifest("grant", items, { destination: newOwner });
+}
+
+/**
+ * Copy the leaver's drive into a new folder at the root of another user's OneDrive
+ */
+export async function copyDriveToFolder(
+  accessToken: string,
+  sourceUserId: string,
+  destinationUser: string,
+  folderName: string
+): Promise<DriveManifest> {
+  const items = await enumerateDrive(accessToken, `/users/${sourceUserId}/drive`);
+  const destinationDrive = (await fetchWithGraphToken(accessToken, `/users/${destinationUser}/drive?$select=id`)) as any;
+  const folder = (await fetchWithGraphToken(accessToken, `/users/${destinationUser}/drive/root/children`, {
+    method: "POST",
+    body: JSON.stringify({
+      name: folderName,
+      folder: {},
+      "@microsoft.graph.conflictBehavior": "rename",
+    }),
+  })) as any;
+
+  const failures = new Map<string, string>();
+  const monitors: Array<{ itemId: string; monitorUrl?: string | null }> = [];
+
+  for (const item of items.filter((i) => i.topLevelId === i.itemId)) {
+    try {
+      const result = (await fetchWithGraphToken(accessToken, `/users/${sourceUserId}/drive/items/${item.itemId}/copy`, {
+        method: "POST",
+        body: JSON.stringify({
+          parentReference: { driveId: destinationDrive.id, id: folder.id },
+          name: item.name,
+        }),
+      })) as any;
+      monitors.push({ itemId: item.itemId, monitorUrl: result?.monitorUrl });
+    } catch (error) {
+      failures.set(item.itemId, (error as Error).message);
+      console.error(`[OneDrive] Failed to start copy of ${item.path}:`, error);
+    }
+  }
+
+  await waitForCopies(monitors, failures);
+  applyOutcome(items, failures);
+
+  // Re-enumerate the copy so the manifest proves what actually arrived
+  const copied = await enumerateDrive(accessToken, `/users/${destinationUser}/drive`, folder.id);
+  const verified = countFiles(copied);
+
+  return buildManifest("copy", items, {
+    destination: destinationUser,
+    destinationPath: `/${folder.name || folderName}`,
+    verifiedFiles: verified.files,
+    verifiedBytes: verified.bytes,
+  });
+}
+
+/**
+ * Back up the leaver's drive to the archive account, or record an inventory only
+ * when no archive account is configured
+ */
+export async function backupDrive(
+  accessToken: string,
+  userId: string,
+  userPrincipalName: string,
+  archiveUser?: string
+): Promise<DriveManifest> {
+  if (archiveUser) {
+    const date = new Date().toISOString().slice(0, 10);
+    return copyDriveToFolder(accessToken, userId, archiveUser, `Offboarding Backup - ${userPrincipalName} - ${date}`);
+  }
+
+  const items = await enumerateDrive(accessToken, `/users/${userId}/drive`);
+  return buildManifest("inventory", items);
+}
+
+export function formatBytes(bytes: number): string {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ["KB", "MB", "GB", "TB"];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
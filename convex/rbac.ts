@@ -0,0 +1,165 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { normalizeRoles, PERMISSIONS, permissionsForRoles, requirePermission, ROLES } from "./accessControl";
+import { recordAudit } from "./auditTrail";
+
+/**
+ * Validate session and extract tenant context
+ */
+async function validateSession(ctx: any, sessionId: string) {
+  const session = await ctx.db
+    .query("sessions")
+    .withIndex("by_session_id", (q: any) => q.eq("sessionId", sessionId))
+    .first();
+
+  if (!session) {
+    throw new Error("Unauthorized: No session found");
+  }
+
+  if (session.expiresAt < Date.now()) {
+    throw new Error("Unauthorized: Session expired");
+  }
+
+  return session;
+}
+
+/**
+ * Roles and permissions of the calling operator
+ */
+export const getMyAccess = query({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    return {
+      roles: normalizeRoles(session.roles),
+      permissions: permissionsForRoles(session.roles),
+    };
+  },
+});
+
+/**
+ * Role and permission catalogue, for the role mapping screen
+ */
+export const listRoles = query({
+  args: {},
+  handler: async () => {
+    return {
+      roles: Object.entries(ROLES).map(([id, role]) => ({ id, ...role })),
+      permissions: Object.entries(PERMISSIONS).map(([id, description]) => ({ id, description })),
+    };
+  },
+});
+
+/**
+ * List the tenant's group-to-role mappings
+ */
+export const listRoleMappings = query({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "roleManagement");
+
+    const mappings = await ctx.db
+      .query("role_mappings")
+      .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId))
+      .collect();
+
+    return mappings.sort((a: any, b: any) => a.groupName.localeCompare(b.groupName));
+  },
+});
+
+/**
+ * Give members of a directory group a portal role
+ * Takes effect the next time a member signs in
+ */
+export const addRoleMapping = mutation({
+  args: {
+    sessionId: v.string(),
+    groupId: v.string(),
+    groupName: v.string(),
+    role: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "roleManagement");
+
+    if (!ROLES[args.role]) {
+      throw new Error(`Unknown role: ${args.role}`);
+    }
+
+    const existing = await ctx.db
+      .query("role_mappings")
+      .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId))
+      .collect();
+    if (existing.some((mapping: any) => mapping.groupId === args.groupId && mapping.role === args.role)) {
+      throw new Error(`${args.groupName} is already mapped to ${ROLES[args.role].label}`);
+    }
+
+    const now = Date.now();
+    const mappingId = await ctx.db.insert("role_mappings", {
+      tenantId: session.tenantId,
+      groupId: args.groupId,
+      groupName: args.groupName,
+      role: args.role,
+      createdBy: session.userId,
+      createdAt: now,
+    });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "add_role_mapping",
+      resourceType: "role_mappings",
+      resourceId: mappingId,
+      details: `Mapped group ${args.groupName} (${args.groupId}) to role ${args.role}`,
+      timestamp: now,
+    });
+
+    return mappingId;
+  },
+});
+
+/**
+ * Remove a group-to-role mapping
+ */
+export const removeRoleMapping = mutation({
+  args: {
+    sessionId: v.string(),
+    mappingId: v.id("role_mappings"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "roleManagement");
+
+    const mapping = await ctx.db.get(args.mappingId);
+    if (!mapping) {
+      throw new Error("Role mapping not found");
+    }
+
+    if (mapping.tenantId !== session.tenantId) {
+      throw new Error("Unauthorized: Access denied to records from another tenant");
+    }
+
+    await ctx.db.delete(args.mappingId);
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "remove_role_mapping",
+      resourceType: "role_mappings",
+      resourceId: args.mappingId,
+      details: `Removed role ${mapping.role} from group ${mapping.groupName} (${mapping.groupId})`,
+      timestamp: Date.now(),
+    });
+
+    return { success: true };
+  },
+});
@@ -0,0 +1,123 @@
+"use node";
+
+import { action } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { normalizeRoles, permissionsForRoles, ROLES } from "./accessControl";
+import { fetchAllGraphPages, fetchWithGraphToken } from "./graphUtils";
+
+// Role template ID of the Global Administrator directory role, the same in every tenant
+const GLOBAL_ADMIN_ROLE_TEMPLATE_ID = "62e90394-69f5-4237-9190-012177145e10";
+
+// Claims are read without verifying the signature; Graph rejects the token if it is not genuine
+function readTokenClaims(accessToken: string): Record<string, any> {
+  try {
+    return JSON.parse(Buffer.from(accessToken.split(".")[1], "base64url").toString("utf8"));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Portal roles from the operator's app role assignments on the app that issued the token
+ */
+async function resolveAppRoles(accessToken: string, sources: string[]): Promise<string[]> {
+  const appId = readTokenClaims(accessToken).appid;
+  if (!appId) {
+    return [];
+  }
+
+  try {
+    const servicePrincipal = await fetchWithGraphToken(
+      accessToken,
+      `/servicePrincipals(appId='${appId}')?$select=id,appRoles`
+    );
+    const assignments = await fetchAllGraphPages(accessToken, "/me/appRoleAssignments?$select=appRoleId,resourceId");
+
+    const roles: string[] = [];
+    for (const assignment of assignments) {
+      if (assignment.resourceId !== servicePrincipal.id) continue;
+      const appRole = (servicePrincipal.appRoles || []).find((role: any) => role.id === assignment.appRoleId);
+      if (appRole && ROLES[appRole.value]) {
+        roles.push(appRole.value);
+        sources.push(`app role ${appRole.value}`);
+      }
+    }
+    return roles;
+  } catch (error) {
+    // Group mappings and Global Administrator still apply when app roles cannot be read
+    console.warn("[RBAC] Could not read app role assignments:", (error as Error).message);
+    return [];
+  }
+}
+
+/**
+ * Work out the signed-in operator's portal roles and store them on their session
+ * Uses the operator's own delegated Graph token, so group membership and app role
+ * assignments come from the directory rather than from the browser
+ */
+export const refreshSessionRoles = action({
+  args: {
+    sessionId: v.string(),
+    accessToken: v.string(),
+  },
+  handler: async (ctx, args): Promise<{ roles: string[]; permissions: string[] }> => {
+    const session = await ctx.runQuery(internal.rbacQueries.getSession, { sessionId: args.sessionId });
+
+    if (!session || session.expiresAt < Date.now()) {
+      throw new Error("Unauthorized: No valid session found");
+    }
+
+    // App-only sessions are configured with the tenant's client secret and keep the admin role
+    if (session.authMode === "app-only") {
+      return { roles: normalizeRoles(session.roles), permissions: permissionsForRoles(session.roles) };
+    }
+
+    // MSAL home account IDs are "<objectId>.<tenantId>"
+    const me = await fetchWithGraphToken(args.accessToken, "/me?$select=id");
+    if (me.id !== session.userId.split(".")[0]) {
+      throw new Error("Unauthorized: Token does not belong to the session's user");
+    }
+
+    // Role mappings are per tenant, so the token must come from the session's tenant
+    const organization = await fetchWithGraphToken(args.accessToken, "/organization?$select=id");
+    if (organization.value?.[0]?.id !== session.tenantId) {
+      throw new Error("Unauthorized: Token does not belong to the session's tenant");
+    }
+
+    const sources: string[] = [];
+    const roles = new Set<string>();
+
+    const memberships = await fetchAllGraphPages(
+      args.accessToken,
+      "/me/transitiveMemberOf?$select=id,displayName,roleTemplateId"
+    );
+
+    if (memberships.some((membership: any) => membership.roleTemplateId === GLOBAL_ADMIN_ROLE_TEMPLATE_ID)) {
+      roles.add("Admin");
+      sources.push("Global Administrator");
+    }
+
+    const mappings = await ctx.runQuery(internal.rbacQueries.getRoleMappings, { tenantId: session.tenantId });
+    const memberOf = new Set(memberships.map((membership: any) => membership.id));
+    for (const mapping of mappings) {
+      if (memberOf.has(mapping.groupId)) {
+        roles.add(mapping.role);
+        sources.push(`group ${mapping.groupName}`);
+      }
+    }
+
+    for (const role of await resolveAppRoles(args.accessToken, sources)) {
+      roles.add(role);
+    }
+
+    const resolved = normalizeRoles(Array.from(roles)).sort();
+    await ctx.runMutation(internal.rbacMutations.setSessionRoles, {
+      sessionId: args.sessionId,
+      roles: resolved,
+      sources,
+    });
+
+    return { roles: resolved, permissions: permissionsForRoles(resolved) };
+  },
+});
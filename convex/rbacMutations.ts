@@ -0,0 +1,43 @@
+import { internalMutation } from "./_generated/server";
+import { v } from "convex/values";
+import { recordAudit } from "./auditTrail";
+
+// Pure database mutation - no Node.js, no external calls
+export const setSessionRoles = internalMutation({
+  args: {
+    sessionId: v.string(),
+    roles: v.array(v.string()),
+    sources: v.array(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const session = await ctx.db
+      .query("sessions")
+      .withIndex("by_session_id", (q: any) => q.eq("sessionId", args.sessionId))
+      .first();
+
+    if (!session) {
+      throw new Error("Unauthorized: No session found");
+    }
+
+    const changed = session.roles.slice().sort().join(",") !== args.roles.slice().sort().join(",");
+    const now = Date.now();
+    await ctx.db.patch(session._id, {
+      roles: args.roles,
+      updatedAt: now,
+    });
+
+    // Log audit trail when the operator's access changes
+    if (changed) {
+      await recordAudit(ctx, {
+        tenantId: session.tenantId,
+        sessionId: session.sessionId,
+        userId: session.userId,
+        action: "resolve_roles",
+        resourceType: "sessions",
+        resourceId: session._id,
+        details: `Roles for ${session.email || session.userId}: ${args.roles.join(", ") || "none"} (${args.sources.join("; ") || "no role sources"})`,
+        timestamp: now,
+      });
+    }
+  },
+});
@@ -0,0 +1,26 @@
+import { internalQuery } from "./_generated/server";
+import { v } from "convex/values";
+
+export const getSession = internalQuery({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db
+      .query("sessions")
+      .withIndex("by_session_id", (q: any) => q.eq("sessionId", args.sessionId))
+      .first();
+  },
+});
+
+export const getRoleMappings = internalQuery({
+  args: {
+    tenantId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db
+      .query("role_mappings")
+      .withIndex("by_tenant", (q: any) => q.eq("tenantId", args.tenantId))
+      .collect();
+  },
+});
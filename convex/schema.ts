@@ -47,6 +47,7 @@ export default defineSchema({
     status: v.union(
       v.literal("scheduled"),
       v.literal("in-progress"),
+      v.literal("awaiting-approval"), // Ran, but a device wipe waits for approval; approveWipe resumes it
       v.literal("completed"),
       v.literal("failed")
     ),
@@ -83,12 +84,24 @@ export default defineSchema({
       backupData: v.optional(v.boolean()),
       transferFiles: v.optional(v.boolean()),
       newFileOwner: v.optional(v.string()),
+      fileTransferMode: v.optional(v.union(v.literal("grant"), v.literal("copy"))),
       // Devices
       removeDevices: v.optional(v.boolean()),
       removeApps: v.optional(v.boolean()),
       wipeDevices: v.optional(v.boolean()),
       retireDevices: v.optional(v.boolean()),
     }),
+
+    // Device wipes are only sent once an admin other than createdBy has approved them
+    wipeApproval: v.optional(v.object({
+      approvedBy: v.string(),
+      approvedByName: v.optional(v.string()),
+      approvedAt: v.number(),
+    })),
+    // Dry-run plan reviewed before execution; diffed against the run
+    planId: v.optional(v.id("offboarding_plans")),
+    // Shared by every record created from one CSV import
+    batchId: v.optional(v.string()),
     
     // Execution tracking
     executedAt: v.optional(v.number()),
@@ -104,10 +117,76 @@ export default defineSchema({
     .index("by_tenant_and_session", ["tenantId", "sessionId"])
     .index("by_tenant_and_status", ["tenantId", "status"])
     .index("by_tenant_and_date", ["tenantId", "offboardingDate"])
+    .index("by_tenant_and_batch", ["tenantId", "batchId"])
     .index("by_user", ["userId"])
     .index("by_status", ["status"])
     .index("by_date", ["offboardingDate"]),
 
+  // Per-step checkpoints so a retried offboarding resumes at the first unfinished step
+  offboarding_checkpoints: defineTable({
+    tenantId: v.string(),
+    offboardingId: v.id("scheduled_offboarding"),
+    step: v.string(), // Pipeline step ID, e.g. "transferFiles"
+    status: v.union(v.literal("completed"), v.literal("failed"), v.literal("pending")), // Pending steps run again
+    attempts: v.number(),
+    message: v.optional(v.string()),
+    updatedAt: v.number(),
+  })
+    .index("by_offboarding_id", ["offboardingId"])
+    .index("by_offboarding_and_step", ["offboardingId", "step"]),
+
+  // Dry-run plans: what each pipeline step would change, resolved without mutating anything
+  offboarding_plans: defineTable({
+    tenantId: v.string(),
+    offboardingId: v.id("scheduled_offboarding"),
+    generatedBy: v.string(),
+    generatedAt: v.number(),
+    steps: v.array(v.object({
+      step: v.string(),
+      dependsOn: v.array(v.string()),
+      status: v.union(v.literal("planned"), v.literal("alreadyCompleted"), v.literal("unresolved")),
+      changes: v.array(v.object({
+        description: v.string(),
+        target: v.optional(v.string()),
+        skipReason: v.optional(v.string()),
+      })),
+      error: v.optional(v.string()),
+    })),
+  })
+    .index("by_offboarding_id", ["offboardingId"]),
+
+  // State captured before an offboarding changes anything, so a reversed termination can be reinstated
+  offboarding_snapshots: defineTable({
+    tenantId: v.string(),
+    offboardingId: v.id("scheduled_offboarding"),
+    targetUserId: v.string(), // Object ID
+    capturedAt: v.number(),
+    accountEnabled: v.boolean(),
+    manager: v.optional(v.object({
+      id: v.string(),
+      displayName: v.optional(v.string()),
+    })),
+    // Cloud groups with assigned membership; synced and dynamic groups are not removed, so not restored
+    groups: v.array(v.object({
+      id: v.string(),
+      name: v.string(),
+    })),
+    // Direct license assignments only; group-based licenses return with the groups
+    licenses: v.array(v.object({
+      skuId: v.string(),
+      skuPartNumber: v.optional(v.string()),
+      disabledPlans: v.array(v.string()),
+    })),
+    appRoleAssignments: v.array(v.object({
+      appRoleId: v.string(),
+      resourceId: v.string(),
+      resourceDisplayName: v.optional(v.string()),
+    })),
+    reinstatedAt: v.optional(v.number()),
+    reinstatedBy: v.optional(v.string()),
+  })
+    .index("by_offboarding_id", ["offboardingId"]),
+
   // Offboarding execution logs for detailed audit trail
   offboarding_execution_logs: defineTable({
     tenantId: v.string(),
@@ -119,7 +198,8 @@ export default defineSchema({
     executedBy: v.string(), // User who executed the offboarding
     executionType: v.union(
       v.literal("immediate"),
-      v.literal("scheduled")
+      v.literal("scheduled"),
+      v.literal("reinstate")
     ),
     startTime: v.number(),
     endTime: v.optional(v.number()),
@@ -127,6 +207,7 @@ export default defineSchema({
       v.literal("in-progress"),
       v.literal("completed"),
       v.literal("partial"),
+      v.literal("awaiting-approval"),
       v.literal("failed")
     ),
     totalActions: v.number(),
@@ -146,6 +227,16 @@ export default defineSchema({
       details: v.optional(v.string()),
     })),
     error: v.optional(v.string()),
+    // Attached plan compared with what each step did
+    planId: v.optional(v.id("offboarding_plans")),
+    planDiff: v.optional(v.array(v.object({
+      step: v.string(),
+      outcome: v.string(),
+      added: v.array(v.string()),
+      removed: v.array(v.string()),
+      // Absent on runs logged before issues were recorded
+      issues: v.optional(v.array(v.object({ status: v.string(), message: v.string() }))),
+    }))),
     createdAt: v.number(),
   })
     .index("by_tenant", ["tenantId"])
@@ -155,6 +246,47 @@ export default defineSchema({
     .index("by_executed_by", ["executedBy"])
     .index("by_status", ["status"]),
 
+  // OneDrive transfer/backup manifests - proof of what was moved during an offboarding
+  drive_manifests: defineTable({
+    tenantId: v.string(),
+    offboardingId: v.optional(v.id("scheduled_offboarding")),
+    action: v.union(v.literal("transferFiles"), v.literal("backupData")),
+    sourceUserId: v.string(),
+    sourceUserName: v.string(),
+    mode: v.union(v.literal("grant"), v.literal("copy"), v.literal("inventory")),
+    status: v.union(v.literal("completed"), v.literal("partial"), v.literal("failed")),
+    destination: v.optional(v.string()), // New owner or archive account
+    destinationPath: v.optional(v.string()), // Handover folder for copy mode
+    totalItems: v.number(),
+    totalFiles: v.number(),
+    totalBytes: v.number(),
+    transferredItems: v.number(),
+    failedItems: v.number(),
+    verifiedFiles: v.optional(v.number()), // Files found in the copy after transfer
+    verifiedBytes: v.optional(v.number()),
+    createdAt: v.number(),
+  })
+    .index("by_tenant", ["tenantId"])
+    .index("by_offboarding_id", ["offboardingId"]),
+
+  // Manifest items stored in chunks to stay under the document size limit on large drives
+  drive_manifest_items: defineTable({
+    manifestId: v.id("drive_manifests"),
+    chunkIndex: v.number(),
+    items: v.array(v.object({
+      itemId: v.string(),
+      name: v.string(),
+      path: v.string(),
+      isFolder: v.boolean(),
+      size: v.number(),
+      lastModifiedDateTime: v.optional(v.string()),
+      quickXorHash: v.optional(v.string()),
+      status: v.union(v.literal("transferred"), v.literal("failed"), v.literal("inventoried")),
+      error: v.optional(v.string()),
+    })),
+  })
+    .index("by_manifest", ["manifestId", "chunkIndex"]),
+
   // Onboarding execution logs for detailed audit trail
   onboarding_execution_logs: defineTable({
     tenantId: v.string(),
@@ -188,15 +320,138 @@ export default defineSchema({
       details: v.optional(v.string()),
     })),
     error: v.optional(v.string()),
+    // Set when the run was a scheduled start-date activation
+    scheduledOnboardingId: v.optional(v.id("scheduled_onboarding")),
     createdAt: v.number(),
   })
     .index("by_tenant", ["tenantId"])
     .index("by_tenant_and_time", ["tenantId", "startTime"])
     .index("by_target_user", ["targetUserId"])
     .index("by_executed_by", ["executedBy"])
+    .index("by_status", ["status"])
+    .index("by_scheduled_onboarding", ["scheduledOnboardingId"]),
+
+  // Pre-staged hires: the account is created disabled with licenses and groups in place,
+  // and the cron enables it on the start date in the hire's timezone
+  scheduled_onboarding: defineTable({
+    tenantId: v.string(),
+    sessionId: v.string(),
+    userId: v.string(), // Graph ID of the staged (disabled) account
+    userPrincipalName: v.string(),
+    displayName: v.string(),
+    startDate: v.string(), // YYYY-MM-DD in the hire's timezone
+    startTime: v.string(), // HH:mm in the hire's timezone
+    timezone: v.string(),
+    activationDate: v.number(), // Unix timestamp of startDate/startTime
+    status: v.union(
+      v.literal("scheduled"),
+      v.literal("in-progress"),
+      v.literal("completed"),
+      v.literal("failed")
+    ),
+    encryptedPassword: v.optional(v.string()), // Temporary password set on activation
+    requirePasswordChange: v.boolean(),
+    sendWelcomeEmail: v.boolean(),
+    welcomeMessage: v.optional(v.string()),
+    notifyManager: v.boolean(),
+    managerEmail: v.optional(v.string()),
+    stagedLicenses: v.array(v.string()), // SKU IDs assigned while staging
+    stagedGroups: v.array(v.string()), // Group IDs added while staging
+    executedAt: v.optional(v.number()),
+    executedBy: v.optional(v.string()),
+    error: v.optional(v.string()),
+    createdBy: v.string(),
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_tenant", ["tenantId"])
     .index("by_status", ["status"]),
 
   // Audit log for compliance
+  // Mover workflow: role, department, manager or location changes applied on the effective date
+  scheduled_transfers: defineTable({
+    tenantId: v.string(),
+    sessionId: v.string(),
+    userId: v.string(), // Graph ID of the user being transferred
+    userPrincipalName: v.string(),
+    displayName: v.string(),
+    transferType: v.string(), // department, role, promotion, location
+    effectiveDate: v.string(), // YYYY-MM-DD in the selected timezone
+    effectiveTime: v.string(), // HH:mm in the selected timezone
+    timezone: v.string(),
+    executionDate: v.number(), // Unix timestamp of effectiveDate/effectiveTime
+    status: v.union(
+      v.literal("scheduled"),
+      v.literal("in-progress"),
+      v.literal("completed"),
+      v.literal("failed")
+    ),
+    changes: v.object({
+      department: v.optional(v.string()),
+      jobTitle: v.optional(v.string()),
+      officeLocation: v.optional(v.string()),
+      manager: v.optional(v.string()), // UPN or email of the new manager
+      emailPrefix: v.optional(v.string()), // New UPN/email local part, same domain
+    }),
+    previousDepartment: v.optional(v.string()),
+    // Group swap resolved from department mappings when the transfer was scheduled
+    addGroups: v.array(v.object({ id: v.string(), displayName: v.string() })),
+    removeGroups: v.array(v.object({ id: v.string(), displayName: v.string() })),
+    notifyUser: v.boolean(),
+    notifyManager: v.boolean(),
+    notes: v.optional(v.string()),
+    executedAt: v.optional(v.number()),
+    executedBy: v.optional(v.string()),
+    error: v.optional(v.string()),
+    createdBy: v.string(),
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_tenant", ["tenantId"])
+    .index("by_status", ["status"])
+    .index("by_user", ["userId"]),
+
+  transfer_execution_logs: defineTable({
+    tenantId: v.string(),
+    sessionId: v.string(),
+    transferId: v.id("scheduled_transfers"),
+    targetUserId: v.string(),
+    targetUserName: v.string(),
+    targetUserEmail: v.string(),
+    executedBy: v.string(),
+    executionType: v.union(
+      v.literal("immediate"),
+      v.literal("scheduled")
+    ),
+    startTime: v.number(),
+    endTime: v.number(),
+    status: v.union(
+      v.literal("completed"),
+      v.literal("partial"),
+      v.literal("failed")
+    ),
+    totalActions: v.number(),
+    successfulActions: v.number(),
+    failedActions: v.number(),
+    skippedActions: v.number(),
+    actions: v.array(v.object({
+      action: v.string(),
+      status: v.union(
+        v.literal("success"),
+        v.literal("error"),
+        v.literal("skipped"),
+        v.literal("warning")
+      ),
+      message: v.string(),
+      timestamp: v.number(),
+      details: v.optional(v.string()),
+    })),
+    error: v.optional(v.string()),
+    createdAt: v.number(),
+  })
+    .index("by_tenant", ["tenantId"])
+    .index("by_transfer", ["transferId"]),
+
   audit_log: defineTable({
     tenantId: v.string(),
     sessionId: v.string(),
@@ -205,12 +460,22 @@ export default defineSchema({
     resourceType: v.string(), // e.g., "scheduled_offboarding", "user", "session"
     resourceId: v.optional(v.string()),
     details: v.optional(v.string()),
+    actorName: v.optional(v.string()), // Display name or email of the actor at the time
+    targetName: v.optional(v.string()), // Human-readable name of the resource
+    before: v.optional(v.string()), // JSON snapshot before the change
+    after: v.optional(v.string()), // JSON snapshot after the change
+    outcome: v.optional(v.union(v.literal("success"), v.literal("failure"))),
     ipAddress: v.optional(v.string()),
     userAgent: v.optional(v.string()),
     timestamp: v.number(),
+    // Hash chain (see auditTrail.ts); absent on entries written before chaining
+    sequence: v.optional(v.number()),
+    previousHash: v.optional(v.string()),
+    hash: v.optional(v.string()),
   })
     .index("by_tenant", ["tenantId"])
     .index("by_tenant_and_timestamp", ["tenantId", "timestamp"])
+    .index("by_tenant_and_sequence", ["tenantId", "sequence"])
     .index("by_user", ["userId"])
     .index("by_action", ["action"])
     .index("by_resource", ["resourceType", "resourceId"]),
@@ -238,7 +503,295 @@ export default defineSchema({
     lastUsed: v.optional(v.number()), // Last time credentials were used
     lastValidated: v.optional(v.number()), // Last successful token acquisition
     isActive: v.boolean(), // Whether credentials are active
+    credentialType: v.optional(v.union(v.literal("secret"), v.literal("certificate"))), // Missing on records saved before certificates: "secret"
+    expiresAt: v.optional(v.number()), // When the client secret or certificate lapses
+    expirySource: v.optional(v.union(v.literal("certificate"), v.literal("entra"), v.literal("manual"))),
+    expiryWarningDays: v.optional(v.number()), // Smallest warning threshold already sent (see credentials.ts)
   })
     .index("by_tenant", ["tenantId"])
     .index("by_tenant_active", ["tenantId", "isActive"]),
+
+  // Directory groups whose members get a portal role (see accessControl.ts)
+  role_mappings: defineTable({
+    tenantId: v.string(),
+    groupId: v.string(), // Entra group object ID
+    groupName: v.string(),
+    role: v.string(),
+    createdBy: v.string(),
+    createdAt: v.number(),
+  })
+    .index("by_tenant", ["tenantId"]),
+
+  // Four-eyes requests for destructive operations (see approvalPolicy.ts)
+  approval_requests: defineTable({
+    tenantId: v.string(),
+    sessionId: v.string(), // Requester's session
+    operation: v.union(
+      v.literal("deleteUser"),
+      v.literal("wipeDevice"),
+      v.literal("removeAllLicenses"),
+      v.literal("executeOffboarding")
+    ),
+    targetId: v.string(), // User or device ID the operation acts on
+    targetName: v.string(),
+    summary: v.string(), // One line shown in the inbox and the notification
+    payload: v.optional(v.any()), // What the requester planned, e.g. the offboarding options
+    reason: v.optional(v.string()),
+    status: v.union(
+      v.literal("pending"),
+      v.literal("approved"),
+      v.literal("rejected"),
+      v.literal("cancelled"),
+      v.literal("expired"),
+      v.literal("executing"),
+      v.literal("executed"),
+      v.literal("failed")
+    ),
+
+    requestedBy: v.string(),
+    requestedByName: v.optional(v.string()),
+    decidedBy: v.optional(v.string()),
+    decidedByName: v.optional(v.string()),
+    decisionComment: v.optional(v.string()),
+    decidedAt: v.optional(v.number()),
+    // Pending requests expire unanswered; approved ones must be carried out before this
+    expiresAt: v.number(),
+
+    executedBy: v.optional(v.string()),
+    executedAt: v.optional(v.number()),
+    executionMessage: v.optional(v.string()),
+
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_tenant", ["tenantId"])
+    .index("by_tenant_and_status", ["tenantId", "status"])
+    .index("by_status", ["status"]),
+
+  // Endpoints notified of lifecycle events (see webhookEvents.ts)
+  webhook_subscriptions: defineTable({
+    tenantId: v.string(),
+    name: v.string(),
+    url: v.string(),
+    events: v.array(v.string()), // Event types delivered to this endpoint
+    encryptedSecret: v.string(), // HMAC signing secret, encrypted with credentialUtils
+    enabled: v.boolean(),
+    lastDeliveryAt: v.optional(v.number()),
+    lastDeliveryStatus: v.optional(v.union(v.literal("delivered"), v.literal("failed"))),
+    createdBy: v.string(),
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_tenant", ["tenantId"]),
+
+  // One row per event per subscription, updated on every attempt
+  webhook_deliveries: defineTable({
+    tenantId: v.string(),
+    subscriptionId: v.id("webhook_subscriptions"),
+    eventId: v.string(), // Same for every subscription that receives the event
+    eventType: v.string(),
+    payload: v.string(), // Exact JSON body that is signed and sent
+    status: v.union(
+      v.literal("pending"),
+      v.literal("delivered"),
+      v.literal("retrying"),
+      v.literal("failed")
+    ),
+    attempts: v.number(),
+    nextAttemptAt: v.optional(v.number()),
+    responseStatus: v.optional(v.number()),
+    responseBody: v.optional(v.string()), // First 1KB
+    error: v.optional(v.string()),
+    durationMs: v.optional(v.number()),
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_subscription", ["subscriptionId"])
+    .index("by_tenant", ["tenantId"]),
+
+  // Keys the HR system authenticates to /hr/events with; only a hash is kept
+  hr_api_keys: defineTable({
+    tenantId: v.string(),
+    name: v.string(),
+    keyPrefix: v.string(), // First characters, to tell keys apart
+    keyHash: v.string(), // SHA-256 of the key, hex
+    createdBy: v.string(),
+    createdAt: v.number(),
+    lastUsedAt: v.optional(v.number()),
+    revokedAt: v.optional(v.number()),
+  })
+    .index("by_key_hash", ["keyHash"])
+    .index("by_tenant", ["tenantId"]),
+
+  // How hire, transfer and termination events become records (see hrEventMapping.ts)
+  hr_event_templates: defineTable({
+    tenantId: v.string(),
+    name: v.string(),
+    eventType: v.union(v.literal("hire"), v.literal("transfer"), v.literal("termination")),
+    // Events match when every condition that is set is equal; the most specific template wins
+    department: v.optional(v.string()),
+    employeeType: v.optional(v.string()),
+    effectiveTime: v.string(), // HH:mm used when the event has no time
+    timezone: v.string(), // IANA timezone used when the event has none
+    autoApply: v.boolean(), // Otherwise every matching event waits in the review queue
+    notifyManager: v.boolean(),
+    notifyUser: v.boolean(),
+    // Termination
+    offboardingTemplate: v.optional(v.string()),
+    offboardingActions: v.optional(v.any()),
+    // Transfer
+    transferType: v.optional(v.string()),
+    addGroups: v.optional(v.array(v.object({ id: v.string(), displayName: v.string() }))),
+    removeGroups: v.optional(v.array(v.object({ id: v.string(), displayName: v.string() }))),
+    // Hire
+    sendWelcomeEmail: v.optional(v.boolean()),
+    requirePasswordChange: v.optional(v.boolean()),
+    createdBy: v.string(),
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_tenant", ["tenantId"]),
+
+  // Events received from the HR system, and the review queue for incomplete ones
+  hr_events: defineTable({
+    tenantId: v.string(),
+    apiKeyId: v.id("hr_api_keys"),
+    sourceEventId: v.optional(v.string()), // HR system's own ID; a repeat is acknowledged and ignored
+    eventType: v.union(v.literal("hire"), v.literal("transfer"), v.literal("termination")),
+    employeeId: v.string(),
+    effectiveDate: v.string(), // YYYY-MM-DD
+    effectiveTime: v.optional(v.string()), // HH:mm
+    timezone: v.optional(v.string()),
+    employee: v.object({
+      userPrincipalName: v.optional(v.string()),
+      email: v.optional(v.string()),
+      displayName: v.optional(v.string()),
+      department: v.optional(v.string()),
+      jobTitle: v.optional(v.string()),
+      officeLocation: v.optional(v.string()),
+      managerEmail: v.optional(v.string()),
+      employeeType: v.optional(v.string()),
+    }),
+    status: v.union(
+      v.literal("received"),
+      v.literal("needs_review"),
+      v.literal("applied"),
+      v.literal("duplicate"),
+      v.literal("dismissed")
+    ),
+    missingFields: v.array(v.string()),
+    reviewNote: v.optional(v.string()),
+    templateId: v.optional(v.id("hr_event_templates")),
+    // Directory account the event was matched to
+    userId: v.optional(v.string()),
+    userPrincipalName: v.optional(v.string()),
+    displayName: v.optional(v.string()),
+    previousDepartment: v.optional(v.string()),
+    // Record created from the event, or the open one a duplicate points at
+    recordType: v.optional(v.union(
+      v.literal("scheduled_onboarding"),
+      v.literal("scheduled_transfers"),
+      v.literal("scheduled_offboarding")
+    )),
+    recordId: v.optional(v.string()),
+    receivedCount: v.number(), // Deliveries merged into this event
+    appliedBy: v.optional(v.string()),
+    appliedAt: v.optional(v.number()),
+    receivedAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_tenant_and_status", ["tenantId", "status"])
+    .index("by_tenant_and_employee", ["tenantId", "employeeId"])
+    .index("by_tenant_and_source_event", ["tenantId", "sourceEventId"]),
+
+  // One per tenant: when Intune configuration is backed up and how long backups are kept
+  intune_backup_schedules: defineTable({
+    tenantId: v.string(),
+    enabled: v.boolean(),
+    frequency: v.union(v.literal("daily"), v.literal("weekly")),
+    dayOfWeek: v.optional(v.number()), // 0 = Sunday; weekly only
+    time: v.string(), // HH:mm
+    timezone: v.string(),
+    includeAssignments: v.boolean(),
+    // A backup is deleted once it is neither among the newest keepCount nor younger than keepDays
+    keepCount: v.number(),
+    keepDays: v.number(),
+    nextRunAt: v.optional(v.number()),
+    lastRunAt: v.optional(v.number()),
+    sessionId: v.string(), // Whose saved credentials the runs use (see credentialUtils.loadCredentials)
+    createdBy: v.string(),
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_tenant", ["tenantId"])
+    .index("by_enabled_and_next_run", ["enabled", "nextRunAt"]),
+
+  // Intune configuration backups; the export document itself is in file storage
+  intune_backups: defineTable({
+    tenantId: v.string(),
+    trigger: v.union(v.literal("scheduled"), v.literal("manual")),
+    status: v.union(v.literal("running"), v.literal("completed"), v.literal("failed")),
+    includeAssignments: v.boolean(),
+    storageId: v.optional(v.id("_storage")),
+    manifest: v.optional(v.any()), // intuneExport.generateManifest
+    sizeBytes: v.optional(v.number()),
+    typeErrors: v.optional(v.any()), // Policy type -> error, for types that could not be read
+    error: v.optional(v.string()),
+    sessionId: v.string(),
+    createdBy: v.string(),
+    startedAt: v.number(),
+    completedAt: v.optional(v.number()),
+  })
+    .index("by_tenant", ["tenantId"])
+    .index("by_status", ["status"]),
+
+  // One per tenant: the golden baseline live Intune configuration is checked against
+  intune_drift_settings: defineTable({
+    tenantId: v.string(),
+    enabled: v.boolean(),
+    baselineBackupId: v.optional(v.id("intune_backups")), // Kept whatever the backup retention
+    intervalHours: v.number(),
+    notifyEmails: v.array(v.string()),
+    encryptedTeamsWebhookUrl: v.optional(v.string()), // Teams incoming webhook, encrypted with credentialUtils
+    nextCheckAt: v.optional(v.number()),
+    lastCheckAt: v.optional(v.number()),
+    lastCheckError: v.optional(v.string()),
+    sessionId: v.string(), // Whose saved credentials checks use (see credentialUtils.loadCredentials)
+    createdBy: v.string(),
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_tenant", ["tenantId"])
+    .index("by_enabled_and_next_check", ["enabled", "nextCheckAt"]),
+
+  // A policy that differs from the baseline; updated while the same drift persists
+  intune_drift_events: defineTable({
+    tenantId: v.string(),
+    baselineBackupId: v.id("intune_backups"),
+    key: v.string(), // Policy type, difference and policy, to recognise the same drift on the next check
+    policyType: v.string(),
+    policyName: v.string(),
+    diffType: v.union(v.literal("added"), v.literal("removed"), v.literal("modified")),
+    policyId: v.optional(v.string()), // Live policy; absent when it was removed
+    baselinePolicyId: v.optional(v.string()), // Policy in the baseline; absent when it was added
+    odataType: v.optional(v.string()),
+    changes: v.array(v.object({
+      property: v.string(),
+      currentValue: v.string(),
+      backupValue: v.string(),
+      type: v.union(v.literal("added"), v.literal("removed"), v.literal("modified")),
+    })),
+    fingerprint: v.string(), // Hash of the changes; a new one reopens accepted drift
+    status: v.union(
+      v.literal("open"),
+      v.literal("accepted"), // Acknowledged; not alerted again unless the changes differ
+      v.literal("reverted"), // Reverted from the portal; resolved once a check confirms it
+      v.literal("resolved")
+    ),
+    detectedAt: v.number(),
+    lastSeenAt: v.number(),
+    resolvedAt: v.optional(v.number()),
+    resolvedBy: v.optional(v.string()),
+  })
+    .index("by_tenant_and_status", ["tenantId", "status"]),
 });
@@ -0,0 +1,103 @@
+/**
+ * Time helpers shared by the scheduled offboarding, onboarding and backup functions
+ */
+
+/**
+ * Convert a date/time in a specific timezone to UTC timestamp
+ * This properly handles timezone conversion by using the IANA timezone
+ * 
+ * Example: User enters 9:00 AM in America/New_York (UTC-5)
+ * Goal: Return UTC timestamp for 14:00 UTC (9:00 + 5 hours)
+ */
+export function parseInTimezone(dateStr: string, timeStr: string, timezone: string): number {
+  // Parse the user's input
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const [hour, minute] = timeStr.split(':').map(Number);
+  
+  // Strategy: Use a reference point to calculate the timezone offset
+  // Create a reference date in UTC
+  const referenceUTC = new Date(Date.UTC(year, month - 1, day, 12, 0, 0)); // noon UTC
+  
+  // Format this UTC time in the target timezone to see what local time it represents
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+  });
+  
+  const parts = formatter.formatToParts(referenceUTC);
+  const localHour = Number(parts.find(p => p.type === 'hour')?.value);
+  const localMinute = Number(parts.find(p => p.type === 'minute')?.value);
+  const localDay = Number(parts.find(p => p.type === 'day')?.value);
+  
+  // Calculate the offset in minutes (positive = ahead of UTC, negative = behind UTC)
+  // If UTC 12:00 shows as 07:00 in the target timezone, offset is -5 hours
+  let offsetMinutes = (localHour * 60 + localMinute) - (12 * 60 + 0);
+  
+  // Handle day boundary crossings
+  if (localDay > day) {
+    offsetMinutes += 24 * 60; // Timezone is ahead (e.g., UTC+13)
+  } else if (localDay < day) {
+    offsetMinutes -= 24 * 60; // Timezone is behind (e.g., UTC-11)
+  }
+  
+  // Create the user's intended time as if it were UTC
+  const naiveUTC = Date.UTC(year, month - 1, day, hour, minute, 0);
+  
+  // To convert local time to UTC: subtract the offset
+  // If timezone is UTC-5 (offsetMinutes = -300), and user wants 9:00 local:
+  // 9:00 local - (-300 min) = 9:00 + 5 hours = 14:00 UTC ✓
+  const utcTimestamp = naiveUTC - (offsetMinutes * 60 * 1000);
+  
+  return utcTimestamp;
+}
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Calendar date (YYYY-MM-DD) and weekday (0 = Sunday) of a moment in a timezone
+ */
+export function localDateInTimezone(timestamp: number, timezone: string) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+  }).formatToParts(new Date(timestamp));
+  const part = (type: string) => parts.find(p => p.type === type)?.value;
+
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    weekday: WEEKDAYS.indexOf(part('weekday') || ''),
+  };
+}
+
+/**
+ * First run of a daily or weekly job after a moment, at its time of day in its timezone
+ */
+export function nextRecurringRun(
+  recurrence: { frequency: "daily" | "weekly"; dayOfWeek?: number; time: string; timezone: string },
+  after: number
+): number {
+  const { date, weekday } = localDateInTimezone(after, recurrence.timezone);
+  const [year, month, day] = date.split('-').map(Number);
+
+  // A week and a day covers a weekly run whose time today has already passed
+  for (let offset = 0; offset <= 7; offset++) {
+    if (recurrence.frequency === "weekly" && (weekday + offset) % 7 !== recurrence.dayOfWeek) {
+      continue;
+    }
+    const runDate = new Date(Date.UTC(year, month - 1, day + offset)).toISOString().slice(0, 10);
+    const runAt = parseInTimezone(runDate, recurrence.time, recurrence.timezone);
+    if (runAt > after) {
+      return runAt;
+    }
+  }
+
+  throw new Error(`No run found for ${recurrence.frequency} schedule at ${recurrence.time}`);
+}
@@ -0,0 +1,325 @@
+"use node";
+
+import { action, internalAction } from "./_generated/server";
+import { v } from "convex/values";
+import { api, internal } from "./_generated/api";
+import { loadCredentials } from "./credentialUtils";
+import { fetchWithGraphToken, getAccessTokenFromCredentials } from "./graphUtils";
+import { ActionResult, buildActionResult, PipelineStep, runPipeline } from "./actionPipeline";
+
+const GRAPH_BASE_URL = "https://graph.microsoft.com/v1.0";
+const SYSTEM_EXECUTOR = "system-cron";
+const DEFAULT_LIMIT = 5;
+
+interface TransferContext {
+  accessToken: string;
+  record: any;
+}
+
+function escapeODataString(value: string): string {
+  return encodeURIComponent(value.replace(/'/g, "''"));
+}
+
+async function sendMail(accessToken: string, fromUser: string, toAddress: string, subject: string, html: string) {
+  await fetchWithGraphToken(accessToken, `/users/${fromUser}/sendMail`, {
+    method: "POST",
+    body: JSON.stringify({
+      message: {
+        subject,
+        body: { contentType: "HTML", content: html },
+        toRecipients: [{ emailAddress: { address: toAddress } }],
+      },
+    }),
+  });
+}
+
+/**
+ * Transfer pipeline
+ * Notifications wait for the profile change, so nobody is told about a move that did not happen.
+ * Every step can be run again: group changes skip memberships that are already in place
+ */
+const TRANSFER_STEPS: PipelineStep<TransferContext>[] = [
+  {
+    id: "updateProfile",
+    enabled: ({ record }) => !!(record.changes.department || record.changes.jobTitle || record.changes.officeLocation),
+    run: async ({ accessToken, record }) => {
+      const { department, jobTitle, officeLocation } = record.changes;
+      const updates: Record<string, string> = {};
+      if (department) updates.department = department;
+      if (jobTitle) updates.jobTitle = jobTitle;
+      if (officeLocation) updates.officeLocation = officeLocation;
+
+      await fetchWithGraphToken(accessToken, `/users/${record.userId}`, {
+        method: "PATCH",
+        body: JSON.stringify(updates),
+      });
+      return [buildActionResult("Profile Update", "success", `Updated ${Object.keys(updates).join(", ")}`)];
+    },
+  },
+  {
+    id: "updateManager",
+    enabled: ({ record }) => !!record.changes.manager,
+    run: async ({ accessToken, record }) => {
+      const address = escapeODataString(record.changes.manager);
+      const response = await fetchWithGraphToken(
+        accessToken,
+        `/users?$filter=userPrincipalName eq '${address}' or mail eq '${address}'&$select=id,displayName`
+      );
+      const manager = response?.value?.[0];
+      if (!manager) {
+        throw new Error(`Manager ${record.changes.manager} not found`);
+      }
+
+      await fetchWithGraphToken(accessToken, `/users/${record.userId}/manager/$ref`, {
+        method: "PUT",
+        body: JSON.stringify({ "@odata.id": `${GRAPH_BASE_URL}/users/${manager.id}` }),
+      });
+      return [buildActionResult("Manager Assignment", "success", `Manager set to ${manager.displayName}`)];
+    },
+  },
+  {
+    id: "removeOldGroups",
+    enabled: ({ record }) => record.removeGroups.length > 0,
+    run: async ({ accessToken, record }) => {
+      const results: ActionResult[] = [];
+      for (const group of record.removeGroups) {
+        try {
+          await fetchWithGraphToken(accessToken, `/groups/${group.id}/members/${record.userId}/$ref`, {
+            method: "DELETE",
+          });
+          results.push(buildActionResult("Remove Group", "success", `Removed from ${group.displayName}`));
+        } catch (error) {
+          const message = (error as Error).message;
+          results.push(/does not exist|not found/i.test(message)
+            ? buildActionResult("Remove Group", "skipped", `Not a member of ${group.displayName}`)
+            : buildActionResult("Remove Group", "error", `${group.displayName}: ${message}`));
+        }
+      }
+      return results;
+    },
+  },
+  {
+    id: "addNewGroups",
+    enabled: ({ record }) => record.addGroups.length > 0,
+    run: async ({ accessToken, record }) => {
+      const results: ActionResult[] = [];
+      for (const group of record.addGroups) {
+        try {
+          await fetchWithGraphToken(accessToken, `/groups/${group.id}/members/$ref`, {
+            method: "POST",
+            body: JSON.stringify({ "@odata.id": `${GRAPH_BASE_URL}/directoryObjects/${record.userId}` }),
+          });
+          results.push(buildActionResult("Add Group", "success", `Added to ${group.displayName}`));
+        } catch (error) {
+          const message = (error as Error).message;
+          results.push(/already exist/i.test(message)
+            ? buildActionResult("Add Group", "skipped", `Already a member of ${group.displayName}`)
+            : buildActionResult("Add Group", "error", `${group.displayName}: ${message}`));
+        }
+      }
+      return results;
+    },
+  },
+  {
+    id: "changeEmailPrefix",
+    enabled: ({ record }) => !!record.changes.emailPrefix,
+    run: async ({ accessToken, record }) => {
+      const domain = record.userPrincipalName.split("@")[1];
+      const newAddress = `${record.changes.emailPrefix}@${domain}`;
+
+      await fetchWithGraphToken(accessToken, `/users/${record.userId}`, {
+        method: "PATCH",
+        body: JSON.stringify({ userPrincipalName: newAddress }),
+      });
+      const results = [buildActionResult("UPN Update", "success", `User principal name changed to ${newAddress}`)];
+
+      // Exchange owns the primary SMTP address of a licensed mailbox and may refuse the change
+      try {
+        await fetchWithGraphToken(accessToken, `/users/${record.userId}`, {
+          method: "PATCH",
+          body: JSON.stringify({ mail: newAddress }),
+        });
+        results.push(buildActionResult("Email Update", "success", `Email updated to ${newAddress}`));
+      } catch (error) {
+        results.push(buildActionResult(
+          "Email Update",
+          "warning",
+          `Primary email not changed: ${(error as Error).message}`,
+          "Change the primary SMTP address in Exchange"
+        ));
+      }
+      return results;
+    },
+  },
+  {
+    id: "notifyUser",
+    dependsOn: ["updateProfile"],
+    enabled: ({ record }) => record.notifyUser,
+    run: async ({ accessToken, record }) => {
+      // Same message graphService.sendTransferNotification sends for an immediate transfer
+      const user = await fetchWithGraphToken(accessToken, `/users/${record.userId}?$select=displayName,mail,userPrincipalName`);
+      const address = user.mail || user.userPrincipalName;
+      await sendMail(accessToken, record.userId, address, "Your Role Transfer/Promotion", `
+        <html>
+          <body>
+            <h2>Congratulations ${user.displayName}!</h2>
+            <p>We're excited to inform you about your role change.</p>
+            <h3>New Position Details:</h3>
+            <ul>
+              ${record.changes.department ? `<li><strong>Department:</strong> ${record.changes.department}</li>` : ""}
+              ${record.changes.jobTitle ? `<li><strong>Job Title:</strong> ${record.changes.jobTitle}</li>` : ""}
+              ${record.changes.officeLocation ? `<li><strong>Location:</strong> ${record.changes.officeLocation}</li>` : ""}
+              <li><strong>Effective Date:</strong> ${record.effectiveDate}</li>
+            </ul>
+            ${record.notes ? `<p><strong>Notes:</strong> ${record.notes}</p>` : ""}
+            <p>If you have any questions, please reach out to your manager or HR.</p>
+            <br/>
+            <p>Best regards,<br/>Human Resources</p>
+          </body>
+        </html>
+      `);
+      return [buildActionResult("User Notification", "success", `Transfer notification sent to ${address}`)];
+    },
+  },
+  {
+    id: "notifyManager",
+    dependsOn: ["updateManager"],
+    enabled: ({ record }) => record.notifyManager && !!record.changes.manager,
+    run: async ({ accessToken, record }) => {
+      await sendMail(accessToken, record.changes.manager, record.changes.manager, "New Team Member Transfer Notification", `
+        <html>
+          <body>
+            <h2>New Team Member</h2>
+            <p>${record.displayName} has joined your team.</p>
+            <h3>Transfer Details:</h3>
+            <ul>
+              ${record.changes.department ? `<li><strong>Department:</strong> ${record.changes.department}</li>` : ""}
+              ${record.changes.jobTitle ? `<li><strong>Job Title:</strong> ${record.changes.jobTitle}</li>` : ""}
+              <li><strong>Start Date:</strong> ${record.effectiveDate}</li>
+            </ul>
+            ${record.notes ? `<p><strong>Notes:</strong> ${record.notes}</p>` : ""}
+            <p>Please ensure ${record.displayName} has the necessary access and resources.</p>
+            <br/>
+            <p>Best regards,<br/>Human Resources</p>
+          </body>
+        </html>
+      `);
+      return [buildActionResult("Manager Notification", "success", `Transfer notification sent to ${record.changes.manager}`)];
+    },
+  },
+];
+
+/**
+ * Apply a transfer that has already been marked in-progress, then record the outcome
+ */
+async function runTransfer(ctx: any, record: any, executedBy: string, executionType: "scheduled" | "immediate") {
+  const startTime = Date.now();
+  let actions: ActionResult[] = [];
+  let failedSteps: string[] = [];
+  let error: string | undefined;
+
+  try {
+    const credentials = await loadCredentials(ctx, record);
+    const accessToken = await getAccessTokenFromCredentials(credentials);
+    ({ results: actions, failedSteps } = await runPipeline(TRANSFER_STEPS, { accessToken, record }));
+    if (failedSteps.length > 0) {
+      error = "One or more transfer steps failed";
+    }
+  } catch (err) {
+    error = (err as Error).message || "Unknown error";
+  }
+
+  const succeeded = actions.some((a) => a.status === "success");
+  const logStatus = !error ? "completed" : succeeded ? "partial" : "failed";
+
+  await ctx.runMutation(internal.transferMutations.updateTransferStatus, {
+    transferId: record._id,
+    status: error ? "failed" : "completed",
+    error,
+  });
+
+  await ctx.runMutation(internal.transferMutations.logTransferExecution, {
+    tenantId: record.tenantId,
+    sessionId: record.sessionId,
+    transferId: record._id,
+    targetUserId: record.userId,
+    targetUserName: record.displayName,
+    targetUserEmail: record.userPrincipalName,
+    executedBy,
+    executionType,
+    startTime,
+    endTime: Date.now(),
+    status: logStatus,
+    actions,
+    error,
+  });
+
+  return { status: logStatus };
+}
+
+export const executeScheduledTransfer = internalAction({
+  args: {
+    transferId: v.id("scheduled_transfers"),
+  },
+  handler: async (ctx, args) => {
+    const record = await ctx.runQuery(internal.transferQueries.getTransferById, {
+      transferId: args.transferId,
+    });
+
+    if (!record) {
+      return { status: "missing" };
+    }
+
+    if (record.status !== "scheduled") {
+      return { status: record.status };
+    }
+
+    await ctx.runMutation(internal.transferMutations.updateTransferStatus, {
+      transferId: args.transferId,
+      status: "in-progress",
+      executedAt: Date.now(),
+      executedBy: SYSTEM_EXECUTOR,
+    });
+
+    return await runTransfer(ctx, record, SYSTEM_EXECUTOR, "scheduled");
+  },
+});
+
+/**
+ * Run a scheduled transfer now instead of waiting for its effective date
+ */
+export const executeTransferNow = action({
+  args: {
+    sessionId: v.string(),
+    transferId: v.id("scheduled_transfers"),
+  },
+  handler: async (ctx, args): Promise<{ status: string }> => {
+    const { record, executedBy } = await ctx.runMutation(api.transfers.beginExecution, {
+      sessionId: args.sessionId,
+      transferId: args.transferId,
+    });
+
+    return await runTransfer(ctx, record, executedBy, "immediate");
+  },
+});
+
+export const scanAndProcessDueTransfers = internalAction({
+  args: {
+    limit: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    const limit = args.limit ?? DEFAULT_LIMIT;
+    const due = await ctx.runQuery(internal.transferQueries.getDueTransfers, {
+      now: Date.now(),
+      limit,
+    });
+
+    for (const record of due) {
+      await ctx.runAction(internal.transferAutomation.executeScheduledTransfer, {
+        transferId: record._id,
+      });
+    }
+
+    return { processed: due.length };
+  },
+});
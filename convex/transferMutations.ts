@@ -0,0 +1,92 @@
+import { internalMutation } from "./_generated/server";
+import { v } from "convex/values";
+import { recordAudit } from "./auditTrail";
+import { emitLifecycleEvent, outcomeEvent } from "./webhookEvents";
+
+// Pure database mutation - no Node.js, no external calls
+export const updateTransferStatus = internalMutation({
+  args: {
+    transferId: v.id("scheduled_transfers"),
+    status: v.union(v.literal("scheduled"), v.literal("in-progress"), v.literal("completed"), v.literal("failed")),
+    executedAt: v.optional(v.number()),
+    executedBy: v.optional(v.string()),
+    error: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const { transferId, ...updates } = args;
+    await ctx.db.patch(transferId, {
+      ...updates,
+      updatedAt: Date.now(),
+    });
+  },
+});
+
+// Pure database mutation for logging
+export const logTransferExecution = internalMutation({
+  args: {
+    tenantId: v.string(),
+    sessionId: v.string(),
+    transferId: v.id("scheduled_transfers"),
+    targetUserId: v.string(),
+    targetUserName: v.string(),
+    targetUserEmail: v.string(),
+    executedBy: v.string(),
+    executionType: v.union(v.literal("scheduled"), v.literal("immediate")),
+    startTime: v.number(),
+    endTime: v.number(),
+    status: v.union(v.literal("completed"), v.literal("partial"), v.literal("failed")),
+    actions: v.array(v.object({
+      action: v.string(),
+      status: v.union(
+        v.literal("success"),
+        v.literal("error"),
+        v.literal("skipped"),
+        v.literal("warning")
+      ),
+      message: v.string(),
+      timestamp: v.number(),
+      details: v.optional(v.string()),
+    })),
+    error: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const counts = {
+      totalActions: args.actions.length,
+      successfulActions: args.actions.filter((a) => a.status === "success").length,
+      failedActions: args.actions.filter((a) => a.status === "error").length,
+      skippedActions: args.actions.filter((a) => a.status === "skipped").length,
+    };
+    const logId = await ctx.db.insert("transfer_execution_logs", {
+      ...args,
+      ...counts,
+      createdAt: Date.now(),
+    });
+
+    await recordAudit(ctx, {
+      tenantId: args.tenantId,
+      sessionId: args.sessionId,
+      userId: args.executedBy,
+      action: "complete_transfer",
+      resourceType: "scheduled_transfers",
+      resourceId: args.transferId,
+      details: `${args.executionType === "scheduled" ? "Automated" : "Manual"} transfer ${args.status} for ${args.targetUserName}`,
+      timestamp: args.endTime,
+    });
+
+    const transfer = await ctx.db.get(args.transferId);
+    await emitLifecycleEvent(ctx, args.tenantId, outcomeEvent("transfer", args.status), {
+      transferId: args.transferId,
+      executionLogId: logId,
+      userId: args.targetUserId,
+      displayName: args.targetUserName,
+      userPrincipalName: args.targetUserEmail,
+      transferType: transfer?.transferType,
+      changes: transfer?.changes,
+      executionType: args.executionType,
+      status: args.status,
+      ...counts,
+      error: args.error,
+      executedBy: args.executedBy,
+    });
+  },
+});
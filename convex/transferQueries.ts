@@ -0,0 +1,29 @@
+import { internalQuery } from "./_generated/server";
+import { v } from "convex/values";
+
+export const getTransferById = internalQuery({
+  args: {
+    transferId: v.id("scheduled_transfers"),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db.get(args.transferId);
+  },
+});
+
+export const getDueTransfers = internalQuery({
+  args: {
+    now: v.number(),
+    limit: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const scheduled = await ctx.db
+      .query("scheduled_transfers")
+      .withIndex("by_status", (q: any) => q.eq("status", "scheduled"))
+      .collect();
+
+    return scheduled
+      .filter((record: any) => record.executionDate <= args.now)
+      .sort((a: any, b: any) => a.executionDate - b.executionDate)
+      .slice(0, args.limit);
+  },
+});
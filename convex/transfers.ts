@@ -0,0 +1,313 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { parseInTimezone } from "./timeUtils";
+import { requirePermission } from "./accessControl";
+import { recordAudit } from "./auditTrail";
+
+/**
+ * Validate session and extract tenant context
+ */
+async function validateSession(ctx: any, sessionId: string) {
+  const session = await ctx.db
+    .query("sessions")
+    .withIndex("by_session_id", (q: any) => q.eq("sessionId", sessionId))
+    .first();
+
+  if (!session) {
+    throw new Error("Unauthorized: No session found");
+  }
+
+  if (session.expiresAt < Date.now()) {
+    throw new Error("Unauthorized: Session expired");
+  }
+
+  return session;
+}
+
+/**
+ * Load a transfer and check it belongs to the caller's tenant
+ */
+async function getTenantTransfer(ctx: any, session: any, transferId: any) {
+  const record = await ctx.db.get(transferId);
+
+  if (!record) {
+    throw new Error("Transfer record not found");
+  }
+
+  if (record.tenantId !== session.tenantId) {
+    throw new Error("Unauthorized: Access denied to records from another tenant");
+  }
+
+  return record;
+}
+
+const groupRef = v.object({ id: v.string(), displayName: v.string() });
+
+/**
+ * List scheduled transfers for a tenant
+ */
+export const list = query({
+  args: {
+    sessionId: v.string(),
+    status: v.optional(v.union(
+      v.literal("scheduled"),
+      v.literal("in-progress"),
+      v.literal("completed"),
+      v.literal("failed")
+    )),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+
+    const records = await ctx.db
+      .query("scheduled_transfers")
+      .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId))
+      .collect();
+
+    const filtered = args.status
+      ? records.filter((record: any) => record.status === args.status)
+      : records;
+
+    return filtered.sort((a: any, b: any) => a.executionDate - b.executionDate);
+  },
+});
+
+/**
+ * Get a single scheduled transfer
+ */
+export const get = query({
+  args: {
+    sessionId: v.string(),
+    transferId: v.id("scheduled_transfers"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    return await getTenantTransfer(ctx, session, args.transferId);
+  },
+});
+
+/**
+ * Schedule a transfer for its effective date
+ * Group IDs are resolved from the department mappings by the caller, since the
+ * mappings live in the browser and the cron cannot read them
+ */
+export const create = mutation({
+  args: {
+    sessionId: v.string(),
+    userId: v.string(),
+    userPrincipalName: v.string(),
+    displayName: v.string(),
+    transferType: v.string(),
+    effectiveDate: v.string(), // YYYY-MM-DD
+    effectiveTime: v.string(), // HH:mm
+    timezone: v.string(),
+    changes: v.object({
+      department: v.optional(v.string()),
+      jobTitle: v.optional(v.string()),
+      officeLocation: v.optional(v.string()),
+      manager: v.optional(v.string()),
+      emailPrefix: v.optional(v.string()),
+    }),
+    previousDepartment: v.optional(v.string()),
+    addGroups: v.array(groupRef),
+    removeGroups: v.array(groupRef),
+    notifyUser: v.boolean(),
+    notifyManager: v.boolean(),
+    notes: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleRequest");
+    const { sessionId, ...fields } = args;
+
+    // One pending transfer per user, so two movers cannot race on the same profile
+    const pending = await ctx.db
+      .query("scheduled_transfers")
+      .withIndex("by_user", (q: any) => q.eq("userId", args.userId))
+      .collect();
+    if (pending.some((record: any) => record.tenantId === session.tenantId && record.status === "scheduled")) {
+      throw new Error(`${args.displayName} already has a scheduled transfer`);
+    }
+
+    const now = Date.now();
+    const transferId = await ctx.db.insert("scheduled_transfers", {
+      ...fields,
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      executionDate: parseInTimezone(args.effectiveDate, args.effectiveTime, args.timezone),
+      status: "scheduled",
+      createdBy: session.userId,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "schedule_transfer",
+      resourceType: "scheduled_transfers",
+      resourceId: transferId,
+      details: `Scheduled ${args.transferType} transfer for ${args.displayName} on ${args.effectiveDate} ${args.effectiveTime} (${args.timezone})`,
+      timestamp: now,
+    });
+
+    return transferId;
+  },
+});
+
+/**
+ * Cancel a transfer that has not run yet
+ */
+export const remove = mutation({
+  args: {
+    sessionId: v.string(),
+    transferId: v.id("scheduled_transfers"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleRequest");
+    const record = await getTenantTransfer(ctx, session, args.transferId);
+
+    if (record.status === "in-progress") {
+      throw new Error("Cannot delete a transfer that is running");
+    }
+
+    await ctx.db.delete(args.transferId);
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "delete_transfer",
+      resourceType: "scheduled_transfers",
+      resourceId: args.transferId,
+      details: `Deleted ${record.status} transfer for ${record.displayName}`,
+      timestamp: Date.now(),
+    });
+
+    return { success: true };
+  },
+});
+
+/**
+ * Claim a scheduled transfer to run now instead of on its effective date
+ * Called by transferAutomation.executeTransferNow before it changes anything
+ */
+export const beginExecution = mutation({
+  args: {
+    sessionId: v.string(),
+    transferId: v.id("scheduled_transfers"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleExecute");
+    const record = await getTenantTransfer(ctx, session, args.transferId);
+
+    if (record.status !== "scheduled") {
+      throw new Error(`Cannot run a transfer that is ${record.status}`);
+    }
+
+    const now = Date.now();
+    await ctx.db.patch(args.transferId, {
+      status: "in-progress",
+      executedAt: now,
+      executedBy: session.userId,
+      updatedAt: now,
+    });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "execute_transfer",
+      resourceType: "scheduled_transfers",
+      resourceId: args.transferId,
+      details: `Started transfer for ${record.displayName} ahead of its effective date`,
+      timestamp: now,
+    });
+
+    return { record, executedBy: session.userId };
+  },
+});
+
+/**
+ * Retry a failed transfer - resets status to scheduled for pickup by the next scan
+ */
+export const retry = mutation({
+  args: {
+    sessionId: v.string(),
+    transferId: v.id("scheduled_transfers"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "lifecycleExecute");
+    const record = await getTenantTransfer(ctx, session, args.transferId);
+
+    if (record.status !== "failed") {
+      throw new Error("Only failed transfers can be retried");
+    }
+
+    const now = Date.now();
+    await ctx.db.patch(args.transferId, {
+      status: "scheduled",
+      executionDate: now, // Set to now so cron picks it up immediately
+      error: undefined,
+      executedAt: undefined,
+      executedBy: undefined,
+      updatedAt: now,
+    });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "retry_transfer",
+      resourceType: "scheduled_transfers",
+      resourceId: args.transferId,
+      details: `Scheduled retry for failed transfer: ${record.displayName}`,
+      timestamp: now,
+    });
+
+    return { success: true, status: "scheduled" };
+  },
+});
+
+/**
+ * Get execution logs for a transfer or user
+ */
+export const getExecutionLogs = query({
+  args: {
+    sessionId: v.string(),
+    transferId: v.optional(v.id("scheduled_transfers")),
+    targetUserId: v.optional(v.string()),
+    limit: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+
+    let logs = args.transferId
+      ? await ctx.db
+          .query("transfer_execution_logs")
+          .withIndex("by_transfer", (q: any) => q.eq("transferId", args.transferId))
+          .collect()
+      : await ctx.db
+          .query("transfer_execution_logs")
+          .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId))
+          .collect();
+
+    logs = logs.filter((log: any) => log.tenantId === session.tenantId);
+    if (args.targetUserId) {
+      logs = logs.filter((log: any) => log.targetUserId === args.targetUserId);
+    }
+
+    // Sort by most recent first
+    logs.sort((a: any, b: any) => b.startTime - a.startTime);
+
+    return args.limit ? logs.slice(0, args.limit) : logs;
+  },
+});
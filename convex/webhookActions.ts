@@ -0,0 +1,189 @@
+"use node";
+
+import { action, internalAction } from "./_generated/server";
+import { v } from "convex/values";
+import crypto from "crypto";
+import dns from "dns/promises";
+import { internal } from "./_generated/api";
+import { requirePermission } from "./accessControl";
+import { decryptCredentials, encryptCredentials } from "./credentialUtils";
+import { isPrivateAddress, validateWebhookEvents, validateWebhookUrl } from "./webhookEvents";
+
+// Endpoints that take longer than this count as failed and are retried
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// Response bodies kept in the delivery history are cut off here
+const MAX_RESPONSE_BODY = 1024;
+
+async function requireWebhookManager(ctx: any, sessionId: string) {
+  const session = await ctx.runQuery(internal.webhookQueries.getSession, { sessionId });
+  if (!session || session.expiresAt < Date.now()) {
+    throw new Error("Unauthorized: No valid session found");
+  }
+  requirePermission(session, "webhookManagement");
+  return session;
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString("hex")}`;
+}
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>", hex encoded
+ * Subscribers recompute it with their copy of the secret to check the request came from
+ * the portal; including the timestamp lets them reject replays
+ */
+function signPayload(secret: string, timestamp: string, body: string) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Refuse to post to a host name that resolves to a private address
+ * validateWebhookUrl can only refuse IP addresses written into the URL
+ */
+export async function assertPublicHost(url: string) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  const addresses = await dns.lookup(hostname, { all: true });
+  const privateAddress = addresses.find(({ address }) => isPrivateAddress(address));
+  if (privateAddress) {
+    throw new Error(`${hostname} resolves to the private address ${privateAddress.address}; nothing was sent`);
+  }
+}
+
+/**
+ * Add an endpoint for lifecycle events
+ * The signing secret is generated here and returned only this once
+ */
+export const createSubscription = action({
+  args: {
+    sessionId: v.string(),
+    name: v.string(),
+    url: v.string(),
+    events: v.array(v.string()),
+  },
+  handler: async (ctx, args): Promise<{ subscriptionId: string; secret: string }> => {
+    const session = await requireWebhookManager(ctx, args.sessionId);
+
+    const name = args.name.trim();
+    const url = args.url.trim();
+    if (!name) {
+      throw new Error("Give the webhook a name");
+    }
+    validateWebhookUrl(url);
+    validateWebhookEvents(args.events);
+
+    const secret = generateSecret();
+    const subscriptionId = await ctx.runMutation(internal.webhookMutations.insertSubscription, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      name,
+      url,
+      events: args.events,
+      encryptedSecret: encryptCredentials(secret),
+    });
+
+    return { subscriptionId, secret };
+  },
+});
+
+/**
+ * Replace a subscription's signing secret, for when the old one may have leaked
+ * Deliveries still queued are signed with the new secret
+ */
+export const rotateSecret = action({
+  args: {
+    sessionId: v.string(),
+    subscriptionId: v.id("webhook_subscriptions"),
+  },
+  handler: async (ctx, args): Promise<{ secret: string }> => {
+    const session = await requireWebhookManager(ctx, args.sessionId);
+
+    const subscription = await ctx.runQuery(internal.webhookQueries.getSubscriptionById, {
+      subscriptionId: args.subscriptionId,
+    });
+    if (!subscription || subscription.tenantId !== session.tenantId) {
+      throw new Error("Webhook not found");
+    }
+
+    const secret = generateSecret();
+    await ctx.runMutation(internal.webhookMutations.replaceSubscriptionSecret, {
+      subscriptionId: args.subscriptionId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      encryptedSecret: encryptCredentials(secret),
+    });
+
+    return { secret };
+  },
+});
+
+/**
+ * Send one queued delivery
+ * Any 2xx response is success; everything else, including timeouts, is retried with
+ * backoff by recordDeliveryAttempt
+ */
+export const deliver = internalAction({
+  args: {
+    deliveryId: v.id("webhook_deliveries"),
+  },
+  handler: async (ctx, args) => {
+    const found = await ctx.runQuery(internal.webhookQueries.getDeliveryForSending, { deliveryId: args.deliveryId });
+    if (!found || found.delivery.status === "delivered" || found.delivery.status === "failed") {
+      return;
+    }
+
+    const { delivery, subscription } = found;
+    if (!subscription || !subscription.enabled) {
+      await ctx.runMutation(internal.webhookMutations.abandonDelivery, {
+        deliveryId: args.deliveryId,
+        reason: subscription ? "Webhook is disabled" : "Webhook was removed",
+      });
+      return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = signPayload(decryptCredentials(subscription.encryptedSecret), timestamp, delivery.payload);
+    const started = Date.now();
+
+    try {
+      await assertPublicHost(subscription.url);
+      const response = await fetch(subscription.url, {
+        method: "POST",
+        // A redirect could lead to an internal address, so it counts as a failed delivery
+        redirect: "manual",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "EmployeeLifecyclePortal-Webhooks/1.0",
+          "X-Webhook-Id": delivery.eventId,
+          "X-Webhook-Event": delivery.eventType,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": `sha256=${signature}`,
+        },
+        body: delivery.payload,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      });
+      const responseBody = (await response.text().catch(() => "")).slice(0, MAX_RESPONSE_BODY);
+
+      await ctx.runMutation(internal.webhookMutations.recordDeliveryAttempt, {
+        deliveryId: args.deliveryId,
+        succeeded: response.ok,
+        responseStatus: response.status,
+        responseBody: responseBody || undefined,
+        error: response.ok ? undefined : `Endpoint responded ${response.status} ${response.statusText}`.trim(),
+        durationMs: Date.now() - started,
+      });
+    } catch (error) {
+      const message = (error as Error).name === "TimeoutError"
+        ? `No response within ${DELIVERY_TIMEOUT_MS / 1000} seconds`
+        : (error as Error).message;
+      console.warn(`[Webhooks] Delivery ${args.deliveryId} to ${subscription.url} failed:`, message);
+
+      await ctx.runMutation(internal.webhookMutations.recordDeliveryAttempt, {
+        deliveryId: args.deliveryId,
+        succeeded: false,
+        error: message,
+        durationMs: Date.now() - started,
+      });
+    }
+  },
+});
@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { isPrivateAddress, outcomeEvent, validateWebhookEvents, validateWebhookUrl } from "./webhookEvents";
+
+describe("validateWebhookUrl", () => {
+  it("accepts public HTTPS endpoints", () => {
+    expect(() => validateWebhookUrl("https://hooks.example.com/portal")).not.toThrow();
+    expect(() => validateWebhookUrl("https://203.0.113.10/hook")).not.toThrow();
+  });
+
+  it("requires HTTPS, including for localhost", () => {
+    expect(() => validateWebhookUrl("http://hooks.example.com/portal")).toThrow(/HTTPS/);
+    expect(() => validateWebhookUrl("http://localhost:4000/hook")).toThrow(/HTTPS/);
+    expect(() => validateWebhookUrl("http://127.0.0.1:4000/hook")).toThrow(/HTTPS/);
+    expect(() => validateWebhookUrl("not a url")).toThrow(/Invalid webhook URL/);
+  });
+
+  it.each([
+    "https://169.254.169.254/latest/meta-data",
+    "https://10.0.0.5/hook",
+    "https://172.20.1.1/hook",
+    "https://192.168.1.10/hook",
+    "https://localhost:4000/hook",
+    "https://api.localhost/hook",
+    "https://127.0.0.1:4000/hook",
+    "https://127.0.0.2/hook",
+    "https://0.0.0.0/hook",
+    "https://2852039166/hook", // 169.254.169.254 written as a number
+    "https://[::1]/hook",
+    "https://[fe80::1]/hook",
+    "https://[fd00::1]/hook",
+    "https://[::ffff:10.0.0.1]/hook",
+  ])("refuses the internal address in %s", (url) => {
+    expect(() => validateWebhookUrl(url)).toThrow(/private, loopback or link-local/);
+  });
+});
+
+describe("isPrivateAddress", () => {
+  it("tells private from public addresses", () => {
+    expect(isPrivateAddress("100.64.0.1")).toBe(true);
+    expect(isPrivateAddress("172.15.0.1")).toBe(false);
+    expect(isPrivateAddress("172.32.0.1")).toBe(false);
+    expect(isPrivateAddress("8.8.8.8")).toBe(false);
+    expect(isPrivateAddress("2606:4700::1111")).toBe(false);
+    expect(isPrivateAddress("hooks.example.com")).toBe(false);
+  });
+});
+
+describe("events", () => {
+  it("rejects empty and unknown event lists", () => {
+    expect(() => validateWebhookEvents([])).toThrow(/at least one/);
+    expect(() => validateWebhookEvents(["offboarding.completed", "user.deleted"])).toThrow(/user\.deleted/);
+    expect(() => validateWebhookEvents(["offboarding.completed"])).not.toThrow();
+  });
+
+  it("reports anything short of completed as failed", () => {
+    expect(outcomeEvent("offboarding", "completed")).toBe("offboarding.completed");
+    expect(outcomeEvent("transfer", "partial")).toBe("transfer.failed");
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Outbound webhooks for lifecycle events
+ *
+ * Mutations that schedule, start or finish an offboarding, onboarding or transfer call
+ * emitLifecycleEvent. It queues one delivery per enabled subscription of the tenant
+ * that listens for the event; webhookActions.deliver sends it, signed with the
+ * subscription's secret, and retries with backoff until it is accepted.
+ *
+ * Deliveries are queued in the same transaction as the change, so an event is sent
+ * only if the change was saved.
+ */
+
+import { internal } from "./_generated/api";
+
+export const WEBHOOK_EVENTS = {
+  "offboarding.scheduled": "An offboarding was scheduled",
+  "offboarding.started": "A scheduled offboarding started running",
+  "offboarding.completed": "An offboarding finished with every action done",
+  "offboarding.failed": "An offboarding failed or finished with failed actions",
+  "onboarding.completed": "A user was onboarded or activated on their start date",
+  "onboarding.failed": "An onboarding or start-date activation failed",
+  "transfer.completed": "A user was transferred",
+  "transfer.failed": "A transfer failed",
+  "credentials.expiring": "The app registration's client secret or certificate is about to expire or has expired",
+  "intune.drift_detected": "Intune configuration no longer matches the drift baseline",
+} as const;
+
+export type WebhookEventType = keyof typeof WEBHOOK_EVENTS;
+
+// Sent by "Send test event"; not something a subscription can filter on
+export const TEST_EVENT = "webhook.test";
+
+export function isWebhookEvent(type: string): type is WebhookEventType {
+  return Object.prototype.hasOwnProperty.call(WEBHOOK_EVENTS, type);
+}
+
+function parseIPv4(address: string): number[] | null {
+  const parts = address.split(".");
+  if (parts.length !== 4 || !parts.every((part) => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+    return null;
+  }
+  return parts.map(Number);
+}
+
+/**
+ * True for loopback, private, link-local and other addresses that are not on the public
+ * internet, e.g. the 169.254.169.254 cloud metadata endpoint
+ * @param address - IPv4 or IPv6 address, without brackets
+ */
+export function isPrivateAddress(address: string): boolean {
+  const ipv4 = parseIPv4(address);
+  if (ipv4) {
+    const [a, b] = ipv4;
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) || // Carrier-grade NAT
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19));
+  }
+
+  const ipv6 = address.toLowerCase();
+  if (!ipv6.includes(":")) {
+    return false;
+  }
+  const mapped = ipv6.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+  if (/^::ffff:[0-9a-f]{1,4}:[0-9a-f]{1,4}$/.test(ipv6)) {
+    // IPv4-mapped address in hex form, as the URL parser writes it
+    const [high, low] = ipv6.split(":").slice(-2).map((group) => parseInt(group, 16));
+    return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+  return ipv6 === "::" || ipv6 === "::1" ||
+    /^f[cd][0-9a-f]{0,2}:/.test(ipv6) || // Unique local fc00::/7
+    /^fe[89ab][0-9a-f]?:/.test(ipv6) || // Link-local fe80::/10
+    /^ff[0-9a-f]{0,2}:/.test(ipv6); // Multicast
+}
+
+/**
+ * Check a subscription's endpoint: HTTPS only, and never localhost or a private, loopback
+ * or link-local IP address, so the server-side POST cannot be pointed at internal services
+ */
+export function validateWebhookUrl(url: string) {
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error(`Invalid webhook URL: ${url}`);
+  }
+
+  if (parsed.protocol !== "https:") {
+    throw new Error("Webhook URLs must use HTTPS");
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (hostname === "localhost" || hostname.endsWith(".localhost") || isPrivateAddress(hostname)) {
+    throw new Error("Webhook URLs cannot point at private, loopback or link-local addresses");
+  }
+}
+
+/**
+ * Check that every event a subscription asks for exists
+ */
+export function validateWebhookEvents(events: string[]) {
+  if (events.length === 0) {
+    throw new Error("Choose at least one event");
+  }
+  const unknown = events.filter((event) => !isWebhookEvent(event));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown webhook events: ${unknown.join(", ")}`);
+  }
+}
+
+/**
+ * Event type for a finished run: anything short of every action succeeding is a failure
+ */
+export function outcomeEvent(kind: "offboarding" | "onboarding" | "transfer", status: string): WebhookEventType {
+  return `${kind}.${status === "completed" ? "completed" : "failed"}` as WebhookEventType;
+}
+
+function newEventId(now: number) {
+  return `evt_${now}_${Math.random().toString(36).substring(2, 10)}`;
+}
+
+/**
+ * Queue one event for one subscription
+ */
+export async function queueDelivery(ctx: any, subscription: any, eventId: string, eventType: string, payload: string) {
+  const now = Date.now();
+  const deliveryId = await ctx.db.insert("webhook_deliveries", {
+    tenantId: subscription.tenantId,
+    subscriptionId: subscription._id,
+    eventId,
+    eventType,
+    payload,
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: now,
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  await ctx.scheduler.runAfter(0, internal.webhookActions.deliver, { deliveryId });
+  return deliveryId;
+}
+
+/**
+ * Build the JSON body every subscriber receives
+ */
+export function buildPayload(eventId: string, type: string, tenantId: string, data: Record<string, unknown>, now = Date.now()) {
+  return JSON.stringify({
+    id: eventId,
+    type,
+    tenantId,
+    occurredAt: new Date(now).toISOString(),
+    data,
+  });
+}
+
+/**
+ * Notify the tenant's subscribers of a lifecycle event
+ * @returns Number of deliveries queued
+ */
+export async function emitLifecycleEvent(ctx: any, tenantId: string, type: WebhookEventType, data: Record<string, unknown>) {
+  const subscriptions = await ctx.db
+    .query("webhook_subscriptions")
+    .withIndex("by_tenant", (q: any) => q.eq("tenantId", tenantId))
+    .collect();
+
+  const listening = subscriptions.filter((subscription: any) => subscription.enabled && subscription.events.includes(type));
+  if (listening.length === 0) {
+    return 0;
+  }
+
+  const now = Date.now();
+  const eventId = newEventId(now);
+  const payload = buildPayload(eventId, type, tenantId, data, now);
+
+  for (const subscription of listening) {
+    await queueDelivery(ctx, subscription, eventId, type, payload);
+  }
+  return listening.length;
+}
+
+/**
+ * Send the sample event behind "Send test event" to one subscription
+ */
+export async function emitTestEvent(ctx: any, subscription: any, sentBy: string) {
+  const now = Date.now();
+  const eventId = newEventId(now);
+  const payload = buildPayload(eventId, TEST_EVENT, subscription.tenantId, {
+    subscriptionId: subscription._id,
+    subscriptionName: subscription.name,
+    sentBy,
+    message: "Test event from the lifecycle portal",
+  }, now);
+
+  return await queueDelivery(ctx, subscription, eventId, TEST_EVENT, payload);
+}
@@ -0,0 +1,158 @@
+import { internalMutation } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { recordAudit } from "./auditTrail";
+
+// Wait before each retry; a delivery is given up after the last one fails (6 attempts over about 10 hours)
+const RETRY_DELAYS_MS = [
+  60 * 1000,
+  5 * 60 * 1000,
+  30 * 60 * 1000,
+  2 * 60 * 60 * 1000,
+  8 * 60 * 60 * 1000,
+];
+
+// Pure database mutation - no Node.js, no external calls
+export const insertSubscription = internalMutation({
+  args: {
+    tenantId: v.string(),
+    sessionId: v.string(),
+    userId: v.string(),
+    name: v.string(),
+    url: v.string(),
+    events: v.array(v.string()),
+    encryptedSecret: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const now = Date.now();
+    const subscriptionId = await ctx.db.insert("webhook_subscriptions", {
+      tenantId: args.tenantId,
+      name: args.name,
+      url: args.url,
+      events: args.events,
+      encryptedSecret: args.encryptedSecret,
+      enabled: true,
+      createdBy: args.userId,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: args.tenantId,
+      sessionId: args.sessionId,
+      userId: args.userId,
+      action: "create_webhook",
+      resourceType: "webhook_subscriptions",
+      resourceId: subscriptionId,
+      targetName: args.name,
+      details: `Added webhook ${args.name} (${args.url}) for ${args.events.join(", ")}`,
+      after: { name: args.name, url: args.url, events: args.events },
+      timestamp: now,
+    });
+
+    return subscriptionId;
+  },
+});
+
+// Pure database mutation - no Node.js, no external calls
+export const replaceSubscriptionSecret = internalMutation({
+  args: {
+    subscriptionId: v.id("webhook_subscriptions"),
+    sessionId: v.string(),
+    userId: v.string(),
+    encryptedSecret: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const subscription = await ctx.db.get(args.subscriptionId);
+    if (!subscription) {
+      throw new Error("Webhook not found");
+    }
+
+    const now = Date.now();
+    await ctx.db.patch(args.subscriptionId, {
+      encryptedSecret: args.encryptedSecret,
+      updatedAt: now,
+    });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: subscription.tenantId,
+      sessionId: args.sessionId,
+      userId: args.userId,
+      action: "rotate_webhook_secret",
+      resourceType: "webhook_subscriptions",
+      resourceId: args.subscriptionId,
+      targetName: subscription.name,
+      details: `Replaced the signing secret of webhook ${subscription.name}`,
+      timestamp: now,
+    });
+  },
+});
+
+// Pure database mutation - records one attempt and schedules the next when it failed
+export const recordDeliveryAttempt = internalMutation({
+  args: {
+    deliveryId: v.id("webhook_deliveries"),
+    succeeded: v.boolean(),
+    responseStatus: v.optional(v.number()),
+    responseBody: v.optional(v.string()),
+    error: v.optional(v.string()),
+    durationMs: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    const delivery = await ctx.db.get(args.deliveryId);
+    if (!delivery) {
+      return;
+    }
+
+    const now = Date.now();
+    const attempts = delivery.attempts + 1;
+    const retryDelay = args.succeeded ? undefined : RETRY_DELAYS_MS[attempts - 1];
+    const status = args.succeeded ? "delivered" : retryDelay !== undefined ? "retrying" : "failed";
+
+    await ctx.db.patch(args.deliveryId, {
+      status,
+      attempts,
+      nextAttemptAt: retryDelay !== undefined ? now + retryDelay : undefined,
+      responseStatus: args.responseStatus,
+      responseBody: args.responseBody,
+      error: args.error,
+      durationMs: args.durationMs,
+      updatedAt: now,
+    });
+
+    if (retryDelay !== undefined) {
+      await ctx.scheduler.runAfter(retryDelay, internal.webhookActions.deliver, { deliveryId: args.deliveryId });
+    }
+
+    if (status !== "retrying") {
+      const subscription = await ctx.db.get(delivery.subscriptionId);
+      if (subscription) {
+        await ctx.db.patch(subscription._id, {
+          lastDeliveryAt: now,
+          lastDeliveryStatus: status,
+        });
+      }
+    }
+  },
+});
+
+// Pure database mutation - a delivery whose subscription was removed or switched off
+export const abandonDelivery = internalMutation({
+  args: {
+    deliveryId: v.id("webhook_deliveries"),
+    reason: v.string(),
+  },
+  handler: async (ctx, args) => {
+    if (!(await ctx.db.get(args.deliveryId))) {
+      return;
+    }
+    await ctx.db.patch(args.deliveryId, {
+      status: "failed",
+      nextAttemptAt: undefined,
+      error: args.reason,
+      updatedAt: Date.now(),
+    });
+  },
+});
@@ -0,0 +1,42 @@
+import { internalQuery } from "./_generated/server";
+import { v } from "convex/values";
+
+export const getSession = internalQuery({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db
+      .query("sessions")
+      .withIndex("by_session_id", (q: any) => q.eq("sessionId", args.sessionId))
+      .first();
+  },
+});
+
+export const getSubscriptionById = internalQuery({
+  args: {
+    subscriptionId: v.id("webhook_subscriptions"),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db.get(args.subscriptionId);
+  },
+});
+
+/**
+ * A queued delivery and the subscription it goes to, for sending
+ */
+export const getDeliveryForSending = internalQuery({
+  args: {
+    deliveryId: v.id("webhook_deliveries"),
+  },
+  handler: async (ctx, args) => {
+    const delivery = await ctx.db.get(args.deliveryId);
+    if (!delivery) {
+      return null;
+    }
+    return {
+      delivery,
+      subscription: await ctx.db.get(delivery.subscriptionId),
+    };
+  },
+});
@@ -0,0 +1,245 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { requirePermission } from "./accessControl";
+import { recordAudit } from "./auditTrail";
+import { emitTestEvent, queueDelivery, validateWebhookEvents, validateWebhookUrl, WEBHOOK_EVENTS } from "./webhookEvents";
+
+// Deliveries shown in a subscription's history
+const DELIVERY_HISTORY_LIMIT = 50;
+
+/**
+ * Validate session and extract tenant context
+ */
+async function validateSession(ctx: any, sessionId: string) {
+  const session = await ctx.db
+    .query("sessions")
+    .withIndex("by_session_id", (q: any) => q.eq("sessionId", sessionId))
+    .first();
+
+  if (!session) {
+    throw new Error("Unauthorized: No session found");
+  }
+
+  if (session.expiresAt < Date.now()) {
+    throw new Error("Unauthorized: Session expired");
+  }
+
+  return session;
+}
+
+async function getTenantSubscription(ctx: any, session: any, subscriptionId: any) {
+  const subscription = await ctx.db.get(subscriptionId);
+
+  if (!subscription) {
+    throw new Error("Webhook not found");
+  }
+
+  if (subscription.tenantId !== session.tenantId) {
+    throw new Error("Unauthorized: Access denied to records from another tenant");
+  }
+
+  return subscription;
+}
+
+/**
+ * Event types a subscription can listen for
+ */
+export const listEventTypes = query({
+  args: {},
+  handler: async () => {
+    return Object.entries(WEBHOOK_EVENTS).map(([id, description]) => ({ id, description }));
+  },
+});
+
+/**
+ * List the tenant's webhook subscriptions, without their secrets
+ */
+export const listSubscriptions = query({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "webhookManagement");
+
+    const subscriptions = await ctx.db
+      .query("webhook_subscriptions")
+      .withIndex("by_tenant", (q: any) => q.eq("tenantId", session.tenantId))
+      .collect();
+
+    return subscriptions
+      .map(({ encryptedSecret, ...subscription }: any) => subscription)
+      .sort((a: any, b: any) => a.name.localeCompare(b.name));
+  },
+});
+
+/**
+ * Change a subscription's name, endpoint or events, or switch it on or off
+ * Deliveries waiting for a retry while it is switched off are given up when the retry comes round
+ */
+export const updateSubscription = mutation({
+  args: {
+    sessionId: v.string(),
+    subscriptionId: v.id("webhook_subscriptions"),
+    name: v.optional(v.string()),
+    url: v.optional(v.string()),
+    events: v.optional(v.array(v.string())),
+    enabled: v.optional(v.boolean()),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "webhookManagement");
+    const subscription = await getTenantSubscription(ctx, session, args.subscriptionId);
+
+    const { sessionId, subscriptionId, ...updates } = args;
+    if (updates.name !== undefined) {
+      updates.name = updates.name.trim();
+      if (!updates.name) {
+        throw new Error("Give the webhook a name");
+      }
+    }
+    if (updates.url !== undefined) {
+      updates.url = updates.url.trim();
+      validateWebhookUrl(updates.url);
+    }
+    if (updates.events !== undefined) {
+      validateWebhookEvents(updates.events);
+    }
+
+    const now = Date.now();
+    await ctx.db.patch(subscriptionId, {
+      ...updates,
+      updatedAt: now,
+    });
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "update_webhook",
+      resourceType: "webhook_subscriptions",
+      resourceId: subscriptionId,
+      targetName: subscription.name,
+      details: `Updated webhook ${subscription.name}: ${Object.keys(updates).join(", ")}`,
+      before: { name: subscription.name, url: subscription.url, events: subscription.events, enabled: subscription.enabled },
+      after: updates,
+      timestamp: now,
+    });
+
+    return { success: true };
+  },
+});
+
+/**
+ * Remove a subscription and its delivery history
+ */
+export const deleteSubscription = mutation({
+  args: {
+    sessionId: v.string(),
+    subscriptionId: v.id("webhook_subscriptions"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "webhookManagement");
+    const subscription = await getTenantSubscription(ctx, session, args.subscriptionId);
+
+    const deliveries = await ctx.db
+      .query("webhook_deliveries")
+      .withIndex("by_subscription", (q: any) => q.eq("subscriptionId", args.subscriptionId))
+      .collect();
+    for (const delivery of deliveries) {
+      await ctx.db.delete(delivery._id);
+    }
+    await ctx.db.delete(args.subscriptionId);
+
+    // Log audit trail
+    await recordAudit(ctx, {
+      tenantId: session.tenantId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      action: "delete_webhook",
+      resourceType: "webhook_subscriptions",
+      resourceId: args.subscriptionId,
+      targetName: subscription.name,
+      details: `Removed webhook ${subscription.name} (${subscription.url}) and ${deliveries.length} deliveries`,
+      before: { name: subscription.name, url: subscription.url, events: subscription.events, enabled: subscription.enabled },
+      timestamp: Date.now(),
+    });
+
+    return { success: true };
+  },
+});
+
+/**
+ * Recent deliveries to a subscription, newest first
+ */
+export const listDeliveries = query({
+  args: {
+    sessionId: v.string(),
+    subscriptionId: v.id("webhook_subscriptions"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "webhookManagement");
+    await getTenantSubscription(ctx, session, args.subscriptionId);
+
+    return await ctx.db
+      .query("webhook_deliveries")
+      .withIndex("by_subscription", (q: any) => q.eq("subscriptionId", args.subscriptionId))
+      .order("desc")
+      .take(DELIVERY_HISTORY_LIMIT);
+  },
+});
+
+/**
+ * Queue a sample event to a subscription so its endpoint and signature check can be tried out
+ */
+export const sendTestEvent = mutation({
+  args: {
+    sessionId: v.string(),
+    subscriptionId: v.id("webhook_subscriptions"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "webhookManagement");
+    const subscription = await getTenantSubscription(ctx, session, args.subscriptionId);
+
+    if (!subscription.enabled) {
+      throw new Error("Switch the webhook on before sending a test event");
+    }
+
+    const deliveryId = await emitTestEvent(ctx, subscription, session.displayName || session.email || session.userId);
+    return { deliveryId };
+  },
+});
+
+/**
+ * Send a failed delivery again, as a new delivery with the same event ID and body
+ */
+export const redeliver = mutation({
+  args: {
+    sessionId: v.string(),
+    deliveryId: v.id("webhook_deliveries"),
+  },
+  handler: async (ctx, args) => {
+    const session = await validateSession(ctx, args.sessionId);
+    requirePermission(session, "webhookManagement");
+
+    const delivery = await ctx.db.get(args.deliveryId);
+    if (!delivery) {
+      throw new Error("Delivery not found");
+    }
+    const subscription = await getTenantSubscription(ctx, session, delivery.subscriptionId);
+
+    if (delivery.status !== "failed") {
+      throw new Error(`Cannot resend a delivery that is ${delivery.status}`);
+    }
+    if (!subscription.enabled) {
+      throw new Error("Switch the webhook on before resending");
+    }
+
+    const deliveryId = await queueDelivery(ctx, subscription, delivery.eventId, delivery.eventType, delivery.payload);
+    return { deliveryId };
+  },
+});
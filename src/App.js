@@ -23,6 +23,10 @@ import UserSearch from './components/users/UserSearch';
 import OnboardingWizard from './components/onboarding/OnboardingWizard';
 import OffboardingWizard from './components/offboarding/OffboardingWizard';
 import TransferWizard from './components/transfer/TransferWizard';
+import ScheduledTransfers from './components/transfer/ScheduledTransfers';
+import PendingApprovals from './components/approvals/PendingApprovals';
+import AuditLog from './components/audit/AuditLog';
+import HrEventQueue from './components/hr/HrEventQueue';
 import UserDetail from './components/users/UserDetail';
 import DeviceManagement from './components/intune/DeviceManagement';
 import IntuneManagement from './components/intune/IntuneManagement';
@@ -39,10 +43,12 @@ import ConfigurationForm from './components/auth/ConfigurationForm';
 import FAQ from './components/common/FAQ';
 import Help from './components/common/Help';
 import NotFound from './components/common/NotFound';
+import AccessDenied from './components/common/AccessDenied';
 import ErrorBoundary from './components/common/ErrorBoundary';
 
-// Protected Route Component - Checks both MSAL and Convex authentication
-const ProtectedRoute = ({ children }) => {
+// Protected Route Component - Checks both MSAL and Convex authentication,
+// and the operator's role when the route needs a permission
+const ProtectedRoute = ({ children, permission }) => {
   const msalAuth = useMSALAuth();
   const convexAuth = useConvexAuth();
   
@@ -78,6 +84,16 @@ const ProtectedRoute = ({ children }) => {
     console.warn('🚫 ProtectedRoute: Not authenticated, redirecting to login');
     return <Navigate to="/login" replace />;
   }
+
+  const hasPermission = msalAuth.isAuthenticated ? msalAuth.hasPermission : convexAuth.hasPermission;
+  if (permission && !hasPermission(permission)) {
+    console.warn(`🚫 ProtectedRoute: Missing permission ${permission}`);
+    return (
+      <Layout>
+        <AccessDenied />
+      </Layout>
+    );
+  }
   
   console.log(`✅ ProtectedRoute: Access granted via ${authMode}`);
   return children;
@@ -119,7 +135,7 @@ function App() {
                 <Route
                   path="/users"
                   element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="userManagement">
                       <Layout>
                         <UserSearch />
                       </Layout>
@@ -129,7 +145,7 @@ function App() {
                 <Route
                   path="/users/:userId"
                   element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="userManagement">
                       <Layout>
                         <UserDetail />
                       </Layout>
@@ -139,7 +155,7 @@ function App() {
                 <Route
                   path="/onboarding/:userId?"
                   element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="lifecycleExecute">
                       <Layout>
                         <OnboardingWizard />
                       </Layout>
@@ -149,7 +165,7 @@ function App() {
                 <Route
                   path="/offboarding/:userId?"
                   element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="lifecycleExecute">
                       <Layout>
                         <OffboardingWizard />
                       </Layout>
@@ -159,7 +175,7 @@ function App() {
                 <Route
                   path="/transfer/:userId?"
                   element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="lifecycleRequest">
                       <Layout>
                         <TransferWizard />
                       </Layout>
@@ -169,7 +185,7 @@ function App() {
                 <Route
                   path="/scheduled-offboarding"
                   element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="lifecycleRequest">
                       <Layout>
                         <ScheduledOffboarding />
                       </Layout>
@@ -177,9 +193,49 @@ function App() {
                   }
                 />
                 <Route
-                  path="/workflows"
+                  path="/scheduled-transfers"
+                  element={
+                    <ProtectedRoute permission="lifecycleRequest">
+                      <Layout>
+                        <ScheduledTransfers />
+                      </Layout>
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/hr-events"
+                  element={
+                    <ProtectedRoute permission="lifecycleRequest">
+                      <Layout>
+                        <HrEventQueue />
+                      </Layout>
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/approvals"
                   element={
                     <ProtectedRoute>
+                      <Layout>
+                        <PendingApprovals />
+                      </Layout>
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/audit-log"
+                  element={
+                    <ProtectedRoute permission="auditView">
+                      <Layout>
+                        <AuditLog />
+                      </Layout>
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/workflows"
+                  element={
+                    <ProtectedRoute permission="lifecycleRequest">
                       <Layout>
                         <WorkflowManagement />
                       </Layout>
@@ -189,7 +245,7 @@ function App() {
                 <Route
                   path="/devices"
                   element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="deviceManagement">
                       <Layout>
                         <DeviceManagement />
                       </Layout>
@@ -199,7 +255,7 @@ function App() {
                 <Route
                   path="/intune"
                   element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="deviceManagement">
                       <Layout>
                         <IntuneManagement />
                       </Layout>
@@ -209,7 +265,7 @@ function App() {
                 <Route
                   path="/compliance"
                   element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="complianceManagement">
                       <Layout>
                         <PurviewManagement />
                       </Layout>
@@ -219,7 +275,7 @@ function App() {
                 <Route
                   path="/teams"
                   element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="teamsManagement">
                       <Layout>
                         <TeamsManagement />
                       </Layout>
@@ -229,7 +285,7 @@ function App() {
                 <Route
                   path="/defender"
                   element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="defenderManagement">
                       <Layout>
                         <DefenderManagement />
                       </Layout>
@@ -239,7 +295,7 @@ function App() {
                 <Route
                   path="/groups"
                   element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="groupManagement">
                       <Layout>
                         <GroupManagement />
                       </Layout>
@@ -249,7 +305,7 @@ function App() {
                 <Route
                   path="/groups/create"
                   element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="groupManagement">
                       <Layout>
                         <CreateGroup />
                       </Layout>
@@ -259,7 +315,7 @@ function App() {
                 <Route
                   path="/groups/:groupId"
                   element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="groupManagement">
                       <Layout>
                         <GroupDetails />
                       </Layout>
@@ -269,7 +325,7 @@ function App() {
                 <Route
                   path="/groups/:groupId/edit"
                   element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="groupManagement">
                       <Layout>
                         <CreateGroup />
                       </Layout>
@@ -0,0 +1,338 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useConvex } from 'convex/react';
+import { api } from '../../convex/_generated/api';
+import { getSessionId } from '../../services/convexService';
+import { getActiveService } from '../../services/serviceFactory';
+import { runApproved } from '../../utils/approvals';
+import toast from 'react-hot-toast';
+import {
+  ArrowPathIcon,
+  CheckCircleIcon,
+  ClockIcon,
+  ExclamationTriangleIcon,
+  PlayIcon,
+  ShieldCheckIcon,
+  XCircleIcon,
+  XMarkIcon,
+  MinusCircleIcon,
+} from '@heroicons/react/24/outline';
+
+const STATUS_FILTERS = ['pending', 'approved', 'all'];
+
+const STATUS_BADGES = {
+  pending: { label: 'Pending', className: 'bg-blue-100 text-blue-800', Icon: ClockIcon },
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-800', Icon: CheckCircleIcon },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800', Icon: XCircleIcon },
+  cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-700', Icon: MinusCircleIcon },
+  expired: { label: 'Expired', className: 'bg-gray-100 text-gray-700', Icon: ClockIcon },
+  executing: { label: 'Running', className: 'bg-amber-100 text-amber-800', Icon: ArrowPathIcon },
+  executed: { label: 'Done', className: 'bg-green-100 text-green-800', Icon: CheckCircleIcon },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-800', Icon: ExclamationTriangleIcon },
+};
+
+const getStatusBadge = (status) => {
+  const badge = STATUS_BADGES[status];
+  if (!badge) return null;
+  const { label, className, Icon } = badge;
+  return (
+    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${className}`}>
+      <Icon className={`h-3 w-3 mr-1 ${status === 'executing' ? 'animate-spin' : ''}`} />
+      {label}
+    </span>
+  );
+};
+
+const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+/**
+ * Inbox of four-eyes approval requests: decide on others' requests, and carry out
+ * approved ones
+ */
+const PendingApprovals = () => {
+  const navigate = useNavigate();
+  const convex = useConvex();
+  const service = getActiveService();
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [comments, setComments] = useState({});
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchRequests = useCallback(async () => {
+    const sessionId = getSessionId();
+    if (!sessionId) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setRequests(await convex.query(api.approvals.list, { sessionId }));
+    } catch (error) {
+      console.error('Failed to load approval requests:', error);
+      toast.error('Failed to load approval requests');
+    } finally {
+      setLoading(false);
+    }
+  }, [convex]);
+
+  useEffect(() => {
+    fetchRequests();
+    // Pick up decisions made by other operators
+    const interval = setInterval(fetchRequests, 30000);
+    return () => clearInterval(interval);
+  }, [fetchRequests]);
+
+  const withBusy = async (request, work) => {
+    setBusyId(request._id);
+    try {
+      await work();
+    } finally {
+      setBusyId(null);
+      await fetchRequests();
+    }
+  };
+
+  const handleApprove = (request) => withBusy(request, async () => {
+    try {
+      await convex.mutation(api.approvals.approve, {
+        sessionId: getSessionId(),
+        approvalId: request._id,
+        comment: comments[request._id] || undefined,
+      });
+      toast.success(`Approved: ${request.summary}`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to approve request');
+    }
+  });
+
+  const handleReject = (request) => {
+    if (!comments[request._id]?.trim()) {
+      toast.error('Add a comment explaining the rejection');
+      return;
+    }
+
+    return withBusy(request, async () => {
+      try {
+        await convex.mutation(api.approvals.reject, {
+          sessionId: getSessionId(),
+          approvalId: request._id,
+          comment: comments[request._id],
+        });
+        toast.success(`Rejected: ${request.summary}`);
+      } catch (error) {
+        toast.error(error.message || 'Failed to reject request');
+      }
+    });
+  };
+
+  const handleCancel = (request) => {
+    if (!window.confirm(`Withdraw the request "${request.summary}"?`)) {
+      return;
+    }
+
+    return withBusy(request, async () => {
+      try {
+        await convex.mutation(api.approvals.cancel, { sessionId: getSessionId(), approvalId: request._id });
+        toast.success('Request withdrawn');
+      } catch (error) {
+        toast.error(error.message || 'Failed to withdraw request');
+      }
+    });
+  };
+
+  // Offboardings run in their own screens; the others are single Graph calls
+  const performOperation = (request) => {
+    switch (request.operation) {
+      case 'deleteUser':
+        return async () => {
+          await service.deleteUser(request.targetId);
+          return `Deleted ${request.targetName}`;
+        };
+      case 'wipeDevice':
+        return async () => {
+          await service.wipeDevice(request.targetId, false, false);
+          return `Wipe sent to ${request.targetName}`;
+        };
+      case 'removeAllLicenses':
+        return async () => {
+          const result = await service.removeAllLicenses(request.targetId);
+          return result?.message || `Removed all licenses from ${request.targetName}`;
+        };
+      default:
+        return null;
+    }
+  };
+
+  const handleExecute = (request) => {
+    if (request.operation === 'executeOffboarding') {
+      navigate(request.payload?.offboardingId
+        ? `/scheduled-offboarding?approval=${request._id}`
+        : `/offboarding/${request.targetId}?approval=${request._id}`);
+      return;
+    }
+
+    if (!window.confirm(`${request.operationLabel} for ${request.targetName} now? This cannot be undone.`)) {
+      return;
+    }
+
+    return withBusy(request, async () => {
+      try {
+        const message = await runApproved(convex, request._id, request.operation, request.targetId, performOperation(request));
+        toast.success(message);
+      } catch (error) {
+        toast.error(error.message || `Failed: ${request.summary}`);
+      }
+    });
+  };
+
+  const filtered = statusFilter === 'all'
+    ? requests
+    : requests.filter(request => request.status === statusFilter);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="animate-in">
+      <div className="mb-8 flex items-start justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Pending Approvals</h1>
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+            Deleting users, wiping devices, removing all licenses and running offboardings need a second operator's approval
+          </p>
+        </div>
+        <button onClick={fetchRequests} className="btn btn-secondary">
+          <ArrowPathIcon className="h-4 w-4 mr-2" />
+          Refresh
+        </button>
+      </div>
+
+      <div className="mb-4 flex gap-2">
+        {STATUS_FILTERS.map(status => (
+          <button
+            key={status}
+            onClick={() => setStatusFilter(status)}
+            className={`px-3 py-1 rounded-full text-sm capitalize ${
+              statusFilter === status
+                ? 'bg-primary-600 text-white'
+                : 'bg-gray-100 text-gray-700 dark:bg-gray-800 dark:text-gray-300'
+            }`}
+          >
+            {status === 'all' ? 'All' : status}
+            {status !== 'all' && ` (${requests.filter(request => request.status === status).length})`}
+          </button>
+        ))}
+      </div>
+
+      {filtered.length === 0 ? (
+        <div className="card">
+          <div className="card-body text-center py-12">
+            <ShieldCheckIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900 dark:text-gray-100">No requests</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Requests appear here when an operator asks to carry out a destructive operation.
+            </p>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {filtered.map(request => (
+            <div key={request._id} className="card">
+              <div className="card-body space-y-3">
+                <div className="flex items-start justify-between">
+                  <div className="flex-1">
+                    <div className="flex items-center gap-3">
+                      <p className="font-medium text-gray-900 dark:text-gray-100">{request.operationLabel}: {request.targetName}</p>
+                      {getStatusBadge(request.status)}
+                    </div>
+                    <p className="mt-1 text-sm text-gray-700 dark:text-gray-300">{request.summary}</p>
+                    {request.reason && (
+                      <p className="mt-1 text-sm text-gray-500">Reason: {request.reason}</p>
+                    )}
+                    <p className="mt-1 text-xs text-gray-500">
+                      Requested by {request.isRequester ? 'you' : request.requestedByName || request.requestedBy} on {formatDateTime(request.createdAt)}
+                      {(request.status === 'pending' || request.status === 'approved') && ` · expires ${formatDateTime(request.expiresAt)}`}
+                    </p>
+                    {request.decidedAt && (
+                      <p className="mt-1 text-xs text-gray-500">
+                        {request.status === 'rejected' ? 'Rejected' : 'Approved'} by {request.decidedByName || request.decidedBy} on {formatDateTime(request.decidedAt)}
+                        {request.decisionComment && `: "${request.decisionComment}"`}
+                      </p>
+                    )}
+                    {request.executionMessage && (
+                      <p className={`mt-1 text-xs ${request.status === 'failed' ? 'text-red-600' : 'text-gray-500'}`}>
+                        {request.executionMessage}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {request.status === 'approved' && (
+                      <button
+                        onClick={() => handleExecute(request)}
+                        disabled={busyId === request._id}
+                        className="btn btn-primary disabled:opacity-50"
+                      >
+                        {busyId === request._id ? (
+                          <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />
+                        ) : (
+                          <PlayIcon className="h-4 w-4 mr-2" />
+                        )}
+                        Carry Out
+                      </button>
+                    )}
+                    {request.isRequester && (request.status === 'pending' || request.status === 'approved') && (
+                      <button
+                        onClick={() => handleCancel(request)}
+                        disabled={busyId === request._id}
+                        className="btn btn-secondary"
+                        title="Withdraw request"
+                      >
+                        <XMarkIcon className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {request.canDecide && (
+                  <div className="border-t border-gray-200 dark:border-gray-700 pt-3 flex flex-col sm:flex-row gap-2">
+                    <input
+                      type="text"
+                      value={comments[request._id] || ''}
+                      onChange={(e) => setComments(prev => ({ ...prev, [request._id]: e.target.value }))}
+                      placeholder="Comment (required to reject)"
+                      className="form-input flex-1"
+                    />
+                    <button
+                      onClick={() => handleApprove(request)}
+                      disabled={busyId === request._id}
+                      className="btn btn-primary disabled:opacity-50"
+                    >
+                      <CheckCircleIcon className="h-4 w-4 mr-2" />
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleReject(request)}
+                      disabled={busyId === request._id}
+                      className="btn btn-secondary text-red-600 disabled:opacity-50"
+                    >
+                      <XCircleIcon className="h-4 w-4 mr-2" />
+                      Reject
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PendingApprovals;
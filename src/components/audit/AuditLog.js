@@ -0,0 +1,457 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useConvex } from 'convex/react';
+import { api } from '../../convex/_generated/api';
+import { getSessionId } from '../../services/convexService';
+import { recordAuditEvent } from '../../services/auditService';
+import { downloadCsv, toCsv } from '../../utils/csvImport';
+import toast from 'react-hot-toast';
+import {
+  ArrowDownTrayIcon,
+  ArrowPathIcon,
+  CheckCircleIcon,
+  ChevronDownIcon,
+  ChevronRightIcon,
+  ClipboardDocumentListIcon,
+  ExclamationTriangleIcon,
+  FunnelIcon,
+  ShieldCheckIcon,
+} from '@heroicons/react/24/outline';
+
+const PAGE_SIZE = 100;
+const EXPORT_PAGE_SIZE = 500;
+// Exports stop here; narrow the filters for anything larger
+const MAX_EXPORT_ENTRIES = 50000;
+
+const EMPTY_FILTERS = {
+  from: '',
+  to: '',
+  userId: '',
+  action: '',
+  resourceType: '',
+  outcome: '',
+  search: '',
+};
+
+const EXPORT_COLUMNS = [
+  'sequence', 'timestamp', 'userId', 'actorName', 'action', 'resourceType', 'resourceId', 'targetName',
+  'outcome', 'details', 'before', 'after', 'ipAddress', 'userAgent', 'sessionId', 'previousHash', 'hash',
+];
+
+// Date inputs are local days; the range covers the whole of the "to" day
+const toQueryArgs = (filters) => ({
+  from: filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : undefined,
+  to: filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : undefined,
+  userId: filters.userId || undefined,
+  action: filters.action || undefined,
+  resourceType: filters.resourceType || undefined,
+  outcome: filters.outcome || undefined,
+  search: filters.search.trim() || undefined,
+});
+
+const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+const formatSnapshot = (snapshot) => {
+  try {
+    return JSON.stringify(JSON.parse(snapshot), null, 2);
+  } catch {
+    return snapshot;
+  }
+};
+
+const getOutcomeBadge = (outcome) => {
+  if (outcome === 'failure') {
+    return (
+      <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+        Failed
+      </span>
+    );
+  }
+  return (
+    <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+      Success
+    </span>
+  );
+};
+
+/**
+ * Audit explorer: filter the tenant's audit log, check its hash chain and export it
+ */
+const AuditLog = () => {
+  const convex = useConvex();
+  const [entries, setEntries] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [isDone, setIsDone] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [filterOptions, setFilterOptions] = useState({ actions: [], resourceTypes: [], actors: [] });
+  const [expandedId, setExpandedId] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+  const [exporting, setExporting] = useState(null);
+
+  const fetchPage = useCallback(async (activeFilters, pageCursor, numItems = PAGE_SIZE) => {
+    return await convex.query(api.auditLog.list, {
+      sessionId: getSessionId(),
+      paginationOpts: { numItems, cursor: pageCursor },
+      ...toQueryArgs(activeFilters),
+    });
+  }, [convex]);
+
+  const loadEntries = useCallback(async (activeFilters) => {
+    setLoading(true);
+    try {
+      const result = await fetchPage(activeFilters, null);
+      setEntries(result.page);
+      setCursor(result.continueCursor);
+      setIsDone(result.isDone);
+    } catch (error) {
+      console.error('Failed to load audit log:', error);
+      toast.error('Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchPage]);
+
+  useEffect(() => {
+    if (!getSessionId()) {
+      setLoading(false);
+      return;
+    }
+    loadEntries(EMPTY_FILTERS);
+    convex.query(api.auditLog.filterOptions, { sessionId: getSessionId() })
+      .then(setFilterOptions)
+      .catch((error) => console.error('Failed to load audit filters:', error));
+  }, [convex, loadEntries]);
+
+  const handleApplyFilters = (e) => {
+    e.preventDefault();
+    setAppliedFilters(filters);
+    loadEntries(filters);
+  };
+
+  const handleClearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+    loadEntries(EMPTY_FILTERS);
+  };
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const result = await fetchPage(appliedFilters, cursor);
+      setEntries(prev => [...prev, ...result.page]);
+      setCursor(result.continueCursor);
+      setIsDone(result.isDone);
+    } catch (error) {
+      toast.error('Failed to load more entries');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleVerify = async () => {
+    setVerifying(true);
+    try {
+      const result = await convex.action(api.auditLog.verifyChain, { sessionId: getSessionId() });
+      setVerification(result);
+      if (result.valid) {
+        toast.success(`Hash chain intact: ${result.checked} entries verified`);
+      } else {
+        toast.error(`Hash chain broken: ${result.reason}`);
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to verify the audit log');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  // Exports every matching entry, not just the pages loaded on screen
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      const all = [];
+      let pageCursor = null;
+      let done = false;
+      while (!done && all.length < MAX_EXPORT_ENTRIES) {
+        const result = await fetchPage(appliedFilters, pageCursor, EXPORT_PAGE_SIZE);
+        all.push(...result.page);
+        pageCursor = result.continueCursor;
+        done = result.isDone;
+      }
+
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      if (format === 'csv') {
+        const rows = all.map(entry => EXPORT_COLUMNS.map(column =>
+          column === 'timestamp' ? new Date(entry.timestamp).toISOString() : entry[column]
+        ));
+        downloadCsv(toCsv(EXPORT_COLUMNS, rows), `audit-log-${stamp}.csv`);
+      } else {
+        const json = JSON.stringify({
+          exportedAt: new Date().toISOString(),
+          filters: toQueryArgs(appliedFilters),
+          verification,
+          truncated: !done,
+          entries: all.map(({ _id, _creationTime, tenantId, ...entry }) => ({ id: _id, ...entry })),
+        }, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `audit-log-${stamp}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+      }
+
+      await recordAuditEvent({
+        action: 'export_audit_log',
+        resourceType: 'audit_log',
+        details: `Exported ${all.length} entries as ${format.toUpperCase()}${done ? '' : ` (stopped at ${MAX_EXPORT_ENTRIES})`}`,
+        after: toQueryArgs(appliedFilters),
+      });
+
+      if (done) {
+        toast.success(`Exported ${all.length} entries`);
+      } else {
+        toast(`Exported the first ${all.length} entries. Narrow the filters to export the rest.`, { icon: '⚠️' });
+      }
+    } catch (error) {
+      console.error('Failed to export audit log:', error);
+      toast.error('Failed to export audit log');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  return (
+    <div className="animate-in">
+      <div className="mb-8 flex items-start justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Audit Log</h1>
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+            Every change made through the portal, chained by hash so edits and deletions can be detected
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={handleVerify} disabled={verifying} className="btn btn-secondary disabled:opacity-50">
+            {verifying ? (
+              <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <ShieldCheckIcon className="h-4 w-4 mr-2" />
+            )}
+            Verify Chain
+          </button>
+          <button onClick={() => handleExport('csv')} disabled={!!exporting} className="btn btn-secondary disabled:opacity-50">
+            <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+            {exporting === 'csv' ? 'Exporting...' : 'CSV'}
+          </button>
+          <button onClick={() => handleExport('json')} disabled={!!exporting} className="btn btn-secondary disabled:opacity-50">
+            <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+            {exporting === 'json' ? 'Exporting...' : 'JSON'}
+          </button>
+        </div>
+      </div>
+
+      {verification && (
+        <div className={`mb-4 rounded-md p-4 ${verification.valid ? 'bg-green-50 dark:bg-green-900/20' : 'bg-red-50 dark:bg-red-900/20'}`}>
+          <div className="flex">
+            {verification.valid ? (
+              <CheckCircleIcon className="h-5 w-5 text-green-500" />
+            ) : (
+              <ExclamationTriangleIcon className="h-5 w-5 text-red-500" />
+            )}
+            <div className="ml-3 text-sm">
+              {verification.valid ? (
+                <p className="text-green-800 dark:text-green-200">
+                  {verification.checked} chained entries verified on {formatDateTime(verification.verifiedAt)}.
+                  Head hash <code className="font-mono text-xs break-all">{verification.headHash}</code>
+                </p>
+              ) : (
+                <p className="text-red-800 dark:text-red-200">
+                  {verification.reason}. The {verification.checked} entries before it are intact.
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleApplyFilters} className="card mb-4">
+        <div className="card-body grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="form-label">From</label>
+            <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className="form-input" />
+          </div>
+          <div>
+            <label className="form-label">To</label>
+            <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className="form-input" />
+          </div>
+          <div>
+            <label className="form-label">Actor</label>
+            <select value={filters.userId} onChange={(e) => updateFilter('userId', e.target.value)} className="form-input">
+              <option value="">Anyone</option>
+              {filterOptions.actors.map(actor => (
+                <option key={actor.userId} value={actor.userId}>{actor.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Action</label>
+            <select value={filters.action} onChange={(e) => updateFilter('action', e.target.value)} className="form-input">
+              <option value="">Any action</option>
+              {filterOptions.actions.map(action => (
+                <option key={action} value={action}>{action}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Resource type</label>
+            <select value={filters.resourceType} onChange={(e) => updateFilter('resourceType', e.target.value)} className="form-input">
+              <option value="">Any resource</option>
+              {filterOptions.resourceTypes.map(resourceType => (
+                <option key={resourceType} value={resourceType}>{resourceType}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Outcome</label>
+            <select value={filters.outcome} onChange={(e) => updateFilter('outcome', e.target.value)} className="form-input">
+              <option value="">Any outcome</option>
+              <option value="success">Success</option>
+              <option value="failure">Failed</option>
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Search</label>
+            <input
+              type="text"
+              value={filters.search}
+              onChange={(e) => updateFilter('search', e.target.value)}
+              placeholder="Target, details, resource ID..."
+              className="form-input"
+            />
+          </div>
+          <div className="flex items-end gap-2">
+            <button type="submit" className="btn btn-primary">
+              <FunnelIcon className="h-4 w-4 mr-2" />
+              Apply
+            </button>
+            <button type="button" onClick={handleClearFilters} className="btn btn-secondary">
+              Clear
+            </button>
+          </div>
+        </div>
+      </form>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="card">
+          <div className="card-body text-center py-12">
+            <ClipboardDocumentListIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900 dark:text-gray-100">No entries</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              {isDone ? 'Nothing matches these filters.' : 'No matches in the entries searched so far.'}
+            </p>
+            {!isDone && (
+              <button onClick={handleLoadMore} disabled={loadingMore} className="mt-4 btn btn-secondary">
+                {loadingMore ? 'Searching...' : 'Search older entries'}
+              </button>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div className="card">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+              <thead className="bg-gray-50 dark:bg-gray-800">
+                <tr>
+                  <th className="w-8"></th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actor</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Target</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Outcome</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP address</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white dark:bg-gray-900 divide-y divide-gray-200 dark:divide-gray-700">
+                {entries.map(entry => (
+                  <React.Fragment key={entry._id}>
+                    <tr
+                      onClick={() => setExpandedId(expandedId === entry._id ? null : entry._id)}
+                      className="cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800"
+                    >
+                      <td className="pl-4">
+                        {expandedId === entry._id ? (
+                          <ChevronDownIcon className="h-4 w-4 text-gray-400" />
+                        ) : (
+                          <ChevronRightIcon className="h-4 w-4 text-gray-400" />
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">{formatDateTime(entry.timestamp)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900 dark:text-gray-100">{entry.actorName || entry.userId}</td>
+                      <td className="px-4 py-3 text-sm font-mono text-gray-700 dark:text-gray-300">{entry.action}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300">
+                        <div>{entry.targetName || entry.resourceId || '—'}</div>
+                        <div className="text-xs text-gray-500">{entry.resourceType}</div>
+                      </td>
+                      <td className="px-4 py-3">{getOutcomeBadge(entry.outcome)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-500">{entry.ipAddress || '—'}</td>
+                    </tr>
+                    {expandedId === entry._id && (
+                      <tr className="bg-gray-50 dark:bg-gray-800">
+                        <td></td>
+                        <td colSpan={6} className="px-4 py-3 text-sm space-y-2">
+                          {entry.details && <p className="text-gray-700 dark:text-gray-300">{entry.details}</p>}
+                          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            {entry.before && (
+                              <div>
+                                <p className="text-xs font-medium text-gray-500 mb-1">Before</p>
+                                <pre className="text-xs bg-white dark:bg-gray-900 p-2 rounded overflow-auto max-h-64">{formatSnapshot(entry.before)}</pre>
+                              </div>
+                            )}
+                            {entry.after && (
+                              <div>
+                                <p className="text-xs font-medium text-gray-500 mb-1">After</p>
+                                <pre className="text-xs bg-white dark:bg-gray-900 p-2 rounded overflow-auto max-h-64">{formatSnapshot(entry.after)}</pre>
+                              </div>
+                            )}
+                          </div>
+                          <dl className="grid grid-cols-1 md:grid-cols-2 gap-x-4 gap-y-1 text-xs text-gray-500">
+                            <div><dt className="inline font-medium">Resource ID: </dt><dd className="inline font-mono">{entry.resourceId || '—'}</dd></div>
+                            <div><dt className="inline font-medium">User ID: </dt><dd className="inline font-mono">{entry.userId}</dd></div>
+                            <div className="md:col-span-2"><dt className="inline font-medium">User agent: </dt><dd className="inline">{entry.userAgent || '—'}</dd></div>
+                            <div><dt className="inline font-medium">Sequence: </dt><dd className="inline">{entry.sequence ?? 'not chained'}</dd></div>
+                            <div className="md:col-span-2"><dt className="inline font-medium">Hash: </dt><dd className="inline font-mono break-all">{entry.hash || '—'}</dd></div>
+                          </dl>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {!isDone && (
+            <div className="card-body text-center border-t border-gray-200 dark:border-gray-700">
+              <button onClick={handleLoadMore} disabled={loadingMore} className="btn btn-secondary">
+                {loadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { HomeIcon, LockClosedIcon } from '@heroicons/react/24/outline';
+
+const AccessDenied = () => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="flex items-center justify-center py-24">
+      <div className="max-w-md w-full text-center">
+        <div className="mb-8">
+          <LockClosedIcon className="h-16 w-16 mx-auto text-gray-300 dark:text-gray-600" />
+          <h2 className="text-2xl font-bold text-gray-900 dark:text-white mt-4">{t('errors.accessDenied')}</h2>
+          <p className="mt-2 text-gray-600 dark:text-gray-400">
+            {t('errors.accessDeniedMessage')}
+          </p>
+        </div>
+
+        <Link
+          to="/dashboard"
+          className="btn btn-primary inline-flex items-center"
+        >
+          <HomeIcon className="h-4 w-4 mr-2" />
+          {t('errors.goHome')}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default AccessDenied;
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { Outlet, Link, useLocation, useNavigate } from 'react-router-dom';
 import { useMSALAuth as useAuth } from '../../contexts/MSALAuthContext';
+import { useAuth as useConvexAuth } from '../../contexts/ConvexAuthContext';
 import { useTranslation } from 'react-i18next';
 import ThemeToggle from './ThemeToggle';
 import LanguageSelector from './LanguageSelector';
@@ -21,10 +22,16 @@ import {
   ChatBubbleLeftRightIcon,
   SparklesIcon,
   ArrowsRightLeftIcon,
+  CheckBadgeIcon,
+  ClipboardDocumentListIcon,
+  InboxArrowDownIcon,
 } from '@heroicons/react/24/outline';
 
 const Layout = ({ children }) => {
-  const { user, logout, hasPermission = () => true } = useAuth() || {};
+  const msalAuth = useAuth() || {};
+  const convexAuth = useConvexAuth();
+  const { user, logout } = msalAuth;
+  const hasPermission = msalAuth.isAuthenticated ? msalAuth.hasPermission : convexAuth.hasPermission;
   const { t } = useTranslation();
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const location = useLocation();
@@ -32,41 +39,61 @@ const Layout = ({ children }) => {
 
   const navigation = [
     { name: t('nav.dashboard'), href: '/dashboard', icon: HomeIcon, current: location.pathname === '/dashboard' },
-    { name: t('nav.userSearch'), href: '/users', icon: UserGroupIcon, current: location.pathname.startsWith('/users') },
+    { name: t('nav.userSearch'), href: '/users', icon: UserGroupIcon, current: location.pathname.startsWith('/users'), permission: 'userManagement' },
     {
       name: t('nav.onboarding'),
       href: '/onboarding',
       icon: UserPlusIcon,
       current: location.pathname.startsWith('/onboarding'),
-      permission: 'userManagement'
+      permission: 'lifecycleExecute'
     },
     {
       name: t('nav.offboarding'),
       href: '/offboarding',
       icon: UserMinusIcon,
       current: location.pathname.startsWith('/offboarding') && location.pathname !== '/scheduled-offboarding',
-      permission: 'userManagement'
+      permission: 'lifecycleExecute'
     },
     {
       name: t('nav.transfer'),
       href: '/transfer',
       icon: ArrowsRightLeftIcon,
       current: location.pathname.startsWith('/transfer'),
-      permission: 'userManagement'
+      permission: 'lifecycleRequest'
     },
     {
       name: t('nav.scheduledOffboarding'),
       href: '/scheduled-offboarding',
       icon: CalendarIcon,
       current: location.pathname === '/scheduled-offboarding',
-      permission: 'userManagement'
+      permission: 'lifecycleRequest'
+    },
+    {
+      name: t('nav.scheduledTransfers'),
+      href: '/scheduled-transfers',
+      icon: CalendarIcon,
+      current: location.pathname === '/scheduled-transfers',
+      permission: 'lifecycleRequest'
+    },
+    {
+      name: t('nav.hrEvents'),
+      href: '/hr-events',
+      icon: InboxArrowDownIcon,
+      current: location.pathname === '/hr-events',
+      permission: 'lifecycleRequest'
     },
     {
       name: t('nav.workflows'),
       href: '/workflows',
       icon: ArrowPathIcon,
       current: location.pathname === '/workflows',
-      permission: 'userManagement'
+      permission: 'lifecycleRequest'
+    },
+    {
+      name: t('nav.pendingApprovals'),
+      href: '/approvals',
+      icon: CheckBadgeIcon,
+      current: location.pathname === '/approvals'
     },
     {
       name: t('nav.deviceManagement'),
@@ -101,7 +128,14 @@ const Layout = ({ children }) => {
       href: '/groups',
       icon: UserGroupIcon,
       current: location.pathname.startsWith('/groups'),
-      permission: 'userManagement'
+      permission: 'groupManagement'
+    },
+    {
+      name: t('nav.auditLog'),
+      href: '/audit-log',
+      icon: ClipboardDocumentListIcon,
+      current: location.pathname === '/audit-log',
+      permission: 'auditView'
     },
     { name: t('nav.faq'), href: '/faq', icon: QuestionMarkCircleIcon, current: location.pathname === '/faq' },
     { name: 'Help Center', href: '/help', icon: SparklesIcon, current: location.pathname === '/help' },
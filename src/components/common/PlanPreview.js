@@ -0,0 +1,55 @@
+import React from 'react';
+
+/**
+ * Dry-run plan card for the onboarding and offboarding review steps
+ * Lists, per step, every change the run would make and the targets it would leave alone
+ */
+const PlanPreview = ({ plan }) => {
+  return (
+    <div className="card mt-6">
+      <div className="card-header">
+        <h4 className="text-md font-medium text-gray-900 dark:text-gray-100">Preview: Changes That Will Be Made</h4>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Read from Microsoft 365 just now. Nothing has been changed yet.</p>
+      </div>
+      <div className="card-body space-y-4">
+        {plan.map((entry) => (
+          <div key={entry.step}>
+            <div className="flex items-center justify-between">
+              <h5 className="text-sm font-semibold text-gray-900 dark:text-gray-100">{entry.label || entry.step}</h5>
+              {entry.status !== 'planned' && (
+                <span className={`text-xs font-medium px-2 py-1 rounded ${
+                  entry.status === 'unresolved'
+                    ? 'bg-danger-100 text-danger-800 dark:bg-danger-900/40 dark:text-danger-300'
+                    : 'bg-gray-100 text-gray-600 dark:bg-gray-800 dark:text-gray-400'
+                }`}>
+                  {entry.status === 'unresolved' ? 'Could not resolve' : 'Already completed'}
+                </span>
+              )}
+            </div>
+            {entry.error && (
+              <p className="mt-1 text-xs text-danger-600 dark:text-danger-400">{entry.error}</p>
+            )}
+            {entry.status === 'planned' && entry.changes.length === 0 && (
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Nothing to change</p>
+            )}
+            <ul className="mt-1 space-y-1">
+              {entry.changes.map((change, index) => (
+                <li
+                  key={index}
+                  className={`text-xs ${change.skipReason ? 'text-gray-400 dark:text-gray-500' : 'text-gray-700 dark:text-gray-300'}`}
+                >
+                  <span className={change.skipReason ? 'line-through' : ''}>
+                    {change.description}{change.target ? `: ${change.target}` : ''}
+                  </span>
+                  {change.skipReason && ` (skipped: ${change.skipReason})`}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PlanPreview;
@@ -45,7 +45,7 @@ const Dashboard = () => {
   const isConvexAuth = authMode === 'convex';
   const isMSALAuth = authMode === 'msal';
   const user = msalAuth.user || convexAuth.user;
-  const hasPermission = msalAuth.hasPermission || convexAuth.hasPermission;
+  const hasPermission = isConvexAuth ? convexAuth.hasPermission : msalAuth.hasPermission;
 
   useEffect(() => {
     const fetchDashboardData = async () => {
@@ -0,0 +1,378 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useConvex } from 'convex/react';
+import { api } from '../../convex/_generated/api';
+import { getSessionId } from '../../services/convexService';
+import { getActiveService } from '../../services/serviceFactory';
+import toast from 'react-hot-toast';
+import {
+  ArrowPathIcon,
+  CheckCircleIcon,
+  ClockIcon,
+  ExclamationTriangleIcon,
+  InboxArrowDownIcon,
+  MinusCircleIcon,
+  DocumentDuplicateIcon,
+  PlayIcon,
+  XMarkIcon,
+} from '@heroicons/react/24/outline';
+
+const STATUS_FILTERS = ['needs_review', 'applied', 'duplicate', 'dismissed', 'all'];
+
+const STATUS_BADGES = {
+  received: { label: 'Processing', className: 'bg-blue-100 text-blue-800', Icon: ClockIcon },
+  needs_review: { label: 'Needs review', className: 'bg-amber-100 text-amber-800', Icon: ExclamationTriangleIcon },
+  applied: { label: 'Scheduled', className: 'bg-green-100 text-green-800', Icon: CheckCircleIcon },
+  duplicate: { label: 'Duplicate', className: 'bg-gray-100 text-gray-700', Icon: DocumentDuplicateIcon },
+  dismissed: { label: 'Dismissed', className: 'bg-gray-100 text-gray-700', Icon: MinusCircleIcon },
+};
+
+const EVENT_LABELS = {
+  hire: 'Hire',
+  transfer: 'Transfer',
+  termination: 'Termination',
+};
+
+// Where each kind of scheduled record is listed
+const RECORD_LINKS = {
+  scheduled_offboarding: '/scheduled-offboarding',
+  scheduled_transfers: '/scheduled-transfers',
+  scheduled_onboarding: '/onboarding',
+};
+
+const getStatusBadge = (status) => {
+  const badge = STATUS_BADGES[status];
+  if (!badge) return null;
+  const { label, className, Icon } = badge;
+  return (
+    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${className}`}>
+      <Icon className="h-3 w-3 mr-1" />
+      {label}
+    </span>
+  );
+};
+
+const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+/**
+ * Hire, transfer and termination events received from the HR system, and the review
+ * queue for the ones that could not be scheduled on their own
+ */
+const HrEventQueue = () => {
+  const convex = useConvex();
+  const service = getActiveService();
+  const [events, setEvents] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('needs_review');
+  const [resolving, setResolving] = useState(null);
+  const [resolution, setResolution] = useState({});
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchEvents = useCallback(async () => {
+    const sessionId = getSessionId();
+    if (!sessionId) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      const result = await convex.query(api.hrEvents.listEvents, { sessionId });
+      setEvents(result.events);
+      setTemplates(result.templates);
+    } catch (error) {
+      console.error('Failed to load HR events:', error);
+      toast.error('Failed to load HR events');
+    } finally {
+      setLoading(false);
+    }
+  }, [convex]);
+
+  useEffect(() => {
+    fetchEvents();
+    // New events arrive from the HR system in the background
+    const interval = setInterval(fetchEvents, 30000);
+    return () => clearInterval(interval);
+  }, [fetchEvents]);
+
+  const withBusy = async (event, work) => {
+    setBusyId(event._id);
+    try {
+      await work();
+    } finally {
+      setBusyId(null);
+      await fetchEvents();
+    }
+  };
+
+  const startResolving = (event) => {
+    setResolving(event._id);
+    setResolution({
+      account: event.userPrincipalName || event.employee.userPrincipalName || event.employee.email || '',
+      effectiveDate: event.effectiveDate,
+      effectiveTime: event.effectiveTime || '',
+      templateId: event.templateId || '',
+    });
+  };
+
+  const handleResolve = (event) => withBusy(event, async () => {
+    try {
+      const overrides = {
+        effectiveDate: resolution.effectiveDate || undefined,
+        effectiveTime: resolution.effectiveTime || undefined,
+        templateId: resolution.templateId || undefined,
+      };
+
+      // Look the account up again when the operator named a different one
+      if (resolution.account && resolution.account !== event.userPrincipalName) {
+        const user = await service.getUser(resolution.account, 'id,displayName,userPrincipalName');
+        overrides.userId = user.id;
+        overrides.userPrincipalName = user.userPrincipalName;
+        overrides.displayName = user.displayName;
+      }
+
+      const result = await convex.mutation(api.hrEvents.resolveEvent, {
+        sessionId: getSessionId(),
+        eventId: event._id,
+        ...overrides,
+      });
+      if (result.status === 'applied') {
+        toast.success(`${EVENT_LABELS[event.eventType]} scheduled for ${overrides.displayName || event.displayName || event.employeeId}`);
+        setResolving(null);
+      } else {
+        toast.error('An earlier record for this employee is still open; see the note on the event');
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to resolve event');
+    }
+  });
+
+  const handleReprocess = (event) => withBusy(event, async () => {
+    try {
+      await convex.mutation(api.hrEvents.reprocessEvent, { sessionId: getSessionId(), eventId: event._id });
+      toast.success('Looking the employee up again');
+    } catch (error) {
+      toast.error(error.message || 'Failed to retry event');
+    }
+  });
+
+  const handleDismiss = (event) => {
+    const reason = window.prompt(`Dismiss the ${event.eventType} for ${event.employee.displayName || event.employeeId}? Reason (optional):`);
+    if (reason === null) {
+      return;
+    }
+
+    return withBusy(event, async () => {
+      try {
+        await convex.mutation(api.hrEvents.dismissEvent, {
+          sessionId: getSessionId(),
+          eventId: event._id,
+          reason: reason.trim() || undefined,
+        });
+        toast.success('Event dismissed');
+      } catch (error) {
+        toast.error(error.message || 'Failed to dismiss event');
+      }
+    });
+  };
+
+  const filtered = statusFilter === 'all'
+    ? events
+    : events.filter(event => event.status === statusFilter);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="animate-in">
+      <div className="mb-8 flex items-start justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">HR Events</h1>
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+            Hires, transfers and terminations sent by the HR system. Complete events are scheduled automatically; the rest wait here
+          </p>
+        </div>
+        <button onClick={fetchEvents} className="btn btn-secondary">
+          <ArrowPathIcon className="h-4 w-4 mr-2" />
+          Refresh
+        </button>
+      </div>
+
+      <div className="mb-4 flex gap-2">
+        {STATUS_FILTERS.map(status => (
+          <button
+            key={status}
+            onClick={() => setStatusFilter(status)}
+            className={`px-3 py-1 rounded-full text-sm ${
+              statusFilter === status
+                ? 'bg-primary-600 text-white'
+                : 'bg-gray-100 text-gray-700 dark:bg-gray-800 dark:text-gray-300'
+            }`}
+          >
+            {status === 'all' ? 'All' : STATUS_BADGES[status].label}
+            {status !== 'all' && ` (${events.filter(event => event.status === status).length})`}
+          </button>
+        ))}
+      </div>
+
+      {filtered.length === 0 ? (
+        <div className="card">
+          <div className="card-body text-center py-12">
+            <InboxArrowDownIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900 dark:text-gray-100">No events</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Events appear here when the HR system posts them. Set up the connection under Settings → HR Integration.
+            </p>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {filtered.map(event => (
+            <div key={event._id} className="card">
+              <div className="card-body space-y-3">
+                <div className="flex items-start justify-between">
+                  <div className="flex-1">
+                    <div className="flex items-center gap-3">
+                      <p className="font-medium text-gray-900 dark:text-gray-100">
+                        {EVENT_LABELS[event.eventType]}: {event.displayName || event.employee.displayName || event.employeeId}
+                      </p>
+                      {getStatusBadge(event.status)}
+                    </div>
+                    <p className="mt-1 text-sm text-gray-700 dark:text-gray-300">
+                      Employee {event.employeeId} · effective {event.effectiveDate}
+                      {event.effectiveTime && ` ${event.effectiveTime}`}
+                      {event.timezone && ` (${event.timezone})`}
+                      {event.userPrincipalName && ` · ${event.userPrincipalName}`}
+                    </p>
+                    {(event.employee.department || event.employee.jobTitle || event.employee.managerEmail) && (
+                      <p className="mt-1 text-xs text-gray-500">
+                        {[event.employee.department, event.employee.jobTitle, event.employee.officeLocation, event.employee.managerEmail && `manager ${event.employee.managerEmail}`]
+                          .filter(Boolean)
+                          .join(' · ')}
+                      </p>
+                    )}
+                    {event.missing.length > 0 && (
+                      <ul className="mt-2 text-sm text-amber-700 list-disc list-inside">
+                        {event.missing.map(label => <li key={label}>{label}</li>)}
+                      </ul>
+                    )}
+                    {event.reviewNote && (
+                      <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">{event.reviewNote}</p>
+                    )}
+                    <p className="mt-1 text-xs text-gray-500">
+                      Received {formatDateTime(event.receivedAt)}
+                      {event.receivedCount > 1 && ` · ${event.receivedCount} updates`}
+                      {event.templateName && ` · template ${event.templateName}`}
+                      {event.recordType && (
+                        <>
+                          {' · '}
+                          <Link to={RECORD_LINKS[event.recordType]} className="text-blue-600 hover:text-blue-800">
+                            view scheduled record
+                          </Link>
+                        </>
+                      )}
+                    </p>
+                  </div>
+                  {event.status === 'needs_review' && (
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => (resolving === event._id ? setResolving(null) : startResolving(event))}
+                        disabled={busyId === event._id}
+                        className="btn btn-primary disabled:opacity-50"
+                      >
+                        <PlayIcon className="h-4 w-4 mr-2" />
+                        Resolve
+                      </button>
+                      <button
+                        onClick={() => handleReprocess(event)}
+                        disabled={busyId === event._id}
+                        className="btn btn-secondary"
+                        title="Look the employee up in the directory again"
+                      >
+                        <ArrowPathIcon className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDismiss(event)}
+                        disabled={busyId === event._id}
+                        className="btn btn-secondary"
+                        title="Dismiss event"
+                      >
+                        <XMarkIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                {resolving === event._id && (
+                  <div className="border-t border-gray-200 dark:border-gray-700 pt-3 grid grid-cols-1 sm:grid-cols-4 gap-3">
+                    <div className="sm:col-span-2">
+                      <label className="form-label">Account (UPN or email)</label>
+                      <input
+                        type="text"
+                        value={resolution.account}
+                        onChange={(e) => setResolution(prev => ({ ...prev, account: e.target.value }))}
+                        placeholder={event.eventType === 'hire' ? 'Create the account in Onboarding first' : 'user@contoso.com'}
+                        className="form-input"
+                      />
+                    </div>
+                    <div>
+                      <label className="form-label">Effective date</label>
+                      <input
+                        type="date"
+                        value={resolution.effectiveDate}
+                        onChange={(e) => setResolution(prev => ({ ...prev, effectiveDate: e.target.value }))}
+                        className="form-input"
+                      />
+                    </div>
+                    <div>
+                      <label className="form-label">Time (template default if blank)</label>
+                      <input
+                        type="time"
+                        value={resolution.effectiveTime}
+                        onChange={(e) => setResolution(prev => ({ ...prev, effectiveTime: e.target.value }))}
+                        className="form-input"
+                      />
+                    </div>
+                    <div className="sm:col-span-2">
+                      <label className="form-label">Template</label>
+                      <select
+                        value={resolution.templateId}
+                        onChange={(e) => setResolution(prev => ({ ...prev, templateId: e.target.value }))}
+                        className="form-input"
+                      >
+                        <option value="">Best match</option>
+                        {templates.filter(template => template.eventType === event.eventType).map(template => (
+                          <option key={template._id} value={template._id}>{template.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="sm:col-span-2 flex items-end gap-2">
+                      <button
+                        onClick={() => handleResolve(event)}
+                        disabled={busyId === event._id}
+                        className="btn btn-primary disabled:opacity-50"
+                      >
+                        <CheckCircleIcon className="h-4 w-4 mr-2" />
+                        Schedule
+                      </button>
+                      <button onClick={() => setResolving(null)} className="btn btn-secondary">
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HrEventQueue;
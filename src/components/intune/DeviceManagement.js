@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { getActiveService, getAuthMode } from '../../services/serviceFactory';
 import { useMSALAuth } from '../../contexts/MSALAuthContext';
 import { useAuth as useConvexAuth } from '../../contexts/ConvexAuthContext';
+import { useConvex } from 'convex/react';
+import { requestApproval } from '../../utils/approvals';
 import toast from 'react-hot-toast';
 import {
   ComputerDesktopIcon,
@@ -15,6 +17,7 @@ import {
 const DeviceManagement = () => {
   const msalAuth = useMSALAuth();
   const convexAuth = useConvexAuth();
+  const convex = useConvex();
   
   // Use serviceFactory to get the correct service based on auth mode
   const authMode = getAuthMode();
@@ -102,18 +105,29 @@ const DeviceManagement = () => {
     }
   };
 
+  // Wipes need a second operator's approval; they are carried out from Pending Approvals
+  const requestWipe = async (deviceId) => {
+    const device = devices.find(d => d.id === deviceId);
+    const deviceName = device?.deviceName || deviceId;
+    await requestApproval(convex, {
+      operation: 'wipeDevice',
+      targetId: deviceId,
+      targetName: deviceName,
+      summary: `Factory reset ${deviceName}${device?.userPrincipalName ? ` (${device.userPrincipalName})` : ''}`,
+    });
+  };
+
   const handleWipeDevice = async (deviceId) => {
-    if (!window.confirm('Are you sure you want to wipe this device? This action cannot be undone.')) {
+    if (!window.confirm('Request approval to wipe this device? Once approved, the wipe cannot be undone.')) {
       return;
     }
 
     try {
-      await service.wipeDevice(deviceId, false, false);
-      toast.success('Device wipe initiated successfully');
-      fetchDevices();
+      await requestWipe(deviceId);
+      toast.success('Wipe requested. It will run once another operator approves it.');
     } catch (error) {
-      console.error('Error wiping device:', error);
-      toast.error('Failed to wipe device');
+      console.error('Error requesting device wipe:', error);
+      toast.error(error.message || 'Failed to request device wipe');
     }
   };
 
@@ -157,20 +171,25 @@ const DeviceManagement = () => {
       return;
     }
 
-    if (!window.confirm(`Are you sure you want to wipe ${selectedDevices.length} device(s)? This action cannot be undone.`)) {
+    if (!window.confirm(`Request approval to wipe ${selectedDevices.length} device(s)? Once approved, the wipes cannot be undone.`)) {
       return;
     }
 
-    try {
-      for (const deviceId of selectedDevices) {
-        await service.wipeDevice(deviceId, false, false);
+    let failed = 0;
+    for (const deviceId of selectedDevices) {
+      try {
+        await requestWipe(deviceId);
+      } catch (error) {
+        console.error(`Error requesting wipe for ${deviceId}:`, error);
+        failed++;
       }
-      toast.success(`Wipe initiated for ${selectedDevices.length} device(s)`);
+    }
+
+    if (failed === 0) {
+      toast.success(`Wipe requested for ${selectedDevices.length} device(s). They will run once another operator approves them.`);
       setSelectedDevices([]);
-      fetchDevices();
-    } catch (error) {
-      console.error('Error wiping devices:', error);
-      toast.error('Failed to wipe some devices');
+    } else {
+      toast.error(`Failed to request wipe for ${failed} of ${selectedDevices.length} device(s)`);
     }
   };
 
@@ -75,12 +75,15 @@ import {
   VpnKey as RegistryIcon,
   Code as ScriptIcon,
   Security as SecurityIcon,
+  TrackChanges as DriftIcon,
 } from '@mui/icons-material';
 
 import intuneService from '../../services/intuneService';
 import wingetService from '../../services/wingetService';
 import settingsCatalogService from '../../services/settingsCatalogService';
 import { useMSALAuth as useAuth } from '../../contexts/MSALAuthContext';
+import { useConvex } from 'convex/react';
+import { requestApproval } from '../../utils/approvals';
 import BackupMigrationTab from './tabs/BackupMigrationTab';
 import ComparisonTab from './tabs/ComparisonTab';
 import DocumentationTab from './tabs/DocumentationTab';
@@ -92,6 +95,7 @@ import ScriptManagementTab from './tabs/ScriptManagementTab';
 import ComplianceReportingTab from './tabs/ComplianceReportingTab';
 import AppProtectionPoliciesTab from './tabs/AppProtectionPoliciesTab';
 import ConditionalAccessTab from './tabs/ConditionalAccessTab';
+import DriftDetectionTab from './tabs/DriftDetectionTab';
 
 // ========== MAIN COMPONENT ==========
 
@@ -163,6 +167,7 @@ const IntuneManagement = () => {
           <Tab icon={<ReportsIcon />} label="Compliance Reporting" />
           <Tab icon={<SecurityIcon />} label="App Protection" />
           <Tab icon={<LockIcon />} label="Conditional Access" />
+          <Tab icon={<DriftIcon />} label="Drift Detection" />
         </Tabs>
       </Paper>
 
@@ -183,6 +188,7 @@ const IntuneManagement = () => {
         {activeTab === 13 && <ComplianceReportingTab onSuccess={showSuccess} onError={showError} />}
         {activeTab === 14 && <AppProtectionPoliciesTab onSuccess={showSuccess} onError={showError} />}
         {activeTab === 15 && <ConditionalAccessTab onSuccess={showSuccess} onError={showError} />}
+        {activeTab === 16 && <DriftDetectionTab onSuccess={showSuccess} onError={showError} />}
       </Box>
     </Container>
   );
@@ -191,6 +197,7 @@ const IntuneManagement = () => {
 // ========== DEVICES TAB ==========
 
 const DevicesTab = ({ onSuccess, onError }) => {
+  const convex = useConvex();
   const [devices, setDevices] = useState([]);
   const [loading, setLoading] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
@@ -250,10 +257,17 @@ const DevicesTab = ({ onSuccess, onError }) => {
           }
           break;
         case 'wipe':
-          if (window.confirm('Are you sure you want to wipe this device? This will erase ALL data!')) {
-            await intuneService.wipeDevice(deviceId);
-            onSuccess('Device wipe initiated');
-            await loadDevices();
+          // Carried out from Pending Approvals once a second operator approves
+          if (window.confirm('Request approval to wipe this device? Once approved, it will erase ALL data!')) {
+            const device = devices.find(d => d.id === deviceId);
+            const deviceName = device?.deviceName || deviceId;
+            await requestApproval(convex, {
+              operation: 'wipeDevice',
+              targetId: deviceId,
+              targetName: deviceName,
+              summary: `Factory reset ${deviceName}${device?.userPrincipalName ? ` (${device.userPrincipalName})` : ''}`,
+            });
+            onSuccess('Wipe requested. It will run once another operator approves it.');
           }
           break;
         default:
@@ -0,0 +1,410 @@
+/**
+ * Scheduled Backups
+ * Daily or weekly server-side backups of every Intune policy type, their retention,
+ * and the history of backups taken. Shown on the Backup & Migration tab.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useConvex } from 'convex/react';
+import {
+  Box,
+  Grid,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  FormControlLabel,
+  Checkbox,
+  Switch,
+  TextField,
+  MenuItem,
+  Alert,
+  Chip,
+  Divider,
+  IconButton,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper
+} from '@mui/material';
+import {
+  Schedule as ScheduleIcon,
+  Backup as BackupIcon,
+  Download as DownloadIcon,
+  Delete as DeleteIcon,
+  Refresh as RefreshIcon
+} from '@mui/icons-material';
+
+import { api } from '../../convex/_generated/api';
+import { getSessionId } from '../../services/convexService';
+import { intuneExportService } from '../../services/intune/intuneExportService';
+import { listBackups, loadBackup } from '../../services/intune/intuneBackupService';
+import { commonTimezones } from '../../utils/timezones';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Refresh the history this often while a backup is running
+const RUNNING_POLL_MS = 10 * 1000;
+
+const STATUS_COLORS = {
+  running: 'info',
+  completed: 'success',
+  failed: 'error'
+};
+
+const formatSize = (bytes) => {
+  if (!bytes) return '—';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const ScheduledBackups = ({ onSuccess, onError }) => {
+  const convex = useConvex();
+  const [form, setForm] = useState(null);
+  const [nextRunAt, setNextRunAt] = useState(null);
+  const [backups, setBackups] = useState([]);
+  const [accessError, setAccessError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [busyBackupId, setBusyBackupId] = useState(null);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      setBackups(await listBackups(convex));
+    } catch (error) {
+      console.error('Failed to load backups:', error);
+    }
+  }, [convex]);
+
+  const loadSchedule = useCallback(async () => {
+    try {
+      const { schedule, retention } = await convex.query(api.intuneBackups.getSchedule, { sessionId: getSessionId() });
+      setForm({
+        enabled: schedule?.enabled ?? false,
+        frequency: schedule?.frequency || 'daily',
+        dayOfWeek: schedule?.dayOfWeek ?? 0,
+        time: schedule?.time || '02:00',
+        timezone: schedule?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+        includeAssignments: schedule?.includeAssignments ?? true,
+        keepCount: retention.keepCount,
+        keepDays: retention.keepDays
+      });
+      setNextRunAt(schedule?.enabled ? schedule.nextRunAt : null);
+      setAccessError(null);
+      await loadHistory();
+    } catch (error) {
+      setAccessError(error.message);
+    }
+  }, [convex, loadHistory]);
+
+  useEffect(() => {
+    loadSchedule();
+  }, [loadSchedule]);
+
+  const isRunning = backups.some(backup => backup.status === 'running');
+  useEffect(() => {
+    if (!isRunning) return undefined;
+    const timer = setInterval(loadHistory, RUNNING_POLL_MS);
+    return () => clearInterval(timer);
+  }, [isRunning, loadHistory]);
+
+  const updateForm = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const result = await convex.mutation(api.intuneBackups.saveSchedule, {
+        sessionId: getSessionId(),
+        enabled: form.enabled,
+        frequency: form.frequency,
+        dayOfWeek: form.frequency === 'weekly' ? Number(form.dayOfWeek) : undefined,
+        time: form.time,
+        timezone: form.timezone,
+        includeAssignments: form.includeAssignments,
+        keepCount: Number(form.keepCount),
+        keepDays: Number(form.keepDays)
+      });
+      setNextRunAt(result.nextRunAt || null);
+      onSuccess(form.enabled ? 'Backup schedule saved' : 'Scheduled backups switched off');
+    } catch (error) {
+      onError(`Failed to save the backup schedule: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleBackupNow = async () => {
+    try {
+      await convex.mutation(api.intuneBackups.runBackupNow, {
+        sessionId: getSessionId(),
+        includeAssignments: form.includeAssignments
+      });
+      onSuccess('Backup started. It appears in the history when it finishes.');
+      await loadHistory();
+    } catch (error) {
+      onError(`Failed to start the backup: ${error.message}`);
+    }
+  };
+
+  const handleDownload = async (backup) => {
+    setBusyBackupId(backup._id);
+    try {
+      const exportData = await loadBackup(convex, backup._id);
+      const filename = await intuneExportService.downloadExport(exportData);
+      onSuccess(`Downloaded ${filename}`);
+    } catch (error) {
+      onError(`Failed to download the backup: ${error.message}`);
+    } finally {
+      setBusyBackupId(null);
+    }
+  };
+
+  const handleDelete = async (backup) => {
+    if (!window.confirm(`Delete the backup from ${new Date(backup.startedAt).toLocaleString()}?`)) {
+      return;
+    }
+    setBusyBackupId(backup._id);
+    try {
+      await convex.mutation(api.intuneBackups.deleteBackup, { sessionId: getSessionId(), backupId: backup._id });
+      onSuccess('Backup deleted');
+      await loadHistory();
+    } catch (error) {
+      onError(`Failed to delete the backup: ${error.message}`);
+    } finally {
+      setBusyBackupId(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardContent>
+        <Box display="flex" alignItems="center" justifyContent="space-between" mb={2}>
+          <Box display="flex" alignItems="center">
+            <ScheduleIcon sx={{ mr: 1, fontSize: 32, color: 'primary.main' }} />
+            <Typography variant="h6">Scheduled Backups</Typography>
+          </Box>
+          {form && (
+            <Box display="flex" gap={1}>
+              <Tooltip title="Refresh history">
+                <IconButton onClick={loadHistory}>
+                  <RefreshIcon />
+                </IconButton>
+              </Tooltip>
+              <Button variant="outlined" startIcon={<BackupIcon />} onClick={handleBackupNow} disabled={isRunning}>
+                {isRunning ? 'Backup Running...' : 'Back Up Now'}
+              </Button>
+            </Box>
+          )}
+        </Box>
+
+        <Typography variant="body2" color="text.secondary" mb={2}>
+          Every policy type is backed up on the server with the tenant's app credentials, so no one needs to be signed in.
+          Backups are kept here and can be downloaded or picked on the Comparison tab.
+        </Typography>
+
+        {accessError && (
+          <Alert severity="warning">{accessError}</Alert>
+        )}
+
+        {form && (
+          <>
+            <Divider sx={{ my: 2 }} />
+
+            <Grid container spacing={2} alignItems="center">
+              <Grid item xs={12}>
+                <FormControlLabel
+                  control={<Switch checked={form.enabled} onChange={(e) => updateForm('enabled', e.target.checked)} />}
+                  label={form.enabled ? 'Scheduled backups on' : 'Scheduled backups off'}
+                />
+                {nextRunAt && (
+                  <Typography variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                    Next backup {new Date(nextRunAt).toLocaleString()}
+                  </Typography>
+                )}
+              </Grid>
+              <Grid item xs={12} sm={6} md={2}>
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label="Frequency"
+                  value={form.frequency}
+                  onChange={(e) => updateForm('frequency', e.target.value)}
+                >
+                  <MenuItem value="daily">Daily</MenuItem>
+                  <MenuItem value="weekly">Weekly</MenuItem>
+                </TextField>
+              </Grid>
+              {form.frequency === 'weekly' && (
+                <Grid item xs={12} sm={6} md={2}>
+                  <TextField
+                    select
+                    fullWidth
+                    size="small"
+                    label="Day"
+                    value={form.dayOfWeek}
+                    onChange={(e) => updateForm('dayOfWeek', e.target.value)}
+                  >
+                    {WEEKDAYS.map((day, index) => (
+                      <MenuItem key={day} value={index}>{day}</MenuItem>
+                    ))}
+                  </TextField>
+                </Grid>
+              )}
+              <Grid item xs={12} sm={6} md={2}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="time"
+                  label="Time"
+                  value={form.time}
+                  onChange={(e) => updateForm('time', e.target.value)}
+                  InputLabelProps={{ shrink: true }}
+                />
+              </Grid>
+              <Grid item xs={12} sm={6} md={3}>
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label="Timezone"
+                  value={form.timezone}
+                  onChange={(e) => updateForm('timezone', e.target.value)}
+                >
+                  {!commonTimezones.some(tz => tz.value === form.timezone) && (
+                    <MenuItem value={form.timezone}>{form.timezone}</MenuItem>
+                  )}
+                  {commonTimezones.map(tz => (
+                    <MenuItem key={tz.value} value={tz.value}>{tz.label}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+              <Grid item xs={12} md={3}>
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      checked={form.includeAssignments}
+                      onChange={(e) => updateForm('includeAssignments', e.target.checked)}
+                    />
+                  }
+                  label="Include assignments"
+                />
+              </Grid>
+              <Grid item xs={12} sm={6} md={2}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="number"
+                  label="Keep newest"
+                  value={form.keepCount}
+                  onChange={(e) => updateForm('keepCount', e.target.value)}
+                  inputProps={{ min: 1 }}
+                />
+              </Grid>
+              <Grid item xs={12} sm={6} md={2}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="number"
+                  label="And all from last (days)"
+                  value={form.keepDays}
+                  onChange={(e) => updateForm('keepDays', e.target.value)}
+                  inputProps={{ min: 0 }}
+                />
+              </Grid>
+              <Grid item xs={12} md={8}>
+                <Typography variant="caption" color="text.secondary">
+                  Retention applies to scheduled and manual backups alike, each time a backup finishes.
+                </Typography>
+              </Grid>
+              <Grid item xs={12}>
+                <Button variant="contained" onClick={handleSave} disabled={saving}>
+                  {saving ? 'Saving...' : 'Save Schedule'}
+                </Button>
+              </Grid>
+            </Grid>
+
+            <Divider sx={{ my: 3 }} />
+
+            <Typography variant="subtitle2" gutterBottom>
+              Backup History
+            </Typography>
+            {backups.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No backups yet.
+              </Typography>
+            ) : (
+              <TableContainer component={Paper} variant="outlined">
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell><strong>Started</strong></TableCell>
+                      <TableCell><strong>Trigger</strong></TableCell>
+                      <TableCell><strong>Status</strong></TableCell>
+                      <TableCell align="right"><strong>Policies</strong></TableCell>
+                      <TableCell align="right"><strong>Size</strong></TableCell>
+                      <TableCell align="right"><strong>Actions</strong></TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {backups.map(backup => {
+                      const failedTypes = Object.keys(backup.typeErrors || {});
+                      return (
+                        <TableRow key={backup._id}>
+                          <TableCell>{new Date(backup.startedAt).toLocaleString()}</TableCell>
+                          <TableCell>{backup.trigger === 'scheduled' ? 'Scheduled' : 'Manual'}</TableCell>
+                          <TableCell>
+                            <Tooltip title={backup.error || (failedTypes.length > 0 ? `Could not read: ${failedTypes.join(', ')}` : '')}>
+                              <Chip
+                                size="small"
+                                label={failedTypes.length > 0 && backup.status === 'completed' ? 'Partial' : backup.status}
+                                color={failedTypes.length > 0 && backup.status === 'completed' ? 'warning' : STATUS_COLORS[backup.status]}
+                              />
+                            </Tooltip>
+                          </TableCell>
+                          <TableCell align="right">{backup.manifest?.statistics?.totalPolicies ?? '—'}</TableCell>
+                          <TableCell align="right">{formatSize(backup.sizeBytes)}</TableCell>
+                          <TableCell align="right">
+                            <Tooltip title="Download JSON">
+                              <span>
+                                <IconButton
+                                  size="small"
+                                  onClick={() => handleDownload(backup)}
+                                  disabled={backup.status !== 'completed' || busyBackupId === backup._id}
+                                >
+                                  <DownloadIcon fontSize="small" />
+                                </IconButton>
+                              </span>
+                            </Tooltip>
+                            <Tooltip title="Delete">
+                              <span>
+                                <IconButton
+                                  size="small"
+                                  onClick={() => handleDelete(backup)}
+                                  disabled={backup.status === 'running' || busyBackupId === backup._id}
+                                >
+                                  <DeleteIcon fontSize="small" />
+                                </IconButton>
+                              </span>
+                            </Tooltip>
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ScheduledBackups;
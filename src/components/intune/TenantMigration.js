@@ -0,0 +1,465 @@
+/**
+ * Tenant Migration
+ * Copies Intune configuration from a source tenant to a destination tenant: sign in to both,
+ * review how groups, assignment filters and scope tags were matched, then migrate and download
+ * the report. Shown on the Backup & Migration tab.
+ */
+
+import React, { useState } from 'react';
+import {
+  Box,
+  Grid,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  FormControlLabel,
+  Checkbox,
+  TextField,
+  MenuItem,
+  Alert,
+  Chip,
+  Divider,
+  LinearProgress,
+  Stepper,
+  Step,
+  StepLabel,
+  Autocomplete,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper
+} from '@mui/material';
+import {
+  SwapHoriz as MigrateIcon,
+  Login as LoginIcon,
+  Download as DownloadIcon
+} from '@mui/icons-material';
+
+import {
+  intuneMigrationService,
+  MIGRATION_STEPS,
+  CREATE_IN_DESTINATION
+} from '../../services/intune/intuneMigrationService';
+import { IMPORT_MODES } from '../../services/intune/intuneImportService';
+
+const STEPS = ['Connect tenants', 'Choose policy types', 'Review mappings', 'Migrate'];
+
+const STATUS_COLORS = {
+  created: 'success',
+  mapped: 'info',
+  existing: 'info',
+  skipped: 'warning',
+  failed: 'error'
+};
+
+const GroupMappingField = ({ group, destination, onChange }) => {
+  const [options, setOptions] = useState([]);
+
+  const handleInput = async (event, text, reason) => {
+    if (reason !== 'input' || text.length < 2) return;
+    try {
+      setOptions(await intuneMigrationService.searchDestinationGroups(destination, text));
+    } catch (error) {
+      console.error('Group search failed:', error);
+    }
+  };
+
+  const value = group.target ? { id: group.target, displayName: group.targetName || group.target } : null;
+  return (
+    <Autocomplete
+      size="small"
+      options={options}
+      value={value}
+      filterOptions={(x) => x}
+      getOptionLabel={(option) => option.displayName}
+      isOptionEqualToValue={(option, selected) => option.id === selected.id}
+      onInputChange={handleInput}
+      onChange={(event, selected) => onChange(selected)}
+      renderInput={(params) => <TextField {...params} placeholder="Search destination groups" />}
+    />
+  );
+};
+
+const TenantMigration = ({ onSuccess, onError }) => {
+  const [source, setSource] = useState(null);
+  const [destination, setDestination] = useState(null);
+  const [connecting, setConnecting] = useState(null);
+  const [selectedTypes, setSelectedTypes] = useState([]);
+  const [mode, setMode] = useState(IMPORT_MODES.SKIP);
+  const [plan, setPlan] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState('');
+  const [progress, setProgress] = useState(0);
+  const [report, setReport] = useState(null);
+
+  const migratableTypes = intuneMigrationService.getMigratableTypes();
+  const activeStep = report ? 3 : plan ? 2 : source && destination ? 1 : 0;
+
+  const handleConnect = async (role, useCurrent = false) => {
+    setConnecting(role);
+    try {
+      const connection = useCurrent
+        ? await intuneMigrationService.connectCurrentTenant()
+        : await intuneMigrationService.connectTenant();
+      if (role === 'source') {
+        setSource(connection);
+      } else {
+        setDestination(connection);
+      }
+      setPlan(null);
+      setReport(null);
+    } catch (error) {
+      onError(`Failed to sign in to the ${role} tenant: ${error.message}`);
+    } finally {
+      setConnecting(null);
+    }
+  };
+
+  const toggleType = (key) => {
+    setSelectedTypes(prev => (prev.includes(key) ? prev.filter(type => type !== key) : [...prev, key]));
+  };
+
+  const handleAnalyze = async () => {
+    setBusy(true);
+    setReport(null);
+    try {
+      setPlan(await intuneMigrationService.analyze(source, destination, selectedTypes, setStatus));
+    } catch (error) {
+      onError(`Failed to read the source tenant: ${error.message}`);
+    } finally {
+      setBusy(false);
+      setStatus('');
+    }
+  };
+
+  const updateMapping = (list, sourceId, changes) => {
+    setPlan(prev => ({
+      ...prev,
+      [list]: prev[list].map(item => (item.sourceId === sourceId ? { ...item, ...changes } : item))
+    }));
+  };
+
+  const handleMigrate = async () => {
+    if (!window.confirm(`Create ${plan.policyCount} object(s) in ${destination.name}?`)) {
+      return;
+    }
+    setBusy(true);
+    setProgress(0);
+    try {
+      const result = await intuneMigrationService.migrate(plan, { mode }, (current, total, message) => {
+        setProgress(current);
+        setStatus(message);
+      });
+      setReport(result);
+      if (result.summary.failed) {
+        onError(`Migration finished with ${result.summary.failed} failure(s); see the report`);
+      } else {
+        onSuccess(`Migrated to ${destination.name}`);
+      }
+    } catch (error) {
+      onError(`Migration failed: ${error.message}`);
+    } finally {
+      setBusy(false);
+      setStatus('');
+    }
+  };
+
+  const handleDownloadReport = (format) => {
+    const content = intuneMigrationService.generateReport(report, format);
+    const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/csv' });
+    const url = URL.createObjectURL(blob);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `intune-migration-${timestamp}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const renderTenant = (role, connection) => (
+    <Paper variant="outlined" sx={{ p: 2 }}>
+      <Typography variant="subtitle2" gutterBottom>
+        {role === 'source' ? 'Source tenant' : 'Destination tenant'}
+      </Typography>
+      {connection ? (
+        <Box mb={1}>
+          <Typography variant="body2">{connection.name}</Typography>
+          <Typography variant="caption" color="text.secondary">
+            {connection.account} · {connection.tenantId}
+          </Typography>
+        </Box>
+      ) : (
+        <Typography variant="body2" color="text.secondary" mb={1}>
+          Not connected
+        </Typography>
+      )}
+      <Box display="flex" gap={1}>
+        <Button
+          size="small"
+          variant="outlined"
+          startIcon={<LoginIcon />}
+          onClick={() => handleConnect(role)}
+          disabled={connecting !== null || busy}
+        >
+          {connecting === role ? 'Signing in...' : 'Sign In'}
+        </Button>
+        <Button size="small" onClick={() => handleConnect(role, true)} disabled={connecting !== null || busy}>
+          Use Current Tenant
+        </Button>
+      </Box>
+    </Paper>
+  );
+
+  const renderMappingSelect = (list, item) => (
+    <TextField
+      select
+      fullWidth
+      size="small"
+      value={item.target || ''}
+      onChange={(e) => updateMapping(list, item.sourceId, { target: e.target.value || null })}
+    >
+      <MenuItem value={CREATE_IN_DESTINATION}>Create in destination</MenuItem>
+      <MenuItem value="">Leave out</MenuItem>
+      {item.options.map(option => (
+        <MenuItem key={option.id} value={option.id}>{option.displayName}</MenuItem>
+      ))}
+    </TextField>
+  );
+
+  return (
+    <Card>
+      <CardContent>
+        <Box display="flex" alignItems="center" mb={2}>
+          <MigrateIcon sx={{ mr: 1, fontSize: 32, color: 'primary.main' }} />
+          <Typography variant="h6">Tenant Migration</Typography>
+        </Box>
+
+        <Typography variant="body2" color="text.secondary" mb={2}>
+          Copy policies and their assignments to another tenant. Groups, assignment filters and scope tags are matched
+          by name and can be changed before anything is created. Scope tags, filters, apps, policies and policy sets are
+          created in that order so references between them carry over.
+        </Typography>
+
+        <Stepper activeStep={activeStep} sx={{ mb: 3 }}>
+          {STEPS.map(label => (
+            <Step key={label}>
+              <StepLabel>{label}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+
+        <Grid container spacing={2}>
+          <Grid item xs={12} md={6}>
+            {renderTenant('source', source)}
+          </Grid>
+          <Grid item xs={12} md={6}>
+            {renderTenant('destination', destination)}
+          </Grid>
+        </Grid>
+
+        {source && destination && (
+          <>
+            <Divider sx={{ my: 3 }} />
+
+            <Typography variant="subtitle2" gutterBottom>
+              Policy Types
+            </Typography>
+            <Grid container>
+              {migratableTypes.map(type => (
+                <Grid item xs={12} sm={6} md={4} key={type.key}>
+                  <FormControlLabel
+                    control={
+                      <Checkbox
+                        checked={selectedTypes.includes(type.key)}
+                        onChange={() => toggleType(type.key)}
+                        disabled={busy}
+                      />
+                    }
+                    label={type.name}
+                  />
+                </Grid>
+              ))}
+            </Grid>
+            <Typography variant="caption" color="text.secondary" display="block" mb={2}>
+              Conditional Access and role definitions are not migrated. Scope tags are created as the policies need them.
+            </Typography>
+            <Button variant="outlined" onClick={handleAnalyze} disabled={busy || selectedTypes.length === 0}>
+              {busy && !plan ? 'Reading Source...' : 'Analyze'}
+            </Button>
+          </>
+        )}
+
+        {busy && (
+          <Box mt={2}>
+            <LinearProgress variant={plan ? 'determinate' : 'indeterminate'} value={progress} />
+            <Typography variant="caption" color="text.secondary">{status}</Typography>
+          </Box>
+        )}
+
+        {plan && !report && (
+          <>
+            <Divider sx={{ my: 3 }} />
+
+            <Typography variant="subtitle2" gutterBottom>
+              {plan.policyCount} object(s) to migrate
+            </Typography>
+
+            {plan.groups.length > 0 && (
+              <>
+                <Typography variant="subtitle2" mt={2} gutterBottom>Groups</Typography>
+                <TableContainer component={Paper} variant="outlined">
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell width="40%"><strong>Source group</strong></TableCell>
+                        <TableCell><strong>Destination group</strong></TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {plan.groups.map(group => (
+                        <TableRow key={group.sourceId}>
+                          <TableCell>
+                            {group.name}
+                            {!group.target && <Chip size="small" color="warning" label="No match" sx={{ ml: 1 }} />}
+                          </TableCell>
+                          <TableCell>
+                            <GroupMappingField
+                              group={group}
+                              destination={destination}
+                              onChange={(selected) => updateMapping('groups', group.sourceId, {
+                                target: selected?.id || null,
+                                targetName: selected?.displayName || null
+                              })}
+                            />
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+                <Typography variant="caption" color="text.secondary">
+                  Assignments to a group with no destination group are left out.
+                </Typography>
+              </>
+            )}
+
+            {[['filters', 'Assignment Filters'], ['scopeTags', 'Scope Tags']].map(([list, title]) => plan[list].length > 0 && (
+              <Box key={list} mt={2}>
+                <Typography variant="subtitle2" gutterBottom>{title}</Typography>
+                <TableContainer component={Paper} variant="outlined">
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell width="40%"><strong>Source</strong></TableCell>
+                        <TableCell><strong>Destination</strong></TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {plan[list].map(item => (
+                        <TableRow key={item.sourceId}>
+                          <TableCell>
+                            {item.name}
+                            {item.platform && (
+                              <Typography variant="caption" color="text.secondary" sx={{ ml: 1 }}>{item.platform}</Typography>
+                            )}
+                          </TableCell>
+                          <TableCell>{renderMappingSelect(list, item)}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </Box>
+            ))}
+
+            {plan.referencedApps.some(app => !app.target) && (
+              <Alert severity="warning" sx={{ mt: 2 }}>
+                These apps are used by the selected policies but are not in the destination and are not being migrated:{' '}
+                {plan.referencedApps.filter(app => !app.target).map(app => app.name).join(', ')}
+              </Alert>
+            )}
+
+            <Box display="flex" alignItems="center" gap={2} mt={3}>
+              <TextField
+                select
+                size="small"
+                label="Objects already in the destination"
+                value={mode}
+                onChange={(e) => setMode(e.target.value)}
+                sx={{ minWidth: 280 }}
+              >
+                <MenuItem value={IMPORT_MODES.SKIP}>Use the existing object</MenuItem>
+                <MenuItem value={IMPORT_MODES.ALWAYS}>Create a copy</MenuItem>
+              </TextField>
+              <Button variant="contained" startIcon={<MigrateIcon />} onClick={handleMigrate} disabled={busy}>
+                {busy ? 'Migrating...' : 'Migrate'}
+              </Button>
+            </Box>
+          </>
+        )}
+
+        {report && (
+          <>
+            <Divider sx={{ my: 3 }} />
+
+            <Box display="flex" alignItems="center" justifyContent="space-between" mb={1}>
+              <Box display="flex" gap={1}>
+                {Object.keys(STATUS_COLORS).filter(key => report.summary[key]).map(key => (
+                  <Chip key={key} size="small" color={STATUS_COLORS[key]} label={`${report.summary[key]} ${key}`} />
+                ))}
+                {report.summary.warnings > 0 && (
+                  <Chip size="small" variant="outlined" label={`${report.summary.warnings} warning(s)`} />
+                )}
+              </Box>
+              <Box display="flex" gap={1}>
+                <Button size="small" startIcon={<DownloadIcon />} onClick={() => handleDownloadReport('csv')}>
+                  CSV
+                </Button>
+                <Button size="small" startIcon={<DownloadIcon />} onClick={() => handleDownloadReport('json')}>
+                  JSON
+                </Button>
+              </Box>
+            </Box>
+            <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 400 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell><strong>Step</strong></TableCell>
+                    <TableCell><strong>Name</strong></TableCell>
+                    <TableCell><strong>Status</strong></TableCell>
+                    <TableCell><strong>Notes</strong></TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {report.items.map((item, index) => (
+                    <TableRow key={`${item.step}-${item.sourceId}-${index}`}>
+                      <TableCell>{MIGRATION_STEPS[item.step]}</TableCell>
+                      <TableCell>{item.name}</TableCell>
+                      <TableCell>
+                        <Chip size="small" color={STATUS_COLORS[item.status]} label={item.status} />
+                      </TableCell>
+                      <TableCell>
+                        {[item.message, ...item.warnings].filter(Boolean).map(note => (
+                          <Typography key={note} variant="caption" display="block">{note}</Typography>
+                        ))}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TenantMigration;
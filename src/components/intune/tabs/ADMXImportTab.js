@@ -6,6 +6,7 @@ import {
   Typography,
   Button,
   TextField,
+  MenuItem,
   LinearProgress,
   Alert,
   Grid,
@@ -29,15 +30,90 @@ import {
   Upload as UploadIcon,
   CloudUpload as CloudUploadIcon,
   CheckCircle as SuccessIcon,
-  Error as ErrorIcon,
   Info as InfoIcon,
-  Preview as PreviewIcon
+  Preview as PreviewIcon,
+  Tune as TuneIcon
 } from '@mui/icons-material';
-import { useTranslation } from 'react-i18next';
-import admxImportService from '../../../services/intune/admxImportService';
+import admxImportService, { PRESENTATION_TYPES } from '../../../services/intune/admxImportService';
+
+const INGESTION_STATUS_LABELS = {
+  none: 'Waiting to start',
+  uploadInProgress: 'Intune is ingesting the ADMX...',
+  available: 'Ingested',
+  assigned: 'Ingested'
+};
+
+// One input for a presentation of an enabled setting
+const PresentationField = ({ presentation, value, onChange }) => {
+  const label = presentation.label || '';
+
+  switch (presentation['@odata.type']) {
+    case PRESENTATION_TYPES.text:
+      return <Typography variant="body2" color="textSecondary">{label}</Typography>;
+
+    case PRESENTATION_TYPES.checkBox:
+      return (
+        <FormControlLabel
+          control={<Checkbox checked={!!value} onChange={(e) => onChange(e.target.checked)} />}
+          label={label}
+        />
+      );
+
+    case PRESENTATION_TYPES.decimalTextBox:
+    case PRESENTATION_TYPES.longDecimalTextBox:
+      return (
+        <TextField
+          fullWidth
+          size="small"
+          type="number"
+          label={label}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          inputProps={{ min: presentation.minValue, max: presentation.maxValue }}
+          helperText={`${presentation.minValue ?? 0} to ${presentation.maxValue}`}
+        />
+      );
+
+    case PRESENTATION_TYPES.dropdownList:
+      return (
+        <TextField select fullWidth size="small" label={label} value={value} onChange={(e) => onChange(e.target.value)}>
+          {(presentation.items || []).map(item => (
+            <MenuItem key={item.value} value={item.value}>{item.displayName}</MenuItem>
+          ))}
+        </TextField>
+      );
+
+    case PRESENTATION_TYPES.listBox:
+    case PRESENTATION_TYPES.multiTextBox:
+      return (
+        <TextField
+          fullWidth
+          multiline
+          minRows={3}
+          size="small"
+          label={label}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          helperText={presentation.explicitValue ? 'One name=value entry per line' : 'One entry per line'}
+        />
+      );
+
+    default:
+      return (
+        <TextField
+          fullWidth
+          size="small"
+          label={label}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          required={presentation.required}
+          inputProps={{ maxLength: presentation.maxLength || undefined }}
+        />
+      );
+  }
+};
 
 const ADMXImportTab = ({ onSuccess, onError }) => {
-  const { t } = useTranslation();
   const [activeStep, setActiveStep] = useState(0);
   const [loading, setLoading] = useState(false);
 
@@ -46,18 +122,24 @@ const ADMXImportTab = ({ onSuccess, onError }) => {
   const [admlFile, setAdmlFile] = useState(null);
   const [admxContent, setAdmxContent] = useState(null);
   const [admlContent, setAdmlContent] = useState(null);
+  const [languageCode, setLanguageCode] = useState('en-US');
 
-  // Step 2: Parse & preview
+  // Step 2: Parse, preview & ingest
   const [admxData, setAdmxData] = useState(null);
   const [admlStrings, setAdmlStrings] = useState(null);
   const [summary, setSummary] = useState(null);
-  const [selectedPolicies, setSelectedPolicies] = useState([]);
+  const [ingestionStatus, setIngestionStatus] = useState(null);
 
-  // Step 3: Import configuration
+  // Step 3: Configure the ingested settings
+  const [definitions, setDefinitions] = useState([]);
+  const [configured, setConfigured] = useState({});
+  const [filterText, setFilterText] = useState('');
+
+  // Step 4: Import configuration
   const [policyName, setPolicyName] = useState('');
   const [policyDescription, setPolicyDescription] = useState('');
 
-  // Step 4: Results
+  // Step 5: Results
   const [importResult, setImportResult] = useState(null);
 
   // Handle ADMX file upload
@@ -98,8 +180,8 @@ const ADMXImportTab = ({ onSuccess, onError }) => {
 
   // Parse files
   const handleParse = () => {
-    if (!admxContent) {
-      onError('Please upload an ADMX file first');
+    if (!admxContent || !admlContent) {
+      onError('Please upload an ADMX file and its ADML file first');
       return;
     }
 
@@ -113,28 +195,19 @@ const ADMXImportTab = ({ onSuccess, onError }) => {
         return;
       }
 
-      // Parse ADMX
+      // Parse ADMX and ADML
       const parsedAdmx = admxImportService.parseADMX(admxContent);
       setAdmxData(parsedAdmx);
 
-      // Parse ADML if provided
-      let parsedAdml = {};
-      if (admlContent) {
-        parsedAdml = admxImportService.parseADML(admlContent);
-      }
+      const parsedAdml = admxImportService.parseADML(admlContent);
       setAdmlStrings(parsedAdml);
 
       // Generate summary
       const policySummary = admxImportService.extractSummary(parsedAdmx, parsedAdml);
       setSummary(policySummary);
 
-      // Select all policies by default
-      setSelectedPolicies(parsedAdmx.policies.map(p => p.name));
-
       // Generate default policy name
-      if (admxFile) {
-        setPolicyName(`Imported - ${admxFile.name.replace('.admx', '')}`);
-      }
+      setPolicyName(`Imported - ${admxFile.name.replace('.admx', '')}`);
 
       onSuccess('ADMX file parsed successfully');
       setActiveStep(1);
@@ -146,27 +219,67 @@ const ADMXImportTab = ({ onSuccess, onError }) => {
     }
   };
 
-  // Toggle policy selection
-  const handlePolicyToggle = (policyName) => {
-    setSelectedPolicies(prev =>
-      prev.includes(policyName)
-        ? prev.filter(p => p !== policyName)
-        : [...prev, policyName]
-    );
+  // Upload the files to Intune and wait for ingestion, or use an earlier upload of the same namespace
+  const handleIngest = async () => {
+    setLoading(true);
+    try {
+      let definitionFile = await admxImportService.findUploadedDefinitionFile(admxData.targetNamespace);
+      if (definitionFile?.status === 'uploadFailed' || definitionFile?.status === 'removalFailed') {
+        throw new Error(`${definitionFile.fileName} was uploaded before but failed. Delete it from Intune's imported administrative templates and try again.`);
+      }
+      if (!definitionFile) {
+        definitionFile = await admxImportService.uploadDefinitionFile(admxFile, admlFile, languageCode);
+      } else {
+        onSuccess(`${definitionFile.fileName} is already in Intune; using the uploaded definitions`);
+      }
+
+      await admxImportService.waitForIngestion(definitionFile.id, setIngestionStatus);
+      const ingested = await admxImportService.getIngestedDefinitions(definitionFile.id);
+      setDefinitions(ingested);
+      setConfigured({});
+      setActiveStep(2);
+    } catch (error) {
+      console.error('Ingestion error:', error);
+      onError(error.message);
+    } finally {
+      setLoading(false);
+      setIngestionStatus(null);
+    }
   };
 
-  const handleSelectAll = () => {
-    setSelectedPolicies(admxData.policies.map(p => p.name));
+  // Not configured, enabled or disabled, with the enabled setting's presentation values
+  const handleStateChange = (definition, state) => {
+    setConfigured(prev => {
+      const next = { ...prev };
+      if (state === 'notConfigured') {
+        delete next[definition.id];
+      } else {
+        next[definition.id] = {
+          enabled: state === 'enabled',
+          values: prev[definition.id]?.values || Object.fromEntries((definition.presentations || []).map(presentation => [
+            presentation.id,
+            admxImportService.getDefaultPresentationValue(presentation)
+          ]))
+        };
+      }
+      return next;
+    });
   };
 
-  const handleClearAll = () => {
-    setSelectedPolicies([]);
+  const handleValueChange = (definitionId, presentationId, value) => {
+    setConfigured(prev => ({
+      ...prev,
+      [definitionId]: {
+        ...prev[definitionId],
+        values: { ...prev[definitionId].values, [presentationId]: value }
+      }
+    }));
   };
 
   // Import to Intune
   const handleImport = async () => {
-    if (selectedPolicies.length === 0) {
-      onError('Please select at least one policy to import');
+    if (Object.keys(configured).length === 0) {
+      onError('Please enable or disable at least one setting');
       return;
     }
 
@@ -178,10 +291,9 @@ const ADMXImportTab = ({ onSuccess, onError }) => {
     setLoading(true);
     try {
       const result = await admxImportService.importToIntune(
-        admxData,
-        admlStrings,
-        selectedPolicies,
         policyName,
+        definitions,
+        configured,
         {
           description: policyDescription
         }
@@ -189,7 +301,7 @@ const ADMXImportTab = ({ onSuccess, onError }) => {
 
       setImportResult(result);
       onSuccess(`Successfully imported policy: ${policyName}`);
-      setActiveStep(3);
+      setActiveStep(4);
     } catch (error) {
       console.error('Import error:', error);
       onError(`Failed to import to Intune: ${error.message}`);
@@ -208,19 +320,26 @@ const ADMXImportTab = ({ onSuccess, onError }) => {
     setAdmxData(null);
     setAdmlStrings(null);
     setSummary(null);
-    setSelectedPolicies([]);
+    setDefinitions([]);
+    setConfigured({});
+    setFilterText('');
     setPolicyName('');
     setPolicyDescription('');
     setImportResult(null);
   };
 
+  const configuredCount = Object.keys(configured).length;
+  const visibleDefinitions = definitions.filter(definition =>
+    !filterText || `${definition.categoryPath} ${definition.displayName}`.toLowerCase().includes(filterText.toLowerCase())
+  );
+
   return (
     <Box sx={{ p: 3 }}>
       <Typography variant="h5" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
         <CloudUploadIcon /> ADMX Import Tool
       </Typography>
       <Typography variant="body2" color="textSecondary" sx={{ mb: 3 }}>
-        Import Windows Group Policy ADMX templates into Intune configuration policies
+        Import Windows Group Policy ADMX templates into Intune and create policies from them
       </Typography>
 
       <Grid container spacing={3}>
@@ -233,7 +352,7 @@ const ADMXImportTab = ({ onSuccess, onError }) => {
                   <StepLabel>Upload ADMX/ADML Files</StepLabel>
                   <StepContent>
                     <Typography variant="body2" color="textSecondary" gutterBottom>
-                      Upload the ADMX policy template and optional ADML language file
+                      Upload the ADMX policy template and its ADML language file
                     </Typography>
                     <Box sx={{ mt: 2 }}>
                       <input
@@ -275,19 +394,29 @@ const ADMXImportTab = ({ onSuccess, onError }) => {
                           fullWidth
                           sx={{ mb: 1 }}
                         >
-                          Select ADML File (Optional)
+                          Select ADML File
                         </Button>
                       </label>
                       {admlFile && (
-                        <Alert severity="info" sx={{ mb: 2 }}>
+                        <Alert severity="success" sx={{ mb: 2 }}>
                           <strong>{admlFile.name}</strong> loaded
                         </Alert>
                       )}
 
+                      <TextField
+                        fullWidth
+                        size="small"
+                        label="ADML Language"
+                        value={languageCode}
+                        onChange={(e) => setLanguageCode(e.target.value)}
+                        helperText="The folder the ADML came from, e.g. en-US"
+                        sx={{ mt: 1 }}
+                      />
+
                       <Button
                         variant="contained"
                         onClick={handleParse}
-                        disabled={!admxFile || loading}
+                        disabled={!admxFile || !admlFile || !languageCode.trim() || loading}
                         fullWidth
                         sx={{ mt: 1 }}
                       >
@@ -298,29 +427,53 @@ const ADMXImportTab = ({ onSuccess, onError }) => {
                 </Step>
 
                 <Step>
-                  <StepLabel>Select Policies</StepLabel>
+                  <StepLabel>Upload to Intune</StepLabel>
                   <StepContent>
                     <Typography variant="body2" color="textSecondary" gutterBottom>
-                      Choose which policies to import into Intune
+                      Intune ingests the ADMX as an imported administrative template
+                    </Typography>
+                    <Box sx={{ mt: 2 }}>
+                      <Button
+                        variant="contained"
+                        onClick={handleIngest}
+                        disabled={loading}
+                        fullWidth
+                      >
+                        {loading ? 'Uploading...' : 'Upload to Intune'}
+                      </Button>
+                      {ingestionStatus && (
+                        <Typography variant="caption" color="textSecondary" display="block" sx={{ mt: 1 }}>
+                          {INGESTION_STATUS_LABELS[ingestionStatus] || ingestionStatus}
+                        </Typography>
+                      )}
+                    </Box>
+                  </StepContent>
+                </Step>
+
+                <Step>
+                  <StepLabel>Configure Settings</StepLabel>
+                  <StepContent>
+                    <Typography variant="body2" color="textSecondary" gutterBottom>
+                      Enable or disable the settings the policy should set
                     </Typography>
                     <Box sx={{ mt: 2 }}>
                       <Button
                         variant="outlined"
-                        onClick={() => setActiveStep(2)}
-                        disabled={selectedPolicies.length === 0}
+                        onClick={() => setActiveStep(3)}
+                        disabled={configuredCount === 0}
                         fullWidth
                       >
-                        Continue to Import ({selectedPolicies.length} selected)
+                        Continue to Import ({configuredCount} configured)
                       </Button>
                     </Box>
                   </StepContent>
                 </Step>
 
                 <Step>
-                  <StepLabel>Configure & Import</StepLabel>
+                  <StepLabel>Create Policy</StepLabel>
                   <StepContent>
                     <Typography variant="body2" color="textSecondary" gutterBottom>
-                      Set policy name and import to Intune
+                      Set policy name and create it in Intune
                     </Typography>
                     <Box sx={{ mt: 2 }}>
                       <TextField
@@ -349,6 +502,9 @@ const ADMXImportTab = ({ onSuccess, onError }) => {
                       >
                         {loading ? 'Importing...' : 'Import to Intune'}
                       </Button>
+                      <Button onClick={() => setActiveStep(2)} disabled={loading} fullWidth sx={{ mt: 1 }}>
+                        Back to Settings
+                      </Button>
                     </Box>
                   </StepContent>
                 </Step>
@@ -391,7 +547,8 @@ const ADMXImportTab = ({ onSuccess, onError }) => {
                   </Typography>
                   <Typography variant="body2" color="textSecondary" paragraph>
                     ADMX files are Windows Group Policy Administrative Templates used to configure Windows settings.
-                    This tool converts ADMX policies into Intune configuration policies.
+                    This tool uploads them to Intune as imported administrative templates, then creates a policy
+                    from the settings Intune ingested.
                   </Typography>
                   <Divider sx={{ my: 2 }} />
                   <Typography variant="subtitle2" gutterBottom>
@@ -405,7 +562,12 @@ const ADMXImportTab = ({ onSuccess, onError }) => {
                     </li>
                     <li>
                       <Typography variant="body2" color="textSecondary">
-                        <strong>ADML file</strong> (.adml) - Optional, contains display names and descriptions
+                        <strong>ADML file</strong> (.adml) - Contains display names and descriptions, from the language folder next to the ADMX
+                      </Typography>
+                    </li>
+                    <li>
+                      <Typography variant="body2" color="textSecondary">
+                        Any ADMX this one refers to must already be uploaded to Intune
                       </Typography>
                     </li>
                   </ul>
@@ -438,7 +600,11 @@ const ADMXImportTab = ({ onSuccess, onError }) => {
                   <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                     <PreviewIcon /> Policy Summary
                   </Typography>
-                  
+
+                  <Typography variant="body2" color="textSecondary" gutterBottom>
+                    Namespace <strong>{admxData.targetNamespace}</strong> (prefix {admxData.targetPrefix})
+                  </Typography>
+
                   <Grid container spacing={2} sx={{ mb: 3 }}>
                     <Grid item xs={3}>
                       <Paper sx={{ p: 2, textAlign: 'center', bgcolor: 'info.light' }}>
@@ -466,21 +632,10 @@ const ADMXImportTab = ({ onSuccess, onError }) => {
                     </Grid>
                   </Grid>
 
-                  <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
-                    <Typography variant="subtitle1">
-                      <strong>Select Policies to Import</strong>
-                    </Typography>
-                    <Box>
-                      <Button size="small" onClick={handleSelectAll}>All</Button>
-                      <Button size="small" onClick={handleClearAll}>Clear</Button>
-                    </Box>
-                  </Box>
-
                   <TableContainer sx={{ maxHeight: 500, overflow: 'auto' }}>
                     <Table size="small" stickyHeader>
                       <TableHead>
                         <TableRow>
-                          <TableCell padding="checkbox"></TableCell>
                           <TableCell><strong>Policy Name</strong></TableCell>
                           <TableCell><strong>Class</strong></TableCell>
                           <TableCell><strong>Elements</strong></TableCell>
@@ -488,20 +643,10 @@ const ADMXImportTab = ({ onSuccess, onError }) => {
                       </TableHead>
                       <TableBody>
                         {admxData.policies.map((policy) => {
-                          const displayName = admlStrings[policy.displayName] || policy.displayName || policy.name;
+                          const displayName = admlStrings[policy.displayName?.replace(/^\$\(string\.(.*)\)$/, '$1')] ||
+                            policy.displayName || policy.name;
                           return (
-                            <TableRow
-                              key={policy.name}
-                              hover
-                              onClick={() => handlePolicyToggle(policy.name)}
-                              sx={{ cursor: 'pointer' }}
-                            >
-                              <TableCell padding="checkbox">
-                                <Checkbox
-                                  checked={selectedPolicies.includes(policy.name)}
-                                  onChange={() => handlePolicyToggle(policy.name)}
-                                />
-                              </TableCell>
+                            <TableRow key={policy.name}>
                               <TableCell>{displayName}</TableCell>
                               <TableCell>
                                 <Chip
@@ -517,14 +662,98 @@ const ADMXImportTab = ({ onSuccess, onError }) => {
                       </TableBody>
                     </Table>
                   </TableContainer>
+                </>
+              )}
+
+              {(activeStep === 2 || activeStep === 3) && (
+                <>
+                  <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <TuneIcon /> Ingested Settings
+                  </Typography>
+
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="Filter by name or category"
+                    value={filterText}
+                    onChange={(e) => setFilterText(e.target.value)}
+                    sx={{ mb: 2 }}
+                  />
+
+                  <TableContainer sx={{ maxHeight: 600, overflow: 'auto' }}>
+                    <Table size="small" stickyHeader>
+                      <TableHead>
+                        <TableRow>
+                          <TableCell><strong>Setting</strong></TableCell>
+                          <TableCell><strong>Class</strong></TableCell>
+                          <TableCell width={170}><strong>State</strong></TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {visibleDefinitions.map((definition) => {
+                          const setting = configured[definition.id];
+                          const state = !setting ? 'notConfigured' : setting.enabled ? 'enabled' : 'disabled';
+                          return (
+                            <React.Fragment key={definition.id}>
+                              <TableRow>
+                                <TableCell>
+                                  {definition.displayName}
+                                  <Typography variant="caption" color="textSecondary" display="block">
+                                    {definition.categoryPath}
+                                  </Typography>
+                                </TableCell>
+                                <TableCell>
+                                  <Chip
+                                    label={definition.classType === 'machine' ? 'Machine' : 'User'}
+                                    size="small"
+                                    color={definition.classType === 'machine' ? 'primary' : 'secondary'}
+                                  />
+                                </TableCell>
+                                <TableCell>
+                                  <TextField
+                                    select
+                                    fullWidth
+                                    size="small"
+                                    value={state}
+                                    onChange={(e) => handleStateChange(definition, e.target.value)}
+                                  >
+                                    <MenuItem value="notConfigured">Not configured</MenuItem>
+                                    <MenuItem value="enabled">Enabled</MenuItem>
+                                    <MenuItem value="disabled">Disabled</MenuItem>
+                                  </TextField>
+                                </TableCell>
+                              </TableRow>
+                              {setting?.enabled && (definition.presentations || []).length > 0 && (
+                                <TableRow>
+                                  <TableCell colSpan={3} sx={{ bgcolor: 'background.default' }}>
+                                    <Grid container spacing={2}>
+                                      {definition.presentations.map(presentation => (
+                                        <Grid item xs={12} md={6} key={presentation.id}>
+                                          <PresentationField
+                                            presentation={presentation}
+                                            value={setting.values[presentation.id]}
+                                            onChange={(value) => handleValueChange(definition.id, presentation.id, value)}
+                                          />
+                                        </Grid>
+                                      ))}
+                                    </Grid>
+                                  </TableCell>
+                                </TableRow>
+                              )}
+                            </React.Fragment>
+                          );
+                        })}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
 
                   <Typography variant="body2" color="textSecondary" sx={{ mt: 2 }}>
-                    {selectedPolicies.length} of {admxData.policies.length} policies selected
+                    {configuredCount} of {definitions.length} settings configured
                   </Typography>
                 </>
               )}
 
-              {activeStep === 3 && importResult && (
+              {activeStep === 4 && importResult && (
                 <>
                   <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                     <SuccessIcon color="success" /> Import Complete
@@ -552,10 +781,18 @@ const ADMXImportTab = ({ onSuccess, onError }) => {
                           Name
                         </Typography>
                         <Typography variant="body2">
-                          {importResult.name}
+                          {importResult.displayName}
                         </Typography>
                       </Grid>
-                      <Grid item xs={12}>
+                      <Grid item xs={12} sm={6}>
+                        <Typography variant="caption" color="textSecondary">
+                          Settings
+                        </Typography>
+                        <Typography variant="body2">
+                          {importResult.settingCount}
+                        </Typography>
+                      </Grid>
+                      <Grid item xs={12} sm={6}>
                         <Typography variant="caption" color="textSecondary">
                           Description
                         </Typography>
@@ -41,6 +41,8 @@ import {
 
 import { intuneExportService } from '../../../services/intune/intuneExportService';
 import { intuneImportService, IMPORT_MODES } from '../../../services/intune/intuneImportService';
+import ScheduledBackups from '../ScheduledBackups';
+import TenantMigration from '../TenantMigration';
 
 const BackupMigrationTab = ({ onSuccess, onError }) => {
   const [loading, setLoading] = useState(false);
@@ -601,6 +603,16 @@ const BackupMigrationTab = ({ onSuccess, onError }) => {
           </Grid>
         )}
 
+        {/* Scheduled Backups Section */}
+        <Grid item xs={12}>
+          <ScheduledBackups onSuccess={onSuccess} onError={onError} />
+        </Grid>
+
+        {/* Tenant Migration Section */}
+        <Grid item xs={12}>
+          <TenantMigration onSuccess={onSuccess} onError={onError} />
+        </Grid>
+
         {/* Information Section */}
         <Grid item xs={12}>
           <Accordion>
@@ -1,10 +1,11 @@
 /**
  * Comparison Tab
- * Compare Intune policies between tenant and backup files
+ * Compare Intune policies between tenant and backup files or stored backups
  * Visual diff viewer with detailed change tracking
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { useConvex } from 'convex/react';
 import {
   Box,
   Grid,
@@ -31,7 +32,9 @@ import {
   TableRow,
   Paper,
   Tabs,
-  Tab
+  Tab,
+  TextField,
+  MenuItem
 } from '@mui/material';
 import {
   Compare as CompareIcon,
@@ -46,13 +49,24 @@ import {
 
 import { intuneComparisonService, DIFF_TYPES } from '../../../services/intune/intuneComparisonService';
 import { intuneExportService } from '../../../services/intune/intuneExportService';
+import { describeBackup, listBackups, loadBackup } from '../../../services/intune/intuneBackupService';
 
 const ComparisonTab = ({ onSuccess, onError }) => {
+  const convex = useConvex();
   const [loading, setLoading] = useState(false);
   const [progress, setProgress] = useState(null);
   const [comparisonResult, setComparisonResult] = useState(null);
   const [backupFile, setBackupFile] = useState(null);
   const [activeTab, setActiveTab] = useState(0);
+  const [storedBackups, setStoredBackups] = useState([]);
+  const [selectedBackupId, setSelectedBackupId] = useState('');
+
+  useEffect(() => {
+    // Stored backups need the Intune Admin role; without it only files can be compared
+    listBackups(convex)
+      .then(backups => setStoredBackups(backups.filter(backup => backup.status === 'completed')))
+      .catch(error => console.warn('Stored backups unavailable:', error.message));
+  }, [convex]);
 
   const handleFileSelect = async (event) => {
     const file = event.target.files?.[0];
@@ -62,6 +76,7 @@ const ComparisonTab = ({ onSuccess, onError }) => {
       const text = await file.text();
       const data = JSON.parse(text);
       setBackupFile(data);
+      setSelectedBackupId('');
       onSuccess(`Backup file loaded: ${file.name}`);
     } catch (error) {
       onError(`Failed to load backup file: ${error.message}`);
@@ -69,6 +84,23 @@ const ComparisonTab = ({ onSuccess, onError }) => {
     }
   };
 
+  const handleStoredBackupSelect = async (backupId) => {
+    setSelectedBackupId(backupId);
+    if (!backupId) return;
+
+    setLoading(true);
+    try {
+      setBackupFile(await loadBackup(convex, backupId));
+      onSuccess('Stored backup loaded');
+    } catch (error) {
+      onError(`Failed to load backup: ${error.message}`);
+      setBackupFile(null);
+      setSelectedBackupId('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleCompare = async () => {
     if (!backupFile) {
       onError('Please select a backup file to compare');
@@ -174,11 +206,34 @@ const ComparisonTab = ({ onSuccess, onError }) => {
               </Box>
               
               <Typography variant="body2" color="text.secondary" mb={2}>
-                Compare your current tenant policies with a backup file to identify changes.
+                Compare your current tenant policies with a stored backup or a backup file to identify changes.
               </Typography>
 
               <Divider sx={{ my: 2 }} />
 
+              {/* Stored Backup Selection */}
+              {storedBackups.length > 0 && (
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label="Stored backup"
+                  value={selectedBackupId}
+                  onChange={(e) => handleStoredBackupSelect(e.target.value)}
+                  disabled={loading}
+                  sx={{ mb: 2 }}
+                >
+                  <MenuItem value="">
+                    <em>Choose a backup</em>
+                  </MenuItem>
+                  {storedBackups.map(backup => (
+                    <MenuItem key={backup._id} value={backup._id}>
+                      {describeBackup(backup)}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              )}
+
               {/* File Selection */}
               <Box mb={2}>
                 <input
@@ -197,14 +252,14 @@ const ComparisonTab = ({ onSuccess, onError }) => {
                     startIcon={<UploadIcon />}
                     disabled={loading}
                   >
-                    {backupFile ? 'Change Backup File' : 'Select Backup File'}
+                    {backupFile && !selectedBackupId ? 'Change Backup File' : 'Select Backup File'}
                   </Button>
                 </label>
 
                 {backupFile && (
                   <Alert severity="success" sx={{ mt: 1 }}>
                     <Typography variant="body2" fontWeight="bold">
-                      File Loaded ✓
+                      {selectedBackupId ? 'Backup Loaded ✓' : 'File Loaded ✓'}
                     </Typography>
                     <Typography variant="caption">
                       {backupFile.organization?.name || 'Unknown Tenant'} • 
@@ -300,6 +355,21 @@ const ComparisonTab = ({ onSuccess, onError }) => {
                   </Grid>
                 </Grid>
 
+                {comparisonResult.summary.duplicates > 0 && (
+                  <Alert severity="warning" sx={{ mt: 2 }}>
+                    <Typography variant="body2" gutterBottom>
+                      Some policies share a name with another policy of the same type. They were paired by ID where possible, otherwise with the closest match:
+                    </Typography>
+                    {Object.entries(comparisonResult.details).flatMap(([policyType, details]) =>
+                      (details.duplicates || []).map(duplicate => (
+                        <Typography key={`${policyType}-${duplicate.side}-${duplicate.name}`} variant="body2">
+                          • {duplicate.name} ({policyType}): {duplicate.count} in the {duplicate.side === 'current' ? 'tenant' : 'backup'}
+                        </Typography>
+                      ))
+                    )}
+                  </Alert>
+                )}
+
                 <Divider sx={{ my: 2 }} />
 
                 {/* Download Reports */}
@@ -437,6 +507,14 @@ const ComparisonTab = ({ onSuccess, onError }) => {
                                       color="warning"
                                       sx={{ ml: 1 }}
                                     />
+                                    {item.renamed && (
+                                      <Chip
+                                        label={`Renamed from ${item.previousName}`}
+                                        size="small"
+                                        variant="outlined"
+                                        sx={{ ml: 1 }}
+                                      />
+                                    )}
                                   </Typography>
                                   <TableContainer component={Paper} variant="outlined">
                                     <Table size="small">
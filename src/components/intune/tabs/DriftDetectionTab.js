@@ -0,0 +1,479 @@
+/**
+ * Drift Detection Tab
+ * Pick a stored backup as the golden baseline, check the live configuration against it
+ * on an interval, and accept or revert each policy that drifted
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useConvex } from 'convex/react';
+import {
+  Box,
+  Grid,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  Switch,
+  FormControlLabel,
+  TextField,
+  MenuItem,
+  IconButton,
+  Tooltip,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper
+} from '@mui/material';
+import {
+  ExpandMore as ExpandMoreIcon,
+  TrackChanges as DriftIcon,
+  Flag as BaselineIcon,
+  PlayArrow as CheckIcon,
+  Refresh as RefreshIcon,
+  Undo as RevertIcon,
+  Done as AcceptIcon
+} from '@mui/icons-material';
+
+import { api } from '../../../convex/_generated/api';
+import { getSessionId } from '../../../services/convexService';
+import { intuneExportService } from '../../../services/intune/intuneExportService';
+import { intuneImportService, IMPORT_MODES } from '../../../services/intune/intuneImportService';
+import { listBackups, loadBackup, describeBackup } from '../../../services/intune/intuneBackupService';
+
+const INTERVALS = [1, 4, 12, 24, 72, 168];
+
+const STATUS_COLORS = {
+  open: 'error',
+  accepted: 'default',
+  reverted: 'info',
+  resolved: 'success'
+};
+
+const DIFF_LABELS = {
+  added: 'Not in baseline',
+  removed: 'Missing',
+  modified: 'Changed'
+};
+
+const REVERT_HINTS = {
+  added: 'Delete the policy, which is not in the baseline',
+  removed: 'Recreate the policy from the baseline',
+  modified: 'Restore the baseline settings'
+};
+
+const policyTypeNames = Object.fromEntries(
+  intuneExportService.getAvailablePolicyTypes().map(type => [type.key, type.name])
+);
+
+const DriftDetectionTab = ({ onSuccess, onError }) => {
+  const convex = useConvex();
+  const [settings, setSettings] = useState(null);
+  const [form, setForm] = useState(null);
+  const [backups, setBackups] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('open');
+  const [accessError, setAccessError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [busyEventId, setBusyEventId] = useState(null);
+
+  const loadEvents = useCallback(async () => {
+    try {
+      setEvents(await convex.query(api.intuneDrift.listEvents, {
+        sessionId: getSessionId(),
+        status: statusFilter === 'all' ? undefined : statusFilter
+      }));
+    } catch (error) {
+      console.error('Failed to load drift events:', error);
+    }
+  }, [convex, statusFilter]);
+
+  const loadSettings = useCallback(async () => {
+    try {
+      const current = await convex.query(api.intuneDrift.getSettings, { sessionId: getSessionId() });
+      setSettings(current);
+      setForm({
+        enabled: current.enabled,
+        intervalHours: current.intervalHours,
+        notifyEmails: current.notifyEmails.join(', '),
+        teamsWebhookUrl: ''
+      });
+      setBackups((await listBackups(convex)).filter(backup => backup.status === 'completed'));
+      setAccessError(null);
+    } catch (error) {
+      setAccessError(error.message);
+    }
+  }, [convex]);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  const updateForm = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSetBaseline = async (backupId) => {
+    if (settings.baseline && !window.confirm('Change the baseline? Drift tracked against the current baseline is closed.')) {
+      return;
+    }
+    try {
+      await convex.mutation(api.intuneDrift.setBaseline, { sessionId: getSessionId(), backupId });
+      onSuccess('Drift baseline set');
+      await loadSettings();
+      await loadEvents();
+    } catch (error) {
+      onError(`Failed to set the baseline: ${error.message}`);
+    }
+  };
+
+  const handleSave = async (removeTeamsWebhook = false) => {
+    setSaving(true);
+    try {
+      const teamsWebhookUrl = form.teamsWebhookUrl.trim();
+      await convex.action(api.intuneDriftActions.saveSettings, {
+        sessionId: getSessionId(),
+        enabled: form.enabled,
+        intervalHours: Number(form.intervalHours),
+        notifyEmails: form.notifyEmails.split(/[,;\s]+/).filter(Boolean),
+        teamsWebhookUrl: removeTeamsWebhook ? null : (teamsWebhookUrl || undefined)
+      });
+      onSuccess(form.enabled ? 'Drift detection settings saved' : 'Drift checks switched off');
+      await loadSettings();
+    } catch (error) {
+      onError(`Failed to save drift settings: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCheckNow = async () => {
+    try {
+      await convex.mutation(api.intuneDrift.checkNow, { sessionId: getSessionId() });
+      onSuccess('Drift check started. Refresh in a minute to see what it found.');
+    } catch (error) {
+      onError(`Failed to start the drift check: ${error.message}`);
+    }
+  };
+
+  const handleAccept = async (event) => {
+    setBusyEventId(event._id);
+    try {
+      await convex.mutation(api.intuneDrift.resolveEvent, {
+        sessionId: getSessionId(),
+        eventId: event._id,
+        resolution: 'accepted'
+      });
+      onSuccess(`Accepted the drift in ${event.policyName}`);
+      await loadEvents();
+    } catch (error) {
+      onError(`Failed to accept the drift: ${error.message}`);
+    } finally {
+      setBusyEventId(null);
+    }
+  };
+
+  const handleRevert = async (event) => {
+    if (!window.confirm(`${REVERT_HINTS[event.diffType]} for "${event.policyName}"?`)) {
+      return;
+    }
+    setBusyEventId(event._id);
+    try {
+      const endpoint = intuneImportService.getEndpointForType(event.policyType);
+      if (event.diffType === 'added') {
+        await intuneImportService.deletePolicy(endpoint, event.policyId);
+      } else {
+        const baseline = await loadBackup(convex, event.baselineBackupId);
+        const baselinePolicy = (baseline.policies?.[event.policyType] || [])
+          .find(policy => policy.id === event.baselinePolicyId);
+        if (!baselinePolicy) {
+          throw new Error('The policy is not in the baseline backup');
+        }
+        if (event.diffType === 'modified') {
+          await intuneImportService.updatePolicy(endpoint, event.policyId, baselinePolicy);
+        } else {
+          await intuneImportService.importSinglePolicy(baselinePolicy, event.policyType, IMPORT_MODES.SKIP, {});
+        }
+      }
+
+      await convex.mutation(api.intuneDrift.resolveEvent, {
+        sessionId: getSessionId(),
+        eventId: event._id,
+        resolution: 'reverted'
+      });
+      onSuccess(`Reverted ${event.policyName}. The next drift check confirms it.`);
+      await loadEvents();
+    } catch (error) {
+      onError(`Failed to revert ${event.policyName}: ${error.message}`);
+    } finally {
+      setBusyEventId(null);
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>
+        Drift Detection
+      </Typography>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        Choose a stored backup as the golden baseline. The live configuration is checked against it on the server,
+        and every policy that was added, removed or changed since is listed below until it is accepted, reverted or changed back.
+      </Typography>
+
+      {accessError && (
+        <Alert severity="warning" sx={{ mb: 2 }}>{accessError}</Alert>
+      )}
+
+      {settings && form && (
+        <Grid container spacing={3}>
+          <Grid item xs={12} md={6}>
+            <Card>
+              <CardContent>
+                <Box display="flex" alignItems="center" mb={2}>
+                  <BaselineIcon sx={{ mr: 1, fontSize: 32, color: 'primary.main' }} />
+                  <Typography variant="h6">Baseline</Typography>
+                </Box>
+
+                {settings.baseline ? (
+                  <Alert severity="info" sx={{ mb: 2 }}>
+                    Backup from {new Date(settings.baseline.startedAt).toLocaleString()}
+                    {settings.baseline.manifest?.statistics?.totalPolicies !== undefined &&
+                      ` · ${settings.baseline.manifest.statistics.totalPolicies} policies`}
+                  </Alert>
+                ) : (
+                  <Alert severity="warning" sx={{ mb: 2 }}>
+                    No baseline yet. Take a backup on the Backup & Migration tab, then pick it here.
+                  </Alert>
+                )}
+
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label="Use backup as baseline"
+                  value=""
+                  onChange={(e) => handleSetBaseline(e.target.value)}
+                  disabled={backups.length === 0}
+                >
+                  {backups.map(backup => (
+                    <MenuItem key={backup._id} value={backup._id} disabled={backup._id === settings.baseline?._id}>
+                      {describeBackup(backup)}
+                    </MenuItem>
+                  ))}
+                </TextField>
+
+                {settings.lastCheckAt && (
+                  <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 2 }}>
+                    Last checked {new Date(settings.lastCheckAt).toLocaleString()}
+                  </Typography>
+                )}
+                {settings.lastCheckError && (
+                  <Alert severity="error" sx={{ mt: 1 }}>Last check failed: {settings.lastCheckError}</Alert>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <Card>
+              <CardContent>
+                <Box display="flex" alignItems="center" justifyContent="space-between" mb={2}>
+                  <Box display="flex" alignItems="center">
+                    <DriftIcon sx={{ mr: 1, fontSize: 32, color: 'primary.main' }} />
+                    <Typography variant="h6">Checks & Notifications</Typography>
+                  </Box>
+                  <Button
+                    variant="outlined"
+                    startIcon={<CheckIcon />}
+                    onClick={handleCheckNow}
+                    disabled={!settings.baseline}
+                  >
+                    Check Now
+                  </Button>
+                </Box>
+
+                <Grid container spacing={2}>
+                  <Grid item xs={12} sm={6}>
+                    <FormControlLabel
+                      control={<Switch checked={form.enabled} onChange={(e) => updateForm('enabled', e.target.checked)} />}
+                      label={form.enabled ? 'Scheduled checks on' : 'Scheduled checks off'}
+                    />
+                  </Grid>
+                  <Grid item xs={12} sm={6}>
+                    <TextField
+                      select
+                      fullWidth
+                      size="small"
+                      label="Check every"
+                      value={form.intervalHours}
+                      onChange={(e) => updateForm('intervalHours', e.target.value)}
+                    >
+                      {!INTERVALS.includes(Number(form.intervalHours)) && (
+                        <MenuItem value={form.intervalHours}>{form.intervalHours} hours</MenuItem>
+                      )}
+                      {INTERVALS.map(hours => (
+                        <MenuItem key={hours} value={hours}>
+                          {hours % 24 === 0 ? `${hours / 24} day(s)` : `${hours} hour(s)`}
+                        </MenuItem>
+                      ))}
+                    </TextField>
+                  </Grid>
+                  <Grid item xs={12}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      label="Email new drift to"
+                      placeholder="intune-admins@contoso.com, secops@contoso.com"
+                      value={form.notifyEmails}
+                      onChange={(e) => updateForm('notifyEmails', e.target.value)}
+                    />
+                  </Grid>
+                  <Grid item xs={12}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      label="Teams incoming webhook URL"
+                      placeholder={settings.hasTeamsWebhook ? 'Saved - enter a new URL to replace it' : 'https://...'}
+                      value={form.teamsWebhookUrl}
+                      onChange={(e) => updateForm('teamsWebhookUrl', e.target.value)}
+                    />
+                  </Grid>
+                  <Grid item xs={12}>
+                    <Box display="flex" gap={1}>
+                      <Button variant="contained" onClick={() => handleSave()} disabled={saving}>
+                        {saving ? 'Saving...' : 'Save Settings'}
+                      </Button>
+                      {settings.hasTeamsWebhook && (
+                        <Button color="error" onClick={() => handleSave(true)} disabled={saving}>
+                          Remove Teams Webhook
+                        </Button>
+                      )}
+                    </Box>
+                  </Grid>
+                </Grid>
+              </CardContent>
+            </Card>
+          </Grid>
+
+          <Grid item xs={12}>
+            <Card>
+              <CardContent>
+                <Box display="flex" alignItems="center" justifyContent="space-between" mb={2}>
+                  <Typography variant="h6">Drift Events</Typography>
+                  <Box display="flex" alignItems="center" gap={1}>
+                    <TextField
+                      select
+                      size="small"
+                      label="Status"
+                      value={statusFilter}
+                      onChange={(e) => setStatusFilter(e.target.value)}
+                      sx={{ minWidth: 150 }}
+                    >
+                      <MenuItem value="open">Open</MenuItem>
+                      <MenuItem value="accepted">Accepted</MenuItem>
+                      <MenuItem value="reverted">Reverted</MenuItem>
+                      <MenuItem value="resolved">Resolved</MenuItem>
+                      <MenuItem value="all">All</MenuItem>
+                    </TextField>
+                    <Tooltip title="Refresh">
+                      <IconButton onClick={loadEvents}>
+                        <RefreshIcon />
+                      </IconButton>
+                    </Tooltip>
+                  </Box>
+                </Box>
+
+                {events.length === 0 ? (
+                  <Typography variant="body2" color="text.secondary">
+                    No drift events.
+                  </Typography>
+                ) : (
+                  events.map(event => (
+                    <Accordion key={event._id}>
+                      <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+                        <Box display="flex" alignItems="center" gap={1} width="100%" flexWrap="wrap">
+                          <Chip size="small" label={event.status} color={STATUS_COLORS[event.status]} />
+                          <Chip size="small" variant="outlined" label={DIFF_LABELS[event.diffType]} />
+                          <Typography sx={{ flexGrow: 1 }}>{event.policyName}</Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            {policyTypeNames[event.policyType] || event.policyType} · seen {new Date(event.lastSeenAt).toLocaleString()}
+                          </Typography>
+                        </Box>
+                      </AccordionSummary>
+                      <AccordionDetails>
+                        {event.changes.length > 0 && (
+                          <TableContainer component={Paper} variant="outlined" sx={{ mb: 2 }}>
+                            <Table size="small">
+                              <TableHead>
+                                <TableRow>
+                                  <TableCell><strong>Property</strong></TableCell>
+                                  <TableCell><strong>Baseline</strong></TableCell>
+                                  <TableCell><strong>Live</strong></TableCell>
+                                </TableRow>
+                              </TableHead>
+                              <TableBody>
+                                {event.changes.map(change => (
+                                  <TableRow key={change.property}>
+                                    <TableCell>{change.property}</TableCell>
+                                    <TableCell sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>{change.backupValue}</TableCell>
+                                    <TableCell sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>{change.currentValue}</TableCell>
+                                  </TableRow>
+                                ))}
+                              </TableBody>
+                            </Table>
+                          </TableContainer>
+                        )}
+                        <Typography variant="caption" color="text.secondary" display="block" mb={1}>
+                          First detected {new Date(event.detectedAt).toLocaleString()}
+                          {event.resolvedAt && ` · ${event.status} ${new Date(event.resolvedAt).toLocaleString()}`}
+                        </Typography>
+                        {event.status !== 'resolved' && (
+                          <Box display="flex" gap={1}>
+                            <Tooltip title={REVERT_HINTS[event.diffType]}>
+                              <span>
+                                <Button
+                                  size="small"
+                                  variant="contained"
+                                  startIcon={<RevertIcon />}
+                                  onClick={() => handleRevert(event)}
+                                  disabled={busyEventId === event._id || event.status === 'reverted'}
+                                >
+                                  Revert
+                                </Button>
+                              </span>
+                            </Tooltip>
+                            <Button
+                              size="small"
+                              startIcon={<AcceptIcon />}
+                              onClick={() => handleAccept(event)}
+                              disabled={busyEventId === event._id || event.status === 'accepted'}
+                            >
+                              Accept
+                            </Button>
+                          </Box>
+                        )}
+                      </AccordionDetails>
+                    </Accordion>
+                  ))
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+        </Grid>
+      )}
+    </Box>
+  );
+};
+
+export default DriftDetectionTab;
@@ -0,0 +1,409 @@
+import React, { useState } from 'react';
+import { useConvex } from 'convex/react';
+import { api } from '../../convex/_generated/api';
+import { getSessionId } from '../../services/convexService';
+import { getActiveService } from '../../services/serviceFactory';
+import { parseCsvRecords, toCsv, downloadCsv } from '../../utils/csvImport';
+import toast from 'react-hot-toast';
+import {
+  ArrowUpTrayIcon,
+  ArrowDownTrayIcon,
+  CheckCircleIcon,
+  ExclamationCircleIcon,
+  XMarkIcon,
+} from '@heroicons/react/24/outline';
+
+const TEMPLATE_COLUMNS = ['upn', 'date', 'time', 'timezone', 'template', 'forwardingAddress', 'newFileOwner'];
+
+// Header spellings accepted in uploaded files, keyed by normalized header
+const COLUMN_ALIASES = {
+  upn: 'upn',
+  userprincipalname: 'upn',
+  user: 'upn',
+  email: 'upn',
+  date: 'date',
+  scheduleddate: 'date',
+  time: 'time',
+  scheduledtime: 'time',
+  timezone: 'timezone',
+  template: 'template',
+  forwardingaddress: 'forwardingAddress',
+  forwardto: 'forwardingAddress',
+  newfileowner: 'newFileOwner',
+  fileowner: 'newFileOwner',
+};
+
+const escapeODataString = (value) => encodeURIComponent(value.replace(/'/g, "''"));
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Bulk offboarding import
+ * Reads a CSV of leavers, checks every row against Microsoft Graph and the existing
+ * schedule, and creates the valid rows as one batch that can be filtered and cancelled together
+ */
+const BulkOffboardingImport = ({ templates, existingOffboardings, onClose, onImported }) => {
+  const convex = useConvex();
+  const service = getActiveService();
+
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [validating, setValidating] = useState({ current: 0, total: 0, processing: false });
+  const [notifyManager, setNotifyManager] = useState(true);
+  const [notifyUser, setNotifyUser] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  const defaultTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const validRows = rows.filter(row => row.errors.length === 0);
+  const invalidCount = rows.length - validRows.length;
+
+  const downloadTemplate = () => {
+    downloadCsv(
+      toCsv(TEMPLATE_COLUMNS, [
+        ['jane.doe@contoso.com', '2026-01-31', '17:00', 'America/New_York', 'standard', 'manager@contoso.com', 'manager@contoso.com'],
+      ]),
+      'offboarding-import-template.csv'
+    );
+  };
+
+  const findUser = async (upn) => {
+    const response = await service.makeRequest(
+      `/users?$filter=userPrincipalName eq '${escapeODataString(upn)}'&$select=id,displayName,userPrincipalName,mail`
+    );
+    return response?.value?.[0] || null;
+  };
+
+  // Forwarding can target a user or shared mailbox, or a mail-enabled group
+  const findRecipient = async (address) => {
+    const escaped = escapeODataString(address);
+    const users = await service.makeRequest(
+      `/users?$filter=userPrincipalName eq '${escaped}' or mail eq '${escaped}'&$select=id`
+    );
+    if (users?.value?.length > 0) return true;
+    const groups = await service.makeRequest(`/groups?$filter=mail eq '${escaped}'&$select=id`);
+    return groups?.value?.length > 0;
+  };
+
+  const validateRecords = async (records) => {
+    const openUserIds = new Set(
+      existingOffboardings
+        .filter(schedule => ['scheduled', 'in-progress', 'awaiting-approval'].includes(schedule.status))
+        .map(schedule => schedule.user.id)
+    );
+    const templateIds = templates.map(template => template.id);
+    const today = new Date().toISOString().split('T')[0];
+    const seenUpns = new Set();
+    // Forwarding targets and file owners repeat across rows, so each address is looked up once
+    const recipientLookups = new Map();
+    const ownerLookups = new Map();
+    const results = [];
+
+    setValidating({ current: 0, total: records.length, processing: true });
+
+    for (let i = 0; i < records.length; i++) {
+      const record = records[i];
+      setValidating({ current: i + 1, total: records.length, processing: true });
+
+      const time = (record.time || '').replace(/^(\d):/, '0$1:');
+      const row = {
+        rowNumber: record.rowNumber,
+        upn: record.upn || '',
+        user: null,
+        scheduledDate: record.date || '',
+        scheduledTime: time,
+        timezone: record.timezone || defaultTimezone,
+        template: (record.template || 'standard').toLowerCase(),
+        forwardingAddress: record.forwardingAddress || '',
+        newFileOwner: record.newFileOwner || '',
+        errors: [],
+      };
+
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(row.scheduledDate) || isNaN(Date.parse(row.scheduledDate))) {
+        row.errors.push('Date must be YYYY-MM-DD');
+      } else if (row.scheduledDate < today) {
+        row.errors.push('Date is in the past');
+      }
+      if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(row.scheduledTime)) {
+        row.errors.push('Time must be HH:mm (24-hour)');
+      }
+      if (!isValidTimezone(row.timezone)) {
+        row.errors.push(`Unknown timezone "${row.timezone}"`);
+      }
+      if (!templateIds.includes(row.template)) {
+        row.errors.push(`Unknown template "${row.template}"`);
+      }
+
+      if (!row.upn) {
+        row.errors.push('UPN is required');
+      } else if (seenUpns.has(row.upn.toLowerCase())) {
+        row.errors.push('Duplicate of an earlier row');
+      } else {
+        seenUpns.add(row.upn.toLowerCase());
+        try {
+          row.user = await findUser(row.upn);
+          if (!row.user) {
+            row.errors.push('User not found');
+          } else if (openUserIds.has(row.user.id)) {
+            row.errors.push('Already scheduled for offboarding');
+          }
+        } catch (error) {
+          row.errors.push(`Could not look up user: ${error.message}`);
+        }
+      }
+
+      if (row.forwardingAddress) {
+        const key = row.forwardingAddress.toLowerCase();
+        try {
+          if (!recipientLookups.has(key)) {
+            recipientLookups.set(key, await findRecipient(row.forwardingAddress));
+          }
+          if (!recipientLookups.get(key)) {
+            row.errors.push(`Forwarding target ${row.forwardingAddress} not found`);
+          } else if (key === row.upn.toLowerCase()) {
+            row.errors.push('Mail cannot be forwarded to the leaver');
+          }
+        } catch (error) {
+          row.errors.push(`Could not look up forwarding target: ${error.message}`);
+        }
+      }
+
+      if (row.newFileOwner) {
+        const key = row.newFileOwner.toLowerCase();
+        try {
+          if (!ownerLookups.has(key)) {
+            ownerLookups.set(key, await findUser(row.newFileOwner));
+          }
+          if (!ownerLookups.get(key)) {
+            row.errors.push(`New file owner ${row.newFileOwner} not found`);
+          } else if (key === row.upn.toLowerCase()) {
+            row.errors.push('Files cannot be transferred to the leaver');
+          }
+        } catch (error) {
+          row.errors.push(`Could not look up new file owner: ${error.message}`);
+        }
+      }
+
+      results.push(row);
+    }
+
+    setValidating({ current: 0, total: 0, processing: false });
+    return results;
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { headers, records } = parseCsvRecords(await file.text(), COLUMN_ALIASES);
+      if (!headers.includes('upn')) {
+        toast.error('The file needs a UPN column');
+        return;
+      }
+      if (records.length === 0) {
+        toast.error('The file has no data rows');
+        return;
+      }
+
+      setFileName(file.name);
+      setRows(await validateRecords(records));
+    } catch (error) {
+      console.error('Error reading offboarding import:', error);
+      toast.error('Failed to read CSV: ' + error.message);
+      setValidating({ current: 0, total: 0, processing: false });
+    }
+  };
+
+  const handleSubmit = async () => {
+    const sessionId = getSessionId();
+    if (!sessionId) {
+      toast.error('Session not found. Please log in again.');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const result = await convex.mutation(api.offboarding.createBatch, {
+        sessionId,
+        fileName,
+        rows: validRows.map(row => ({
+          userId: row.user.id,
+          userName: row.user.displayName || row.upn,
+          userEmail: row.user.mail || row.user.userPrincipalName,
+          scheduledDate: row.scheduledDate,
+          scheduledTime: row.scheduledTime,
+          timezone: row.timezone,
+          template: row.template,
+          forwardingAddress: row.forwardingAddress || undefined,
+          newFileOwner: row.newFileOwner || undefined,
+        })),
+        notifyManager,
+        notifyUser,
+      });
+      toast.success(`Scheduled ${result.ids.length} offboarding${result.ids.length !== 1 ? 's' : ''}`);
+      onImported(result.batchId);
+    } catch (error) {
+      console.error('Error creating offboarding batch:', error);
+      toast.error('Failed to schedule batch: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-500 bg-opacity-75 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 max-w-5xl w-full max-h-screen overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-medium text-gray-900">Import Offboardings from CSV</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600">
+          Columns: UPN, date (YYYY-MM-DD), time (HH:mm), timezone, template, forwarding address and new file owner.
+          Only UPN, date and time are required; timezone defaults to {defaultTimezone} and template to standard.
+        </p>
+
+        <div className="mt-4 flex items-center gap-3">
+          <label className="btn btn-primary cursor-pointer">
+            <ArrowUpTrayIcon className="h-4 w-4 mr-2" />
+            {rows.length > 0 ? 'Upload Another File' : 'Upload CSV'}
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={handleFileChange}
+              disabled={validating.processing || submitting}
+              className="hidden"
+            />
+          </label>
+          <button type="button" onClick={downloadTemplate} className="btn btn-secondary">
+            <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+            Download Template
+          </button>
+          {fileName && <span className="text-sm text-gray-500">{fileName}</span>}
+        </div>
+
+        {validating.processing && (
+          <div className="mt-4">
+            <div className="flex items-center justify-between text-sm text-gray-600 mb-1">
+              <span>Checking rows against Microsoft 365...</span>
+              <span>{validating.current} / {validating.total}</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div
+                className="bg-primary-600 h-2 rounded-full transition-all"
+                style={{ width: `${(validating.current / validating.total) * 100}%` }}
+              />
+            </div>
+          </div>
+        )}
+
+        {!validating.processing && rows.length > 0 && (
+          <>
+            <div className="mt-6 flex items-center gap-4 text-sm">
+              <span className="inline-flex items-center text-success-700">
+                <CheckCircleIcon className="h-5 w-5 mr-1" />
+                {validRows.length} valid
+              </span>
+              {invalidCount > 0 && (
+                <span className="inline-flex items-center text-danger-700">
+                  <ExclamationCircleIcon className="h-5 w-5 mr-1" />
+                  {invalidCount} with errors (will not be scheduled)
+                </span>
+              )}
+            </div>
+
+            <div className="mt-3 overflow-x-auto border border-gray-200 rounded-lg">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Row', 'User', 'Date & Time', 'Template', 'Forward To', 'New File Owner', 'Validation'].map(heading => (
+                      <th key={heading} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {rows.map(row => (
+                    <tr key={row.rowNumber} className={row.errors.length > 0 ? 'bg-danger-50' : ''}>
+                      <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                      <td className="px-3 py-2">
+                        <div className="text-gray-900">{row.user?.displayName || row.upn || '—'}</div>
+                        {row.user && <div className="text-xs text-gray-500">{row.upn}</div>}
+                      </td>
+                      <td className="px-3 py-2 text-gray-700 whitespace-nowrap">
+                        {row.scheduledDate} {row.scheduledTime}
+                        <div className="text-xs text-gray-500">{row.timezone}</div>
+                      </td>
+                      <td className="px-3 py-2 text-gray-700">{row.template}</td>
+                      <td className="px-3 py-2 text-gray-700">{row.forwardingAddress || '—'}</td>
+                      <td className="px-3 py-2 text-gray-700">{row.newFileOwner || '—'}</td>
+                      <td className="px-3 py-2">
+                        {row.errors.length === 0 ? (
+                          <span className="text-success-700">Ready</span>
+                        ) : (
+                          <ul className="text-xs text-danger-700 space-y-0.5">
+                            {row.errors.map(error => <li key={error}>{error}</li>)}
+                          </ul>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="mt-4 flex items-center gap-6">
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={notifyManager}
+                  onChange={(e) => setNotifyManager(e.target.checked)}
+                  className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+                />
+                Notify managers
+              </label>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={notifyUser}
+                  onChange={(e) => setNotifyUser(e.target.checked)}
+                  className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+                />
+                Notify users
+              </label>
+            </div>
+          </>
+        )}
+
+        <div className="mt-6 flex justify-end gap-3">
+          <button type="button" onClick={onClose} className="btn btn-secondary">
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSubmit}
+            disabled={submitting || validating.processing || validRows.length === 0}
+            className="btn btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {submitting
+              ? 'Scheduling...'
+              : `Schedule ${validRows.length} Offboarding${validRows.length !== 1 ? 's' : ''}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BulkOffboardingImport;
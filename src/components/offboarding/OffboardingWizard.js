@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { getActiveService, getAuthMode } from '../../services/serviceFactory';
 import { useMSALAuth } from '../../contexts/MSALAuthContext';
 import { useAuth as useConvexAuth } from '../../contexts/ConvexAuthContext';
@@ -7,7 +7,16 @@ import { logger } from '../../utils/logger';
 import toast from 'react-hot-toast';
 import { useConvex } from 'convex/react';
 import { api } from '../../convex/_generated/api';
+import { getSessionId } from '../../services/convexService';
 import { exportOffboardingResultsToPDF } from '../../utils/pdfExport';
+import { apiConfig } from '../../config/apiConfig';
+import PlanPreview from '../common/PlanPreview';
+import { oneDriveTransferService } from '../../services/oneDriveTransferService';
+import { recordOnPremEvent } from '../../services/auditService';
+import { requestApproval, runApproved } from '../../utils/approvals';
+import { diffPlans, planPipeline, runPipeline } from '../../utils/actionPipeline';
+import { clearCheckpoints, loadCheckpoints, saveCheckpoint } from '../../utils/offboardingCheckpoints';
+import { isCorporateDevice } from '../../utils/deviceOwnership';
 import {
   UserMinusIcon,
   UserIcon,
@@ -22,6 +31,7 @@ import {
   ExclamationTriangleIcon,
   ClockIcon,
   ArrowDownTrayIcon,
+  ArrowPathIcon,
 } from '@heroicons/react/24/outline';
 
 // Generate random password (12 characters)
@@ -52,6 +62,9 @@ const generateRandomPassword = () => {
 const OffboardingWizard = () => {
   const { userId } = useParams();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  // Approved request this run was opened from (Pending Approvals links here with ?approval=)
+  const approvalId = searchParams.get('approval');
   const msalAuth = useMSALAuth();
   const convexAuth = useConvexAuth();
   const convex = useConvex();
@@ -70,6 +83,9 @@ const OffboardingWizard = () => {
   
   const [currentStep, setCurrentStep] = useState(0);
   const [selectedUser, setSelectedUser] = useState(null);
+  // AD names of a user synced from on-premises AD; null for cloud-only users
+  const [onPremIdentity, setOnPremIdentity] = useState(null);
+  const [adLeaverAvailable, setAdLeaverAvailable] = useState(false);
   const [loading, setLoading] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [searchResults, setSearchResults] = useState([]);
@@ -211,6 +227,12 @@ const OffboardingWizard = () => {
   
   const [executionResults, setExecutionResults] = useState([]);
   const [isExecuting, setIsExecuting] = useState(false);
+  const [approval, setApproval] = useState(null);
+  const [executionPlan, setExecutionPlan] = useState(null);
+  const [isPlanning, setIsPlanning] = useState(false);
+  const [planDiff, setPlanDiff] = useState(null);
+  // Steps an earlier, unfinished run for the selected user completed; the next run skips them
+  const [resumableSteps, setResumableSteps] = useState(0);
 
   const steps = [
     { id: 'user-selection', name: 'Select User', icon: UserIcon },
@@ -225,6 +247,82 @@ const OffboardingWizard = () => {
     }
   }, [userId]);
 
+  // Running an approved request restores the options the approver saw
+  useEffect(() => {
+    if (approvalId) {
+      loadApproval(approvalId);
+    }
+  }, [approvalId]);
+
+  const loadApproval = async (id) => {
+    try {
+      const request = await convex.query(api.approvals.get, { sessionId: getSessionId(), approvalId: id });
+      if (request.operation !== 'executeOffboarding' || request.status !== 'approved') {
+        toast.error(`This offboarding request is ${request.status}`);
+        return;
+      }
+      setApproval(request);
+      setOffboardingOptions(request.payload.offboardingOptions);
+      setCurrentStep(2);
+    } catch (error) {
+      logger.error('Error loading approval request:', error);
+      toast.error('Failed to load the approval request');
+    }
+  };
+
+  useEffect(() => {
+    setOnPremIdentity(null);
+    if (selectedUser) {
+      checkOnPremisesSync(selectedUser.id);
+    }
+  }, [selectedUser?.id]);
+
+  // Graph cannot disable, reset or regroup a synced account, so those steps go to the backend's AD routes
+  const checkOnPremisesSync = async (id) => {
+    try {
+      const user = await service.makeRequest(
+        `/users/${id}?$select=userPrincipalName,onPremisesSyncEnabled,onPremisesSamAccountName,onPremisesUserPrincipalName`
+      );
+      if (!user.onPremisesSyncEnabled) {
+        return;
+      }
+      setOnPremIdentity({
+        userPrincipalName: user.onPremisesUserPrincipalName || user.userPrincipalName,
+        samAccountName: user.onPremisesSamAccountName || undefined,
+      });
+
+      const response = await fetch(`${apiConfig.baseURL}/api/ad/config-status`, {
+        signal: AbortSignal.timeout(3000), // 3 second timeout
+      });
+      const data = response.ok ? await response.json() : {};
+      setAdLeaverAvailable(!!data.capabilities?.leaverActions);
+    } catch (error) {
+      // Backend not running or not configured - synced users then fall back to Graph
+      logger.warn('On-premises AD leaver actions not available:', error.message);
+      setAdLeaverAvailable(false);
+    }
+  };
+
+  const runADLeaverAction = async (route, body = {}) => {
+    const request = { ...onPremIdentity, ...body };
+    const response = await fetch(`${apiConfig.baseURL}/api/ad/${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(request),
+    });
+
+    const data = await response.json();
+    const succeeded = response.ok && data.success;
+    recordOnPremEvent(route, request, succeeded, data.message || data.error);
+    if (!succeeded) {
+      throw new Error(data.message || data.error || `Failed to call /api/ad/${route}`);
+    }
+    return data;
+  };
+
+  const toLeaverResult = (data) => ({ status: data.skipped ? 'skipped' : 'success', message: data.message });
+
   const fetchUser = async (id) => {
     try {
       setLoading(true);
@@ -265,6 +363,15 @@ const OffboardingWizard = () => {
     return () => clearTimeout(timeoutId);
   }, [searchTerm]);
 
+  // A preview only holds for the user and options it was built from
+  useEffect(() => {
+    setExecutionPlan(null);
+  }, [selectedUser, offboardingOptions]);
+
+  useEffect(() => {
+    setResumableSteps(selectedUser ? loadCheckpoints(selectedUser.id).size : 0);
+  }, [selectedUser]);
+
   const handleOptionChange = (option, value) => {
     console.log(`🔧 Option changed: ${option} = ${value}`);
     setOffboardingOptions(prev => {
@@ -316,507 +423,576 @@ const OffboardingWizard = () => {
     setCurrentStep(prev => Math.max(prev - 1, 0));
   };
 
-  const executeOffboarding = async () => {
-    console.log('🚀 Starting offboarding with options:', offboardingOptions);
-    
-    if (!hasPermission('userManagement')) {
-      toast.error('You do not have permission to perform offboarding operations');
-      return;
-    }
-
-    setIsExecuting(true);
-    const results = [];
-    
-    // Calculate total steps based on selected options (add 1 for revoke sessions)
-    const totalSteps = Object.entries(offboardingOptions).filter(([key, value]) => {
-      // Count only boolean options that are true, or device options if either is selected
-      if (key === 'wipeDevices' || key === 'retireDevices') {
-        return offboardingOptions.wipeDevices || offboardingOptions.retireDevices;
-      }
-      return typeof value === 'boolean' && value;
-    }).length + 1; // +1 for revoke sessions (always executed after disable)
-    
-    setExecutionProgress({ currentTask: 'Starting offboarding...', currentStep: 0, totalSteps });
+  // Declared offboarding pipeline
+  // Mailbox and OneDrive steps run before licenses and groups are removed, because
+  // losing the license starts deprovisioning the mailbox and OneDrive
+  const useADLeaver = !!onPremIdentity && adLeaverAvailable;
 
-    try {
-      // 1. Disable account (CRITICAL: Do this first per Microsoft best practices)
-      if (offboardingOptions.disableAccount) {
-        setExecutionProgress(prev => ({ ...prev, currentTask: 'Disabling account...', currentStep: prev.currentStep + 1 }));
-        try {
-          await service.disableUser(selectedUser.id);
-          results.push({
-            action: 'Disable Account',
-            status: 'success',
-            message: 'Account has been disabled',
-          });
-        } catch (error) {
-          results.push({
-            action: 'Disable Account',
-            status: 'error',
-            message: error.message,
-          });
+  const buildPipelineSteps = () => [
+    {
+      // CRITICAL: Do this first per Microsoft best practices
+      id: 'disableAccount',
+      label: 'Disable Account',
+      task: 'Disabling account...',
+      enabled: (options) => options.disableAccount,
+      plan: async () => [{
+        description: useADLeaver ? 'Disable account in on-premises AD' : 'Disable account',
+        skipReason: selectedUser.accountEnabled === false ? 'Account is already disabled' : undefined,
+      }],
+      run: async () => {
+        if (useADLeaver) {
+          return toLeaverResult(await runADLeaverAction('disable-user'));
         }
-      } else {
-        results.push({
-          action: 'Disable Account',
-          status: 'skipped',
-          message: 'Not selected',
-        });
-      }
-
-      // 2. Revoke all sign-in sessions (CRITICAL: Always do this after disabling account)
-      setExecutionProgress(prev => ({ ...prev, currentTask: 'Revoking all active sessions...', currentStep: prev.currentStep + 1 }));
-      try {
+        await service.disableUser(selectedUser.id);
+        return { status: 'success', message: 'Account has been disabled' };
+      },
+    },
+    {
+      id: 'moveToDisabledOU',
+      label: 'Move to Disabled Users OU',
+      task: 'Moving account to the Disabled Users OU...',
+      dependsOn: ['disableAccount'],
+      enabled: (options) => useADLeaver && options.disableAccount,
+      plan: async () => [{ description: 'Move to the Disabled Users OU in on-premises AD' }],
+      run: async () => toLeaverResult(await runADLeaverAction('move-to-disabled-ou')),
+    },
+    {
+      id: 'setLeaverInfo',
+      label: 'Set Leaver Description',
+      task: 'Setting leaver description and account expiry...',
+      dependsOn: ['disableAccount'],
+      enabled: (options) => useADLeaver && options.disableAccount,
+      plan: async () => [{ description: 'Set leaver description and account expiry in on-premises AD' }],
+      run: async () => {
+        const today = new Date().toISOString().split('T')[0];
+        return toLeaverResult(await runADLeaverAction('set-leaver-info', {
+          description: `Leaver - offboarded ${today}`,
+          accountExpirationDate: today,
+        }));
+      },
+    },
+    {
+      // CRITICAL: Always do this after disabling account
+      id: 'revokeSessions',
+      label: 'Revoke Sessions',
+      task: 'Revoking all active sessions...',
+      dependsOn: ['disableAccount'],
+      enabled: () => true,
+      plan: async () => [{ description: 'Revoke sign-in sessions and refresh tokens' }],
+      run: async () => {
         await service.revokeUserSessions(selectedUser.id);
-        results.push({
-          action: 'Revoke Sessions',
-          status: 'success',
-          message: 'All active sessions and refresh tokens have been revoked',
-        });
-      } catch (error) {
-        results.push({
-          action: 'Revoke Sessions',
-          status: 'error',
-          message: error.message,
-        });
-      }
-
-      // 3. Reset password
-      if (offboardingOptions.resetPassword) {
-        setExecutionProgress(prev => ({ ...prev, currentTask: 'Resetting password...', currentStep: prev.currentStep + 1 }));
+        return { status: 'success', message: 'All active sessions and refresh tokens have been revoked' };
+      },
+    },
+    {
+      id: 'resetPassword',
+      label: 'Reset Password',
+      task: 'Resetting password...',
+      enabled: (options) => options.resetPassword,
+      plan: async () => [{
+        description: useADLeaver ? 'Reset on-premises AD password to a random value' : 'Reset password to a random value',
+      }],
+      run: async () => {
+        if (useADLeaver) {
+          return toLeaverResult(await runADLeaverAction('reset-password'));
+        }
         try {
           const newPassword = generateRandomPassword();
           await service.resetUserPassword(selectedUser.id, newPassword, false);
-          results.push({
-            action: 'Reset Password',
+          return {
             status: 'success',
             message: `Password has been reset to a random 12-character password. Store securely if needed.`,
-          });
+          };
         } catch (error) {
           // Don't show error for expected permission issues
           if (error.isExpected) {
-            results.push({
-              action: 'Reset Password',
+            return {
               status: 'skipped',
               message: 'Insufficient permissions (requires UserAuthenticationMethod.ReadWrite.All)',
-            });
-          } else {
-            results.push({
-              action: 'Reset Password',
-              status: 'error',
-              message: error.message,
-            });
+            };
           }
+          throw error;
         }
-      } else {
-        results.push({
-          action: 'Reset Password',
-          status: 'skipped',
-          message: 'Not selected',
-        });
-      }
-
-      // 3. Revoke licenses
-      if (offboardingOptions.revokeLicenses) {
-        setExecutionProgress(prev => ({ ...prev, currentTask: 'Revoking licenses...', currentStep: prev.currentStep + 1 }));
+      },
+    },
+    {
+      id: 'removeAuthMethods',
+      label: 'Remove Authentication Methods',
+      task: 'Removing authentication methods...',
+      enabled: (options) => hasPermission('userAuthenticationMethod') && options.removeAuthMethods,
+      plan: async () => {
+        const authMethodsData = await service.getUserAuthenticationMethods(selectedUser.id);
+        return (authMethodsData.value || []).map(method => ({
+          description: 'Remove authentication method',
+          target: method.displayName,
+        }));
+      },
+      run: async () => {
+        let authMethods;
         try {
-          const licenseResult = await service.removeAllLicenses(selectedUser.id);
-          results.push({
-            action: 'Revoke Licenses',
-            status: 'success',
-            message: `Removed ${licenseResult.removedCount} license(s)`,
-          });
+          const authMethodsData = await service.getUserAuthenticationMethods(selectedUser.id);
+          authMethods = authMethodsData.value || [];
         } catch (error) {
-          results.push({
-            action: 'Revoke Licenses',
-            status: 'error',
-            message: error.message,
-          });
+          throw new Error(`Failed to retrieve authentication methods: ${error.message}`);
         }
-      } else {
-        results.push({
-          action: 'Revoke Licenses',
-          status: 'skipped',
-          message: 'Not selected',
-        });
-      }
 
-      // 4. Convert mailbox
-      if (offboardingOptions.convertMailbox) {
-        setExecutionProgress(prev => ({ ...prev, currentTask: 'Converting mailbox to shared...', currentStep: prev.currentStep + 1 }));
-        try {
-          await service.convertToSharedMailbox(selectedUser.id);
-          results.push({
-            action: 'Convert Mailbox',
-            status: 'success',
-            message: 'Mailbox converted to shared mailbox',
-          });
-        } catch (error) {
-          results.push({
-            action: 'Convert Mailbox',
-            status: 'error',
-            message: error.message,
-          });
+        if (authMethods.length === 0) {
+          return { status: 'success', message: 'User has no authentication methods to remove' };
         }
-      } else {
-        results.push({
-          action: 'Convert Mailbox',
-          status: 'skipped',
-          message: 'Not selected',
-        });
-      }
 
-      // 5. Set email forwarding
-      if (offboardingOptions.setEmailForwarding) {
-        setExecutionProgress(prev => ({ ...prev, currentTask: 'Setting up email forwarding...', currentStep: prev.currentStep + 1 }));
-        try {
-          await service.setMailForwarding(
-            selectedUser.id,
-            offboardingOptions.forwardingAddress,
-            true
-          );
-          results.push({
-            action: 'Email Forwarding',
-            status: 'success',
-            message: `Email forwarding set to ${offboardingOptions.forwardingAddress}`,
-          });
-        } catch (error) {
-          results.push({
-            action: 'Email Forwarding',
-            status: 'error',
-            message: error.message,
-          });
+        let removedCount = 0;
+        let failedCount = 0;
+        for (const method of authMethods) {
+          try {
+            await service.removeAuthenticationMethod(selectedUser.id, method.id, method.methodType);
+            removedCount++;
+          } catch (error) {
+            failedCount++;
+            logger.warn(`Failed to remove ${method.displayName}:`, error);
+          }
         }
-      } else {
-        results.push({
-          action: 'Email Forwarding',
-          status: 'skipped',
-          message: 'Not selected',
-        });
-      }
 
-      // 6. Set auto-reply
-      if (offboardingOptions.setAutoReply) {
-        setExecutionProgress(prev => ({ ...prev, currentTask: 'Setting auto-reply message...', currentStep: prev.currentStep + 1 }));
+        return {
+          status: failedCount === authMethods.length ? 'error' : 'success',
+          message: failedCount > 0
+            ? `Removed ${removedCount} authentication methods (${failedCount} failed)`
+            : `Removed ${removedCount} authentication methods`,
+        };
+      },
+    },
+    {
+      id: 'setAutoReply',
+      label: 'Auto-Reply',
+      task: 'Setting auto-reply message...',
+      enabled: (options) => options.setAutoReply,
+      plan: async () => [{ description: 'Set automatic reply' }],
+      run: async () => {
+        await service.setAutoReply(
+          selectedUser.id,
+          true,
+          'All',
+          offboardingOptions.autoReplyMessage,
+          offboardingOptions.autoReplyMessage
+        );
+        return { status: 'success', message: 'Auto-reply message has been set' };
+      },
+    },
+    {
+      id: 'setEmailForwarding',
+      label: 'Email Forwarding',
+      task: 'Setting up email forwarding...',
+      enabled: (options) => options.setEmailForwarding,
+      plan: async () => [{ description: 'Forward mail', target: offboardingOptions.forwardingAddress }],
+      run: async () => {
+        await service.setMailForwarding(
+          selectedUser.id,
+          offboardingOptions.forwardingAddress,
+          true
+        );
+        return { status: 'success', message: `Email forwarding set to ${offboardingOptions.forwardingAddress}` };
+      },
+    },
+    {
+      // Convert after auto-reply and forwarding are set on the user mailbox
+      id: 'convertMailbox',
+      label: 'Convert Mailbox',
+      task: 'Converting mailbox to shared...',
+      dependsOn: ['setAutoReply', 'setEmailForwarding'],
+      enabled: (options) => options.convertMailbox,
+      plan: async () => [{ description: 'Convert to shared mailbox' }],
+      run: async () => {
+        await service.convertToSharedMailbox(selectedUser.id);
+        return { status: 'success', message: 'Mailbox converted to shared mailbox' };
+      },
+    },
+    {
+      // Record an inventory of the user's OneDrive
+      id: 'backupData',
+      label: 'Data Backup',
+      task: 'Backing up user data...',
+      enabled: (options) => options.backupData,
+      plan: async () => [{ description: 'Record OneDrive inventory' }],
+      run: async () => {
+        const manifest = await oneDriveTransferService.backupInventory(
+          selectedUser.id,
+          (message) => setExecutionProgress(prev => ({ ...prev, currentTask: `Backing up user data: ${message}` }))
+        );
+        return {
+          status: 'success',
+          message: `Inventoried ${manifest.totalFiles} file(s) (${oneDriveTransferService.formatBytes(manifest.totalBytes)}) in OneDrive`,
+          manifest,
+        };
+      },
+    },
+    {
+      id: 'transferFiles',
+      label: 'Transfer Files',
+      task: 'Transferring files...',
+      dependsOn: ['backupData'],
+      enabled: (options) => options.transferFiles && !!options.newFileOwner,
+      plan: async () => [{ description: 'Share OneDrive', target: offboardingOptions.newFileOwner }],
+      run: async () => {
+        const manifest = await oneDriveTransferService.transferOwnership(
+          selectedUser.id,
+          offboardingOptions.newFileOwner,
+          (message) => setExecutionProgress(prev => ({ ...prev, currentTask: `Transferring files: ${message}` }))
+        );
+        const summary = `${manifest.transferredItems}/${manifest.totalItems} item(s) shared with ${offboardingOptions.newFileOwner}`;
+        return {
+          status: manifest.failedItems > 0 ? 'error' : 'success',
+          message: manifest.failedItems > 0 ? `${summary}, ${manifest.failedItems} failed` : summary,
+          manifest,
+        };
+      },
+    },
+    {
+      id: 'revokeLicenses',
+      label: 'Revoke Licenses',
+      task: 'Revoking licenses...',
+      dependsOn: ['setAutoReply', 'setEmailForwarding', 'convertMailbox', 'backupData', 'transferFiles'],
+      enabled: (options) => options.revokeLicenses,
+      plan: async () => {
+        const licenses = await service.makeRequest(`/users/${selectedUser.id}/licenseDetails`);
+        return (licenses.value || []).map(license => ({
+          description: 'Remove license',
+          target: license.skuPartNumber || license.skuId,
+        }));
+      },
+      run: async () => {
+        const licenseResult = await service.removeAllLicenses(selectedUser.id);
+        return { status: 'success', message: `Removed ${licenseResult.removedCount} license(s)` };
+      },
+    },
+    {
+      // Group-based licensing means leaving groups can remove licenses too
+      id: 'removeFromGroups',
+      label: 'Remove from Groups',
+      task: 'Removing from groups...',
+      dependsOn: ['setAutoReply', 'setEmailForwarding', 'convertMailbox', 'backupData', 'transferFiles'],
+      enabled: (options) => options.removeFromGroups,
+      plan: async () => {
+        // Same skips the removal runs into: dynamic rules own membership, synced and mail-enabled groups are managed elsewhere
+        const groups = await service.makeRequest(
+          `/users/${selectedUser.id}/memberOf/microsoft.graph.group?$select=id,displayName,groupTypes,mailEnabled,onPremisesSyncEnabled`
+        );
+        return (groups.value || []).map(group => {
+          let skipReason;
+          if ((group.groupTypes || []).includes('DynamicMembership')) {
+            skipReason = 'Dynamic membership group';
+          } else if (group.onPremisesSyncEnabled) {
+            skipReason = 'On-premises synced group';
+          } else if (group.mailEnabled && !(group.groupTypes || []).includes('Unified')) {
+            skipReason = 'Mail-enabled group';
+          }
+          return { description: 'Leave group', target: group.displayName, skipReason };
+        });
+      },
+      run: async () => {
+        let groups;
         try {
-          await service.setAutoReply(
-            selectedUser.id,
-            true,
-            'All',
-            offboardingOptions.autoReplyMessage,
-            offboardingOptions.autoReplyMessage
-          );
-          results.push({
-            action: 'Auto-Reply',
-            status: 'success',
-            message: 'Auto-reply message has been set',
-          });
+          const groupsData = await service.getUserGroups(selectedUser.id);
+          groups = groupsData.value || [];
         } catch (error) {
-          results.push({
-            action: 'Auto-Reply',
-            status: 'error',
-            message: error.message,
-          });
+          throw new Error(`Failed to retrieve groups: ${error.message}`);
         }
-      } else {
-        results.push({
-          action: 'Auto-Reply',
-          status: 'skipped',
-          message: 'Not selected',
-        });
-      }
 
-      // 7. Backup data
-      if (offboardingOptions.backupData) {
-        setExecutionProgress(prev => ({ ...prev, currentTask: 'Backing up user data...', currentStep: prev.currentStep + 1 }));
-        try {
-          const backupResult = await service.backupUserData(selectedUser.id);
-          results.push({
-            action: 'Data Backup',
-            status: 'success',
-            message: 'Data backup initiated successfully',
-            details: backupResult,
-          });
-        } catch (error) {
-          results.push({
-            action: 'Data Backup',
-            status: 'error',
-            message: error.message,
-          });
+        if (groups.length === 0) {
+          return { status: 'success', message: 'User is not a member of any groups' };
         }
-      } else {
-        results.push({
-          action: 'Data Backup',
-          status: 'skipped',
-          message: 'Not selected',
-        });
-      }
 
-      // 8. Remove from groups
-      if (offboardingOptions.removeFromGroups) {
-        setExecutionProgress(prev => ({ ...prev, currentTask: 'Removing from groups...', currentStep: prev.currentStep + 1 }));
-        try {
-          const groupsData = await service.getUserGroups(selectedUser.id);
-          const groups = groupsData.value || [];
-          let removedCount = 0;
-          let failedCount = 0;
-          
-          if (groups.length === 0) {
-            results.push({
-              action: 'Remove from Groups',
-              status: 'success',
-              message: 'User is not a member of any groups',
-            });
-          } else {
-            for (const group of groups) {
-              try {
-                await service.removeUserFromGroup(group.id, selectedUser.id);
-                removedCount++;
-              } catch (error) {
-                // Don't log or count expected errors (mail-enabled, on-prem synced groups)
-                if (!error.isExpected) {
-                  failedCount++;
-                  logger.warn(`Failed to remove from group ${group.displayName}:`, error);
-                }
-              }
+        let removedCount = 0;
+        let failedCount = 0;
+        for (const group of groups) {
+          try {
+            await service.removeUserFromGroup(group.id, selectedUser.id);
+            removedCount++;
+          } catch (error) {
+            // Don't log or count expected errors (mail-enabled, on-prem synced groups)
+            if (!error.isExpected) {
+              failedCount++;
+              logger.warn(`Failed to remove from group ${group.displayName}:`, error);
             }
-            
-            const message = failedCount > 0 
-              ? `Removed from ${removedCount} groups (${failedCount} failed)`
-              : `Removed from ${removedCount} groups`;
-            
-            results.push({
-              action: 'Remove from Groups',
-              status: failedCount === groups.length ? 'error' : 'success',
-              message: message,
-            });
           }
-        } catch (error) {
-          results.push({
-            action: 'Remove from Groups',
-            status: 'error',
-            message: `Failed to retrieve groups: ${error.message}`,
-          });
         }
-      } else {
-        results.push({
-          action: 'Remove from Groups',
-          status: 'skipped',
-          message: 'Not selected',
-        });
-      }
 
-      // 9. Remove from Teams
-      if (offboardingOptions.removeFromTeams) {
-        setExecutionProgress(prev => ({ ...prev, currentTask: 'Removing from Teams...', currentStep: prev.currentStep + 1 }));
+        return {
+          status: failedCount === groups.length ? 'error' : 'success',
+          message: failedCount > 0
+            ? `Removed from ${removedCount} groups (${failedCount} failed)`
+            : `Removed from ${removedCount} groups`,
+        };
+      },
+    },
+    {
+      // Synced groups are skipped above; their memberships are stripped in AD instead
+      id: 'removeOnPremGroups',
+      label: 'Remove from On-Premises Groups',
+      task: 'Removing on-premises AD group memberships...',
+      dependsOn: ['setAutoReply', 'setEmailForwarding', 'convertMailbox', 'backupData', 'transferFiles'],
+      enabled: (options) => useADLeaver && options.removeFromGroups,
+      plan: async () => [{ description: 'Remove from on-premises AD groups (primary group is kept)' }],
+      run: async () => {
+        const data = await runADLeaverAction('remove-groups');
+        const removed = data.removed || [];
+        return {
+          ...toLeaverResult(data),
+          message: removed.length > 0 ? `${data.message}: ${removed.join(', ')}` : data.message,
+        };
+      },
+    },
+    {
+      id: 'removeFromTeams',
+      label: 'Remove from Teams',
+      task: 'Removing from Teams...',
+      enabled: (options) => options.removeFromTeams,
+      plan: async () => {
+        const teamsData = await service.getUserTeams(selectedUser.id);
+        return (teamsData.value || []).map(team => ({ description: 'Leave team', target: team.displayName }));
+      },
+      run: async () => {
+        let teams;
         try {
           const teamsData = await service.getUserTeams(selectedUser.id);
-          const teams = teamsData.value || [];
-          let removedCount = 0;
-          let failedCount = 0;
-          
-          if (teams.length === 0) {
-            results.push({
-              action: 'Remove from Teams',
-              status: 'success',
-              message: 'User is not a member of any teams',
-            });
-          } else {
-            for (const team of teams) {
-              try {
-                await service.removeUserFromTeam(team.id, selectedUser.id);
-                removedCount++;
-              } catch (error) {
-                failedCount++;
-                logger.warn(`Failed to remove from team ${team.displayName}:`, error);
-              }
-            }
-            
-            const message = failedCount > 0 
-              ? `Removed from ${removedCount} teams (${failedCount} failed)`
-              : `Removed from ${removedCount} teams`;
-            
-            results.push({
-              action: 'Remove from Teams',
-              status: failedCount === teams.length ? 'error' : 'success',
-              message: message,
-            });
-          }
+          teams = teamsData.value || [];
         } catch (error) {
-          results.push({
-            action: 'Remove from Teams',
-            status: 'error',
-            message: `Failed to retrieve teams: ${error.message}`,
-          });
+          throw new Error(`Failed to retrieve teams: ${error.message}`);
         }
-      } else {
-        results.push({
-          action: 'Remove from Teams',
-          status: 'skipped',
-          message: 'Not selected',
-        });
-      }
 
-      // 10. Remove from Enterprise Applications
-      if (hasPermission('application') && offboardingOptions.removeFromApps) {
-        setExecutionProgress(prev => ({ ...prev, currentTask: 'Removing from enterprise applications...', currentStep: prev.currentStep + 1 }));
-        try {
-          const appsData = await service.getUserAppRoleAssignments(selectedUser.id);
-          const apps = appsData.value || [];
-          let removedCount = 0;
-          let failedCount = 0;
-
-          if (apps.length === 0) {
-            results.push({
-              action: 'Remove from Enterprise Applications',
-              status: 'success',
-              message: 'User has no enterprise application assignments',
-            });
-          } else {
-            for (const app of apps) {
-              try {
-                await service.removeUserFromEnterpriseApp(selectedUser.id, app.id);
-                removedCount++;
-              } catch (error) {
-                failedCount++;
-                // Don't log EntitlementGrant errors (known Graph API limitation)
-                if (!error.isExpected) {
-                  logger.warn(`Failed to remove from ${app.appDisplayName}:`, error);
-                }
-              }
-            }
-
-            const message = failedCount > 0
-              ? `Removed from ${removedCount} apps (${failedCount} failed)`
-              : `Removed from ${removedCount} apps`;
+        if (teams.length === 0) {
+          return { status: 'success', message: 'User is not a member of any teams' };
+        }
 
-            results.push({
-              action: 'Remove from Enterprise Applications',
-              status: failedCount === apps.length ? 'error' : 'success',
-              message: message,
-            });
+        let removedCount = 0;
+        let failedCount = 0;
+        for (const team of teams) {
+          try {
+            await service.removeUserFromTeam(team.id, selectedUser.id);
+            removedCount++;
+          } catch (error) {
+            failedCount++;
+            logger.warn(`Failed to remove from team ${team.displayName}:`, error);
           }
-        } catch (error) {
-          results.push({
-            action: 'Remove from Enterprise Applications',
-            status: 'error',
-            message: `Failed to retrieve applications: ${error.message}`,
-          });
         }
-      } else {
-        results.push({
-          action: 'Remove from Enterprise Applications',
-          status: 'skipped',
-          message: 'Not selected',
-        });
-      }
 
-      // 11. Remove Authentication Methods
-      if (hasPermission('userAuthenticationMethod') && offboardingOptions.removeAuthMethods) {
-        setExecutionProgress(prev => ({ ...prev, currentTask: 'Removing authentication methods...', currentStep: prev.currentStep + 1 }));
+        return {
+          status: failedCount === teams.length ? 'error' : 'success',
+          message: failedCount > 0
+            ? `Removed from ${removedCount} teams (${failedCount} failed)`
+            : `Removed from ${removedCount} teams`,
+        };
+      },
+    },
+    {
+      id: 'removeFromApps',
+      label: 'Remove from Enterprise Applications',
+      task: 'Removing from enterprise applications...',
+      enabled: (options) => hasPermission('application') && options.removeFromApps,
+      plan: async () => {
+        const appsData = await service.getUserAppRoleAssignments(selectedUser.id);
+        return (appsData.value || []).map(app => ({
+          description: 'Remove app role assignment',
+          target: app.appDisplayName || app.resourceDisplayName,
+        }));
+      },
+      run: async () => {
+        let apps;
         try {
-          const authMethodsData = await service.getUserAuthenticationMethods(selectedUser.id);
-          const authMethods = authMethodsData.value || [];
-          let removedCount = 0;
-          let failedCount = 0;
-
-          if (authMethods.length === 0) {
-            results.push({
-              action: 'Remove Authentication Methods',
-              status: 'success',
-              message: 'User has no authentication methods to remove',
-            });
-          } else {
-            for (const method of authMethods) {
-              try {
-                await service.removeAuthenticationMethod(selectedUser.id, method.id, method.methodType);
-                removedCount++;
-              } catch (error) {
-                failedCount++;
-                logger.warn(`Failed to remove ${method.displayName}:`, error);
-              }
-            }
+          const appsData = await service.getUserAppRoleAssignments(selectedUser.id);
+          apps = appsData.value || [];
+        } catch (error) {
+          throw new Error(`Failed to retrieve applications: ${error.message}`);
+        }
 
-            const message = failedCount > 0
-              ? `Removed ${removedCount} authentication methods (${failedCount} failed)`
-              : `Removed ${removedCount} authentication methods`;
+        if (apps.length === 0) {
+          return { status: 'success', message: 'User has no enterprise application assignments' };
+        }
 
-            results.push({
-              action: 'Remove Authentication Methods',
-              status: failedCount === authMethods.length ? 'error' : 'success',
-              message: message,
-            });
+        let removedCount = 0;
+        let failedCount = 0;
+        for (const app of apps) {
+          try {
+            await service.removeUserFromEnterpriseApp(selectedUser.id, app.id);
+            removedCount++;
+          } catch (error) {
+            failedCount++;
+            // Don't log EntitlementGrant errors (known Graph API limitation)
+            if (!error.isExpected) {
+              logger.warn(`Failed to remove from ${app.appDisplayName}:`, error);
+            }
           }
-        } catch (error) {
-          results.push({
-            action: 'Remove Authentication Methods',
-            status: 'error',
-            message: `Failed to retrieve authentication methods: ${error.message}`,
-          });
         }
-      } else {
-        results.push({
-          action: 'Remove Authentication Methods',
-          status: 'skipped',
-          message: 'Not selected',
-        });
-      }
 
-      // 12. Handle devices
-      if (hasPermission('deviceManagement') && (offboardingOptions.wipeDevices || offboardingOptions.retireDevices)) {
-        setExecutionProgress(prev => ({ ...prev, currentTask: 'Managing devices...', currentStep: prev.currentStep + 1 }));
+        return {
+          status: failedCount === apps.length ? 'error' : 'success',
+          message: failedCount > 0
+            ? `Removed from ${removedCount} apps (${failedCount} failed)`
+            : `Removed from ${removedCount} apps`,
+        };
+      },
+    },
+    {
+      id: 'manageDevices',
+      label: 'Device Management',
+      task: 'Managing devices...',
+      enabled: (options) => hasPermission(options.wipeDevices ? 'deviceWipe' : 'deviceManagement')
+        && (options.wipeDevices || options.retireDevices),
+      plan: async () => {
+        const devicesData = await service.getUserDevices(selectedUser.userPrincipalName);
+        return (devicesData.value || []).map(device => ({
+          description: offboardingOptions.wipeDevices && isCorporateDevice(device) ? 'Wipe device' : 'Retire device',
+          target: device.deviceName,
+        }));
+      },
+      run: async () => {
+        let devices;
         try {
           const devicesData = await service.getUserDevices(selectedUser.userPrincipalName);
-          const devices = devicesData.value || [];
-          let processedDevices = 0;
-          let failedDevices = 0;
-          
-          if (devices.length === 0) {
-            results.push({
-              action: 'Device Management',
-              status: 'success',
-              message: 'User has no enrolled devices',
-            });
-          } else {
-            for (const device of devices) {
-              try {
-                if (offboardingOptions.wipeDevices) {
-                  await service.wipeDevice(device.id, false, false);
-                } else if (offboardingOptions.retireDevices) {
-                  await service.retireDevice(device.id);
-                }
-                processedDevices++;
-              } catch (error) {
-                failedDevices++;
-                logger.warn(`Failed to process device ${device.deviceName}:`, error);
-              }
+          devices = devicesData.value || [];
+        } catch (error) {
+          throw new Error(`Failed to retrieve devices: ${error.message}`);
+        }
+
+        if (devices.length === 0) {
+          return { status: 'success', message: 'User has no enrolled devices' };
+        }
+
+        // Personal devices are retired even when a wipe was chosen
+        let wipedDevices = 0;
+        let retiredDevices = 0;
+        let failedDevices = 0;
+        for (const device of devices) {
+          try {
+            if (offboardingOptions.wipeDevices && isCorporateDevice(device)) {
+              await service.wipeDevice(device.id, false, false);
+              wipedDevices++;
+            } else {
+              await service.retireDevice(device.id);
+              retiredDevices++;
             }
-            
-            const action = offboardingOptions.wipeDevices ? 'Wiped' : 'Retired';
-            const message = failedDevices > 0
-              ? `${action} ${processedDevices} devices (${failedDevices} failed)`
-              : `${action} ${processedDevices} devices`;
-            
-            results.push({
-              action: 'Device Management',
-              status: failedDevices === devices.length ? 'error' : 'success',
-              message: message,
-            });
+          } catch (error) {
+            failedDevices++;
+            logger.warn(`Failed to process device ${device.deviceName}:`, error);
           }
-        } catch (error) {
-          results.push({
-            action: 'Device Management',
-            status: 'error',
-            message: `Failed to retrieve devices: ${error.message}`,
-          });
         }
-      } else {
-        results.push({
-          action: 'Device Management',
-          status: 'skipped',
-          message: 'Not selected',
-        });
+
+        const message = [
+          wipedDevices > 0 && `Wiped ${wipedDevices} company-owned devices`,
+          (retiredDevices > 0 || wipedDevices === 0) && `Retired ${retiredDevices} ${offboardingOptions.wipeDevices ? 'personal ' : ''}devices`,
+        ].filter(Boolean).join(', ');
+        return {
+          status: failedDevices === devices.length ? 'error' : 'success',
+          message: failedDevices > 0 ? `${message} (${failedDevices} failed)` : message,
+        };
+      },
+    },
+  ];
+
+  // Dry run: resolve every change the selected options would make, without making any
+  const previewOffboarding = async () => {
+    setIsPlanning(true);
+    try {
+      const plan = await planPipeline(buildPipelineSteps(), offboardingOptions, { completedSteps: loadCheckpoints(selectedUser.id) });
+      setExecutionPlan(plan);
+    } catch (error) {
+      logger.error('Error building offboarding plan:', error);
+      toast.error('Failed to build offboarding preview');
+    } finally {
+      setIsPlanning(false);
+    }
+  };
+
+  const startOver = () => {
+    clearCheckpoints(selectedUser.id);
+    setResumableSteps(0);
+    setExecutionPlan(null);
+  };
+
+  // Offboarding needs a second operator's approval before it runs
+  const requestOffboardingApproval = async () => {
+    try {
+      await requestApproval(convex, {
+        operation: 'executeOffboarding',
+        targetId: selectedUser.id,
+        targetName: selectedUser.displayName,
+        summary: `Offboard ${selectedUser.userPrincipalName}`,
+        payload: {
+          offboardingOptions,
+          userPrincipalName: selectedUser.userPrincipalName,
+          displayName: selectedUser.displayName,
+        },
+      });
+      toast.success('Approval requested. The offboarding can run once another operator approves it.');
+      navigate('/approvals');
+    } catch (error) {
+      logger.error('Error requesting offboarding approval:', error);
+      toast.error(error.message || 'Failed to request approval');
+    }
+  };
+
+  const executeOffboarding = async () => {
+    if (!hasPermission('lifecycleExecute')) {
+      toast.error('You do not have permission to perform offboarding operations');
+      return;
+    }
+
+    if (!approval) {
+      await requestOffboardingApproval();
+      return;
+    }
+
+    if (JSON.stringify(offboardingOptions) !== JSON.stringify(approval.payload.offboardingOptions)) {
+      toast.error('The options differ from the approved request. Request a new approval for these options.');
+      return;
+    }
+
+    let claimed = false;
+    try {
+      await runApproved(convex, approval._id, 'executeOffboarding', selectedUser.id, () => {
+        claimed = true;
+        return runOffboarding();
+      });
+    } catch (error) {
+      // runOffboarding reports its own failures
+      if (!claimed) {
+        toast.error(error.message || 'Failed to start the approved offboarding');
+      }
+    } finally {
+      if (claimed) {
+        // The approval is used up; running again needs a new one
+        setApproval(null);
       }
+    }
+  };
+
+  const runOffboarding = async () => {
+    console.log('🚀 Starting offboarding with options:', offboardingOptions);
+
+    setIsExecuting(true);
+    let results = [];
+
+    const steps = buildPipelineSteps();
+    const totalSteps = steps.filter(step => step.enabled(offboardingOptions)).length;
+    // Resume after the steps an earlier attempt for this user already completed
+    const completedSteps = loadCheckpoints(selectedUser.id);
+    if (completedSteps.size > 0) {
+      toast(`Resuming offboarding: ${completedSteps.size} step(s) already completed`, { icon: '⏭️' });
+    }
+
+    setExecutionProgress({ currentTask: 'Starting offboarding...', currentStep: 0, totalSteps });
+
+    try {
+      const pipeline = await runPipeline(steps, offboardingOptions, {
+        completedSteps,
+        onStepStart: (step) => setExecutionProgress(prev => ({ ...prev, currentTask: step.task, currentStep: prev.currentStep + 1 })),
+        onCheckpoint: async (stepId, status) => saveCheckpoint(selectedUser.id, stepId, status),
+      });
+      results = pipeline.results;
+      setPlanDiff(executionPlan ? diffPlans(executionPlan, pipeline) : null);
+
+      if (pipeline.failedSteps.length === 0) {
+        clearCheckpoints(selectedUser.id);
+      }
+      setResumableSteps(loadCheckpoints(selectedUser.id).size);
 
       setExecutionProgress({ currentTask: 'Completed!', currentStep: totalSteps, totalSteps });
 
@@ -861,6 +1037,10 @@ const OffboardingWizard = () => {
       }
 
       toast.success('Offboarding process completed');
+      const failedCount = results.filter(r => r.status === 'error').length;
+      return failedCount > 0
+        ? `${failedCount} of ${results.length} step(s) failed`
+        : `${results.length} step(s) completed`;
     } catch (error) {
       logger.error('Offboarding error:', error);
       
@@ -891,6 +1071,7 @@ const OffboardingWizard = () => {
       }
 
       toast.error('Offboarding process failed');
+      throw error;
     } finally {
       setIsExecuting(false);
     }
@@ -1033,6 +1214,13 @@ const OffboardingWizard = () => {
                   <h4 className="text-md font-medium text-gray-900">Account Settings</h4>
                 </div>
                 <div className="card-body space-y-4">
+                  {onPremIdentity && (
+                    <div className={`p-3 rounded-md text-sm ${adLeaverAvailable ? 'bg-primary-50 text-primary-800' : 'bg-warning-50 text-warning-800'}`}>
+                      {adLeaverAvailable
+                        ? `${onPremIdentity.samAccountName || onPremIdentity.userPrincipalName} is synced from on-premises AD. The account will be disabled, moved to the Disabled Users OU, given a leaver description and expiry, have its password reset and its AD groups removed in AD.`
+                        : 'This account is synced from on-premises AD, but the backend AD integration is not available. Disabling the account and resetting its password may fail until it is configured.'}
+                    </div>
+                  )}
                   <div className="flex items-center">
                     <input
                       type="checkbox"
@@ -1257,7 +1445,7 @@ const OffboardingWizard = () => {
                         onChange={(e) => handleOptionChange('wipeDevices', e.target.checked)}
                       />
                       <label htmlFor="wipeDevices" className="ml-2 text-sm text-gray-700">
-                        Wipe all devices
+                        Wipe company-owned devices (personal devices are retired)
                       </label>
                     </div>
                     
@@ -1400,7 +1588,7 @@ const OffboardingWizard = () => {
                   {offboardingOptions.wipeDevices && (
                     <div className="flex items-center text-sm">
                       <CheckCircleIcon className="h-4 w-4 text-success-500 mr-2" />
-                      Wipe all devices
+                      Wipe company-owned devices
                     </div>
                   )}
                   {offboardingOptions.retireDevices && (
@@ -1424,8 +1612,32 @@ const OffboardingWizard = () => {
                 </div>
               </div>
             </div>
+
+            {resumableSteps > 0 && (
+              <div className="mt-4 p-3 rounded-md text-sm bg-warning-50 text-warning-800 flex items-center justify-between gap-3">
+                <span>{resumableSteps} step(s) completed by an earlier run for this user will be skipped.</span>
+                <button
+                  onClick={startOver}
+                  disabled={isExecuting}
+                  className="btn btn-outline"
+                  title="Forget the earlier run and run every step again"
+                >
+                  Start Over
+                </button>
+              </div>
+            )}
+
+            {executionPlan && <PlanPreview plan={executionPlan} />}
             
-            <div className="mt-6 flex justify-end">
+            <div className="mt-6 flex justify-end gap-3">
+              <button
+                onClick={previewOffboarding}
+                disabled={isPlanning || isExecuting}
+                className="btn btn-outline"
+                title="Resolve every change without making any"
+              >
+                {isPlanning ? 'Building preview...' : executionPlan ? 'Refresh Preview' : 'Preview Changes'}
+              </button>
               <button
                 onClick={executeOffboarding}
                 disabled={isExecuting}
@@ -1439,7 +1651,7 @@ const OffboardingWizard = () => {
                 ) : (
                   <>
                     <UserMinusIcon className="h-4 w-4 mr-2" />
-                    Execute Offboarding
+                    {approval ? 'Execute Approved Offboarding' : 'Request Approval'}
                   </>
                 )}
               </button>
@@ -1523,6 +1735,44 @@ const OffboardingWizard = () => {
               </div>
             </div>
             
+            {planDiff && (
+              <div className="card mb-6">
+                <div className="card-body">
+                  <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-4">Preview vs Actual</h4>
+                  <div className="space-y-2">
+                    {planDiff.map((entry) => {
+                      const asPreviewed = ['completed', 'resumed'].includes(entry.outcome) &&
+                        entry.added.length === 0 && entry.removed.length === 0 && entry.issues.length === 0;
+                      return (
+                        <div key={entry.step} className="text-sm">
+                          <div className="flex items-center justify-between">
+                            <span className="font-medium text-gray-900 dark:text-gray-100">{entry.label || entry.step}</span>
+                            <span className="text-xs text-gray-500 dark:text-gray-400">
+                              {asPreviewed ? 'As previewed' : 'Differs from preview'} · {entry.outcome}
+                            </span>
+                          </div>
+                          {entry.added.map((change) => (
+                            <p key={`added-${change}`} className="text-xs text-warning-700 dark:text-warning-300">+ {change}</p>
+                          ))}
+                          {entry.removed.map((change) => (
+                            <p key={`removed-${change}`} className="text-xs text-gray-500 dark:text-gray-400">− {change}</p>
+                          ))}
+                          {entry.issues.map((issue, index) => (
+                            <p
+                              key={`issue-${index}`}
+                              className={`text-xs ${issue.status === 'error' ? 'text-danger-700 dark:text-danger-300' : 'text-warning-700 dark:text-warning-300'}`}
+                            >
+                              ! {issue.message}
+                            </p>
+                          ))}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              </div>
+            )}
+
             {/* Detailed Results */}
             <div className="card">
               <div className="card-body">
@@ -1585,6 +1835,19 @@ const OffboardingWizard = () => {
                               </pre>
                             </details>
                           )}
+                          {result.manifest && (
+                            <button
+                              onClick={() => oneDriveTransferService.downloadManifestCSV(
+                                result.manifest,
+                                result.manifest.items,
+                                `onedrive-manifest-${selectedUser?.userPrincipalName || 'user'}-${result.manifest.mode}.csv`
+                              )}
+                              className="mt-2 inline-flex items-center gap-1 text-xs font-medium text-primary-600 hover:text-primary-800 dark:text-primary-400"
+                            >
+                              <ArrowDownTrayIcon className="h-4 w-4" />
+                              Download manifest ({result.manifest.totalItems} items)
+                            </button>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -1600,6 +1863,17 @@ const OffboardingWizard = () => {
                     Export to PDF
                   </button>
                   <div className="flex gap-3">
+                    {errorCount > 0 && (
+                      <button
+                        onClick={executeOffboarding}
+                        disabled={isExecuting}
+                        className="btn btn-outline flex items-center justify-center gap-2"
+                        title="Run again, skipping the steps that already completed"
+                      >
+                        <ArrowPathIcon className="h-5 w-5" />
+                        {isExecuting ? 'Resuming...' : 'Request Approval to Resume'}
+                      </button>
+                    )}
                     <button
                       onClick={() => window.location.reload()}
                       className="btn btn-secondary"
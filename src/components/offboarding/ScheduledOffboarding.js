@@ -1,11 +1,16 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useConvex, useAction } from "convex/react";
 import { api } from "../../convex/_generated/api";
 import { getSessionId } from '../../services/convexService';
+import { commonTimezones } from '../../utils/timezones';
 import { getActiveService, getAuthMode } from '../../services/serviceFactory';
 import { useMSALAuth } from '../../contexts/MSALAuthContext';
 import { useAuth as useConvexAuth } from '../../contexts/ConvexAuthContext';
 import { exportScheduledOffboardingResultsToPDF } from '../../utils/pdfExport';
+import { oneDriveTransferService } from '../../services/oneDriveTransferService';
+import { completeApproved, requestApproval } from '../../utils/approvals';
+import BulkOffboardingImport from './BulkOffboardingImport';
 import toast from 'react-hot-toast';
 import {
   CalendarIcon,
@@ -33,10 +38,15 @@ import {
   MagnifyingGlassIcon,
   FunnelIcon,
   XMarkIcon,
+  ClipboardDocumentListIcon,
+  ArrowUpTrayIcon,
 } from '@heroicons/react/24/outline';
 
 const ScheduledOffboarding = () => {
   const convex = useConvex();
+  const [searchParams] = useSearchParams();
+  // Approved "execute now" request, when Pending Approvals links here with ?approval=
+  const approvalId = searchParams.get('approval');
   const msalAuth = useMSALAuth();
   const convexAuth = useConvexAuth();
   
@@ -58,18 +68,27 @@ const ScheduledOffboarding = () => {
   const [selectedUsers, setSelectedUsers] = useState([]); // Bulk selection
   const [bulkMode, setBulkMode] = useState(false); // Toggle for bulk mode
   const [bulkProgress, setBulkProgress] = useState({ current: 0, total: 0, processing: false });
+  const [showBulkImport, setShowBulkImport] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [searching, setSearching] = useState(false);
   const [editingSchedule, setEditingSchedule] = useState(null);
   const [executingId, setExecutingId] = useState(null);
   const [executionProgress, setExecutionProgress] = useState(0);
+  const [approval, setApproval] = useState(null);
   
   // Execution report state
   const [viewingReportId, setViewingReportId] = useState(null);
   const [executionLogs, setExecutionLogs] = useState(null);
+  const [driveManifests, setDriveManifests] = useState([]);
+  const [offboardingSnapshot, setOffboardingSnapshot] = useState(null);
+  const [reinstating, setReinstating] = useState(false);
   const [loadingReport, setLoadingReport] = useState(false);
 
+  // Dry-run plan state
+  const [planPreview, setPlanPreview] = useState(null); // { scheduleId, steps }
+  const [planningId, setPlanningId] = useState(null);
+
   // Service credentials state for scheduled offboarding
   const [showCredentialsSetup, setShowCredentialsSetup] = useState(false);
   const [credentialsConfigured, setCredentialsConfigured] = useState(false);
@@ -93,9 +112,13 @@ const ScheduledOffboarding = () => {
   const [statusFilter, setStatusFilter] = useState('all');
   const [templateFilter, setTemplateFilter] = useState('all');
   const [dateRangeFilter, setDateRangeFilter] = useState('all'); // all, today, week, month, past
+  const [batchFilter, setBatchFilter] = useState('all');
   
   // Convex action to configure credentials
   const configureCredentials = useAction(api.authActions.configure);
+  const previewScheduledOffboarding = useAction(api.offboardingAutomation.previewScheduledOffboarding);
+  const snapshotScheduledOffboarding = useAction(api.offboardingAutomation.snapshotScheduledOffboarding);
+  const reinstateOffboarding = useAction(api.offboardingAutomation.reinstateOffboarding);
 
   const [scheduleForm, setScheduleForm] = useState({
     userId: '',
@@ -126,6 +149,7 @@ const ScheduledOffboarding = () => {
       backupData: true,
       transferFiles: false,
       newFileOwner: '',
+      fileTransferMode: 'grant',
       // Devices
       wipeDevices: false,
       retireDevices: true,
@@ -144,23 +168,6 @@ const ScheduledOffboarding = () => {
     { id: 'security', name: 'Security Critical Offboarding' },
   ];
 
-  const commonTimezones = [
-    { value: 'America/New_York', label: 'Eastern Time (ET)' },
-    { value: 'America/Chicago', label: 'Central Time (CT)' },
-    { value: 'America/Denver', label: 'Mountain Time (MT)' },
-    { value: 'America/Los_Angeles', label: 'Pacific Time (PT)' },
-    { value: 'America/Anchorage', label: 'Alaska Time (AKT)' },
-    { value: 'Pacific/Honolulu', label: 'Hawaii Time (HT)' },
-    { value: 'Europe/London', label: 'London (GMT/BST)' },
-    { value: 'Europe/Paris', label: 'Paris (CET)' },
-    { value: 'Europe/Berlin', label: 'Berlin (CET)' },
-    { value: 'Asia/Tokyo', label: 'Tokyo (JST)' },
-    { value: 'Asia/Shanghai', label: 'Shanghai (CST)' },
-    { value: 'Asia/Dubai', label: 'Dubai (GST)' },
-    { value: 'Australia/Sydney', label: 'Sydney (AEST)' },
-    { value: 'UTC', label: 'UTC (Coordinated Universal Time)' },
-  ];
-
   // Check if service credentials are already configured
   useEffect(() => {
     const serviceSessionId = localStorage.getItem('serviceSessionId');
@@ -226,6 +233,11 @@ const ScheduledOffboarding = () => {
       filtered = filtered.filter(schedule => schedule.template === templateFilter);
     }
 
+    // Import batch filter
+    if (batchFilter !== 'all') {
+      filtered = filtered.filter(schedule => schedule.batchId === batchFilter);
+    }
+
     // Date range filter
     if (dateRangeFilter !== 'all') {
       const now = new Date();
@@ -270,10 +282,23 @@ const ScheduledOffboarding = () => {
     setStatusFilter('all');
     setTemplateFilter('all');
     setDateRangeFilter('all');
+    setBatchFilter('all');
   };
 
   // Check if any filters are active
-  const hasActiveFilters = listSearchTerm || statusFilter !== 'all' || templateFilter !== 'all' || dateRangeFilter !== 'all';
+  const hasActiveFilters = listSearchTerm || statusFilter !== 'all' || templateFilter !== 'all' || dateRangeFilter !== 'all' || batchFilter !== 'all';
+
+  // CSV import batches, oldest first, for the batch filter
+  const importBatches = Object.values(
+    scheduledOffboardings.reduce((batches, schedule) => {
+      if (schedule.batchId) {
+        const batch = batches[schedule.batchId] || { id: schedule.batchId, createdAt: schedule.createdAt, count: 0 };
+        batch.count++;
+        batches[schedule.batchId] = batch;
+      }
+      return batches;
+    }, {})
+  ).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
 
   // Handler to save service credentials
   const handleSaveServiceCredentials = async () => {
@@ -369,6 +394,9 @@ const ScheduledOffboarding = () => {
           notifyUser: record.notifyUser ?? true,
           managerEmail: record.managerEmail || '',
           customMessage: record.notes || '',
+          wipeApproval: record.wipeApproval || null,
+          planId: record.planId || null,
+          batchId: record.batchId || null,
           createdAt: new Date(record.createdAt).toISOString(),
           _id: record._id, // Keep for updates
         };
@@ -425,7 +453,7 @@ const ScheduledOffboarding = () => {
   const handleScheduleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!hasPermission('userManagement')) {
+    if (!hasPermission('lifecycleRequest')) {
       toast.error('You do not have permission to schedule offboarding');
       return;
     }
@@ -558,6 +586,7 @@ const ScheduledOffboarding = () => {
           backupData: true,
           transferFiles: false,
           newFileOwner: '',
+          fileTransferMode: 'grant',
           wipeDevices: false,
           retireDevices: true,
           removeApps: false,
@@ -576,6 +605,42 @@ const ScheduledOffboarding = () => {
     }
   };
 
+  useEffect(() => {
+    if (!approvalId) {
+      return;
+    }
+    convex.query(api.approvals.get, { sessionId: getSessionId(), approvalId })
+      .then((request) => {
+        if (request.status !== 'approved') {
+          toast.error(`This offboarding request is ${request.status}`);
+          return;
+        }
+        setApproval(request);
+        toast(`Approved by ${request.decidedByName || request.decidedBy}: run "${request.targetName}" now to carry it out`, { icon: '✅' });
+      })
+      .catch((error) => {
+        console.error('Error loading approval request:', error);
+        toast.error('Failed to load the approval request');
+      });
+  }, [approvalId, convex]);
+
+  // Running an offboarding ahead of its schedule needs a second operator's approval
+  const requestExecutionApproval = async (schedule) => {
+    try {
+      await requestApproval(convex, {
+        operation: 'executeOffboarding',
+        targetId: schedule.user.id,
+        targetName: schedule.user.displayName,
+        summary: `Run the offboarding of ${schedule.user.mail} now (scheduled for ${formatDateTime(schedule.scheduledDate, schedule.scheduledTime, schedule.timezone)})`,
+        payload: { offboardingId: schedule.id },
+      });
+      toast.success('Approval requested. The offboarding can run once another operator approves it.');
+    } catch (error) {
+      console.error('Error requesting offboarding approval:', error);
+      toast.error(error.message || 'Failed to request approval');
+    }
+  };
+
   const executeScheduledOffboarding = async (scheduleId) => {
     // Find the schedule record to get user details and actions
     const schedule = scheduledOffboardings.find(s => s.id === scheduleId);
@@ -607,12 +672,17 @@ const ScheduledOffboarding = () => {
       }
     }
 
-    if (!window.confirm('Are you sure you want to execute this offboarding now? This will immediately disable the user account and perform all selected offboarding actions.')) {
+    if (!hasPermission('lifecycleExecute')) {
+      toast.error('You do not have permission to perform offboarding operations');
       return;
     }
 
-    if (!hasPermission('userManagement')) {
-      toast.error('You do not have permission to perform offboarding operations');
+    if (approval?.payload?.offboardingId !== scheduleId) {
+      await requestExecutionApproval(schedule);
+      return;
+    }
+
+    if (!window.confirm('Are you sure you want to execute this offboarding now? This will immediately disable the user account and perform all selected offboarding actions.')) {
       return;
     }
 
@@ -623,6 +693,7 @@ const ScheduledOffboarding = () => {
     const startTime = Date.now();
     const user = schedule.user;
     const actions = schedule.actions;
+    let claimed = false;
 
     try {
       const sessionId = getSessionId();
@@ -632,11 +703,29 @@ const ScheduledOffboarding = () => {
         return;
       }
 
-      // Mark as in-progress in Convex
+      // Mark as in-progress in Convex; this also uses up the approval
       await convex.mutation(api.offboarding.execute, {
         sessionId,
         offboardingId: scheduleId,
+        approvalId: approval._id,
       });
+      claimed = true;
+      setApproval(null);
+
+      // Record the pre-offboarding state so the offboarding can be reinstated later
+      try {
+        const snapshotWarning = await snapshotScheduledOffboarding({ sessionId, offboardingId: scheduleId });
+        if (snapshotWarning) {
+          results.push(snapshotWarning);
+        }
+      } catch (error) {
+        results.push({
+          action: 'snapshotState',
+          status: 'warning',
+          message: `Could not record pre-offboarding state: ${error.message}`,
+          timestamp: Date.now(),
+        });
+      }
 
       // Calculate total steps
       const totalSteps = Object.values(actions).filter(v => v === true).length + 1; // +1 for revoke sessions
@@ -765,14 +854,20 @@ const ScheduledOffboarding = () => {
         updateProgress();
       }
 
-      // 6. Backup data
+      // 6. Backup data - inventory the user's OneDrive and keep the manifest
       if (actions.backupData) {
         try {
-          await service.backupUserData(user.id);
+          const manifest = await oneDriveTransferService.backupInventory(user.id);
+          await oneDriveTransferService.saveManifest(convex, sessionId, {
+            offboardingId: scheduleId,
+            action: 'backupData',
+            sourceUserId: user.id,
+            sourceUserName: user.displayName,
+          }, manifest);
           results.push({
             action: 'backupData',
-            status: 'success',
-            message: 'Data backup initiated successfully',
+            status: 'warning',
+            message: `Inventoried ${manifest.totalFiles} file(s) (${oneDriveTransferService.formatBytes(manifest.totalBytes)}); copying to the archive account runs only in automated execution`,
             timestamp: Date.now(),
           });
         } catch (error) {
@@ -786,6 +881,35 @@ const ScheduledOffboarding = () => {
         updateProgress();
       }
 
+      // 6b. Transfer OneDrive files to the new owner
+      if (actions.transferFiles && actions.newFileOwner) {
+        try {
+          // Copying into a handover folder outlives a browser session, so manual runs always share
+          const manifest = await oneDriveTransferService.transferOwnership(user.id, actions.newFileOwner);
+          await oneDriveTransferService.saveManifest(convex, sessionId, {
+            offboardingId: scheduleId,
+            action: 'transferFiles',
+            sourceUserId: user.id,
+            sourceUserName: user.displayName,
+          }, manifest);
+          const summary = `${manifest.transferredItems}/${manifest.totalItems} item(s) shared with ${actions.newFileOwner}`;
+          results.push({
+            action: 'transferFiles',
+            status: manifest.status === 'completed' ? 'success' : manifest.status === 'partial' ? 'warning' : 'error',
+            message: manifest.failedItems > 0 ? `${summary}, ${manifest.failedItems} failed` : summary,
+            timestamp: Date.now(),
+          });
+        } catch (error) {
+          results.push({
+            action: 'transferFiles',
+            status: 'error',
+            message: error.message,
+            timestamp: Date.now(),
+          });
+        }
+        updateProgress();
+      }
+
       // 7. Remove devices
       if (actions.removeDevices) {
         try {
@@ -847,6 +971,13 @@ const ScheduledOffboarding = () => {
         console.error('Failed to log execution:', logError);
       }
 
+      await completeApproved(
+        convex,
+        approval._id,
+        true,
+        `${results.filter(r => r.status === 'error').length} of ${results.length} action(s) failed`
+      ).catch((error) => console.error('Failed to record approval outcome:', error));
+
       setTimeout(() => {
         toast.success(hasErrors 
           ? 'Offboarding completed with some errors - check the report for details' 
@@ -881,6 +1012,11 @@ const ScheduledOffboarding = () => {
         console.error('Failed to log error:', logError);
       }
 
+      if (claimed) {
+        await completeApproved(convex, approval._id, false, error.message)
+          .catch((completeError) => console.error('Failed to record approval outcome:', completeError));
+      }
+
       toast.error('Failed to execute offboarding: ' + error.message);
       setExecutingId(null);
       setExecutionProgress(0);
@@ -911,6 +1047,85 @@ const ScheduledOffboarding = () => {
     }
   };
 
+  const cancelImportBatch = async (batchId) => {
+    const pending = scheduledOffboardings.filter(schedule => schedule.batchId === batchId && schedule.status === 'scheduled');
+    if (!window.confirm(`Cancel this import batch? ${pending.length} offboarding${pending.length !== 1 ? 's' : ''} that have not started yet will be deleted.`)) {
+      return;
+    }
+
+    try {
+      const sessionId = getSessionId();
+      if (!sessionId) {
+        toast.error('Session not found. Please log in again.');
+        return;
+      }
+
+      const result = await convex.mutation(api.offboarding.cancelBatch, { sessionId, batchId });
+      toast.success(
+        `Cancelled ${result.cancelled} offboarding${result.cancelled !== 1 ? 's' : ''}` +
+        (result.skipped > 0 ? `; ${result.skipped} already started or finished were kept` : '')
+      );
+      setBatchFilter('all');
+      fetchScheduledOffboardings();
+    } catch (error) {
+      console.error('Error cancelling import batch:', error);
+      toast.error('Failed to cancel batch: ' + error.message);
+    }
+  };
+
+  const approveDeviceWipe = async (schedule) => {
+    if (!window.confirm(`Approve a factory reset of ${schedule.user.displayName}'s company-owned devices? The wipe is sent when the offboarding runs and cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      const sessionId = getSessionId();
+      if (!sessionId) {
+        toast.error('Session not found. Please log in again.');
+        return;
+      }
+
+      const { resumed } = await convex.mutation(api.offboarding.approveWipe, {
+        sessionId,
+        offboardingId: schedule.id,
+      });
+      toast.success(resumed ? 'Device wipe approved, resuming the offboarding' : 'Device wipe approved');
+      fetchScheduledOffboardings();
+    } catch (error) {
+      console.error('Error approving device wipe:', error);
+      toast.error(`Failed to approve device wipe: ${error.message}`);
+    }
+  };
+
+  const previewOffboardingPlan = async (schedule) => {
+    if (planPreview?.scheduleId === schedule.id) {
+      setPlanPreview(null);
+      return;
+    }
+
+    try {
+      const sessionId = getSessionId();
+      if (!sessionId) {
+        toast.error('Session not found. Please log in again.');
+        return;
+      }
+
+      setPlanningId(schedule.id);
+      const steps = await previewScheduledOffboarding({
+        sessionId,
+        offboardingId: schedule.id,
+      });
+      setPlanPreview({ scheduleId: schedule.id, steps });
+      toast.success('Plan attached. The run will be compared against it.');
+      fetchScheduledOffboardings();
+    } catch (error) {
+      console.error('Error previewing offboarding:', error);
+      toast.error(`Failed to preview offboarding: ${error.message}`);
+    } finally {
+      setPlanningId(null);
+    }
+  };
+
   const retryFailedOffboarding = async (scheduleId) => {
     if (!window.confirm('Are you sure you want to retry this failed offboarding?')) {
       return;
@@ -927,7 +1142,7 @@ const ScheduledOffboarding = () => {
         sessionId,
         offboardingId: scheduleId,
       });
-      toast.success('Offboarding scheduled for retry');
+      toast.success('Offboarding scheduled for retry. Steps that already completed will be skipped.');
       fetchScheduledOffboardings();
     } catch (error) {
       console.error('Error retrying offboarding:', error);
@@ -940,12 +1155,20 @@ const ScheduledOffboarding = () => {
     if (viewingReportId === scheduleId) {
       setViewingReportId(null);
       setExecutionLogs(null);
+      setDriveManifests([]);
+      setOffboardingSnapshot(null);
       return;
     }
 
     setViewingReportId(scheduleId);
+    await loadExecutionReport(scheduleId);
+  };
+
+  const loadExecutionReport = async (scheduleId) => {
     setLoadingReport(true);
     setExecutionLogs(null);
+    setDriveManifests([]);
+    setOffboardingSnapshot(null);
 
     try {
       const sessionId = getSessionId();
@@ -968,6 +1191,18 @@ const ScheduledOffboarding = () => {
         setExecutionLogs(null);
         toast.info('No execution report available yet');
       }
+
+      const manifests = await convex.query(api.offboarding.getDriveManifests, {
+        sessionId,
+        offboardingId: scheduleId,
+      });
+      setDriveManifests(manifests || []);
+
+      const snapshot = await convex.query(api.offboarding.getSnapshot, {
+        sessionId,
+        offboardingId: scheduleId,
+      });
+      setOffboardingSnapshot(snapshot);
     } catch (error) {
       console.error('Error fetching execution logs:', error);
       toast.error('Failed to load execution report');
@@ -977,6 +1212,57 @@ const ScheduledOffboarding = () => {
     }
   };
 
+  const reinstateUser = async (schedule) => {
+    if (!window.confirm(
+      `Reinstate ${schedule.user.displayName}? This re-enables the account and restores their manager, licenses, ` +
+      `group memberships and app roles as they were before offboarding. Password, authentication methods, ` +
+      `mailbox settings and devices are not restored.`
+    )) {
+      return;
+    }
+
+    try {
+      const sessionId = getSessionId();
+      if (!sessionId) {
+        toast.error('Session not found. Please log in again.');
+        return;
+      }
+
+      setReinstating(true);
+      const { status } = await reinstateOffboarding({ sessionId, offboardingId: schedule.id });
+      if (status === 'completed') {
+        toast.success(`${schedule.user.displayName} has been reinstated`);
+      } else {
+        toast.error('Reinstatement finished with errors. See the execution report.');
+      }
+
+      // Reload the report, which now shows the reinstatement run
+      await loadExecutionReport(schedule.id);
+    } catch (error) {
+      console.error('Error reinstating user:', error);
+      toast.error(`Failed to reinstate user: ${error.message}`);
+    } finally {
+      setReinstating(false);
+    }
+  };
+
+  const downloadDriveManifest = async (manifest) => {
+    try {
+      const items = await convex.query(api.offboarding.getDriveManifestItems, {
+        sessionId: getSessionId(),
+        manifestId: manifest._id,
+      });
+      oneDriveTransferService.downloadManifestCSV(
+        manifest,
+        items,
+        `onedrive-manifest-${manifest.sourceUserName}-${manifest.action}.csv`
+      );
+    } catch (error) {
+      console.error('Error downloading OneDrive manifest:', error);
+      toast.error('Failed to download manifest');
+    }
+  };
+
   const exportExecutionReportToPDF = (schedule) => {
     if (!executionLogs) {
       toast.error('No execution report available to export');
@@ -1060,6 +1346,7 @@ const ScheduledOffboarding = () => {
         backupData: true,
         transferFiles: false,
         newFileOwner: '',
+        fileTransferMode: 'grant',
         wipeDevices: false,
         retireDevices: true,
         removeApps: false,
@@ -1217,6 +1504,13 @@ const ScheduledOffboarding = () => {
             In Progress
           </span>
         );
+      case 'awaiting-approval':
+        return (
+          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+            <ShieldCheckIcon className="h-3 w-3 mr-1" />
+            Awaiting Approval
+          </span>
+        );
       case 'completed':
         return (
           <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
@@ -1262,6 +1556,13 @@ const ScheduledOffboarding = () => {
               <Cog6ToothIcon className="h-4 w-4 mr-2" />
               {credentialsConfigured ? 'Update Credentials' : 'Setup Required'}
             </button>
+            <button
+              onClick={() => setShowBulkImport(true)}
+              className="btn btn-secondary"
+            >
+              <ArrowUpTrayIcon className="h-4 w-4 mr-2" />
+              Import CSV
+            </button>
             <button
               onClick={() => setShowScheduleForm(true)}
               className="btn btn-primary"
@@ -1459,6 +1760,19 @@ const ScheduledOffboarding = () => {
       )}
 
       {/* Schedule Form Modal */}
+      {showBulkImport && (
+        <BulkOffboardingImport
+          templates={templates}
+          existingOffboardings={scheduledOffboardings}
+          onClose={() => setShowBulkImport(false)}
+          onImported={(batchId) => {
+            setShowBulkImport(false);
+            setBatchFilter(batchId);
+            fetchScheduledOffboardings();
+          }}
+        />
+      )}
+
       {showScheduleForm && (
         <div className="fixed inset-0 bg-gray-500 bg-opacity-75 flex items-center justify-center z-50">
           <div className="bg-white rounded-lg p-6 max-w-2xl w-full max-h-screen overflow-y-auto">
@@ -1998,6 +2312,19 @@ const ScheduledOffboarding = () => {
                               className="form-input ml-6 text-sm"
                             />
                           )}
+                          {scheduleForm.actions.transferFiles && (
+                            <select
+                              value={scheduleForm.actions.fileTransferMode || 'grant'}
+                              onChange={(e) => setScheduleForm({
+                                ...scheduleForm,
+                                actions: {...scheduleForm.actions, fileTransferMode: e.target.value}
+                              })}
+                              className="form-input ml-6 text-sm"
+                            >
+                              <option value="grant">Share the OneDrive with the new owner</option>
+                              <option value="copy">Copy files to a handover folder in the new owner's OneDrive</option>
+                            </select>
+                          )}
                         </div>
                       </div>
 
@@ -2036,7 +2363,7 @@ const ScheduledOffboarding = () => {
                             />
                             <label htmlFor="wipeDevices" className="ml-2 text-sm text-gray-700">
                               <span className="text-red-600 font-medium">Wipe devices</span>
-                              <span className="text-xs text-gray-500 ml-1">(Destructive)</span>
+                              <span className="text-xs text-gray-500 ml-1">(Destructive, company-owned only, needs a second admin's approval)</span>
                             </label>
                           </div>
                           <div className="flex items-center">
@@ -2210,6 +2537,7 @@ const ScheduledOffboarding = () => {
                   <option value="all">All Statuses</option>
                   <option value="scheduled">Scheduled</option>
                   <option value="in-progress">In Progress</option>
+                  <option value="awaiting-approval">Awaiting Approval</option>
                   <option value="completed">Completed</option>
                   <option value="failed">Failed</option>
                 </select>
@@ -2241,6 +2569,32 @@ const ScheduledOffboarding = () => {
                   <option value="past">Past</option>
                 </select>
 
+                {/* Import Batch Filter */}
+                {importBatches.length > 0 && (
+                  <select
+                    value={batchFilter}
+                    onChange={(e) => setBatchFilter(e.target.value)}
+                    className="form-input text-sm min-w-[180px]"
+                  >
+                    <option value="all">All Batches</option>
+                    {importBatches.map(batch => (
+                      <option key={batch.id} value={batch.id}>
+                        Import {new Date(batch.createdAt).toLocaleString()} ({batch.count})
+                      </option>
+                    ))}
+                  </select>
+                )}
+
+                {batchFilter !== 'all' && (
+                  <button
+                    onClick={() => cancelImportBatch(batchFilter)}
+                    className="inline-flex items-center px-3 py-2 text-sm font-medium text-danger-700 bg-danger-50 hover:bg-danger-100 rounded-md transition-colors"
+                  >
+                    <TrashIcon className="h-4 w-4 mr-1" />
+                    Cancel Batch
+                  </button>
+                )}
+
                 {/* Clear Filters Button */}
                 {hasActiveFilters && (
                   <button
@@ -2305,6 +2659,14 @@ const ScheduledOffboarding = () => {
                       </button>
                     </span>
                   )}
+                  {batchFilter !== 'all' && (
+                    <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                      Import batch
+                      <button onClick={() => setBatchFilter('all')} className="ml-1 hover:text-gray-600">
+                        <XMarkIcon className="h-3 w-3" />
+                      </button>
+                    </span>
+                  )}
                 </div>
               )}
             </div>
@@ -2371,6 +2733,16 @@ const ScheduledOffboarding = () => {
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           {getStatusBadge(schedule.status)}
+                          {schedule.actions?.wipeDevices && ['scheduled', 'awaiting-approval'].includes(schedule.status) && (
+                            <div className={`mt-1 text-xs ${schedule.wipeApproval ? 'text-green-700' : 'text-red-600'}`}>
+                              {schedule.wipeApproval
+                                ? `Wipe approved by ${schedule.wipeApproval.approvedByName || schedule.wipeApproval.approvedBy}`
+                                : 'Wipe awaiting approval'}
+                            </div>
+                          )}
+                          {schedule.planId && schedule.status === 'scheduled' && (
+                            <div className="mt-1 text-xs text-gray-500">Plan attached</div>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {formatDate(schedule.createdAt)}
@@ -2395,8 +2767,36 @@ const ScheduledOffboarding = () => {
                                 >
                                   <PencilIcon className="h-4 w-4" />
                                 </button>
+                                <button
+                                  onClick={() => previewOffboardingPlan(schedule)}
+                                  disabled={executingId === schedule.id || planningId === schedule.id}
+                                  className="text-gray-600 hover:text-gray-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                                  title="Preview Plan (dry run)"
+                                >
+                                  <ClipboardDocumentListIcon className={`h-4 w-4 ${planningId === schedule.id ? 'animate-pulse' : ''}`} />
+                                </button>
+                                {schedule.actions?.wipeDevices && !schedule.wipeApproval && (
+                                  <button
+                                    onClick={() => approveDeviceWipe(schedule)}
+                                    disabled={executingId === schedule.id}
+                                    className="text-red-600 hover:text-red-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    title="Approve Device Wipe"
+                                  >
+                                    <ShieldCheckIcon className="h-4 w-4" />
+                                  </button>
+                                )}
                               </>
                             )}
+                            {schedule.status === 'awaiting-approval' && (
+                              <button
+                                onClick={() => approveDeviceWipe(schedule)}
+                                disabled={executingId === schedule.id}
+                                className="text-red-600 hover:text-red-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                                title="Approve Device Wipe and Resume"
+                              >
+                                <ShieldCheckIcon className="h-4 w-4" />
+                              </button>
+                            )}
                             {/* Retry button for failed offboardings */}
                             {schedule.status === 'failed' && (
                               <button
@@ -2416,8 +2816,8 @@ const ScheduledOffboarding = () => {
                             >
                               <TrashIcon className="h-4 w-4" />
                             </button>
-                            {/* View Report button for completed/failed offboardings */}
-                            {(schedule.status === 'completed' || schedule.status === 'failed') && (
+                            {/* View Report button for offboardings that have run */}
+                            {['completed', 'failed', 'awaiting-approval'].includes(schedule.status) && (
                               <button
                                 onClick={() => viewExecutionReport(schedule.id)}
                                 className="text-indigo-600 hover:text-indigo-900 flex items-center"
@@ -2458,6 +2858,40 @@ const ScheduledOffboarding = () => {
                           </td>
                         </tr>
                       )}
+                      {/* Dry-run Plan Panel */}
+                      {planPreview?.scheduleId === schedule.id && (
+                        <tr>
+                          <td colSpan="6" className="px-6 py-4 bg-gray-50">
+                            <div className="border border-gray-200 rounded-lg overflow-hidden">
+                              <div className="bg-gray-100 px-4 py-2 border-b border-gray-200">
+                                <h4 className="text-sm font-medium text-gray-700">Dry-run Plan</h4>
+                                <p className="text-xs text-gray-500">Resolved with the scheduled run's credentials. Nothing has been changed.</p>
+                              </div>
+                              <div className="divide-y divide-gray-200">
+                                {planPreview.steps.map((entry) => (
+                                  <div key={entry.step} className="px-4 py-3">
+                                    <div className="flex items-center justify-between">
+                                      <span className="text-sm font-medium text-gray-900">{entry.step}</span>
+                                      {entry.status === 'alreadyCompleted' && getActionStatusBadge('skipped')}
+                                      {entry.status === 'unresolved' && getActionStatusBadge('error')}
+                                    </div>
+                                    {entry.error && <p className="text-xs text-red-600 mt-1">{entry.error}</p>}
+                                    {entry.status === 'planned' && entry.changes.length === 0 && (
+                                      <p className="text-xs text-gray-500 mt-1">Nothing to change</p>
+                                    )}
+                                    {entry.changes.map((change, index) => (
+                                      <p key={index} className={`text-xs mt-1 ${change.skipReason ? 'text-gray-400' : 'text-gray-700'}`}>
+                                        {change.description}{change.target ? `: ${change.target}` : ''}
+                                        {change.skipReason && ` (skipped: ${change.skipReason})`}
+                                      </p>
+                                    ))}
+                                  </div>
+                                ))}
+                              </div>
+                            </div>
+                          </td>
+                        </tr>
+                      )}
                       {/* Execution Report Panel */}
                       {viewingReportId === schedule.id && (
                         <tr>
@@ -2473,7 +2907,7 @@ const ScheduledOffboarding = () => {
                                 <div className="flex items-center justify-between border-b border-gray-200 pb-3">
                                   <div>
                                     <h3 className="text-lg font-medium text-gray-900">
-                                      Execution Report
+                                      {executionLogs.executionType === 'reinstate' ? 'Reinstatement Report' : 'Execution Report'}
                                     </h3>
                                     <p className="text-sm text-gray-500">
                                       {executionLogs.targetUserName} ({executionLogs.targetUserEmail})
@@ -2585,6 +3019,121 @@ const ScheduledOffboarding = () => {
                                     )}
                                   </div>
                                 </div>
+
+                                {/* Pre-offboarding snapshot and reinstatement */}
+                                {offboardingSnapshot && (
+                                  <div className="border border-gray-200 rounded-lg overflow-hidden mt-4">
+                                    <div className="bg-gray-100 px-4 py-2 border-b border-gray-200 flex items-center justify-between">
+                                      <h4 className="text-sm font-medium text-gray-700">Pre-offboarding State</h4>
+                                      {offboardingSnapshot.reinstatedAt ? (
+                                        <span className="text-xs text-gray-500">
+                                          Reinstated {formatTimestamp(offboardingSnapshot.reinstatedAt)}
+                                        </span>
+                                      ) : (
+                                        <button
+                                          onClick={() => reinstateUser(schedule)}
+                                          disabled={reinstating}
+                                          className="inline-flex items-center text-xs font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                                        >
+                                          <ArrowPathIcon className={`h-4 w-4 mr-1 ${reinstating ? 'animate-spin' : ''}`} />
+                                          {reinstating ? 'Reinstating...' : 'Reinstate User'}
+                                        </button>
+                                      )}
+                                    </div>
+                                    <div className="px-4 py-3 text-sm text-gray-600 space-y-1">
+                                      <p>Captured {formatTimestamp(offboardingSnapshot.capturedAt)}; account was {offboardingSnapshot.accountEnabled ? 'enabled' : 'disabled'}</p>
+                                      {offboardingSnapshot.manager && (
+                                        <p>Manager: {offboardingSnapshot.manager.displayName || offboardingSnapshot.manager.id}</p>
+                                      )}
+                                      <p>{offboardingSnapshot.groups.length} group(s), {offboardingSnapshot.licenses.length} direct license(s), {offboardingSnapshot.appRoleAssignments.length} app role assignment(s)</p>
+                                    </div>
+                                  </div>
+                                )}
+
+                                {/* Attached plan compared with the run */}
+                                {executionLogs.planDiff && (
+                                  <div className="border border-gray-200 rounded-lg overflow-hidden mt-4">
+                                    <div className="bg-gray-100 px-4 py-2 border-b border-gray-200">
+                                      <h4 className="text-sm font-medium text-gray-700">Plan vs Actual</h4>
+                                    </div>
+                                    <div className="divide-y divide-gray-200">
+                                      {executionLogs.planDiff.map((entry) => {
+                                        const issues = entry.issues || [];
+                                        const asPlanned = ['completed', 'resumed'].includes(entry.outcome) &&
+                                          entry.added.length === 0 && entry.removed.length === 0 && issues.length === 0;
+                                        return (
+                                          <div key={entry.step} className="px-4 py-3">
+                                            <div className="flex items-center justify-between">
+                                              <span className="text-sm font-medium text-gray-900">{entry.step}</span>
+                                              <span className="text-xs text-gray-500">
+                                                {asPlanned ? 'As planned' : 'Differs from plan'} · {entry.outcome}
+                                              </span>
+                                            </div>
+                                            {entry.added.map((change) => (
+                                              <p key={`added-${change}`} className="text-xs text-yellow-700 mt-1">+ {change}</p>
+                                            ))}
+                                            {entry.removed.map((change) => (
+                                              <p key={`removed-${change}`} className="text-xs text-gray-500 mt-1">− {change}</p>
+                                            ))}
+                                            {issues.map((issue, index) => (
+                                              <p key={`issue-${index}`} className={`text-xs mt-1 ${issue.status === 'error' ? 'text-red-700' : 'text-yellow-700'}`}>
+                                                ! {issue.message}
+                                              </p>
+                                            ))}
+                                          </div>
+                                        );
+                                      })}
+                                    </div>
+                                  </div>
+                                )}
+
+                                {/* OneDrive Manifests */}
+                                {driveManifests.length > 0 && (
+                                  <div className="border border-gray-200 rounded-lg overflow-hidden mt-4">
+                                    <div className="bg-gray-100 px-4 py-2 border-b border-gray-200">
+                                      <h4 className="text-sm font-medium text-gray-700">OneDrive Manifests</h4>
+                                    </div>
+                                    <div className="divide-y divide-gray-200">
+                                      {driveManifests.map((manifest) => (
+                                        <div key={manifest._id} className="px-4 py-3 flex items-start justify-between">
+                                          <div>
+                                            <span className="text-sm font-medium text-gray-900">
+                                              {manifest.action === 'transferFiles' ? 'File Transfer' : 'Data Backup'} ({manifest.mode})
+                                            </span>
+                                            <p className="text-sm text-gray-600 mt-1">
+                                              {manifest.totalFiles} file(s), {oneDriveTransferService.formatBytes(manifest.totalBytes)}
+                                              {manifest.mode !== 'inventory' && ` - ${manifest.transferredItems}/${manifest.totalItems} item(s) transferred`}
+                                              {manifest.failedItems > 0 && `, ${manifest.failedItems} failed`}
+                                            </p>
+                                            {manifest.destination && (
+                                              <p className="text-xs text-gray-500 mt-1">
+                                                Destination: {manifest.destination}{manifest.destinationPath || ''}
+                                              </p>
+                                            )}
+                                            {manifest.verifiedFiles !== undefined && (
+                                              <p className="text-xs text-gray-500 mt-1">
+                                                Verified in destination: {manifest.verifiedFiles}/{manifest.totalFiles} file(s), {oneDriveTransferService.formatBytes(manifest.verifiedBytes || 0)}
+                                              </p>
+                                            )}
+                                            <p className="text-xs text-gray-400 mt-1">
+                                              {formatTimestamp(manifest.createdAt)}
+                                            </p>
+                                          </div>
+                                          <div className="flex items-center gap-2">
+                                            {getActionStatusBadge(manifest.status === 'completed' ? 'success' : manifest.status === 'partial' ? 'warning' : 'error')}
+                                            <button
+                                              onClick={() => downloadDriveManifest(manifest)}
+                                              className="inline-flex items-center text-xs font-medium text-blue-600 hover:text-blue-800"
+                                            >
+                                              <DocumentArrowDownIcon className="h-4 w-4 mr-1" />
+                                              CSV
+                                            </button>
+                                          </div>
+                                        </div>
+                                      ))}
+                                    </div>
+                                  </div>
+                                )}
                               </div>
                             ) : (
                               <div className="text-center py-4">
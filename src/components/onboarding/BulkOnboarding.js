@@ -0,0 +1,536 @@
+import React, { useState } from 'react';
+import { useConvex } from 'convex/react';
+import { api } from '../../convex/_generated/api';
+import { bulkOnboardingService } from '../../services/bulkOnboardingService';
+import { parseCsvRecords, toCsv, downloadCsv } from '../../utils/csvImport';
+import { exportOnboardingResultsToPDF } from '../../utils/pdfExport';
+import { logger } from '../../utils/logger';
+import toast from 'react-hot-toast';
+import {
+  ArrowUpTrayIcon,
+  ArrowDownTrayIcon,
+  ArrowLeftIcon,
+  CheckCircleIcon,
+  ExclamationCircleIcon,
+  DocumentArrowDownIcon,
+  KeyIcon,
+  PlayIcon,
+} from '@heroicons/react/24/outline';
+
+const TEMPLATE_COLUMNS = ['firstName', 'lastName', 'department', 'jobTitle', 'manager', 'startDate', 'directory', 'licenses', 'usageLocation', 'upn'];
+
+// Header spellings accepted from HRIS exports, keyed by normalized header
+const COLUMN_ALIASES = {
+  firstname: 'firstName',
+  givenname: 'firstName',
+  lastname: 'lastName',
+  surname: 'lastName',
+  department: 'department',
+  jobtitle: 'jobTitle',
+  title: 'jobTitle',
+  manager: 'manager',
+  manageremail: 'manager',
+  managerupn: 'manager',
+  startdate: 'startDate',
+  hiredate: 'startDate',
+  directory: 'directory',
+  accounttype: 'directory',
+  location: 'directory',
+  licenses: 'licenses',
+  license: 'licenses',
+  usagelocation: 'usageLocation',
+  upn: 'upn',
+  userprincipalname: 'upn',
+};
+
+const ON_PREM_VALUES = ['onprem', 'on-prem', 'on-premises', 'ad', 'hybrid'];
+const CLOUD_VALUES = ['', 'cloud', 'azure', 'azuread', 'entra', 'entraid'];
+
+const ROW_STATUS_STYLES = {
+  pending: 'text-gray-500',
+  running: 'text-primary-600',
+  completed: 'text-success-700',
+  partial: 'text-warning-700',
+  failed: 'text-danger-700',
+};
+
+/**
+ * Bulk onboarding from a new-hire CSV or HRIS export
+ * Rows are validated up front (derived UPN free, manager found, licenses known, on-prem
+ * available), then created one after another with a live progress table
+ */
+const BulkOnboarding = ({ availableLicenses, availableGroups, adConfigStatus, executedBy, onExit }) => {
+  const convex = useConvex();
+
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [defaultLicenses, setDefaultLicenses] = useState([]);
+  const [requirePasswordChange, setRequirePasswordChange] = useState(true);
+  const [validating, setValidating] = useState({ current: 0, total: 0, processing: false });
+  const [isExecuting, setIsExecuting] = useState(false);
+  const [runState, setRunState] = useState({}); // rowNumber -> { status, results, password }
+
+  const validRows = rows.filter(row => row.errors.length === 0);
+  const hasRun = Object.keys(runState).length > 0;
+  const runFinished = hasRun && !isExecuting;
+
+  const licensesForRow = (row) => (row.licenses.length > 0 ? row.licenses : defaultLicenses);
+
+  // Seats each SKU needs across the batch compared with what the tenant has free
+  const licenseShortfalls = availableLicenses
+    .map(sku => {
+      const needed = validRows.filter(row => !row.createInOnPremAD && licensesForRow(row).some(l => l.skuId === sku.skuId)).length;
+      const free = (sku.prepaidUnits?.enabled || 0) - (sku.consumedUnits || 0);
+      return { sku, needed, free };
+    })
+    .filter(({ needed, free }) => needed > free);
+
+  const downloadTemplate = () => {
+    downloadCsv(
+      toCsv(TEMPLATE_COLUMNS, [
+        ['Jane', 'Doe', 'Engineering', 'Software Engineer', 'manager@contoso.com', '2026-02-02', 'cloud', 'ENTERPRISEPACK', 'US', ''],
+      ]),
+      'onboarding-import-template.csv'
+    );
+  };
+
+  const resolveLicenses = (value, errors) => {
+    return value
+      .split(/[;|]/)
+      .map(name => name.trim())
+      .filter(Boolean)
+      .map(name => {
+        const sku = availableLicenses.find(
+          l => l.skuId === name || l.skuPartNumber?.toLowerCase() === name.toLowerCase()
+        );
+        if (!sku) errors.push(`Unknown license "${name}"`);
+        return sku;
+      })
+      .filter(Boolean)
+      .map(sku => ({ skuId: sku.skuId, skuPartNumber: sku.skuPartNumber }));
+  };
+
+  const validateRecords = async (records) => {
+    setValidating({ current: 0, total: records.length, processing: true });
+
+    let domain = null;
+    try {
+      domain = await bulkOnboardingService.getDefaultDomain();
+    } catch (error) {
+      logger.error('Failed to load verified domains', error);
+    }
+
+    const withIdentity = await bulkOnboardingService.deriveIdentities(
+      records.map(record => ({
+        ...record,
+        firstName: record.firstName || '',
+        lastName: record.lastName || '',
+        upn: record.upn || '',
+      })),
+      domain,
+      (current, total) => setValidating({ current, total, processing: true })
+    );
+
+    const validated = [];
+    for (const record of withIdentity) {
+      const errors = [];
+      const directory = (record.directory || '').toLowerCase().replace(/\s+/g, '');
+      const createInOnPremAD = ON_PREM_VALUES.includes(directory);
+
+      if (!record.firstName || !record.lastName) {
+        errors.push('First and last name are required');
+      }
+      if (record.identityError) {
+        errors.push(record.identityError);
+      }
+      if (record.startDate && (!/^\d{4}-\d{2}-\d{2}$/.test(record.startDate) || isNaN(Date.parse(record.startDate)))) {
+        errors.push('Start date must be YYYY-MM-DD');
+      }
+      if (!createInOnPremAD && !CLOUD_VALUES.includes(directory)) {
+        errors.push(`Unknown directory "${record.directory}" (use cloud or on-prem)`);
+      }
+      if (createInOnPremAD && !adConfigStatus.configured) {
+        errors.push('On-premises AD is not configured');
+      }
+      if (record.usageLocation && !/^[A-Za-z]{2}$/.test(record.usageLocation)) {
+        errors.push('Usage location must be a two-letter country code');
+      }
+
+      let manager = null;
+      if (record.manager) {
+        try {
+          manager = await bulkOnboardingService.resolveManager(record.manager);
+          if (!manager) errors.push(`Manager ${record.manager} not found`);
+        } catch (error) {
+          errors.push(`Could not look up manager: ${error.message}`);
+        }
+      }
+
+      validated.push({
+        rowNumber: record.rowNumber,
+        firstName: record.firstName,
+        lastName: record.lastName,
+        displayName: `${record.firstName} ${record.lastName}`.trim(),
+        department: record.department || '',
+        jobTitle: record.jobTitle || '',
+        startDate: record.startDate || '',
+        usageLocation: record.usageLocation ? record.usageLocation.toUpperCase() : '',
+        createInOnPremAD,
+        userPrincipalName: record.userPrincipalName,
+        mailNickname: record.mailNickname,
+        derivedFrom: record.derivedFrom,
+        manager,
+        licenses: resolveLicenses(record.licenses || '', errors),
+        groups: bulkOnboardingService.resolveDepartmentGroups(record.department, availableGroups),
+        errors,
+      });
+    }
+
+    setValidating({ current: 0, total: 0, processing: false });
+    return validated;
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { headers, records } = parseCsvRecords(await file.text(), COLUMN_ALIASES);
+      if (!headers.includes('firstName') || !headers.includes('lastName')) {
+        toast.error('The file needs first name and last name columns');
+        return;
+      }
+      if (records.length === 0) {
+        toast.error('The file has no data rows');
+        return;
+      }
+
+      setFileName(file.name);
+      setRunState({});
+      setRows(await validateRecords(records));
+    } catch (error) {
+      logger.error('Error reading onboarding import:', error);
+      toast.error('Failed to read CSV: ' + error.message);
+      setValidating({ current: 0, total: 0, processing: false });
+    }
+  };
+
+  const logRow = async (row, results, startTime) => {
+    const sessionId = localStorage.getItem('sessionId');
+    if (!sessionId) return;
+
+    const hasErrors = results.some(r => r.status === 'error');
+    const created = results.some(r => r.action.startsWith('Create') && r.status === 'success');
+
+    try {
+      await convex.mutation(api.onboarding.logExecution, {
+        sessionId,
+        targetUserName: row.displayName,
+        targetUserEmail: row.userPrincipalName,
+        startTime,
+        endTime: Date.now(),
+        status: !created ? 'failed' : hasErrors ? 'partial' : 'completed',
+        actions: results.map(result => ({
+          action: result.action,
+          status: result.status,
+          message: result.message,
+          timestamp: startTime,
+          details: result.details ? JSON.stringify(result.details) : undefined,
+        })),
+        error: !created ? results[0]?.message : undefined,
+      });
+    } catch (logError) {
+      logger.error('Failed to log bulk onboarding row to Convex:', logError);
+    }
+  };
+
+  const executeBatch = async () => {
+    if (!window.confirm(`Create ${validRows.length} user account${validRows.length !== 1 ? 's' : ''}? Rows with errors are skipped.`)) {
+      return;
+    }
+
+    setIsExecuting(true);
+    setRunState(Object.fromEntries(validRows.map(row => [row.rowNumber, { status: 'pending', results: [] }])));
+
+    for (const row of validRows) {
+      setRunState(prev => ({ ...prev, [row.rowNumber]: { status: 'running', results: [] } }));
+      const startTime = Date.now();
+
+      const { password, results } = await bulkOnboardingService.onboardRow(
+        { ...row, licenses: row.createInOnPremAD ? [] : licensesForRow(row) },
+        { requirePasswordChange }
+      );
+      const created = results.some(r => r.action.startsWith('Create') && r.status === 'success');
+      const status = !created ? 'failed' : results.some(r => r.status === 'error' || r.status === 'warning') ? 'partial' : 'completed';
+
+      setRunState(prev => ({ ...prev, [row.rowNumber]: { status, results, password } }));
+      await logRow(row, results, startTime);
+    }
+
+    setIsExecuting(false);
+    toast.success('Bulk onboarding finished');
+  };
+
+  const exportReport = () => {
+    try {
+      const filename = exportOnboardingResultsToPDF({
+        batch: validRows
+          .filter(row => runState[row.rowNumber])
+          .map(row => ({
+            user: row,
+            results: runState[row.rowNumber].results,
+          })),
+        options: {
+          assignLicenses: defaultLicenses.length > 0 || validRows.some(row => row.licenses.length > 0),
+          selectedLicenses: defaultLicenses,
+          addToGroups: true,
+          selectedGroups: [],
+        },
+        executedBy,
+        executionDate: new Date(),
+      });
+      toast.success(`Report exported: ${filename}`);
+    } catch (error) {
+      logger.error('Failed to export bulk onboarding report', { error });
+      toast.error('Failed to export PDF report');
+    }
+  };
+
+  const downloadCredentials = () => {
+    const created = validRows.filter(row => runState[row.rowNumber]?.password);
+    downloadCsv(
+      toCsv(
+        ['displayName', 'userPrincipalName', 'temporaryPassword'],
+        created.map(row => [row.displayName, row.userPrincipalName, runState[row.rowNumber].password])
+      ),
+      `onboarding-credentials-${new Date().toISOString().split('T')[0]}.csv`
+    );
+  };
+
+  const completedCount = Object.values(runState).filter(state => ['completed', 'partial', 'failed'].includes(state.status)).length;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">Bulk Onboarding</h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Upload a CSV or HRIS export of new hires. UPNs are derived as first.last on the default domain, numbered when taken.
+          </p>
+        </div>
+        <button type="button" onClick={onExit} disabled={isExecuting} className="btn btn-secondary disabled:opacity-50">
+          <ArrowLeftIcon className="h-4 w-4 mr-2" />
+          Single User
+        </button>
+      </div>
+
+      <div className="card">
+        <div className="card-body space-y-4">
+          <div className="flex items-center gap-3">
+            <label className={`btn btn-primary ${isExecuting ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}>
+              <ArrowUpTrayIcon className="h-4 w-4 mr-2" />
+              {rows.length > 0 ? 'Upload Another File' : 'Upload CSV'}
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                onChange={handleFileChange}
+                disabled={validating.processing || isExecuting}
+                className="hidden"
+              />
+            </label>
+            <button type="button" onClick={downloadTemplate} className="btn btn-secondary">
+              <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+              Download Template
+            </button>
+            {fileName && <span className="text-sm text-gray-500">{fileName}</span>}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="form-label">Default Licenses</label>
+              <select
+                multiple
+                className="form-input min-h-[100px]"
+                value={defaultLicenses.map(l => l.skuId)}
+                disabled={isExecuting}
+                onChange={(e) => {
+                  const selected = Array.from(e.target.selectedOptions, option => option.value);
+                  setDefaultLicenses(
+                    availableLicenses
+                      .filter(l => selected.includes(l.skuId))
+                      .map(l => ({ skuId: l.skuId, skuPartNumber: l.skuPartNumber }))
+                  );
+                }}
+              >
+                {availableLicenses.map(license => (
+                  <option key={license.skuId} value={license.skuId}>
+                    {license.displayName || license.skuPartNumber}
+                  </option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-gray-500">Used for rows with an empty licenses column</p>
+            </div>
+            <div className="flex items-start">
+              <input
+                type="checkbox"
+                id="bulkRequirePasswordChange"
+                className="form-checkbox mt-1"
+                checked={requirePasswordChange}
+                disabled={isExecuting}
+                onChange={(e) => setRequirePasswordChange(e.target.checked)}
+              />
+              <label htmlFor="bulkRequirePasswordChange" className="ml-2 text-sm text-gray-700 dark:text-gray-300">
+                Require password change at first sign-in
+              </label>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {validating.processing && (
+        <div>
+          <div className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-400 mb-1">
+            <span>Checking rows against Microsoft 365...</span>
+            <span>{validating.current} / {validating.total}</span>
+          </div>
+          <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+            <div
+              className="bg-primary-600 h-2 rounded-full transition-all"
+              style={{ width: `${(validating.current / validating.total) * 100}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {!validating.processing && rows.length > 0 && (
+        <div className="card">
+          <div className="card-header flex items-center justify-between">
+            <div className="flex items-center gap-4 text-sm">
+              <span className="inline-flex items-center text-success-700">
+                <CheckCircleIcon className="h-5 w-5 mr-1" />
+                {validRows.length} ready
+              </span>
+              {rows.length > validRows.length && (
+                <span className="inline-flex items-center text-danger-700">
+                  <ExclamationCircleIcon className="h-5 w-5 mr-1" />
+                  {rows.length - validRows.length} with errors (will be skipped)
+                </span>
+              )}
+              {hasRun && (
+                <span className="text-gray-600 dark:text-gray-400">
+                  Processed {completedCount} of {validRows.length}
+                </span>
+              )}
+            </div>
+            <div className="flex items-center gap-2">
+              {runFinished && (
+                <>
+                  <button type="button" onClick={downloadCredentials} className="btn btn-secondary">
+                    <KeyIcon className="h-4 w-4 mr-2" />
+                    Credentials CSV
+                  </button>
+                  <button type="button" onClick={exportReport} className="btn btn-secondary">
+                    <DocumentArrowDownIcon className="h-4 w-4 mr-2" />
+                    Export PDF
+                  </button>
+                </>
+              )}
+              {!hasRun && (
+                <button
+                  type="button"
+                  onClick={executeBatch}
+                  disabled={validRows.length === 0}
+                  className="btn btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <PlayIcon className="h-4 w-4 mr-2" />
+                  Onboard {validRows.length} User{validRows.length !== 1 ? 's' : ''}
+                </button>
+              )}
+            </div>
+          </div>
+
+          {licenseShortfalls.length > 0 && !hasRun && (
+            <div className="px-6 pt-4">
+              {licenseShortfalls.map(({ sku, needed, free }) => (
+                <p key={sku.skuId} className="text-sm text-warning-700">
+                  {sku.skuPartNumber}: {needed} needed, {Math.max(free, 0)} available. Later rows will fail license assignment.
+                </p>
+              ))}
+            </div>
+          )}
+
+          <div className="card-body overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-800">
+                <tr>
+                  {['Row', 'New User', 'Department', 'Manager', 'Start', 'Licenses', hasRun ? 'Progress' : 'Validation'].map(heading => (
+                    <th key={heading} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {rows.map(row => {
+                  const state = runState[row.rowNumber];
+                  const groupCount = row.groups.assignable.length;
+                  return (
+                    <tr key={row.rowNumber} className={row.errors.length > 0 ? 'bg-danger-50 dark:bg-danger-900/20' : ''}>
+                      <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                      <td className="px-3 py-2">
+                        <div className="text-gray-900 dark:text-gray-100">
+                          {row.displayName || '—'}
+                          {row.createInOnPremAD && <span className="ml-2 text-xs text-gray-500">(on-prem AD)</span>}
+                        </div>
+                        <div className="text-xs text-gray-500">{row.userPrincipalName || '—'}</div>
+                        {row.derivedFrom && (
+                          <div className="text-xs text-warning-700">{row.derivedFrom} is taken</div>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-gray-700 dark:text-gray-300">
+                        {row.department || '—'}
+                        {row.department && (
+                          <div className="text-xs text-gray-500">
+                            {groupCount} group{groupCount !== 1 ? 's' : ''} from department mapping
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-gray-700 dark:text-gray-300">{row.manager?.displayName || '—'}</td>
+                      <td className="px-3 py-2 text-gray-700 dark:text-gray-300 whitespace-nowrap">{row.startDate || '—'}</td>
+                      <td className="px-3 py-2 text-gray-700 dark:text-gray-300">
+                        {row.createInOnPremAD
+                          ? 'After sync'
+                          : licensesForRow(row).map(l => l.skuPartNumber).join(', ') || 'None'}
+                      </td>
+                      <td className="px-3 py-2">
+                        {row.errors.length > 0 ? (
+                          <ul className="text-xs text-danger-700 space-y-0.5">
+                            {row.errors.map(error => <li key={error}>{error}</li>)}
+                          </ul>
+                        ) : state ? (
+                          <div>
+                            <span className={`text-xs font-medium capitalize ${ROW_STATUS_STYLES[state.status]}`}>
+                              {state.status}
+                            </span>
+                            {state.results.filter(r => r.status === 'error' || r.status === 'warning').map(r => (
+                              <div key={r.action} className="text-xs text-danger-700">{r.action}: {r.message}</div>
+                            ))}
+                          </div>
+                        ) : (
+                          <span className="text-success-700">Ready</span>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkOnboarding;
@@ -6,7 +6,13 @@ import { useAuth as useConvexAuth } from '../../contexts/ConvexAuthContext';
 import { getGroupsForDepartment, hasMappedGroups } from '../../utils/departmentMappings';
 import { logger } from '../../utils/logger';
 import { apiConfig } from '../../config/apiConfig';
+import { recordOnPremEvent } from '../../services/auditService';
 import { exportOnboardingResultsToPDF } from '../../utils/pdfExport';
+import { generateTempPassword } from '../../utils/passwords';
+import { commonTimezones } from '../../utils/timezones';
+import PlanPreview from '../common/PlanPreview';
+import BulkOnboarding from './BulkOnboarding';
+import ScheduledActivations from './ScheduledActivations';
 import toast from 'react-hot-toast';
 import { useConvex } from 'convex/react';
 import { api } from '../../convex/_generated/api';
@@ -31,31 +37,6 @@ import {
   InformationCircleIcon,
 } from '@heroicons/react/24/outline';
 
-// Helper function to generate a temporary password
-const generateTempPassword = () => {
-  const length = 16;
-  const lowercase = 'abcdefghijklmnopqrstuvwxyz';
-  const uppercase = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-  const numbers = '0123456789';
-  const symbols = '!@#$%^&*';
-  const allChars = lowercase + uppercase + numbers + symbols;
-  
-  // Ensure at least one of each required type
-  let password = 
-    lowercase[Math.floor(Math.random() * lowercase.length)] +
-    uppercase[Math.floor(Math.random() * uppercase.length)] +
-    numbers[Math.floor(Math.random() * numbers.length)] +
-    symbols[Math.floor(Math.random() * symbols.length)];
-  
-  // Fill the rest randomly
-  for (let i = password.length; i < length; i++) {
-    password += allChars[Math.floor(Math.random() * allChars.length)];
-  }
-  
-  // Shuffle the password
-  return password.split('').sort(() => Math.random() - 0.5).join('');
-};
-
 const OnboardingWizard = () => {
   const { userId } = useParams();
   const navigate = useNavigate();
@@ -86,7 +67,7 @@ const OnboardingWizard = () => {
     totalSteps: 0,
   });
   
-  // Onboarding mode: 'create' for new user, 'existing' for AD-synced user
+  // Onboarding mode: 'create' for new user, 'existing' for AD-synced user, 'bulk' for a CSV of new hires
   const [onboardingMode, setOnboardingMode] = useState('create');
   
   // Existing user search (for AD-synced users)
@@ -128,6 +109,11 @@ const OnboardingWizard = () => {
   // Onboarding options
   const [onboardingOptions, setOnboardingOptions] = useState({
     enableAccount: true,
+    scheduleActivation: false,
+    activationDate: '',
+    activationTime: '09:00',
+    activationTimezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    notifyManagerOnActivation: true,
     setPassword: true,
     temporaryPassword: '',
     requirePasswordChange: true,
@@ -154,6 +140,8 @@ const OnboardingWizard = () => {
   const [isExecuting, setIsExecuting] = useState(false);
   const [availableLicenses, setAvailableLicenses] = useState([]);
   const [availableGroups, setAvailableGroups] = useState([]);
+  const [executionPlan, setExecutionPlan] = useState(null);
+  const [isPlanning, setIsPlanning] = useState(false);
 
   const steps = [
     { id: 'user-info', name: 'New User Information', icon: UserIcon },
@@ -286,6 +274,11 @@ const OnboardingWizard = () => {
     toast.success(`Selected ${user.displayName} for onboarding`);
   };
 
+  // A preview only holds for the user and options it was built from
+  useEffect(() => {
+    setExecutionPlan(null);
+  }, [onboardingMode, selectedUser, newUserInfo, onboardingOptions]);
+
   // Debounced search for existing users
   useEffect(() => {
     const timeoutId = setTimeout(() => {
@@ -505,8 +498,125 @@ const OnboardingWizard = () => {
     setCurrentStep(prev => Math.max(prev - 1, 0));
   };
 
+  // Dry run: resolve what executeOnboarding would do, without changing anything
+  const previewOnboarding = async () => {
+    const isCreatingNewUser = onboardingMode === 'create' && !selectedUser;
+    const schedulingActivation = onboardingOptions.scheduleActivation && !(isCreatingNewUser && newUserInfo.createInOnPremAD);
+    const plan = [];
+
+    // Run one read per step; a failed read marks that step unresolved instead of failing the preview
+    const addStep = async (step, label, resolveChanges) => {
+      const entry = { step, label, status: 'planned', changes: [] };
+      try {
+        entry.changes = await resolveChanges();
+      } catch (error) {
+        entry.status = 'unresolved';
+        entry.error = error.message;
+      }
+      plan.push(entry);
+    };
+
+    setIsPlanning(true);
+    try {
+      if (isCreatingNewUser && newUserInfo.createInOnPremAD) {
+        await addStep('createUser', 'Create User', async () => [{
+          description: 'Create on-premises AD user',
+          target: newUserInfo.userPrincipalName,
+        }]);
+      } else if (isCreatingNewUser) {
+        await addStep('createUser', 'Create User', async () => {
+          const upn = newUserInfo.userPrincipalName.replace(/'/g, "''");
+          const existing = await service.makeRequest(`/users?$filter=userPrincipalName eq '${upn}'&$select=id`);
+          return [{
+            description: 'Create Azure AD user',
+            target: newUserInfo.userPrincipalName,
+            skipReason: existing.value?.length > 0 ? 'User principal name is already in use' : undefined,
+          }];
+        });
+      } else if (onboardingOptions.enableAccount && !onboardingOptions.scheduleActivation) {
+        await addStep('enableAccount', 'Account Setup', async () => [{
+          description: 'Enable account',
+          target: selectedUser.userPrincipalName,
+          skipReason: selectedUser.accountEnabled === true ? 'Account is already enabled' : undefined,
+        }, ...(onboardingOptions.setPassword && onboardingOptions.temporaryPassword
+          ? [{ description: 'Set temporary password' }]
+          : [])]);
+      }
+
+      if (onboardingOptions.assignLicenses && onboardingOptions.selectedLicenses.length > 0) {
+        await addStep('assignLicenses', 'License Assignment', async () => {
+          const assigned = selectedUser
+            ? (await service.makeRequest(`/users/${selectedUser.id}/licenseDetails`)).value || []
+            : [];
+          return onboardingOptions.selectedLicenses.map(skuId => {
+            const sku = availableLicenses.find(license => license.skuId === skuId);
+            const freeUnits = sku ? (sku.prepaidUnits?.enabled || 0) - (sku.consumedUnits || 0) : 0;
+            let skipReason;
+            if (assigned.some(license => license.skuId === skuId)) {
+              skipReason = 'Already assigned';
+            } else if (freeUnits <= 0) {
+              skipReason = 'No licenses available';
+            }
+            return { description: 'Assign license', target: sku?.skuPartNumber || skuId, skipReason };
+          });
+        });
+      }
+
+      if (onboardingOptions.addToGroups && onboardingOptions.selectedGroups.length > 0) {
+        await addStep('addToGroups', 'Group Membership', async () => {
+          const memberOf = selectedUser
+            ? (await service.makeRequest(`/users/${selectedUser.id}/memberOf/microsoft.graph.group?$select=id`)).value || []
+            : [];
+          const groupName = (groupId) => (
+            availableGroups.find(g => g.id === groupId) || groupCopyDetails.copied?.find(g => g.id === groupId)
+          )?.displayName || groupId;
+
+          return [
+            ...onboardingOptions.selectedGroups.map(groupId => ({
+              description: 'Add to group',
+              target: groupName(groupId),
+              skipReason: memberOf.some(group => group.id === groupId) ? 'Already a member' : undefined,
+            })),
+            ...(groupCopyDetails.skippedDynamic || []).map(group => ({
+              description: 'Add to group',
+              target: group.displayName,
+              skipReason: 'Dynamic membership group',
+            })),
+            ...(groupCopyDetails.skippedOnPrem || []).map(group => ({
+              description: 'Add to group',
+              target: group.displayName,
+              skipReason: 'On-premises synced group',
+            })),
+          ];
+        });
+      }
+
+      if (onboardingOptions.createMailbox && onboardingOptions.emailAlias) {
+        await addStep('createMailbox', 'Email Setup', async () => [{ description: 'Add email alias', target: onboardingOptions.emailAlias }]);
+      }
+      if (onboardingOptions.shareWelcomeKit && !schedulingActivation) {
+        await addStep('shareWelcomeKit', 'Welcome Email', async () => [{ description: 'Send welcome email' }]);
+      }
+      if (schedulingActivation) {
+        await addStep('scheduleActivation', 'Schedule Activation', async () => [{
+          description: 'Enable account, set temporary password'
+            + (onboardingOptions.shareWelcomeKit ? ', send welcome email' : '')
+            + (onboardingOptions.notifyManagerOnActivation ? ' and notify manager' : ''),
+          target: `${onboardingOptions.activationDate} ${onboardingOptions.activationTime} (${onboardingOptions.activationTimezone})`,
+        }]);
+      }
+      if (onboardingOptions.scheduleTraining && onboardingOptions.trainingDate) {
+        await addStep('scheduleTraining', 'Training Schedule', async () => [{ description: 'Schedule training', target: onboardingOptions.trainingDate }]);
+      }
+
+      setExecutionPlan(plan);
+    } finally {
+      setIsPlanning(false);
+    }
+  };
+
   const executeOnboarding = async () => {
-    if (!hasPermission('userManagement')) {
+    if (!hasPermission('lifecycleExecute')) {
       toast.error('You do not have permission to perform onboarding operations');
       return;
     }
@@ -537,16 +647,31 @@ const OnboardingWizard = () => {
       setIsExecuting(false);
       return;
     }
+
+    // Start-date activation stages a cloud account disabled; on-prem accounts are enabled by AD
+    const schedulingActivation = onboardingOptions.scheduleActivation && !(isCreatingNewUser && newUserInfo.createInOnPremAD);
+    if (schedulingActivation && !onboardingOptions.activationDate) {
+      toast.error('Please choose the start date to activate the account on');
+      setIsExecuting(false);
+      return;
+    }
+    const sessionId = localStorage.getItem('sessionId');
+    if (schedulingActivation && !sessionId) {
+      toast.error('Scheduling activation requires a saved session');
+      setIsExecuting(false);
+      return;
+    }
     
     // Calculate total steps
     let totalSteps = 0;
     if (isCreatingNewUser) totalSteps++; // User creation
-    if (isOnboardingExistingUser && onboardingOptions.enableAccount) totalSteps++; // Enable account (only for existing)
+    if (isOnboardingExistingUser && onboardingOptions.enableAccount && !schedulingActivation) totalSteps++; // Enable account (only for existing)
     totalSteps++; // Update Information is always done
     if (onboardingOptions.assignLicenses && onboardingOptions.selectedLicenses.length > 0) totalSteps++;
     if (onboardingOptions.addToGroups && onboardingOptions.selectedGroups.length > 0) totalSteps++;
     if (onboardingOptions.createMailbox) totalSteps++;
-    if (onboardingOptions.shareWelcomeKit) totalSteps++;
+    if (onboardingOptions.shareWelcomeKit && !schedulingActivation) totalSteps++;
+    if (schedulingActivation) totalSteps++;
     if (onboardingOptions.scheduleTraining && onboardingOptions.trainingDate) totalSteps++;
     
     setExecutionProgress({ currentTask: 'Starting onboarding...', currentStep: 0, totalSteps });
@@ -556,6 +681,8 @@ const OnboardingWizard = () => {
       let targetUserId = selectedUser?.id || null;
       let targetUserDisplayName = selectedUser?.displayName || newUserInfo.displayName;
       let didCreateUser = false;
+      // Kept so a scheduled activation sets the same password the account was created with
+      const initialPassword = onboardingOptions.temporaryPassword || generateTempPassword();
       
       // ===== STEP: CREATE USER (if needed) =====
       if (isCreatingNewUser) {
@@ -563,28 +690,30 @@ const OnboardingWizard = () => {
           // Create user in on-premises Active Directory
           setExecutionProgress(prev => ({ ...prev, currentTask: 'Creating user in On-Premises AD...', currentStep: prev.currentStep + 1 }));
           try {
+            const adRequest = {
+              firstName: newUserInfo.firstName,
+              lastName: newUserInfo.lastName,
+              displayName: newUserInfo.displayName,
+              email: newUserInfo.email,
+              userPrincipalName: newUserInfo.userPrincipalName,
+              samAccountName: newUserInfo.mailNickname,
+              password: onboardingOptions.temporaryPassword,
+              department: onboardingOptions.department,
+              jobTitle: onboardingOptions.jobTitle,
+              officeLocation: onboardingOptions.officeLocation,
+              phoneNumber: onboardingOptions.businessPhone,
+              changePasswordAtLogon: onboardingOptions.requirePasswordChange,
+              enabled: onboardingOptions.enableAccount,
+            };
             const response = await fetch(`${apiConfig.baseURL}/api/ad/create-user`, {
               method: 'POST',
               headers: { 'Content-Type': 'application/json' },
               credentials: 'include',
-              body: JSON.stringify({
-                firstName: newUserInfo.firstName,
-                lastName: newUserInfo.lastName,
-                displayName: newUserInfo.displayName,
-                email: newUserInfo.email,
-                userPrincipalName: newUserInfo.userPrincipalName,
-                samAccountName: newUserInfo.mailNickname,
-                password: onboardingOptions.temporaryPassword,
-                department: onboardingOptions.department,
-                jobTitle: onboardingOptions.jobTitle,
-                officeLocation: onboardingOptions.officeLocation,
-                phoneNumber: onboardingOptions.businessPhone,
-                changePasswordAtLogon: onboardingOptions.requirePasswordChange,
-                enabled: onboardingOptions.enableAccount,
-              }),
+              body: JSON.stringify(adRequest),
             });
 
             const data = await response.json();
+            recordOnPremEvent('create-user', adRequest, response.ok && data.success, data.message);
             
             if (!response.ok || !data.success) {
               throw new Error(data.message || 'Failed to create user in on-premises AD');
@@ -621,7 +750,7 @@ const OnboardingWizard = () => {
           setExecutionProgress(prev => ({ ...prev, currentTask: 'Creating user in Azure AD...', currentStep: prev.currentStep + 1 }));
           try {
             const newUser = await service.createUser({
-              accountEnabled: onboardingOptions.enableAccount !== false,
+              accountEnabled: !schedulingActivation && onboardingOptions.enableAccount !== false,
               displayName: newUserInfo.displayName,
               givenName: newUserInfo.firstName,
               surname: newUserInfo.lastName,
@@ -629,7 +758,7 @@ const OnboardingWizard = () => {
               userPrincipalName: newUserInfo.userPrincipalName,
               passwordProfile: {
                 forceChangePasswordNextSignIn: onboardingOptions.requirePasswordChange !== false,
-                password: onboardingOptions.temporaryPassword || generateTempPassword(),
+                password: initialPassword,
               },
               department: onboardingOptions.department || undefined,
               jobTitle: onboardingOptions.jobTitle || undefined,
@@ -673,7 +802,7 @@ const OnboardingWizard = () => {
       }
 
       // ===== STEP: ENABLE ACCOUNT (only for existing users, new users are already enabled) =====
-      if (isOnboardingExistingUser && onboardingOptions.enableAccount) {
+      if (isOnboardingExistingUser && onboardingOptions.enableAccount && !schedulingActivation) {
         setExecutionProgress(prev => ({ ...prev, currentTask: 'Enabling account and setting password...', currentStep: prev.currentStep + 1 }));
         try {
           await service.enableUser(targetUserId);
@@ -865,7 +994,13 @@ const OnboardingWizard = () => {
       }
 
       // 6. Send welcome email
-      if (onboardingOptions.shareWelcomeKit) {
+      if (onboardingOptions.shareWelcomeKit && schedulingActivation) {
+        results.push({
+          action: 'Welcome Email',
+          status: 'skipped',
+          message: 'Sent when the account is activated on the start date',
+        });
+      } else if (onboardingOptions.shareWelcomeKit) {
         setExecutionProgress(prev => ({ ...prev, currentTask: 'Sending welcome email...', currentStep: prev.currentStep + 1 }));
         try {
           await service.sendWelcomeEmail(
@@ -887,6 +1022,46 @@ const OnboardingWizard = () => {
         }
       }
 
+      // Hand the staged account to the activation cron
+      if (schedulingActivation) {
+        setExecutionProgress(prev => ({ ...prev, currentTask: 'Scheduling start-date activation...', currentStep: prev.currentStep + 1 }));
+        const activationPassword = didCreateUser
+          ? initialPassword
+          : (onboardingOptions.setPassword ? onboardingOptions.temporaryPassword : '');
+        try {
+          await convex.action(api.onboardingAutomation.scheduleActivation, {
+            sessionId,
+            userId: targetUserId,
+            userPrincipalName: selectedUser?.userPrincipalName || newUserInfo.userPrincipalName,
+            displayName: targetUserDisplayName,
+            startDate: onboardingOptions.activationDate,
+            startTime: onboardingOptions.activationTime,
+            timezone: onboardingOptions.activationTimezone,
+            temporaryPassword: activationPassword || undefined,
+            requirePasswordChange: onboardingOptions.requirePasswordChange !== false,
+            sendWelcomeEmail: onboardingOptions.shareWelcomeKit,
+            welcomeMessage: onboardingOptions.shareWelcomeKit
+              ? onboardingOptions.welcomeMessage || 'Welcome to the team!'
+              : undefined,
+            notifyManager: onboardingOptions.notifyManagerOnActivation,
+            managerEmail: onboardingOptions.managerEmail || undefined,
+            stagedLicenses: onboardingOptions.assignLicenses ? onboardingOptions.selectedLicenses : [],
+            stagedGroups: onboardingOptions.addToGroups ? onboardingOptions.selectedGroups : [],
+          });
+          results.push({
+            action: 'Schedule Activation',
+            status: 'success',
+            message: `Account stays disabled until ${onboardingOptions.activationDate} ${onboardingOptions.activationTime} (${onboardingOptions.activationTimezone})`,
+          });
+        } catch (error) {
+          results.push({
+            action: 'Schedule Activation',
+            status: 'error',
+            message: `${error.message}. The account is disabled; enable it manually or schedule again.`,
+          });
+        }
+      }
+
       // 7. Schedule training
       if (onboardingOptions.scheduleTraining && onboardingOptions.trainingDate) {
         setExecutionProgress(prev => ({ ...prev, currentTask: 'Scheduling training...', currentStep: prev.currentStep + 1 }));
@@ -919,7 +1094,6 @@ const OnboardingWizard = () => {
       const startTime = endTime - 60000; // Approximate start time
       
       try {
-        const sessionId = localStorage.getItem('sessionId');
         if (sessionId) {
           // Determine overall status
           const hasErrors = results.some(r => r.status === 'error');
@@ -1023,7 +1197,7 @@ const OnboardingWizard = () => {
             </p>
             
             {/* Mode Selector */}
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
               <button
                 type="button"
                 onClick={() => {
@@ -1087,6 +1261,26 @@ const OnboardingWizard = () => {
                   </div>
                 </div>
               </button>
+
+              <button
+                type="button"
+                onClick={() => setOnboardingMode('bulk')}
+                className="p-4 border-2 rounded-lg text-left transition-all border-gray-200 dark:border-gray-700 hover:border-gray-300"
+              >
+                <div className="flex items-center gap-3">
+                  <div className="p-2 rounded-lg bg-gray-100 dark:bg-gray-800">
+                    <UserGroupIcon className="h-6 w-6 text-gray-500" />
+                  </div>
+                  <div>
+                    <h4 className="font-medium text-gray-900 dark:text-gray-100">
+                      Bulk Import
+                    </h4>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      Onboard many new hires from a CSV or HRIS export
+                    </p>
+                  </div>
+                </div>
+              </button>
             </div>
 
             {/* Existing User Search */}
@@ -1441,6 +1635,78 @@ const OnboardingWizard = () => {
                       Enable user account
                     </label>
                   </div>
+
+                  {!newUserInfo.createInOnPremAD && (
+                    <div className="flex items-center">
+                      <input
+                        type="checkbox"
+                        id="scheduleActivation"
+                        className="form-checkbox"
+                        checked={onboardingOptions.scheduleActivation}
+                        onChange={(e) => handleOptionChange('scheduleActivation', e.target.checked)}
+                      />
+                      <label htmlFor="scheduleActivation" className="ml-2 text-sm text-gray-700">
+                        Activate on start date
+                      </label>
+                    </div>
+                  )}
+
+                  {onboardingOptions.scheduleActivation && !newUserInfo.createInOnPremAD && (
+                    <div className="ml-6 space-y-3">
+                      <p className="text-sm text-gray-500 dark:text-gray-400">
+                        The account is set up disabled now, with its licenses and groups in place. At the start time it is
+                        enabled, the temporary password is set and the welcome email is sent.
+                      </p>
+                      <div className="grid grid-cols-1 gap-3 sm:grid-cols-3">
+                        <div>
+                          <label className="form-label">Start Date</label>
+                          <input
+                            type="date"
+                            className="form-input"
+                            value={onboardingOptions.activationDate}
+                            min={new Date().toISOString().split('T')[0]}
+                            onChange={(e) => handleOptionChange('activationDate', e.target.value)}
+                          />
+                        </div>
+                        <div>
+                          <label className="form-label">Start Time</label>
+                          <input
+                            type="time"
+                            className="form-input"
+                            value={onboardingOptions.activationTime}
+                            onChange={(e) => handleOptionChange('activationTime', e.target.value)}
+                          />
+                        </div>
+                        <div>
+                          <label className="form-label">Hire's Timezone</label>
+                          <select
+                            className="form-input"
+                            value={onboardingOptions.activationTimezone}
+                            onChange={(e) => handleOptionChange('activationTimezone', e.target.value)}
+                          >
+                            {!commonTimezones.some(tz => tz.value === onboardingOptions.activationTimezone) && (
+                              <option value={onboardingOptions.activationTimezone}>{onboardingOptions.activationTimezone}</option>
+                            )}
+                            {commonTimezones.map(tz => (
+                              <option key={tz.value} value={tz.value}>{tz.label}</option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+                      <div className="flex items-center">
+                        <input
+                          type="checkbox"
+                          id="notifyManagerOnActivation"
+                          className="form-checkbox"
+                          checked={onboardingOptions.notifyManagerOnActivation}
+                          onChange={(e) => handleOptionChange('notifyManagerOnActivation', e.target.checked)}
+                        />
+                        <label htmlFor="notifyManagerOnActivation" className="ml-2 text-sm text-gray-700">
+                          Notify manager when the account is activated
+                        </label>
+                      </div>
+                    </div>
+                  )}
                   
                   <div className="flex items-center">
                     <input
@@ -1990,7 +2256,17 @@ const OnboardingWizard = () => {
               </div>
             </div>
             
-            <div className="mt-6 flex justify-end">
+            {executionPlan && <PlanPreview plan={executionPlan} />}
+            
+            <div className="mt-6 flex justify-end gap-3">
+              <button
+                onClick={previewOnboarding}
+                disabled={isPlanning || isExecuting}
+                className="btn btn-outline"
+                title="Resolve every change without making any"
+              >
+                {isPlanning ? 'Building preview...' : executionPlan ? 'Refresh Preview' : 'Preview Changes'}
+              </button>
               <button
                 onClick={executeOnboarding}
                 disabled={isExecuting}
@@ -2267,6 +2543,16 @@ const OnboardingWizard = () => {
         </p>
       </div>
 
+      {onboardingMode === 'bulk' ? (
+        <BulkOnboarding
+          availableLicenses={availableLicenses}
+          availableGroups={availableGroups}
+          adConfigStatus={adConfigStatus}
+          executedBy={msalAuth?.user?.name || convexAuth?.user?.name || 'System'}
+          onExit={() => setOnboardingMode('create')}
+        />
+      ) : (
+      <>
       {/* Progress Steps */}
       <div className="mb-8">
         <nav aria-label="Progress">
@@ -2343,6 +2629,14 @@ const OnboardingWizard = () => {
           </button>
         </div>
       )}
+
+      {currentStep === 0 && isConvexAuth && (
+        <div className="mt-8">
+          <ScheduledActivations />
+        </div>
+      )}
+      </>
+      )}
     </div>
   );
 };
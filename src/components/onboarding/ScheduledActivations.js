@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useConvex } from 'convex/react';
+import { api } from '../../convex/_generated/api';
+import { getSessionId } from '../../services/convexService';
+import toast from 'react-hot-toast';
+import {
+  ClockIcon,
+  ArrowPathIcon,
+  XMarkIcon,
+} from '@heroicons/react/24/outline';
+
+const STATUS_STYLES = {
+  scheduled: 'bg-primary-100 text-primary-800 dark:bg-primary-900/30 dark:text-primary-300',
+  'in-progress': 'bg-warning-100 text-warning-800 dark:bg-warning-900/30 dark:text-warning-300',
+  completed: 'bg-success-100 text-success-800 dark:bg-success-900/30 dark:text-success-300',
+  failed: 'bg-danger-100 text-danger-800 dark:bg-danger-900/30 dark:text-danger-300',
+};
+
+const formatCountdown = (activationDate, now) => {
+  const diff = activationDate - now;
+  if (diff <= 0) {
+    return 'Activating shortly';
+  }
+
+  const days = Math.floor(diff / (1000 * 60 * 60 * 24));
+  const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+  const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
+  if (days > 0) {
+    return `${days}d ${hours}h ${minutes}m`;
+  }
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+/**
+ * Hires staged with a disabled account, waiting for the cron to activate them on their start date
+ */
+const ScheduledActivations = () => {
+  const convex = useConvex();
+  const [activations, setActivations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [now, setNow] = useState(Date.now());
+
+  const loadActivations = useCallback(async () => {
+    const sessionId = getSessionId();
+    if (!sessionId) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      const records = await convex.query(api.onboarding.listScheduled, { sessionId });
+      setActivations(records);
+    } catch (error) {
+      console.error('Failed to load scheduled activations:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [convex]);
+
+  useEffect(() => {
+    loadActivations();
+    // Refresh the countdowns every minute, and pick up activations the cron has run
+    const interval = setInterval(() => {
+      setNow(Date.now());
+      loadActivations();
+    }, 60000);
+    return () => clearInterval(interval);
+  }, [loadActivations]);
+
+  const cancelActivation = async (activation) => {
+    if (!window.confirm(`Cancel the activation of ${activation.displayName}?\n\nThe account ${activation.userPrincipalName} will stay disabled.`)) {
+      return;
+    }
+
+    try {
+      await convex.mutation(api.onboarding.cancelScheduled, {
+        sessionId: getSessionId(),
+        scheduledOnboardingId: activation._id,
+      });
+      toast.success('Activation cancelled');
+      loadActivations();
+    } catch (error) {
+      toast.error(error.message || 'Failed to cancel activation');
+    }
+  };
+
+  const retryActivation = async (activation) => {
+    try {
+      await convex.mutation(api.onboarding.retryScheduled, {
+        sessionId: getSessionId(),
+        scheduledOnboardingId: activation._id,
+      });
+      toast.success('Activation will run again within a minute');
+      loadActivations();
+    } catch (error) {
+      toast.error(error.message || 'Failed to retry activation');
+    }
+  };
+
+  if (loading || activations.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h4 className="text-md font-medium text-gray-900 dark:text-gray-100 flex items-center">
+          <ClockIcon className="h-5 w-5 mr-2 text-primary-600" />
+          Start-Date Activations
+        </h4>
+        <button type="button" onClick={loadActivations} className="btn btn-secondary">
+          <ArrowPathIcon className="h-4 w-4 mr-1" />
+          Refresh
+        </button>
+      </div>
+      <div className="card-body">
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 dark:text-gray-400">
+              <th className="py-2 pr-4 font-medium">New Employee</th>
+              <th className="py-2 pr-4 font-medium">Start</th>
+              <th className="py-2 pr-4 font-medium">Status</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {activations.map(activation => (
+              <tr key={activation._id}>
+                <td className="py-2 pr-4">
+                  <div className="text-gray-900 dark:text-gray-100">{activation.displayName}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">{activation.userPrincipalName}</div>
+                </td>
+                <td className="py-2 pr-4 text-gray-700 dark:text-gray-300">
+                  <div>{activation.startDate} {activation.startTime} ({activation.timezone})</div>
+                  {activation.status === 'scheduled' && (
+                    <div className="text-xs text-primary-600 dark:text-primary-400">
+                      {formatCountdown(activation.activationDate, now)}
+                    </div>
+                  )}
+                </td>
+                <td className="py-2 pr-4">
+                  <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[activation.status]}`}>
+                    {activation.status}
+                  </span>
+                  {activation.error && (
+                    <div className="text-xs text-danger-600 dark:text-danger-400 mt-1">{activation.error}</div>
+                  )}
+                </td>
+                <td className="py-2 text-right whitespace-nowrap">
+                  {activation.status === 'scheduled' && (
+                    <button
+                      type="button"
+                      onClick={() => cancelActivation(activation)}
+                      className="text-danger-600 hover:text-danger-800"
+                      title="Cancel activation"
+                    >
+                      <XMarkIcon className="h-5 w-5" />
+                    </button>
+                  )}
+                  {activation.status === 'failed' && (
+                    <button
+                      type="button"
+                      onClick={() => retryActivation(activation)}
+                      className="text-primary-600 hover:text-primary-800"
+                      title="Retry activation"
+                    >
+                      <ArrowPathIcon className="h-5 w-5" />
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduledActivations;
@@ -0,0 +1,212 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useConvex } from 'convex/react';
+import { api } from '../../convex/_generated/api';
+import { getSessionId } from '../../services/convexService';
+import toast from 'react-hot-toast';
+import {
+  LockClosedIcon,
+  ArrowPathIcon,
+  ExclamationTriangleIcon,
+  CheckCircleIcon,
+} from '@heroicons/react/24/outline';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXPIRY_SOURCES = {
+  certificate: 'read from the certificate',
+  entra: 'read from the app registration',
+  manual: 'entered by hand',
+};
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+
+/**
+ * How close the credential is to expiring, against the server's warning thresholds
+ */
+const expiryState = (status) => {
+  if (!status.expiresAt) {
+    return { tone: 'unknown', label: 'Expiry unknown' };
+  }
+  const daysLeft = Math.ceil((status.expiresAt - Date.now()) / DAY_MS);
+  if (daysLeft <= 0) {
+    return { tone: 'expired', label: `Expired on ${formatDate(status.expiresAt)}` };
+  }
+  const label = `Expires on ${formatDate(status.expiresAt)} (${daysLeft} day${daysLeft === 1 ? '' : 's'})`;
+  return { tone: daysLeft <= Math.max(...status.warningDays) ? 'warning' : 'ok', label };
+};
+
+const EXPIRY_BADGES = {
+  ok: 'bg-green-100 text-green-800',
+  warning: 'bg-amber-100 text-amber-800',
+  expired: 'bg-red-100 text-red-800',
+  unknown: 'bg-gray-100 text-gray-700',
+};
+
+/**
+ * Credentials tab of Settings: the app credential scheduled runs authenticate with,
+ * its expiry, and the vault key it is sealed with
+ *
+ * @param {Object} props
+ * @param {Function} props.hasPermission - Permission check of the active auth context
+ */
+const AppCredentials = ({ hasPermission }) => {
+  const convex = useConvex();
+  const canManage = hasPermission('credentialManagement');
+
+  const [status, setStatus] = useState(null);
+  const [expiresOn, setExpiresOn] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const result = await convex.query(api.credentials.getStatus, { sessionId: getSessionId() });
+      setStatus(result);
+      setExpiresOn(result.expiresAt ? new Date(result.expiresAt).toISOString().slice(0, 10) : '');
+    } catch (error) {
+      console.error('Error loading credential status:', error);
+      toast.error('Failed to load credential status');
+    }
+  }, [convex]);
+
+  useEffect(() => {
+    if (canManage) {
+      loadStatus();
+    }
+  }, [canManage, loadStatus]);
+
+  const handleRefreshFromEntra = async () => {
+    setIsBusy(true);
+    try {
+      const { expiresAt } = await convex.action(api.credentialActions.refreshExpiry, { sessionId: getSessionId() });
+      toast.success(`Expiry read from the app registration: ${formatDate(expiresAt)}`);
+      await loadStatus();
+    } catch (error) {
+      console.error('Error reading credential expiry:', error);
+      toast.error(error.message || 'Failed to read the expiry from Entra');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSaveExpiry = async () => {
+    setIsBusy(true);
+    try {
+      await convex.mutation(api.credentials.setExpiry, {
+        sessionId: getSessionId(),
+        expiresAt: expiresOn ? new Date(`${expiresOn}T00:00:00`).getTime() : null,
+      });
+      toast.success(expiresOn ? 'Expiry date saved' : 'Expiry date cleared');
+      await loadStatus();
+    } catch (error) {
+      console.error('Error saving credential expiry:', error);
+      toast.error(error.message || 'Failed to save the expiry date');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const expiry = status?.configured ? expiryState(status) : null;
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex items-center gap-3">
+          <LockClosedIcon className="h-6 w-6 text-blue-600" />
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">App Credentials</h3>
+            <p className="text-sm text-gray-600">The client secret or certificate scheduled tasks use, kept encrypted on the server</p>
+          </div>
+        </div>
+      </div>
+      <div className="card-body space-y-6">
+        {!canManage ? (
+          <p className="text-sm text-gray-500">You need the Administrator role to manage app credentials.</p>
+        ) : !status ? (
+          <p className="text-sm text-gray-500">Loading…</p>
+        ) : !status.configured ? (
+          <p className="text-sm text-gray-500">
+            No app credentials are saved yet. Add a client secret or certificate under Azure AD → Service Credentials.
+          </p>
+        ) : (
+          <>
+            {(expiry.tone === 'warning' || expiry.tone === 'expired') && (
+              <div className={`flex items-start gap-3 p-4 rounded-lg border ${expiry.tone === 'expired' ? 'bg-red-50 border-red-200' : 'bg-amber-50 border-amber-200'}`}>
+                <ExclamationTriangleIcon className={`h-5 w-5 mt-0.5 ${expiry.tone === 'expired' ? 'text-red-600' : 'text-amber-600'}`} />
+                <p className={`text-sm ${expiry.tone === 'expired' ? 'text-red-800' : 'text-amber-800'}`}>
+                  {expiry.tone === 'expired'
+                    ? 'Scheduled offboardings, onboardings and transfers cannot authenticate until a new secret or certificate is saved.'
+                    : 'Create a new secret or certificate on the app registration and save it under Azure AD → Service Credentials before this one lapses.'}
+                </p>
+              </div>
+            )}
+
+            <dl className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+              <div>
+                <dt className="text-gray-500">Client ID</dt>
+                <dd className="font-mono text-gray-900 break-all">{status.clientId}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Authenticates with</dt>
+                <dd className="text-gray-900">{status.credentialType === 'certificate' ? 'Certificate' : 'Client secret'}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Saved</dt>
+                <dd className="text-gray-900">
+                  {formatDate(status.configuredAt)}{status.configuredBy ? ` by ${status.configuredBy}` : ''}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Last used</dt>
+                <dd className="text-gray-900">{status.lastUsed ? formatDate(status.lastUsed) : 'Not yet'}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Expiry</dt>
+                <dd className="flex items-center gap-2">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${EXPIRY_BADGES[expiry.tone]}`}>{expiry.label}</span>
+                  {status.expirySource && <span className="text-xs text-gray-500">{EXPIRY_SOURCES[status.expirySource]}</span>}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Encryption key</dt>
+                <dd className="flex items-center gap-1 text-gray-900">
+                  <CheckCircleIcon className="h-4 w-4 text-green-600" />
+                  <span className="font-mono">{status.keyId}</span>
+                </dd>
+              </div>
+            </dl>
+
+            <div className="pt-4 border-t border-gray-200 space-y-3">
+              <p className="text-sm text-gray-600">
+                Warnings go out {status.warningDays.filter(days => days > 0).join(', ')} day(s) before expiry and when it lapses,
+                to the audit log and to webhooks listening for credentials.expiring.
+              </p>
+              {status.credentialType !== 'certificate' && (
+                <div className="flex flex-wrap items-end gap-3">
+                  <div>
+                    <label htmlFor="credentialExpiresOn" className="form-label">Secret expires on</label>
+                    <input
+                      type="date"
+                      id="credentialExpiresOn"
+                      className="form-input"
+                      value={expiresOn}
+                      onChange={(e) => setExpiresOn(e.target.value)}
+                    />
+                  </div>
+                  <button onClick={handleSaveExpiry} disabled={isBusy} className="btn-secondary">
+                    Save date
+                  </button>
+                </div>
+              )}
+              <button onClick={handleRefreshFromEntra} disabled={isBusy} className="btn-secondary flex items-center gap-2">
+                <ArrowPathIcon className={`h-4 w-4 ${isBusy ? 'animate-spin' : ''}`} />
+                Read expiry from Entra
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AppCredentials;
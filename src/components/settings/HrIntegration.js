@@ -0,0 +1,564 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useConvex } from 'convex/react';
+import { api } from '../../convex/_generated/api';
+import { getSessionId } from '../../services/convexService';
+import toast from 'react-hot-toast';
+import {
+  InboxArrowDownIcon,
+  TrashIcon,
+  PlusIcon,
+  PencilIcon,
+  ClipboardDocumentIcon,
+  NoSymbolIcon,
+} from '@heroicons/react/24/outline';
+
+const EVENT_TYPES = [
+  { id: 'hire', name: 'Hire' },
+  { id: 'transfer', name: 'Transfer' },
+  { id: 'termination', name: 'Termination' },
+];
+
+const OFFBOARDING_TEMPLATES = ['standard', 'executive', 'contractor', 'security'];
+const TRANSFER_TYPES = ['department', 'role', 'promotion', 'location'];
+
+const OFFBOARDING_ACTIONS = [
+  { id: 'disableAccount', name: 'Disable account' },
+  { id: 'resetPassword', name: 'Reset password' },
+  { id: 'revokeAccess', name: 'Revoke sessions' },
+  { id: 'revokeLicenses', name: 'Remove licenses' },
+  { id: 'removeFromGroups', name: 'Remove from groups' },
+  { id: 'convertToSharedMailbox', name: 'Convert mailbox to shared' },
+  { id: 'backupData', name: 'Back up data' },
+  { id: 'removeDevices', name: 'Remove devices' },
+];
+
+const EMPTY_TEMPLATE = {
+  name: '',
+  eventType: 'termination',
+  department: '',
+  employeeType: '',
+  effectiveTime: '17:00',
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  autoApply: true,
+  notifyManager: true,
+  notifyUser: false,
+  offboardingTemplate: 'standard',
+  offboardingActions: { disableAccount: true, revokeAccess: true, removeFromGroups: true, backupData: true, removeDevices: true },
+  transferType: 'department',
+  addGroups: [],
+  removeGroups: [],
+  sendWelcomeEmail: false,
+  requirePasswordChange: true,
+};
+
+// HTTP actions are served from the deployment's .site host
+const endpointUrl = () =>
+  `${(process.env.REACT_APP_CONVEX_URL || '').replace('.convex.cloud', '.convex.site')}/hr/events`;
+
+const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+/**
+ * Only the fields that apply to the template's event type are sent
+ */
+const templateArgs = (form) => {
+  const common = {
+    name: form.name,
+    eventType: form.eventType,
+    department: form.department,
+    employeeType: form.employeeType,
+    effectiveTime: form.effectiveTime,
+    timezone: form.timezone,
+    autoApply: form.autoApply,
+    notifyManager: form.notifyManager,
+    notifyUser: form.notifyUser,
+  };
+
+  if (form.eventType === 'termination') {
+    return { ...common, offboardingTemplate: form.offboardingTemplate, offboardingActions: form.offboardingActions };
+  }
+  if (form.eventType === 'transfer') {
+    return { ...common, transferType: form.transferType, addGroups: form.addGroups, removeGroups: form.removeGroups };
+  }
+  return { ...common, sendWelcomeEmail: form.sendWelcomeEmail, requirePasswordChange: form.requirePasswordChange };
+};
+
+/**
+ * HR Integration tab of Settings: API keys the HR system authenticates with, and
+ * the templates that turn its events into scheduled offboardings, transfers and activations
+ *
+ * @param {Object} props
+ * @param {Function} props.hasPermission - Permission check of the active auth context
+ */
+const HrIntegration = ({ hasPermission }) => {
+  const convex = useConvex();
+  const canManage = hasPermission('hrIntegration');
+
+  const [apiKeys, setApiKeys] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [keyName, setKeyName] = useState('');
+  const [revealedKey, setRevealedKey] = useState(null);
+  const [form, setForm] = useState(EMPTY_TEMPLATE);
+  const [editingId, setEditingId] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadIntegration = useCallback(async () => {
+    try {
+      const sessionId = getSessionId();
+      const [keys, savedTemplates] = await Promise.all([
+        convex.query(api.hrIntegration.listApiKeys, { sessionId }),
+        convex.query(api.hrIntegration.listTemplates, { sessionId }),
+      ]);
+      setApiKeys(keys);
+      setTemplates(savedTemplates);
+    } catch (error) {
+      console.error('Error loading HR integration:', error);
+      toast.error('Failed to load HR integration');
+    }
+  }, [convex]);
+
+  useEffect(() => {
+    if (canManage) {
+      loadIntegration();
+    }
+  }, [canManage, loadIntegration]);
+
+  const handleCreateKey = async () => {
+    if (!keyName.trim()) {
+      toast.error('Enter a name for the key');
+      return;
+    }
+
+    try {
+      const { key } = await convex.action(api.hrEventActions.createApiKey, { sessionId: getSessionId(), name: keyName });
+      setRevealedKey({ name: keyName.trim(), key });
+      setKeyName('');
+      toast.success('API key created');
+      await loadIntegration();
+    } catch (error) {
+      console.error('Error creating HR API key:', error);
+      toast.error(error.message || 'Failed to create API key');
+    }
+  };
+
+  const handleRevokeKey = async (apiKey) => {
+    if (!window.confirm(`Revoke ${apiKey.name}? The HR system will get 401 responses until it is given a new key.`)) {
+      return;
+    }
+
+    try {
+      await convex.mutation(api.hrIntegration.revokeApiKey, { sessionId: getSessionId(), keyId: apiKey._id });
+      toast.success(`${apiKey.name} revoked`);
+      await loadIntegration();
+    } catch (error) {
+      console.error('Error revoking HR API key:', error);
+      toast.error(error.message || 'Failed to revoke API key');
+    }
+  };
+
+  const copyText = async (text, label) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success(`${label} copied`);
+    } catch (error) {
+      toast.error('Copy failed; select the text and copy it by hand');
+    }
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_TEMPLATE);
+    setEditingId(null);
+  };
+
+  const handleEdit = (template) => {
+    setEditingId(template._id);
+    setForm({
+      ...EMPTY_TEMPLATE,
+      ...template,
+      department: template.department || '',
+      employeeType: template.employeeType || '',
+    });
+  };
+
+  const handleSaveTemplate = async () => {
+    setIsSaving(true);
+    try {
+      await convex.mutation(api.hrIntegration.saveTemplate, {
+        sessionId: getSessionId(),
+        templateId: editingId || undefined,
+        ...templateArgs(form),
+      });
+      toast.success(`${form.name} saved`);
+      resetForm();
+      await loadIntegration();
+    } catch (error) {
+      console.error('Error saving HR event template:', error);
+      toast.error(error.message || 'Failed to save template');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeleteTemplate = async (template) => {
+    if (!window.confirm(`Delete ${template.name}? Events it would have matched go to the review queue.`)) {
+      return;
+    }
+
+    try {
+      await convex.mutation(api.hrIntegration.deleteTemplate, { sessionId: getSessionId(), templateId: template._id });
+      toast.success('Template deleted');
+      if (editingId === template._id) {
+        resetForm();
+      }
+      await loadIntegration();
+    } catch (error) {
+      console.error('Error deleting HR event template:', error);
+      toast.error(error.message || 'Failed to delete template');
+    }
+  };
+
+  const toggleAction = (actionId) => {
+    setForm(prev => ({
+      ...prev,
+      offboardingActions: { ...prev.offboardingActions, [actionId]: !prev.offboardingActions[actionId] },
+    }));
+  };
+
+  const describeConditions = (template) => {
+    const conditions = [template.department, template.employeeType].filter(Boolean);
+    return conditions.length > 0 ? conditions.join(' · ') : 'Any employee';
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex items-center gap-3">
+          <InboxArrowDownIcon className="h-6 w-6 text-blue-600" />
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">HR Integration</h3>
+            <p className="text-sm text-gray-600">Schedule joiners, movers and leavers from events sent by the HR system</p>
+          </div>
+        </div>
+      </div>
+      <div className="card-body space-y-6">
+        {!canManage ? (
+          <p className="text-sm text-gray-500">You need the Administrator role to manage the HR integration.</p>
+        ) : (
+          <>
+            {/* Endpoint */}
+            <div>
+              <p className="font-medium text-gray-900">Endpoint</p>
+              <p className="text-sm text-gray-600 mb-2">
+                The HR system POSTs events here with an API key in the Authorization header (Bearer) or X-Api-Key.
+              </p>
+              <div className="flex items-center gap-2">
+                <code className="flex-1 text-xs bg-gray-50 border border-gray-200 rounded px-2 py-1 break-all">
+                  {endpointUrl()}
+                </code>
+                <button onClick={() => copyText(endpointUrl(), 'Endpoint')} className="btn-secondary text-sm">
+                  <ClipboardDocumentIcon className="h-4 w-4 mr-1" />
+                  Copy
+                </button>
+              </div>
+            </div>
+
+            {/* Key shown once after creating it */}
+            {revealedKey && (
+              <div className="p-4 bg-amber-50 rounded-lg border border-amber-200">
+                <p className="text-sm font-medium text-amber-900">API key {revealedKey.name}</p>
+                <p className="text-sm text-amber-800 mb-2">
+                  Copy it now and store it in the HR system; it cannot be shown again.
+                </p>
+                <div className="flex items-center gap-2">
+                  <code className="flex-1 text-xs bg-white border border-amber-200 rounded px-2 py-1 break-all">
+                    {revealedKey.key}
+                  </code>
+                  <button onClick={() => copyText(revealedKey.key, 'Key')} className="btn-secondary text-sm">
+                    <ClipboardDocumentIcon className="h-4 w-4 mr-1" />
+                    Copy
+                  </button>
+                  <button onClick={() => setRevealedKey(null)} className="btn-secondary text-sm">
+                    Done
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* API keys */}
+            <div className="space-y-3">
+              <p className="font-medium text-gray-900">API keys</p>
+              {apiKeys.length === 0 ? (
+                <p className="text-sm text-gray-500">No keys yet.</p>
+              ) : (
+                <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                  {apiKeys.map(apiKey => (
+                    <div key={apiKey._id} className="p-3 flex items-center justify-between gap-3">
+                      <div>
+                        <div className="flex items-center gap-2">
+                          <span className="text-sm font-medium text-gray-900">{apiKey.name}</span>
+                          <code className="text-xs text-gray-500">{apiKey.keyPrefix}…</code>
+                          {apiKey.revokedAt && (
+                            <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">Revoked</span>
+                          )}
+                        </div>
+                        <p className="text-xs text-gray-500">
+                          Created {formatDateTime(apiKey.createdAt)}
+                          {' · '}
+                          {apiKey.lastUsedAt ? `last used ${formatDateTime(apiKey.lastUsedAt)}` : 'never used'}
+                        </p>
+                      </div>
+                      {!apiKey.revokedAt && (
+                        <button
+                          onClick={() => handleRevokeKey(apiKey)}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                          title="Revoke key"
+                        >
+                          <NoSymbolIcon className="h-4 w-4" />
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+              <div className="flex items-end gap-2">
+                <div className="flex-1">
+                  <label className="form-label">New key name</label>
+                  <input
+                    type="text"
+                    value={keyName}
+                    onChange={(e) => setKeyName(e.target.value)}
+                    placeholder="e.g. Workday production"
+                    className="form-input"
+                  />
+                </div>
+                <button onClick={handleCreateKey} className="btn-primary">
+                  <PlusIcon className="h-4 w-4 mr-1" />
+                  Create key
+                </button>
+              </div>
+            </div>
+
+            {/* Templates */}
+            <div className="space-y-3">
+              <div>
+                <p className="font-medium text-gray-900">Templates</p>
+                <p className="text-sm text-gray-600">
+                  Each event uses the most specific template for its type, department and employee type. Events without one wait in the review queue.
+                </p>
+              </div>
+              {templates.length === 0 ? (
+                <p className="text-sm text-gray-500">No templates yet.</p>
+              ) : (
+                <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                  {templates.map(template => (
+                    <div key={template._id} className="p-3 flex items-center justify-between gap-3">
+                      <div>
+                        <div className="flex items-center gap-2">
+                          <span className="text-sm font-medium text-gray-900">{template.name}</span>
+                          <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                            {template.eventType}
+                          </span>
+                          {!template.autoApply && (
+                            <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">Review first</span>
+                          )}
+                        </div>
+                        <p className="text-xs text-gray-500">
+                          {describeConditions(template)} · {template.effectiveTime} {template.timezone}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-1">
+                        <button
+                          onClick={() => handleEdit(template)}
+                          className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+                          title="Edit template"
+                        >
+                          <PencilIcon className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDeleteTemplate(template)}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                          title="Delete template"
+                        >
+                          <TrashIcon className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {/* Template form */}
+              <div className="p-4 border border-gray-200 rounded-lg space-y-4">
+                <p className="text-sm font-medium text-gray-900">{editingId ? `Edit ${form.name}` : 'New template'}</p>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                  <div>
+                    <label className="form-label">Name</label>
+                    <input
+                      type="text"
+                      value={form.name}
+                      onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                      className="form-input"
+                    />
+                  </div>
+                  <div>
+                    <label className="form-label">Event</label>
+                    <select
+                      value={form.eventType}
+                      onChange={(e) => setForm(prev => ({ ...prev, eventType: e.target.value }))}
+                      className="form-input"
+                    >
+                      {EVENT_TYPES.map(type => <option key={type.id} value={type.id}>{type.name}</option>)}
+                    </select>
+                  </div>
+                  <div className="flex items-end">
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={form.autoApply}
+                        onChange={(e) => setForm(prev => ({ ...prev, autoApply: e.target.checked }))}
+                      />
+                      Schedule without review
+                    </label>
+                  </div>
+                  <div>
+                    <label className="form-label">Department (blank for any)</label>
+                    <input
+                      type="text"
+                      value={form.department}
+                      onChange={(e) => setForm(prev => ({ ...prev, department: e.target.value }))}
+                      className="form-input"
+                    />
+                  </div>
+                  <div>
+                    <label className="form-label">Employee type (blank for any)</label>
+                    <input
+                      type="text"
+                      value={form.employeeType}
+                      onChange={(e) => setForm(prev => ({ ...prev, employeeType: e.target.value }))}
+                      placeholder="e.g. Contractor"
+                      className="form-input"
+                    />
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <label className="form-label">Default time</label>
+                      <input
+                        type="time"
+                        value={form.effectiveTime}
+                        onChange={(e) => setForm(prev => ({ ...prev, effectiveTime: e.target.value }))}
+                        className="form-input"
+                      />
+                    </div>
+                    <div>
+                      <label className="form-label">Timezone</label>
+                      <input
+                        type="text"
+                        value={form.timezone}
+                        onChange={(e) => setForm(prev => ({ ...prev, timezone: e.target.value }))}
+                        className="form-input"
+                      />
+                    </div>
+                  </div>
+                </div>
+
+                {form.eventType === 'termination' && (
+                  <div className="space-y-2">
+                    <div className="w-full sm:w-1/3">
+                      <label className="form-label">Offboarding template</label>
+                      <select
+                        value={form.offboardingTemplate}
+                        onChange={(e) => setForm(prev => ({ ...prev, offboardingTemplate: e.target.value }))}
+                        className="form-input"
+                      >
+                        {OFFBOARDING_TEMPLATES.map(id => <option key={id} value={id}>{id}</option>)}
+                      </select>
+                    </div>
+                    <div className="flex flex-wrap gap-x-4 gap-y-1">
+                      {OFFBOARDING_ACTIONS.map(action => (
+                        <label key={action.id} className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={!!form.offboardingActions[action.id]}
+                            onChange={() => toggleAction(action.id)}
+                          />
+                          {action.name}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {form.eventType === 'transfer' && (
+                  <div className="w-full sm:w-1/3">
+                    <label className="form-label">Transfer type</label>
+                    <select
+                      value={form.transferType}
+                      onChange={(e) => setForm(prev => ({ ...prev, transferType: e.target.value }))}
+                      className="form-input"
+                    >
+                      {TRANSFER_TYPES.map(id => <option key={id} value={id}>{id}</option>)}
+                    </select>
+                  </div>
+                )}
+
+                {form.eventType === 'hire' && (
+                  <div className="flex flex-wrap gap-x-4 gap-y-1">
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={form.requirePasswordChange}
+                        onChange={(e) => setForm(prev => ({ ...prev, requirePasswordChange: e.target.checked }))}
+                      />
+                      Require password change at first sign-in
+                    </label>
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={form.sendWelcomeEmail}
+                        onChange={(e) => setForm(prev => ({ ...prev, sendWelcomeEmail: e.target.checked }))}
+                      />
+                      Send welcome email
+                    </label>
+                  </div>
+                )}
+
+                <div className="flex flex-wrap gap-x-4 gap-y-1">
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.notifyManager}
+                      onChange={(e) => setForm(prev => ({ ...prev, notifyManager: e.target.checked }))}
+                    />
+                    Notify manager
+                  </label>
+                  {form.eventType !== 'hire' && (
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={form.notifyUser}
+                        onChange={(e) => setForm(prev => ({ ...prev, notifyUser: e.target.checked }))}
+                      />
+                      Notify employee
+                    </label>
+                  )}
+                </div>
+
+                <div className="flex gap-2">
+                  <button onClick={handleSaveTemplate} disabled={isSaving} className="btn-primary disabled:opacity-50">
+                    {isSaving ? 'Saving...' : editingId ? 'Save template' : 'Add template'}
+                  </button>
+                  {editingId && (
+                    <button onClick={resetForm} className="btn-secondary">
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HrIntegration;
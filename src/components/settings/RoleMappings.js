@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useConvex } from 'convex/react';
+import { api } from '../../convex/_generated/api';
+import { getSessionId } from '../../services/convexService';
+import GroupSelector from '../groups/GroupSelector';
+import toast from 'react-hot-toast';
+import {
+  UserGroupIcon,
+  TrashIcon,
+  PlusIcon,
+  ArrowPathIcon,
+} from '@heroicons/react/24/outline';
+
+/**
+ * Roles tab of Settings: the operator's own roles, the role catalogue,
+ * and the directory groups mapped to each role
+ *
+ * @param {Object} props
+ * @param {Array} props.roles - Roles of the signed-in operator
+ * @param {Function} props.hasPermission - Permission check of the active auth context
+ * @param {Function} props.onRefreshAccess - Re-resolve the operator's roles, when the auth context supports it
+ */
+const RoleMappings = ({ roles = [], hasPermission, onRefreshAccess }) => {
+  const convex = useConvex();
+  const canManage = hasPermission('roleManagement');
+
+  const [catalogue, setCatalogue] = useState({ roles: [], permissions: [] });
+  const [mappings, setMappings] = useState([]);
+  const [selectedGroups, setSelectedGroups] = useState([]);
+  const [selectedRole, setSelectedRole] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+
+  const loadMappings = useCallback(async () => {
+    try {
+      setMappings(await convex.query(api.rbac.listRoleMappings, { sessionId: getSessionId() }));
+    } catch (error) {
+      console.error('Error loading role mappings:', error);
+      toast.error('Failed to load role mappings');
+    }
+  }, [convex]);
+
+  useEffect(() => {
+    convex.query(api.rbac.listRoles, {}).then(setCatalogue).catch(error => {
+      console.error('Error loading roles:', error);
+    });
+    if (canManage) {
+      loadMappings();
+    }
+  }, [convex, canManage, loadMappings]);
+
+  const roleLabel = (roleId) => catalogue.roles.find(role => role.id === roleId)?.label || roleId;
+
+  const handleAddMapping = async () => {
+    const group = selectedGroups[0];
+    if (!group || !selectedRole) {
+      toast.error('Select a group and a role');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await convex.mutation(api.rbac.addRoleMapping, {
+        sessionId: getSessionId(),
+        groupId: group.id,
+        groupName: group.displayName,
+        role: selectedRole,
+      });
+      toast.success(`${group.displayName} mapped to ${roleLabel(selectedRole)}`);
+      setSelectedGroups([]);
+      setSelectedRole('');
+      await loadMappings();
+    } catch (error) {
+      console.error('Error adding role mapping:', error);
+      toast.error(error.message || 'Failed to add role mapping');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemoveMapping = async (mapping) => {
+    if (!window.confirm(`Remove ${roleLabel(mapping.role)} from members of ${mapping.groupName}?`)) {
+      return;
+    }
+
+    try {
+      await convex.mutation(api.rbac.removeRoleMapping, { sessionId: getSessionId(), mappingId: mapping._id });
+      toast.success('Role mapping removed');
+      await loadMappings();
+    } catch (error) {
+      console.error('Error removing role mapping:', error);
+      toast.error(error.message || 'Failed to remove role mapping');
+    }
+  };
+
+  const handleRefreshAccess = async () => {
+    setIsRefreshing(true);
+    try {
+      await onRefreshAccess();
+      toast.success('Roles refreshed from the directory');
+    } catch (error) {
+      console.error('Error refreshing roles:', error);
+      toast.error('Failed to refresh roles');
+    } finally {
+      setIsRefreshing(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex items-center gap-3">
+          <UserGroupIcon className="h-6 w-6 text-blue-600" />
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Roles</h3>
+            <p className="text-sm text-gray-600">Control what each operator can do in the portal</p>
+          </div>
+        </div>
+      </div>
+      <div className="card-body space-y-6">
+        {/* Current roles */}
+        <div className="p-4 bg-blue-50 rounded-lg border border-blue-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-blue-900 mb-2">Your Roles</p>
+              {roles.length > 0 ? (
+                <div className="flex flex-wrap gap-2">
+                  {roles.map(role => (
+                    <span key={role} className="px-2 py-0.5 rounded text-xs font-medium bg-blue-100 text-blue-800">
+                      {roleLabel(role)}
+                    </span>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-blue-700">No role assigned. Ask an administrator to map one of your groups to a role.</p>
+              )}
+            </div>
+            {onRefreshAccess && (
+              <button onClick={handleRefreshAccess} disabled={isRefreshing} className="btn-secondary text-sm">
+                <ArrowPathIcon className={`h-4 w-4 mr-1 ${isRefreshing ? 'animate-spin' : ''}`} />
+                Refresh
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Role catalogue */}
+        <div>
+          <p className="font-medium text-gray-900 mb-2">Available Roles</p>
+          <p className="text-sm text-gray-600 mb-3">
+            Roles come from groups mapped below, from app roles assigned on the portal's app registration
+            (use the role ID as the app role value), and Global Administrators always get Administrator.
+          </p>
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {catalogue.roles.map(role => (
+              <div key={role.id} className="p-3">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium text-gray-900">{role.label}</span>
+                  <code className="text-xs text-gray-500">{role.id}</code>
+                </div>
+                <p className="text-sm text-gray-600">{role.description}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Group mappings */}
+        {canManage && (
+          <div className="space-y-4">
+            <p className="font-medium text-gray-900">Group Mappings</p>
+
+            {mappings.length === 0 ? (
+              <p className="text-sm text-gray-500">No groups are mapped to roles yet.</p>
+            ) : (
+              <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                {mappings.map(mapping => (
+                  <div key={mapping._id} className="p-3 flex items-center justify-between">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">{mapping.groupName}</p>
+                      <p className="text-xs text-gray-500">{roleLabel(mapping.role)}</p>
+                    </div>
+                    <button
+                      onClick={() => handleRemoveMapping(mapping)}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                      title="Remove mapping"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="p-4 bg-gray-50 rounded-lg space-y-3">
+              <GroupSelector
+                selectedGroups={selectedGroups}
+                onGroupsChange={setSelectedGroups}
+                multiple={false}
+                label="Group"
+                placeholder="Search for a group..."
+              />
+              <div>
+                <label className="form-label">Role</label>
+                <select
+                  value={selectedRole}
+                  onChange={(e) => setSelectedRole(e.target.value)}
+                  className="form-input"
+                >
+                  <option value="">Select a role...</option>
+                  {catalogue.roles.map(role => (
+                    <option key={role.id} value={role.id}>{role.label}</option>
+                  ))}
+                </select>
+              </div>
+              <button
+                onClick={handleAddMapping}
+                disabled={isSaving || selectedGroups.length === 0 || !selectedRole}
+                className="btn-primary"
+              >
+                <PlusIcon className="h-4 w-4 mr-1" />
+                {isSaving ? 'Saving...' : 'Add Mapping'}
+              </button>
+              <p className="text-xs text-gray-500">Members pick up a new mapping the next time they sign in.</p>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RoleMappings;
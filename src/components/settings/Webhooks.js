@@ -0,0 +1,500 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useConvex } from 'convex/react';
+import { api } from '../../convex/_generated/api';
+import { getSessionId } from '../../services/convexService';
+import toast from 'react-hot-toast';
+import {
+  BoltIcon,
+  TrashIcon,
+  PlusIcon,
+  PencilIcon,
+  ArrowPathIcon,
+  PaperAirplaneIcon,
+  KeyIcon,
+  ClipboardDocumentIcon,
+  ChevronDownIcon,
+  ChevronRightIcon,
+} from '@heroicons/react/24/outline';
+
+const EMPTY_FORM = { name: '', url: '', events: [] };
+
+const DELIVERY_BADGES = {
+  pending: 'bg-blue-100 text-blue-800',
+  retrying: 'bg-amber-100 text-amber-800',
+  delivered: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+/**
+ * Webhooks tab of Settings: endpoints notified of offboarding, onboarding and
+ * transfer events, with their delivery history
+ *
+ * @param {Object} props
+ * @param {Function} props.hasPermission - Permission check of the active auth context
+ */
+const Webhooks = ({ hasPermission }) => {
+  const convex = useConvex();
+  const canManage = hasPermission('webhookManagement');
+
+  const [eventTypes, setEventTypes] = useState([]);
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [revealedSecret, setRevealedSecret] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadSubscriptions = useCallback(async () => {
+    try {
+      setSubscriptions(await convex.query(api.webhooks.listSubscriptions, { sessionId: getSessionId() }));
+    } catch (error) {
+      console.error('Error loading webhooks:', error);
+      toast.error('Failed to load webhooks');
+    }
+  }, [convex]);
+
+  const loadDeliveries = useCallback(async (subscriptionId) => {
+    try {
+      setDeliveries(await convex.query(api.webhooks.listDeliveries, { sessionId: getSessionId(), subscriptionId }));
+    } catch (error) {
+      console.error('Error loading webhook deliveries:', error);
+      toast.error('Failed to load delivery history');
+    }
+  }, [convex]);
+
+  useEffect(() => {
+    convex.query(api.webhooks.listEventTypes, {}).then(setEventTypes).catch(error => {
+      console.error('Error loading webhook events:', error);
+    });
+    if (canManage) {
+      loadSubscriptions();
+    }
+  }, [convex, canManage, loadSubscriptions]);
+
+  // Deliveries are sent and retried in the background; keep the open history current
+  useEffect(() => {
+    if (!expandedId) {
+      return;
+    }
+    setDeliveries([]);
+    loadDeliveries(expandedId);
+    const interval = setInterval(() => loadDeliveries(expandedId), 10000);
+    return () => clearInterval(interval);
+  }, [expandedId, loadDeliveries]);
+
+  const toggleEvent = (eventId) => {
+    setForm(prev => ({
+      ...prev,
+      events: prev.events.includes(eventId)
+        ? prev.events.filter(id => id !== eventId)
+        : [...prev.events, eventId],
+    }));
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim() || !form.url.trim() || form.events.length === 0) {
+      toast.error('Enter a name and URL and choose at least one event');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      if (editingId) {
+        await convex.mutation(api.webhooks.updateSubscription, {
+          sessionId: getSessionId(),
+          subscriptionId: editingId,
+          ...form,
+        });
+        toast.success(`${form.name} updated`);
+      } else {
+        const { secret } = await convex.action(api.webhookActions.createSubscription, {
+          sessionId: getSessionId(),
+          ...form,
+        });
+        setRevealedSecret({ name: form.name, secret });
+        toast.success(`${form.name} added`);
+      }
+      resetForm();
+      await loadSubscriptions();
+    } catch (error) {
+      console.error('Error saving webhook:', error);
+      toast.error(error.message || 'Failed to save webhook');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleEdit = (subscription) => {
+    setEditingId(subscription._id);
+    setForm({ name: subscription.name, url: subscription.url, events: subscription.events });
+  };
+
+  const withBusy = async (subscription, work) => {
+    setBusyId(subscription._id);
+    try {
+      await work();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleToggleEnabled = (subscription) => withBusy(subscription, async () => {
+    try {
+      await convex.mutation(api.webhooks.updateSubscription, {
+        sessionId: getSessionId(),
+        subscriptionId: subscription._id,
+        enabled: !subscription.enabled,
+      });
+      toast.success(`${subscription.name} ${subscription.enabled ? 'switched off' : 'switched on'}`);
+      await loadSubscriptions();
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      toast.error(error.message || 'Failed to update webhook');
+    }
+  });
+
+  const handleSendTest = (subscription) => withBusy(subscription, async () => {
+    try {
+      await convex.mutation(api.webhooks.sendTestEvent, { sessionId: getSessionId(), subscriptionId: subscription._id });
+      toast.success(`Test event queued for ${subscription.name}`);
+      setExpandedId(subscription._id);
+      await loadDeliveries(subscription._id);
+    } catch (error) {
+      console.error('Error sending test event:', error);
+      toast.error(error.message || 'Failed to send test event');
+    }
+  });
+
+  const handleRotateSecret = (subscription) => {
+    if (!window.confirm(`Replace the signing secret of ${subscription.name}? The endpoint must be updated with the new secret before it can verify further deliveries.`)) {
+      return;
+    }
+
+    return withBusy(subscription, async () => {
+      try {
+        const { secret } = await convex.action(api.webhookActions.rotateSecret, {
+          sessionId: getSessionId(),
+          subscriptionId: subscription._id,
+        });
+        setRevealedSecret({ name: subscription.name, secret });
+        toast.success('Signing secret replaced');
+      } catch (error) {
+        console.error('Error rotating webhook secret:', error);
+        toast.error(error.message || 'Failed to replace signing secret');
+      }
+    });
+  };
+
+  const handleDelete = (subscription) => {
+    if (!window.confirm(`Remove ${subscription.name} and its delivery history?`)) {
+      return;
+    }
+
+    return withBusy(subscription, async () => {
+      try {
+        await convex.mutation(api.webhooks.deleteSubscription, { sessionId: getSessionId(), subscriptionId: subscription._id });
+        toast.success('Webhook removed');
+        if (expandedId === subscription._id) {
+          setExpandedId(null);
+        }
+        if (editingId === subscription._id) {
+          resetForm();
+        }
+        await loadSubscriptions();
+      } catch (error) {
+        console.error('Error removing webhook:', error);
+        toast.error(error.message || 'Failed to remove webhook');
+      }
+    });
+  };
+
+  const handleRedeliver = async (delivery) => {
+    try {
+      await convex.mutation(api.webhooks.redeliver, { sessionId: getSessionId(), deliveryId: delivery._id });
+      toast.success('Delivery queued again');
+      await loadDeliveries(delivery.subscriptionId);
+    } catch (error) {
+      console.error('Error resending delivery:', error);
+      toast.error(error.message || 'Failed to resend delivery');
+    }
+  };
+
+  const copySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(revealedSecret.secret);
+      toast.success('Secret copied');
+    } catch (error) {
+      toast.error('Copy failed; select the secret and copy it by hand');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex items-center gap-3">
+          <BoltIcon className="h-6 w-6 text-blue-600" />
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Webhooks</h3>
+            <p className="text-sm text-gray-600">Notify HR, ticketing and SIEM systems of lifecycle events</p>
+          </div>
+        </div>
+      </div>
+      <div className="card-body space-y-6">
+        {!canManage ? (
+          <p className="text-sm text-gray-500">You need the Administrator role to manage webhooks.</p>
+        ) : (
+          <>
+            {/* Secret shown once after creating or rotating */}
+            {revealedSecret && (
+              <div className="p-4 bg-amber-50 rounded-lg border border-amber-200">
+                <p className="text-sm font-medium text-amber-900">Signing secret for {revealedSecret.name}</p>
+                <p className="text-sm text-amber-800 mb-2">
+                  Copy it now and store it in the receiving system; it cannot be shown again.
+                </p>
+                <div className="flex items-center gap-2">
+                  <code className="flex-1 text-xs bg-white border border-amber-200 rounded px-2 py-1 break-all">
+                    {revealedSecret.secret}
+                  </code>
+                  <button onClick={copySecret} className="btn-secondary text-sm">
+                    <ClipboardDocumentIcon className="h-4 w-4 mr-1" />
+                    Copy
+                  </button>
+                  <button onClick={() => setRevealedSecret(null)} className="btn-secondary text-sm">
+                    Done
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Subscriptions */}
+            <div className="space-y-4">
+              <p className="font-medium text-gray-900">Endpoints</p>
+
+              {subscriptions.length === 0 ? (
+                <p className="text-sm text-gray-500">No webhooks yet.</p>
+              ) : (
+                <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                  {subscriptions.map(subscription => (
+                    <div key={subscription._id} className="p-3">
+                      <div className="flex items-start justify-between gap-3">
+                        <button
+                          onClick={() => setExpandedId(expandedId === subscription._id ? null : subscription._id)}
+                          className="flex items-start gap-2 text-left flex-1 min-w-0"
+                        >
+                          {expandedId === subscription._id ? (
+                            <ChevronDownIcon className="h-4 w-4 mt-1 text-gray-500 flex-shrink-0" />
+                          ) : (
+                            <ChevronRightIcon className="h-4 w-4 mt-1 text-gray-500 flex-shrink-0" />
+                          )}
+                          <div className="min-w-0">
+                            <div className="flex items-center gap-2">
+                              <span className="text-sm font-medium text-gray-900">{subscription.name}</span>
+                              <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                                subscription.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+                              }`}>
+                                {subscription.enabled ? 'On' : 'Off'}
+                              </span>
+                              {subscription.lastDeliveryStatus && (
+                                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${DELIVERY_BADGES[subscription.lastDeliveryStatus]}`}>
+                                  Last {subscription.lastDeliveryStatus} {formatDateTime(subscription.lastDeliveryAt)}
+                                </span>
+                              )}
+                            </div>
+                            <p className="text-xs text-gray-500 truncate">{subscription.url}</p>
+                            <p className="text-xs text-gray-500">{subscription.events.join(', ')}</p>
+                          </div>
+                        </button>
+                        <div className="flex items-center gap-1 flex-shrink-0">
+                          <button
+                            onClick={() => handleSendTest(subscription)}
+                            disabled={busyId === subscription._id || !subscription.enabled}
+                            className="btn-secondary text-sm disabled:opacity-50"
+                          >
+                            <PaperAirplaneIcon className="h-4 w-4 mr-1" />
+                            Send test event
+                          </button>
+                          <button
+                            onClick={() => handleToggleEnabled(subscription)}
+                            disabled={busyId === subscription._id}
+                            className="btn-secondary text-sm disabled:opacity-50"
+                          >
+                            {subscription.enabled ? 'Switch off' : 'Switch on'}
+                          </button>
+                          <button
+                            onClick={() => handleEdit(subscription)}
+                            className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+                            title="Edit webhook"
+                          >
+                            <PencilIcon className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => handleRotateSecret(subscription)}
+                            disabled={busyId === subscription._id}
+                            className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+                            title="Replace signing secret"
+                          >
+                            <KeyIcon className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => handleDelete(subscription)}
+                            disabled={busyId === subscription._id}
+                            className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                            title="Remove webhook"
+                          >
+                            <TrashIcon className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </div>
+
+                      {/* Delivery history */}
+                      {expandedId === subscription._id && (
+                        <div className="mt-3 ml-6">
+                          <div className="flex items-center justify-between mb-2">
+                            <p className="text-xs font-medium text-gray-700">Recent deliveries</p>
+                            <button
+                              onClick={() => loadDeliveries(subscription._id)}
+                              className="text-xs text-blue-600 hover:text-blue-800 flex items-center"
+                            >
+                              <ArrowPathIcon className="h-3 w-3 mr-1" />
+                              Refresh
+                            </button>
+                          </div>
+                          {deliveries.length === 0 ? (
+                            <p className="text-xs text-gray-500">Nothing sent yet.</p>
+                          ) : (
+                            <div className="overflow-x-auto">
+                              <table className="min-w-full text-xs">
+                                <thead>
+                                  <tr className="text-left text-gray-500">
+                                    <th className="py-1 pr-3 font-medium">Event</th>
+                                    <th className="py-1 pr-3 font-medium">Status</th>
+                                    <th className="py-1 pr-3 font-medium">Attempts</th>
+                                    <th className="py-1 pr-3 font-medium">Response</th>
+                                    <th className="py-1 pr-3 font-medium">Queued</th>
+                                    <th className="py-1"></th>
+                                  </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                  {deliveries.map(delivery => (
+                                    <tr key={delivery._id} className="align-top">
+                                      <td className="py-1 pr-3">
+                                        <div className="text-gray-900">{delivery.eventType}</div>
+                                        <code className="text-gray-400">{delivery.eventId}</code>
+                                      </td>
+                                      <td className="py-1 pr-3">
+                                        <span className={`px-2 py-0.5 rounded-full font-medium ${DELIVERY_BADGES[delivery.status]}`}>
+                                          {delivery.status}
+                                        </span>
+                                        {delivery.status === 'retrying' && delivery.nextAttemptAt && (
+                                          <div className="text-gray-500 mt-1">next {formatDateTime(delivery.nextAttemptAt)}</div>
+                                        )}
+                                      </td>
+                                      <td className="py-1 pr-3 text-gray-700">{delivery.attempts}</td>
+                                      <td className="py-1 pr-3 text-gray-700">
+                                        {delivery.responseStatus && <div>HTTP {delivery.responseStatus}{delivery.durationMs !== undefined && ` · ${delivery.durationMs} ms`}</div>}
+                                        {delivery.error && <div className="text-red-600">{delivery.error}</div>}
+                                      </td>
+                                      <td className="py-1 pr-3 text-gray-500">{formatDateTime(delivery.createdAt)}</td>
+                                      <td className="py-1 text-right">
+                                        {delivery.status === 'failed' && (
+                                          <button
+                                            onClick={() => handleRedeliver(delivery)}
+                                            className="text-blue-600 hover:text-blue-800"
+                                          >
+                                            Resend
+                                          </button>
+                                        )}
+                                      </td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            </div>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Add or edit */}
+            <div className="p-4 bg-gray-50 rounded-lg space-y-3">
+              <p className="text-sm font-medium text-gray-900">{editingId ? 'Edit Webhook' : 'Add Webhook'}</p>
+              <div>
+                <label className="form-label">Name</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                  placeholder="e.g. ServiceNow"
+                  className="form-input"
+                />
+              </div>
+              <div>
+                <label className="form-label">Endpoint URL</label>
+                <input
+                  type="url"
+                  value={form.url}
+                  onChange={(e) => setForm(prev => ({ ...prev, url: e.target.value }))}
+                  placeholder="https://example.com/hooks/lifecycle"
+                  className="form-input"
+                />
+              </div>
+              <div>
+                <label className="form-label">Events</label>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                  {eventTypes.map(eventType => (
+                    <label key={eventType.id} className="flex items-start gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={form.events.includes(eventType.id)}
+                        onChange={() => toggleEvent(eventType.id)}
+                        className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded"
+                      />
+                      <span>
+                        <code className="text-xs text-gray-900">{eventType.id}</code>
+                        <span className="block text-xs text-gray-500">{eventType.description}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={handleSave}
+                  disabled={isSaving}
+                  className="btn-primary"
+                >
+                  <PlusIcon className="h-4 w-4 mr-1" />
+                  {isSaving ? 'Saving...' : editingId ? 'Save Changes' : 'Add Webhook'}
+                </button>
+                {editingId && (
+                  <button onClick={resetForm} className="btn-secondary">
+                    Cancel
+                  </button>
+                )}
+              </div>
+              <p className="text-xs text-gray-500">
+                Each request is signed: the X-Webhook-Signature header is sha256= followed by the HMAC-SHA256,
+                keyed with the webhook's secret, of the X-Webhook-Timestamp value, a dot and the raw body.
+              </p>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Webhooks;
@@ -0,0 +1,434 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useConvex } from 'convex/react';
+import { api } from '../../convex/_generated/api';
+import { getSessionId } from '../../services/convexService';
+import toast from 'react-hot-toast';
+import {
+  ArrowPathIcon,
+  ArrowsRightLeftIcon,
+  CheckCircleIcon,
+  ChevronDownIcon,
+  ChevronUpIcon,
+  ClockIcon,
+  ExclamationTriangleIcon,
+  PlayIcon,
+  PlusIcon,
+  TrashIcon,
+  XCircleIcon,
+  MinusCircleIcon,
+} from '@heroicons/react/24/outline';
+
+const STATUS_FILTERS = ['all', 'scheduled', 'in-progress', 'completed', 'failed'];
+
+const getTimeRemaining = (executionDate) => {
+  const diff = executionDate - Date.now();
+  if (diff <= 0) {
+    return { expired: true, text: 'Ready to execute', diff: 0 };
+  }
+
+  const days = Math.floor(diff / (1000 * 60 * 60 * 24));
+  const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+  const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
+  const seconds = Math.floor((diff % (1000 * 60)) / 1000);
+
+  let text;
+  if (days > 0) {
+    text = `${days}d ${hours}h ${minutes}m`;
+  } else if (hours > 0) {
+    text = `${hours}h ${minutes}m ${seconds}s`;
+  } else if (minutes > 0) {
+    text = `${minutes}m ${seconds}s`;
+  } else {
+    text = `${seconds}s`;
+  }
+
+  return { expired: false, text, diff };
+};
+
+// Countdown Timer Component
+const CountdownTimer = ({ executionDate, status }) => {
+  const [timeRemaining, setTimeRemaining] = useState(() => getTimeRemaining(executionDate));
+
+  useEffect(() => {
+    if (status !== 'scheduled') return;
+
+    const interval = setInterval(() => {
+      setTimeRemaining(getTimeRemaining(executionDate));
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [executionDate, status]);
+
+  if (status !== 'scheduled') {
+    return null;
+  }
+
+  if (timeRemaining.expired) {
+    return (
+      <div className="mt-1 flex items-center text-xs text-amber-600 font-medium">
+        <ExclamationTriangleIcon className="h-3 w-3 mr-1" />
+        Ready to execute
+      </div>
+    );
+  }
+
+  // Color based on urgency
+  let colorClass = 'text-gray-500';
+  if (timeRemaining.diff < 1000 * 60 * 60) { // Less than 1 hour
+    colorClass = 'text-red-600 font-semibold';
+  } else if (timeRemaining.diff < 1000 * 60 * 60 * 24) { // Less than 24 hours
+    colorClass = 'text-amber-600 font-medium';
+  } else if (timeRemaining.diff < 1000 * 60 * 60 * 24 * 7) { // Less than 7 days
+    colorClass = 'text-blue-600';
+  }
+
+  return (
+    <div className={`mt-1 flex items-center text-xs ${colorClass}`}>
+      <ClockIcon className="h-3 w-3 mr-1 animate-pulse" />
+      <span>Executes in: {timeRemaining.text}</span>
+    </div>
+  );
+};
+
+const getStatusBadge = (status) => {
+  switch (status) {
+    case 'scheduled':
+      return (
+        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+          <ClockIcon className="h-3 w-3 mr-1" />
+          Scheduled
+        </span>
+      );
+    case 'in-progress':
+      return (
+        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">
+          <ArrowPathIcon className="h-3 w-3 mr-1 animate-spin" />
+          In Progress
+        </span>
+      );
+    case 'completed':
+      return (
+        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+          <CheckCircleIcon className="h-3 w-3 mr-1" />
+          Completed
+        </span>
+      );
+    case 'failed':
+      return (
+        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+          <ExclamationTriangleIcon className="h-3 w-3 mr-1" />
+          Failed
+        </span>
+      );
+    default:
+      return null;
+  }
+};
+
+const getActionIcon = (status) => {
+  switch (status) {
+    case 'success':
+      return <CheckCircleIcon className="h-4 w-4 text-green-600 flex-shrink-0" />;
+    case 'error':
+      return <XCircleIcon className="h-4 w-4 text-red-600 flex-shrink-0" />;
+    case 'warning':
+      return <ExclamationTriangleIcon className="h-4 w-4 text-amber-600 flex-shrink-0" />;
+    default:
+      return <MinusCircleIcon className="h-4 w-4 text-gray-400 flex-shrink-0" />;
+  }
+};
+
+// One line per change a transfer will make
+const describeChanges = (transfer) => {
+  const { changes } = transfer;
+  const lines = [];
+  if (changes.department) lines.push(`Department: ${transfer.previousDepartment || '—'} → ${changes.department}`);
+  if (changes.jobTitle) lines.push(`Job title: ${changes.jobTitle}`);
+  if (changes.manager) lines.push(`Manager: ${changes.manager}`);
+  if (changes.officeLocation) lines.push(`Office: ${changes.officeLocation}`);
+  if (changes.emailPrefix) lines.push(`UPN/email: ${changes.emailPrefix}@${transfer.userPrincipalName.split('@')[1]}`);
+  if (transfer.addGroups.length > 0) lines.push(`Add to ${transfer.addGroups.map(g => g.displayName).join(', ')}`);
+  if (transfer.removeGroups.length > 0) lines.push(`Remove from ${transfer.removeGroups.map(g => g.displayName).join(', ')}`);
+  return lines;
+};
+
+/**
+ * Transfers waiting for their effective date, and the outcome of those that have run
+ */
+const ScheduledTransfers = () => {
+  const navigate = useNavigate();
+  const convex = useConvex();
+  const [transfers, setTransfers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [expandedId, setExpandedId] = useState(null);
+  const [executionLogs, setExecutionLogs] = useState({});
+  const [runningId, setRunningId] = useState(null);
+
+  const fetchTransfers = useCallback(async () => {
+    const sessionId = getSessionId();
+    if (!sessionId) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      const records = await convex.query(api.transfers.list, { sessionId });
+      setTransfers(records);
+    } catch (error) {
+      console.error('Failed to load scheduled transfers:', error);
+      toast.error('Failed to load scheduled transfers');
+    } finally {
+      setLoading(false);
+    }
+  }, [convex]);
+
+  useEffect(() => {
+    fetchTransfers();
+    // Pick up transfers the cron has run
+    const interval = setInterval(fetchTransfers, 30000);
+    return () => clearInterval(interval);
+  }, [fetchTransfers]);
+
+  const loadExecutionLogs = async (transferId) => {
+    try {
+      const logs = await convex.query(api.transfers.getExecutionLogs, {
+        sessionId: getSessionId(),
+        transferId,
+      });
+      setExecutionLogs(prev => ({ ...prev, [transferId]: logs }));
+    } catch (error) {
+      toast.error('Failed to load execution log');
+    }
+  };
+
+  const toggleExpanded = (transfer) => {
+    if (expandedId === transfer._id) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(transfer._id);
+    if (transfer.status === 'completed' || transfer.status === 'failed') {
+      loadExecutionLogs(transfer._id);
+    }
+  };
+
+  const handleRunNow = async (transfer) => {
+    if (!window.confirm(`Apply the transfer for ${transfer.displayName} now instead of on ${transfer.effectiveDate}?`)) {
+      return;
+    }
+
+    setRunningId(transfer._id);
+    try {
+      const result = await convex.action(api.transferAutomation.executeTransferNow, {
+        sessionId: getSessionId(),
+        transferId: transfer._id,
+      });
+      if (result.status === 'completed') {
+        toast.success(`Transfer applied for ${transfer.displayName}`);
+      } else {
+        toast.error(`Transfer ${result.status} for ${transfer.displayName}`);
+      }
+      await fetchTransfers();
+    } catch (error) {
+      toast.error(error.message || 'Failed to run transfer');
+    } finally {
+      setRunningId(null);
+    }
+  };
+
+  const handleRetry = async (transfer) => {
+    try {
+      await convex.mutation(api.transfers.retry, {
+        sessionId: getSessionId(),
+        transferId: transfer._id,
+      });
+      toast.success('Transfer will run again within a minute');
+      await fetchTransfers();
+    } catch (error) {
+      toast.error(error.message || 'Failed to retry transfer');
+    }
+  };
+
+  const handleDelete = async (transfer) => {
+    const prompt = transfer.status === 'scheduled'
+      ? `Cancel the scheduled transfer for ${transfer.displayName}?`
+      : `Delete the ${transfer.status} transfer record for ${transfer.displayName}?`;
+    if (!window.confirm(prompt)) {
+      return;
+    }
+
+    try {
+      await convex.mutation(api.transfers.remove, {
+        sessionId: getSessionId(),
+        transferId: transfer._id,
+      });
+      toast.success(transfer.status === 'scheduled' ? 'Transfer cancelled' : 'Transfer record deleted');
+      await fetchTransfers();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete transfer');
+    }
+  };
+
+  const filtered = statusFilter === 'all'
+    ? transfers
+    : transfers.filter(transfer => transfer.status === statusFilter);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="animate-in">
+      <div className="mb-8 flex items-start justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Scheduled Transfers</h1>
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+            Role, department and manager changes applied automatically on their effective date
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={fetchTransfers} className="btn btn-secondary">
+            <ArrowPathIcon className="h-4 w-4 mr-2" />
+            Refresh
+          </button>
+          <button onClick={() => navigate('/transfer')} className="btn btn-primary">
+            <PlusIcon className="h-4 w-4 mr-2" />
+            New Transfer
+          </button>
+        </div>
+      </div>
+
+      <div className="mb-4 flex gap-2">
+        {STATUS_FILTERS.map(status => (
+          <button
+            key={status}
+            onClick={() => setStatusFilter(status)}
+            className={`px-3 py-1 rounded-full text-sm capitalize ${
+              statusFilter === status
+                ? 'bg-primary-600 text-white'
+                : 'bg-gray-100 text-gray-700 dark:bg-gray-800 dark:text-gray-300'
+            }`}
+          >
+            {status === 'all' ? 'All' : status.replace('-', ' ')}
+            {status !== 'all' && ` (${transfers.filter(transfer => transfer.status === status).length})`}
+          </button>
+        ))}
+      </div>
+
+      {filtered.length === 0 ? (
+        <div className="card">
+          <div className="card-body text-center py-12">
+            <ArrowsRightLeftIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900 dark:text-gray-100">No transfers</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Choose "Apply on Effective Date" in the transfer wizard to schedule one.
+            </p>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {filtered.map(transfer => (
+            <div key={transfer._id} className="card">
+              <div className="card-body">
+                <div className="flex items-start justify-between">
+                  <div className="flex-1">
+                    <div className="flex items-center gap-3">
+                      <p className="font-medium text-gray-900 dark:text-gray-100">{transfer.displayName}</p>
+                      {getStatusBadge(transfer.status)}
+                    </div>
+                    <p className="text-sm text-gray-500">{transfer.userPrincipalName}</p>
+                    <p className="mt-1 text-sm text-gray-700 dark:text-gray-300">
+                      {transfer.effectiveDate} {transfer.effectiveTime} ({transfer.timezone})
+                    </p>
+                    <CountdownTimer executionDate={transfer.executionDate} status={transfer.status} />
+                    {transfer.error && (
+                      <p className="mt-1 text-xs text-red-600">{transfer.error}</p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {transfer.status === 'scheduled' && (
+                      <button
+                        onClick={() => handleRunNow(transfer)}
+                        disabled={runningId === transfer._id}
+                        className="btn btn-secondary disabled:opacity-50"
+                        title="Apply now"
+                      >
+                        {runningId === transfer._id ? (
+                          <ArrowPathIcon className="h-4 w-4 animate-spin" />
+                        ) : (
+                          <PlayIcon className="h-4 w-4" />
+                        )}
+                      </button>
+                    )}
+                    {transfer.status === 'failed' && (
+                      <button onClick={() => handleRetry(transfer)} className="btn btn-secondary" title="Retry">
+                        <ArrowPathIcon className="h-4 w-4" />
+                      </button>
+                    )}
+                    {transfer.status !== 'in-progress' && (
+                      <button
+                        onClick={() => handleDelete(transfer)}
+                        className="btn btn-secondary text-red-600"
+                        title={transfer.status === 'scheduled' ? 'Cancel' : 'Delete'}
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    )}
+                    <button onClick={() => toggleExpanded(transfer)} className="btn btn-secondary" title="Details">
+                      {expandedId === transfer._id ? (
+                        <ChevronUpIcon className="h-4 w-4" />
+                      ) : (
+                        <ChevronDownIcon className="h-4 w-4" />
+                      )}
+                    </button>
+                  </div>
+                </div>
+
+                {expandedId === transfer._id && (
+                  <div className="mt-4 border-t border-gray-200 dark:border-gray-700 pt-4 space-y-4">
+                    <div>
+                      <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-2">Changes</h4>
+                      <ul className="text-sm text-gray-700 dark:text-gray-300 list-disc ml-5 space-y-1">
+                        {describeChanges(transfer).map(line => <li key={line}>{line}</li>)}
+                        {transfer.notifyUser && <li>Notify the employee</li>}
+                        {transfer.notifyManager && transfer.changes.manager && <li>Notify the new manager</li>}
+                      </ul>
+                    </div>
+
+                    {(executionLogs[transfer._id] || []).map(log => (
+                      <div key={log._id}>
+                        <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-2">
+                          {log.executionType === 'scheduled' ? 'Automated run' : 'Manual run'} - {new Date(log.startTime).toLocaleString()}
+                          <span className="ml-2 font-normal text-gray-500">
+                            {log.successfulActions}/{log.totalActions} succeeded
+                          </span>
+                        </h4>
+                        <ul className="space-y-1">
+                          {log.actions.map((action, index) => (
+                            <li key={index} className="flex items-start gap-2 text-sm">
+                              {getActionIcon(action.status)}
+                              <span className="font-medium text-gray-900 dark:text-gray-100">{action.action}:</span>
+                              <span className="text-gray-600 dark:text-gray-400">{action.message}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScheduledTransfers;
@@ -3,6 +3,11 @@ import { useNavigate, useParams } from 'react-router-dom';
 import { useMSALAuth } from '../../contexts/MSALAuthContext';
 import { useAuth as useConvexAuth } from '../../contexts/ConvexAuthContext';
 import { getActiveService, getAuthMode } from '../../services/serviceFactory';
+import { getSessionId } from '../../services/convexService';
+import { getGroupsForDepartment } from '../../utils/departmentMappings';
+import { commonTimezones } from '../../utils/timezones';
+import { useConvex } from 'convex/react';
+import { api } from '../../convex/_generated/api';
 import toast from 'react-hot-toast';
 import {
   ArrowPathIcon,
@@ -22,6 +27,7 @@ const TransferWizard = () => {
   const navigate = useNavigate();
   const msalAuth = useMSALAuth();
   const convexAuth = useConvexAuth();
+  const convex = useConvex();
   
   // Use serviceFactory to get the correct service based on auth mode
   const authMode = getAuthMode();
@@ -54,6 +60,9 @@ const TransferWizard = () => {
     newManager: '',
     newOfficeLocation: '',
     effectiveDate: new Date().toISOString().split('T')[0],
+    applyOnEffectiveDate: false,
+    effectiveTime: '09:00',
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
     updateEmail: false,
     newEmailPrefix: '',
     notifyUser: true,
@@ -163,6 +172,11 @@ const TransferWizard = () => {
       return;
     }
 
+    if (!hasPermission('lifecycleExecute')) {
+      toast.error('Your role can schedule transfers but not run them immediately');
+      return;
+    }
+
     setIsExecuting(true);
     const results = [];
 
@@ -359,6 +373,79 @@ const TransferWizard = () => {
     }
   };
 
+  /**
+   * Resolve the department-mapped groups to add, and to remove when the old department's
+   * groups should go. Dynamic and on-prem synced groups cannot be changed and are left out
+   */
+  const resolveGroupSwap = async () => {
+    if (!transferOptions.updateGroups || !transferOptions.newDepartment) {
+      return { addGroups: [], removeGroups: [] };
+    }
+
+    const newGroupIds = getGroupsForDepartment(transferOptions.newDepartment);
+    const oldGroupIds = transferOptions.removeOldGroups && selectedUser.department
+      ? getGroupsForDepartment(selectedUser.department).filter(id => !newGroupIds.includes(id))
+      : [];
+
+    const describe = async (groupIds) => {
+      const groups = [];
+      for (const groupId of groupIds) {
+        const group = await service.makeRequest(`/groups/${groupId}?$select=id,displayName,groupTypes,onPremisesSyncEnabled`);
+        if (!group.groupTypes?.includes('DynamicMembership') && group.onPremisesSyncEnabled !== true) {
+          groups.push({ id: group.id, displayName: group.displayName });
+        }
+      }
+      return groups;
+    };
+
+    return { addGroups: await describe(newGroupIds), removeGroups: await describe(oldGroupIds) };
+  };
+
+  const handleScheduleTransfer = async () => {
+    const sessionId = getSessionId();
+    if (!sessionId) {
+      toast.error('Scheduling a transfer requires a saved session');
+      return;
+    }
+
+    setIsExecuting(true);
+    try {
+      const { addGroups, removeGroups } = await resolveGroupSwap();
+      await convex.mutation(api.transfers.create, {
+        sessionId,
+        userId: selectedUser.id,
+        userPrincipalName: selectedUser.userPrincipalName,
+        displayName: selectedUser.displayName,
+        transferType: transferOptions.transferType,
+        effectiveDate: transferOptions.effectiveDate,
+        effectiveTime: transferOptions.effectiveTime,
+        timezone: transferOptions.timezone,
+        changes: {
+          department: transferOptions.newDepartment || undefined,
+          jobTitle: transferOptions.newJobTitle || undefined,
+          officeLocation: transferOptions.newOfficeLocation || undefined,
+          manager: transferOptions.newManager || undefined,
+          emailPrefix: transferOptions.updateEmail && transferOptions.newEmailPrefix
+            ? transferOptions.newEmailPrefix
+            : undefined,
+        },
+        previousDepartment: selectedUser.department || undefined,
+        addGroups,
+        removeGroups,
+        notifyUser: transferOptions.notifyUser,
+        notifyManager: transferOptions.notifyManager,
+        notes: transferOptions.transferNotes || undefined,
+      });
+      toast.success(`Transfer scheduled for ${transferOptions.effectiveDate} ${transferOptions.effectiveTime}`);
+      navigate('/scheduled-transfers');
+    } catch (error) {
+      console.error('Schedule transfer error:', error);
+      toast.error(error.message || 'Failed to schedule transfer');
+    } finally {
+      setIsExecuting(false);
+    }
+  };
+
   const renderStepIndicator = () => (
     <div className="mb-8">
       <div className="flex items-center justify-between">
@@ -684,6 +771,56 @@ const TransferWizard = () => {
             </div>
           </div>
 
+          {isConvexAuth && (
+            <div className="space-y-3">
+              <label className="flex items-center gap-3 p-3 border border-gray-200 rounded-lg cursor-pointer hover:bg-gray-50">
+                <input
+                  type="checkbox"
+                  checked={transferOptions.applyOnEffectiveDate}
+                  onChange={(e) => handleOptionChange('applyOnEffectiveDate', e.target.checked)}
+                  className="form-checkbox h-5 w-5 text-blue-600"
+                />
+                <div className="flex-1">
+                  <span className="font-medium text-gray-900">Apply on Effective Date</span>
+                  <p className="text-sm text-gray-600">Schedule the changes instead of applying them now</p>
+                </div>
+              </label>
+
+              {transferOptions.applyOnEffectiveDate && (
+                <div className="grid grid-cols-2 gap-4 ml-8">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Time
+                    </label>
+                    <input
+                      type="time"
+                      value={transferOptions.effectiveTime}
+                      onChange={(e) => handleOptionChange('effectiveTime', e.target.value)}
+                      className="input"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Timezone
+                    </label>
+                    <select
+                      value={transferOptions.timezone}
+                      onChange={(e) => handleOptionChange('timezone', e.target.value)}
+                      className="input"
+                    >
+                      {!commonTimezones.some(tz => tz.value === transferOptions.timezone) && (
+                        <option value={transferOptions.timezone}>{transferOptions.timezone}</option>
+                      )}
+                      {commonTimezones.map(tz => (
+                        <option key={tz.value} value={tz.value}>{tz.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Transfer Notes
@@ -771,6 +908,23 @@ const TransferWizard = () => {
               <p className="text-sm text-gray-600">Adjust access based on new role</p>
             </div>
           </label>
+
+          {transferOptions.updateGroups && transferOptions.applyOnEffectiveDate && (
+            <label className="flex items-center gap-3 p-3 ml-8 border border-gray-200 rounded-lg cursor-pointer hover:bg-gray-50">
+              <input
+                type="checkbox"
+                checked={transferOptions.removeOldGroups}
+                onChange={(e) => handleOptionChange('removeOldGroups', e.target.checked)}
+                className="form-checkbox h-5 w-5 text-blue-600"
+              />
+              <div className="flex-1">
+                <span className="font-medium text-gray-900">Remove Previous Department Groups</span>
+                <p className="text-sm text-gray-600">
+                  Leave the groups mapped to {selectedUser?.department || 'the current department'} that the new department does not use
+                </p>
+              </div>
+            </label>
+          )}
         </div>
       </div>
 
@@ -850,6 +1004,9 @@ const TransferWizard = () => {
                   <span className="text-sm">
                     <span className="font-medium">Effective Date:</span>{' '}
                     {new Date(transferOptions.effectiveDate).toLocaleDateString()}
+                    {transferOptions.applyOnEffectiveDate && (
+                      <> at {transferOptions.effectiveTime} ({transferOptions.timezone}) - scheduled</>
+                    )}
                   </span>
                 </div>
               )}
@@ -903,14 +1060,19 @@ const TransferWizard = () => {
           Back
         </button>
         <button
-          onClick={handleExecuteTransfer}
+          onClick={transferOptions.applyOnEffectiveDate ? handleScheduleTransfer : handleExecuteTransfer}
           disabled={isExecuting}
           className="btn-primary bg-gradient-to-r from-green-600 to-green-700 hover:from-green-700 hover:to-green-800"
         >
           {isExecuting ? (
             <>
               <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-              Executing Transfer...
+              {transferOptions.applyOnEffectiveDate ? 'Scheduling Transfer...' : 'Executing Transfer...'}
+            </>
+          ) : transferOptions.applyOnEffectiveDate ? (
+            <>
+              <ClockIcon className="h-5 w-5 mr-2" />
+              Schedule Transfer
             </>
           ) : (
             <>
@@ -992,7 +1154,7 @@ const TransferWizard = () => {
     </div>
   );
 
-  if (!hasPermission('userManagement')) {
+  if (!hasPermission('lifecycleRequest')) {
     return (
       <div className="card">
         <div className="card-body text-center py-12">
@@ -3,6 +3,8 @@ import { useParams, Link } from 'react-router-dom';
 import { getActiveService, getAuthMode } from '../../services/serviceFactory';
 import { useMSALAuth } from '../../contexts/MSALAuthContext';
 import { useAuth as useConvexAuth } from '../../contexts/ConvexAuthContext';
+import { useConvex } from 'convex/react';
+import { requestApproval } from '../../utils/approvals';
 import toast from 'react-hot-toast';
 import {
   UserIcon,
@@ -17,12 +19,15 @@ import {
   UserPlusIcon,
   UserMinusIcon,
   ArrowLeftIcon,
+  TrashIcon,
+  XCircleIcon,
 } from '@heroicons/react/24/outline';
 
 const UserDetail = () => {
   const { userId } = useParams();
   const msalAuth = useMSALAuth();
   const convexAuth = useConvexAuth();
+  const convex = useConvex();
   
   // Use serviceFactory to get the correct service based on auth mode
   const authMode = getAuthMode();
@@ -89,6 +94,28 @@ const UserDetail = () => {
     }
   };
 
+  // Both operations need a second operator's approval; they are carried out from Pending Approvals
+  const handleRequestApproval = async (operation, summary) => {
+    const reason = window.prompt(`${summary}\n\nReason for the approver (optional):`);
+    if (reason === null) {
+      return;
+    }
+
+    try {
+      await requestApproval(convex, {
+        operation,
+        targetId: user.id,
+        targetName: user.displayName || user.userPrincipalName,
+        summary,
+        reason: reason.trim() || undefined,
+      });
+      toast.success('Approval requested. Another operator must approve it in Pending Approvals.');
+    } catch (error) {
+      console.error('Error requesting approval:', error);
+      toast.error(error.message || 'Failed to request approval');
+    }
+  };
+
   const getStatusBadge = (user) => {
     if (user.accountEnabled) {
       return (
@@ -206,6 +233,22 @@ const UserDetail = () => {
                       Start Onboarding
                     </Link>
                   )}
+                  {userLicenses.length > 0 && (
+                    <button
+                      onClick={() => handleRequestApproval('removeAllLicenses', `Remove all ${userLicenses.length} license(s) from ${user.userPrincipalName}`)}
+                      className="btn btn-secondary"
+                    >
+                      <XCircleIcon className="h-4 w-4 mr-2" />
+                      Remove All Licenses
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleRequestApproval('deleteUser', `Delete the account ${user.userPrincipalName}`)}
+                    className="btn btn-secondary text-danger-600"
+                  >
+                    <TrashIcon className="h-4 w-4 mr-2" />
+                    Delete User
+                  </button>
                 </>
               )}
             </div>
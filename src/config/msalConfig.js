@@ -58,6 +58,21 @@ export const loginRequest = {
   ]
 };
 
+/**
+ * Scopes for cross-tenant Intune migration
+ * Requested separately for the source and destination tenants, each in its own sign-in
+ */
+export const intuneMigrationRequest = {
+  scopes: [
+    'DeviceManagementConfiguration.ReadWrite.All',
+    'DeviceManagementApps.ReadWrite.All',
+    'DeviceManagementRBAC.ReadWrite.All',
+    'DeviceManagementServiceConfig.ReadWrite.All',
+    'Group.Read.All',
+    'Organization.Read.All'
+  ]
+};
+
 /**
  * Scopes for Graph API token acquisition
  */
@@ -18,15 +18,12 @@ export const ConvexAuthProvider = ({ children }) => {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [permissions, setPermissions] = useState({
-    userManagement: false,
-    deviceManagement: false,
-    mailManagement: false,
-    sharePointManagement: false,
-    teamsManagement: false,
-    complianceManagement: false,
-    defenderManagement: false,
-  });
+  const [permissions, setPermissions] = useState({});
+
+  // The session's permissions, as granted by its roles on the server
+  const applyPermissions = (granted = []) => {
+    setPermissions(Object.fromEntries(granted.map(permission => [permission, true])));
+  };
 
   // Check authentication status on mount
   useEffect(() => {
@@ -53,19 +50,7 @@ export const ConvexAuthProvider = ({ children }) => {
           console.log('✅ Session valid, user authenticated');
           setIsAuthenticated(true);
           setUser(status.user);
-          
-          // Set permissions based on auth mode
-          if (status.authMode === 'app-only') {
-            setPermissions({
-              userManagement: true,
-              deviceManagement: true,
-              mailManagement: true,
-              sharePointManagement: true,
-              teamsManagement: true,
-              complianceManagement: true,
-              defenderManagement: true,
-            });
-          }
+          applyPermissions(status.user.permissions);
         } else {
           // Don't warn if using MSAL auth - Convex session not required
           if (sessionId && !sessionId.startsWith('msal_')) {
@@ -136,15 +121,7 @@ export const ConvexAuthProvider = ({ children }) => {
       
       setIsAuthenticated(true);
       setUser(result.user);
-      setPermissions({
-        userManagement: true,
-        deviceManagement: true,
-        mailManagement: true,
-        sharePointManagement: true,
-        teamsManagement: true,
-        complianceManagement: true,
-        defenderManagement: true,
-      });
+      applyPermissions(result.user.permissions);
 
       return result;
     } catch (error) {
@@ -171,7 +148,6 @@ export const ConvexAuthProvider = ({ children }) => {
         email: userInfo.username,
         displayName: userInfo.name,
         tenantId: userInfo.tenantId,
-        roles: userInfo.roles || ['user'],
       });
 
       console.log('✅ OAuth2 login successful');
@@ -181,15 +157,7 @@ export const ConvexAuthProvider = ({ children }) => {
       
       setIsAuthenticated(true);
       setUser(result.user);
-      setPermissions({
-        userManagement: true,
-        deviceManagement: true,
-        mailManagement: true,
-        sharePointManagement: true,
-        teamsManagement: true,
-        complianceManagement: true,
-        defenderManagement: true,
-      });
+      applyPermissions(result.user.permissions);
 
       return result;
     } catch (error) {
@@ -225,15 +193,7 @@ export const ConvexAuthProvider = ({ children }) => {
       
       setIsAuthenticated(false);
       setUser(null);
-      setPermissions({
-        userManagement: false,
-        deviceManagement: false,
-        mailManagement: false,
-        sharePointManagement: false,
-        teamsManagement: false,
-        complianceManagement: false,
-        defenderManagement: false,
-      });
+      setPermissions({});
     }
   };
 
@@ -10,6 +10,12 @@ import { api } from '../convex/_generated/api';
 
 const MSALAuthContext = createContext();
 
+// Graph capabilities the wizards check alongside portal permissions; the delegated token decides these
+const GRAPH_CAPABILITIES = {
+  application: true,
+  userAuthenticationMethod: true,
+};
+
 export const useMSALAuth = () => {
   const context = useContext(MSALAuthContext);
   if (!context) {
@@ -24,6 +30,9 @@ export const MSALAuthProvider = ({ children }) => {
   const convex = useConvex();
   const [accessToken, setAccessToken] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState({});
+  const [accessLoading, setAccessLoading] = useState(true);
 
   // Get access token silently
   const getAccessToken = async () => {
@@ -47,6 +56,21 @@ export const MSALAuthProvider = ({ children }) => {
     }
   };
 
+  // Resolve the operator's portal roles from the directory; keep the stored roles if that fails
+  const loadAccess = async (sessionId, token) => {
+    let access;
+    try {
+      access = await convex.action(api.rbacActions.refreshSessionRoles, { sessionId, accessToken: token });
+    } catch (error) {
+      console.error('❌ Failed to resolve roles, using the roles stored on the session:', error);
+      access = await convex.query(api.rbac.getMyAccess, { sessionId }).catch(() => ({ roles: [], permissions: [] }));
+    }
+
+    setRoles(access.roles);
+    setPermissions(Object.fromEntries(access.permissions.map(permission => [permission, true])));
+    setAccessLoading(false);
+  };
+
   // Update access token and session ID when account changes
   useEffect(() => {
     if (account && inProgress === InteractionStatus.None && convex) {
@@ -60,7 +84,7 @@ export const MSALAuthProvider = ({ children }) => {
         
         // Create/restore session ID for Convex
         let sessionId = getSessionId();
-        if (!sessionId) {
+        if (!sessionId || !sessionId.startsWith(`msal_${account.homeAccountId}_`)) {
           // Generate a unique session ID based on account ID and timestamp
           sessionId = `msal_${account.homeAccountId}_${Date.now()}`;
           setSessionId(sessionId);
@@ -77,6 +101,7 @@ export const MSALAuthProvider = ({ children }) => {
             tenantId: account.tenantId || 'common',
           });
           console.log('✅ MSAL session registered with Convex');
+          await loadAccess(sessionId, token);
         } catch (error) {
           console.error('❌ Failed to register MSAL session with Convex:', error);
           console.error('Session data:', {
@@ -86,11 +111,15 @@ export const MSALAuthProvider = ({ children }) => {
             displayName: account.name || account.username,
             tenantId: account.tenantId || 'common',
           });
+          setAccessLoading(false);
         }
       });
     } else if (!account && inProgress === InteractionStatus.None) {
       setAccessToken(null);
       setLoading(false);
+      setRoles([]);
+      setPermissions({});
+      setAccessLoading(false);
       clearSessionId();
     }
   }, [account, inProgress, convex]);
@@ -125,26 +154,20 @@ export const MSALAuthProvider = ({ children }) => {
 
   const authState = {
     isAuthenticated: !!account,
-    loading: loading || inProgress !== InteractionStatus.None,
+    loading: loading || accessLoading || inProgress !== InteractionStatus.None,
     authMode: account ? 'microsoft' : null,
     user: account ? {
       displayName: account.name || account.username,
       email: account.username,
       id: account.homeAccountId,
-      authMode: 'microsoft'
+      authMode: 'microsoft',
+      roles
     } : null,
     accessToken,
-    // All permissions enabled for Microsoft authenticated users
-    permissions: {
-      userManagement: true,
-      deviceManagement: true,
-      mailManagement: true,
-      sharePointManagement: true,
-      teamsManagement: true,
-      complianceManagement: true,
-      defenderManagement: true,
-    },
-    hasPermission: () => true, // Microsoft SSO users have all permissions
+    roles,
+    permissions,
+    hasPermission: (permission) => GRAPH_CAPABILITIES[permission] === true || permissions[permission] === true,
+    refreshAccess: async () => loadAccess(getSessionId(), await getAccessToken()),
     login,
     logout,
     getAccessToken
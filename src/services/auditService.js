@@ -0,0 +1,159 @@
+/**
+ * Audit Service
+ *
+ * Graph writes and on-prem AD calls go straight from the browser, so no Convex
+ * mutation sees them. They are reported to the Convex /audit/events endpoint, which
+ * attributes them to the signed-in session, adds the caller's IP address and user
+ * agent, and appends them to the tenant's hash-chained audit log.
+ *
+ * Reporting never blocks or fails the change itself.
+ */
+
+import { getSessionId } from './convexService';
+
+const AUDITED_METHODS = ['POST', 'PATCH', 'PUT', 'DELETE'];
+
+// Path segments that identify one object: GUIDs and user principal names
+const isIdentifierSegment = (segment) =>
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment) || segment.includes('@');
+
+const getAuditEndpoint = () => {
+  const convexUrl = process.env.REACT_APP_CONVEX_URL;
+  if (!convexUrl) {
+    return null;
+  }
+  // Convex HTTP actions are served from .convex.site, not .convex.cloud
+  return `${convexUrl.replace('.convex.cloud', '.convex.site').replace('/api', '')}/audit/events`;
+};
+
+const parseBody = (body) => {
+  if (typeof body !== 'string') {
+    return body;
+  }
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+};
+
+// A $batch of reads is sent as a POST but changes nothing
+const isReadOnlyBatch = (endpoint, body) => {
+  if (!endpoint.startsWith('/$batch')) {
+    return false;
+  }
+  const requests = parseBody(body)?.requests || [];
+  return requests.every(request => (request.method || 'GET').toUpperCase() === 'GET');
+};
+
+/**
+ * Record one change in the audit log
+ * @param {Object} event - { action, resourceType, resourceId?, targetName?, details?, before?, after?, outcome? }
+ * @returns {Promise<void>} Resolves once reported; never rejects
+ */
+export const recordAuditEvent = async (event) => {
+  const sessionId = getSessionId();
+  const url = getAuditEndpoint();
+  if (!sessionId || !url) {
+    return;
+  }
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId, outcome: 'success', ...event }),
+      credentials: 'omit',
+    });
+    if (!response.ok) {
+      console.warn(`⚠️ Audit event not recorded (${response.status}): ${event.action}`);
+    }
+  } catch (error) {
+    console.warn(`⚠️ Audit event not recorded: ${event.action}`, error.message);
+  }
+};
+
+/**
+ * Describe a Graph path for the audit log
+ * '/deviceManagement/managedDevices/<id>/wipe' has resource type
+ * 'deviceManagement/managedDevices/{id}/wipe' and resource ID '<id>'
+ * @param {string} endpoint - Graph path, with or without a query string
+ * @returns {{ resourceType: string, resourceId: string|undefined }}
+ */
+export const describeGraphPath = (endpoint) => {
+  const segments = endpoint.split('?')[0].split('/').filter(Boolean);
+  return {
+    resourceType: segments.map(segment => (isIdentifierSegment(segment) ? '{id}' : segment)).join('/'),
+    resourceId: segments.find(isIdentifierSegment),
+  };
+};
+
+/**
+ * Run a Graph request, auditing it when it changes something
+ * Reads are passed straight through. For PATCH, PUT and DELETE the current object is
+ * read first so the entry can show it before and after the change.
+ * @param {Object} request
+ * @param {string} request.endpoint - Graph path
+ * @param {Object} [request.options] - Fetch options
+ * @param {string} [request.apiVersion] - 'v1.0' or 'beta'
+ * @param {Function} request.send - Sends the request
+ * @param {Function} [request.readCurrent] - Reads a path without auditing, for the before snapshot
+ * @returns {Promise<*>} What send returned
+ */
+export const auditGraphRequest = async ({ endpoint, options = {}, apiVersion = 'v1.0', send, readCurrent }) => {
+  const method = (options.method || 'GET').toUpperCase();
+  if (!AUDITED_METHODS.includes(method) || isReadOnlyBatch(endpoint, options.body)) {
+    return send();
+  }
+
+  const { resourceType, resourceId } = describeGraphPath(endpoint);
+  const details = `${method} ${apiVersion} ${endpoint.split('?')[0]}`;
+
+  let before;
+  if (method !== 'POST' && readCurrent && !endpoint.includes('$ref')) {
+    before = await readCurrent(endpoint.split('?')[0]).catch(() => undefined);
+  }
+
+  try {
+    const result = await send();
+    const requestBody = parseBody(options.body);
+    recordAuditEvent({
+      action: `graph_${method.toLowerCase()}`,
+      resourceType,
+      resourceId: resourceId || result?.id,
+      details,
+      before,
+      // Creations return the new object; other writes are described by what was sent
+      after: method === 'DELETE' ? undefined : (method === 'POST' && result?.id ? result : requestBody),
+    });
+    return result;
+  } catch (error) {
+    recordAuditEvent({
+      action: `graph_${method.toLowerCase()}`,
+      resourceType,
+      resourceId,
+      details: `${details} failed: ${error.message}`,
+      before,
+      after: parseBody(options.body),
+      outcome: 'failure',
+    });
+    throw error;
+  }
+};
+
+/**
+ * Record a call to the backend's on-premises AD routes
+ * @param {string} route - Route under /api/ad, e.g. 'create-user'
+ * @param {Object} body - What was sent; passwords are redacted by the audit endpoint
+ * @param {boolean} succeeded - Whether the route reported success
+ * @param {string} [message] - Route's message or error
+ */
+export const recordOnPremEvent = (route, body, succeeded, message) => recordAuditEvent({
+  action: `ad_${route.replace(/-/g, '_')}`,
+  resourceType: 'onPremisesAD/user',
+  resourceId: body.userPrincipalName || body.samAccountName,
+  targetName: body.displayName || body.userPrincipalName || body.samAccountName,
+  details: `POST /api/ad/${route}${message ? `: ${message}` : ''}`,
+  after: body,
+  outcome: succeeded ? 'success' : 'failure',
+});
@@ -0,0 +1,329 @@
+/**
+ * Bulk Onboarding Service
+ * Turns rows from a new-hire CSV or HRIS export into accounts: derives each hire's
+ * UPN and mailNickname without colliding with existing users or other rows, resolves
+ * managers and licenses, and runs the per-hire setup the onboarding wizard does for one user
+ * Uses service factory to support both MSAL and Convex authentication modes
+ */
+
+import { getActiveService } from './serviceFactory';
+import { apiConfig } from '../config/apiConfig';
+import { recordOnPremEvent } from './auditService';
+import { getGroupsForDepartment } from '../utils/departmentMappings';
+import { generateTempPassword } from '../utils/passwords';
+
+const GRAPH_BASE_URL = 'https://graph.microsoft.com/v1.0';
+const MAX_NICKNAME_SUFFIX = 50;
+
+const escapeODataString = (value) => encodeURIComponent(value.replace(/'/g, "''"));
+
+class BulkOnboardingService {
+  constructor() {
+    this.managerCache = new Map();
+  }
+
+  /**
+   * Get the tenant's default verified domain for derived UPNs
+   * @returns {Promise<string|null>} Domain name
+   */
+  async getDefaultDomain() {
+    const response = await getActiveService().makeRequest('/domains');
+    const verified = (response.value || []).filter(domain => domain.isVerified);
+    const domain = verified.find(d => d.isDefault) || verified.find(d => d.isInitial) || verified[0];
+    return domain?.id || null;
+  }
+
+  /**
+   * Reduce a name to the characters allowed in a mailNickname
+   * "José María" becomes "josemaria"
+   */
+  normalizeNamePart(name) {
+    return (name || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9-]/g, '');
+  }
+
+  /**
+   * Check whether a UPN or mailNickname is already used in the directory
+   */
+  async isTaken(userPrincipalName, mailNickname) {
+    const upn = escapeODataString(userPrincipalName);
+    const response = await getActiveService().makeRequest(
+      `/users?$filter=userPrincipalName eq '${upn}' or mail eq '${upn}' or mailNickname eq '${escapeODataString(mailNickname)}'&$select=id`
+    );
+    return (response.value || []).length > 0;
+  }
+
+  /**
+   * Derive UPN and mailNickname for every row
+   * Rows that name their own UPN keep it and are flagged if it is taken; otherwise the
+   * nickname is first.last, with a number appended until it is free in the directory
+   * and not already claimed by an earlier row
+   * @param {Array} rows - Rows with firstName, lastName and optional upn
+   * @param {string} domain - Domain for derived UPNs
+   * @param {Function} onProgress - Progress callback (current, total)
+   * @returns {Promise<Array>} Rows with userPrincipalName, mailNickname, derivedFrom and identityError
+   */
+  async deriveIdentities(rows, domain, onProgress = null) {
+    const claimed = new Set();
+    const derived = [];
+
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      if (onProgress) onProgress(i + 1, rows.length);
+
+      if (row.upn) {
+        const mailNickname = row.upn.split('@')[0];
+        const key = row.upn.toLowerCase();
+        let identityError = null;
+        if (claimed.has(key)) {
+          identityError = 'UPN is used by an earlier row';
+        } else if (await this.isTaken(row.upn, mailNickname)) {
+          identityError = 'UPN is already in use';
+        }
+        claimed.add(key);
+        derived.push({ ...row, userPrincipalName: row.upn, mailNickname, derivedFrom: null, identityError });
+        continue;
+      }
+
+      const base = [this.normalizeNamePart(row.firstName), this.normalizeNamePart(row.lastName)]
+        .filter(Boolean)
+        .join('.');
+      if (!base || !domain) {
+        derived.push({
+          ...row,
+          userPrincipalName: '',
+          mailNickname: '',
+          derivedFrom: null,
+          identityError: base ? 'No verified domain to build the UPN from' : 'Name has no usable characters for a UPN',
+        });
+        continue;
+      }
+
+      let mailNickname = base;
+      let suffix = 1;
+      let identityError = null;
+      while (
+        claimed.has(`${mailNickname}@${domain}`.toLowerCase()) ||
+        await this.isTaken(`${mailNickname}@${domain}`, mailNickname)
+      ) {
+        suffix++;
+        if (suffix > MAX_NICKNAME_SUFFIX) {
+          identityError = `No free UPN found for ${base}`;
+          break;
+        }
+        mailNickname = `${base}${suffix}`;
+      }
+
+      const userPrincipalName = `${mailNickname}@${domain}`;
+      claimed.add(userPrincipalName.toLowerCase());
+      derived.push({
+        ...row,
+        userPrincipalName,
+        mailNickname,
+        derivedFrom: mailNickname !== base ? `${base}@${domain}` : null,
+        identityError,
+      });
+    }
+
+    return derived;
+  }
+
+  /**
+   * Resolve a manager's UPN or email to a user, caching lookups across rows
+   * @returns {Promise<Object|null>} User with id and displayName, or null if not found
+   */
+  async resolveManager(address) {
+    const key = address.toLowerCase();
+    if (!this.managerCache.has(key)) {
+      const escaped = escapeODataString(address);
+      const response = await getActiveService().makeRequest(
+        `/users?$filter=userPrincipalName eq '${escaped}' or mail eq '${escaped}'&$select=id,displayName,userPrincipalName`
+      );
+      this.managerCache.set(key, response.value?.[0] || null);
+    }
+    return this.managerCache.get(key);
+  }
+
+  /**
+   * Split a row's department groups into ones we can add members to and ones we must skip
+   * @param {string} department - Department name from the row
+   * @param {Array} availableGroups - Groups loaded by the wizard
+   */
+  resolveDepartmentGroups(department, availableGroups) {
+    const groups = { assignable: [], skippedDynamic: [], skippedOnPrem: [] };
+
+    getGroupsForDepartment(department).forEach(groupId => {
+      const group = availableGroups.find(g => g.id === groupId) || { id: groupId, displayName: 'Unknown Group' };
+      if (group.groupTypes?.includes('DynamicMembership')) {
+        groups.skippedDynamic.push({ id: group.id, displayName: group.displayName });
+      } else if (group.onPremisesSyncEnabled === true) {
+        groups.skippedOnPrem.push({ id: group.id, displayName: group.displayName });
+      } else {
+        groups.assignable.push({ id: group.id, displayName: group.displayName });
+      }
+    });
+
+    return groups;
+  }
+
+  /**
+   * Create and set up one hire
+   * On-premises hires are created through the Express AD endpoint; licenses, groups
+   * and manager are then left for after the account syncs, as in the single-user wizard
+   * @param {Object} row - Validated row with identity, manager, licenses and groups resolved
+   * @param {Object} options - { requirePasswordChange }
+   * @returns {Promise<{ userId: string|null, password: string|null, results: Array }>}
+   */
+  async onboardRow(row, options = {}) {
+    const service = getActiveService();
+    const password = generateTempPassword();
+    const results = [];
+
+    if (row.createInOnPremAD) {
+      try {
+        const adRequest = {
+          firstName: row.firstName,
+          lastName: row.lastName,
+          displayName: row.displayName,
+          email: row.userPrincipalName,
+          userPrincipalName: row.userPrincipalName,
+          samAccountName: row.mailNickname.substring(0, 20),
+          password,
+          department: row.department,
+          jobTitle: row.jobTitle,
+          changePasswordAtLogon: options.requirePasswordChange !== false,
+          enabled: true,
+        };
+        const response = await fetch(`${apiConfig.baseURL}/api/ad/create-user`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          body: JSON.stringify(adRequest),
+        });
+        const data = await response.json();
+        recordOnPremEvent('create-user', adRequest, response.ok && data.success, data.message);
+        if (!response.ok || !data.success) {
+          throw new Error(data.message || 'Failed to create user in on-premises AD');
+        }
+        results.push({
+          action: 'Create On-Prem AD User',
+          status: 'success',
+          message: `User ${row.displayName} created in on-premises AD`,
+        });
+        results.push({
+          action: 'Licenses, Groups and Manager',
+          status: 'skipped',
+          message: 'Apply after the account syncs to Azure AD (up to 30 minutes)',
+        });
+        return { userId: null, password, results };
+      } catch (error) {
+        results.push({ action: 'Create On-Prem AD User', status: 'error', message: error.message });
+        return { userId: null, password: null, results };
+      }
+    }
+
+    let userId;
+    try {
+      const newUser = await service.makeRequest('/users', {
+        method: 'POST',
+        body: JSON.stringify({
+          accountEnabled: true,
+          displayName: row.displayName,
+          givenName: row.firstName,
+          surname: row.lastName,
+          mailNickname: row.mailNickname,
+          userPrincipalName: row.userPrincipalName,
+          passwordProfile: {
+            forceChangePasswordNextSignIn: options.requirePasswordChange !== false,
+            password,
+          },
+          department: row.department || undefined,
+          jobTitle: row.jobTitle || undefined,
+          usageLocation: row.usageLocation || undefined,
+          employeeHireDate: row.startDate ? `${row.startDate}T00:00:00Z` : undefined,
+        }),
+      });
+      userId = newUser.id;
+      results.push({
+        action: 'Create Azure AD User',
+        status: 'success',
+        message: `User ${newUser.displayName} created as ${row.userPrincipalName}`,
+      });
+    } catch (error) {
+      results.push({ action: 'Create Azure AD User', status: 'error', message: error.message });
+      return { userId: null, password: null, results };
+    }
+
+    if (row.manager) {
+      try {
+        await service.makeRequest(`/users/${userId}/manager/$ref`, {
+          method: 'PUT',
+          body: JSON.stringify({ '@odata.id': `${GRAPH_BASE_URL}/users/${row.manager.id}` }),
+        });
+        results.push({ action: 'Set Manager', status: 'success', message: `Manager set to ${row.manager.displayName}` });
+      } catch (error) {
+        results.push({ action: 'Set Manager', status: 'error', message: error.message });
+      }
+    }
+
+    if (row.licenses.length > 0) {
+      try {
+        await service.makeRequest(`/users/${userId}/assignLicense`, {
+          method: 'POST',
+          body: JSON.stringify({
+            addLicenses: row.licenses.map(license => ({ skuId: license.skuId, disabledPlans: [] })),
+            removeLicenses: [],
+          }),
+        });
+        results.push({
+          action: 'License Assignment',
+          status: 'success',
+          message: `Assigned ${row.licenses.map(license => license.skuPartNumber).join(', ')}`,
+        });
+      } catch (error) {
+        results.push({ action: 'License Assignment', status: 'error', message: error.message });
+      }
+    }
+
+    const { assignable, skippedDynamic, skippedOnPrem } = row.groups;
+    if (assignable.length > 0) {
+      const added = [];
+      const failed = [];
+      for (const group of assignable) {
+        try {
+          await service.makeRequest(`/groups/${group.id}/members/$ref`, {
+            method: 'POST',
+            body: JSON.stringify({ '@odata.id': `${GRAPH_BASE_URL}/directoryObjects/${userId}` }),
+          });
+          added.push(group);
+        } catch (error) {
+          failed.push({ ...group, error: error.message });
+        }
+      }
+      results.push({
+        action: 'Group Membership',
+        status: failed.length === 0 ? 'success' : added.length > 0 ? 'warning' : 'error',
+        message: failed.length === 0
+          ? `Added to ${added.length} ${row.department} group(s)`
+          : `Added to ${added.length} group(s), ${failed.length} failed`,
+        details: { added, failed, skippedDynamic, skippedOnPrem },
+      });
+    }
+    if (skippedDynamic.length + skippedOnPrem.length > 0) {
+      results.push({
+        action: 'Groups Skipped',
+        status: 'skipped',
+        message: `${skippedDynamic.length} dynamic and ${skippedOnPrem.length} on-prem group(s) cannot be assigned directly`,
+        details: { skippedDynamic, skippedOnPrem },
+      });
+    }
+
+    return { userId, password, results };
+  }
+}
+
+// Export singleton instance
+export const bulkOnboardingService = new BulkOnboardingService();
@@ -3,6 +3,7 @@ import { isDemoMode } from '../config/authConfig';
 import { apiCache, CACHE_CONFIG } from '../utils/apiCache';
 import { logger } from '../utils/logger';
 import { getAppOnlyToken } from './convexService';
+import { auditGraphRequest } from './auditService';
 
 // Mock data for demo mode
 const MOCK_USERS = [
@@ -174,12 +175,28 @@ export class GraphService {
 
   /**
    * Generic method to make Graph API calls with retry logic and throttling handling
+   * Changes are recorded in the audit log
+   * @param {string} endpoint - The API endpoint (e.g., '/users')
+   * @param {Object} options - Fetch options
+   * @returns {Promise} API response
+   */
+  async makeRequest(endpoint, options = {}) {
+    return auditGraphRequest({
+      endpoint,
+      options,
+      send: () => this.sendRequest(endpoint, options),
+      readCurrent: (path) => this.sendRequest(path),
+    });
+  }
+
+  /**
+   * Send a Graph API request with retry logic, without auditing it
    * @param {string} endpoint - The API endpoint (e.g., '/users')
    * @param {Object} options - Fetch options
    * @param {number} retryCount - Current retry attempt (internal use)
    * @returns {Promise} API response
    */
-  async makeRequest(endpoint, options = {}, retryCount = 0) {
+  async sendRequest(endpoint, options = {}, retryCount = 0) {
     // Return mock data in demo mode
     if (isDemoMode()) {
       return this._getMockData(endpoint, options);
@@ -237,7 +254,7 @@ export class GraphService {
         await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
         
         // Retry the request
-        return this.makeRequest(endpoint, options, retryCount + 1);
+        return this.sendRequest(endpoint, options, retryCount + 1);
       }
 
       // Handle server errors with exponential backoff
@@ -246,7 +263,7 @@ export class GraphService {
         logger.warn(`Server error (${response.status}). Retrying after ${backoffDelay}ms... (Attempt ${retryCount + 1}/${this.maxRetries})`);
         
         await new Promise(resolve => setTimeout(resolve, backoffDelay));
-        return this.makeRequest(endpoint, options, retryCount + 1);
+        return this.sendRequest(endpoint, options, retryCount + 1);
       }
       
       if (!response.ok) {
@@ -306,12 +323,29 @@ export class GraphService {
   /**
    * Make a request to the Microsoft Graph BETA API
    * Use this only when the v1.0 endpoint is not available
+   * Changes are recorded in the audit log
+   * @param {string} endpoint - The API endpoint (e.g., '/security/vulnerabilities')
+   * @param {Object} options - Fetch options
+   * @returns {Promise} API response
+   */
+  async makeBetaRequest(endpoint, options = {}) {
+    return auditGraphRequest({
+      endpoint,
+      options,
+      apiVersion: 'beta',
+      send: () => this.sendBetaRequest(endpoint, options),
+      readCurrent: (path) => this.sendBetaRequest(path),
+    });
+  }
+
+  /**
+   * Send a request to the Microsoft Graph BETA API with retry logic, without auditing it
    * @param {string} endpoint - The API endpoint (e.g., '/security/vulnerabilities')
    * @param {Object} options - Fetch options
    * @param {number} retryCount - Current retry attempt (internal use)
    * @returns {Promise} API response
    */
-  async makeBetaRequest(endpoint, options = {}, retryCount = 0) {
+  async sendBetaRequest(endpoint, options = {}, retryCount = 0) {
     // Return mock data in demo mode
     if (isDemoMode()) {
       return this._getMockData(endpoint, options);
@@ -350,7 +384,7 @@ export class GraphService {
         logger.warn(`Rate limited. Retrying after ${retryAfter} seconds... (Attempt ${retryCount + 1}/${this.maxRetries})`);
         
         await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-        return this.makeBetaRequest(endpoint, options, retryCount + 1);
+        return this.sendBetaRequest(endpoint, options, retryCount + 1);
       }
       
       // Handle server errors with exponential backoff
@@ -359,7 +393,7 @@ export class GraphService {
         logger.warn(`Server error (${response.status}). Retrying after ${backoffDelay}ms... (Attempt ${retryCount + 1}/${this.maxRetries})`);
         
         await new Promise(resolve => setTimeout(resolve, backoffDelay));
-        return this.makeBetaRequest(endpoint, options, retryCount + 1);
+        return this.sendBetaRequest(endpoint, options, retryCount + 1);
       }
       
       if (!response.ok) {
@@ -1366,7 +1400,7 @@ export class GraphService {
 
   // Device Management Methods (Intune)
   async getUserDevices(userId) {
-    return this.makeRequest(`/deviceManagement/managedDevices?$filter=userPrincipalName eq '${userId}'&$select=id,deviceName,manufacturer,model,operatingSystem,osVersion,complianceState,lastSyncDateTime`);
+    return this.makeRequest(`/deviceManagement/managedDevices?$filter=userPrincipalName eq '${userId}'&$select=id,deviceName,manufacturer,model,operatingSystem,osVersion,complianceState,lastSyncDateTime,managedDeviceOwnerType`);
   }
 
   async retireDevice(deviceId) {
@@ -1410,33 +1444,6 @@ export class GraphService {
     return this.makeRequest(`/users/${userId}/drive/root/children?$select=id,name,file,folder,size,lastModifiedDateTime`);
   }
 
-  async transferFileOwnership(userId, newOwnerId, fileId) {
-    return this.makeRequest(`/drives/${userId}/items/${fileId}`, {
-      method: 'PATCH',
-      body: JSON.stringify({
-        '@microsoft.graph.downloadUrl': '',
-        'permissions': [{
-          'grantedTo': {
-            'user': {
-              'displayName': newOwnerId
-            }
-          },
-          'roles': ['owner']
-        }]
-      }),
-    });
-  }
-
-  async backupUserData(userId) {
-    // This would typically trigger a backup process
-    // For now, we'll return a placeholder response
-    return {
-      success: true,
-      message: 'Backup process initiated',
-      backupId: `backup_${userId}_${Date.now()}`,
-    };
-  }
-
   // Directory Methods
   async getUserDirectReports(userId) {
     return this.makeRequest(`/users/${userId}/directReports?$select=displayName,userPrincipalName,jobTitle`);
@@ -1,11 +1,32 @@
 /**
  * ADMX Import Service
- * Parse ADMX/ADML files and convert to Intune configuration policies
+ * Parse ADMX/ADML files, ingest them into Intune as imported administrative templates,
+ * and create policies from the definitions Intune ingested
  * Uses service factory to support both MSAL and Convex authentication modes
  */
 
 import { getActiveService } from '../serviceFactory';
 
+// Imported ADMX files and the policies built on them are only in the beta API
+const UPLOADED_FILES_ENDPOINT = '/deviceManagement/groupPolicyUploadedDefinitionFiles';
+const GRAPH_BETA_URL = 'https://graph.microsoft.com/beta';
+
+// Ingestion usually takes under a minute
+const INGESTION_POLL_MS = 5 * 1000;
+const INGESTION_TIMEOUT_MS = 5 * 60 * 1000;
+
+export const PRESENTATION_TYPES = {
+  text: '#microsoft.graph.groupPolicyPresentationText',
+  textBox: '#microsoft.graph.groupPolicyPresentationTextBox',
+  multiTextBox: '#microsoft.graph.groupPolicyPresentationMultiTextBox',
+  decimalTextBox: '#microsoft.graph.groupPolicyPresentationDecimalTextBox',
+  longDecimalTextBox: '#microsoft.graph.groupPolicyPresentationLongDecimalTextBox',
+  checkBox: '#microsoft.graph.groupPolicyPresentationCheckBox',
+  comboBox: '#microsoft.graph.groupPolicyPresentationComboBox',
+  dropdownList: '#microsoft.graph.groupPolicyPresentationDropdownList',
+  listBox: '#microsoft.graph.groupPolicyPresentationListBox'
+};
+
 class ADMXImportService {
   constructor() {
     this.parser = new DOMParser();
@@ -63,8 +84,12 @@ class ADMXImportService {
         policies.push(policyData);
       });
 
+      const target = xmlDoc.querySelector('policyNamespaces > target');
+
       return {
         policies,
+        targetPrefix: target?.getAttribute('prefix') || null,
+        targetNamespace: target?.getAttribute('namespace') || null,
         categories: this.parseCategories(xmlDoc),
         supportedOn: this.parseSupportedOn(xmlDoc)
       };
@@ -212,116 +237,211 @@ class ADMXImportService {
   }
 
   /**
-   * Convert ADMX policies to Intune configuration policy
-   * @param {Object} admxData - Parsed ADMX data
-   * @param {Object} admlStrings - Display strings from ADML
-   * @param {Array} selectedPolicies - Policy names to import
-   * @returns {Object} Intune policy object
+   * Get full category path for policy
    */
-  convertToIntunePolicy(admxData, admlStrings, selectedPolicies) {
-    const policies = admxData.policies.filter(p => 
-      selectedPolicies.includes(p.name)
-    );
-
-    // Group by category for organization
-    const settingsByCategory = {};
-    
-    policies.forEach(policy => {
-      const category = this.getCategoryPath(policy, admxData.categories);
-      
-      if (!settingsByCategory[category]) {
-        settingsByCategory[category] = [];
-      }
+  getCategoryPath(policy, categories) {
+    // Simplified - would need full category tree traversal
+    return 'Administrative Templates';
+  }
 
-      // Create setting instance
-      const setting = this.createSettingInstance(policy, admlStrings);
-      settingsByCategory[category].push(setting);
+  /**
+   * Read a file as base64, keeping its bytes as they are (ADML files are often UTF-16)
+   * @param {File} file
+   * @returns {Promise<string>}
+   */
+  readFileAsBase64(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result.substring(reader.result.indexOf(',') + 1));
+      reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+      reader.readAsDataURL(file);
     });
+  }
 
-    return {
-      name: 'Imported from ADMX',
-      description: 'Policy imported from ADMX template',
-      platforms: 'windows10',
-      technologies: 'mdm',
-      settings: this.flattenSettings(settingsByCategory)
-    };
+  /**
+   * Find an ADMX already uploaded to Intune for the same namespace
+   * Intune accepts one uploaded file per namespace
+   * @param {string} targetNamespace - From the ADMX's policyNamespaces/target
+   */
+  async findUploadedDefinitionFile(targetNamespace) {
+    const response = await getActiveService().makeBetaRequest(UPLOADED_FILES_ENDPOINT);
+    return (response?.value || []).find(file =>
+      file.targetNamespace?.toLowerCase() === targetNamespace?.toLowerCase()
+    ) || null;
   }
 
   /**
-   * Get full category path for policy
+   * Upload an ADMX/ADML pair to Intune's imported administrative templates
+   * @param {File} admxFile - The ADMX file
+   * @param {File} admlFile - Its ADML language file
+   * @param {string} languageCode - The ADML's language, e.g. en-US
+   * @returns {Promise<Object>} The uploaded definition file; ingestion continues in the background
    */
-  getCategoryPath(policy, categories) {
-    // Simplified - would need full category tree traversal
-    return 'Administrative Templates';
+  async uploadDefinitionFile(admxFile, admlFile, languageCode) {
+    try {
+      const [content, languageContent] = await Promise.all([
+        this.readFileAsBase64(admxFile),
+        this.readFileAsBase64(admlFile)
+      ]);
+
+      return await getActiveService().makeBetaRequest(UPLOADED_FILES_ENDPOINT, {
+        method: 'POST',
+        body: JSON.stringify({
+          fileName: admxFile.name,
+          content,
+          defaultLanguageCode: languageCode,
+          groupPolicyUploadedLanguageFiles: [{
+            fileName: admlFile.name,
+            languageCode,
+            content: languageContent
+          }]
+        })
+      });
+    } catch (error) {
+      console.error('ADMX upload error:', error);
+      throw new Error(`Failed to upload the ADMX to Intune: ${error.message}`);
+    }
   }
 
   /**
-   * Create Intune setting instance from ADMX policy
+   * Wait for Intune to finish ingesting an uploaded ADMX
+   * @param {string} fileId - Uploaded definition file ID
+   * @param {Function} onProgress - Progress callback (status)
+   * @returns {Promise<Object>} The definition file once it is available
    */
-  createSettingInstance(policy, admlStrings) {
-    const displayName = admlStrings[policy.displayName] || policy.displayName;
-    const description = admlStrings[policy.explainText] || policy.explainText;
-
-    const setting = {
-      '@odata.type': '#microsoft.graph.deviceManagementConfigurationSetting',
-      settingInstance: {
-        '@odata.type': '#microsoft.graph.deviceManagementConfigurationChoiceSettingInstance',
-        settingDefinitionId: this.generateSettingDefinitionId(policy),
-        choiceSettingValue: {
-          '@odata.type': '#microsoft.graph.deviceManagementConfigurationChoiceSettingValue',
-          value: 'enabled', // Default to enabled
-          children: []
-        }
+  async waitForIngestion(fileId, onProgress = null) {
+    const deadline = Date.now() + INGESTION_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+      const file = await getActiveService().makeBetaRequest(`${UPLOADED_FILES_ENDPOINT}/${fileId}`);
+      if (onProgress) onProgress(file.status);
+
+      if (file.status === 'available' || file.status === 'assigned') {
+        return file;
+      }
+      if (file.status === 'uploadFailed') {
+        throw new Error(await this.getIngestionError(fileId));
       }
-    };
 
-    // Add child settings for elements
-    policy.elements.forEach(element => {
-      const childSetting = this.createChildSetting(element, admlStrings);
-      if (childSetting) {
-        setting.settingInstance.choiceSettingValue.children.push(childSetting);
+      await new Promise(resolve => setTimeout(resolve, INGESTION_POLL_MS));
+    }
+
+    throw new Error('Intune is still processing the ADMX. Check again in a few minutes.');
+  }
+
+  /**
+   * Why ingestion failed, from the file's operations (a missing ADMX it depends on, for instance)
+   */
+  async getIngestionError(fileId) {
+    try {
+      const response = await getActiveService().makeBetaRequest(`${UPLOADED_FILES_ENDPOINT}/${fileId}/groupPolicyOperations`);
+      const details = (response?.value || [])
+        .filter(operation => operation.operationStatus === 'failed')
+        .map(operation => operation.statusDetails)
+        .filter(Boolean);
+      if (details.length > 0) {
+        return `Intune could not ingest the ADMX: ${details.join('; ')}`;
       }
-    });
+    } catch (error) {
+      console.warn('Could not read the ingestion operations:', error);
+    }
+    return 'Intune could not ingest the ADMX';
+  }
+
+  /**
+   * The policy definitions Intune ingested from an uploaded ADMX, with their presentations
+   * @param {string} fileId - Uploaded definition file ID
+   * @returns {Promise<Array>} Definitions sorted by category and name
+   */
+  async getIngestedDefinitions(fileId) {
+    const definitions = [];
+    let next = `${UPLOADED_FILES_ENDPOINT}/${fileId}/definitions?$expand=presentations`;
+
+    while (next) {
+      const response = await getActiveService().makeBetaRequest(next);
+      definitions.push(...(response?.value || []));
+      next = response?.['@odata.nextLink']?.replace(/^https:\/\/graph\.microsoft\.com\/beta/, '');
+    }
 
-    return setting;
+    return definitions.sort((a, b) =>
+      `${a.categoryPath}\\${a.displayName}`.localeCompare(`${b.categoryPath}\\${b.displayName}`)
+    );
   }
 
   /**
-   * Create child setting from element
+   * Value a presentation starts with, as edited in the tab
+   * Lists and multi-line text are edited one entry per line
    */
-  createChildSetting(element, admlStrings) {
-    const displayName = admlStrings[element.id] || element.id;
+  getDefaultPresentationValue(presentation) {
+    switch (presentation['@odata.type']) {
+      case PRESENTATION_TYPES.checkBox:
+        return presentation.defaultChecked ?? false;
+      case PRESENTATION_TYPES.decimalTextBox:
+      case PRESENTATION_TYPES.longDecimalTextBox:
+        return presentation.defaultValue ?? presentation.minValue ?? 0;
+      case PRESENTATION_TYPES.dropdownList:
+        return presentation.defaultItem?.value ?? presentation.items?.[0]?.value ?? '';
+      case PRESENTATION_TYPES.textBox:
+      case PRESENTATION_TYPES.comboBox:
+        return presentation.defaultValue ?? '';
+      default:
+        return '';
+    }
+  }
 
-    switch (element.type.toLowerCase()) {
-      case 'text':
+  /**
+   * Build the value Graph stores for one presentation of an enabled setting
+   * @returns {Object|null} Presentation value, or null for labels, which hold no value
+   */
+  createPresentationValue(definitionId, presentation, value) {
+    const binding = {
+      'presentation@odata.bind': `${GRAPH_BETA_URL}/deviceManagement/groupPolicyDefinitions('${definitionId}')/presentations('${presentation.id}')`
+    };
+    const lines = String(value ?? '').split('\n').map(line => line.trim()).filter(Boolean);
+
+    switch (presentation['@odata.type']) {
+      case PRESENTATION_TYPES.checkBox:
+        return { '@odata.type': '#microsoft.graph.groupPolicyPresentationValueBoolean', value: !!value, ...binding };
+
+      case PRESENTATION_TYPES.decimalTextBox:
+      case PRESENTATION_TYPES.longDecimalTextBox: {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < (presentation.minValue ?? 0) ||
+            (presentation.maxValue !== undefined && presentation.maxValue !== null && number > presentation.maxValue)) {
+          throw new Error(`${presentation.label || 'Value'} must be a whole number from ${presentation.minValue ?? 0} to ${presentation.maxValue}`);
+        }
         return {
-          '@odata.type': '#microsoft.graph.deviceManagementConfigurationSimpleSettingInstance',
-          settingDefinitionId: element.id,
-          simpleSettingValue: {
-            '@odata.type': '#microsoft.graph.deviceManagementConfigurationStringSettingValue',
-            value: ''
-          }
+          '@odata.type': presentation['@odata.type'] === PRESENTATION_TYPES.decimalTextBox
+            ? '#microsoft.graph.groupPolicyPresentationValueDecimal'
+            : '#microsoft.graph.groupPolicyPresentationValueLongDecimal',
+          value: number,
+          ...binding
         };
+      }
 
-      case 'decimal':
+      case PRESENTATION_TYPES.listBox:
+        // Lists with explicit values are entered as name=value, one per line
         return {
-          '@odata.type': '#microsoft.graph.deviceManagementConfigurationSimpleSettingInstance',
-          settingDefinitionId: element.id,
-          simpleSettingValue: {
-            '@odata.type': '#microsoft.graph.deviceManagementConfigurationIntegerSettingValue',
-            value: element.minValue || 0
-          }
+          '@odata.type': '#microsoft.graph.groupPolicyPresentationValueList',
+          values: lines.map(line => {
+            const separator = line.indexOf('=');
+            return presentation.explicitValue && separator > 0
+              ? { name: line.substring(0, separator).trim(), value: line.substring(separator + 1).trim() }
+              : { name: line, value: line };
+          }),
+          ...binding
         };
 
-      case 'enum':
-        return {
-          '@odata.type': '#microsoft.graph.deviceManagementConfigurationChoiceSettingInstance',
-          settingDefinitionId: element.id,
-          choiceSettingValue: {
-            '@odata.type': '#microsoft.graph.deviceManagementConfigurationChoiceSettingValue',
-            value: element.items[0]?.value?.value || ''
-          }
-        };
+      case PRESENTATION_TYPES.multiTextBox:
+        return { '@odata.type': '#microsoft.graph.groupPolicyPresentationValueMultiText', values: lines, ...binding };
+
+      case PRESENTATION_TYPES.textBox:
+      case PRESENTATION_TYPES.comboBox:
+      case PRESENTATION_TYPES.dropdownList:
+        if (presentation.required && String(value ?? '') === '') {
+          throw new Error(`${presentation.label || 'Value'} is required`);
+        }
+        return { '@odata.type': '#microsoft.graph.groupPolicyPresentationValueText', value: String(value ?? ''), ...binding };
 
       default:
         return null;
@@ -329,52 +449,50 @@ class ADMXImportService {
   }
 
   /**
-   * Generate setting definition ID
+   * Create an imported administrative template policy from ingested definitions
+   * @param {string} policyName - Policy name
+   * @param {Array} definitions - Ingested definitions, from getIngestedDefinitions
+   * @param {Object} configured - { [definitionId]: { enabled, values: { [presentationId]: value } } }
+   * @param {Object} options
+   * @param {string} options.description - Policy description
+   * @returns {Promise<Object>} The created policy
    */
-  generateSettingDefinitionId(policy) {
-    // Intune format: vendor_product_category_setting
-    return `device_vendor_msft_policy_config_${policy.name.toLowerCase().replace(/[^a-z0-9]/g, '_')}`;
-  }
-
-  /**
-   * Flatten settings tree
-   */
-  flattenSettings(settingsByCategory) {
-    const flattened = [];
-    
-    Object.entries(settingsByCategory).forEach(([category, settings]) => {
-      flattened.push(...settings);
-    });
+  async importToIntune(policyName, definitions, configured, options = {}) {
+    // Build every value first so a bad value stops the import before anything is created
+    const added = definitions
+      .filter(definition => configured[definition.id])
+      .map(definition => {
+        const setting = configured[definition.id];
+        return {
+          enabled: setting.enabled,
+          'definition@odata.bind': `${GRAPH_BETA_URL}/deviceManagement/groupPolicyDefinitions('${definition.id}')`,
+          presentationValues: setting.enabled
+            ? (definition.presentations || [])
+              .map(presentation => this.createPresentationValue(definition.id, presentation, setting.values?.[presentation.id]))
+              .filter(Boolean)
+            : []
+        };
+      });
 
-    return flattened;
-  }
+    if (added.length === 0) {
+      throw new Error('Enable or disable at least one setting');
+    }
 
-  /**
-   * Import ADMX as Intune configuration policy
-   */
-  async importToIntune(admxData, admlStrings, selectedPolicies, policyName, options = {}) {
     try {
-      // Convert to Intune format
-      const intunePolicy = this.convertToIntunePolicy(admxData, admlStrings, selectedPolicies);
-      intunePolicy.name = policyName;
-      
-      if (options.description) {
-        intunePolicy.description = options.description;
-      }
+      const policy = await getActiveService().makeBetaRequest('/deviceManagement/groupPolicyConfigurations', {
+        method: 'POST',
+        body: JSON.stringify({
+          displayName: policyName,
+          description: options.description || ''
+        })
+      });
 
-      // Create policy via Graph API
-      const response = await getActiveService().makeRequest(
-        '/deviceManagement/configurationPolicies',
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(intunePolicy)
-        }
-      );
+      await getActiveService().makeBetaRequest(`/deviceManagement/groupPolicyConfigurations/${policy.id}/updateDefinitionValues`, {
+        method: 'POST',
+        body: JSON.stringify({ added, updated: [], deletedIds: [] })
+      });
 
-      return response;
+      return { ...policy, settingCount: added.length };
     } catch (error) {
       console.error('Import to Intune error:', error);
       throw new Error(`Failed to import to Intune: ${error.message}`);
@@ -406,6 +524,10 @@ class ADMXImportService {
         errors.push('Missing policies element');
       }
 
+      if (!xmlDoc.querySelector('policyNamespaces > target')?.getAttribute('namespace')) {
+        errors.push('Missing policyNamespaces target namespace');
+      }
+
     } catch (error) {
       errors.push(`Parse error: ${error.message}`);
     }
@@ -0,0 +1,54 @@
+/**
+ * Intune Backup Service
+ * Backups taken on the server by schedule or on request (convex/intuneBackups.ts).
+ * A stored backup is the same document intuneExportService.exportPolicies builds, so it
+ * can be compared, imported or downloaded like an export file.
+ */
+
+import { api } from '../../convex/_generated/api';
+import { getSessionId } from '../convexService';
+
+const requireSessionId = () => {
+  const sessionId = getSessionId();
+  if (!sessionId) {
+    throw new Error('Session not found. Please log in again.');
+  }
+  return sessionId;
+};
+
+/**
+ * The tenant's backups, newest first
+ * @param {Object} convex - Convex client
+ * @returns {Promise<Array>} Backup records with their manifests
+ */
+export const listBackups = async (convex) => {
+  return await convex.query(api.intuneBackups.listBackups, { sessionId: requireSessionId() });
+};
+
+/**
+ * Fetch a completed backup's export document
+ * @param {Object} convex - Convex client
+ * @param {string} backupId - Backup record ID
+ * @returns {Promise<Object>} Export data, as from intuneExportService.exportPolicies
+ */
+export const loadBackup = async (convex, backupId) => {
+  const url = await convex.query(api.intuneBackups.getBackupUrl, { sessionId: requireSessionId(), backupId });
+  if (!url) {
+    throw new Error('The backup file is no longer stored');
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not download the backup (${response.status})`);
+  }
+  return await response.json();
+};
+
+/**
+ * One-line description of a backup for pickers and history lists
+ */
+export const describeBackup = (backup) => {
+  const taken = new Date(backup.startedAt).toLocaleString();
+  const count = backup.manifest?.statistics?.totalPolicies;
+  return `${taken} · ${backup.trigger === 'scheduled' ? 'Scheduled' : 'Manual'}${count !== undefined ? ` · ${count} policies` : ''}`;
+};
@@ -15,6 +15,21 @@ export const DIFF_TYPES = {
   UNCHANGED: 'unchanged'
 };
 
+// Properties Graph sets itself, or that the export adds alongside the policy
+const IGNORED_PROPERTIES = [
+  'id', 'createdDateTime', 'lastModifiedDateTime', 'version',
+  '_metadata', '_assignments', '_scriptContent', '@odata.context',
+  '@odata.type', 'roleScopeTagIds'
+];
+
+// A policy whose only changes are to these was renamed
+const NAME_PROPERTIES = ['displayName', 'name'];
+
+// Navigation properties fetched with the policy so they can be compared setting by setting
+const EXPANDED_PROPERTIES = {
+  configurationPolicies: 'settings'
+};
+
 class IntuneComparisonService {
   constructor() {
     this.comparisonCache = new Map();
@@ -33,7 +48,9 @@ class IntuneComparisonService {
         added: 0,
         removed: 0,
         modified: 0,
-        unchanged: 0
+        unchanged: 0,
+        renamed: 0,
+        duplicates: 0
       },
       details: {}
     };
@@ -66,6 +83,8 @@ class IntuneComparisonService {
         results.summary.removed += comparison.removed.length;
         results.summary.modified += comparison.modified.length;
         results.summary.unchanged += comparison.unchanged.length;
+        results.summary.renamed += comparison.modified.filter(item => item.renamed).length;
+        results.summary.duplicates += comparison.duplicates.length;
       }
 
       if (onProgress) onProgress(100, 100, 'Comparison complete!');
@@ -91,7 +110,9 @@ class IntuneComparisonService {
         added: 0,
         removed: 0,
         modified: 0,
-        unchanged: 0
+        unchanged: 0,
+        renamed: 0,
+        duplicates: 0
       },
       details: {}
     };
@@ -111,6 +132,8 @@ class IntuneComparisonService {
       results.summary.removed += comparison.removed.length;
       results.summary.modified += comparison.modified.length;
       results.summary.unchanged += comparison.unchanged.length;
+      results.summary.renamed += comparison.modified.filter(item => item.renamed).length;
+      results.summary.duplicates += comparison.duplicates.length;
     }
 
     return results;
@@ -118,6 +141,7 @@ class IntuneComparisonService {
 
   /**
    * Compare two lists of policies
+   * Policies are paired by matchPolicies; a pair whose name differs is reported as renamed
    */
   comparePolicyLists(currentPolicies, backupPolicies, policyType) {
     const added = [];
@@ -125,83 +149,178 @@ class IntuneComparisonService {
     const modified = [];
     const unchanged = [];
 
-    // Create name-based indexes
-    const currentByName = new Map();
-    const backupByName = new Map();
-
-    currentPolicies.forEach(p => {
-      const name = p.displayName || p.name;
-      if (name) currentByName.set(name, p);
-    });
-
-    backupPolicies.forEach(p => {
-      const name = p.displayName || p.name;
-      if (name) backupByName.set(name, p);
-    });
+    const { pairs, unmatchedCurrent, unmatchedBackup, duplicates } = this.matchPolicies(currentPolicies, backupPolicies);
 
     // Find added (in current but not in backup)
-    for (const [name, policy] of currentByName) {
-      if (!backupByName.has(name)) {
-        added.push({
-          name,
-          type: policyType,
-          diffType: DIFF_TYPES.ADDED,
-          current: this.extractKeyProperties(policy)
-        });
-      }
+    for (const policy of unmatchedCurrent) {
+      added.push({
+        name: this.getPolicyName(policy),
+        type: policyType,
+        diffType: DIFF_TYPES.ADDED,
+        current: this.extractKeyProperties(policy)
+      });
     }
 
     // Find removed (in backup but not in current)
-    for (const [name, policy] of backupByName) {
-      if (!currentByName.has(name)) {
-        removed.push({
-          name,
-          type: policyType,
-          diffType: DIFF_TYPES.REMOVED,
-          backup: this.extractKeyProperties(policy)
+    for (const policy of unmatchedBackup) {
+      removed.push({
+        name: this.getPolicyName(policy),
+        type: policyType,
+        diffType: DIFF_TYPES.REMOVED,
+        backup: this.extractKeyProperties(policy)
+      });
+    }
+
+    // Find modified/unchanged (in both)
+    for (const { current: currentPolicy, backup: backupPolicy, matchedBy } of pairs) {
+      const name = this.getPolicyName(currentPolicy);
+      const previousName = this.getPolicyName(backupPolicy);
+      const diff = this.compareProperties(currentPolicy, backupPolicy);
+      const match = {
+        name,
+        type: policyType,
+        matchedBy,
+        ...(name !== previousName && { renamed: true, previousName })
+      };
+
+      if (diff.changes.length > 0) {
+        modified.push({
+          ...match,
+          diffType: DIFF_TYPES.MODIFIED,
+          changes: diff.changes,
+          current: this.extractKeyProperties(currentPolicy),
+          backup: this.extractKeyProperties(backupPolicy)
+        });
+      } else {
+        unchanged.push({
+          ...match,
+          diffType: DIFF_TYPES.UNCHANGED,
+          current: this.extractKeyProperties(currentPolicy)
         });
       }
     }
 
-    // Find modified/unchanged (in both)
-    for (const [name, currentPolicy] of currentByName) {
-      if (backupByName.has(name)) {
-        const backupPolicy = backupByName.get(name);
-        const diff = this.compareProperties(currentPolicy, backupPolicy);
-
-        if (diff.changes.length > 0) {
-          modified.push({
-            name,
-            type: policyType,
-            diffType: DIFF_TYPES.MODIFIED,
-            changes: diff.changes,
-            current: this.extractKeyProperties(currentPolicy),
-            backup: this.extractKeyProperties(backupPolicy)
-          });
-        } else {
-          unchanged.push({
-            name,
-            type: policyType,
-            diffType: DIFF_TYPES.UNCHANGED,
-            current: this.extractKeyProperties(currentPolicy)
-          });
+    return { added, removed, modified, unchanged, duplicates };
+  }
+
+  /**
+   * Pair each backup policy with the tenant policy it corresponds to
+   * 1. Object ID, or the ID recorded in _metadata.originalId when the policy was exported
+   * 2. Same @odata.type and name; among policies sharing a name, the closest ones pair up
+   * 3. Same @odata.type and settings under another name, so renames show without matching IDs
+   * @returns {{ pairs: Array, unmatchedCurrent: Array, unmatchedBackup: Array, duplicates: Array }}
+   */
+  matchPolicies(currentPolicies, backupPolicies) {
+    const pairs = [];
+    const unmatchedCurrent = new Set(currentPolicies);
+    const unmatchedBackup = new Set(backupPolicies);
+    const pair = (current, backup, matchedBy) => {
+      pairs.push({ current, backup, matchedBy });
+      unmatchedCurrent.delete(current);
+      unmatchedBackup.delete(backup);
+    };
+    const sameType = (a, b) => (a['@odata.type'] || '') === (b['@odata.type'] || '');
+
+    const currentById = new Map();
+    currentPolicies.forEach(policy => {
+      this.getPolicyIds(policy).forEach(id => {
+        if (!currentById.has(id)) currentById.set(id, policy);
+      });
+    });
+    for (const backup of backupPolicies) {
+      const match = this.getPolicyIds(backup)
+        .map(id => currentById.get(id))
+        .find(policy => policy && unmatchedCurrent.has(policy) && sameType(policy, backup));
+      if (match) pair(match, backup, 'id');
+    }
+
+    const currentByKey = this.groupByTypeAndName([...unmatchedCurrent]);
+    for (const [key, backups] of this.groupByTypeAndName([...unmatchedBackup])) {
+      const candidates = currentByKey.get(key) || [];
+      while (backups.length > 0 && candidates.length > 0) {
+        let best = null;
+        for (const backup of backups) {
+          for (const current of candidates) {
+            const changeCount = this.compareProperties(current, backup).changes.length;
+            if (!best || changeCount < best.changeCount) best = { backup, current, changeCount };
+          }
         }
+        backups.splice(backups.indexOf(best.backup), 1);
+        candidates.splice(candidates.indexOf(best.current), 1);
+        pair(best.current, best.backup, 'name');
+      }
+    }
+
+    const hasContent = policy =>
+      Object.keys(policy).some(key => !IGNORED_PROPERTIES.includes(key) && !NAME_PROPERTIES.includes(key));
+    const isRenameOf = (current, backup) => {
+      if (!sameType(current, backup) || !hasContent(backup)) return false;
+      const { changes } = this.compareProperties(current, backup);
+      return changes.length > 0 && changes.every(change => NAME_PROPERTIES.includes(change.property));
+    };
+    const renames = [...unmatchedBackup]
+      .map(backup => ({ backup, matches: [...unmatchedCurrent].filter(current => isRenameOf(current, backup)) }))
+      .filter(({ matches }) => matches.length === 1);
+    for (const { backup, matches: [current] } of renames) {
+      // Identical policies could be any of each other's renames; leave those unpaired
+      if (unmatchedCurrent.has(current) && renames.filter(({ matches }) => matches[0] === current).length === 1) {
+        pair(current, backup, 'content');
       }
     }
 
-    return { added, removed, modified, unchanged };
+    return {
+      pairs,
+      unmatchedCurrent: [...unmatchedCurrent],
+      unmatchedBackup: [...unmatchedBackup],
+      duplicates: [
+        ...this.findDuplicates(currentPolicies, 'current'),
+        ...this.findDuplicates(backupPolicies, 'backup')
+      ]
+    };
+  }
+
+  /**
+   * Policies that share an @odata.type and name, which Intune allows
+   */
+  findDuplicates(policies, side) {
+    return [...this.groupByTypeAndName(policies).values()]
+      .filter(group => group.length > 1)
+      .map(group => ({
+        name: this.getPolicyName(group[0]),
+        odataType: group[0]['@odata.type'],
+        side,
+        count: group.length,
+        ids: group.map(policy => policy.id)
+      }));
+  }
+
+  groupByTypeAndName(policies) {
+    const groups = new Map();
+    policies.forEach(policy => {
+      const name = this.getPolicyName(policy);
+      if (!name) return;
+      const key = `${policy['@odata.type'] || ''}|${name}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(policy);
+    });
+    return groups;
+  }
+
+  getPolicyName(policy) {
+    return policy.displayName || policy.name;
+  }
+
+  getPolicyIds(policy) {
+    return [...new Set([policy.id, policy._metadata?.originalId].filter(Boolean))];
   }
 
   /**
    * Compare individual policy properties
+   * Settings Catalog settings are compared setting by setting; when one side was exported
+   * without its settings they are left out rather than reported as all added or removed
    */
   compareProperties(policy1, policy2) {
     const changes = [];
-    const ignore = [
-      'id', 'createdDateTime', 'lastModifiedDateTime', 'version',
-      '_metadata', '_assignments', '_scriptContent', '@odata.context',
-      '@odata.type', 'roleScopeTagIds'
-    ];
 
     // Get all unique keys
     const allKeys = new Set([
@@ -210,11 +329,18 @@ class IntuneComparisonService {
     ]);
 
     for (const key of allKeys) {
-      if (ignore.includes(key)) continue;
+      if (IGNORED_PROPERTIES.includes(key)) continue;
 
       const value1 = policy1[key];
       const value2 = policy2[key];
 
+      if (key === 'settings' && (Array.isArray(value1) || Array.isArray(value2))) {
+        if (Array.isArray(value1) && Array.isArray(value2)) {
+          changes.push(...this.compareSettings(value1, value2));
+        }
+        continue;
+      }
+
       if (!this.isEqual(value1, value2)) {
         changes.push({
           property: key,
@@ -228,6 +354,67 @@ class IntuneComparisonService {
     return { changes };
   }
 
+  /**
+   * Setting-level differences between two Settings Catalog settings arrays
+   * Each change is named after the setting definition path, e.g. "settings: device_vendor_msft_bitlocker_requiredeviceencryption"
+   */
+  compareSettings(currentSettings, backupSettings) {
+    const current = this.flattenSettings(currentSettings);
+    const backup = this.flattenSettings(backupSettings);
+    const changes = [];
+
+    for (const path of new Set([...current.keys(), ...backup.keys()])) {
+      const value1 = current.get(path);
+      const value2 = backup.get(path);
+      if (!this.isEqual(value1, value2)) {
+        changes.push({
+          property: `settings: ${path}`,
+          currentValue: this.formatValue(value1),
+          backupValue: this.formatValue(value2),
+          type: this.getChangeType(value1, value2)
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Map of setting definition path to configured value for a settings array
+   */
+  flattenSettings(settings) {
+    const values = new Map();
+    settings.forEach(setting => {
+      if (setting?.settingInstance) this.flattenSettingInstance(setting.settingInstance, '', values);
+    });
+    return values;
+  }
+
+  flattenSettingInstance(instance, parentPath, values) {
+    const path = parentPath ? `${parentPath} > ${instance.settingDefinitionId}` : instance.settingDefinitionId;
+    const flattenChildren = (children, childPath) => {
+      (children || []).forEach(child => this.flattenSettingInstance(child, childPath, values));
+    };
+
+    if (instance.choiceSettingValue) {
+      values.set(path, instance.choiceSettingValue.value);
+      flattenChildren(instance.choiceSettingValue.children, path);
+    } else if (instance.simpleSettingValue) {
+      values.set(path, instance.simpleSettingValue.value);
+    } else if (instance.choiceSettingCollectionValue) {
+      values.set(path, instance.choiceSettingCollectionValue.map(item => item.value));
+      instance.choiceSettingCollectionValue.forEach((item, i) => flattenChildren(item.children, `${path}[${i}]`));
+    } else if (instance.simpleSettingCollectionValue) {
+      values.set(path, instance.simpleSettingCollectionValue.map(item => item.value));
+    } else if (instance.groupSettingValue) {
+      flattenChildren(instance.groupSettingValue.children, path);
+    } else if (instance.groupSettingCollectionValue) {
+      instance.groupSettingCollectionValue.forEach((item, i) => flattenChildren(item.children, `${path}[${i}]`));
+    } else {
+      values.set(path, null);
+    }
+  }
+
   /**
    * Check if two values are equal (deep comparison)
    */
@@ -289,7 +476,10 @@ class IntuneComparisonService {
    */
   async fetchCurrentPolicies(policyType) {
     try {
-      const endpoint = this.getEndpointForType(policyType);
+      let endpoint = this.getEndpointForType(policyType);
+      if (EXPANDED_PROPERTIES[policyType]) {
+        endpoint += `?$expand=${EXPANDED_PROPERTIES[policyType]}`;
+      }
       const response = await getActiveService().makeRequest(endpoint);
       return response.value || [];
     } catch (error) {
@@ -344,7 +534,9 @@ class IntuneComparisonService {
     report += `  Added: ${results.summary.added}\n`;
     report += `  Removed: ${results.summary.removed}\n`;
     report += `  Modified: ${results.summary.modified}\n`;
-    report += `  Unchanged: ${results.summary.unchanged}\n\n`;
+    report += `  Unchanged: ${results.summary.unchanged}\n`;
+    report += `  Renamed: ${results.summary.renamed || 0}\n`;
+    report += `  Duplicate names: ${results.summary.duplicates || 0}\n\n`;
 
     for (const [policyType, details] of Object.entries(results.details)) {
       report += `\n=== ${policyType} ===\n`;
@@ -366,12 +558,19 @@ class IntuneComparisonService {
       if (details.modified.length > 0) {
         report += `\nMODIFIED (${details.modified.length}):\n`;
         details.modified.forEach(p => {
-          report += `  ~ ${p.name} (${p.changes.length} changes)\n`;
+          report += `  ~ ${p.name}${p.renamed ? ` (renamed from ${p.previousName})` : ''} (${p.changes.length} changes)\n`;
           p.changes.forEach(c => {
             report += `      ${c.property}: ${c.backupValue} → ${c.currentValue}\n`;
           });
         });
       }
+
+      if (details.duplicates?.length > 0) {
+        report += `\nDUPLICATE NAMES (${details.duplicates.length}):\n`;
+        for (const d of details.duplicates) {
+          report += `  ! ${d.name}: ${d.count} policies in the ${d.side === 'current' ? 'tenant' : 'backup'}\n`;
+        }
+      }
     }
 
     return report;
@@ -462,7 +661,7 @@ class IntuneComparisonService {
           <h3 style="color: #ffc107;">~ Modified (${details.modified.length})</h3>
           ${details.modified.map(p => `
             <div class="policy-item modified">
-              <div class="policy-name">~ ${p.name}</div>
+              <div class="policy-name">~ ${p.name}${p.renamed ? ` (renamed from ${p.previousName})` : ''}</div>
               <div class="change-list">
                 ${p.changes.map(c => `
                   <div class="change-item">
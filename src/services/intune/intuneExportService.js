@@ -8,6 +8,7 @@
 import { getActiveService } from '../serviceFactory';
 
 // Policy type definitions with Graph API endpoints
+// Scheduled backups export the same types on the server (convex/intuneExport.ts); keep the two in step
 const POLICY_TYPES = {
   deviceConfigurations: {
     endpoint: '/deviceManagement/deviceConfigurations',
@@ -25,7 +26,8 @@ const POLICY_TYPES = {
     endpoint: '/deviceManagement/configurationPolicies',
     name: 'Settings Catalog',
     folder: 'SettingsCatalog',
-    supportsAssignments: true
+    supportsAssignments: true,
+    expand: 'settings'
   },
   mobileApps: {
     endpoint: '/deviceAppManagement/mobileApps',
@@ -206,8 +208,15 @@ class IntuneExportService {
       if (onProgress) onProgress(0, 'Fetching policies...');
       
       let endpoint = typeConfig.endpoint;
+      const query = [];
       if (typeConfig.filter) {
-        endpoint += `?$filter=${encodeURIComponent(typeConfig.filter)}`;
+        query.push(`$filter=${encodeURIComponent(typeConfig.filter)}`);
+      }
+      if (typeConfig.expand) {
+        query.push(`$expand=${typeConfig.expand}`);
+      }
+      if (query.length > 0) {
+        endpoint += `?${query.join('&')}`;
       }
 
       const response = await getActiveService().makeRequest(endpoint);
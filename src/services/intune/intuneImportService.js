@@ -280,6 +280,7 @@ class IntuneImportService {
 
   /**
    * Update existing policy
+   * Settings Catalog settings cannot be patched; a policy exported with them is replaced whole
    */
   async updatePolicy(endpoint, policyId, policy) {
     try {
@@ -287,7 +288,7 @@ class IntuneImportService {
       const cleanedPolicy = this.cleanPolicyForImport(policy);
       
       await getActiveService().makeRequest(updateEndpoint, {
-        method: 'PATCH',
+        method: Array.isArray(cleanedPolicy.settings) ? 'PUT' : 'PATCH',
         body: JSON.stringify(cleanedPolicy)
       });
       
@@ -0,0 +1,666 @@
+/**
+ * Intune Migration Service
+ * Copies Intune configuration from one tenant to another
+ * Source and destination are signed in to separately. Groups, assignment filters and
+ * scope tags are matched by name, then objects are created in dependency order
+ * (scope tags → filters → apps → policies → policy sets) so references can be rewritten.
+ */
+
+import { msalInstance, intuneMigrationRequest } from '../../config/msalConfig';
+import { MSALGraphService } from '../msalGraphService';
+import { getActiveService } from '../serviceFactory';
+import { intuneExportService } from './intuneExportService';
+import { intuneImportService, IMPORT_MODES } from './intuneImportService';
+
+export const MIGRATION_STEPS = {
+  scopeTags: 'Scope tags',
+  filters: 'Assignment filters',
+  apps: 'Applications',
+  policies: 'Policies',
+  policySets: 'Policy sets'
+};
+
+// Choice in the mapping tables for a scope tag or filter that should be created in the destination
+export const CREATE_IN_DESTINATION = 'create';
+
+// Types that are not copied as policies: scope tags and apps have their own steps
+const EXCLUDED_TYPES = ['scopeTags', 'roleDefinitions', 'conditionalAccessPolicies'];
+
+// Assignment filters are only in the beta API
+const FILTERS_ENDPOINT = '/deviceManagement/assignmentFilters';
+const SCOPE_TAGS_ENDPOINT = '/deviceManagement/roleScopeTags';
+const DEFAULT_SCOPE_TAG_ID = '0';
+const GRAPH_BETA_URL = 'https://graph.microsoft.com/beta';
+
+// Navigation properties read with each policy so nothing is lost in the copy
+const SOURCE_EXPAND = {
+  compliancePolicies: 'scheduledActionsForRule($expand=scheduledActionConfigurations)',
+  configurationPolicies: 'settings',
+  policySets: 'items'
+};
+
+// Certificates a profile points to; they are bound to the copied certificate profiles in the destination
+const CERTIFICATE_REFERENCES = [
+  { pattern: /scep/i, properties: ['rootCertificate'] },
+  { pattern: /wifi|eap/i, properties: ['rootCertificateForServerValidation', 'rootCertificatesForServerValidation', 'identityCertificateForClientAuthentication'] },
+  { pattern: /vpn/i, properties: ['identityCertificate'] }
+];
+
+// App types that are created from their metadata alone; the rest need their content uploaded
+const CREATABLE_APP_TYPES = [
+  '#microsoft.graph.iosStoreApp',
+  '#microsoft.graph.androidStoreApp',
+  '#microsoft.graph.webApp',
+  '#microsoft.graph.windowsWebApp',
+  '#microsoft.graph.winGetApp',
+  '#microsoft.graph.officeSuiteApp',
+  '#microsoft.graph.macOSOfficeSuiteApp',
+  '#microsoft.graph.windowsMicrosoftEdgeApp',
+  '#microsoft.graph.macOSMicrosoftEdgeApp'
+];
+
+const APP_READ_ONLY_PROPERTIES = [
+  'uploadState', 'publishingState', 'isAssigned', 'dependentAppCount',
+  'supersedingAppCount', 'supersededAppCount', 'committedContentVersion', 'size'
+];
+
+const sortCertificatesFirst = (policy) => {
+  const type = policy['@odata.type'] || '';
+  if (/trusted(root)?certificate/i.test(type)) return 0;
+  if (/scep|pkcs/i.test(type)) return 1;
+  return 2;
+};
+
+const policyName = (policy) => policy.displayName || policy.name || policy.id;
+
+class IntuneMigrationService {
+  /**
+   * Sign in to a tenant in a popup and return a connection to its Graph API
+   * The portal's own sign-in stays the active account
+   * @returns {Promise<Object>} { tenantId, name, account, service }
+   */
+  async connectTenant() {
+    const previousAccount = msalInstance.getActiveAccount();
+    const response = await msalInstance.acquireTokenPopup({
+      ...intuneMigrationRequest,
+      prompt: 'select_account'
+    });
+    if (previousAccount) {
+      msalInstance.setActiveAccount(previousAccount);
+    }
+
+    const account = response.account;
+    const service = new MSALGraphService();
+    service.setGetTokenFunction(async () => {
+      try {
+        return (await msalInstance.acquireTokenSilent({ ...intuneMigrationRequest, account })).accessToken;
+      } catch (error) {
+        return (await msalInstance.acquireTokenPopup({ ...intuneMigrationRequest, account })).accessToken;
+      }
+    });
+
+    return await this.describeConnection(service, account.username, account.tenantId);
+  }
+
+  /**
+   * Connection to the tenant the portal is signed in to
+   */
+  async connectCurrentTenant() {
+    return await this.describeConnection(getActiveService(), 'Signed-in tenant');
+  }
+
+  async describeConnection(service, account, tenantId = null) {
+    const organization = await service.makeRequest('/organization?$select=id,displayName');
+    const org = organization.value?.[0];
+    return {
+      tenantId: org?.id || tenantId,
+      name: org?.displayName || tenantId,
+      account,
+      service
+    };
+  }
+
+  /**
+   * Types that can be migrated, in the order they are created
+   */
+  getMigratableTypes() {
+    return intuneExportService.getAvailablePolicyTypes()
+      .filter(type => !EXCLUDED_TYPES.includes(type.key));
+  }
+
+  /**
+   * Read the selected types from the source and match what they depend on in the destination
+   * @param {Object} source - Source connection
+   * @param {Object} destination - Destination connection
+   * @param {Array<string>} selectedTypes - Policy type keys
+   * @param {Function} onProgress - Progress callback (message)
+   * @returns {Promise<Object>} Migration plan; its groups, filters and scope tags can be remapped before migrate()
+   */
+  async analyze(source, destination, selectedTypes, onProgress = null) {
+    if (source.tenantId && source.tenantId === destination.tenantId) {
+      throw new Error('The source and destination are the same tenant');
+    }
+
+    const objects = {};
+    for (const type of this.getMigratableTypes().filter(type => selectedTypes.includes(type.key))) {
+      if (onProgress) onProgress(`Reading ${type.name}...`);
+      objects[type.key] = await this.readSourceObjects(source.service, type.key, type);
+    }
+    if (objects.deviceConfigurations) {
+      objects.deviceConfigurations.sort((a, b) => sortCertificatesFirst(a) - sortCertificatesFirst(b));
+    }
+
+    const all = Object.values(objects).flat();
+    const assignments = all.flatMap(object => object._assignments || []);
+
+    if (onProgress) onProgress('Matching groups...');
+    const groups = await this.matchGroups(source, destination, assignments);
+
+    if (onProgress) onProgress('Matching assignment filters...');
+    const filters = await this.matchFilters(source, destination, assignments);
+
+    if (onProgress) onProgress('Matching scope tags...');
+    const scopeTags = await this.matchScopeTags(source, destination, [
+      ...all.flatMap(object => object.roleScopeTagIds || []),
+      ...filters.flatMap(filter => filter.roleScopeTags || [])
+    ]);
+
+    if (onProgress) onProgress('Matching referenced apps...');
+    const referencedApps = await this.matchReferencedApps(source, destination, objects);
+
+    return {
+      source,
+      destination,
+      objects,
+      groups,
+      filters,
+      scopeTags,
+      referencedApps,
+      policyCount: all.length
+    };
+  }
+
+  async listAll(service, endpoint, { beta = false } = {}) {
+    const request = (path) => (beta ? service.makeBetaRequest(path) : service.makeRequest(path));
+    const items = [];
+    let next = endpoint;
+    while (next) {
+      const response = await request(next);
+      items.push(...(response.value || []));
+      next = response['@odata.nextLink']?.replace(/^https:\/\/graph\.microsoft\.com\/(v1\.0|beta)/, '');
+    }
+    return items;
+  }
+
+  async readSourceObjects(service, policyType, typeConfig) {
+    const query = [];
+    if (typeConfig.filter) query.push(`$filter=${encodeURIComponent(typeConfig.filter)}`);
+    if (SOURCE_EXPAND[policyType]) query.push(`$expand=${SOURCE_EXPAND[policyType]}`);
+    const policies = await this.listAll(service, `${typeConfig.endpoint}${query.length > 0 ? `?${query.join('&')}` : ''}`);
+
+    const objects = [];
+    for (const listed of policies) {
+      // Script content is only returned when a script is read on its own
+      const policy = typeConfig.includeContent
+        ? await service.makeRequest(`${typeConfig.endpoint}/${listed.id}`)
+        : listed;
+
+      const object = { ...policy, '@odata.type': listed['@odata.type'] || policy['@odata.type'] };
+      if (typeConfig.supportsAssignments) {
+        try {
+          object._assignments = await this.listAll(service, `${typeConfig.endpoint}/${listed.id}/assignments`);
+        } catch (error) {
+          console.warn(`Could not read assignments for ${policyName(listed)}:`, error);
+          object._assignments = [];
+        }
+      }
+      if (policyType === 'deviceConfigurations') {
+        object._certificates = await this.readCertificateReferences(service, typeConfig.endpoint, object);
+      }
+      objects.push(object);
+    }
+    return objects;
+  }
+
+  async readCertificateReferences(service, endpoint, policy) {
+    const odataType = (policy['@odata.type'] || '').replace('#', '');
+    const properties = CERTIFICATE_REFERENCES
+      .filter(reference => reference.pattern.test(odataType))
+      .flatMap(reference => reference.properties);
+
+    const references = [];
+    for (const property of properties) {
+      try {
+        const response = await service.makeRequest(`${endpoint}/${policy.id}/${odataType}/${property}`);
+        const collection = Array.isArray(response?.value);
+        const ids = collection ? response.value.map(item => item.id) : [response?.id].filter(Boolean);
+        if (ids.length > 0) references.push({ property, collection, ids });
+      } catch (error) {
+        // Not every profile of the type has every reference
+      }
+    }
+    return references;
+  }
+
+  async matchGroups(source, destination, assignments) {
+    const groupIds = [...new Set(assignments.map(assignment => assignment.target?.groupId).filter(Boolean))];
+    if (groupIds.length === 0) return [];
+
+    const sourceGroups = [];
+    for (let i = 0; i < groupIds.length; i += 1000) {
+      const response = await source.service.makeRequest('/directoryObjects/getByIds', {
+        method: 'POST',
+        body: JSON.stringify({ ids: groupIds.slice(i, i + 1000), types: ['group'] })
+      });
+      sourceGroups.push(...(response.value || []));
+    }
+    const namesById = Object.fromEntries(sourceGroups.map(group => [group.id, group.displayName]));
+
+    const groups = [];
+    for (const sourceId of groupIds) {
+      const name = namesById[sourceId];
+      let match = null;
+      if (name) {
+        const response = await destination.service.makeRequest(
+          `/groups?$filter=${encodeURIComponent(`displayName eq '${name.replace(/'/g, "''")}'`)}&$select=id,displayName`
+        );
+        // Only an unambiguous name is matched automatically
+        if (response.value?.length === 1) match = response.value[0];
+      }
+      groups.push({
+        sourceId,
+        name: name || sourceId,
+        target: match?.id || null,
+        targetName: match?.displayName || null
+      });
+    }
+    return groups;
+  }
+
+  /**
+   * Destination groups whose name starts with the text, for choosing a group by hand
+   */
+  async searchDestinationGroups(destination, text) {
+    const response = await destination.service.makeRequest(
+      `/groups?$filter=${encodeURIComponent(`startswith(displayName,'${text.replace(/'/g, "''")}')`)}&$select=id,displayName&$top=25`
+    );
+    return response.value || [];
+  }
+
+  async matchFilters(source, destination, assignments) {
+    const filterIds = new Set(assignments
+      .map(assignment => assignment.target?.deviceAndAppManagementAssignmentFilterId)
+      .filter(id => id && id !== '00000000-0000-0000-0000-000000000000'));
+    if (filterIds.size === 0) return [];
+
+    const sourceFilters = (await this.listAll(source.service, FILTERS_ENDPOINT, { beta: true }))
+      .filter(filter => filterIds.has(filter.id));
+    const destinationFilters = await this.listAll(destination.service, FILTERS_ENDPOINT, { beta: true });
+
+    return sourceFilters.map(filter => {
+      const match = destinationFilters.find(candidate =>
+        candidate.displayName === filter.displayName && candidate.platform === filter.platform);
+      return {
+        sourceId: filter.id,
+        name: filter.displayName,
+        platform: filter.platform,
+        description: filter.description,
+        rule: filter.rule,
+        roleScopeTags: filter.roleScopeTags,
+        target: match?.id || CREATE_IN_DESTINATION,
+        options: destinationFilters.filter(candidate => candidate.platform === filter.platform)
+      };
+    });
+  }
+
+  async matchScopeTags(source, destination, scopeTagIds) {
+    const ids = new Set(scopeTagIds.filter(id => id !== DEFAULT_SCOPE_TAG_ID));
+    if (ids.size === 0) return [];
+
+    const sourceTags = (await this.listAll(source.service, SCOPE_TAGS_ENDPOINT)).filter(tag => ids.has(tag.id));
+    const destinationTags = await this.listAll(destination.service, SCOPE_TAGS_ENDPOINT);
+
+    return sourceTags.map(tag => {
+      const match = destinationTags.find(candidate => candidate.displayName === tag.displayName);
+      return {
+        sourceId: tag.id,
+        name: tag.displayName,
+        description: tag.description,
+        target: match?.id || CREATE_IN_DESTINATION,
+        options: destinationTags
+      };
+    });
+  }
+
+  /**
+   * Apps that policies point to but that are not being migrated; they are matched by name and type
+   */
+  async matchReferencedApps(source, destination, objects) {
+    const migrated = new Set((objects.mobileApps || []).map(app => app.id));
+    const referenced = new Set([
+      ...(objects.appConfigurationPolicies || []).flatMap(policy => policy.targetedMobileApps || []),
+      ...(objects.policySets || []).flatMap(set => (set.items || [])
+        .filter(item => item['@odata.type']?.includes('mobileAppPolicySetItem'))
+        .map(item => item.payloadId))
+    ]);
+
+    const apps = [];
+    for (const appId of referenced) {
+      if (migrated.has(appId)) continue;
+      try {
+        const app = await source.service.makeRequest(`/deviceAppManagement/mobileApps/${appId}?$select=id,displayName`);
+        const match = await this.findExisting(destination.service, '/deviceAppManagement/mobileApps', app.displayName);
+        apps.push({ sourceId: appId, name: app.displayName, target: match?.id || null });
+      } catch (error) {
+        apps.push({ sourceId: appId, name: appId, target: null });
+      }
+    }
+    return apps;
+  }
+
+  async findExisting(service, endpoint, name, odataType = null) {
+    try {
+      const property = endpoint === '/deviceManagement/configurationPolicies' ? 'name' : 'displayName';
+      const response = await service.makeRequest(
+        `${endpoint}?$filter=${encodeURIComponent(`${property} eq '${name.replace(/'/g, "''")}'`)}`
+      );
+      return (response.value || []).find(item => !odataType || !item['@odata.type'] || item['@odata.type'] === odataType) || null;
+    } catch (error) {
+      console.warn(`Could not look for ${name} in the destination:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Create the plan's objects in the destination, in dependency order
+   * @param {Object} plan - From analyze(), with any mappings changed by hand
+   * @param {Object} options
+   * @param {string} options.mode - IMPORT_MODES.SKIP reuses same-named objects; IMPORT_MODES.ALWAYS creates copies
+   * @param {Function} onProgress - Progress callback (current, total, message)
+   * @returns {Promise<Object>} Migration report
+   */
+  async migrate(plan, options = {}, onProgress = null) {
+    const mode = options.mode || IMPORT_MODES.SKIP;
+    const destination = plan.destination.service;
+    const report = {
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      source: { tenantId: plan.source.tenantId, name: plan.source.name },
+      destination: { tenantId: plan.destination.tenantId, name: plan.destination.name },
+      mode,
+      items: [],
+      summary: {}
+    };
+    const record = (item) => report.items.push({ warnings: [], ...item });
+
+    const ids = {
+      groups: Object.fromEntries(plan.groups.filter(group => group.target).map(group => [group.sourceId, group.target])),
+      scopeTags: { [DEFAULT_SCOPE_TAG_ID]: DEFAULT_SCOPE_TAG_ID },
+      filters: {},
+      objects: Object.fromEntries(plan.referencedApps.filter(app => app.target).map(app => [app.sourceId, app.target]))
+    };
+
+    const total = plan.scopeTags.length + plan.filters.length + plan.policyCount;
+    let current = 0;
+    const progress = (message) => {
+      current++;
+      if (onProgress) onProgress(Math.round((current / Math.max(total, 1)) * 100), 100, message);
+    };
+
+    // 1. Scope tags
+    for (const tag of plan.scopeTags) {
+      progress(`Scope tag ${tag.name}`);
+      if (tag.target !== CREATE_IN_DESTINATION) {
+        if (tag.target) ids.scopeTags[tag.sourceId] = tag.target;
+        record({ step: 'scopeTags', name: tag.name, sourceId: tag.sourceId, destinationId: tag.target, status: tag.target ? 'mapped' : 'skipped' });
+        continue;
+      }
+      try {
+        const created = await destination.makeRequest(SCOPE_TAGS_ENDPOINT, {
+          method: 'POST',
+          body: JSON.stringify({ displayName: tag.name, description: tag.description || '' })
+        });
+        ids.scopeTags[tag.sourceId] = created.id;
+        record({ step: 'scopeTags', name: tag.name, sourceId: tag.sourceId, destinationId: created.id, status: 'created' });
+      } catch (error) {
+        record({ step: 'scopeTags', name: tag.name, sourceId: tag.sourceId, status: 'failed', message: error.message });
+      }
+    }
+
+    // 2. Assignment filters
+    for (const filter of plan.filters) {
+      progress(`Filter ${filter.name}`);
+      if (filter.target !== CREATE_IN_DESTINATION) {
+        if (filter.target) ids.filters[filter.sourceId] = filter.target;
+        record({ step: 'filters', name: filter.name, sourceId: filter.sourceId, destinationId: filter.target, status: filter.target ? 'mapped' : 'skipped' });
+        continue;
+      }
+      try {
+        const warnings = [];
+        const created = await destination.makeBetaRequest(FILTERS_ENDPOINT, {
+          method: 'POST',
+          body: JSON.stringify({
+            displayName: filter.name,
+            description: filter.description || '',
+            platform: filter.platform,
+            rule: filter.rule,
+            roleScopeTags: this.mapScopeTags(filter.roleScopeTags, ids, warnings)
+          })
+        });
+        ids.filters[filter.sourceId] = created.id;
+        record({ step: 'filters', name: filter.name, sourceId: filter.sourceId, destinationId: created.id, status: 'created', warnings });
+      } catch (error) {
+        record({ step: 'filters', name: filter.name, sourceId: filter.sourceId, status: 'failed', message: error.message });
+      }
+    }
+
+    // 3. Apps, 4. policies and 5. policy sets
+    const appTypes = Object.keys(plan.objects).filter(type => type === 'mobileApps');
+    const policyTypes = Object.keys(plan.objects).filter(type => type !== 'mobileApps' && type !== 'policySets');
+    const setTypes = Object.keys(plan.objects).filter(type => type === 'policySets');
+    const ordered = [
+      ...appTypes.map(type => ['apps', type]),
+      ...policyTypes.map(type => ['policies', type]),
+      ...setTypes.map(type => ['policySets', type])
+    ];
+
+    for (const [step, policyType] of ordered) {
+      for (const policy of plan.objects[policyType]) {
+        progress(policyName(policy));
+        record(await this.migrateObject(destination, step, policyType, policy, ids, mode));
+      }
+    }
+
+    report.completedAt = new Date().toISOString();
+    report.summary = report.items.reduce((summary, item) => {
+      summary[item.status] = (summary[item.status] || 0) + 1;
+      summary.warnings += item.warnings.length;
+      return summary;
+    }, { warnings: 0 });
+
+    if (onProgress) onProgress(100, 100, 'Migration complete!');
+    return report;
+  }
+
+  async migrateObject(destination, step, policyType, policy, ids, mode) {
+    const name = policyName(policy);
+    const endpoint = intuneImportService.getEndpointForType(policyType);
+    const item = { step, policyType, name, sourceId: policy.id };
+    const warnings = [];
+
+    try {
+      // Apps are always reused when the destination has them, so references resolve to one copy
+      if (mode === IMPORT_MODES.SKIP || step === 'apps') {
+        const existing = await this.findExisting(destination, endpoint, name, policy['@odata.type']);
+        if (existing) {
+          ids.objects[policy.id] = existing.id;
+          return { ...item, destinationId: existing.id, status: 'existing', warnings };
+        }
+      }
+      if (step === 'apps' && !CREATABLE_APP_TYPES.includes(policy['@odata.type'])) {
+        return {
+          ...item,
+          status: 'skipped',
+          message: 'Upload this app to the destination by hand; policies that include it leave it out',
+          warnings
+        };
+      }
+
+      const body = this.buildBody(policyType, policy, ids, warnings);
+      const created = await destination.makeRequest(endpoint, {
+        method: 'POST',
+        body: JSON.stringify(body)
+      });
+      ids.objects[policy.id] = created.id;
+
+      const assignments = this.mapAssignments(policy._assignments || [], ids, warnings);
+      for (const assignment of assignments) {
+        try {
+          await destination.makeRequest(`${endpoint}/${created.id}/assignments`, {
+            method: 'POST',
+            body: JSON.stringify(assignment)
+          });
+        } catch (error) {
+          warnings.push(`Assignment not created: ${error.message}`);
+        }
+      }
+
+      return { ...item, destinationId: created.id, status: 'created', warnings };
+    } catch (error) {
+      return { ...item, status: 'failed', message: error.message, warnings };
+    }
+  }
+
+  /**
+   * The policy as it is created in the destination, with IDs from the source rewritten
+   */
+  buildBody(policyType, policy, ids, warnings) {
+    const body = intuneImportService.cleanPolicyForImport(policy);
+    delete body._certificates;
+
+    if (policy.roleScopeTagIds) {
+      body.roleScopeTagIds = this.mapScopeTags(policy.roleScopeTagIds, ids, warnings);
+    }
+
+    if (policyType === 'mobileApps') {
+      APP_READ_ONLY_PROPERTIES.forEach(property => delete body[property]);
+    }
+
+    if (body.scheduledActionsForRule) {
+      body.scheduledActionsForRule = body.scheduledActionsForRule.map(({ id, ...rule }) => ({
+        ...rule,
+        scheduledActionConfigurations: (rule.scheduledActionConfigurations || []).map(({ id: configId, ...config }) => config)
+      }));
+    }
+
+    if (body.targetedMobileApps) {
+      body.targetedMobileApps = body.targetedMobileApps
+        .map(appId => {
+          if (!ids.objects[appId]) warnings.push(`Targeted app ${appId} is not in the destination`);
+          return ids.objects[appId];
+        })
+        .filter(Boolean);
+    }
+
+    for (const reference of policy._certificates || []) {
+      const mapped = reference.ids.map(id => ids.objects[id]).filter(Boolean);
+      if (mapped.length < reference.ids.length) {
+        warnings.push(`Certificate for ${reference.property} was not migrated; bind it in the destination`);
+      }
+      if (mapped.length === 0) continue;
+      const bind = (id) => `${GRAPH_BETA_URL}/deviceManagement/deviceConfigurations('${id}')`;
+      body[`${reference.property}@odata.bind`] = reference.collection ? mapped.map(bind) : bind(mapped[0]);
+    }
+
+    if (policyType === 'policySets') {
+      body.items = (policy.items || [])
+        .map(({ id, status, errorCode, createdDateTime, lastModifiedDateTime, ...setItem }) => {
+          const payloadId = ids.objects[setItem.payloadId];
+          if (!payloadId) {
+            warnings.push(`${setItem.displayName || setItem.payloadId} is not in the destination and was left out`);
+            return null;
+          }
+          return { ...setItem, payloadId };
+        })
+        .filter(Boolean);
+    }
+
+    return body;
+  }
+
+  mapScopeTags(scopeTagIds, ids, warnings) {
+    const mapped = (scopeTagIds || []).map(id => {
+      if (!ids.scopeTags[id]) warnings.push(`Scope tag ${id} is not mapped and was left out`);
+      return ids.scopeTags[id];
+    }).filter(Boolean);
+    return mapped.length > 0 ? mapped : [DEFAULT_SCOPE_TAG_ID];
+  }
+
+  /**
+   * Assignments with their groups and filters swapped for the destination's
+   * An assignment to a group with no destination group is left out
+   */
+  mapAssignments(assignments, ids, warnings) {
+    const mapped = [];
+    for (const { id, sourceId, ...assignment } of assignments) {
+      const target = { ...assignment.target };
+      if (!target['@odata.type'] && !target.groupId) continue;
+
+      if (target.groupId) {
+        if (!ids.groups[target.groupId]) {
+          warnings.push(`Assignment to group ${target.groupId} left out: no destination group chosen`);
+          continue;
+        }
+        target.groupId = ids.groups[target.groupId];
+      }
+
+      const filterId = target.deviceAndAppManagementAssignmentFilterId;
+      if (filterId && filterId !== '00000000-0000-0000-0000-000000000000') {
+        if (ids.filters[filterId]) {
+          target.deviceAndAppManagementAssignmentFilterId = ids.filters[filterId];
+        } else {
+          warnings.push(`Assignment filter ${filterId} is not in the destination; the assignment applies unfiltered`);
+          target.deviceAndAppManagementAssignmentFilterId = null;
+          target.deviceAndAppManagementAssignmentFilterType = 'none';
+        }
+      }
+
+      mapped.push({ ...assignment, target });
+    }
+    return mapped;
+  }
+
+  /**
+   * Generate the migration report
+   * @param {Object} report - From migrate()
+   * @param {string} format - 'csv' or 'json'
+   */
+  generateReport(report, format = 'csv') {
+    if (format === 'json') {
+      return JSON.stringify(report, null, 2);
+    }
+
+    const escape = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const header = ['Step', 'Type', 'Name', 'Status', 'Source ID', 'Destination ID', 'Message', 'Warnings'];
+    const rows = report.items.map(item => [
+      MIGRATION_STEPS[item.step],
+      item.policyType || '',
+      item.name,
+      item.status,
+      item.sourceId,
+      item.destinationId || '',
+      item.message || '',
+      item.warnings.join('; ')
+    ]);
+    return [
+      `# ${report.source.name} (${report.source.tenantId}) to ${report.destination.name} (${report.destination.tenantId}), ${report.startedAt}`,
+      header.map(escape).join(','),
+      ...rows.map(row => row.map(escape).join(','))
+    ].join('\n');
+  }
+}
+
+// Export singleton instance
+export const intuneMigrationService = new IntuneMigrationService();
+
+export default intuneMigrationService;
@@ -1,3 +1,5 @@
+import { auditGraphRequest } from './auditService';
+
 /**
  * Graph Service for MSAL-authenticated users
  * Uses backend proxy to call Microsoft Graph API with MSAL access tokens
@@ -38,8 +40,21 @@ class MSALGraphService {
 
   /**
    * Make authenticated request to Graph API via proxy
+   * Changes are recorded in the audit log
    */
   async makeRequest(endpoint, options = {}) {
+    return auditGraphRequest({
+      endpoint,
+      options,
+      send: () => this.sendRequest(endpoint, options),
+      readCurrent: (path) => this.sendRequest(path),
+    });
+  }
+
+  /**
+   * Send a request to Graph API via proxy without auditing it
+   */
+  async sendRequest(endpoint, options = {}) {
     try {
       const accessToken = await this.getAccessToken();
       if (!accessToken) {
@@ -167,8 +182,22 @@ class MSALGraphService {
   /**
    * Make authenticated request to Graph BETA API via proxy
    * Uses /beta endpoint instead of /v1.0 for features not yet in stable API
+   * Changes are recorded in the audit log
    */
   async makeBetaRequest(endpoint, options = {}) {
+    return auditGraphRequest({
+      endpoint,
+      options,
+      apiVersion: 'beta',
+      send: () => this.sendBetaRequest(endpoint, options),
+      readCurrent: (path) => this.sendBetaRequest(path),
+    });
+  }
+
+  /**
+   * Send a request to Graph BETA API via proxy without auditing it
+   */
+  async sendBetaRequest(endpoint, options = {}) {
     try {
       const accessToken = await this.getAccessToken();
       if (!accessToken) {
@@ -1087,21 +1116,10 @@ class MSALGraphService {
    * Get user's devices
    */
   async getUserDevices(userPrincipalName) {
-    const response = await this.makeRequest(`/deviceManagement/managedDevices?$filter=userPrincipalName eq '${userPrincipalName}'&$select=id,deviceName,manufacturer,model,operatingSystem,osVersion,complianceState,lastSyncDateTime`);
+    const response = await this.makeRequest(`/deviceManagement/managedDevices?$filter=userPrincipalName eq '${userPrincipalName}'&$select=id,deviceName,manufacturer,model,operatingSystem,osVersion,complianceState,lastSyncDateTime,managedDeviceOwnerType`);
     return response;
   }
 
-  /**
-   * Backup user data (placeholder - returns success)
-   */
-  async backupUserData(userId) {
-    return {
-      success: true,
-      message: 'Backup process initiated',
-      backupId: `backup_${userId}_${Date.now()}`,
-    };
-  }
-
   /**
    * Get user sign-in logs
    * @param {string} userId - User ID
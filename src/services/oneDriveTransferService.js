@@ -0,0 +1,250 @@
+/**
+ * OneDrive Transfer Service
+ * Enumerates a leaver's OneDrive, shares it with the new file owner and produces
+ * a manifest of every item so the handover can be verified afterwards
+ * Uses service factory to support both MSAL and Convex authentication modes
+ *
+ * Copying the drive into a handover folder runs server-side only (scheduled
+ * offboardings), because Graph copies are long-running and outlive a browser session.
+ */
+
+import { getActiveService } from './serviceFactory';
+import { api } from '../convex/_generated/api';
+
+const GRAPH_BASE_URL = 'https://graph.microsoft.com/v1.0';
+const ITEM_SELECT = 'id,name,size,file,folder,lastModifiedDateTime';
+const MANIFEST_CHUNK_SIZE = 500;
+
+class OneDriveTransferService {
+  /**
+   * Follow @odata.nextLink paging and return every item
+   */
+  async getAllPages(endpoint) {
+    const items = [];
+    let next = endpoint;
+
+    while (next) {
+      const response = await getActiveService().makeRequest(next.replace(GRAPH_BASE_URL, ''));
+      items.push(...(response.value || []));
+      next = response['@odata.nextLink'] || null;
+    }
+
+    return items;
+  }
+
+  /**
+   * Walk the user's whole drive breadth-first
+   * @param {string} userId - User ID or UPN
+   * @param {Function} onProgress - Progress callback (message)
+   * @returns {Promise<Array>} Items with path and the top-level item they live under
+   */
+  async enumerateDrive(userId, onProgress = null) {
+    const items = [];
+    const queue = [{ endpoint: `/users/${userId}/drive/root/children`, parentPath: '', topLevelId: null }];
+
+    while (queue.length > 0) {
+      const { endpoint, parentPath, topLevelId } = queue.shift();
+      const children = await this.getAllPages(`${endpoint}?$select=${ITEM_SELECT}&$top=200`);
+
+      for (const child of children) {
+        const item = {
+          itemId: child.id,
+          name: child.name,
+          path: `${parentPath}/${child.name}`,
+          isFolder: !!child.folder,
+          size: child.size || 0,
+          lastModifiedDateTime: child.lastModifiedDateTime,
+          quickXorHash: child.file?.hashes?.quickXorHash,
+          status: 'inventoried',
+          topLevelId: topLevelId || child.id,
+        };
+        items.push(item);
+
+        if (child.folder?.childCount > 0) {
+          queue.push({
+            endpoint: `/users/${userId}/drive/items/${child.id}/children`,
+            parentPath: item.path,
+            topLevelId: item.topLevelId,
+          });
+        }
+      }
+
+      if (onProgress) onProgress(`Enumerated ${items.length} item(s)...`);
+    }
+
+    return items;
+  }
+
+  /**
+   * Summarise enumerated items into a manifest
+   */
+  buildManifest(mode, items, extras = {}) {
+    const files = items.filter(item => !item.isFolder);
+    const transferredItems = items.filter(item => item.status === 'transferred').length;
+    const failedItems = items.filter(item => item.status === 'failed').length;
+
+    let status = 'completed';
+    if (failedItems > 0 && transferredItems === 0) {
+      status = 'failed';
+    } else if (failedItems > 0) {
+      status = 'partial';
+    }
+
+    return {
+      mode,
+      status,
+      totalItems: items.length,
+      totalFiles: files.length,
+      totalBytes: files.reduce((sum, item) => sum + item.size, 0),
+      transferredItems,
+      failedItems,
+      ...extras,
+      items: items.map(({ topLevelId, ...item }) => item),
+    };
+  }
+
+  /**
+   * Share every top-level item with the new owner (edit rights inherit down the tree)
+   * OneDrive sharing cannot add a second owner, so "write" is the strongest role available
+   * @param {string} userId - Leaver's user ID or UPN
+   * @param {string} newOwner - New owner's email/UPN
+   * @param {Function} onProgress - Progress callback (message)
+   * @returns {Promise<Object>} Manifest
+   */
+  async transferOwnership(userId, newOwner, onProgress = null) {
+    const items = await this.enumerateDrive(userId, onProgress);
+    const topLevel = items.filter(item => item.topLevelId === item.itemId);
+    const failures = new Map();
+
+    for (let i = 0; i < topLevel.length; i++) {
+      const item = topLevel[i];
+      if (onProgress) onProgress(`Sharing ${item.name} (${i + 1}/${topLevel.length})...`);
+
+      try {
+        await getActiveService().makeRequest(`/users/${userId}/drive/items/${item.itemId}/invite`, {
+          method: 'POST',
+          body: JSON.stringify({
+            recipients: [{ email: newOwner }],
+            requireSignIn: true,
+            sendInvitation: false,
+            roles: ['write'],
+          }),
+        });
+      } catch (error) {
+        console.error(`Failed to share ${item.path} with ${newOwner}:`, error);
+        failures.set(item.itemId, error.message);
+      }
+    }
+
+    for (const item of items) {
+      const error = failures.get(item.topLevelId);
+      item.status = error ? 'failed' : 'transferred';
+      item.error = error;
+    }
+
+    return this.buildManifest('grant', items, { destination: newOwner });
+  }
+
+  /**
+   * Record a full inventory of the user's drive
+   * @param {string} userId - User ID or UPN
+   * @param {Function} onProgress - Progress callback (message)
+   * @returns {Promise<Object>} Manifest
+   */
+  async backupInventory(userId, onProgress = null) {
+    const items = await this.enumerateDrive(userId, onProgress);
+    return this.buildManifest('inventory', items);
+  }
+
+  /**
+   * Store a manifest in Convex so it appears in the execution report
+   * @param {Object} convex - Convex client
+   * @param {string} sessionId - Convex session ID
+   * @param {Object} context - { offboardingId, action, sourceUserId, sourceUserName }
+   * @param {Object} manifest - Manifest from transferOwnership/backupInventory
+   * @returns {Promise<string>} Manifest ID
+   */
+  async saveManifest(convex, sessionId, context, manifest) {
+    const { items, ...summary } = manifest;
+    const manifestId = await convex.mutation(api.offboarding.saveDriveManifest, {
+      sessionId,
+      ...context,
+      ...summary,
+    });
+
+    for (let i = 0; i < items.length; i += MANIFEST_CHUNK_SIZE) {
+      await convex.mutation(api.offboarding.appendDriveManifestItems, {
+        sessionId,
+        manifestId,
+        chunkIndex: i / MANIFEST_CHUNK_SIZE,
+        items: items.slice(i, i + MANIFEST_CHUNK_SIZE),
+      });
+    }
+
+    return manifestId;
+  }
+
+  /**
+   * Export manifest items to CSV
+   */
+  exportManifestToCSV(manifest, items = manifest.items || []) {
+    const rows = [['Path', 'Type', 'Size (bytes)', 'Last Modified', 'QuickXorHash', 'Status', 'Error']];
+
+    items.forEach(item => {
+      rows.push([
+        item.path,
+        item.isFolder ? 'Folder' : 'File',
+        item.isFolder ? '' : item.size,
+        item.lastModifiedDateTime || '',
+        item.quickXorHash || '',
+        item.status,
+        item.error || '',
+      ]);
+    });
+
+    return rows.map(row =>
+      row.map(cell => {
+        const cellStr = String(cell ?? '');
+        if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')) {
+          return `"${cellStr.replace(/"/g, '""')}"`;
+        }
+        return cellStr;
+      }).join(',')
+    ).join('\n');
+  }
+
+  /**
+   * Download manifest as CSV
+   */
+  downloadManifestCSV(manifest, items, filename = null) {
+    const csv = this.exportManifestToCSV(manifest, items);
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+
+    link.href = URL.createObjectURL(blob);
+    link.download = filename || `onedrive-manifest-${manifest.mode}-${new Date().toISOString().split('T')[0]}.csv`;
+    link.click();
+
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Format a byte count for display
+   */
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    const units = ['KB', 'MB', 'GB', 'TB'];
+    let value = bytes / 1024;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${value.toFixed(1)} ${units[unit]}`;
+  }
+}
+
+// Export singleton instance
+export const oneDriveTransferService = new OneDriveTransferService();
+
+export default oneDriveTransferService;
@@ -0,0 +1,231 @@
+/**
+ * Declared, dependency-aware action pipeline
+ *
+ * Steps run in declaration order once their dependencies have finished. A step whose
+ * dependency failed is not run, so the user is never left with a later action applied
+ * on top of an earlier one that did not happen. Every finished step is checkpointed;
+ * on the next run, completed steps are skipped and execution resumes at the first
+ * step that failed or never ran. A step that is waiting on something outside the run,
+ * such as an approval, does not hold up its dependents but is not checkpointed as
+ * completed, so it runs again next time.
+ *
+ * Steps can also describe what they would change without changing it. The resulting
+ * plan is shown before execution and compared with what each step then did.
+ *
+ * Shared by the offboarding wizard and scheduled offboardings (convex/actionPipeline.ts,
+ * which adds the types), so a checkpoint means the same on both paths.
+ */
+
+/**
+ * @param {string} action
+ * @param {'success' | 'error' | 'skipped' | 'warning'} status
+ * @param {string} message
+ * @param {string} [details]
+ * @returns {Object} { action, status, message, timestamp, details }
+ */
+export const buildActionResult = (action, status, message, details) => ({
+  action,
+  status,
+  message,
+  timestamp: Date.now(),
+  details,
+});
+
+/**
+ * Order steps so every step comes after its dependencies, keeping declaration order otherwise
+ * @param {Array} steps - Steps with id and optional dependsOn
+ * @returns {Array} Ordered steps
+ */
+export const orderSteps = (steps) => {
+  const byId = new Map(steps.map(step => [step.id, step]));
+  const ordered = [];
+  const visiting = new Set();
+  const visited = new Set();
+
+  const visit = (step) => {
+    if (visited.has(step.id)) return;
+    if (visiting.has(step.id)) {
+      throw new Error(`Pipeline dependency cycle at step "${step.id}"`);
+    }
+    visiting.add(step.id);
+
+    (step.dependsOn || []).forEach(dependency => {
+      const dependencyStep = byId.get(dependency);
+      if (!dependencyStep) {
+        throw new Error(`Pipeline step "${step.id}" depends on unknown step "${dependency}"`);
+      }
+      visit(dependencyStep);
+    });
+
+    visiting.delete(step.id);
+    visited.add(step.id);
+    ordered.push(step);
+  };
+
+  steps.forEach(visit);
+  return ordered;
+};
+
+/**
+ * Steps an earlier run finished, from its checkpoints
+ * @param {Array} checkpoints - [{ step, status }]
+ * @returns {Set} Completed step IDs; failed and pending steps run again
+ */
+export const completedStepsOf = (checkpoints) =>
+  new Set(checkpoints.filter(checkpoint => checkpoint.status === 'completed').map(checkpoint => checkpoint.step));
+
+/**
+ * Run a pipeline
+ * @param {Array} steps - { id, label?, dependsOn?, enabled, run, plan?, pending? }; enabled,
+ *   run, plan and pending are called with the context. run returns a result or an array
+ *   of results; a result without an action is reported under the step's label
+ * @param {*} context - Passed to every step
+ * @param {Object} [options]
+ * @param {Set} [options.completedSteps] - Step IDs completed by an earlier run
+ * @param {Function} [options.onStepStart] - Called with each step before it runs
+ * @param {Function} [options.onCheckpoint] - Awaited with (stepId, 'completed' | 'failed' | 'pending', results) after each step
+ * @returns {Promise<Object>} { results, failedSteps, pendingSteps, outcomes, resultsByStep }
+ */
+export const runPipeline = async (steps, context, options = {}) => {
+  const { completedSteps = new Set(), onStepStart, onCheckpoint } = options;
+  const results = [];
+  const failedSteps = [];
+  const pendingSteps = [];
+  // Disabled steps are absent, so they never hold up the steps that depend on them
+  const outcomes = new Map();
+  // What each step reported in this run; steps resumed from a checkpoint have none
+  const resultsByStep = new Map();
+  const labelOf = (id) => steps.find(step => step.id === id)?.label || id;
+
+  for (const step of orderSteps(steps)) {
+    if (!step.enabled(context)) {
+      continue;
+    }
+
+    const action = labelOf(step.id);
+
+    if (completedSteps.has(step.id)) {
+      outcomes.set(step.id, 'resumed');
+      results.push(buildActionResult(action, 'skipped', 'Already completed in an earlier run'));
+      continue;
+    }
+
+    const blockers = (step.dependsOn || []).filter(dependency => {
+      const outcome = outcomes.get(dependency);
+      return outcome === 'failed' || outcome === 'blocked';
+    });
+
+    if (blockers.length > 0) {
+      const blocked = buildActionResult(action, 'skipped', `Not run: waiting on ${blockers.map(labelOf).join(', ')}`);
+      outcomes.set(step.id, 'blocked');
+      resultsByStep.set(step.id, [blocked]);
+      failedSteps.push(step.id);
+      results.push(blocked);
+      continue;
+    }
+
+    if (onStepStart) onStepStart(step);
+
+    let stepResults;
+    try {
+      const returned = await step.run(context);
+      stepResults = (Array.isArray(returned) ? returned : [returned])
+        .map(result => ({ timestamp: Date.now(), ...result, action: result.action || action }));
+    } catch (error) {
+      stepResults = [buildActionResult(action, 'error', error.message)];
+    }
+
+    const failed = stepResults.some(result => result.status === 'error');
+    const status = failed ? 'failed' : step.pending?.(context) ? 'pending' : 'completed';
+    outcomes.set(step.id, status);
+    resultsByStep.set(step.id, stepResults);
+    if (failed) {
+      failedSteps.push(step.id);
+    }
+    if (status === 'pending') {
+      pendingSteps.push(step.id);
+    }
+    results.push(...stepResults);
+
+    if (onCheckpoint) {
+      await onCheckpoint(step.id, status, stepResults);
+    }
+  }
+
+  return { results, failedSteps, pendingSteps, outcomes, resultsByStep };
+};
+
+/**
+ * Resolve what every enabled step would change, without changing anything
+ * @param {Array} steps - Pipeline steps; plan(context) returns [{ description, target, skipReason }]
+ * @param {*} context - Passed to every step
+ * @param {Object} [options]
+ * @param {Set} [options.completedSteps] - Step IDs completed by an earlier run
+ * @returns {Promise<Array>} [{ step, label?, dependsOn, status, changes, error? }]
+ */
+export const planPipeline = async (steps, context, options = {}) => {
+  const { completedSteps = new Set() } = options;
+  const plan = [];
+
+  for (const step of orderSteps(steps)) {
+    if (!step.enabled(context)) {
+      continue;
+    }
+
+    const entry = {
+      step: step.id,
+      ...(step.label && { label: step.label }),
+      dependsOn: step.dependsOn || [],
+      status: completedSteps.has(step.id) ? 'alreadyCompleted' : 'planned',
+      changes: [],
+    };
+
+    if (entry.status === 'planned') {
+      try {
+        entry.changes = step.plan ? await step.plan(context) : [{ description: step.label || step.id }];
+      } catch (error) {
+        entry.status = 'unresolved';
+        entry.error = error.message;
+      }
+    }
+
+    plan.push(entry);
+  }
+
+  return plan;
+};
+
+const changeKey = (change) => {
+  const key = change.target ? `${change.description}: ${change.target}` : change.description;
+  return change.skipReason ? `${key} (skipped: ${change.skipReason})` : key;
+};
+
+/**
+ * Compare the plan attached before execution with what the run did
+ * A step that finished as planned has no added, removed or issues entries
+ * @param {Array} planned - Plan from planPipeline
+ * @param {Object} run - outcomes and resultsByStep returned by runPipeline
+ * @returns {Array} [{ step, label?, outcome, added, removed, issues }]
+ */
+export const diffPlans = (planned, run) => {
+  const stepIds = [...new Set([...planned.map(entry => entry.step), ...run.outcomes.keys()])];
+
+  return stepIds.map(step => {
+    const plan = planned.find(entry => entry.step === step);
+    const outcome = run.outcomes.get(step) || 'notRun';
+    const results = run.resultsByStep.get(step) || [];
+    const ran = outcome !== 'blocked' && outcome !== 'notRun';
+
+    return {
+      step,
+      ...(plan?.label && { label: plan.label }),
+      outcome,
+      // Changes made by a step the plan did not resolve
+      added: plan?.status === 'planned' ? [] : results.filter(result => result.status === 'success').map(result => result.message),
+      // Planned changes of a step that was blocked or never ran
+      removed: ran ? [] : (plan?.changes || []).filter(change => !change.skipReason).map(changeKey),
+      // Errors, warnings and skips the step reported
+      issues: results.filter(result => result.status !== 'success').map(({ status, message }) => ({ status, message })),
+    };
+  });
+};
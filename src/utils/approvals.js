@@ -0,0 +1,77 @@
+/**
+ * Four-eyes approvals for destructive operations
+ * Mirrors convex/approvalPolicy.ts: deleting a user, wiping a device, removing all
+ * licenses and running an offboarding are requested first, approved by a second
+ * operator, and then carried out once through runApproved.
+ */
+
+import { api } from '../convex/_generated/api';
+import { getSessionId } from '../services/convexService';
+
+export const APPROVAL_OPERATIONS = {
+  deleteUser: 'Delete user',
+  wipeDevice: 'Wipe device',
+  removeAllLicenses: 'Remove all licenses',
+  executeOffboarding: 'Run offboarding',
+};
+
+const requireSessionId = () => {
+  const sessionId = getSessionId();
+  if (!sessionId) {
+    throw new Error('Session not found. Please log in again.');
+  }
+  return sessionId;
+};
+
+/**
+ * Ask a second operator to approve an operation
+ * @param {Object} convex - Convex client
+ * @param {Object} request - { operation, targetId, targetName, summary, payload?, reason?, expiresInHours? }
+ * @returns {Promise<string>} Approval request ID
+ */
+export const requestApproval = async (convex, request) => {
+  return await convex.mutation(api.approvals.request, {
+    sessionId: requireSessionId(),
+    ...request,
+  });
+};
+
+/**
+ * Record how a claimed approval turned out
+ * @param {Object} convex - Convex client
+ * @param {string} approvalId - Request claimed by runApproved or offboarding.execute
+ * @param {boolean} success - Whether the operation succeeded
+ * @param {string} [message] - Outcome shown in the inbox
+ */
+export const completeApproved = async (convex, approvalId, success, message) => {
+  await convex.mutation(api.approvals.completeExecution, {
+    sessionId: requireSessionId(),
+    approvalId,
+    success,
+    message,
+  });
+};
+
+/**
+ * Carry out an approved operation
+ * Claims the approval first, so it cannot be used twice, then records the outcome
+ * @param {Object} convex - Convex client
+ * @param {string} approvalId - Approved request
+ * @param {string} operation - Operation the approval must be for
+ * @param {string} targetId - User or device the approval must be for
+ * @param {Function} perform - Carries out the operation; its string result becomes the outcome message
+ * @returns {Promise<*>} What perform returned
+ */
+export const runApproved = async (convex, approvalId, operation, targetId, perform) => {
+  const sessionId = requireSessionId();
+  const request = await convex.mutation(api.approvals.beginExecution, { sessionId, approvalId, operation, targetId });
+
+  try {
+    const result = await perform(request);
+    await completeApproved(convex, approvalId, true, typeof result === 'string' ? result : undefined);
+    return result;
+  } catch (error) {
+    await completeApproved(convex, approvalId, false, error.message).catch(() => {});
+    throw error;
+  }
+};
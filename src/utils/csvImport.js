@@ -0,0 +1,119 @@
+/**
+ * CSV helpers for the bulk import screens
+ * Handles quoted fields, escaped quotes, CRLF line endings and a leading BOM,
+ * and keys each row by a normalized header so "New File Owner" and "newFileOwner" match.
+ */
+
+/**
+ * Normalize a header for lookup: lowercase with spaces, dashes and underscores removed
+ * @param {string} header - Header as written in the file
+ * @returns {string} Normalized header
+ */
+export const normalizeHeader = (header) => header.toLowerCase().replace(/[\s_-]+/g, '');
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text - Raw file contents
+ * @returns {Array<Array<string>>} Rows, blank lines removed
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text into records keyed by normalized header
+ * @param {string} text - Raw file contents
+ * @param {Object} aliases - Map of normalized alias to field name, e.g. { userprincipalname: 'upn' }
+ * @returns {{ headers: Array<string>, records: Array<Object> }} Field names and one record per data row,
+ *          each with the 1-based line number it came from as `rowNumber`
+ */
+export const parseCsvRecords = (text, aliases = {}) => {
+  const [headerRow, ...dataRows] = parseCsv(text);
+  if (!headerRow) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = headerRow.map(header => {
+    const normalized = normalizeHeader(header.trim());
+    return aliases[normalized] || normalized;
+  });
+
+  const records = dataRows.map((fields, index) => {
+    const record = { rowNumber: index + 2 };
+    headers.forEach((header, column) => {
+      record[header] = (fields[column] || '').trim();
+    });
+    return record;
+  });
+
+  return { headers, records };
+};
+
+/**
+ * Build CSV text from a header row and data rows, quoting fields where needed
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array<string>>} rows - Data rows
+ * @returns {string} CSV text
+ */
+export const toCsv = (headers, rows) => {
+  const escape = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [headers, ...rows].map(fields => fields.map(escape).join(',')).join('\n');
+};
+
+/**
+ * Download CSV text as a file
+ * @param {string} csv - CSV text
+ * @param {string} filename - Download file name
+ */
+export const downloadCsv = (csv, filename) => {
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+  const link = document.createElement('a');
+
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+
+  URL.revokeObjectURL(link.href);
+};
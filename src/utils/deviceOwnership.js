@@ -0,0 +1,12 @@
+/**
+ * Which managed devices an offboarding may wipe
+ * Wipe factory-resets a device, so it is only sent to company-owned devices; personal
+ * devices are retired instead. Shared by the offboarding wizard and scheduled
+ * offboardings (convex/intuneDevices.ts) so the two apply the same rule.
+ */
+
+/**
+ * @param {Object} device - Managed device, read with managedDeviceOwnerType
+ * @returns {boolean}
+ */
+export const isCorporateDevice = (device) => device.managedDeviceOwnerType === 'company';
@@ -0,0 +1,55 @@
+/**
+ * Checkpoints of offboardings run from the wizard
+ *
+ * Kept in this browser per user, in the shape scheduled offboardings keep in the
+ * offboarding_checkpoints table: the status of each step and how often it ran. Only
+ * completed steps are skipped by the next run (see completedStepsOf in actionPipeline.js).
+ * They are cleared once an offboarding fully completes, or when the operator starts over.
+ */
+
+import { completedStepsOf } from './actionPipeline';
+
+const CHECKPOINT_PREFIX = 'offboarding_checkpoints_';
+
+const readCheckpoints = (userId) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(`${CHECKPOINT_PREFIX}${userId}`));
+    return Array.isArray(stored?.checkpoints) ? stored.checkpoints : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Load the steps an earlier run completed for a user
+ * @param {string} userId - User being offboarded
+ * @returns {Set} Completed step IDs
+ */
+export const loadCheckpoints = (userId) => completedStepsOf(readCheckpoints(userId));
+
+/**
+ * Record how a step finished for a user
+ * @param {string} userId - User being offboarded
+ * @param {string} stepId - Pipeline step ID
+ * @param {'completed' | 'failed' | 'pending'} status
+ */
+export const saveCheckpoint = (userId, stepId, status) => {
+  const checkpoints = readCheckpoints(userId);
+  const existing = checkpoints.find(checkpoint => checkpoint.step === stepId);
+  const updated = {
+    step: stepId,
+    status,
+    attempts: (existing?.attempts || 0) + 1,
+    updatedAt: Date.now(),
+  };
+  localStorage.setItem(`${CHECKPOINT_PREFIX}${userId}`, JSON.stringify({
+    checkpoints: [...checkpoints.filter(checkpoint => checkpoint !== existing), updated],
+  }));
+};
+
+/**
+ * Forget a user's checkpoints once their offboarding has fully completed
+ */
+export const clearCheckpoints = (userId) => {
+  localStorage.removeItem(`${CHECKPOINT_PREFIX}${userId}`);
+};
@@ -0,0 +1,32 @@
+/**
+ * Temporary password generation for new accounts
+ */
+
+/**
+ * Generate a 16-character temporary password with at least one lowercase letter,
+ * uppercase letter, number and symbol
+ * @returns {string} Temporary password
+ */
+export const generateTempPassword = () => {
+  const length = 16;
+  const lowercase = 'abcdefghijklmnopqrstuvwxyz';
+  const uppercase = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  const numbers = '0123456789';
+  const symbols = '!@#$%^&*';
+  const allChars = lowercase + uppercase + numbers + symbols;
+  
+  // Ensure at least one of each required type
+  let password = 
+    lowercase[Math.floor(Math.random() * lowercase.length)] +
+    uppercase[Math.floor(Math.random() * uppercase.length)] +
+    numbers[Math.floor(Math.random() * numbers.length)] +
+    symbols[Math.floor(Math.random() * symbols.length)];
+  
+  // Fill the rest randomly
+  for (let i = password.length; i < length; i++) {
+    password += allChars[Math.floor(Math.random() * allChars.length)];
+  }
+  
+  // Shuffle the password
+  return password.split('').sort(() => Math.random() - 0.5).join('');
+};
@@ -368,6 +368,7 @@ export const exportOffboardingResultsToPDF = ({
  * @param {Object} params.options - Onboarding options selected
  * @param {string} params.executedBy - User who executed the onboarding
  * @param {Date} params.executionDate - Date of execution
+ * @param {Array} [params.batch] - Bulk run: one { user, results } entry per new employee, used instead of user and results
  */
 export const exportOnboardingResultsToPDF = ({
   user,
@@ -375,6 +376,7 @@ export const exportOnboardingResultsToPDF = ({
   options,
   executedBy,
   executionDate = new Date(),
+  batch = null,
 }) => {
   const doc = new jsPDF();
   const pageWidth = doc.internal.pageSize.getWidth();
@@ -413,13 +415,19 @@ export const exportOnboardingResultsToPDF = ({
     yPosition += 12;
   };
 
+  // A bulk run reports every new employee's tasks together, labelled with the employee
+  const reportResults = batch
+    ? batch.flatMap(entry => entry.results.map(r => ({ ...r, employee: entry.user.displayName })))
+    : results;
+  const taskLabel = (r) => (r.employee ? `${r.employee}: ${r.action}` : r.action);
+
   // Calculate statistics
-  const successCount = results.filter(r => r.status === 'success').length;
-  const warningCount = results.filter(r => r.status === 'warning').length;
-  const infoCount = results.filter(r => r.status === 'info').length;
-  const errorCount = results.filter(r => r.status === 'error').length;
-  const skippedCount = results.filter(r => r.status === 'skipped').length;
-  const totalTasks = results.length;
+  const successCount = reportResults.filter(r => r.status === 'success').length;
+  const warningCount = reportResults.filter(r => r.status === 'warning').length;
+  const infoCount = reportResults.filter(r => r.status === 'info').length;
+  const errorCount = reportResults.filter(r => r.status === 'error').length;
+  const skippedCount = reportResults.filter(r => r.status === 'skipped').length;
+  const totalTasks = reportResults.length;
   const completedTasks = totalTasks - skippedCount - infoCount; // Don't count info as tasks
   const successfulTasks = successCount + warningCount; // Warnings are partial success
   const successRate = completedTasks > 0 ? ((successfulTasks / completedTasks) * 100).toFixed(1) : 0;
@@ -431,7 +439,7 @@ export const exportOnboardingResultsToPDF = ({
   doc.setFontSize(20);
   doc.setFont(undefined, 'bold');
   doc.setTextColor(15, 23, 42); // Dark gray
-  doc.text('Employee Onboarding Report', pageWidth / 2, 18, { align: 'center' });
+  doc.text(batch ? 'Bulk Onboarding Report' : 'Employee Onboarding Report', pageWidth / 2, 18, { align: 'center' });
   
   doc.setFontSize(10);
   doc.setFont(undefined, 'normal');
@@ -442,33 +450,57 @@ export const exportOnboardingResultsToPDF = ({
   yPosition = 50;
 
   // ===== NEW EMPLOYEE INFORMATION =====
-  addSectionHeader('New Employee Information');
+  if (batch) {
+    addSectionHeader(`New Employees (${batch.length})`);
+
+    callAutoTable({
+      startY: yPosition,
+      head: [['Name', 'Email / UPN', 'Department', 'Start Date', 'Created In', 'Result']],
+      body: batch.map(entry => [
+        entry.user.displayName || 'N/A',
+        entry.user.userPrincipalName || 'N/A',
+        entry.user.department || 'N/A',
+        entry.user.startDate || 'N/A',
+        entry.user.createInOnPremAD ? 'On-Premises AD' : 'Azure AD',
+        entry.results.some(r => r.status === 'error') ? 'Issues' : 'Completed',
+      ]),
+      theme: 'striped',
+      headStyles: { fillColor: [34, 197, 94], fontSize: 9, fontStyle: 'bold' },
+      bodyStyles: { fontSize: 8 },
+      alternateRowStyles: { fillColor: [240, 253, 244] },
+      margin: { left: 14, right: 14 },
+    });
+
+    yPosition = doc.lastAutoTable.finalY + 15;
+  } else {
+    addSectionHeader('New Employee Information');
   
-  const employeeInfo = [
-    ['Display Name', user.displayName || 'N/A'],
-    ['First Name', user.firstName || 'N/A'],
-    ['Last Name', user.lastName || 'N/A'],
-    ['Email / UPN', user.userPrincipalName || user.email || 'N/A'],
-    ['Job Title', options.jobTitle || user.jobTitle || 'N/A'],
-    ['Department', options.department || user.department || 'N/A'],
-    ['Office Location', options.officeLocation || 'N/A'],
-    ['Business Phone', options.businessPhone || 'N/A'],
-    ['Manager', options.managerEmail || 'N/A'],
-    ['Created In', user.createInOnPremAD ? 'On-Premises AD' : 'Azure AD'],
-  ];
+    const employeeInfo = [
+      ['Display Name', user.displayName || 'N/A'],
+      ['First Name', user.firstName || 'N/A'],
+      ['Last Name', user.lastName || 'N/A'],
+      ['Email / UPN', user.userPrincipalName || user.email || 'N/A'],
+      ['Job Title', options.jobTitle || user.jobTitle || 'N/A'],
+      ['Department', options.department || user.department || 'N/A'],
+      ['Office Location', options.officeLocation || 'N/A'],
+      ['Business Phone', options.businessPhone || 'N/A'],
+      ['Manager', options.managerEmail || 'N/A'],
+      ['Created In', user.createInOnPremAD ? 'On-Premises AD' : 'Azure AD'],
+    ];
 
-  callAutoTable({
-    startY: yPosition,
-    head: [['Field', 'Value']],
-    body: employeeInfo,
-    theme: 'striped',
-    headStyles: { fillColor: [34, 197, 94], fontSize: 10, fontStyle: 'bold' },
-    bodyStyles: { fontSize: 9 },
-    alternateRowStyles: { fillColor: [240, 253, 244] },
-    margin: { left: 14, right: 14 },
-  });
+    callAutoTable({
+      startY: yPosition,
+      head: [['Field', 'Value']],
+      body: employeeInfo,
+      theme: 'striped',
+      headStyles: { fillColor: [34, 197, 94], fontSize: 10, fontStyle: 'bold' },
+      bodyStyles: { fontSize: 9 },
+      alternateRowStyles: { fillColor: [240, 253, 244] },
+      margin: { left: 14, right: 14 },
+    });
 
-  yPosition = doc.lastAutoTable.finalY + 15;
+    yPosition = doc.lastAutoTable.finalY + 15;
+  }
 
   // ===== EXECUTIVE SUMMARY =====
   addSectionHeader('Executive Summary');
@@ -562,11 +594,11 @@ export const exportOnboardingResultsToPDF = ({
   addSectionHeader('Detailed Execution Results');
 
   // Group results by status
-  const successResults = results.filter(r => r.status === 'success');
-  const warningResults = results.filter(r => r.status === 'warning');
-  const infoResults = results.filter(r => r.status === 'info');
-  const errorResults = results.filter(r => r.status === 'error');
-  const skippedResults = results.filter(r => r.status === 'skipped');
+  const successResults = reportResults.filter(r => r.status === 'success');
+  const warningResults = reportResults.filter(r => r.status === 'warning');
+  const infoResults = reportResults.filter(r => r.status === 'info');
+  const errorResults = reportResults.filter(r => r.status === 'error');
+  const skippedResults = reportResults.filter(r => r.status === 'skipped');
 
   // Helper to render group details in a table
   const renderGroupDetails = (result) => {
@@ -698,7 +730,7 @@ export const exportOnboardingResultsToPDF = ({
     yPosition += 5;
 
     const successData = successResults.map(r => [
-      r.action,
+      taskLabel(r),
       r.message || 'Completed successfully',
     ]);
 
@@ -740,7 +772,7 @@ export const exportOnboardingResultsToPDF = ({
     yPosition += 5;
 
     const warningData = warningResults.map(r => [
-      r.action,
+      taskLabel(r),
       r.message || 'Completed with warnings',
     ]);
 
@@ -782,7 +814,7 @@ export const exportOnboardingResultsToPDF = ({
     yPosition += 5;
 
     const infoData = infoResults.map(r => [
-      r.action,
+      taskLabel(r),
       r.message || 'Information',
     ]);
 
@@ -824,7 +856,7 @@ export const exportOnboardingResultsToPDF = ({
     yPosition += 5;
 
     const errorData = errorResults.map(r => [
-      r.action,
+      taskLabel(r),
       r.message || 'Task failed',
     ]);
 
@@ -866,7 +898,7 @@ export const exportOnboardingResultsToPDF = ({
     yPosition += 5;
 
     const skippedData = skippedResults.map(r => [
-      r.action,
+      taskLabel(r),
       r.message || 'Not selected',
     ]);
 
@@ -955,9 +987,11 @@ export const exportOnboardingResultsToPDF = ({
   }
 
   // Generate filename
-  const sanitizedUserName = user.displayName?.replace(/[^a-z0-9]/gi, '_') || 'new_employee';
   const dateStr = executionDate.toISOString().split('T')[0];
-  const filename = `Onboarding_Report_${sanitizedUserName}_${dateStr}.pdf`;
+  const sanitizedUserName = user?.displayName?.replace(/[^a-z0-9]/gi, '_') || 'new_employee';
+  const filename = batch
+    ? `Bulk_Onboarding_Report_${batch.length}_users_${dateStr}.pdf`
+    : `Onboarding_Report_${sanitizedUserName}_${dateStr}.pdf`;
 
   // Save the PDF
   doc.save(filename);
@@ -1036,7 +1070,11 @@ export const exportScheduledOffboardingResultsToPDF = ({
   doc.setFont(undefined, 'normal');
   doc.setTextColor(100, 116, 139); // Medium gray
   doc.text(`Executed: ${executionDate.toLocaleString()}`, pageWidth / 2, 28, { align: 'center' });
-  doc.text(`Execution Type: ${executionLog.executionType === 'scheduled' ? 'Automated (Scheduled)' : 'Manual'}`, pageWidth / 2, 35, { align: 'center' });
+  const executionTypeLabel = {
+    scheduled: 'Automated (Scheduled)',
+    reinstate: 'Reinstatement',
+  }[executionLog.executionType] || 'Manual';
+  doc.text(`Execution Type: ${executionTypeLabel}`, pageWidth / 2, 35, { align: 'center' });
   doc.text(`Executed by: ${executionLog.executedBy || 'System'}`, pageWidth / 2, 42, { align: 'center' });
 
   yPosition = 55;